@@ -42,7 +42,7 @@ async function fetchAllPages(url) {
  * Fetch all accounts recursively
  * @returns {Promise<Array>} Array of all accounts
  */
-async function fetchAllAccounts() {
+export async function fetchAllAccounts() {
     logger.debug('[AccountFilter] fetchAllAccounts() called');
 
     // Check cache first
@@ -129,7 +129,7 @@ async function fetchAllAccounts() {
  * @param {Array} accounts - Flat array of accounts
  * @returns {Array} Tree structure
  */
-function buildAccountTree(accounts) {
+export function buildAccountTree(accounts) {
     logger.debug(`[AccountFilter] buildAccountTree() called with ${accounts.length} accounts`);
     const accountMap = new Map();
     const rootAccounts = [];
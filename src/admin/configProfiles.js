@@ -0,0 +1,112 @@
+// src/admin/configProfiles.js
+/**
+ * Config Profiles
+ *
+ * Named sets of config values that apply to an account and all its
+ * sub-accounts, e.g. an "Elementary" profile with its own rating scale for
+ * the elementary sub-account. Stored in the managed block (Section B):
+ *
+ *   window.CG_MANAGED.profiles        { [name]: { [CG_CONFIG key]: value } }
+ *   window.CG_MANAGED.profileAccounts { [accountId]: name }
+ *   window.CG_MANAGED.accountParents  { [accountId]: parentAccountId }
+ *
+ * accountParents only lists the sub-accounts below a mapped account (or a
+ * staged rollout account, see releaseRollout.js), which is all the loader
+ * (Section C) needs to walk from the current account up to the nearest
+ * account with a profile. Profile values take precedence over the
+ * district config; values set directly in window.CG_CONFIG still win.
+ */
+
+import { validateConfig } from '../configSchema.js';
+
+/** Keys a profile cannot set: the account filter runs before profiles are resolved, and functions cannot be stored */
+export const PROFILE_EXCLUDED_KEYS = Object.freeze(['ENABLE_ACCOUNT_FILTER', 'ALLOWED_ACCOUNT_IDS', 'OVERRIDE_SCALE']);
+
+/** Longest account chain walked (guards against a cycle in accountParents) */
+const MAX_ACCOUNT_DEPTH = 50;
+
+/**
+ * Find the profile that applies to an account: its own, or the nearest ancestor's
+ *
+ * Same walk as Section C of the loader (cgLoaderTemplate.js).
+ *
+ * @param {string|number} accountId
+ * @param {Object<string, string>} profileAccounts - { [accountId]: profileName }
+ * @param {Object<string, string>} accountParents - { [accountId]: parentAccountId }
+ * @returns {{ name: string, accountId: string }|null} Profile name and the account it is mapped to
+ */
+export function resolveProfileName(accountId, profileAccounts = {}, accountParents = {}) {
+    let id = accountId != null ? String(accountId) : null;
+    for (let depth = 0; id && depth < MAX_ACCOUNT_DEPTH; depth++) {
+        if (profileAccounts[id]) return { name: profileAccounts[id], accountId: id };
+        id = accountParents[id] != null ? String(accountParents[id]) : null;
+    }
+    return null;
+}
+
+/**
+ * Parent links for every account below a mapped account
+ *
+ * @param {Array<{id: number|string, parent_account_id: number|string|null}>} accounts - All accounts (Canvas API shape)
+ * @param {Object<string, string>} profileAccounts - { [accountId]: profileName }
+ * @param {Array<string|number>} [extraAccountIds] - Other accounts whose sub-accounts need links (staged rollout)
+ * @returns {Object<string, string>} { [accountId]: parentAccountId }
+ */
+export function buildAccountParents(accounts, profileAccounts = {}, extraAccountIds = []) {
+    const children = new Map();
+    accounts.forEach(acc => {
+        if (acc.parent_account_id == null) return;
+        const parentId = String(acc.parent_account_id);
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(String(acc.id));
+    });
+
+    const parents = {};
+    const queue = [...Object.keys(profileAccounts), ...extraAccountIds.map(String)];
+    while (queue.length > 0) {
+        const parentId = queue.shift();
+        (children.get(parentId) ?? []).forEach(childId => {
+            if (parents[childId] !== undefined) return;
+            parents[childId] = parentId;
+            queue.push(childId);
+        });
+    }
+    return parents;
+}
+
+/**
+ * Check profile values against the config schema
+ *
+ * @param {Object<string, Object>} profiles - { [name]: { [key]: value } }
+ * @param {Object<string, string>} [profileAccounts] - { [accountId]: profileName }
+ * @returns {{ errors: Array<{profile: string, key: string, message: string}>, warnings: Array<{profile: string, key: string, message: string}> }}
+ */
+export function validateProfiles(profiles = {}, profileAccounts = {}) {
+    const errors = [];
+    const warnings = [];
+
+    Object.entries(profiles).forEach(([profile, values]) => {
+        if (!profile.trim()) {
+            errors.push({ profile, key: null, message: 'A profile needs a name' });
+        }
+        if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+            errors.push({ profile, key: null, message: `Profile "${profile}" must be an object of settings` });
+            return;
+        }
+
+        Object.keys(values).filter(key => PROFILE_EXCLUDED_KEYS.includes(key)).forEach(key => {
+            errors.push({ profile, key, message: `Profile "${profile}": ${key} cannot be set in a profile` });
+        });
+        const check = validateConfig(values);
+        check.errors.forEach(e => errors.push({ profile, key: e.key, message: `Profile "${profile}": ${e.message}` }));
+        check.warnings.forEach(w => warnings.push({ profile, key: w.key, message: `Profile "${profile}": ${w.message}` }));
+    });
+
+    Object.entries(profileAccounts).forEach(([accountId, profile]) => {
+        if (!profiles[profile]) {
+            errors.push({ profile, key: null, message: `Account ${accountId} uses profile "${profile}", which does not exist` });
+        }
+    });
+
+    return { errors, warnings };
+}
@@ -0,0 +1,94 @@
+// src/admin/configProfiles.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { buildAccountParents, resolveProfileName, validateProfiles } from './configProfiles.js';
+import { buildCGManagedBlock, loadManagedBlock } from './loaderGenerator.js';
+import { CG_LOADER_TEMPLATE } from './templates/cgLoaderTemplate.js';
+
+// 1 (district) ── 10 (Elementary) ── 11 (Lincoln Elem) ── 12 (Lincoln annex)
+//              └─ 20 (Secondary) ─── 21 (High School)
+//              └─ 30 (Other)
+const accounts = [
+    { id: 1, parent_account_id: null },
+    { id: 10, parent_account_id: 1 },
+    { id: 11, parent_account_id: 10 },
+    { id: 12, parent_account_id: 11 },
+    { id: 20, parent_account_id: 1 },
+    { id: 21, parent_account_id: 20 },
+    { id: 30, parent_account_id: 1 }
+];
+const profileAccounts = { 10: 'Elementary', 20: 'Secondary', 12: 'Secondary' };
+const profiles = {
+    Elementary: { DEFAULT_MASTERY_THRESHOLD: 2.5, OUTCOME_AND_RUBRIC_RATINGS: [{ description: 'Got it', points: 3 }] },
+    Secondary: { ENABLE_GRADE_OVERRIDE: true }
+};
+
+describe('config profiles', () => {
+    it('resolves the nearest profile up the account chain', () => {
+        const parents = buildAccountParents(accounts, profileAccounts);
+
+        // Only accounts below a mapped account are needed
+        expect(parents).toEqual({ 11: '10', 12: '11', 21: '20' });
+        expect(resolveProfileName(11, profileAccounts, parents)).toEqual({ name: 'Elementary', accountId: '10' });
+        expect(resolveProfileName('12', profileAccounts, parents)).toEqual({ name: 'Secondary', accountId: '12' });
+        expect(resolveProfileName(21, profileAccounts, parents)?.name).toBe('Secondary');
+        expect(resolveProfileName(30, profileAccounts, parents)).toBeNull();
+    });
+
+    it('checks profile values against the config schema', () => {
+        const { errors } = validateProfiles(
+            { Elementary: { DEFAULT_MASTERY_THRESHOLD: -1, ALLOWED_ACCOUNT_IDS: ['1'] }, Secondary: {} },
+            { 10: 'Elementary', 20: 'Middle' }
+        );
+        expect(errors.map(e => e.message)).toEqual([
+            'Profile "Elementary": ALLOWED_ACCOUNT_IDS cannot be set in a profile',
+            'Profile "Elementary": DEFAULT_MASTERY_THRESHOLD must be at least 0 (got -1)',
+            'Account 20 uses profile "Middle", which does not exist'
+        ]);
+        expect(validateProfiles(profiles, profileAccounts)).toEqual({ errors: [], warnings: [] });
+    });
+
+    it('round-trips through the managed block', () => {
+        const accountParents = buildAccountParents(accounts, profileAccounts);
+        const block = buildCGManagedBlock({ accountId: '1', profiles, profileAccounts, accountParents });
+        const loaded = loadManagedBlock(block);
+
+        expect(loaded).toMatchObject({ profiles, profileAccounts, accountParents, errors: [] });
+    });
+});
+
+describe('loader template profile resolution', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        document.head.innerHTML = '';
+        delete window.CG_CONFIG;
+        window.CG_MANAGED = {
+            release: { channel: 'prod', version: 'v1.0.3', source: 'github_release' },
+            config: { DEFAULT_MASTERY_THRESHOLD: 3, ENABLE_GRADE_OVERRIDE: false },
+            profiles,
+            profileAccounts,
+            accountParents: buildAccountParents(accounts, profileAccounts)
+        };
+    });
+    afterEach(() => vi.restoreAllMocks());
+
+    it('layers the profile of the current sub-account between CG_CONFIG and the managed config', () => {
+        window.ENV = { ACCOUNT_ID: 11 };
+        window.CG_CONFIG = { OUTCOME_AND_RUBRIC_RATINGS: [] };
+        new Function(CG_LOADER_TEMPLATE)();
+
+        expect(window.CG_MANAGED.activeProfile).toBe('Elementary');
+        expect(window.CG_CONFIG).toMatchObject({
+            DEFAULT_MASTERY_THRESHOLD: 2.5,
+            ENABLE_GRADE_OVERRIDE: false,
+            OUTCOME_AND_RUBRIC_RATINGS: []
+        });
+    });
+
+    it('uses the managed config for accounts outside every profile', () => {
+        window.ENV = { ACCOUNT_ID: 30 };
+        new Function(CG_LOADER_TEMPLATE)();
+
+        expect(window.CG_MANAGED.activeProfile).toBeUndefined();
+        expect(window.CG_CONFIG.DEFAULT_MASTERY_THRESHOLD).toBe(3);
+    });
+});
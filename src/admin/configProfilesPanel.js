@@ -0,0 +1,286 @@
+// src/admin/configProfilesPanel.js
+/**
+ * Config Profiles Panel Module
+ *
+ * Named config profiles for account subtrees (see configProfiles.js):
+ * - Profile list: add, delete, and edit each profile's settings as JSON
+ *   (checked against the config schema as you type)
+ * - Account tree: pick the profile of each account; sub-accounts without
+ *   their own inherit the nearest parent's
+ *
+ * Edits go straight to window.CG_MANAGED.profiles / .profileAccounts /
+ * .accountParents, like the account filter, and are written to Section B by
+ * the loader generator. accountParents also covers the staged rollout
+ * accounts (window.CG_MANAGED.release.canary.accountIds).
+ */
+
+import { logger } from '../utils/logger.js';
+import { createElement, escapeHtml } from './domHelpers.js';
+import { createCollapsiblePanel, createButton, createTextarea } from './canvasFormHelpers.js';
+import { triggerConfigChangeNotification } from './loaderGeneratorPanel.js';
+import { fetchAllAccounts, buildAccountTree } from './accountFilterPanel.js';
+import { buildAccountParents, resolveProfileName, validateProfiles } from './configProfiles.js';
+
+// Re-renders the panel from window.CG_MANAGED (set once the panel is rendered)
+let rerenderPanel = null;
+
+/**
+ * Profile state in window.CG_MANAGED, created when missing
+ * @returns {{ profiles: Object, profileAccounts: Object, accountParents: Object }}
+ */
+function getProfileState() {
+    if (!window.CG_MANAGED) window.CG_MANAGED = {};
+    window.CG_MANAGED.profiles = window.CG_MANAGED.profiles || {};
+    window.CG_MANAGED.profileAccounts = window.CG_MANAGED.profileAccounts || {};
+    window.CG_MANAGED.accountParents = window.CG_MANAGED.accountParents || {};
+    return window.CG_MANAGED;
+}
+
+/**
+ * Render one profile: name, usage, settings JSON and its schema check
+ * @param {string} name
+ * @param {number} index - Position in the list (for element IDs)
+ * @param {Function} onChange - Called after the profile is edited or deleted
+ * @returns {HTMLElement}
+ */
+function renderProfileEditor(name, index, onChange) {
+    const state = getProfileState();
+    const usedBy = Object.values(state.profileAccounts).filter(p => p === name).length;
+
+    const container = createElement('div', {
+        attrs: { class: 'cg-profile-editor' },
+        style: { padding: '8px 0', borderBottom: '1px solid #eee' }
+    });
+
+    const header = createElement('div', { style: { display: 'flex', alignItems: 'center', gap: '8px' } });
+    header.appendChild(createElement('strong', { text: name }));
+    header.appendChild(createElement('span', {
+        style: { color: '#666', fontSize: '12px', flex: '1' },
+        text: usedBy > 0 ? `Assigned to ${usedBy} account${usedBy !== 1 ? 's' : ''}` : 'Not assigned to an account'
+    }));
+    header.appendChild(createButton({
+        text: 'Delete',
+        type: 'secondary',
+        onClick: () => {
+            if (usedBy > 0 && !confirm(`Delete profile "${name}"? Its ${usedBy} account${usedBy !== 1 ? 's' : ''} will use the district settings.`)) return;
+            delete state.profiles[name];
+            Object.keys(state.profileAccounts).forEach(id => {
+                if (state.profileAccounts[id] === name) delete state.profileAccounts[id];
+            });
+            logger.debug(`[ConfigProfiles] Deleted profile "${name}"`);
+            onChange();
+        }
+    }));
+    container.appendChild(header);
+
+    const { container: textareaGroup, textarea } = createTextarea({
+        label: `Settings for ${escapeHtml(name)} (JSON)`,
+        id: `cg-profile-settings-${index}`,
+        value: JSON.stringify(state.profiles[name], null, 2),
+        rows: 6,
+        tooltip: 'CG_CONFIG keys and values, e.g. {"DEFAULT_MASTERY_THRESHOLD": 2.5}. Keys left out use the district setting.'
+    });
+    textarea.style.fontFamily = 'monospace';
+    container.appendChild(textareaGroup);
+
+    const status = createElement('div', { style: { display: 'none', marginTop: '4px' } });
+    container.appendChild(status);
+
+    const showCheck = () => {
+        let values;
+        try {
+            values = JSON.parse(textarea.value || '{}');
+        } catch (err) {
+            status.className = 'cg-status cg-status--error';
+            status.textContent = `Invalid JSON: ${err.message}`;
+            status.style.display = 'block';
+            textarea.setAttribute('aria-invalid', 'true');
+            return;
+        }
+
+        const { errors, warnings } = validateProfiles({ [name]: values });
+        const messages = [...errors, ...warnings].map(e => e.message);
+        textarea.toggleAttribute('aria-invalid', errors.length > 0);
+        status.className = `cg-status ${errors.length > 0 ? 'cg-status--warning' : 'cg-status--info'}`;
+        status.innerHTML = messages.map(escapeHtml).join('<br>');
+        status.style.display = messages.length > 0 ? 'block' : 'none';
+
+        // Store even when the schema check fails: the loader generator refuses to generate until it is fixed
+        if (JSON.stringify(state.profiles[name]) !== JSON.stringify(values)) {
+            state.profiles[name] = values;
+            triggerConfigChangeNotification();
+        }
+    };
+    textarea.addEventListener('input', showCheck);
+    showCheck();
+
+    return container;
+}
+
+/**
+ * Render an account tree node with its profile picker
+ * @param {Object} node - Account tree node (buildAccountTree)
+ * @param {Function} onChange - Called with (accountId, profileName|null)
+ * @param {number} level - Indentation level
+ * @returns {HTMLElement}
+ */
+function renderAccountProfileNode(node, onChange, level = 0) {
+    const state = getProfileState();
+    const accountId = String(node.id);
+    const own = state.profileAccounts[accountId] || '';
+    const inherited = own ? null : resolveProfileName(accountId, state.profileAccounts, state.accountParents);
+
+    const nodeContainer = createElement('div');
+    const row = createElement('div', {
+        style: { marginLeft: `${level * 24}px`, display: 'flex', alignItems: 'center', gap: '8px', padding: '2px 0' }
+    });
+
+    const selectId = `cg-profile-account-${accountId}`;
+    row.appendChild(createElement('label', {
+        attrs: { for: selectId },
+        style: { flex: '1' },
+        text: `${node.name} (ID: ${accountId})`
+    }));
+
+    const select = createElement('select', { attrs: { id: selectId, class: 'ic-Input' }, style: { width: 'auto' } });
+    select.appendChild(createElement('option', {
+        attrs: { value: '' },
+        text: inherited ? `Inherit (${inherited.name})` : 'Inherit (district settings)'
+    }));
+    Object.keys(state.profiles).forEach(name => {
+        select.appendChild(createElement('option', { attrs: { value: name }, text: name }));
+    });
+    select.value = own;
+    select.addEventListener('change', () => onChange(accountId, select.value || null));
+    row.appendChild(select);
+
+    nodeContainer.appendChild(row);
+    (node.children ?? []).forEach(child => {
+        nodeContainer.appendChild(renderAccountProfileNode(child, onChange, level + 1));
+    });
+    return nodeContainer;
+}
+
+/**
+ * Re-render the panel from window.CG_MANAGED
+ *
+ * Called by the loader generator after it loads the installed Theme JS, and
+ * when the staged rollout accounts change.
+ */
+export function refreshConfigProfilesPanel() {
+    if (rerenderPanel) rerenderPanel();
+}
+
+/**
+ * Render config profiles panel
+ * @param {HTMLElement} root - Root container element
+ */
+export async function renderConfigProfilesPanel(root) {
+    logger.debug('[ConfigProfiles] Rendering config profiles panel');
+
+    const { panel, body } = createCollapsiblePanel('Config Profiles', true, 'cg-section-config-profiles');
+
+    body.appendChild(createElement('div', {
+        style: { marginBottom: '12px', color: '#666', fontSize: '14px' },
+        text: 'Give an account and its sub-accounts their own settings, e.g. a different rating scale for elementary schools. '
+            + 'A profile only lists the settings that differ; everything else uses the Configuration Settings below.'
+    }));
+
+    const profileList = createElement('div');
+    body.appendChild(profileList);
+
+    // Add profile
+    const addRow = createElement('div', { style: { display: 'flex', gap: '8px', margin: '12px 0' } });
+    const nameInput = createElement('input', {
+        attrs: { class: 'ic-Input', type: 'text', placeholder: 'New profile name (e.g. Elementary)', 'aria-label': 'New profile name' }
+    });
+    addRow.appendChild(nameInput);
+    addRow.appendChild(createButton({
+        text: 'Add profile',
+        type: 'secondary',
+        onClick: () => {
+            const name = nameInput.value.trim();
+            const state = getProfileState();
+            if (!name) return;
+            if (state.profiles[name]) {
+                alert(`A profile named "${name}" already exists.`);
+                return;
+            }
+            state.profiles[name] = {};
+            nameInput.value = '';
+            logger.debug(`[ConfigProfiles] Added profile "${name}"`);
+            commit();
+        }
+    }));
+    body.appendChild(addRow);
+
+    const treeContainer = createElement('div', {
+        attrs: { class: 'cg-panel-body' },
+        style: { maxHeight: '400px', overflowY: 'auto' }
+    });
+    treeContainer.appendChild(createElement('div', {
+        style: { textAlign: 'center', padding: '20px', color: '#666' },
+        text: '⏳ Loading accounts...'
+    }));
+    body.appendChild(treeContainer);
+
+    root.appendChild(panel);
+
+    let accounts = null;
+
+    function renderProfiles() {
+        profileList.innerHTML = '';
+        const names = Object.keys(getProfileState().profiles);
+        if (names.length === 0) {
+            profileList.appendChild(createElement('div', {
+                style: { color: '#666', fontStyle: 'italic' },
+                text: 'No profiles yet. Every account uses the district settings.'
+            }));
+        }
+        names.forEach((name, index) => profileList.appendChild(renderProfileEditor(name, index, commit)));
+    }
+
+    function renderTree() {
+        if (!accounts) return;
+        // Keep the parent links in step with the current account list (new sub-accounts inherit too);
+        // the staged rollout in the version selector uses them for its accounts as well
+        const state = getProfileState();
+        state.accountParents = buildAccountParents(accounts, state.profileAccounts, state.release?.canary?.accountIds ?? []);
+
+        treeContainer.innerHTML = '';
+        buildAccountTree(accounts).forEach(rootNode => {
+            treeContainer.appendChild(renderAccountProfileNode(rootNode, (accountId, profileName) => {
+                const state = getProfileState();
+                if (profileName) state.profileAccounts[accountId] = profileName;
+                else delete state.profileAccounts[accountId];
+                logger.debug(`[ConfigProfiles] Account ${accountId} profile: ${profileName ?? 'inherit'}`);
+                commit();
+            }));
+        });
+    }
+
+    // Flag a structural change (profiles added/deleted, accounts assigned) and re-render
+    function commit() {
+        triggerConfigChangeNotification();
+        renderProfiles();
+        renderTree();
+    }
+
+    rerenderPanel = () => {
+        renderProfiles();
+        renderTree();
+    };
+    renderProfiles();
+
+    try {
+        accounts = await fetchAllAccounts();
+        renderTree();
+    } catch (error) {
+        logger.error('[ConfigProfiles] Error loading accounts:', error);
+        treeContainer.innerHTML = '';
+        treeContainer.appendChild(createElement('div', {
+            attrs: { class: 'cg-status cg-status--error' },
+            text: `❌ Error loading accounts: ${error.message}. Profiles already assigned are kept.`
+        }));
+    }
+}
@@ -26,6 +26,7 @@ import { renderThemeStatusPanels } from './themeStatusPanel.js';
 import { renderThemeCssEditorPanel } from './themeCssEditorPanel.js';
 import { renderLoaderGeneratorPanel } from './loaderGeneratorPanel.js';
 import { renderSummaryPanel } from './summaryPanel.js';
+import { renderUpdateHistoryPanel } from './updateHistoryPanel.js';
 
 import {
     createBreadcrumbs,
@@ -197,11 +198,13 @@ function buildLayoutStructure() {
  * 1. Summary (always visible) - Renders with placeholders, hydrates async
  * 2. Customized Gradebook Version (collapsed)
  * 3. Account Filter (collapsed)
- * 4. Configuration Settings (collapsed)
- * 5. Custom Grade Statuses (collapsed)
- * 6. Grading Schemes (collapsed)
- * 7. Generate Combined Loader (collapsed)
- * 8. Theme CSS Editor (collapsed, at bottom)
+ * 4. Config Profiles (collapsed)
+ * 5. Configuration Settings (collapsed)
+ * 6. Custom Grade Statuses (collapsed)
+ * 7. Grading Schemes (collapsed)
+ * 8. Generate Combined Loader (collapsed)
+ * 9. Update History (collapsed)
+ * 10. Theme CSS Editor (collapsed, at bottom)
  *
  * Note: Summary renders first with placeholders, then hydrates when data becomes available.
  * Loader Generator populates window.CG_MANAGED.config asynchronously in background.
@@ -216,20 +219,25 @@ async function renderPanels(container, ctx) {
     logger.debug('[DashboardShell] Rendering summary panel...');
     renderSummaryPanel(container, ctx);
 
-    // Panels 2-7: Loader Generator panels (renders 6 sub-panels)
+    // Panels 2-8: Loader Generator panels (renders 7 sub-panels)
     // The loader generator will populate window.CG_MANAGED.config asynchronously
     // Renders in this order:
     // - Panel 2: Customized Gradebook Version
     // - Panel 3: Account Filter
-    // - Panel 4: Configuration Settings (includes Enable Grade Override with tooltip)
-    // - Panel 5: Custom Grade Statuses
-    // - Panel 6: Grading Schemes
-    // - Panel 7: Generate Combined Loader
+    // - Panel 4: Config Profiles
+    // - Panel 5: Configuration Settings (includes Enable Grade Override with tooltip)
+    // - Panel 6: Custom Grade Statuses
+    // - Panel 7: Grading Schemes
+    // - Panel 8: Generate Combined Loader
     logger.debug('[DashboardShell] Rendering loader generator panel...');
     const currentConfig = ctx.getConfig();
     await renderLoaderGeneratorPanel(container, currentConfig);
 
-    // Panel 8: Theme CSS Editor (collapsed, at bottom - advanced feature)
+    // Panel 9: Update History (collapsed) - per-course Update Current Score run log
+    logger.debug('[DashboardShell] Rendering update history panel...');
+    renderUpdateHistoryPanel(container, ctx);
+
+    // Panel 10: Theme CSS Editor (collapsed, at bottom - advanced feature)
     logger.debug('[DashboardShell] Rendering theme CSS editor panel...');
     renderThemeCssEditorPanel(container);
 
@@ -61,6 +61,21 @@ export const DEFAULT_OUTCOME_AND_RUBRIC_RATINGS = [
  */
 export const DEFAULT_EXCLUDED_OUTCOME_KEYWORDS = ["Homework Completion"];
 
+/**
+ * Current Score aggregation defaults
+ * Strategy ids: mean, weighted_mean, decaying_average, most_recent, highest_n, power_law
+ */
+export const DEFAULT_CURRENT_SCORE_AGGREGATION = 'mean';
+export const DEFAULT_CURRENT_SCORE_AGGREGATION_BY_COURSE = {};
+export const DEFAULT_CURRENT_SCORE_AGGREGATION_OPTIONS = {};
+
+/**
+ * Per-course settings defaults
+ * Keys teachers may override for their own course (see src/services/courseConfigService.js).
+ * None by default: the district opts in to each key.
+ */
+export const DEFAULT_COURSE_OVERRIDABLE_KEYS = [];
+
 /**
  * Grading scheme configuration defaults
  */
@@ -99,21 +99,3 @@ export function escapeHtml(str) {
         .replaceAll("'", '&#39;');
 }
 
-/**
- * Download text as a file
- * 
- * @param {string} filename - File name
- * @param {string} text - File content
- */
-export function downloadText(filename, text) {
-    const blob = new Blob([text], { type: 'text/javascript;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-}
-
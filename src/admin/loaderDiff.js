@@ -0,0 +1,239 @@
+// src/admin/loaderDiff.js
+/**
+ * Loader Diff Module
+ *
+ * Compares the installed Theme JS with a newly generated A+B+C loader so
+ * admins can review the change before uploading it:
+ * - Line diff of the whole loader (unified or side-by-side hunks)
+ * - Config summary of Section B: keys added, removed or changed
+ * - Section A check: district scripts should pass through untouched
+ *
+ * Pure functions only; the loader generator panel renders the result.
+ */
+
+import { extractSections, loadManagedBlock } from './loaderGenerator.js';
+
+/** Timestamp comment of the managed block; differs on every generation */
+const GENERATED_STAMP = /^\/\* Generated: .* \*\/$/;
+
+/** Above this many line pairs the changed middle is shown as one replaced block instead of a line diff */
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: 'equal'|'add'|'remove', text: string, oldNumber: number|null, newNumber: number|null}>}
+ *   Line numbers are 1-based; an added line has no oldNumber, a removed line no newNumber
+ */
+export function diffLines(before, after) {
+    const a = before ? before.split('\n') : [];
+    const b = after ? after.split('\n') : [];
+
+    // Common prefix and suffix first: most edits touch a small part of the loader
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [];
+    const equal = (i, j) => ops.push({ type: 'equal', text: a[i], oldNumber: i + 1, newNumber: j + 1 });
+    const remove = (i) => ops.push({ type: 'remove', text: a[i], oldNumber: i + 1, newNumber: null });
+    const add = (j) => ops.push({ type: 'add', text: b[j], oldNumber: null, newNumber: j + 1 });
+
+    for (let i = 0; i < start; i++) equal(i, i);
+
+    const n = endA - start;
+    const m = endB - start;
+    if (n * m > MAX_DIFF_CELLS) {
+        for (let i = start; i < endA; i++) remove(i);
+        for (let j = start; j < endB; j++) add(j);
+    } else {
+        // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+        const width = m + 1;
+        const lcs = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[start + i] === b[start + j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[start + i] === b[start + j]) {
+                equal(start + i, start + j);
+                i++;
+                j++;
+            } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+                remove(start + i);
+                i++;
+            } else {
+                add(start + j);
+                j++;
+            }
+        }
+        for (; i < n; i++) remove(start + i);
+        for (; j < m; j++) add(start + j);
+    }
+
+    for (let k = 0; k < a.length - endA; k++) equal(endA + k, endB + k);
+    return ops;
+}
+
+/**
+ * Group a line diff into hunks with some unchanged context around each change
+ *
+ * @param {Array<Object>} ops - diffLines() result
+ * @param {number} [context=3] - Unchanged lines kept before and after a change
+ * @returns {Array<{skippedBefore: number, lines: Array<Object>}>} Hunks in order;
+ *   skippedBefore is the number of unchanged lines hidden before the hunk
+ */
+export function groupHunks(ops, context = 3) {
+    const hunks = [];
+    let current = null;
+    let lastKept = -1;
+
+    ops.forEach((op, index) => {
+        if (op.type === 'equal') return;
+
+        const from = Math.max(index - context, lastKept + 1);
+        if (!current || from > lastKept + 1) {
+            current = { skippedBefore: from - (lastKept + 1), lines: [] };
+            hunks.push(current);
+        }
+        for (let k = from; k <= index; k++) current.lines.push(ops[k]);
+        lastKept = index;
+
+        // Trailing context, stopping at the next change (it is added when reached)
+        for (let k = index + 1; k <= index + context && k < ops.length && ops[k].type === 'equal'; k++) {
+            current.lines.push(ops[k]);
+            lastKept = k;
+        }
+    });
+
+    return hunks;
+}
+
+/**
+ * Pair removed and added lines of a hunk for a side-by-side view
+ *
+ * @param {Array<Object>} lines - Lines of one hunk
+ * @returns {Array<{left: Object|null, right: Object|null}>} Rows; unchanged lines appear on both sides
+ */
+export function pairSideBySide(lines) {
+    const rows = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            rows.push({ left: removed[k] ?? null, right: added[k] ?? null });
+        }
+        removed = [];
+        added = [];
+    };
+
+    lines.forEach(line => {
+        if (line.type === 'remove') removed.push(line);
+        else if (line.type === 'add') added.push(line);
+        else {
+            flush();
+            rows.push({ left: line, right: line });
+        }
+    });
+    flush();
+
+    return rows;
+}
+
+/**
+ * Flatten a loaded managed block into comparable entries
+ *
+ * Config keys keep their name; release fields, profiles and profile
+ * assignments are prefixed (release.version, profiles.Elementary,
+ * profileAccounts.123). accountParents is derived from the account tree and
+ * left out.
+ *
+ * @param {Object} managed - loadManagedBlock() result
+ * @returns {Map<string, *>}
+ */
+function flattenManagedBlock(managed) {
+    const entries = new Map();
+    Object.entries(managed.release ?? {}).forEach(([key, value]) => entries.set(`release.${key}`, value));
+    Object.entries(managed.config ?? {}).forEach(([key, value]) => entries.set(key, value));
+    Object.entries(managed.profiles ?? {}).forEach(([name, values]) => entries.set(`profiles.${name}`, values));
+    Object.entries(managed.profileAccounts ?? {}).forEach(([id, name]) => entries.set(`profileAccounts.${id}`, name));
+    return entries;
+}
+
+/**
+ * Summarize what changed between two managed config blocks (Section B)
+ *
+ * Both blocks are upgraded to the current config version first, so a block
+ * written by an older dashboard only shows real setting changes.
+ *
+ * @param {string} beforeB - Installed Section B (may be empty)
+ * @param {string} afterB - Generated Section B
+ * @returns {{ added: Array<{key: string, after: *}>, removed: Array<{key: string, before: *}>,
+ *   changed: Array<{key: string, before: *, after: *}>, installedReadable: boolean }}
+ *   installedReadable is false when the installed block is missing or cannot be read;
+ *   every generated key is then reported as added
+ */
+export function summarizeConfigChanges(beforeB, afterB) {
+    let before = new Map();
+    let installedReadable = true;
+    try {
+        before = flattenManagedBlock(loadManagedBlock(beforeB));
+    } catch {
+        installedReadable = false;
+    }
+    const after = flattenManagedBlock(loadManagedBlock(afterB));
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    after.forEach((value, key) => {
+        if (!before.has(key)) added.push({ key, after: value });
+        else if (JSON.stringify(before.get(key)) !== JSON.stringify(value)) changed.push({ key, before: before.get(key), after: value });
+    });
+    before.forEach((value, key) => {
+        if (!after.has(key)) removed.push({ key, before: value });
+    });
+
+    return { added, removed, changed, installedReadable };
+}
+
+/**
+ * Compare the installed loader with a generated one
+ *
+ * @param {string} installedText - Installed Theme JS
+ * @param {string} generatedText - Generated A+B+C loader
+ * @returns {{ lines: Array<Object>, linesAdded: number, linesRemoved: number, unchanged: boolean,
+ *   config: Object, sectionAChanged: boolean, sectionCChanged: boolean }}
+ *   unchanged ignores the "Generated:" timestamp of Section B; config is the
+ *   summarizeConfigChanges() result. An installed loader without section
+ *   markers counts as all Section A, as in upsertCGBlockIntoLoader().
+ */
+export function compareLoaders(installedText, generatedText) {
+    const installed = extractSections(installedText);
+    const generated = extractSections(generatedText);
+    const lines = diffLines(installedText, generatedText);
+
+    return {
+        lines,
+        linesAdded: lines.filter(l => l.type === 'add').length,
+        linesRemoved: lines.filter(l => l.type === 'remove').length,
+        unchanged: lines.every(l => l.type === 'equal' || GENERATED_STAMP.test(l.text)),
+        config: summarizeConfigChanges(installed.B, generated.B),
+        sectionAChanged: (installed.A || installedText.trim()) !== generated.A,
+        sectionCChanged: installed.C !== generated.C
+    };
+}
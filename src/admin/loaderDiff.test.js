@@ -0,0 +1,88 @@
+// src/admin/loaderDiff.test.js
+import { describe, it, expect } from 'vitest';
+import { diffLines, groupHunks, pairSideBySide, summarizeConfigChanges, compareLoaders } from './loaderDiff.js';
+import { buildCGManagedBlock, upsertCGBlockIntoLoader } from './loaderGenerator.js';
+
+const districtScripts = "console.log('district analytics');\nwindow.districtBanner = true;";
+
+function loader(options, baseLoaderText = districtScripts) {
+    return upsertCGBlockIntoLoader({ baseLoaderText, cgBlock: buildCGManagedBlock({ accountId: '1', ...options }) });
+}
+
+// Changed lines apart from the "Generated:" timestamp
+function changedLines(comparison, type) {
+    return comparison.lines.filter(l => l.type === type && !l.text.startsWith('/* Generated:')).map(l => l.text);
+}
+
+describe('diffLines', () => {
+    it('marks added, removed and unchanged lines with their line numbers', () => {
+        const ops = diffLines('a\nb\nc\nd', 'a\nc\nx\nd');
+
+        expect(ops.map(op => `${op.type}:${op.text}`)).toEqual(['equal:a', 'remove:b', 'equal:c', 'add:x', 'equal:d']);
+        expect(ops[3]).toEqual({ type: 'add', text: 'x', oldNumber: null, newNumber: 3 });
+        expect(ops[4]).toEqual({ type: 'equal', text: 'd', oldNumber: 4, newNumber: 4 });
+        expect(diffLines('', 'a').map(op => op.type)).toEqual(['add']);
+    });
+
+    it('keeps only context lines around changes and pairs them for the side-by-side view', () => {
+        const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+        const after = [...before];
+        after[1] = 'changed 2';
+        after[15] = 'changed 16';
+
+        const hunks = groupHunks(diffLines(before.join('\n'), after.join('\n')), 2);
+        expect(hunks.map(h => h.skippedBefore)).toEqual([0, 9]);
+        expect(hunks[0].lines.map(l => l.text)).toEqual(['line 1', 'line 2', 'changed 2', 'line 3', 'line 4']);
+
+        const rows = pairSideBySide(hunks[1].lines);
+        expect(rows).toHaveLength(5);
+        expect(rows[2].left.text).toBe('line 16');
+        expect(rows[2].right.text).toBe('changed 16');
+    });
+});
+
+describe('loader comparison', () => {
+    it('summarizes Section B config changes by key', () => {
+        const before = buildCGManagedBlock({ accountId: '1', defaultMasteryThreshold: 3, profiles: { Elementary: {} }, profileAccounts: { 10: 'Elementary' } });
+        const after = buildCGManagedBlock({ accountId: '1', version: 'v1.0.9', defaultMasteryThreshold: 2.5, enableAccountFilter: true, allowedAccountIds: ['10'] });
+        const summary = summarizeConfigChanges(before, after);
+
+        expect(summary.installedReadable).toBe(true);
+        expect(summary.changed).toEqual(expect.arrayContaining([
+            { key: 'release.version', before: 'v1.0.3', after: 'v1.0.9' },
+            { key: 'DEFAULT_MASTERY_THRESHOLD', before: 3, after: 2.5 },
+            { key: 'ENABLE_ACCOUNT_FILTER', before: false, after: true },
+            { key: 'ALLOWED_ACCOUNT_IDS', before: [], after: ['10'] }
+        ]));
+        expect(summary.changed).toHaveLength(4);
+        expect(summary.removed.map(r => r.key)).toEqual(['profiles.Elementary', 'profileAccounts.10']);
+        expect(summary.added).toEqual([]);
+    });
+
+    it('flags changes to the district scripts in Section A', () => {
+        const installed = loader({ defaultMasteryThreshold: 3 });
+
+        const configOnly = compareLoaders(installed, loader({ defaultMasteryThreshold: 2 }));
+        expect(configOnly.sectionAChanged).toBe(false);
+        expect(configOnly.sectionCChanged).toBe(false);
+        expect(configOnly.config.changed.map(c => c.key)).toEqual(['DEFAULT_MASTERY_THRESHOLD']);
+        expect(configOnly.unchanged).toBe(false);
+        expect(changedLines(configOnly, 'add')).toEqual(['    DEFAULT_MASTERY_THRESHOLD: 2,']);
+        expect(changedLines(configOnly, 'remove')).toEqual(['    DEFAULT_MASTERY_THRESHOLD: 3,']);
+        expect(compareLoaders(installed, loader({ defaultMasteryThreshold: 3 })).unchanged).toBe(true);
+
+        const edited = compareLoaders(installed, loader({ defaultMasteryThreshold: 3 }, `${districtScripts}\nwindow.extra = 1;`));
+        expect(edited.sectionAChanged).toBe(true);
+        expect(edited.config.changed).toEqual([]);
+        expect(changedLines(edited, 'add')).toEqual(['window.extra = 1;']);
+    });
+
+    it('treats a loader without section markers as district scripts only', () => {
+        const comparison = compareLoaders(districtScripts, loader({}));
+
+        expect(comparison.sectionAChanged).toBe(false);
+        expect(comparison.sectionCChanged).toBe(true);
+        expect(comparison.config.installedReadable).toBe(false);
+        expect(comparison.config.added.map(a => a.key)).toContain('release.channel');
+    });
+});
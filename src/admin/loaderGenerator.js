@@ -9,12 +9,21 @@
  *
  * The managed config block (B):
  * - Is delimited by exact sentinels (BEGIN/END SECTION B: MANAGED CONFIG BLOCK)
- * - Contains ONLY configuration objects (window.CG_MANAGED.release and .config)
+ * - Contains ONLY configuration objects (window.CG_MANAGED.release with its
+ *   optional staged rollout in .release.canary, .config and the account config
+ *   profiles in .profiles, .profileAccounts, .accountParents)
+ *   and the config schema version they were written with (.configVersion)
  * - Is always regenerated fresh (never copied from existing loader)
+ *
+ * An existing block is read back with loadManagedBlock(), which upgrades
+ * older config versions and checks every value against src/configSchema.js.
  */
 
 import { logger } from '../utils/logger.js';
 import { CG_LOADER_TEMPLATE } from './templates/cgLoaderTemplate.js';
+import { CONFIG_VERSION, migrateConfig, validateConfig } from '../configSchema.js';
+import { validateProfiles } from './configProfiles.js';
+import { validateCanary } from './releaseRollout.js';
 import {
     DEFAULT_CHANNEL,
     DEFAULT_VERSION,
@@ -32,6 +41,10 @@ import {
     DEFAULT_MASTERY_THRESHOLD,
     DEFAULT_OUTCOME_AND_RUBRIC_RATINGS,
     DEFAULT_EXCLUDED_OUTCOME_KEYWORDS,
+    DEFAULT_CURRENT_SCORE_AGGREGATION,
+    DEFAULT_CURRENT_SCORE_AGGREGATION_BY_COURSE,
+    DEFAULT_CURRENT_SCORE_AGGREGATION_OPTIONS,
+    DEFAULT_COURSE_OVERRIDABLE_KEYS,
     DEFAULT_GRADING_SCHEME_ID,
     DEFAULT_GRADING_SCHEME,
     DEFAULT_GRADING_TYPE,
@@ -54,14 +67,17 @@ const C_END = '/* ========== END SECTION C: CG LOADER TEMPLATE ========== */';
  * Build managed config block (Section B)
  *
  * Generates the managed config block (B) with:
- * - window.CG_MANAGED.release (channel, version, source)
+ * - window.CG_MANAGED.release (channel, version, source, canary - see releaseRollout.js)
  * - window.CG_MANAGED.config (all configuration options from UI)
+ * - window.CG_MANAGED.configVersion (CONFIG_VERSION)
+ * - window.CG_MANAGED.profiles / .profileAccounts / .accountParents (see configProfiles.js)
  *
  * @param {Object} options - Configuration options
  * @param {string} options.accountId - Account ID
  * @param {string} [options.channel='prod'] - Release channel (prod/dev)
  * @param {string} [options.version='v1.0.3'] - Release version
  * @param {string} [options.source='github_release'] - Release source (github_release/pages)
+ * @param {Object|null} [options.canary=null] - Staged rollout { version, accountIds, courseIds, percentage }
  * @param {boolean} [options.enableStudentGradeCustomization=true] - Enable student grade customization
  * @param {boolean} [options.enableGradeOverride=true] - Enable grade override
  * @param {boolean} [options.enforceCourseOverride=false] - Enforce course override setting via API
@@ -73,12 +89,19 @@ const C_END = '/* ========== END SECTION C: CG LOADER TEMPLATE ========== */';
  * @param {number} [options.defaultMasteryThreshold=3] - Default mastery threshold
  * @param {Array} [options.outcomeAndRubricRatings] - Rating scale for outcomes and rubrics
  * @param {Array} [options.excludedOutcomeKeywords] - Keywords to exclude from outcomes
+ * @param {string} [options.currentScoreAggregation='mean'] - Current Score aggregation strategy id
+ * @param {Object} [options.currentScoreAggregationByCourse={}] - Per-course strategy overrides ({ courseId: strategyId })
+ * @param {Object} [options.currentScoreAggregationOptions={}] - Strategy options (highestN, decayWeight, outcomeWeights)
+ * @param {Array<string>} [options.courseOverridableKeys] - Config keys teachers may override per course
  * @param {number|null} [options.defaultGradingSchemeId=null] - Default grading scheme ID
  * @param {Object|null} [options.defaultGradingScheme=null] - Default grading scheme object
  * @param {string} [options.defaultGradingType='points'] - Default grading type for assignments
  * @param {boolean} [options.enableAccountFilter=false] - Enable account filtering
  * @param {Array<string>} [options.allowedAccountIds=[]] - Array of allowed account IDs
  * @param {string|null} [options.defaultCustomStatusId=null] - Default custom grade status ID
+ * @param {Object<string, Object>} [options.profiles={}] - Config profiles { [name]: { [key]: value } }
+ * @param {Object<string, string>} [options.profileAccounts={}] - { [accountId]: profileName }
+ * @param {Object<string, string>} [options.accountParents={}] - { [accountId]: parentAccountId } below mapped accounts
  * @returns {string} Managed config block content (Section B)
  */
 export function buildCGManagedBlock({
@@ -87,6 +110,7 @@ export function buildCGManagedBlock({
     version = DEFAULT_VERSION,
     versionTrack = DEFAULT_VERSION_TRACK,
     source = DEFAULT_SOURCE,
+    canary = null,
     enableStudentGradeCustomization = DEFAULT_ENABLE_STUDENT_GRADE_CUSTOMIZATION,
     enableGradeOverride = DEFAULT_ENABLE_GRADE_OVERRIDE,
     enforceCourseOverride = DEFAULT_ENFORCE_COURSE_OVERRIDE,
@@ -99,6 +123,10 @@ export function buildCGManagedBlock({
     defaultMasteryThreshold = DEFAULT_MASTERY_THRESHOLD,
     outcomeAndRubricRatings = DEFAULT_OUTCOME_AND_RUBRIC_RATINGS,
     excludedOutcomeKeywords = DEFAULT_EXCLUDED_OUTCOME_KEYWORDS,
+    currentScoreAggregation = DEFAULT_CURRENT_SCORE_AGGREGATION,
+    currentScoreAggregationByCourse = DEFAULT_CURRENT_SCORE_AGGREGATION_BY_COURSE,
+    currentScoreAggregationOptions = DEFAULT_CURRENT_SCORE_AGGREGATION_OPTIONS,
+    courseOverridableKeys = DEFAULT_COURSE_OVERRIDABLE_KEYS,
     defaultGradingSchemeId = DEFAULT_GRADING_SCHEME_ID,
     defaultGradingScheme = DEFAULT_GRADING_SCHEME,
     defaultGradingType = DEFAULT_GRADING_TYPE,
@@ -106,14 +134,18 @@ export function buildCGManagedBlock({
     allowedAccountIds = DEFAULT_ALLOWED_ACCOUNT_IDS,
     defaultCustomStatusId = DEFAULT_CUSTOM_STATUS_ID,
     enableGradeCustomStatus = DEFAULT_ENABLE_GRADE_CUSTOM_STATUS,
-    enableNegativeZeroCount = DEFAULT_ENABLE_NEGATIVE_ZERO_COUNT
+    enableNegativeZeroCount = DEFAULT_ENABLE_NEGATIVE_ZERO_COUNT,
+    profiles = {},
+    profileAccounts = {},
+    accountParents = {}
 }) {
     logger.debug('[LoaderGenerator] Building managed config block (Section B)', {
         accountId,
         channel,
         version,
         versionTrack,
-        source
+        source,
+        canary
     });
 
     const lines = [
@@ -126,12 +158,16 @@ export function buildCGManagedBlock({
         '',
         'window.CG_MANAGED = window.CG_MANAGED || {};',
         '',
+        '// Config schema version (older blocks are upgraded when loaded in the admin dashboard)',
+        `window.CG_MANAGED.configVersion = ${CONFIG_VERSION};`,
+        '',
         '// Release configuration',
         'window.CG_MANAGED.release = {',
         `    channel: ${JSON.stringify(channel)},`,
         `    version: ${JSON.stringify(version)},${channel === 'prod' ? '  // Keep in sync with package.json version' : ''}`,
         channel === 'auto-patch' ? `    versionTrack: ${JSON.stringify(versionTrack)},  // Auto-updates to latest patch in this track` : '',
-        `    source: ${JSON.stringify(source)}`,
+        `    source: ${JSON.stringify(source)}${canary ? ',' : ''}`,
+        canary ? `    canary: ${JSON.stringify(canary)}  // Staged rollout: these accounts/courses load canary.version` : '',
         '};',
         '',
         '// Configuration overrides',
@@ -158,6 +194,14 @@ export function buildCGManagedBlock({
         `    // Outcome filtering`,
         `    EXCLUDED_OUTCOME_KEYWORDS: ${JSON.stringify(excludedOutcomeKeywords)},`,
         '',
+        `    // Current Score aggregation`,
+        `    CURRENT_SCORE_AGGREGATION: ${JSON.stringify(currentScoreAggregation)},`,
+        `    CURRENT_SCORE_AGGREGATION_BY_COURSE: ${JSON.stringify(currentScoreAggregationByCourse)},`,
+        `    CURRENT_SCORE_AGGREGATION_OPTIONS: ${JSON.stringify(currentScoreAggregationOptions)},`,
+        '',
+        `    // Per-course settings (keys teachers may override for their own course)`,
+        `    COURSE_OVERRIDABLE_KEYS: ${JSON.stringify(courseOverridableKeys)},`,
+        '',
         `    // Grading scheme and type`,
         `    DEFAULT_GRADING_SCHEME_ID: ${defaultGradingSchemeId !== null ? defaultGradingSchemeId : 'null'},`,
         `    DEFAULT_GRADING_SCHEME: ${defaultGradingScheme !== null ? JSON.stringify(defaultGradingScheme, null, 8).replace(/\n/g, '\n    ') : 'null'},`,
@@ -175,6 +219,11 @@ export function buildCGManagedBlock({
         `    ENABLE_NEGATIVE_ZERO_COUNT: ${enableNegativeZeroCount ? 'true' : 'false'}`,
         '};',
         '',
+        '// Config profiles (settings for an account and its sub-accounts; win over the config above)',
+        `window.CG_MANAGED.profiles = ${JSON.stringify(profiles, null, 4)};`,
+        `window.CG_MANAGED.profileAccounts = ${JSON.stringify(profileAccounts)};`,
+        `window.CG_MANAGED.accountParents = ${JSON.stringify(accountParents)};`,
+        '',
         B_END
     ];
 
@@ -349,4 +398,79 @@ export function validateLoaderOutput(output) {
     }
 
     return { valid, errors };
-}
\ No newline at end of file
+}
+
+/**
+ * Read a managed config block (Section B) back into data
+ *
+ * Executes the block against a sandbox window, upgrades its config to
+ * CONFIG_VERSION (blocks without configVersion are version 1) and checks
+ * every value (including config profiles and the staged rollout) against the
+ * config schema.
+ *
+ * @param {string} sectionB - Section B content
+ * @returns {{ release: Object, config: Object, configVersion: number,
+ *   profiles: Object<string, Object>, profileAccounts: Object<string, string>, accountParents: Object<string, string>,
+ *   migrations: Array<{version: number, description: string, changes: string[]}>,
+ *   errors: Array<{key: string, path: string, message: string}>, warnings: Array<{key: string, message: string}> }}
+ *   `config` and `profiles` are upgraded; `configVersion` is the version the block was written with.
+ *   Profile problems also carry a `profile` field, and their path starts with `profiles.`;
+ *   staged rollout problems have the key `release.canary`
+ * @throws {Error} When the block cannot be executed or has no CG_MANAGED release/config
+ */
+export function loadManagedBlock(sectionB) {
+    if (!sectionB) {
+        throw new Error('Section B is empty');
+    }
+
+    const sandbox = { CG_MANAGED: null, CG_CONFIG: {} };
+    try {
+        new Function('window', sectionB)(sandbox);
+    } catch (err) {
+        logger.error('[LoaderGenerator] Failed to execute Section B', err);
+        throw new Error('Failed to parse Section B: ' + err.message);
+    }
+
+    const managed = sandbox.CG_MANAGED;
+    if (!managed || !managed.release || !managed.config) {
+        throw new Error('Section B does not contain valid CG_MANAGED structure');
+    }
+
+    const configVersion = Number.isInteger(managed.configVersion) ? managed.configVersion : 1;
+    const { config, applied } = migrateConfig(managed.config, configVersion);
+    const { errors, warnings } = validateConfig(config);
+
+    const profiles = {};
+    Object.entries(managed.profiles ?? {}).forEach(([name, values]) => {
+        const migrated = migrateConfig(values, configVersion);
+        profiles[name] = migrated.config;
+        migrated.applied.forEach(m => applied.push({ ...m, changes: m.changes.map(c => `Profile "${name}": ${c}`) }));
+    });
+    const profileAccounts = { ...(managed.profileAccounts ?? {}) };
+    const profileCheck = validateProfiles(profiles, profileAccounts);
+    profileCheck.errors.forEach(e => errors.push({ ...e, path: `profiles.${e.profile}.${e.key ?? ''}` }));
+    warnings.push(...profileCheck.warnings);
+
+    const canaryCheck = validateCanary(managed.release.canary, managed.release);
+    canaryCheck.errors.forEach(message => errors.push({ key: 'release.canary', path: 'release.canary', message }));
+    canaryCheck.warnings.forEach(message => warnings.push({ key: 'release.canary', message }));
+
+    if (applied.length > 0) {
+        logger.info(`[LoaderGenerator] Upgraded managed config from version ${configVersion} to ${CONFIG_VERSION}`, applied);
+    }
+    if (errors.length > 0) {
+        logger.warn('[LoaderGenerator] Managed config has invalid values', errors);
+    }
+
+    return {
+        release: managed.release,
+        config,
+        configVersion,
+        profiles,
+        profileAccounts,
+        accountParents: { ...(managed.accountParents ?? {}) },
+        migrations: applied,
+        errors,
+        warnings
+    };
+}
@@ -7,16 +7,25 @@
  * - Textarea locking/unlocking
  * - CG-managed block generation (CONFIG-ONLY)
  * - Combined loader output with copy/download
+ * - Change preview: diff against the installed Theme JS (see loaderDiff.js)
+ * - Staged rollout of a newer version in the version selector (see releaseRollout.js)
  */
 
 import { logger } from '../utils/logger.js';
 import { getAccountId, getInstalledThemeJsUrl } from './pageDetection.js';
-import { createElement, escapeHtml, downloadText } from './domHelpers.js';
+import { createElement, escapeHtml } from './domHelpers.js';
+import { downloadText } from '../utils/download.js';
 import { fetchTextWithTimeout } from './fetchHelpers.js';
-import { buildCGManagedBlock, upsertCGBlockIntoLoader, validateLoaderOutput, extractSections } from './loaderGenerator.js';
+import { buildCGManagedBlock, upsertCGBlockIntoLoader, validateLoaderOutput, extractSections, loadManagedBlock } from './loaderGenerator.js';
+import { compareLoaders, groupHunks, pairSideBySide } from './loaderDiff.js';
+import { isCanaryTarget, rolloutBucket, validateCanary } from './releaseRollout.js';
+import { CONFIG_VERSION } from '../configSchema.js';
 import { CG_LOADER_TEMPLATE } from './templates/cgLoaderTemplate.js';
 import { refreshGradingSchemesGridExternal, fetchGradingSchemes, renderGradingSchemesPanel } from './gradingSchemesPanel.js';
+import { renderConfigProfilesPanel, refreshConfigProfilesPanel } from './configProfilesPanel.js';
 import { CanvasApiClient } from '../utils/canvasApiClient.js';
+import { AGGREGATION_STRATEGIES } from '../services/aggregationStrategies.js';
+import { COURSE_SETTING_LABELS } from '../services/courseConfigService.js';
 import {
     createCollapsiblePanel,
     createCheckbox,
@@ -36,7 +45,11 @@ import {
     DEFAULT_MAX_POINTS,
     DEFAULT_MASTERY_THRESHOLD,
     DEFAULT_OUTCOME_AND_RUBRIC_RATINGS,
-    DEFAULT_EXCLUDED_OUTCOME_KEYWORDS
+    DEFAULT_EXCLUDED_OUTCOME_KEYWORDS,
+    DEFAULT_CURRENT_SCORE_AGGREGATION,
+    DEFAULT_CURRENT_SCORE_AGGREGATION_BY_COURSE,
+    DEFAULT_CURRENT_SCORE_AGGREGATION_OPTIONS,
+    DEFAULT_COURSE_OVERRIDABLE_KEYS
 } from './data/defaultConfigConstants.js';
 
 // Global reference to the change notification trigger function
@@ -68,31 +81,15 @@ async function fetchFinalGradeOverrideStatus(accountId) {
 /**
  * Parse configuration settings from Section B (CG_MANAGED block)
  *
+ * Older blocks are upgraded to the current config version first; the result
+ * of the schema check is returned as `configCheck`.
+ *
  * @param {string} sectionB - Section B content
  * @returns {Object} Parsed configuration settings
  */
 function parseConfigFromSectionB(sectionB) {
-    if (!sectionB) {
-        throw new Error('Section B is empty');
-    }
-
-    // Execute Section B in a sandboxed context to extract window.CG_MANAGED
-    const sandbox = { window: { CG_MANAGED: null, CG_CONFIG: {} } };
-
-    try {
-        // Create a function that executes the Section B code
-        const func = new Function('window', sectionB);
-        func(sandbox.window);
-    } catch (err) {
-        logger.error('[LoaderGeneratorPanel] Failed to execute Section B', err);
-        throw new Error('Failed to parse Section B: ' + err.message);
-    }
-
-    const managed = sandbox.window.CG_MANAGED;
-
-    if (!managed || !managed.release || !managed.config) {
-        throw new Error('Section B does not contain valid CG_MANAGED structure');
-    }
+    const { release, config, configVersion, profiles, profileAccounts, accountParents, migrations, errors, warnings } = loadManagedBlock(sectionB);
+    const managed = { release, config };
 
     // Extract all settings
     return {
@@ -100,6 +97,7 @@ function parseConfigFromSectionB(sectionB) {
         channel: managed.release.channel || 'prod',
         source: managed.release.source || 'github_release',
         versionTrack: managed.release.versionTrack || null,
+        canary: managed.release.canary || null,
         enableStudentGradeCustomization: managed.config.ENABLE_STUDENT_GRADE_CUSTOMIZATION !== false,
         enableGradeOverride: managed.config.ENABLE_GRADE_OVERRIDE !== false,
         enforceCourseOverride: managed.config.ENFORCE_COURSE_OVERRIDE === true,
@@ -112,14 +110,126 @@ function parseConfigFromSectionB(sectionB) {
         defaultMasteryThreshold: managed.config.DEFAULT_MASTERY_THRESHOLD || 3,
         outcomeAndRubricRatings: managed.config.OUTCOME_AND_RUBRIC_RATINGS || [],
         excludedOutcomeKeywords: managed.config.EXCLUDED_OUTCOME_KEYWORDS || [],
+        currentScoreAggregation: managed.config.CURRENT_SCORE_AGGREGATION || DEFAULT_CURRENT_SCORE_AGGREGATION,
+        currentScoreAggregationByCourse: managed.config.CURRENT_SCORE_AGGREGATION_BY_COURSE || {},
+        currentScoreAggregationOptions: managed.config.CURRENT_SCORE_AGGREGATION_OPTIONS || {},
+        courseOverridableKeys: managed.config.COURSE_OVERRIDABLE_KEYS ?? DEFAULT_COURSE_OVERRIDABLE_KEYS,
         defaultGradingSchemeId: managed.config.DEFAULT_GRADING_SCHEME_ID || null,
         defaultGradingScheme: managed.config.DEFAULT_GRADING_SCHEME || null,
         defaultGradingType: managed.config.DEFAULT_GRADING_TYPE || 'points',
         enableAccountFilter: managed.config.ENABLE_ACCOUNT_FILTER || false,
-        allowedAccountIds: managed.config.ALLOWED_ACCOUNT_IDS || []
+        allowedAccountIds: managed.config.ALLOWED_ACCOUNT_IDS || [],
+        profiles,
+        profileAccounts,
+        accountParents,
+        configCheck: { configVersion, migrations, errors, warnings }
     };
 }
 
+/**
+ * Form control for each config key (or key.field) shown in the configuration panel
+ * @type {Object<string, string>}
+ */
+const CONFIG_KEY_CONTROLS = {
+    ENABLE_STUDENT_GRADE_CUSTOMIZATION: 'enableStudentGrade',
+    ENABLE_GRADE_OVERRIDE: 'enableGradeOverride',
+    ENFORCE_COURSE_OVERRIDE: 'enforceCourseOverride',
+    ENFORCE_COURSE_GRADING_SCHEME: 'enforceCourseGradingScheme',
+    UPDATE_AVG_BUTTON_LABEL: 'updateAvgButtonLabel',
+    AVG_OUTCOME_NAME: 'avgOutcomeName',
+    AVG_ASSIGNMENT_NAME: 'avgAssignmentName',
+    AVG_RUBRIC_NAME: 'avgRubricName',
+    DEFAULT_MAX_POINTS: 'defaultMaxPoints',
+    DEFAULT_MASTERY_THRESHOLD: 'defaultMasteryThreshold',
+    OUTCOME_AND_RUBRIC_RATINGS: 'ratingsTextarea',
+    EXCLUDED_OUTCOME_KEYWORDS: 'keywordsInput',
+    CURRENT_SCORE_AGGREGATION: 'aggregationSelect',
+    CURRENT_SCORE_AGGREGATION_BY_COURSE: 'aggregationByCourse',
+    'CURRENT_SCORE_AGGREGATION_OPTIONS.highestN': 'aggregationHighestN',
+    'CURRENT_SCORE_AGGREGATION_OPTIONS.decayWeight': 'aggregationDecayWeight',
+    'CURRENT_SCORE_AGGREGATION_OPTIONS.outcomeWeights': 'aggregationOutcomeWeights'
+};
+
+/**
+ * Outline the controls holding invalid config values
+ *
+ * Clears earlier highlights first. Each highlight is removed once the admin
+ * edits that control.
+ *
+ * @param {Object} controls - Configuration controls
+ * @param {Array<{key: string, path: string, message: string}>} errors - From the config schema check
+ * @returns {Array<Object>} Errors with no matching control (to be listed instead)
+ */
+function highlightInvalidControls(controls, errors) {
+    document.querySelectorAll('[data-cg-invalid]').forEach(el => {
+        el.style.outline = '';
+        el.removeAttribute('aria-invalid');
+        el.removeAttribute('data-cg-invalid');
+        el.title = '';
+    });
+
+    const unmatched = [];
+    errors.forEach(error => {
+        const fieldPath = error.path.split('[')[0].split('.').slice(0, 2).join('.');
+        // Profile values are edited in the Config Profiles panel, not in these controls
+        const el = error.profile === undefined ? controls[CONFIG_KEY_CONTROLS[fieldPath] ?? CONFIG_KEY_CONTROLS[error.key]] : null;
+        if (!el) {
+            unmatched.push(error);
+            return;
+        }
+        el.style.outline = '2px solid #b00020';
+        el.setAttribute('aria-invalid', 'true');
+        el.setAttribute('data-cg-invalid', '');
+        el.title = el.title ? `${el.title}\n${error.message}` : error.message;
+        el.addEventListener('input', () => {
+            el.style.outline = '';
+            el.removeAttribute('aria-invalid');
+            el.removeAttribute('data-cg-invalid');
+            el.title = '';
+        }, { once: true });
+    });
+    return unmatched;
+}
+
+/**
+ * Status boxes describing the config schema check of a loaded Section B
+ *
+ * @param {Object} configCheck - parseConfigFromSectionB().configCheck
+ * @param {Array<Object>} unmatchedErrors - Errors without a highlighted control
+ * @returns {HTMLElement[]}
+ */
+function createConfigCheckStatus(configCheck, unmatchedErrors) {
+    const list = items => `<ul style="margin:4px 0 0 18px; padding:0;">${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    const boxes = [];
+
+    if (configCheck.migrations.length > 0) {
+        const changes = configCheck.migrations.flatMap(m => m.changes);
+        boxes.push(createElement('div', {
+            attrs: { class: 'cg-status cg-status--info' },
+            html: `🔄 Settings upgraded from config version ${configCheck.configVersion} to ${CONFIG_VERSION}.${list(changes)}<span style="color:#666; font-size:13px;">Generate and install the loader to save the upgrade.</span>`
+        }));
+    }
+
+    const highlighted = configCheck.errors.length - unmatchedErrors.length;
+    if (configCheck.errors.length > 0) {
+        boxes.push(createElement('div', {
+            attrs: { class: 'cg-status cg-status--warning' },
+            html: `⚠️ The installed loader has ${configCheck.errors.length} invalid setting${configCheck.errors.length !== 1 ? 's' : ''}; the gradebook ignores ${configCheck.errors.length !== 1 ? 'them' : 'it'} and uses the default.`
+                + (highlighted > 0 ? `<br><span style="color:#666; font-size:13px;">Fields outlined in red below show the problem.</span>` : '')
+                + (unmatchedErrors.length > 0 ? list(unmatchedErrors.map(e => e.message)) : '')
+        }));
+    }
+
+    if (configCheck.warnings.length > 0) {
+        boxes.push(createElement('div', {
+            attrs: { class: 'cg-status cg-status--info' },
+            html: `ℹ️ Notes about the installed loader:${list(configCheck.warnings.map(w => w.message))}`
+        }));
+    }
+
+    return boxes;
+}
+
 /**
  * Map channel and version to dropdown value
  *
@@ -239,6 +349,27 @@ function populateConfigurationControls(controls, parsedSettings) {
         controls.keywordsInput.value = parsedSettings.excludedOutcomeKeywords.join(', ');
     }
 
+    // Current Score aggregation
+    if (parsedSettings.currentScoreAggregation && AGGREGATION_STRATEGIES[parsedSettings.currentScoreAggregation]) {
+        controls.aggregationSelect.value = parsedSettings.currentScoreAggregation;
+    }
+    if (parsedSettings.currentScoreAggregationOptions) {
+        const { highestN, decayWeight, outcomeWeights } = parsedSettings.currentScoreAggregationOptions;
+        controls.aggregationHighestN.value = highestN !== undefined ? String(highestN) : '';
+        controls.aggregationDecayWeight.value = decayWeight !== undefined ? String(decayWeight) : '';
+        controls.aggregationOutcomeWeights.value = JSON.stringify(outcomeWeights ?? {}, null, 2);
+    }
+    if (parsedSettings.currentScoreAggregationByCourse) {
+        controls.aggregationByCourse.value = JSON.stringify(parsedSettings.currentScoreAggregationByCourse, null, 2);
+    }
+
+    // Per-course settings allow-list
+    if (Array.isArray(parsedSettings.courseOverridableKeys)) {
+        Object.entries(controls.courseOverridableKeys).forEach(([key, checkbox]) => {
+            checkbox.checked = parsedSettings.courseOverridableKeys.includes(key);
+        });
+    }
+
     // Note: Grading scheme ID is now handled by the Grading Schemes Panel
     // and stored in window.CG_MANAGED.config.DEFAULT_GRADING_SCHEME_ID
 
@@ -275,9 +406,10 @@ function populateConfigurationControls(controls, parsedSettings) {
  *
  * @param {HTMLSelectElement} versionDropdown - Version dropdown from version selector
  * @param {Object} controls - Configuration controls from configuration panel
+ * @param {Object} stagedRollout - Staged rollout controls from version selector
  * @returns {Object} { panel, tryAutoLoad }
  */
-function createGeneratorPanel(versionDropdown, controls) {
+function createGeneratorPanel(versionDropdown, controls, stagedRollout) {
     const { panel, body } = createCollapsiblePanel('Generate Combined Loader (A+B+C Model)', true, 'cg-section-loader');
 
     const installedUrl = getInstalledThemeJsUrl();
@@ -285,6 +417,7 @@ function createGeneratorPanel(versionDropdown, controls) {
     // State management for change tracking and revert functionality
     const state = {
         currentCanvasSettings: null,
+        installedLoaderText: null,
         hasUnsavedChanges: false,
         isGenerated: false
     };
@@ -335,9 +468,13 @@ function createGeneratorPanel(versionDropdown, controls) {
     // Textarea 4: Combined Output (read-only)
     const { outLabel, outTA, hint } = createOutputTextarea();
 
+    // Change preview (diff against the installed loader, shown after generation)
+    const { preview } = createChangePreview();
+
     // Auto-load function
     async function tryAutoLoad(reason) {
         loadStatus.innerHTML = '';
+        state.installedLoaderText = null;
 
         if (!installedUrl) {
             loadStatus.appendChild(createElement('div', {
@@ -362,11 +499,13 @@ function createGeneratorPanel(versionDropdown, controls) {
                 text = await fetchTextWithTimeout(installedUrl, 3000);
             }
 
-            // Success - extract sections
+            // Success - keep the installed text for the change preview, then extract sections
+            state.installedLoaderText = text;
             const { A, B, C } = extractSections(text);
             logger.debug('[LoaderGeneratorPanel] Extracted sections - A length:', A?.length, 'B length:', B?.length, 'C length:', C?.length);
 
             // Parse Section B to extract current Canvas settings
+            let configCheckStatus = [];
             try {
                 const parsedSettings = parseConfigFromSectionB(B);
                 state.currentCanvasSettings = parsedSettings;
@@ -401,11 +540,30 @@ function createGeneratorPanel(versionDropdown, controls) {
                 window.CG_MANAGED.config.DEFAULT_GRADING_SCHEME_ID = parsedSettings.defaultGradingSchemeId;
                 window.CG_MANAGED.config.DEFAULT_GRADING_SCHEME = parsedSettings.defaultGradingScheme;
 
+                // Config profiles (upgraded along with the config)
+                window.CG_MANAGED.profiles = parsedSettings.profiles;
+                window.CG_MANAGED.profileAccounts = parsedSettings.profileAccounts;
+                window.CG_MANAGED.accountParents = parsedSettings.accountParents;
+
+                // Staged rollout (stored in window.CG_MANAGED.release.canary)
+                stagedRollout.setCanary(parsedSettings.canary);
+
                 // Refresh grading schemes grid to show selected scheme
                 refreshGradingSchemesGridExternal();
+                refreshConfigProfilesPanel();
 
                 // Reset change tracking state (no unsaved changes after auto-load)
                 state.hasUnsavedChanges = false;
+                changeNotification.style.display = 'none';
+
+                // Upgraded or invalid settings: show what changed and what needs fixing
+                const { configCheck } = parsedSettings;
+                const unmatchedErrors = highlightInvalidControls(controls, configCheck.errors);
+                configCheckStatus = createConfigCheckStatus(configCheck, unmatchedErrors);
+                if (configCheck.migrations.length > 0) {
+                    // The upgraded values only reach Canvas once the loader is regenerated
+                    markAsChanged();
+                }
             } catch (err) {
                 logger.warn('[LoaderGeneratorPanel] Failed to parse current Canvas settings', err);
                 state.currentCanvasSettings = null;
@@ -416,6 +574,7 @@ function createGeneratorPanel(versionDropdown, controls) {
                 attrs: { class: 'cg-status cg-status--success' },
                 html: `✅ Loaded current Theme JavaScript automatically.<br><span style="color:#666; font-size:13px;">Sections extracted. Textarea A is locked to prevent accidental edits. Click "Unlock to edit" if needed.</span>`
             }));
+            configCheckStatus.forEach(box => loadStatus.appendChild(box));
 
             // Populate textareas with correct section assignments
             // A = Other Theme Scripts (external loader)
@@ -443,7 +602,12 @@ function createGeneratorPanel(versionDropdown, controls) {
     reloadBtn.addEventListener('click', () => tryAutoLoad('manual reload'));
 
     genBtn.addEventListener('click', () => {
-        generateCombinedLoader(baseTA, controls, configTA, outTA, dlBtn, copyBtn, versionDropdown);
+        const combined = generateCombinedLoader(baseTA, controls, configTA, outTA, dlBtn, copyBtn, versionDropdown);
+        if (combined) {
+            // Compare with the installed loader; a full loader pasted into A stands in when auto-load failed
+            const pastedLoader = extractSections(baseTA.value).B ? baseTA.value : null;
+            renderChangePreview(preview, state.installedLoaderText || pastedLoader, combined);
+        }
 
         // After successful generation:
         state.isGenerated = true;
@@ -491,6 +655,12 @@ function createGeneratorPanel(versionDropdown, controls) {
     controls.defaultMasteryThreshold.addEventListener('input', markAsChanged);
     controls.ratingsTextarea.addEventListener('input', markAsChanged);
     controls.keywordsInput.addEventListener('input', markAsChanged);
+    controls.aggregationSelect.addEventListener('change', markAsChanged);
+    controls.aggregationHighestN.addEventListener('input', markAsChanged);
+    controls.aggregationDecayWeight.addEventListener('input', markAsChanged);
+    controls.aggregationOutcomeWeights.addEventListener('input', markAsChanged);
+    controls.aggregationByCourse.addEventListener('input', markAsChanged);
+    Object.values(controls.courseOverridableKeys).forEach(checkbox => checkbox.addEventListener('change', markAsChanged));
     versionDropdown.addEventListener('change', markAsChanged);
 
     // Append all elements to panel body
@@ -519,6 +689,9 @@ function createGeneratorPanel(versionDropdown, controls) {
     body.appendChild(outTA);
     body.appendChild(hint);
 
+    // Change preview
+    body.appendChild(preview);
+
     return { panel, tryAutoLoad };
 }
 
@@ -532,7 +705,7 @@ export async function renderLoaderGeneratorPanel(root, currentConfig) {
     logger.debug('[LoaderGeneratorPanel] Rendering loader generator panel');
 
     // 1. Version selector (separate panel)
-    const { versionSelector, versionDropdown } = createVersionSelector();
+    const { versionSelector, versionDropdown, stagedRollout } = createVersionSelector();
     root.appendChild(versionSelector);
 
     // 2. Account Filter (separate panel)
@@ -540,11 +713,14 @@ export async function renderLoaderGeneratorPanel(root, currentConfig) {
     const { renderAccountFilterPanel } = await import('./accountFilterPanel.js');
     await renderAccountFilterPanel(root, currentConfig);
 
-    // 3. Configuration panel (separate panel) - AWAIT because it fetches feature flag
+    // 3. Config Profiles (separate panel)
+    await renderConfigProfilesPanel(root);
+
+    // 4. Configuration panel (separate panel) - AWAIT because it fetches feature flag
     const { container: configPanel, controls } = await createConfigurationPanel();
     root.appendChild(configPanel);
 
-    // 4. Custom Grade Statuses (separate panel)
+    // 5. Custom Grade Statuses (separate panel)
     logger.debug('[LoaderGeneratorPanel] Rendering custom grade status panel...');
     const { renderCustomGradeStatusPanel } = await import('./customGradeStatusPanel.js');
     const { CanvasApiClient } = await import('../utils/canvasApiClient.js');
@@ -557,14 +733,14 @@ export async function renderLoaderGeneratorPanel(root, currentConfig) {
     };
     await renderCustomGradeStatusPanel(root, ctx);
 
-    // 5. Grading Schemes Panel (separate panel)
+    // 6. Grading Schemes Panel (separate panel)
     const gradingSchemesContainer = createElement('div', {
         style: { marginBottom: '16px' }
     });
     root.appendChild(gradingSchemesContainer);
 
-    // 6. Generate Combined Loader panel (LAST)
-    const { panel: generatorPanel, tryAutoLoad } = createGeneratorPanel(versionDropdown, controls);
+    // 7. Generate Combined Loader panel (LAST)
+    const { panel: generatorPanel, tryAutoLoad } = createGeneratorPanel(versionDropdown, controls, stagedRollout);
     root.appendChild(generatorPanel);
 
     // Fetch and render grading schemes panel (async)
@@ -698,6 +874,10 @@ function createVersionSelector() {
     // Append the select group to the panel body
     body.appendChild(container);
 
+    // Staged rollout of a newer version (canary)
+    const stagedRollout = createStagedRolloutControls(dropdown);
+    body.appendChild(stagedRollout.container);
+
     // Fetch versions asynchronously
     (async () => {
         try {
@@ -803,6 +983,7 @@ function createVersionSelector() {
             });
 
             logger.debug('[LoaderGeneratorPanel] Version dropdown populated with', versions.length, 'options');
+            stagedRollout.setVersions(allReleases);
 
             // Apply installed version highlighting if it was set during auto-load
             if (installedVersionValue) {
@@ -877,6 +1058,8 @@ function createVersionSelector() {
                 dropdown.appendChild(option);
             });
 
+            stagedRollout.setVersions(fallbackAllVersions);
+
             // Apply installed version highlighting if it was set during auto-load
             if (installedVersionValue) {
                 logger.debug('[LoaderGeneratorPanel] Applying installed version highlighting (fallback):', installedVersionValue);
@@ -885,7 +1068,194 @@ function createVersionSelector() {
         }
     })();
 
-    return { versionSelector: panel, versionDropdown: dropdown };
+    return { versionSelector: panel, versionDropdown: dropdown, stagedRollout };
+}
+
+/**
+ * Create staged rollout (canary) controls for the version selector
+ *
+ * Listed accounts, listed courses and a share of all courses load a newer
+ * release; everyone else stays on the version selected above. Edits go
+ * straight to window.CG_MANAGED.release.canary, like the account filter.
+ *
+ * @param {HTMLSelectElement} versionDropdown - Pinned version dropdown
+ * @returns {Object} { container, setVersions, setCanary }
+ */
+function createStagedRolloutControls(versionDropdown) {
+    const container = createElement('div', {
+        attrs: { class: 'cg-staged-rollout' },
+        style: { marginTop: '16px', paddingTop: '12px', borderTop: '1px solid #eee' }
+    });
+    container.appendChild(createElement('div', {
+        html: '<strong>Staged rollout</strong>',
+        style: { marginBottom: '4px' }
+    }));
+    container.appendChild(createElement('div', {
+        style: { color: '#666', fontSize: '13px', marginBottom: '8px' },
+        text: 'Try a newer release on some accounts and courses first. Everyone else keeps the version above, '
+            + 'and pages in the rollout fall back to it if the newer release fails to load.'
+    }));
+
+    const { container: enabledGroup, checkbox: enabledCheckbox } = createCheckbox({
+        label: 'Roll out a newer version to some accounts and courses first',
+        id: 'cg-canary-enabled'
+    });
+    container.appendChild(enabledGroup);
+
+    const fields = createElement('div', { style: { display: 'none', marginLeft: '24px' } });
+    container.appendChild(fields);
+
+    const { container: versionGroup, select: versionSelect } = createSelectGroup({
+        label: 'Rollout version',
+        id: 'cg-canary-version',
+        options: [{ value: '', text: 'Loading versions...' }]
+    });
+    const { container: accountsGroup, input: accountsInput } = createFormGroup({
+        label: 'Accounts',
+        id: 'cg-canary-accounts',
+        placeholder: 'Account IDs, e.g. 12, 34',
+        tooltip: 'These accounts and all their sub-accounts get the rollout version.'
+    });
+    const { container: coursesGroup, input: coursesInput } = createFormGroup({
+        label: 'Courses',
+        id: 'cg-canary-courses',
+        placeholder: 'Course IDs, e.g. 5678, 9012'
+    });
+    const { container: percentageGroup, input: percentageInput } = createFormGroup({
+        label: 'Share of all other courses (%)',
+        id: 'cg-canary-percentage',
+        type: 'number',
+        value: '0',
+        attrs: { min: '0', max: '100', step: '1' },
+        tooltip: 'Courses are picked by their course ID, so a course always gets the same version and raising the share only adds courses.'
+    });
+    const { container: checkGroup, input: checkInput } = createFormGroup({
+        label: 'Check a course',
+        id: 'cg-canary-check-course',
+        placeholder: 'Course ID'
+    });
+    const checkResult = createElement('div', {
+        attrs: { 'aria-live': 'polite' },
+        style: { color: '#666', fontSize: '13px', marginTop: '-8px' }
+    });
+    const status = createElement('div', { style: { display: 'none', marginTop: '8px' } });
+
+    [versionGroup, accountsGroup, coursesGroup, percentageGroup, checkGroup, checkResult, status].forEach(el => fields.appendChild(el));
+
+    const parseIds = text => text.split(/[\s,]+/).filter(id => id.length > 0);
+
+    const readCanary = () => {
+        if (!enabledCheckbox.checked) return null;
+        return {
+            version: versionSelect.value,
+            accountIds: parseIds(accountsInput.value),
+            courseIds: parseIds(coursesInput.value),
+            percentage: Number(percentageInput.value || 0)
+        };
+    };
+
+    const ensureVersionOption = (version) => {
+        if (version && ![...versionSelect.options].some(o => o.value === version)) {
+            versionSelect.appendChild(createElement('option', { attrs: { value: version }, text: version }));
+        }
+    };
+
+    const showCourseCheck = (canary) => {
+        const courseId = checkInput.value.trim();
+        if (!canary || !/^\d+$/.test(courseId)) {
+            checkResult.textContent = '';
+            return;
+        }
+        const reason = isCanaryTarget(canary, { courseId });
+        const bucket = rolloutBucket(courseId);
+        if (reason === 'course') {
+            checkResult.textContent = `Course ${courseId} is listed: it gets ${canary.version}.`;
+        } else if (reason === 'percentage') {
+            checkResult.textContent = `Course ${courseId} is in the ${canary.percentage}% share (position ${bucket} of 100): it gets ${canary.version}.`;
+        } else {
+            checkResult.textContent = `Course ${courseId} stays on the version above (position ${bucket} of 100), unless its account is listed.`;
+        }
+    };
+
+    // Store the controls' values in window.CG_MANAGED.release.canary and show their check
+    const update = () => {
+        const canary = readCanary();
+        if (!window.CG_MANAGED) window.CG_MANAGED = {};
+        if (!window.CG_MANAGED.release) window.CG_MANAGED.release = {};
+        if (canary) {
+            window.CG_MANAGED.release.canary = canary;
+        } else {
+            delete window.CG_MANAGED.release.canary;
+        }
+        fields.style.display = enabledCheckbox.checked ? 'block' : 'none';
+
+        const selectedOption = versionDropdown.options[versionDropdown.selectedIndex];
+        const { errors, warnings } = validateCanary(canary, {
+            channel: selectedOption?.getAttribute('data-channel') || 'prod',
+            version: versionDropdown.value
+        });
+        const messages = [...errors, ...warnings];
+        status.className = `cg-status ${errors.length > 0 ? 'cg-status--warning' : 'cg-status--info'}`;
+        status.innerHTML = messages.map(escapeHtml).join('<br>');
+        status.style.display = messages.length > 0 ? 'block' : 'none';
+
+        showCourseCheck(canary);
+    };
+
+    // User edits: store, flag the loader as changed, and keep the sub-account links in step
+    const onEdit = (accountsChanged) => {
+        update();
+        triggerConfigChangeNotification();
+        if (accountsChanged) refreshConfigProfilesPanel();
+        logger.debug('[LoaderGeneratorPanel] Staged rollout updated:', window.CG_MANAGED.release.canary ?? 'off');
+    };
+
+    enabledCheckbox.addEventListener('change', () => {
+        if (enabledCheckbox.checked && !versionSelect.value && versionSelect.options.length > 0) {
+            versionSelect.selectedIndex = 0;
+        }
+        onEdit(true);
+    });
+    versionSelect.addEventListener('change', () => onEdit(false));
+    accountsInput.addEventListener('change', () => onEdit(true));
+    coursesInput.addEventListener('input', () => onEdit(false));
+    percentageInput.addEventListener('input', () => onEdit(false));
+    checkInput.addEventListener('input', () => showCourseCheck(readCanary()));
+    versionDropdown.addEventListener('change', update);
+
+    /**
+     * Fill the rollout version list with production releases (newest first), keeping the selection
+     * @param {string[]} releases
+     */
+    function setVersions(releases) {
+        const current = versionSelect.value;
+        versionSelect.innerHTML = '';
+        releases.forEach(version => {
+            versionSelect.appendChild(createElement('option', { attrs: { value: version }, text: version }));
+        });
+        ensureVersionOption(current);
+        if (current) versionSelect.value = current;
+        update();
+    }
+
+    /**
+     * Show a stored staged rollout (from the installed loader)
+     * @param {Object|null} canary - window.CG_MANAGED.release.canary
+     */
+    function setCanary(canary) {
+        enabledCheckbox.checked = !!canary;
+        ensureVersionOption(canary?.version);
+        if (canary?.version) versionSelect.value = canary.version;
+        accountsInput.value = (canary?.accountIds ?? []).join(', ');
+        coursesInput.value = (canary?.courseIds ?? []).join(', ');
+        percentageInput.value = String(canary?.percentage ?? 0);
+        update();
+    }
+
+    // Start from the live installed loader
+    setCanary(window.CG_MANAGED?.release?.canary ?? null);
+
+    return { container, setVersions, setCanary };
 }
 
 /**
@@ -1004,6 +1374,127 @@ async function createConfigurationPanel() {
     keywordsSection.appendChild(keywordsTitle);
     keywordsSection.appendChild(keywordsInput);
 
+    // Current Score Aggregation Section
+    const aggregationSection = createElement('div', {
+        style: {
+            marginBottom: '12px',
+            padding: '10px',
+            background: '#f5f5f5',
+            borderRadius: '6px'
+        }
+    });
+    const aggregationTitle = createElement('div', {
+        html: '<strong>Current Score Aggregation</strong>',
+        style: {
+            marginBottom: '8px',
+            fontSize: '13px',
+            color: '#2D3B45',
+            paddingLeft: '8px',
+            borderLeft: '3px solid #0374B5'
+        }
+    });
+
+    const aggregationStrategy = createSelectGroup({
+        label: 'Default Strategy',
+        id: 'cfg_currentScoreAggregation',
+        value: DEFAULT_CURRENT_SCORE_AGGREGATION,
+        options: Object.values(AGGREGATION_STRATEGIES).map(s => ({ value: s.id, text: s.label }))
+    });
+    const aggregationHighestN = createFormGroup({
+        label: 'Highest N (highest_n)',
+        id: 'cfg_aggregationHighestN',
+        type: 'number',
+        value: DEFAULT_CURRENT_SCORE_AGGREGATION_OPTIONS.highestN?.toString() ?? '',
+        attrs: { min: '1', step: '1', placeholder: '3' }
+    });
+    const aggregationDecayWeight = createFormGroup({
+        label: 'Decay Weight (decaying_average)',
+        id: 'cfg_aggregationDecayWeight',
+        type: 'number',
+        value: DEFAULT_CURRENT_SCORE_AGGREGATION_OPTIONS.decayWeight?.toString() ?? '',
+        attrs: { min: '0', max: '1', step: '0.05', placeholder: '0.65' }
+    });
+
+    const aggregationGrid = createElement('div', {
+        style: {
+            display: 'grid',
+            gridTemplateColumns: '1fr 1fr 1fr',
+            gap: '8px'
+        }
+    });
+
+    aggregationGrid.appendChild(aggregationStrategy.container);
+    aggregationGrid.appendChild(aggregationHighestN.container);
+    aggregationGrid.appendChild(aggregationDecayWeight.container);
+
+    const jsonTextareaStyle = {
+        width: '100%',
+        padding: '6px 8px',
+        border: '1px solid #ccc',
+        borderRadius: '4px',
+        fontSize: '12px',
+        fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace'
+    };
+
+    const outcomeWeightsLabel = createElement('div', {
+        text: 'Outcome Weights for weighted_mean (JSON: { "outcomeId": weight }, missing = 1)',
+        style: { fontSize: '12px', color: '#2D3B45', margin: '8px 0 4px' }
+    });
+    const aggregationOutcomeWeights = createElement('textarea', {
+        attrs: { rows: '3', spellcheck: 'false' },
+        style: jsonTextareaStyle
+    });
+    aggregationOutcomeWeights.value = JSON.stringify(DEFAULT_CURRENT_SCORE_AGGREGATION_OPTIONS.outcomeWeights ?? {}, null, 2);
+
+    const byCourseLabel = createElement('div', {
+        text: 'Per-Course Strategy (JSON: { "courseId": "strategy_id" })',
+        style: { fontSize: '12px', color: '#2D3B45', margin: '8px 0 4px' }
+    });
+    const aggregationByCourse = createElement('textarea', {
+        attrs: { rows: '3', spellcheck: 'false' },
+        style: jsonTextareaStyle
+    });
+    aggregationByCourse.value = JSON.stringify(DEFAULT_CURRENT_SCORE_AGGREGATION_BY_COURSE, null, 2);
+
+    aggregationSection.appendChild(aggregationTitle);
+    aggregationSection.appendChild(aggregationGrid);
+    aggregationSection.appendChild(outcomeWeightsLabel);
+    aggregationSection.appendChild(aggregationOutcomeWeights);
+    aggregationSection.appendChild(byCourseLabel);
+    aggregationSection.appendChild(aggregationByCourse);
+
+    // Per-Course Settings Section
+    const courseSettingsSection = createElement('div', {
+        style: {
+            marginBottom: '12px',
+            padding: '10px',
+            background: '#f5f5f5',
+            borderRadius: '6px'
+        }
+    });
+    const courseSettingsTitle = createElement('div', {
+        html: '<strong>Settings Teachers May Override per Course</strong>',
+        style: {
+            marginBottom: '8px',
+            fontSize: '13px',
+            color: '#2D3B45',
+            paddingLeft: '8px',
+            borderLeft: '3px solid #0374B5'
+        }
+    });
+    courseSettingsSection.appendChild(courseSettingsTitle);
+
+    const courseOverridableKeys = {};
+    Object.entries(COURSE_SETTING_LABELS).forEach(([key, { label }]) => {
+        const checkbox = createCheckbox({
+            label: `${label} (${key})`,
+            id: `cfg_courseOverridable_${key}`,
+            checked: DEFAULT_COURSE_OVERRIDABLE_KEYS.includes(key)
+        });
+        courseOverridableKeys[key] = checkbox.checkbox;
+        courseSettingsSection.appendChild(checkbox.container);
+    });
+
     // UI Labels Section
     const labelsSection = createElement('div', {
         style: {
@@ -1153,6 +1644,8 @@ async function createConfigurationPanel() {
     // Assemble container (body is the content area of the collapsible panel)
     body.appendChild(featureSection);
     body.appendChild(keywordsSection);
+    body.appendChild(aggregationSection);
+    body.appendChild(courseSettingsSection);
     body.appendChild(labelsSection);
     body.appendChild(outcomeSection);
     body.appendChild(ratingsSection);
@@ -1171,7 +1664,13 @@ async function createConfigurationPanel() {
             defaultMaxPoints: defaultMaxPoints.input,
             defaultMasteryThreshold: defaultMasteryThreshold.input,
             ratingsTextarea,
-            keywordsInput
+            keywordsInput,
+            aggregationSelect: aggregationStrategy.select,
+            aggregationHighestN: aggregationHighestN.input,
+            aggregationDecayWeight: aggregationDecayWeight.input,
+            aggregationOutcomeWeights,
+            aggregationByCourse,
+            courseOverridableKeys
         }
     };
 }
@@ -1566,6 +2065,162 @@ function createOutputTextarea() {
     return { outLabel, outTA, hint };
 }
 
+/**
+ * Create the change preview container (filled by renderChangePreview after generation)
+ */
+function createChangePreview() {
+    const preview = createElement('div', {
+        attrs: { id: 'cg-loader-change-preview' },
+        style: { display: 'none', marginTop: '14px' }
+    });
+
+    return { preview };
+}
+
+/**
+ * Short display form of a config value for the change summary
+ */
+function formatConfigValue(value) {
+    const text = JSON.stringify(value) ?? String(value);
+    return text.length > 80 ? `${text.slice(0, 77)}…` : text;
+}
+
+/**
+ * Diff table rows (HTML) for one view mode
+ *
+ * @param {Array<Object>} hunks - groupHunks() result
+ * @param {string} mode - 'unified' or 'split'
+ * @returns {string}
+ */
+function renderDiffRows(hunks, mode) {
+    const colors = { add: '#e6ffec', remove: '#ffebe9', equal: 'transparent' };
+    const signs = { add: '+', remove: '-', equal: ' ' };
+    const numCell = n => `<td style="color:#999; text-align:right; padding:0 6px; user-select:none; vertical-align:top;">${n ?? ''}</td>`;
+    const textCell = line => line
+        ? `<td style="background:${colors[line.type]}; white-space:pre-wrap; word-break:break-all; padding:0 6px;">${escapeHtml(`${signs[line.type]} ${line.text}`)}</td>`
+        : '<td style="background:#f6f8fa;"></td>';
+    const skipRow = count => `<tr><td colspan="${mode === 'split' ? 4 : 3}" style="background:#f1f8ff; color:#666; padding:2px 6px;">⋯ ${count} unchanged line${count !== 1 ? 's' : ''}</td></tr>`;
+
+    return hunks.map(hunk => {
+        const skipped = hunk.skippedBefore > 0 ? skipRow(hunk.skippedBefore) : '';
+        const rows = mode === 'split'
+            ? pairSideBySide(hunk.lines).map(({ left, right }) =>
+                `<tr>${numCell(left?.oldNumber)}${textCell(left && left.type !== 'add' ? left : null)}${numCell(right?.newNumber)}${textCell(right && right.type !== 'remove' ? right : null)}</tr>`)
+            : hunk.lines.map(line => `<tr>${numCell(line.oldNumber)}${numCell(line.newNumber)}${textCell(line)}</tr>`);
+        return skipped + rows.join('');
+    }).join('');
+}
+
+/**
+ * Show what the generated loader changes compared to the installed one
+ *
+ * Summary of Section B config changes, a warning when Section A (district
+ * scripts) differs, and a unified or side-by-side line diff.
+ *
+ * @param {HTMLElement} preview - Container from createChangePreview()
+ * @param {string|null} installedText - Installed Theme JS (null when it could not be loaded)
+ * @param {string} generatedText - Generated A+B+C loader
+ */
+function renderChangePreview(preview, installedText, generatedText) {
+    preview.innerHTML = '';
+    preview.style.display = 'block';
+    preview.appendChild(createElement('div', {
+        html: '<strong>Changes from the installed loader</strong> (review before uploading):',
+        style: { marginBottom: '6px' }
+    }));
+
+    if (!installedText) {
+        preview.appendChild(createElement('div', {
+            attrs: { class: 'cg-status cg-status--info' },
+            text: 'ℹ️ The installed Theme JavaScript was not loaded, so there is nothing to compare against. Reload it, or paste the full current loader into A, to see the changes.'
+        }));
+        return;
+    }
+
+    const comparison = compareLoaders(installedText, generatedText);
+    const { config } = comparison;
+    logger.debug('[LoaderGeneratorPanel] Loader changes', {
+        linesAdded: comparison.linesAdded,
+        linesRemoved: comparison.linesRemoved,
+        config
+    });
+
+    if (comparison.sectionAChanged) {
+        preview.appendChild(createElement('div', {
+            attrs: { class: 'cg-status cg-status--warning' },
+            html: '⚠️ <strong>Section A (other theme scripts) was changed.</strong> These are the district\'s own scripts and are normally preserved as-is; check the highlighted lines before uploading.'
+        }));
+    }
+
+    if (comparison.unchanged) {
+        preview.appendChild(createElement('div', {
+            attrs: { class: 'cg-status cg-status--success' },
+            text: '✅ No changes: apart from its timestamp, the generated loader is identical to the installed one.'
+        }));
+        return;
+    }
+
+    // Semantic summary of Section B
+    const code = key => `<code>${escapeHtml(key)}</code>`;
+    const value = v => escapeHtml(formatConfigValue(v));
+    const items = [
+        ...config.changed.map(c => `<li><strong>Changed</strong> ${code(c.key)}: ${value(c.before)} → ${value(c.after)}</li>`),
+        ...config.added.map(c => `<li><strong>Added</strong> ${code(c.key)}: ${value(c.after)}</li>`),
+        ...config.removed.map(c => `<li><strong>Removed</strong> ${code(c.key)} (was ${value(c.before)})</li>`)
+    ];
+    const unreadableNote = config.installedReadable
+        ? ''
+        : '<br><span style="color:#666; font-size:13px;">The installed loader has no readable managed config block, so every setting is listed as added.</span>';
+    preview.appendChild(createElement('div', {
+        attrs: { class: 'cg-status cg-status--info' },
+        html: items.length > 0
+            ? `📝 ${items.length} config change${items.length !== 1 ? 's' : ''} in Section B:<ul style="margin:4px 0 0 18px; padding:0;">${items.join('')}</ul>${unreadableNote}`
+            : `📝 No config changes in Section B.${unreadableNote}`
+    }));
+
+    if (comparison.sectionCChanged) {
+        preview.appendChild(createElement('div', {
+            attrs: { class: 'cg-status cg-status--info' },
+            text: '🔧 The CG loader template (Section C) is updated to the version in this dashboard.'
+        }));
+    }
+
+    // Line diff
+    const hunks = groupHunks(comparison.lines);
+    const diffView = createElement('div', {
+        style: {
+            maxHeight: '400px',
+            overflow: 'auto',
+            border: '1px solid #ccc',
+            borderRadius: '8px',
+            fontSize: '12px',
+            fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace'
+        }
+    });
+
+    const toolbar = createElement('div', {
+        style: { display: 'flex', alignItems: 'center', gap: '8px', margin: '10px 0 6px' }
+    });
+    toolbar.appendChild(createElement('span', {
+        style: { flex: '1', color: '#666', fontSize: '13px' },
+        html: `<span style="color:#1a7f37;">+${comparison.linesAdded}</span> / <span style="color:#cf222e;">−${comparison.linesRemoved}</span> lines`
+    }));
+
+    const modeButtons = {};
+    const showMode = (mode) => {
+        diffView.innerHTML = `<table style="width:100%; border-collapse:collapse; table-layout:auto;">${renderDiffRows(hunks, mode)}</table>`;
+        Object.entries(modeButtons).forEach(([m, btn]) => btn.setAttribute('aria-pressed', String(m === mode)));
+    };
+    [['unified', 'Unified'], ['split', 'Side by side']].forEach(([mode, label]) => {
+        modeButtons[mode] = createButton({ text: label, type: 'secondary', onClick: () => showMode(mode) });
+        toolbar.appendChild(modeButtons[mode]);
+    });
+
+    preview.appendChild(toolbar);
+    preview.appendChild(diffView);
+    showMode('unified');
+}
+
 /**
  * Set loader text and lock state
  */
@@ -1597,6 +2252,8 @@ function setLocked(textarea, locked, unlockBtn, relockBtn) {
  * A = Other Theme Scripts (preserved exactly as-is from textarea)
  * B = CG_LOADER_TEMPLATE (from codebase)
  * C = Managed config block (generated fresh from UI state)
+ *
+ * @returns {string|undefined} The combined loader, or undefined when generation was stopped
  */
 function generateCombinedLoader(baseTA, controls, configTA, outTA, dlBtn, copyBtn, versionDropdown) {
     const baseText = baseTA.value || '';
@@ -1624,6 +2281,32 @@ function generateCombinedLoader(baseTA, controls, configTA, outTA, dlBtn, copyBt
         .map(k => k.trim())
         .filter(k => k.length > 0);
 
+    // Parse Current Score aggregation settings
+    let currentScoreAggregationByCourse;
+    const currentScoreAggregationOptions = {};
+    try {
+        currentScoreAggregationByCourse = JSON.parse(controls.aggregationByCourse.value || '{}');
+        const outcomeWeights = JSON.parse(controls.aggregationOutcomeWeights.value || '{}');
+        if (Array.isArray(currentScoreAggregationByCourse) || typeof currentScoreAggregationByCourse !== 'object' ||
+            Array.isArray(outcomeWeights) || typeof outcomeWeights !== 'object') {
+            throw new Error('Aggregation settings must be JSON objects');
+        }
+        const unknown = Object.values(currentScoreAggregationByCourse ?? {}).filter(id => !AGGREGATION_STRATEGIES[id]);
+        if (unknown.length) {
+            throw new Error(`Unknown strategy id(s): ${unknown.join(', ')}`);
+        }
+        if (outcomeWeights && Object.keys(outcomeWeights).length) {
+            currentScoreAggregationOptions.outcomeWeights = outcomeWeights;
+        }
+    } catch (err) {
+        alert('Invalid Current Score Aggregation settings. Please fix the JSON.\n\nError: ' + err.message);
+        return;
+    }
+    const highestN = parseInt(controls.aggregationHighestN.value, 10);
+    if (Number.isFinite(highestN) && highestN > 0) currentScoreAggregationOptions.highestN = highestN;
+    const decayWeight = parseFloat(controls.aggregationDecayWeight.value);
+    if (Number.isFinite(decayWeight)) currentScoreAggregationOptions.decayWeight = decayWeight;
+
     // Parse grading scheme ID and object from Grading Schemes Panel
     // (stored in window.CG_MANAGED.config by accountSettingsPanel.js)
     let defaultGradingSchemeId = window.CG_MANAGED?.config?.DEFAULT_GRADING_SCHEME_ID || null;
@@ -1653,6 +2336,7 @@ function generateCombinedLoader(baseTA, controls, configTA, outTA, dlBtn, copyBt
         version: fallbackVersion,
         versionTrack: selectedTrack,
         source: 'github_release',
+        canary: window.CG_MANAGED?.release?.canary || null,
         enableStudentGradeCustomization: !!controls.enableStudentGrade.checked,
         enableGradeOverride: !!controls.enableGradeOverride.checked,
         enforceCourseOverride: !!controls.enforceCourseOverride.checked,
@@ -1665,6 +2349,12 @@ function generateCombinedLoader(baseTA, controls, configTA, outTA, dlBtn, copyBt
         defaultMasteryThreshold: parseFloat(controls.defaultMasteryThreshold.value) || 3,
         outcomeAndRubricRatings,
         excludedOutcomeKeywords,
+        currentScoreAggregation: controls.aggregationSelect.value,
+        currentScoreAggregationByCourse: currentScoreAggregationByCourse ?? {},
+        currentScoreAggregationOptions,
+        courseOverridableKeys: Object.entries(controls.courseOverridableKeys)
+            .filter(([, checkbox]) => checkbox.checked)
+            .map(([key]) => key),
         defaultGradingSchemeId,
         defaultGradingScheme,
         defaultGradingType,
@@ -1672,9 +2362,20 @@ function generateCombinedLoader(baseTA, controls, configTA, outTA, dlBtn, copyBt
         allowedAccountIds: window.CG_MANAGED?.config?.ALLOWED_ACCOUNT_IDS || [],
         defaultCustomStatusId: window.CG_MANAGED?.config?.DEFAULT_CUSTOM_STATUS_ID || null,
         enableGradeCustomStatus: window.CG_MANAGED?.config?.ENABLE_GRADE_CUSTOM_STATUS || false,
-        enableNegativeZeroCount: window.CG_MANAGED?.config?.ENABLE_NEGATIVE_ZERO_COUNT || false
+        enableNegativeZeroCount: window.CG_MANAGED?.config?.ENABLE_NEGATIVE_ZERO_COUNT || false,
+        profiles: window.CG_MANAGED?.profiles || {},
+        profileAccounts: window.CG_MANAGED?.profileAccounts || {},
+        accountParents: window.CG_MANAGED?.accountParents || {}
     });
 
+    // Check the generated values against the config schema
+    const { errors: configErrors } = loadManagedBlock(cgBlock);
+    if (configErrors.length > 0) {
+        highlightInvalidControls(controls, configErrors);
+        alert('Some settings are invalid. Please fix them before generating the loader.\n\n' + configErrors.map(e => e.message).join('\n'));
+        return;
+    }
+
     // Update config preview textarea (C)
     configTA.value = cgBlock;
 
@@ -1732,6 +2433,8 @@ function generateCombinedLoader(baseTA, controls, configTA, outTA, dlBtn, copyBt
 
     addHoverEffect(dlBtn);
     addHoverEffect(copyBtn);
+
+    return combined;
 }
 
 /**
@@ -91,6 +91,7 @@ export function renderHeader(container) {
     const navItems = [
         ["Summary", "cg-section-summary"],
         ["Account Filter", "cg-section-account-filter"],
+        ["Profiles", "cg-section-config-profiles"],
         ["Settings", "cg-section-settings"],
         ["Loader Builder", "cg-section-loader"],
     ];
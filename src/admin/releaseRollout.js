@@ -0,0 +1,120 @@
+// src/admin/releaseRollout.js
+/**
+ * Staged Rollout (Canary Release)
+ *
+ * Lets a newer version reach some of the district before everyone else. The
+ * pinned release (channel/version) stays the default; the canary is stored
+ * in the managed block (Section B) next to it:
+ *
+ *   window.CG_MANAGED.release.canary = {
+ *       version: 'v1.0.7',      // production release the canary group loads
+ *       accountIds: ['123'],    // these accounts and their sub-accounts
+ *       courseIds: ['4567'],    // these courses
+ *       percentage: 10          // this share of all other courses (0-100)
+ *   }
+ *
+ * The loader (Section C, cgLoaderTemplate.js) picks the canary the same way
+ * as isCanaryTarget() below and falls back to the pinned release when the
+ * canary bundle fails to load. Sub-accounts of a canary account are found
+ * through window.CG_MANAGED.accountParents (see configProfiles.js).
+ */
+
+/** Canary versions are production release tags */
+const RELEASE_TAG_PATTERN = /^v\d+\.\d+\.\d+$/;
+
+/** Canvas account and course IDs */
+const ID_PATTERN = /^\d+$/;
+
+/** Longest account chain walked (guards against a cycle in accountParents) */
+const MAX_ACCOUNT_DEPTH = 50;
+
+/**
+ * Rollout bucket of a course (0-99)
+ *
+ * FNV-1a hash of the course ID, so a course lands in the same bucket on every
+ * page load and raising the percentage only adds courses. Same hash as
+ * Section C of the loader.
+ *
+ * @param {string|number} courseId
+ * @returns {number}
+ */
+export function rolloutBucket(courseId) {
+    const text = String(courseId);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % 100;
+}
+
+/**
+ * Why a page gets the canary version, if it does
+ *
+ * @param {Object|null} canary - window.CG_MANAGED.release.canary
+ * @param {Object} page
+ * @param {string|number|null} [page.accountId] - ENV.ACCOUNT_ID
+ * @param {string|number|null} [page.courseId] - Current course, if any
+ * @param {Object<string, string>} [page.accountParents] - { [accountId]: parentAccountId }
+ * @returns {'account'|'course'|'percentage'|null} null when the page stays on the pinned release
+ */
+export function isCanaryTarget(canary, { accountId = null, courseId = null, accountParents = {} } = {}) {
+    if (!canary?.version) return null;
+
+    const accountIds = (canary.accountIds ?? []).map(String);
+    let id = accountId != null ? String(accountId) : null;
+    for (let depth = 0; id && depth < MAX_ACCOUNT_DEPTH; depth++) {
+        if (accountIds.includes(id)) return 'account';
+        id = accountParents[id] != null ? String(accountParents[id]) : null;
+    }
+
+    if (courseId == null) return null;
+    if ((canary.courseIds ?? []).map(String).includes(String(courseId))) return 'course';
+    if (rolloutBucket(courseId) < (canary.percentage ?? 0)) return 'percentage';
+    return null;
+}
+
+/**
+ * Check a canary against the pinned release
+ *
+ * @param {Object|null|undefined} canary - window.CG_MANAGED.release.canary (none is valid)
+ * @param {Object} [release] - The pinned release it belongs to
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateCanary(canary, release = {}) {
+    const errors = [];
+    const warnings = [];
+    if (canary == null) return { errors, warnings };
+
+    if (typeof canary !== 'object' || Array.isArray(canary)) {
+        errors.push('Staged rollout must be an object');
+        return { errors, warnings };
+    }
+
+    if (!RELEASE_TAG_PATTERN.test(canary.version ?? '')) {
+        errors.push(`Staged rollout version must be a release tag like v1.0.7 (got ${JSON.stringify(canary.version ?? null)})`);
+    } else if (release.channel === 'prod' && canary.version === release.version) {
+        warnings.push(`Staged rollout version ${canary.version} is the same as the pinned version`);
+    }
+
+    ['accountIds', 'courseIds'].forEach(field => {
+        const ids = canary[field] ?? [];
+        if (!Array.isArray(ids)) {
+            errors.push(`Staged rollout ${field} must be a list of IDs`);
+        } else {
+            const invalid = ids.filter(id => !ID_PATTERN.test(String(id)));
+            if (invalid.length > 0) errors.push(`Staged rollout ${field} must be numeric IDs (got ${invalid.join(', ')})`);
+        }
+    });
+
+    const percentage = canary.percentage ?? 0;
+    if (!Number.isInteger(percentage) || percentage < 0 || percentage > 100) {
+        errors.push(`Staged rollout percentage must be a whole number from 0 to 100 (got ${JSON.stringify(percentage)})`);
+    }
+
+    if (errors.length === 0 && !canary.accountIds?.length && !canary.courseIds?.length && !percentage) {
+        warnings.push('Staged rollout has no accounts, courses or percentage, so nobody gets the canary version');
+    }
+
+    return { errors, warnings };
+}
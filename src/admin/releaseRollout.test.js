@@ -0,0 +1,103 @@
+// src/admin/releaseRollout.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { isCanaryTarget, rolloutBucket, validateCanary } from './releaseRollout.js';
+import { buildAccountParents } from './configProfiles.js';
+import { buildCGManagedBlock, loadManagedBlock } from './loaderGenerator.js';
+import { CG_LOADER_TEMPLATE } from './templates/cgLoaderTemplate.js';
+
+// 1 (district) ── 10 (Pilot schools) ── 11 (Pilot elementary)
+//              └─ 20 (Other)
+const accounts = [
+    { id: 1, parent_account_id: null },
+    { id: 10, parent_account_id: 1 },
+    { id: 11, parent_account_id: 10 },
+    { id: 20, parent_account_id: 1 }
+];
+const canary = { version: 'v1.0.7', accountIds: ['10'], courseIds: ['555'], percentage: 20 };
+
+// First course IDs inside and outside the 20% share
+const courseIds = Array.from({ length: 200 }, (_, i) => String(1000 + i));
+const inShare = courseIds.find(id => rolloutBucket(id) < 20);
+const outOfShare = courseIds.find(id => rolloutBucket(id) >= 20);
+
+describe('staged rollout', () => {
+    it('spreads courses over stable buckets', () => {
+        expect(rolloutBucket('1234')).toBe(rolloutBucket(1234));
+        const share = courseIds.filter(id => rolloutBucket(id) < 20).length / courseIds.length;
+        expect(share).toBeGreaterThan(0.1);
+        expect(share).toBeLessThan(0.3);
+    });
+
+    it('picks listed accounts with their sub-accounts, listed courses and the percentage share', () => {
+        const accountParents = buildAccountParents(accounts, {}, canary.accountIds);
+        expect(accountParents).toEqual({ 11: '10' });
+
+        expect(isCanaryTarget(canary, { accountId: 11, courseId: outOfShare, accountParents })).toBe('account');
+        expect(isCanaryTarget(canary, { accountId: 20, courseId: '555', accountParents })).toBe('course');
+        expect(isCanaryTarget(canary, { accountId: 20, courseId: inShare, accountParents })).toBe('percentage');
+        expect(isCanaryTarget(canary, { accountId: 20, courseId: outOfShare, accountParents })).toBeNull();
+        expect(isCanaryTarget(canary, { accountId: 20, accountParents })).toBeNull();
+        expect(isCanaryTarget(null, { accountId: 10 })).toBeNull();
+    });
+
+    it('checks the rollout settings in the managed block', () => {
+        expect(validateCanary(canary, { channel: 'prod', version: 'v1.0.6' })).toEqual({ errors: [], warnings: [] });
+        expect(validateCanary({ version: 'v1.0.6' }, { channel: 'prod', version: 'v1.0.6' }).warnings).toHaveLength(2);
+
+        const block = buildCGManagedBlock({
+            accountId: '1',
+            canary: { version: 'latest', accountIds: ['ten'], courseIds: [], percentage: 150 }
+        });
+        expect(loadManagedBlock(block).errors.map(e => e.message)).toEqual([
+            'Staged rollout version must be a release tag like v1.0.7 (got "latest")',
+            'Staged rollout accountIds must be numeric IDs (got ten)',
+            'Staged rollout percentage must be a whole number from 0 to 100 (got 150)'
+        ]);
+
+        const loaded = loadManagedBlock(buildCGManagedBlock({ accountId: '1', canary }));
+        expect(loaded.release.canary).toEqual(canary);
+        expect(loaded.errors).toEqual([]);
+    });
+});
+
+describe('loader template staged rollout', () => {
+    const bundle = () => document.getElementById('cg_prod_bundle');
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        document.head.innerHTML = '';
+        window.CG_CONFIG = {};
+        window.CG_MANAGED = {
+            release: { channel: 'prod', version: 'v1.0.6', source: 'github_release', canary },
+            config: {},
+            accountParents: buildAccountParents(accounts, {}, canary.accountIds)
+        };
+    });
+    afterEach(() => vi.restoreAllMocks());
+
+    it('loads the canary version for the rollout group and the pinned version elsewhere', () => {
+        window.ENV = { ACCOUNT_ID: 20, COURSE_ID: inShare };
+        new Function(CG_LOADER_TEMPLATE)();
+        expect(bundle().src).toContain('/download/v1.0.7/');
+        expect(window.CG_MANAGED.activeRelease).toBe('canary');
+
+        document.head.innerHTML = '';
+        window.ENV = { ACCOUNT_ID: 20, COURSE_ID: outOfShare };
+        delete window.CG_MANAGED.activeRelease;
+        new Function(CG_LOADER_TEMPLATE)();
+        expect(bundle().src).toContain('/download/v1.0.6/');
+        expect(window.CG_MANAGED.activeRelease).toBeUndefined();
+    });
+
+    it('falls back to the pinned version when the canary bundle fails to load', () => {
+        window.ENV = { ACCOUNT_ID: 11 };
+        new Function(CG_LOADER_TEMPLATE)();
+        expect(bundle().src).toContain('/download/v1.0.7/');
+
+        bundle().onerror();
+        expect(document.querySelectorAll('#cg_prod_bundle')).toHaveLength(1);
+        expect(bundle().src).toContain('/download/v1.0.6/');
+        expect(window.CG_MANAGED.activeRelease).toBe('pinned');
+    });
+});
@@ -8,8 +8,12 @@
  *
  * This template:
  * - Is an IIFE that loads the CG bundle
+ * - Applies the config profile of the current account (or its nearest
+ *   ancestor with one) from window.CG_MANAGED.profiles
  * - Merges config safely from window.CG_MANAGED.config
  * - Determines bundle URL from window.CG_MANAGED.release
+ * - Loads release.canary.version instead for the staged rollout group
+ *   (see releaseRollout.js), falling back to the pinned release on failure
  * - Uses script ID guard to prevent duplicate loading
  */
 
@@ -22,6 +26,29 @@ export const CG_LOADER_TEMPLATE = `
     // Initialize CG_CONFIG if not already present (allows pre-configuration)
     window.CG_CONFIG = window.CG_CONFIG || {};
 
+    // Config profile: walk up from the current account to the nearest account with a profile
+    if (window.CG_MANAGED && window.CG_MANAGED.profiles && window.CG_MANAGED.profileAccounts) {
+        const parents = window.CG_MANAGED.accountParents || {};
+        let accountId = window.ENV?.ACCOUNT_ID ? String(window.ENV.ACCOUNT_ID) : null;
+        let profileName = null;
+        for (let depth = 0; accountId && !profileName && depth < 50; depth++) {
+            profileName = window.CG_MANAGED.profileAccounts[accountId] || null;
+            accountId = parents[accountId] ? String(parents[accountId]) : null;
+        }
+
+        const profile = profileName && window.CG_MANAGED.profiles[profileName];
+        if (profile) {
+            // Profile values win over the managed config, but not over pre-configured CG_CONFIG
+            for (const key in profile) {
+                if (window.CG_CONFIG[key] === undefined) {
+                    window.CG_CONFIG[key] = profile[key];
+                }
+            }
+            window.CG_MANAGED.activeProfile = profileName;
+            console.log(\`[CG] Using config profile "\${profileName}"\`);
+        }
+    }
+
     // Merge managed config if present (only for undefined keys)
     if (window.CG_MANAGED && window.CG_MANAGED.config) {
         for (const key in window.CG_MANAGED.config) {
@@ -138,42 +165,107 @@ export const CG_LOADER_TEMPLATE = `
         document.head.appendChild(script);
     }
 
+    function loadCanaryScript(version, onFailure) {
+        const script = document.createElement("script");
+        script.id = bundleId;
+        script.defer = true;
+        script.src = \`https://github.com/morenet-canvas/CustomizedGradebook/releases/download/\${version}/customGradebookInit.js\`;
+        script.onload = () => console.log(\`[CG] Loaded customGradebookInit.js (CANARY \${version})\`);
+        script.onerror = () => {
+            console.warn(\`[CG] Failed to load customGradebookInit.js (CANARY \${version}), falling back to the pinned release\`);
+            script.remove();
+            onFailure();
+        };
+        document.head.appendChild(script);
+    }
+
+    // Same course, same bucket (0-99) on every page load: FNV-1a hash of the course ID
+    function rolloutBucket(courseId) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < courseId.length; i++) {
+            hash ^= courseId.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) % 100;
+    }
+
     // ========================================================================
     // CHANNEL-SPECIFIC LOADING LOGIC
     // ========================================================================
 
-    // Auto-patch channel: fetch version from manifest
-    if (release.channel === "auto-patch" && release.versionTrack) {
-        console.log(\`[CG] Auto-patch mode: fetching version manifest for track "\${release.versionTrack}"\`);
-        const manifestUrl = "https://morenet-canvas.github.io/CustomizedGradebook/versions.json";
-        const fallbackVersion = release.version || "v1.0.3";
-        const cacheBuster = Date.now();
-
-        fetch(\`\${manifestUrl}?t=\${cacheBuster}\`)
-            .then(response => {
-                console.log(\`[CG] Manifest fetch response: \${response.status} \${response.statusText}\`);
-                if (!response.ok) throw new Error(\`HTTP \${response.status}\`);
-                return response.json();
-            })
-            .then(manifest => {
-                console.log(\`[CG] Manifest loaded:\`, manifest);
-                const resolvedVersion = manifest[release.versionTrack];
-                if (!resolvedVersion) {
-                    console.warn(\`[CG] Version track "\${release.versionTrack}" not found in manifest, using fallback: \${fallbackVersion}\`);
+    function loadPinnedRelease() {
+        // Auto-patch channel: fetch version from manifest
+        if (release.channel === "auto-patch" && release.versionTrack) {
+            console.log(\`[CG] Auto-patch mode: fetching version manifest for track "\${release.versionTrack}"\`);
+            const manifestUrl = "https://morenet-canvas.github.io/CustomizedGradebook/versions.json";
+            const fallbackVersion = release.version || "v1.0.3";
+            const cacheBuster = Date.now();
+
+            fetch(\`\${manifestUrl}?t=\${cacheBuster}\`)
+                .then(response => {
+                    console.log(\`[CG] Manifest fetch response: \${response.status} \${response.statusText}\`);
+                    if (!response.ok) throw new Error(\`HTTP \${response.status}\`);
+                    return response.json();
+                })
+                .then(manifest => {
+                    console.log(\`[CG] Manifest loaded:\`, manifest);
+                    const resolvedVersion = manifest[release.versionTrack];
+                    if (!resolvedVersion) {
+                        console.warn(\`[CG] Version track "\${release.versionTrack}" not found in manifest, using fallback: \${fallbackVersion}\`);
+                        loadScript(fallbackVersion);
+                    } else {
+                        console.log(\`[CG] Resolved \${release.versionTrack} → \${resolvedVersion}\`);
+                        loadScript(resolvedVersion);
+                    }
+                })
+                .catch(error => {
+                    console.warn(\`[CG] Failed to fetch version manifest: \${error.message}, using fallback: \${fallbackVersion}\`);
                     loadScript(fallbackVersion);
-                } else {
-                    console.log(\`[CG] Resolved \${release.versionTrack} → \${resolvedVersion}\`);
-                    loadScript(resolvedVersion);
-                }
-            })
-            .catch(error => {
-                console.warn(\`[CG] Failed to fetch version manifest: \${error.message}, using fallback: \${fallbackVersion}\`);
-                loadScript(fallbackVersion);
-            });
+                });
+            return;
+        }
+
+        // Standard channels: load immediately
+        loadScriptSync();
+    }
+
+    // ========================================================================
+    // CG LOADER - STAGED ROLLOUT (CANARY)
+    // ========================================================================
+
+    // Listed accounts (and their sub-accounts), listed courses and a fixed share of
+    // courses load the canary version; everyone else stays on the pinned release
+    const canary = release.canary && release.canary.version ? release.canary : null;
+    let canaryReason = null;
+    if (canary) {
+        const courseMatch = window.location.pathname.match(/^\\/courses\\/(\\d+)/);
+        const courseId = window.ENV?.COURSE_ID ? String(window.ENV.COURSE_ID) : (courseMatch ? courseMatch[1] : null);
+        const canaryAccounts = (canary.accountIds || []).map(String);
+        const parents = window.CG_MANAGED.accountParents || {};
+        let accountId = window.ENV?.ACCOUNT_ID ? String(window.ENV.ACCOUNT_ID) : null;
+        for (let depth = 0; accountId && !canaryReason && depth < 50; depth++) {
+            if (canaryAccounts.includes(accountId)) canaryReason = "account " + accountId;
+            accountId = parents[accountId] ? String(parents[accountId]) : null;
+        }
+        if (!canaryReason && courseId) {
+            if ((canary.courseIds || []).map(String).includes(courseId)) {
+                canaryReason = "course " + courseId;
+            } else if (rolloutBucket(courseId) < (canary.percentage || 0)) {
+                canaryReason = \`\${canary.percentage}% of courses\`;
+            }
+        }
+    }
+
+    if (canaryReason) {
+        window.CG_MANAGED.activeRelease = "canary";
+        console.log(\`[CG] Staged rollout: loading \${canary.version} (\${canaryReason})\`);
+        loadCanaryScript(canary.version, () => {
+            window.CG_MANAGED.activeRelease = "pinned";
+            loadPinnedRelease();
+        });
         return;
     }
 
-    // Standard channels: load immediately
-    loadScriptSync();
+    loadPinnedRelease();
 })();
 `.trim();
\ No newline at end of file
@@ -12,7 +12,8 @@
 
 import { logger } from '../utils/logger.js';
 import { getInstalledThemeCssUrl } from './pageDetection.js';
-import { createElement, downloadText } from './domHelpers.js';
+import { createElement } from './domHelpers.js';
+import { downloadText } from '../utils/download.js';
 import { createCollapsiblePanel, createTextarea } from './canvasFormHelpers.js';
 import { fetchTextWithTimeout } from './fetchHelpers.js';
 
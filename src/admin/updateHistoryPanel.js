@@ -0,0 +1,74 @@
+// src/admin/updateHistoryPanel.js
+/**
+ * Update History Panel Module
+ *
+ * Lets admins and instructional coaches review the Update Current Score run
+ * history of any course (MOREnet_CustomizedGradebook/update_history.json).
+ * Uses the same table renderer as the gradebook's "Update history" modal.
+ */
+
+import { logger } from '../utils/logger.js';
+import { createElement, escapeHtml } from './domHelpers.js';
+import { createCollapsiblePanel, createFormGroup, createButton } from './canvasFormHelpers.js';
+import { readRunHistory } from '../services/runHistoryService.js';
+import { renderRunHistoryTable, injectRunHistoryStyles } from '../gradebook/ui/runHistoryPanel.js';
+
+/**
+ * Render Update History Panel
+ *
+ * @param {HTMLElement} container - Container element
+ * @param {Object} ctx - Dashboard context (uses ctx.api)
+ */
+export function renderUpdateHistoryPanel(container, ctx) {
+    logger.debug('[UpdateHistoryPanel] Rendering update history panel');
+    injectRunHistoryStyles();
+
+    const { panel, body } = createCollapsiblePanel('🕘 Update History', true, 'cg-section-update-history');
+
+    const helperText = createElement('div', {
+        style: {
+            fontSize: '13px',
+            color: '#666',
+            marginBottom: '12px',
+            padding: '8px',
+            background: '#f5f5f5',
+            borderRadius: '4px'
+        },
+        text: 'Every Update Current Score run is logged in the course files. Enter a course ID to review who ran it, when, with which settings, and any errors.'
+    });
+    body.appendChild(helperText);
+
+    const { container: courseGroup, input: courseInput } = createFormGroup({
+        label: 'Course ID',
+        id: 'cg-update-history-course',
+        placeholder: 'e.g. 12345'
+    });
+    body.appendChild(courseGroup);
+
+    const results = createElement('div', { style: { marginTop: '12px' } });
+
+    const load = async () => {
+        const courseId = courseInput.value.trim();
+        if (!/^\d+$/.test(courseId)) {
+            results.innerHTML = '<div class="cg-status cg-status--warning">Enter a numeric course ID.</div>';
+            return;
+        }
+
+        results.innerHTML = '<div class="cg-status cg-status--info">⏳ Loading update history...</div>';
+        try {
+            const history = await readRunHistory(courseId, ctx.api);
+            results.innerHTML = renderRunHistoryTable(history.entries);
+        } catch (error) {
+            logger.error('[UpdateHistoryPanel] Failed to load update history', error);
+            results.innerHTML = `<div class="cg-status cg-status--error">Could not load update history: ${escapeHtml(error.message)}</div>`;
+        }
+    };
+
+    courseInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') load();
+    });
+    body.appendChild(createButton({ text: 'Load history', type: 'secondary', onClick: load }));
+    body.appendChild(results);
+
+    container.appendChild(panel);
+}
@@ -22,7 +22,11 @@
  * 2. Loader sets window.CG_CONFIG with user-customized values
  * 3. Loader injects the main bundle script
  * 4. Main bundle loads and this config.js module is imported
- * 5. Constants read from window.CG_CONFIG (if set) or use defaults below
+ * 5. window.CG_CONFIG is upgraded and checked against configSchema.js; invalid
+ *    values are logged and dropped
+ * 6. Constants read from the checked config (if set) or use defaults below
+ * 7. On course pages, teachers' per-course settings (COURSE_OVERRIDABLE_KEYS
+ *    only) are layered over the district values by applyCourseConfig()
  *
  * CUSTOMIZATION WORKFLOW:
  * -----------------------
@@ -34,15 +38,20 @@
  * ============================================================================
  */
 
+import { prepareRuntimeConfig } from './configSchema.js';
+
+// window.CG_CONFIG after migrations, without values that fail the schema
+const CG_CONFIG = prepareRuntimeConfig(typeof window !== 'undefined' ? window.CG_CONFIG : undefined);
+
 // Feature flags
-export const ENABLE_STUDENT_GRADE_CUSTOMIZATION = window.CG_CONFIG?.ENABLE_STUDENT_GRADE_CUSTOMIZATION ?? true;
-export const REMOVE_ASSIGNMENT_TAB = window.CG_CONFIG?.REMOVE_ASSIGNMENT_TAB ?? false;
-export const PER_STUDENT_UPDATE_THRESHOLD = window.CG_CONFIG?.PER_STUDENT_UPDATE_THRESHOLD ?? 25;
-export const MASTERY_REFRESH_ENABLED = window.CG_CONFIG?.MASTERY_REFRESH_ENABLED ?? true;
+export const ENABLE_STUDENT_GRADE_CUSTOMIZATION = CG_CONFIG.ENABLE_STUDENT_GRADE_CUSTOMIZATION ?? true;
+export const REMOVE_ASSIGNMENT_TAB = CG_CONFIG.REMOVE_ASSIGNMENT_TAB ?? false;
+export const PER_STUDENT_UPDATE_THRESHOLD = CG_CONFIG.PER_STUDENT_UPDATE_THRESHOLD ?? 25;
+export const MASTERY_REFRESH_ENABLED = CG_CONFIG.MASTERY_REFRESH_ENABLED ?? true;
 
 // Admin Dashboard configuration
-export const ADMIN_DASHBOARD_ENABLED = window.CG_CONFIG?.ADMIN_DASHBOARD_ENABLED ?? true;
-export const ADMIN_DASHBOARD_LABEL = window.CG_CONFIG?.ADMIN_DASHBOARD_LABEL ?? "Open Manager";
+export const ADMIN_DASHBOARD_ENABLED = CG_CONFIG.ADMIN_DASHBOARD_ENABLED ?? true;
+export const ADMIN_DASHBOARD_LABEL = CG_CONFIG.ADMIN_DASHBOARD_LABEL ?? "Open Manager";
 
 // Grading mode configuration
 // ENABLE_OUTCOME_UPDATES: Controls whether outcome scores (and assignments/rubrics) are updated
@@ -51,70 +60,67 @@ export const ADMIN_DASHBOARD_LABEL = window.CG_CONFIG?.ADMIN_DASHBOARD_LABEL ??
 //   - Outcome only: ENABLE_OUTCOME_UPDATES=true, ENABLE_GRADE_OVERRIDE=false
 //   - Override only: ENABLE_OUTCOME_UPDATES=false, ENABLE_GRADE_OVERRIDE=true
 //   - Both (default): ENABLE_OUTCOME_UPDATES=true, ENABLE_GRADE_OVERRIDE=true
-export const ENABLE_OUTCOME_UPDATES = window.CG_CONFIG?.ENABLE_OUTCOME_UPDATES ?? true;
-export const ENABLE_GRADE_OVERRIDE = window.CG_CONFIG?.ENABLE_GRADE_OVERRIDE ?? false;
+export let ENABLE_OUTCOME_UPDATES = CG_CONFIG.ENABLE_OUTCOME_UPDATES ?? true;
+export let ENABLE_GRADE_OVERRIDE = CG_CONFIG.ENABLE_GRADE_OVERRIDE ?? false;
 
 // ENFORCE_COURSE_OVERRIDE: Controls whether the script automatically enables the Canvas course-level
 // "Allow Final Grade Override" setting via API when ENABLE_GRADE_OVERRIDE is true
 // - true: Script calls enableCourseOverride() to set allow_final_grade_override=true via Canvas API
 // - false: Teachers retain manual control over the course-level override setting in Canvas UI
 // Default: false (preserves teacher autonomy)
-export const ENFORCE_COURSE_OVERRIDE = window.CG_CONFIG?.ENFORCE_COURSE_OVERRIDE ?? false;
+export const ENFORCE_COURSE_OVERRIDE = CG_CONFIG.ENFORCE_COURSE_OVERRIDE ?? false;
 
 // ENFORCE_COURSE_GRADING_SCHEME: Controls whether the script automatically enables the course-level
 // grading scheme setting via API when a grading scheme is selected
 // - true: Script calls enableCourseGradingScheme() to set course grading scheme via Canvas API
 // - false: Teachers retain manual control over the course-level grading scheme setting in Canvas UI
 // Default: false (preserves teacher autonomy)
-export const ENFORCE_COURSE_GRADING_SCHEME = window.CG_CONFIG?.ENFORCE_COURSE_GRADING_SCHEME ?? false;
+export const ENFORCE_COURSE_GRADING_SCHEME = CG_CONFIG.ENFORCE_COURSE_GRADING_SCHEME ?? false;
 
 // Custom grade status gate configuration
 // ENABLE_GRADE_CUSTOM_STATUS: Master switch for OutcomeCompletionGate
 // - true: OutcomeCompletionGate state runs and applies gate logic
 // - false: OutcomeCompletionGate state does not run at all
 // Default: false (gate disabled)
-export const ENABLE_GRADE_CUSTOM_STATUS = window.CG_CONFIG?.ENABLE_GRADE_CUSTOM_STATUS ?? false;
+export const ENABLE_GRADE_CUSTOM_STATUS = CG_CONFIG.ENABLE_GRADE_CUSTOM_STATUS ?? false;
 
 // ENABLE_NEGATIVE_ZERO_COUNT: Controls numeric behavior when gate fails (one or more outcomes = 0)
 // - true: Set overrideScore = -zeroCount and apply custom grade status
 // - false: Set overrideScore = null and apply custom grade status
 // Default: false (use null override)
-export const ENABLE_NEGATIVE_ZERO_COUNT = window.CG_CONFIG?.ENABLE_NEGATIVE_ZERO_COUNT ?? false;
+export const ENABLE_NEGATIVE_ZERO_COUNT = CG_CONFIG.ENABLE_NEGATIVE_ZERO_COUNT ?? false;
 
 // DEFAULT_CUSTOM_STATUS_ID: Custom grade status ID to apply when gate fails
 // Default: null (no custom status selected)
-export const DEFAULT_CUSTOM_STATUS_ID = window.CG_CONFIG?.DEFAULT_CUSTOM_STATUS_ID ?? null;
+export const DEFAULT_CUSTOM_STATUS_ID = CG_CONFIG.DEFAULT_CUSTOM_STATUS_ID ?? null;
 
 // USE_UNIFIED_GRAPHQL_ONLY: Use GraphQL-only grading path instead of REST/bulk pipeline
 // - true: Skip bulk grade uploads, use unified GraphQL mutation for all operations
 // - false: Use existing REST/bulk pipeline (default behavior)
 // - Automatically enabled if ENABLE_GRADE_CUSTOM_STATUS is true (custom status requires GraphQL)
 // Default: false (use existing pipeline), or true if ENABLE_GRADE_CUSTOM_STATUS is true
-export const USE_UNIFIED_GRAPHQL_ONLY = window.CG_CONFIG?.USE_UNIFIED_GRAPHQL_ONLY ?? ENABLE_GRADE_CUSTOM_STATUS ?? false;
+export const USE_UNIFIED_GRAPHQL_ONLY = CG_CONFIG.USE_UNIFIED_GRAPHQL_ONLY ?? ENABLE_GRADE_CUSTOM_STATUS ?? false;
 
 // Debug logging for GraphQL mode
 if (typeof window !== 'undefined' && typeof console !== 'undefined') {
     console.log('[CG Config] ENABLE_GRADE_CUSTOM_STATUS:', ENABLE_GRADE_CUSTOM_STATUS);
     console.log('[CG Config] USE_UNIFIED_GRAPHQL_ONLY:', USE_UNIFIED_GRAPHQL_ONLY);
-    console.log('[CG Config] window.CG_CONFIG?.USE_UNIFIED_GRAPHQL_ONLY:', window.CG_CONFIG?.USE_UNIFIED_GRAPHQL_ONLY);
-    if (ENABLE_GRADE_CUSTOM_STATUS && !window.CG_CONFIG?.USE_UNIFIED_GRAPHQL_ONLY) {
+    console.log('[CG Config] CG_CONFIG.USE_UNIFIED_GRAPHQL_ONLY:', CG_CONFIG.USE_UNIFIED_GRAPHQL_ONLY);
+    if (ENABLE_GRADE_CUSTOM_STATUS && !CG_CONFIG.USE_UNIFIED_GRAPHQL_ONLY) {
         console.log('[CG Config] USE_UNIFIED_GRAPHQL_ONLY auto-enabled due to ENABLE_GRADE_CUSTOM_STATUS=true');
     }
-    if (PL_GRADING_TYPE && !['pass_fail', 'percent', 'letter_grade', 'gpa_scale', 'points', 'not_graded'].includes(PL_GRADING_TYPE)) {
-        console.warn(`[CG Config] Invalid PL_GRADING_TYPE: "${PL_GRADING_TYPE}". Canvas API may return 400 error.`);
-    }
 }
 
 // Grade scaling function (0-4 scale to 0-100 scale)
 // Default: multiply by 25 to convert 0-4 range to 0-100 range
 const defaultOverrideScale = (avg) => Number((avg * 25).toFixed(2));
-export const OVERRIDE_SCALE = window.CG_CONFIG?.OVERRIDE_SCALE ?? defaultOverrideScale;
+export const OVERRIDE_SCALE = CG_CONFIG.OVERRIDE_SCALE ?? defaultOverrideScale;
 
 // UI labels and resource names
-export const UPDATE_AVG_BUTTON_LABEL = window.CG_CONFIG?.UPDATE_AVG_BUTTON_LABEL ?? "Update Current Score";
-export const AVG_OUTCOME_NAME = window.CG_CONFIG?.AVG_OUTCOME_NAME ?? "Current Score";
-export const AVG_ASSIGNMENT_NAME = window.CG_CONFIG?.AVG_ASSIGNMENT_NAME ?? "Current Score Assignment";
-export const AVG_RUBRIC_NAME = window.CG_CONFIG?.AVG_RUBRIC_NAME ?? "Current Score Rubric";
+export const UPDATE_AVG_BUTTON_LABEL = CG_CONFIG.UPDATE_AVG_BUTTON_LABEL ?? "Update Current Score";
+export const AVG_OUTCOME_NAME = CG_CONFIG.AVG_OUTCOME_NAME ?? "Current Score";
+export const AVG_ASSIGNMENT_NAME = CG_CONFIG.AVG_ASSIGNMENT_NAME ?? "Current Score Assignment";
+export const AVG_RUBRIC_NAME = CG_CONFIG.AVG_RUBRIC_NAME ?? "Current Score Rubric";
 
 // PL Override assignment naming
 // Controls the suffix appended to outcome names for PL override assignments.
@@ -126,8 +132,8 @@ export const AVG_RUBRIC_NAME = window.CG_CONFIG?.AVG_RUBRIC_NAME ?? "Current Sco
 //   "Current Level"   — standards-based grading language
 //   "Trend Score"     — data-focused language
 //   "Marzano Score"   — explicit methodology reference
-export const PL_ASSIGNMENT_SUFFIX = window.CG_CONFIG?.PL_ASSIGNMENT_SUFFIX ?? 'Projected Score';
-export const PL_RUBRIC_SUFFIX = window.CG_CONFIG?.PL_RUBRIC_SUFFIX ?? 'Projected Score Rubric';
+export const PL_ASSIGNMENT_SUFFIX = CG_CONFIG.PL_ASSIGNMENT_SUFFIX ?? 'Projected Score';
+export const PL_RUBRIC_SUFFIX = CG_CONFIG.PL_RUBRIC_SUFFIX ?? 'Projected Score Rubric';
 
 // PL assignment grading configuration
 // PL_GRADING_TYPE: grading type used for PL override assignments.
@@ -138,12 +144,12 @@ export const PL_RUBRIC_SUFFIX = window.CG_CONFIG?.PL_RUBRIC_SUFFIX ?? 'Projected
 //   Recommended when PL_GRADING_TYPE is 'gpa_scale' or 'letter_grade' so Canvas knows
 //   which scheme's labels to show. Set to null (default) to let Canvas use the
 //   course-level default scheme.
-export const PL_GRADING_TYPE = window.CG_CONFIG?.PL_GRADING_TYPE ?? 'gpa_scale';
-export const PL_GRADING_SCHEME_ID = window.CG_CONFIG?.PL_GRADING_SCHEME_ID ?? null;
+export const PL_GRADING_TYPE = CG_CONFIG.PL_GRADING_TYPE ?? 'gpa_scale';
+export const PL_GRADING_SCHEME_ID = CG_CONFIG.PL_GRADING_SCHEME_ID ?? null;
 
 // Outcome configuration
-export const DEFAULT_MAX_POINTS = window.CG_CONFIG?.DEFAULT_MAX_POINTS ?? 4;
-export const DEFAULT_MASTERY_THRESHOLD = window.CG_CONFIG?.DEFAULT_MASTERY_THRESHOLD ?? 3;
+export const DEFAULT_MAX_POINTS = CG_CONFIG.DEFAULT_MAX_POINTS ?? 4;
+export const DEFAULT_MASTERY_THRESHOLD = CG_CONFIG.DEFAULT_MASTERY_THRESHOLD ?? 3;
 
 // Rating scale for outcomes and rubrics
 // Default: 9-level scale from 0 (Insufficient Evidence) to 4 (Exemplary)
@@ -158,18 +164,30 @@ const defaultRatings = [
     { description: "Needs Full Support", points: 0.5 },
     { description: "Insufficient Evidence", points: 0 }
 ];
-export const OUTCOME_AND_RUBRIC_RATINGS = window.CG_CONFIG?.OUTCOME_AND_RUBRIC_RATINGS ?? defaultRatings;
+export const OUTCOME_AND_RUBRIC_RATINGS = CG_CONFIG.OUTCOME_AND_RUBRIC_RATINGS ?? defaultRatings;
 
 // Outcome filtering
 const defaultExcludedKeywords = [];
-export const EXCLUDED_OUTCOME_KEYWORDS = window.CG_CONFIG?.EXCLUDED_OUTCOME_KEYWORDS ?? defaultExcludedKeywords;
+export let EXCLUDED_OUTCOME_KEYWORDS = CG_CONFIG.EXCLUDED_OUTCOME_KEYWORDS ?? defaultExcludedKeywords;
+
+// Current Score aggregation (see src/services/aggregationStrategies.js)
+// CURRENT_SCORE_AGGREGATION: strategy id used for every course by default.
+//   Supported: mean, weighted_mean, decaying_average, most_recent, highest_n, power_law
+// CURRENT_SCORE_AGGREGATION_BY_COURSE: { [courseId]: strategyId } per-course overrides
+// CURRENT_SCORE_AGGREGATION_OPTIONS: strategy tuning
+//   highestN       - number of top scores averaged by highest_n (default 3)
+//   decayWeight    - weight of the newer score for decaying_average (default 0.65)
+//   outcomeWeights - { [outcomeId]: weight } for weighted_mean (missing = 1)
+export const CURRENT_SCORE_AGGREGATION = CG_CONFIG.CURRENT_SCORE_AGGREGATION ?? 'mean';
+export const CURRENT_SCORE_AGGREGATION_BY_COURSE = CG_CONFIG.CURRENT_SCORE_AGGREGATION_BY_COURSE ?? {};
+export const CURRENT_SCORE_AGGREGATION_OPTIONS = CG_CONFIG.CURRENT_SCORE_AGGREGATION_OPTIONS ?? {};
 
 // Grading scheme configuration
 // DEFAULT_GRADING_SCHEME_ID: The Canvas grading standard ID to use for auto-created assignments
 // DEFAULT_GRADING_TYPE: The grading type for auto-created assignments
 // Supported grading types: pass_fail, percent, letter_grade, gpa_scale, points, not_graded
-export const DEFAULT_GRADING_SCHEME_ID = window.CG_CONFIG?.DEFAULT_GRADING_SCHEME_ID ?? null;
-export const DEFAULT_GRADING_TYPE = window.CG_CONFIG?.DEFAULT_GRADING_TYPE ?? 'points';
+export const DEFAULT_GRADING_SCHEME_ID = CG_CONFIG.DEFAULT_GRADING_SCHEME_ID ?? null;
+export const DEFAULT_GRADING_TYPE = CG_CONFIG.DEFAULT_GRADING_TYPE ?? 'points';
 
 // Standards-Based Course Detection (for all-grades page)
 // Array of patterns to match against course names to identify standards-based courses
@@ -182,9 +200,119 @@ const defaultStandardsBasedPatterns = [
     /\[SBG\]/i,
     /^SBG[-\s]/i
 ];
-export const STANDARDS_BASED_COURSE_PATTERNS = window.CG_CONFIG?.STANDARDS_BASED_COURSE_PATTERNS ?? defaultStandardsBasedPatterns;
+export const STANDARDS_BASED_COURSE_PATTERNS = CG_CONFIG.STANDARDS_BASED_COURSE_PATTERNS ?? defaultStandardsBasedPatterns;
 
 // Mastery Refresh Configuration
 // Delay in milliseconds to wait for Canvas to propagate points_possible changes
 // before reverting back to 0 (default: 5 seconds)
-export const MASTERY_REFRESH_DELAY_MS = window.CG_CONFIG?.MASTERY_REFRESH_DELAY_MS ?? 5000;
\ No newline at end of file
+export const MASTERY_REFRESH_DELAY_MS = CG_CONFIG.MASTERY_REFRESH_DELAY_MS ?? 5000;
+
+// Automatic Current Score recalculation (see src/gradebook/autoRecalcService.js)
+// AUTO_RECALC_AVAILABLE: show the per-course "Auto-update" switch to teachers (off by default)
+// AUTO_RECALC_POLL_MINUTES: how often new rubric results are checked while the page is open
+// AUTO_RECALC_MIN_INTERVAL_MINUTES: minimum time between two automatic runs for a course
+export const AUTO_RECALC_AVAILABLE = CG_CONFIG.AUTO_RECALC_AVAILABLE ?? false;
+export const AUTO_RECALC_POLL_MINUTES = CG_CONFIG.AUTO_RECALC_POLL_MINUTES ?? 5;
+export const AUTO_RECALC_MIN_INTERVAL_MINUTES = CG_CONFIG.AUTO_RECALC_MIN_INTERVAL_MINUTES ?? 10;
+
+// Grading periods (see src/services/gradingPeriodService.js)
+// The period itself is chosen per course by the teacher (gradebook button area / Mastery Outlook).
+// GRADING_PERIOD_ASSIGNMENTS: when a period is selected, write its Current Score to a separate
+//   "<AVG_ASSIGNMENT_NAME> (<period title>)" assignment due at the period's end date,
+//   instead of overwriting the single Current Score assignment
+export let GRADING_PERIOD_ASSIGNMENTS = CG_CONFIG.GRADING_PERIOD_ASSIGNMENTS ?? false;
+
+// Mastery Outlook growth models (see src/masteryOutlook/growthModels.js)
+// GROWTH_MODEL: model used until a teacher picks one for the course in the Mastery Outlook header.
+//   Supported: power_law, linear, time_weighted_power_law, ema, shrinkage
+// GROWTH_MODEL_OPTIONS: model tuning
+//   emaWeight   - weight of each new score for ema (default 0.65)
+//   priorWeight - number of attempts the class mean counts as for shrinkage (default 3)
+export const GROWTH_MODEL = CG_CONFIG.GROWTH_MODEL ?? 'power_law';
+export const GROWTH_MODEL_OPTIONS = CG_CONFIG.GROWTH_MODEL_OPTIONS ?? {};
+
+// Mastery Outlook export (see src/masteryOutlook/masteryOutlookExportService.js)
+// MASTERY_EXPORT_COLUMNS: columns ticked in the Export panel until a teacher changes them for the course.
+//   Available: student_id, student_name, sortable_name, section_id, section_name, outcome_id,
+//   outcome_title, status, pl_prediction, pl_rounded, slope, mean, most_recent, decaying_avg,
+//   attempt_count, canvas_score, growth_model, will_post, override_locked, note,
+//   last_synced_score, last_synced_at, manual_override, verify_mismatch
+export const MASTERY_EXPORT_COLUMNS = CG_CONFIG.MASTERY_EXPORT_COLUMNS ?? [
+    'student_id', 'student_name', 'section_name', 'outcome_title', 'status',
+    'pl_prediction', 'slope', 'attempt_count', 'canvas_score', 'will_post', 'last_synced_score'
+];
+
+// Mastery Outlook intervention groups (see src/masteryOutlook/interventionGroups.js)
+// INTERVENTION_GROUP_SIZE: largest re-teach group the Groups view proposes (teachers can change it there)
+export const INTERVENTION_GROUP_SIZE = CG_CONFIG.INTERVENTION_GROUP_SIZE ?? 6;
+
+// Mastery Outlook growth trends (see src/masteryOutlook/growthTrends.js)
+// GROWTH_TREND_THRESHOLDS: slope cut-offs and sharp-decline drop until a teacher changes them in the Growth view
+//   growing   - slopes above this are "growing" (default 0.05)
+//   declining - slopes below this are "declining" (default -0.05); in between is "flat"
+//   sharpDrop - a prediction this much lower than at the previous refresh is a sharp decline (default 0.5)
+export const GROWTH_TREND_THRESHOLDS = CG_CONFIG.GROWTH_TREND_THRESHOLDS ?? { growing: 0.05, declining: -0.05, sharpDrop: 0.5 };
+
+// Mastery Outlook snapshots (see src/masteryOutlook/masteryOutlookSnapshots.js)
+// MASTERY_SNAPSHOT_RETENTION: dated snapshots kept in the mastery_outlook_cache folder for the Compare view
+//   days     - delete snapshots older than this many days (default 180; 0 = no age limit)
+//   maxCount - keep at most this many, newest first (default 60; 0 = no count limit)
+//   Set to false to stop writing snapshots.
+export const MASTERY_SNAPSHOT_RETENTION = CG_CONFIG.MASTERY_SNAPSHOT_RETENTION ?? { days: 180, maxCount: 60 };
+
+// Mastery Outlook item analysis (see src/masteryOutlook/itemAnalysis.js)
+// ITEM_ANALYSIS_THRESHOLDS: when the Items view flags an assessment as under- or over-scoring
+//   bias        - mean gap between its scores and the students' trends (default 0.5)
+//   consistency - share of students whose gap is in the same direction (default 0.7)
+//   minStudents - fewest students with a trend before it can be flagged (default 3)
+export const ITEM_ANALYSIS_THRESHOLDS = CG_CONFIG.ITEM_ANALYSIS_THRESHOLDS ?? { bias: 0.5, consistency: 0.7, minStudents: 3 };
+
+// Per-course settings (see src/services/courseConfigService.js)
+// COURSE_OVERRIDABLE_KEYS: keys teachers may override for their own course from the course
+//   settings page. Their values are saved in the course's MOREnet_CustomizedGradebook folder
+//   and layered over the district values above. Empty by default: course settings stay off
+//   until the district lists the keys it allows.
+//   Supported: ENABLE_OUTCOME_UPDATES, ENABLE_GRADE_OVERRIDE, EXCLUDED_OUTCOME_KEYWORDS,
+//   GRADING_PERIOD_ASSIGNMENTS (declared with `let` above so they can be reassigned)
+export const COURSE_OVERRIDABLE_KEYS = CG_CONFIG.COURSE_OVERRIDABLE_KEYS ?? [];
+
+const COURSE_CONFIG_SETTERS = {
+    ENABLE_OUTCOME_UPDATES:     (value) => { ENABLE_OUTCOME_UPDATES = value; },
+    ENABLE_GRADE_OVERRIDE:      (value) => { ENABLE_GRADE_OVERRIDE = value; },
+    EXCLUDED_OUTCOME_KEYWORDS:  (value) => { EXCLUDED_OUTCOME_KEYWORDS = value; },
+    GRADING_PERIOD_ASSIGNMENTS: (value) => { GRADING_PERIOD_ASSIGNMENTS = value; }
+};
+
+const DISTRICT_CONFIG = Object.freeze({
+    ENABLE_OUTCOME_UPDATES,
+    ENABLE_GRADE_OVERRIDE,
+    EXCLUDED_OUTCOME_KEYWORDS,
+    GRADING_PERIOD_ASSIGNMENTS
+});
+
+/**
+ * District value of a course-overridable key, before any course settings
+ * @param {string} key
+ * @returns {*}
+ */
+export function getDistrictConfigValue(key) {
+    return DISTRICT_CONFIG[key];
+}
+
+/**
+ * Layer a course's overrides over the district config. Keys missing from
+ * `overrides` (or not in COURSE_OVERRIDABLE_KEYS) go back to the district value,
+ * so applying {} undoes a previous call.
+ *
+ * @param {Object} [overrides] - { [key]: value }, validated by courseConfigService.js
+ * @returns {Object} The overrides that were applied
+ */
+export function applyCourseConfig(overrides = {}) {
+    const applied = {};
+    for (const [key, set] of Object.entries(COURSE_CONFIG_SETTERS)) {
+        const overridden = COURSE_OVERRIDABLE_KEYS.includes(key) && overrides[key] !== undefined;
+        set(overridden ? overrides[key] : DISTRICT_CONFIG[key]);
+        if (overridden) applied[key] = overrides[key];
+    }
+    return applied;
+}
@@ -0,0 +1,434 @@
+// src/configSchema.js
+/**
+ * ============================================================================
+ * CustomizedGradebook - Configuration schema and migrations
+ * ============================================================================
+ *
+ * One declarative entry per window.CG_CONFIG key, used in two places:
+ *  - config.js, at bundle load: invalid values are dropped (the default is
+ *    used instead) and logged; see prepareRuntimeConfig for what is kept
+ *  - the admin dashboard loader generator: invalid values in an installed
+ *    Theme JS are listed and the matching controls highlighted
+ *
+ * Entry fields:
+ *   type       'boolean' | 'number' | 'integer' | 'string' | 'id' | 'array' |
+ *              'object' | 'function' | 'regexp', or an array of these.
+ *              'id' is a Canvas ID: a number or a string of digits.
+ *   nullable   null is allowed
+ *   values     allowed values (strings / ids, and each item of an array)
+ *   min, max   inclusive range for numbers
+ *   items      entry every array item must match
+ *   fields     { [field]: entry } for object fields (missing fields are fine)
+ *   entries    entry every object value must match (maps such as { [courseId]: id })
+ *   onlyFalse  a boolean type only accepts false (e.g. "set to false to turn off")
+ *   deprecated message shown while the key still works but should be removed
+ *   grades     the key changes calculated scores: at runtime a value of the
+ *              right type that breaks a rule is kept rather than replaced
+ *
+ * MIGRATIONS:
+ * -----------
+ * Section B of a generated loader records the config version it was written
+ * with (window.CG_MANAGED.configVersion; blocks without it are version 1).
+ * migrateConfig() upgrades an older config step by step. Each migration may
+ * rename keys, remove keys and transform values, and must be idempotent:
+ * config.js also runs every migration at load, because hand-written
+ * window.CG_CONFIG values carry no version.
+ *
+ * This module must not import anything that imports config.js.
+ * ============================================================================
+ */
+
+import { logger } from './utils/logger.js';
+
+/** Config version written by the current loader generator */
+export const CONFIG_VERSION = 2;
+
+const GRADING_TYPES = ['pass_fail', 'percent', 'letter_grade', 'gpa_scale', 'points', 'not_graded'];
+// Kept in step with AGGREGATION_STRATEGIES and GROWTH_MODELS (checked by configSchema.test.js)
+const AGGREGATION_STRATEGY_IDS = ['mean', 'weighted_mean', 'decaying_average', 'most_recent', 'highest_n', 'power_law'];
+const GROWTH_MODEL_IDS = ['power_law', 'linear', 'time_weighted_power_law', 'ema', 'shrinkage'];
+
+const weight = { type: 'number', min: 0, max: 1 };
+
+/**
+ * Schema for every window.CG_CONFIG key
+ * @type {Object<string, Object>}
+ */
+export const CONFIG_SCHEMA = Object.freeze({
+    // Feature flags
+    ENABLE_STUDENT_GRADE_CUSTOMIZATION: { type: 'boolean' },
+    REMOVE_ASSIGNMENT_TAB:              { type: 'boolean' },
+    PER_STUDENT_UPDATE_THRESHOLD:       { type: 'integer', min: 0 },
+    MASTERY_REFRESH_ENABLED:            { type: 'boolean' },
+    ADMIN_DASHBOARD_ENABLED:            { type: 'boolean' },
+    ADMIN_DASHBOARD_LABEL:              { type: 'string' },
+
+    // Grading mode
+    ENABLE_OUTCOME_UPDATES:        { type: 'boolean' },
+    ENABLE_GRADE_OVERRIDE:         { type: 'boolean' },
+    ENFORCE_COURSE_OVERRIDE:       { type: 'boolean' },
+    ENFORCE_COURSE_GRADING_SCHEME: { type: 'boolean' },
+
+    // Custom grade status
+    ENABLE_GRADE_CUSTOM_STATUS: { type: 'boolean' },
+    ENABLE_NEGATIVE_ZERO_COUNT: { type: 'boolean' },
+    DEFAULT_CUSTOM_STATUS_ID:   { type: 'string', nullable: true },
+    USE_UNIFIED_GRAPHQL_ONLY:   { type: 'boolean' },
+
+    // Grade scaling and labels
+    OVERRIDE_SCALE:          { type: 'function' },
+    UPDATE_AVG_BUTTON_LABEL: { type: 'string' },
+    AVG_OUTCOME_NAME:        { type: 'string' },
+    AVG_ASSIGNMENT_NAME:     { type: 'string' },
+    AVG_RUBRIC_NAME:         { type: 'string' },
+    PL_ASSIGNMENT_SUFFIX:    { type: 'string' },
+    PL_RUBRIC_SUFFIX:        { type: 'string' },
+    PL_GRADING_TYPE:         { type: 'string', values: GRADING_TYPES },
+    PL_GRADING_SCHEME_ID:    { type: 'id', nullable: true },
+
+    // Outcomes
+    DEFAULT_MAX_POINTS:         { type: 'number', min: 0, grades: true },
+    DEFAULT_MASTERY_THRESHOLD:  { type: 'number', min: 0, grades: true },
+    OUTCOME_AND_RUBRIC_RATINGS: {
+        type: 'array',
+        grades: true,
+        items: { type: 'object', fields: { description: { type: 'string' }, points: { type: 'number', min: 0 } } }
+    },
+    EXCLUDED_OUTCOME_KEYWORDS:  { type: 'array', items: { type: 'string' }, grades: true },
+
+    // Current Score aggregation
+    CURRENT_SCORE_AGGREGATION:           { type: 'string', values: AGGREGATION_STRATEGY_IDS, grades: true },
+    CURRENT_SCORE_AGGREGATION_BY_COURSE: { type: 'object', entries: { type: 'string', values: AGGREGATION_STRATEGY_IDS }, grades: true },
+    CURRENT_SCORE_AGGREGATION_OPTIONS:   {
+        type: 'object',
+        grades: true,
+        fields: {
+            highestN:       { type: 'integer', min: 1 },
+            decayWeight:    weight,
+            outcomeWeights: { type: 'object', entries: { type: 'number', min: 0 } }
+        }
+    },
+
+    // Grading scheme
+    DEFAULT_GRADING_SCHEME_ID: { type: 'id', nullable: true },
+    DEFAULT_GRADING_SCHEME:    { type: 'object', nullable: true },
+    DEFAULT_GRADING_TYPE:      { type: 'string', values: GRADING_TYPES, grades: true },
+
+    // Course detection and timing
+    STANDARDS_BASED_COURSE_PATTERNS: { type: 'array', items: { type: ['string', 'regexp'] } },
+    MASTERY_REFRESH_DELAY_MS:        { type: 'integer', min: 0 },
+
+    // Automatic recalculation and grading periods
+    AUTO_RECALC_AVAILABLE:            { type: 'boolean' },
+    AUTO_RECALC_POLL_MINUTES:         { type: 'number', min: 1 },
+    AUTO_RECALC_MIN_INTERVAL_MINUTES: { type: 'number', min: 0 },
+    GRADING_PERIOD_ASSIGNMENTS:       { type: 'boolean' },
+
+    // Mastery Outlook
+    GROWTH_MODEL:               { type: 'string', values: GROWTH_MODEL_IDS },
+    GROWTH_MODEL_OPTIONS:       { type: 'object', fields: { emaWeight: weight, priorWeight: { type: 'number', min: 0 } } },
+    MASTERY_EXPORT_COLUMNS:     { type: 'array', items: { type: 'string' } },
+    INTERVENTION_GROUP_SIZE:    { type: 'integer', min: 1 },
+    GROWTH_TREND_THRESHOLDS:    {
+        type: 'object',
+        fields: { growing: { type: 'number' }, declining: { type: 'number' }, sharpDrop: { type: 'number', min: 0 } }
+    },
+    MASTERY_SNAPSHOT_RETENTION: {
+        type: ['object', 'boolean'],
+        onlyFalse: true,
+        fields: { days: { type: 'integer', min: 0 }, maxCount: { type: 'integer', min: 0 } }
+    },
+    ITEM_ANALYSIS_THRESHOLDS:   {
+        type: 'object',
+        fields: { bias: { type: 'number', min: 0 }, consistency: weight, minStudents: { type: 'integer', min: 1 } }
+    },
+
+    // Per-course settings
+    COURSE_OVERRIDABLE_KEYS: {
+        type: 'array',
+        items: {
+            type: 'string',
+            values: ['ENABLE_OUTCOME_UPDATES', 'ENABLE_GRADE_OVERRIDE', 'EXCLUDED_OUTCOME_KEYWORDS', 'GRADING_PERIOD_ASSIGNMENTS']
+        }
+    },
+
+    // Loader only (read by the Section C template, not by the bundle)
+    ENABLE_ACCOUNT_FILTER: { type: 'boolean' },
+    ALLOWED_ACCOUNT_IDS:   { type: 'array', items: { type: 'string' } }
+});
+
+/**
+ * Config migrations, oldest first. `version` is the version the config has
+ * after the migration runs.
+ *
+ * @type {Array<{version: number, description: string, renamed?: Object<string, string>,
+ *   removed?: string[], transform?: function(Object): string[]}>}
+ */
+export const CONFIG_MIGRATIONS = Object.freeze([
+    {
+        version: 2,
+        description: 'Account and custom status IDs are stored as strings',
+        transform(config) {
+            const changes = [];
+            // The loader's account filter compares String(ENV.ACCOUNT_ID), so numeric IDs never matched
+            if (Array.isArray(config.ALLOWED_ACCOUNT_IDS) && config.ALLOWED_ACCOUNT_IDS.some(id => typeof id === 'number')) {
+                config.ALLOWED_ACCOUNT_IDS = config.ALLOWED_ACCOUNT_IDS.map(id => (typeof id === 'number' ? String(id) : id));
+                changes.push('ALLOWED_ACCOUNT_IDS: numbers converted to strings');
+            }
+            if (typeof config.DEFAULT_CUSTOM_STATUS_ID === 'number') {
+                config.DEFAULT_CUSTOM_STATUS_ID = String(config.DEFAULT_CUSTOM_STATUS_ID);
+                changes.push('DEFAULT_CUSTOM_STATUS_ID: number converted to a string');
+            }
+            return changes;
+        }
+    }
+]);
+
+/**
+ * Type name of a value, in schema terms
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof RegExp) return 'regexp';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Does a value have one of the schema types?
+ * @param {*} value
+ * @param {string} type
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+function matchesType(value, type, entry) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number':  return typeof value === 'number' && Number.isFinite(value);
+        case 'id':      return (typeof value === 'number' && Number.isInteger(value)) || (typeof value === 'string' && /^\d+$/.test(value));
+        case 'boolean': return typeof value === 'boolean' && (!entry.onlyFalse || value === false);
+        case 'object':  return typeOf(value) === 'object';
+        default:        return typeOf(value) === type;
+    }
+}
+
+/**
+ * Check one value against a schema entry
+ *
+ * @param {*} value
+ * @param {Object} entry - Schema entry
+ * @param {string} path - Key (and field / index) for messages
+ * @param {Array<string|number>} [at=[]] - Fields and indexes below the key, for removing the value
+ * @returns {Array<{path: string, at: Array<string|number>, message: string, wrongType: boolean}>}
+ *   Problems, empty when valid
+ */
+function checkValue(value, entry, path, at = []) {
+    if (value === null && entry.nullable) return [];
+    const problem = (message, wrongType = false) => ({ path, at, message: `${path} ${message}`, wrongType });
+
+    const types = Array.isArray(entry.type) ? entry.type : [entry.type];
+    if (!types.some(type => matchesType(value, type, entry))) {
+        const expected = types.map(type => (type === 'boolean' && entry.onlyFalse ? 'false' : type)).join(' or ');
+        return [problem(`must be ${expected}${entry.nullable ? ' or null' : ''} (got ${JSON.stringify(value) ?? typeOf(value)})`, true)];
+    }
+
+    const problems = [];
+    if (entry.values && !Array.isArray(value) && typeOf(value) !== 'object' && !entry.values.includes(value)) {
+        problems.push(problem(`must be one of ${entry.values.join(', ')} (got ${JSON.stringify(value)})`));
+    }
+    if (typeof value === 'number') {
+        if (entry.min !== undefined && value < entry.min) problems.push(problem(`must be at least ${entry.min} (got ${value})`));
+        if (entry.max !== undefined && value > entry.max) problems.push(problem(`must be at most ${entry.max} (got ${value})`));
+    }
+    if (Array.isArray(value) && entry.items) {
+        value.forEach((item, i) => problems.push(...checkValue(item, entry.items, `${path}[${i}]`, [...at, i])));
+    }
+    if (typeOf(value) === 'object') {
+        Object.entries(entry.fields ?? {}).forEach(([field, fieldEntry]) => {
+            if (value[field] !== undefined) problems.push(...checkValue(value[field], fieldEntry, `${path}.${field}`, [...at, field]));
+        });
+        if (entry.entries) {
+            Object.entries(value).forEach(([k, v]) => problems.push(...checkValue(v, entry.entries, `${path}.${k}`, [...at, k])));
+        }
+    }
+    return problems;
+}
+
+/**
+ * Validate one config value
+ *
+ * @param {string} key
+ * @param {*} value
+ * @param {Object} [schema=CONFIG_SCHEMA]
+ * @returns {string[]} Error messages (empty when valid or when the key is unknown)
+ */
+export function validateConfigValue(key, value, schema = CONFIG_SCHEMA) {
+    const entry = schema[key];
+    if (!entry || value === undefined) return [];
+    return checkValue(value, entry, key).map(p => p.message);
+}
+
+/**
+ * Validate a whole config object
+ *
+ * @param {Object} config - window.CG_CONFIG or window.CG_MANAGED.config
+ * @param {Object} [schema=CONFIG_SCHEMA]
+ * @returns {{ errors: Array<{key: string, path: string, at: Array<string|number>, message: string, wrongType: boolean}>,
+ *   warnings: Array<{key: string, message: string}> }}
+ *   errors: invalid values (`path` is the key, field or item at fault, e.g. "GROWTH_MODEL_OPTIONS.emaWeight",
+ *   and `at` its fields and indexes below the key; `wrongType` when the value has the wrong type rather than
+ *   breaking a range or list of allowed values); warnings: unknown and deprecated keys
+ */
+export function validateConfig(config, schema = CONFIG_SCHEMA) {
+    const errors = [];
+    const warnings = [];
+
+    Object.entries(config ?? {}).forEach(([key, value]) => {
+        const entry = schema[key];
+        if (!entry) {
+            warnings.push({ key, message: `${key} is not a known setting and is ignored` });
+            return;
+        }
+        if (entry.deprecated) warnings.push({ key, message: `${key} is deprecated: ${entry.deprecated}` });
+        if (value === undefined) return;
+        checkValue(value, entry, key).forEach(problem => errors.push({ key, ...problem }));
+    });
+
+    return { errors, warnings };
+}
+
+/**
+ * Upgrade a config object to CONFIG_VERSION
+ *
+ * @param {Object} config - Config to upgrade (not modified)
+ * @param {number} [fromVersion=1] - Version the config was written with
+ * @param {Array<Object>} [migrations=CONFIG_MIGRATIONS]
+ * @returns {{ config: Object, version: number, applied: Array<{version: number, description: string, changes: string[]}> }}
+ *   The upgraded copy, its version, and the migrations that changed something
+ */
+export function migrateConfig(config, fromVersion = 1, migrations = CONFIG_MIGRATIONS) {
+    const migrated = { ...(config ?? {}) };
+    const applied = [];
+    let version = fromVersion;
+
+    migrations
+        .filter(m => m.version > fromVersion)
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+            const changes = [];
+            Object.entries(migration.renamed ?? {}).forEach(([from, to]) => {
+                if (!(from in migrated)) return;
+                if (!(to in migrated)) migrated[to] = migrated[from];
+                delete migrated[from];
+                changes.push(`${from} renamed to ${to}`);
+            });
+            (migration.removed ?? []).forEach(key => {
+                if (!(key in migrated)) return;
+                delete migrated[key];
+                changes.push(`${key} removed`);
+            });
+            changes.push(...(migration.transform?.(migrated) ?? []));
+
+            if (changes.length > 0) applied.push({ version: migration.version, description: migration.description, changes });
+            version = migration.version;
+        });
+
+    return { config: migrated, version, applied };
+}
+
+/** Placeholder for a left-out array item until the array is compacted */
+const DROPPED = Symbol('dropped');
+
+/**
+ * Copy arrays and plain objects (other values are shared), so dropping parts
+ * of a value never changes window.CG_CONFIG itself
+ * @param {*} value
+ * @returns {*}
+ */
+function copyValue(value) {
+    if (Array.isArray(value)) return value.map(copyValue);
+    if (typeOf(value) === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, copyValue(v)]));
+    }
+    return value;
+}
+
+/**
+ * Leave out the part of a value at `at`. An array item with a bad field is
+ * left out whole (a rating without points means nothing); otherwise only the
+ * bad field or entry goes.
+ *
+ * @param {Object|Array} value - Copy of a config value
+ * @param {Array<string|number>} at - Non-empty path below the key
+ */
+function dropAt(value, at) {
+    const itemDepth = at.findIndex(segment => typeof segment === 'number');
+    const target = itemDepth === -1 ? at : at.slice(0, itemDepth + 1);
+    const parent = target.slice(0, -1).reduce((node, segment) => node?.[segment], value);
+    if (parent == null) return;   // already left out with an enclosing item
+
+    const last = target[target.length - 1];
+    if (Array.isArray(parent)) parent[last] = DROPPED;
+    else delete parent[last];
+}
+
+/**
+ * Remove DROPPED placeholders from every array in a value
+ * @param {*} value
+ * @returns {*}
+ */
+function compact(value) {
+    if (Array.isArray(value)) return value.filter(item => item !== DROPPED).map(compact);
+    if (typeOf(value) === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        Object.keys(value).forEach(k => { value[k] = compact(value[k]); });
+    }
+    return value;
+}
+
+/**
+ * Migrate and validate window.CG_CONFIG for config.js. Every problem is
+ * logged; what happens to the value depends on where the problem is:
+ *  - a bad field, entry or array item is left out and the rest of the value
+ *    kept (one bad course in CURRENT_SCORE_AGGREGATION_BY_COURSE does not
+ *    reset the others)
+ *  - a key whose whole value is bad is left out, so its default applies
+ *  - on keys marked `grades`, a value of the right type that breaks a range
+ *    or list of allowed values is kept as configured: silently switching to
+ *    the default would change every student's score
+ *
+ * @param {Object} [rawConfig] - window.CG_CONFIG
+ * @returns {Object} Config to read constants from
+ */
+export function prepareRuntimeConfig(rawConfig) {
+    // Migrations are idempotent, so run all of them: hand-written CG_CONFIG values have no version
+    const { config, applied } = migrateConfig(rawConfig ?? {}, 1);
+    const { errors, warnings } = validateConfig(config);
+
+    applied.forEach(m => m.changes.forEach(change => logger.warn(`[CG Config] Upgraded: ${change}. Regenerate the loader to save this.`)));
+    warnings.forEach(w => logger.warn(`[CG Config] ${w.message}`));
+
+    const touched = new Set();
+    errors.forEach(error => {
+        if (CONFIG_SCHEMA[error.key].grades && !error.wrongType) {
+            logger.warn(`[CG Config] ${error.message}; kept as configured because it affects scores. Please fix it in the loader.`);
+            return;
+        }
+        if (error.at.length === 0) {
+            logger.warn(`[CG Config] ${error.message}; using the default`);
+            delete config[error.key];
+            return;
+        }
+        logger.warn(`[CG Config] ${error.message}; left out`);
+        if (!(error.key in config)) return;
+        if (!touched.has(error.key)) {
+            config[error.key] = copyValue(config[error.key]);
+            touched.add(error.key);
+        }
+        dropAt(config[error.key], error.at);
+    });
+    touched.forEach(key => { config[key] = compact(config[key]); });
+
+    return config;
+}
@@ -0,0 +1,116 @@
+// src/configSchema.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { CONFIG_SCHEMA, CONFIG_VERSION, validateConfig, validateConfigValue, migrateConfig, prepareRuntimeConfig } from './configSchema.js';
+import { AGGREGATION_STRATEGIES } from './services/aggregationStrategies.js';
+import { GROWTH_MODELS } from './masteryOutlook/growthModels.js';
+import { COURSE_SETTING_TYPES } from './services/courseConfigService.js';
+import { buildCGManagedBlock, loadManagedBlock } from './admin/loaderGenerator.js';
+
+describe('config schema', () => {
+    it('flags wrong types, unknown enum values and out-of-range numbers', () => {
+        const { errors, warnings } = validateConfig({
+            PL_GRADING_TYPE: 'letter',
+            ENABLE_GRADE_OVERRIDE: 'yes',
+            GROWTH_MODEL_OPTIONS: { emaWeight: 1.5 },
+            MASTERY_SNAPSHOT_RETENTION: true,
+            STANDARDS_BASED_COURSE_PATTERNS: ['SBG', /^SBG-/, 7],
+            DEFAULT_CUSTOM_STATUS_ID: null,
+            OVERRIDE_SCALE: (avg) => avg * 25,
+            PL_GRADING_SCHEME_ID: '123',
+            NOT_A_SETTING: 1
+        });
+
+        expect(errors.map(e => e.path)).toEqual([
+            'PL_GRADING_TYPE',
+            'ENABLE_GRADE_OVERRIDE',
+            'GROWTH_MODEL_OPTIONS.emaWeight',
+            'MASTERY_SNAPSHOT_RETENTION',
+            'STANDARDS_BASED_COURSE_PATTERNS[2]'
+        ]);
+        expect(errors[0].message).toContain('pass_fail, percent, letter_grade, gpa_scale, points, not_graded');
+        expect(warnings).toEqual([{ key: 'NOT_A_SETTING', message: expect.stringContaining('not a known setting') }]);
+        expect(validateConfigValue('MASTERY_SNAPSHOT_RETENTION', false)).toEqual([]);
+    });
+
+    it('lists the same strategies, models and course settings as the modules that implement them', () => {
+        expect(CONFIG_SCHEMA.CURRENT_SCORE_AGGREGATION.values).toEqual(Object.keys(AGGREGATION_STRATEGIES));
+        expect(CONFIG_SCHEMA.GROWTH_MODEL.values).toEqual(Object.keys(GROWTH_MODELS));
+        expect(CONFIG_SCHEMA.COURSE_OVERRIDABLE_KEYS.items.values).toEqual(Object.keys(COURSE_SETTING_TYPES));
+    });
+
+    it('drops invalid values at runtime so the defaults apply', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const config = prepareRuntimeConfig({ PL_GRADING_TYPE: 'letter', AVG_OUTCOME_NAME: 'Mine', ALLOWED_ACCOUNT_IDS: [1, '2'] });
+
+        expect(config).toEqual({ AVG_OUTCOME_NAME: 'Mine', ALLOWED_ACCOUNT_IDS: ['1', '2'] });
+        expect(warn).toHaveBeenCalledTimes(2);
+        warn.mockRestore();
+    });
+
+    it('leaves out only the bad item, entry or field', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const raw = {
+            OUTCOME_AND_RUBRIC_RATINGS: [{ description: 'Mastery', points: 4 }, { description: 7, points: 3 }, { description: 'Below', points: 1 }],
+            CURRENT_SCORE_AGGREGATION_BY_COURSE: { 101: 'power_law', 202: 5 },
+            GROWTH_MODEL_OPTIONS: { emaWeight: 1.5, priorWeight: 2 }
+        };
+        const config = prepareRuntimeConfig(raw);
+
+        expect(config.OUTCOME_AND_RUBRIC_RATINGS).toEqual([{ description: 'Mastery', points: 4 }, { description: 'Below', points: 1 }]);
+        expect(config.CURRENT_SCORE_AGGREGATION_BY_COURSE).toEqual({ 101: 'power_law' });
+        expect(config.GROWTH_MODEL_OPTIONS).toEqual({ priorWeight: 2 });
+        expect(raw.OUTCOME_AND_RUBRIC_RATINGS).toHaveLength(3);
+        expect(warn).toHaveBeenCalledTimes(3);
+        warn.mockRestore();
+    });
+
+    it('keeps score settings that break a rule, with a warning', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const config = prepareRuntimeConfig({
+            CURRENT_SCORE_AGGREGATION: 'median',
+            OUTCOME_AND_RUBRIC_RATINGS: [{ description: 'Mastery', points: 4 }, { description: 'Negative', points: -1 }],
+            DEFAULT_MASTERY_THRESHOLD: 'three'
+        });
+
+        expect(config.CURRENT_SCORE_AGGREGATION).toBe('median');
+        expect(config.OUTCOME_AND_RUBRIC_RATINGS).toHaveLength(2);
+        expect(config).not.toHaveProperty('DEFAULT_MASTERY_THRESHOLD');
+        expect(warn.mock.calls.filter(args => args.join(' ').includes('kept as configured'))).toHaveLength(2);
+        warn.mockRestore();
+    });
+});
+
+describe('config migrations', () => {
+    const migrations = [
+        { version: 2, description: 'Rename', renamed: { OLD_LABEL: 'AVG_OUTCOME_NAME' } },
+        { version: 3, description: 'Remove', removed: ['LEGACY_FLAG'] }
+    ];
+
+    it('renames and removes keys from the config version onwards', () => {
+        const original = { OLD_LABEL: 'Mine', LEGACY_FLAG: true };
+        const { config, version, applied } = migrateConfig(original, 1, migrations);
+
+        expect(config).toEqual({ AVG_OUTCOME_NAME: 'Mine' });
+        expect(version).toBe(3);
+        expect(applied.map(m => m.changes)).toEqual([['OLD_LABEL renamed to AVG_OUTCOME_NAME'], ['LEGACY_FLAG removed']]);
+        expect(original).toEqual({ OLD_LABEL: 'Mine', LEGACY_FLAG: true });
+
+        // Already at version 2: only the removal runs
+        expect(migrateConfig({ OLD_LABEL: 'Mine', LEGACY_FLAG: true }, 2, migrations).config).toEqual({ OLD_LABEL: 'Mine' });
+    });
+
+    it('upgrades a managed block without configVersion and round-trips a generated one', () => {
+        const legacyBlock = `
+            window.CG_MANAGED = { release: { channel: 'prod', version: 'v1.0.3' } };
+            window.CG_MANAGED.config = { ENABLE_ACCOUNT_FILTER: true, ALLOWED_ACCOUNT_IDS: [1, 2], GROWTH_MODEL: 'spline' };`;
+        const legacy = loadManagedBlock(legacyBlock);
+
+        expect(legacy.configVersion).toBe(1);
+        expect(legacy.config.ALLOWED_ACCOUNT_IDS).toEqual(['1', '2']);
+        expect(legacy.migrations).toHaveLength(1);
+        expect(legacy.errors.map(e => e.key)).toEqual(['GROWTH_MODEL']);
+
+        const current = loadManagedBlock(buildCGManagedBlock({ accountId: '1', allowedAccountIds: ['1', '2'] }));
+        expect(current).toMatchObject({ configVersion: CONFIG_VERSION, migrations: [], errors: [], warnings: [] });
+    });
+});
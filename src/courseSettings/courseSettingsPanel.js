@@ -0,0 +1,281 @@
+// src/courseSettings/courseSettingsPanel.js
+/**
+ * Course Settings Panel
+ *
+ * Injects a "Gradebook Settings" button in the course settings sidebar, next
+ * to the Mastery View creation button. It opens a modal where a teacher can
+ * override, for this course only, the config keys the district allows
+ * (COURSE_OVERRIDABLE_KEYS). Each key shows the district value and an
+ * "Override" switch; saving writes course_settings.json through
+ * courseConfigService.js.
+ */
+
+import { logger } from '../utils/logger.js';
+import { makeButton } from '../ui/buttons.js';
+import { injectStyles } from '../ui/styles.js';
+import { escapeHtml } from '../utils/html.js';
+import { getCourseId, getUserRoleGroup } from '../utils/canvas.js';
+import { CanvasApiClient } from '../utils/canvasApiClient.js';
+import { handleError } from '../utils/errorHandler.js';
+import { waitForSettingsSidebar } from '../utils/pageDetection.js';
+import { getDistrictConfigValue } from '../config.js';
+import {
+    COURSE_SETTING_LABELS,
+    COURSE_SETTING_TYPES,
+    getOverridableKeys,
+    readCourseSettings,
+    saveCourseSettings,
+    sanitizeCourseOverrides,
+    validateCourseConfig
+} from '../services/courseConfigService.js';
+
+const INJECTION_MARKER = 'cg-course-settings';
+const DASHBOARD_CREATOR_MARKER = 'cg-mastery-dashboard-creator';
+
+const COURSE_SETTINGS_CSS = `
+.cg-course-settings-overlay {
+    position: fixed;
+    inset: 0;
+    background: rgba(0, 0, 0, 0.5);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 10001;
+}
+.cg-course-settings-modal {
+    background: #fff;
+    border-radius: 8px;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    width: min(640px, 95vw);
+    max-height: 85vh;
+    display: flex;
+    flex-direction: column;
+    font-size: 14px;
+}
+.cg-course-settings-header { padding: 16px 20px; border-bottom: 1px solid #ddd; display: flex; align-items: center; }
+.cg-course-settings-title  { font-size: 18px; font-weight: bold; margin: 0; flex: 1; }
+.cg-course-settings-body   { overflow: auto; padding: 8px 20px 16px; }
+.cg-course-settings-row    { padding: 12px 0; border-bottom: 1px solid #eee; }
+.cg-course-settings-row label.cg-course-settings-label { font-weight: bold; display: block; }
+.cg-course-settings-help   { color: #555; font-size: 12px; margin: 2px 0 6px; }
+.cg-course-settings-district { color: #555; font-size: 12px; }
+.cg-course-settings-control { margin-top: 6px; }
+.cg-course-settings-control textarea { width: 100%; min-height: 60px; box-sizing: border-box; }
+.cg-course-settings-control[hidden] { display: none; }
+.cg-course-settings-footer { padding: 12px 20px; border-top: 1px solid #ddd; display: flex; align-items: center; gap: 8px; }
+.cg-course-settings-msg    { flex: 1; font-size: 12px; color: #555; }
+.cg-course-settings-msg.error { color: #b00020; }
+.cg-course-settings-empty  { padding: 16px 0; color: #666; }
+`;
+
+/**
+ * Readable form of a config value
+ * @param {string} key
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(key, value) {
+    if (COURSE_SETTING_TYPES[key] === 'boolean') return value ? 'On' : 'Off';
+    if (Array.isArray(value)) return value.length ? value.join(', ') : 'None';
+    return String(value ?? '—');
+}
+
+/**
+ * Render one setting row
+ * @param {string} key
+ * @param {Object} overrides - Saved overrides for the course
+ * @returns {string} HTML
+ */
+function renderSettingRow(key, overrides) {
+    const { label, help } = COURSE_SETTING_LABELS[key];
+    const overridden = overrides[key] !== undefined;
+    const value = overridden ? overrides[key] : getDistrictConfigValue(key);
+
+    const control = COURSE_SETTING_TYPES[key] === 'boolean'
+        ? `<select data-setting-value="${key}">
+               <option value="true"${value ? ' selected' : ''}>On</option>
+               <option value="false"${value ? '' : ' selected'}>Off</option>
+           </select>`
+        : `<textarea data-setting-value="${key}">${escapeHtml((value ?? []).join('\n'))}</textarea>`;
+
+    return `
+        <div class="cg-course-settings-row">
+            <label class="cg-course-settings-label" for="cg-course-setting-${key}">${escapeHtml(label)}</label>
+            <div class="cg-course-settings-help">${escapeHtml(help)}</div>
+            <div class="cg-course-settings-district">District setting: ${escapeHtml(formatValue(key, getDistrictConfigValue(key)))}</div>
+            <label>
+                <input type="checkbox" id="cg-course-setting-${key}" data-setting-override="${key}"${overridden ? ' checked' : ''}>
+                Override for this course
+            </label>
+            <div class="cg-course-settings-control" data-setting-control="${key}"${overridden ? '' : ' hidden'}>${control}</div>
+        </div>`;
+}
+
+/**
+ * Overrides currently entered in the modal
+ * @param {HTMLElement} body
+ * @param {string[]} keys
+ * @returns {Object}
+ */
+function collectOverrides(body, keys) {
+    const overrides = {};
+    keys.forEach(key => {
+        if (!body.querySelector(`[data-setting-override="${key}"]`)?.checked) return;
+        const input = body.querySelector(`[data-setting-value="${key}"]`);
+        overrides[key] = COURSE_SETTING_TYPES[key] === 'boolean'
+            ? input.value === 'true'
+            : input.value.split('\n');
+    });
+    return sanitizeCourseOverrides(overrides, keys).overrides;
+}
+
+/**
+ * Open the course settings modal
+ * @param {string} courseId
+ */
+export async function openCourseSettingsPanel(courseId) {
+    injectStyles(COURSE_SETTINGS_CSS, 'cg-course-settings-styles');
+    document.querySelector('.cg-course-settings-overlay')?.remove();
+
+    const keys = getOverridableKeys();
+    const apiClient = new CanvasApiClient();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'cg-course-settings-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'cg-course-settings-title');
+    overlay.innerHTML = `
+        <div class="cg-course-settings-modal">
+            <div class="cg-course-settings-header">
+                <h2 class="cg-course-settings-title" id="cg-course-settings-title">Gradebook settings for this course</h2>
+                <button class="Button" data-action="close">Close</button>
+            </div>
+            <div class="cg-course-settings-body"><div class="cg-course-settings-empty">Loading…</div></div>
+            <div class="cg-course-settings-footer">
+                <div class="cg-course-settings-msg" aria-live="polite"></div>
+                <button class="Button Button--primary" data-action="save" disabled>Save</button>
+            </div>
+        </div>`;
+
+    const body = overlay.querySelector('.cg-course-settings-body');
+    const msg = overlay.querySelector('.cg-course-settings-msg');
+    const saveBtn = overlay.querySelector('[data-action="save"]');
+    const showMessage = (text, isError = false) => {
+        msg.textContent = text;
+        msg.classList.toggle('error', isError);
+    };
+
+    const close = () => {
+        document.removeEventListener('keydown', onKeydown);
+        overlay.remove();
+    };
+    const onKeydown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+
+    overlay.addEventListener('click', async (e) => {
+        if (e.target === overlay || e.target.closest('[data-action="close"]')) {
+            close();
+            return;
+        }
+        if (!e.target.closest('[data-action="save"]')) return;
+
+        const overrides = collectOverrides(body, keys);
+        const effective = Object.fromEntries(keys.map(key => [key, overrides[key] ?? getDistrictConfigValue(key)]));
+        const errors = validateCourseConfig(effective);
+        if (errors.length > 0) {
+            showMessage(errors.join(' '), true);
+            return;
+        }
+
+        saveBtn.disabled = true;
+        showMessage('Saving…');
+        try {
+            await saveCourseSettings(courseId, overrides, apiClient);
+            showMessage('Saved. Reload open gradebook and Mastery Outlook pages to use the new settings.');
+        } catch (error) {
+            showMessage(`Could not save: ${handleError(error, 'saveCourseSettings')}`, true);
+        } finally {
+            saveBtn.disabled = false;
+        }
+    });
+    overlay.addEventListener('change', (e) => {
+        const key = e.target.dataset?.settingOverride;
+        if (key) body.querySelector(`[data-setting-control="${key}"]`).hidden = !e.target.checked;
+    });
+    document.addEventListener('keydown', onKeydown);
+    document.body.appendChild(overlay);
+
+    try {
+        const settings = await readCourseSettings(courseId, apiClient);
+        body.innerHTML = keys.map(key => renderSettingRow(key, settings.overrides)).join('');
+        if (settings.updated_at) {
+            const who = settings.updated_by?.name ?? (settings.updated_by?.id ? `User ${settings.updated_by.id}` : 'Unknown');
+            showMessage(`Last changed by ${who} on ${new Date(settings.updated_at).toLocaleString()}`);
+        }
+        saveBtn.disabled = false;
+    } catch (error) {
+        logger.error('[CourseSettings] Failed to load course settings', error);
+        body.innerHTML = `<div class="cg-course-settings-empty">Could not load course settings: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Inject the course settings button into the settings sidebar
+ *
+ * Teachers only, and only when the district allows at least one key to be
+ * overridden.
+ */
+export function injectCourseSettingsButton() {
+    if (getOverridableKeys().length === 0) {
+        logger.trace('[CourseSettings] No overridable keys, skipping injection');
+        return;
+    }
+    if (getUserRoleGroup() !== 'teacher_like') {
+        logger.trace('[CourseSettings] Not a teacher, skipping injection');
+        return;
+    }
+
+    waitForSettingsSidebar((sidebar) => {
+        if (document.querySelector(`.${INJECTION_MARKER}`)) {
+            logger.trace('[CourseSettings] Button already injected');
+            return;
+        }
+
+        const courseId = getCourseId();
+        if (!courseId) {
+            logger.warn('[CourseSettings] Could not determine course ID');
+            return;
+        }
+
+        const container = document.createElement('div');
+        container.className = INJECTION_MARKER;
+        container.style.cssText = 'margin: 12px 0; padding: 12px; background: #f5f5f5; border-radius: 4px;';
+
+        const button = makeButton({
+            label: '⚙️ Gradebook Settings',
+            id: 'cg-course-settings-button',
+            onClick: () => openCourseSettingsPanel(courseId),
+            type: 'secondary'
+        });
+        button.style.marginLeft = '0';
+        button.style.width = '100%';
+
+        const description = document.createElement('div');
+        description.style.cssText = 'font-size: 12px; color: #666; text-align: center; margin-top: 8px;';
+        description.textContent = 'Change grading settings for this course only';
+
+        container.appendChild(button);
+        container.appendChild(description);
+
+        const dashboardCreator = sidebar.querySelector(`.${DASHBOARD_CREATOR_MARKER}`);
+        if (dashboardCreator) {
+            dashboardCreator.insertAdjacentElement('afterend', container);
+        } else {
+            sidebar.appendChild(container);
+        }
+
+        logger.info('[CourseSettings] Button injected successfully');
+    }, 'CourseSettings');
+}
@@ -10,6 +10,7 @@
  * - Initialize appropriate modules for each page type
  * - Display version information and logging configuration
  * - Coordinate module loading and startup sequence
+ * - Layer per-course config overrides (courseConfigService.js) before modules start
  * 
  * Page Type Detection & Module Routing:
  * - Dashboard pages → initDashboardGradeDisplay() (student-side grade display)
@@ -37,6 +38,8 @@ import { initMasteryDashboardCreation } from "./masteryDashboardCreation/mastery
 import { initMasteryDashboardViewer } from "./masteryDashboard/masteryDashboardInit.js";
 import { initMasteryOutlook } from "./masteryOutlook/masteryOutlookInit.js";
 import { exposeCGDevTools } from "./masteryOutlook/cgDevTools.js";
+import { loadCourseConfig } from "./services/courseConfigService.js";
+import { injectCourseSettingsButton } from "./courseSettings/courseSettingsPanel.js";
 
 /**
  * Main initialization function
@@ -79,10 +82,19 @@ import { exposeCGDevTools } from "./masteryOutlook/cgDevTools.js";
         return;
     }
 
-    // Mastery Dashboard Creation (course settings page)
+    // Per-course config overrides (teachers only - the settings file is unpublished)
+    // The session copy is applied now; a stale or missing copy is refreshed in the
+    // background (grade-writing actions wait for it via whenCourseConfigLoaded)
+    const courseId = getCourseId();
+    if (courseId && getUserRoleGroup() === 'teacher_like') {
+        loadCourseConfig(courseId, new CanvasApiClient());
+    }
+
+    // Mastery Dashboard Creation and course settings panel (course settings page)
     if (isCourseSettingsPage()) {
         logger.debug('[Init] On course settings page, initializing mastery dashboard creation');
         initMasteryDashboardCreation();
+        injectCourseSettingsButton();
     }
 
     // Mastery Outlook (teacher analytics dashboard)
@@ -0,0 +1,355 @@
+// src/gradebook/autoRecalcService.js
+/**
+ * Automatic Current Score recalculation.
+ *
+ * Opt-in per course: only offered when AUTO_RECALC_AVAILABLE is set, and then
+ * switched on by a teacher. The switch is stored with the course
+ * (MOREnet_CustomizedGradebook/auto_recalc.json via courseFileStorage.js), so
+ * it applies to every teacher and browser; localStorage keeps a copy so the
+ * page can start before the file is read. While the gradebook or
+ * Mastery Outlook is open:
+ *  - every AUTO_RECALC_POLL_MINUTES, students with rubric results graded since
+ *    the last check are added to the course's queue
+ *  - the queue is run through startUpdateFlow in automatic mode (no preview,
+ *    no prompts) for just those students, at most once per
+ *    AUTO_RECALC_MIN_INTERVAL_MINUTES
+ *
+ * The queue, last check and last run are kept in localStorage so they survive
+ * reloads and are shared by every open tab; a short-lived lock keeps two tabs
+ * from running the same queue. All other state is module-level (like
+ * masteryOutlookPollingService.js) and subscribers are notified whenever the
+ * queue or run status changes.
+ */
+
+import { logger } from '../utils/logger.js';
+import { CanvasApiClient } from '../utils/canvasApiClient.js';
+import {
+    AUTO_RECALC_AVAILABLE,
+    AUTO_RECALC_POLL_MINUTES,
+    AUTO_RECALC_MIN_INTERVAL_MINUTES,
+    AVG_ASSIGNMENT_NAME
+} from '../config.js';
+import { isAvgAssignmentName } from '../services/assignmentService.js';
+import { readCourseJsonFile, writeCourseJsonFile } from '../services/courseFileStorage.js';
+import { fetchGradedStudentIds } from '../masteryOutlook/masteryOutlookPollingService.js';
+import { startUpdateFlow, isUpdateFlowRunning } from './updateFlowOrchestrator.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+export const AUTO_RECALC_FILE_NAME = 'auto_recalc.json';
+
+const ENABLED_KEY  = (courseId) => `cg_autoRecalc_${courseId}`;
+const SINCE_KEY    = (courseId) => `cg_autoRecalc_since_${courseId}`;
+const QUEUE_KEY    = (courseId) => `cg_autoRecalc_queue_${courseId}`;
+const LAST_RUN_KEY = (courseId) => `cg_autoRecalc_lastRun_${courseId}`;
+const LOCK_KEY     = (courseId) => `cg_autoRecalc_lock_${courseId}`;
+
+const LOCK_TTL_MS = 30 * 60 * 1000;     // a crashed tab releases the lock after 30 minutes
+const CLOCK_SKEW_MS = 60 * 1000;        // re-check the last minute: graded_since uses Canvas' clock
+
+// ─── Module-level state ───────────────────────────────────────────────────────
+
+let _pollInterval = null;
+let _running = false;
+const _excludedAssignmentIds = new Map();   // courseId → Promise<Array<string>>
+const _settingLoads = new Map();            // courseId → Promise<boolean>
+const _listeners = new Set();
+
+function notify(courseId) {
+    const status = getAutoRecalcStatus(courseId);
+    for (const listener of _listeners) {
+        try {
+            listener(status);
+        } catch (e) {
+            logger.warn('[AutoRecalc] Listener failed:', e);
+        }
+    }
+}
+
+// ─── Per-course switch and queue ─────────────────────────────────────────────
+
+/**
+ * Whether automatic recalculation is switched on for a course (the local
+ * copy of the course setting, see loadAutoRecalcSetting)
+ * @param {string} courseId
+ * @returns {boolean}
+ */
+export function isAutoRecalcEnabled(courseId) {
+    return AUTO_RECALC_AVAILABLE && localStorage.getItem(ENABLED_KEY(courseId)) === 'true';
+}
+
+/**
+ * Update the local copy of the switch.
+ * Switching on only picks up grades from now on; switching off drops the queue.
+ * @private
+ */
+function applyEnabled(courseId, enabled) {
+    const wasEnabled = localStorage.getItem(ENABLED_KEY(courseId)) === 'true';
+    localStorage.setItem(ENABLED_KEY(courseId), enabled ? 'true' : 'false');
+    if (enabled && !wasEnabled) {
+        localStorage.setItem(SINCE_KEY(courseId), new Date().toISOString());
+    } else if (!enabled) {
+        localStorage.removeItem(QUEUE_KEY(courseId));
+    }
+    notify(courseId);
+}
+
+/**
+ * Read the course's switch and update the local copy. Read once per page;
+ * when the file cannot be read the local copy stays.
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<boolean>} Whether it is switched on
+ */
+export function loadAutoRecalcSetting(courseId, apiClient) {
+    if (!_settingLoads.has(courseId)) {
+        const load = readCourseJsonFile(courseId, AUTO_RECALC_FILE_NAME, apiClient)
+            .then(data => {
+                applyEnabled(courseId, data?.enabled === true);
+                return isAutoRecalcEnabled(courseId);
+            })
+            .catch(e => {
+                _settingLoads.delete(courseId);
+                logger.warn('[AutoRecalc] Could not load the course setting, keeping the local copy', e);
+                return isAutoRecalcEnabled(courseId);
+            });
+        _settingLoads.set(courseId, load);
+    }
+    return _settingLoads.get(courseId);
+}
+
+/**
+ * Switch automatic recalculation on or off for a course, for every teacher.
+ * Switching on only picks up grades from now on; switching off drops the queue.
+ *
+ * @param {string} courseId
+ * @param {boolean} enabled
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<void>}
+ * @throws {Error} When the course setting cannot be saved (the switch is unchanged)
+ */
+export async function setAutoRecalcEnabled(courseId, enabled, apiClient) {
+    await writeCourseJsonFile(courseId, AUTO_RECALC_FILE_NAME, {
+        enabled,
+        updated_at: new Date().toISOString(),
+        updated_by: {
+            id: window.ENV?.current_user_id ? String(window.ENV.current_user_id) : null,
+            name: window.ENV?.current_user?.display_name ?? null
+        }
+    }, apiClient);
+    _settingLoads.set(courseId, Promise.resolve(enabled));
+    applyEnabled(courseId, enabled);
+    logger.info(`[AutoRecalc] ${enabled ? 'Enabled' : 'Disabled'} for course ${courseId}`);
+}
+
+/**
+ * Students waiting for the next automatic run
+ * @param {string} courseId
+ * @returns {Array<string>} User IDs
+ */
+export function getAutoRecalcQueue(courseId) {
+    try {
+        const queue = JSON.parse(localStorage.getItem(QUEUE_KEY(courseId)) ?? '[]');
+        return Array.isArray(queue) ? queue : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Add students to the queue (duplicates are ignored)
+ * @param {string} courseId
+ * @param {Iterable<string>} userIds
+ * @returns {Array<string>} The updated queue
+ */
+export function enqueueStudents(courseId, userIds) {
+    const queue = [...new Set([...getAutoRecalcQueue(courseId), ...[...userIds].map(String)])];
+    localStorage.setItem(QUEUE_KEY(courseId), JSON.stringify(queue));
+    notify(courseId);
+    return queue;
+}
+
+/**
+ * Earliest time the next automatic run may start
+ * @param {string} courseId
+ * @returns {number|null} Epoch ms, or null if there has been no automatic run yet
+ */
+export function getNextRunAt(courseId) {
+    const lastRunAt = Number(localStorage.getItem(LAST_RUN_KEY(courseId)));
+    return lastRunAt ? lastRunAt + AUTO_RECALC_MIN_INTERVAL_MINUTES * 60 * 1000 : null;
+}
+
+/**
+ * Snapshot for the queue indicator
+ * @param {string} courseId
+ * @returns {{enabled: boolean, running: boolean, queue: Array<string>, nextRunAt: number|null}}
+ */
+export function getAutoRecalcStatus(courseId) {
+    return {
+        enabled: isAutoRecalcEnabled(courseId),
+        running: _running,
+        queue: getAutoRecalcQueue(courseId),
+        nextRunAt: getNextRunAt(courseId)
+    };
+}
+
+/**
+ * Subscribe to queue/run status changes
+ * @param {Function} listener - (status) => void, see getAutoRecalcStatus
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeAutoRecalc(listener) {
+    _listeners.add(listener);
+    return () => _listeners.delete(listener);
+}
+
+// ─── Cross-tab lock ──────────────────────────────────────────────────────────
+
+function acquireLock(courseId, now) {
+    const heldSince = Number(localStorage.getItem(LOCK_KEY(courseId)));
+    if (heldSince && now - heldSince < LOCK_TTL_MS) return false;
+    localStorage.setItem(LOCK_KEY(courseId), String(now));
+    return true;
+}
+
+function releaseLock(courseId) {
+    localStorage.removeItem(LOCK_KEY(courseId));
+}
+
+// ─── Detection ────────────────────────────────────────────────────────────────
+
+/**
+ * The Current Score assignments (one per grading period when
+ * GRADING_PERIOD_ASSIGNMENTS is set) are graded by the update itself, so grades
+ * on them must not queue the student again.  Looked up once per course.
+ */
+function getExcludedAssignmentIds(courseId, apiClient) {
+    if (!_excludedAssignmentIds.has(courseId)) {
+        const lookup = apiClient.get(
+            `/api/v1/courses/${courseId}/assignments?search_term=${encodeURIComponent(AVG_ASSIGNMENT_NAME)}`,
+            {},
+            'autoRecalc:avgAssignment'
+        ).then(assignments => assignments.filter(a => isAvgAssignmentName(a.name)).map(a => String(a.id)))
+            .catch(e => {
+                _excludedAssignmentIds.delete(courseId);
+                throw e;
+            });
+        _excludedAssignmentIds.set(courseId, lookup);
+    }
+    return _excludedAssignmentIds.get(courseId);
+}
+
+/**
+ * Queue every student with a rubric result graded since the last check
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<Array<string>>} The updated queue
+ */
+export async function pollForGradedStudents(courseId, apiClient) {
+    const checkedAt = Date.now();
+    const since = localStorage.getItem(SINCE_KEY(courseId)) ?? new Date(checkedAt).toISOString();
+
+    const excludeAssignmentIds = await getExcludedAssignmentIds(courseId, apiClient);
+    const userIds = await fetchGradedStudentIds(courseId, since, apiClient, { excludeAssignmentIds });
+
+    localStorage.setItem(SINCE_KEY(courseId), new Date(checkedAt - CLOCK_SKEW_MS).toISOString());
+    if (userIds.size > 0) {
+        logger.info(`[AutoRecalc] ${userIds.size} students graded since ${since}`);
+    }
+    return enqueueStudents(courseId, userIds);
+}
+
+// ─── Running the queue ───────────────────────────────────────────────────────
+
+/**
+ * Run the update for every queued student, unless throttled, already running
+ * (in this or another tab) or switched off.  Students of a run that does not
+ * finish (failed, cancelled or stopped) are queued again.
+ *
+ * @param {string} courseId
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Ignore the minimum interval ("Run now")
+ * @param {number} [options.now=Date.now()]
+ * @returns {Promise<string|null>} startUpdateFlow status, or null if nothing ran
+ */
+export async function runQueuedUpdate(courseId, { force = false, now = Date.now() } = {}) {
+    if (!isAutoRecalcEnabled(courseId) || _running || isUpdateFlowRunning()) return null;
+
+    const queue = getAutoRecalcQueue(courseId);
+    if (queue.length === 0) return null;
+
+    const nextRunAt = getNextRunAt(courseId);
+    if (!force && nextRunAt && now < nextRunAt) {
+        logger.debug(`[AutoRecalc] Throttled until ${new Date(nextRunAt).toLocaleTimeString()}`);
+        return null;
+    }
+
+    if (!acquireLock(courseId, now)) {
+        logger.debug('[AutoRecalc] Another tab is running the queue');
+        return null;
+    }
+
+    _running = true;
+    localStorage.setItem(LAST_RUN_KEY(courseId), String(now));
+    localStorage.removeItem(QUEUE_KEY(courseId));
+    notify(courseId);
+    logger.info(`[AutoRecalc] Updating ${queue.length} queued students`);
+
+    let status = null;
+    try {
+        status = await startUpdateFlow(null, { userIds: queue, automatic: true });
+    } catch (e) {
+        logger.warn('[AutoRecalc] Automatic update failed:', e);
+        status = 'error';
+    } finally {
+        _running = false;
+        releaseLock(courseId);
+    }
+
+    if (status !== 'complete' && status !== 'no_changes') {
+        enqueueStudents(courseId, queue);
+    } else {
+        notify(courseId);
+    }
+    return status;
+}
+
+// ─── startAutoRecalc / stopAutoRecalc ─────────────────────────────────────────
+
+/**
+ * Start polling and running the queue for a course.  Does nothing unless the
+ * feature is available and switched on.  Safe to call again: any previous
+ * interval is stopped first.
+ *
+ * @param {string} courseId
+ */
+export function startAutoRecalc(courseId) {
+    stopAutoRecalc();
+    if (!isAutoRecalcEnabled(courseId)) return;
+
+    const tick = async () => {
+        try {
+            await pollForGradedStudents(courseId, new CanvasApiClient());
+            await runQueuedUpdate(courseId);
+        } catch (e) {
+            // Silent like the Mastery Outlook poll — retry on the next tick
+            logger.warn('[AutoRecalc] Poll failed (silent):', e.message);
+        }
+    };
+
+    logger.debug(`[AutoRecalc] Polling every ${AUTO_RECALC_POLL_MINUTES} min for course ${courseId}`);
+    _pollInterval = setInterval(tick, AUTO_RECALC_POLL_MINUTES * 60 * 1000);
+    tick();
+}
+
+/**
+ * Stop polling.  A run already in progress finishes normally.
+ */
+export function stopAutoRecalc() {
+    if (_pollInterval !== null) {
+        clearInterval(_pollInterval);
+        _pollInterval = null;
+        logger.debug('[AutoRecalc] Polling stopped');
+    }
+}
@@ -0,0 +1,181 @@
+// src/gradebook/autoRecalcService.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../config.js', async (importOriginal) => ({
+    ...await importOriginal(),
+    AUTO_RECALC_AVAILABLE: true,
+    AUTO_RECALC_POLL_MINUTES: 5,
+    AUTO_RECALC_MIN_INTERVAL_MINUTES: 10,
+    AVG_ASSIGNMENT_NAME: 'Current Score Assignment',
+    ENABLE_OUTCOME_UPDATES: false,
+    ENFORCE_COURSE_OVERRIDE: false,
+    ENFORCE_COURSE_GRADING_SCHEME: false
+}));
+
+vi.mock('./updateFlowOrchestrator.js', () => ({
+    startUpdateFlow: vi.fn(),
+    isUpdateFlowRunning: vi.fn(() => false)
+}));
+
+vi.mock('../masteryOutlook/masteryOutlookPollingService.js', () => ({
+    fetchGradedStudentIds: vi.fn()
+}));
+
+vi.mock('../services/courseFileStorage.js', () => ({
+    readCourseJsonFile: vi.fn(),
+    writeCourseJsonFile: vi.fn()
+}));
+
+vi.mock('../utils/canvasApiClient.js', () => ({
+    CanvasApiClient: vi.fn(function () {
+        this.get = vi.fn();
+    })
+}));
+
+vi.mock('../services/enrollmentService.js', () => ({
+    fetchCourseSections: vi.fn(),
+    fetchCourseStudents: vi.fn()
+}));
+
+vi.mock('../services/outcomeService.js', () => ({
+    getRollup: vi.fn(),
+    getRollupForUsers: vi.fn(),
+    getOutcomeObjectByName: vi.fn(),
+    createOutcome: vi.fn(),
+    setOutcomeOrderWithAvgFirst: vi.fn()
+}));
+
+import { startUpdateFlow } from './updateFlowOrchestrator.js';
+import { fetchGradedStudentIds } from '../masteryOutlook/masteryOutlookPollingService.js';
+import { readCourseJsonFile, writeCourseJsonFile } from '../services/courseFileStorage.js';
+import { CanvasApiClient } from '../utils/canvasApiClient.js';
+import { fetchCourseSections, fetchCourseStudents } from '../services/enrollmentService.js';
+import { getRollupForUsers } from '../services/outcomeService.js';
+import { setSelectedSectionId } from '../services/sectionScopeService.js';
+import { setSelectedGradingPeriodId } from '../services/gradingPeriodService.js';
+import { handleCheckingSetup } from './stateHandlers.js';
+import { STATES } from './stateMachine.js';
+import {
+    setAutoRecalcEnabled,
+    loadAutoRecalcSetting,
+    isAutoRecalcEnabled,
+    enqueueStudents,
+    getAutoRecalcQueue,
+    pollForGradedStudents,
+    runQueuedUpdate
+} from './autoRecalcService.js';
+
+const COURSE = '101';
+const MINUTE = 60 * 1000;
+const apiClient = {};
+
+describe('autoRecalcService', () => {
+    beforeEach(async () => {
+        localStorage.clear();
+        vi.clearAllMocks();
+        writeCourseJsonFile.mockResolvedValue({});
+        await setAutoRecalcEnabled(COURSE, true, apiClient);
+    });
+
+    it('queues graded students and excludes the Current Score assignment', async () => {
+        const apiClient = { get: vi.fn().mockResolvedValue([{ id: 55, name: 'Current Score Assignment' }]) };
+        fetchGradedStudentIds.mockResolvedValue(new Set(['1', '2']));
+
+        enqueueStudents(COURSE, ['2']);
+        const queue = await pollForGradedStudents(COURSE, apiClient);
+
+        expect(queue).toEqual(['2', '1']);
+        expect(fetchGradedStudentIds.mock.calls[0][3]).toEqual({ excludeAssignmentIds: ['55'] });
+    });
+
+    it('runs the queue in automatic mode and throttles the next run', async () => {
+        startUpdateFlow.mockResolvedValue('complete');
+        enqueueStudents(COURSE, ['1', '2']);
+
+        const now = Date.now();
+        expect(await runQueuedUpdate(COURSE, { now })).toBe('complete');
+        expect(startUpdateFlow).toHaveBeenCalledWith(null, { userIds: ['1', '2'], automatic: true });
+        expect(getAutoRecalcQueue(COURSE)).toEqual([]);
+
+        enqueueStudents(COURSE, ['3']);
+        expect(await runQueuedUpdate(COURSE, { now: now + 5 * MINUTE })).toBeNull();
+        expect(await runQueuedUpdate(COURSE, { now: now + 5 * MINUTE, force: true })).toBe('complete');
+    });
+
+    it('re-queues students when the run fails', async () => {
+        startUpdateFlow.mockResolvedValue('error');
+        enqueueStudents(COURSE, ['7']);
+
+        await runQueuedUpdate(COURSE);
+
+        expect(getAutoRecalcQueue(COURSE)).toEqual(['7']);
+    });
+
+    it('re-queues students when the run is cancelled or does not start', async () => {
+        startUpdateFlow.mockResolvedValueOnce('cancelled');
+        enqueueStudents(COURSE, ['7']);
+        await runQueuedUpdate(COURSE, { force: true });
+        expect(getAutoRecalcQueue(COURSE)).toEqual(['7']);
+
+        startUpdateFlow.mockResolvedValueOnce(null);
+        await runQueuedUpdate(COURSE, { force: true });
+        expect(getAutoRecalcQueue(COURSE)).toEqual(['7']);
+    });
+
+    it('updates every queued student when the teacher has a section and grading period selected', async () => {
+        setSelectedSectionId(COURSE, '55');
+        setSelectedGradingPeriodId(COURSE, '9');
+        fetchCourseStudents.mockResolvedValue([{ userId: '1', sectionId: '55' }, { userId: '2', sectionId: '56' }]);
+        getRollupForUsers.mockResolvedValue({ rollups: [], linked: { outcomes: [], users: [] } });
+
+        // The real CHECKING_SETUP step, as the automatic flow runs it
+        let context;
+        startUpdateFlow.mockImplementationOnce(async (button, { userIds, automatic }) => {
+            context = { courseId: COURSE, banner: { setText: vi.fn() }, targetUserIds: userIds, automatic };
+            const machine = { getContext: () => context, updateContext: (updates) => Object.assign(context, updates) };
+            return await handleCheckingSetup(machine) === STATES.PRELOAD_SUBMISSIONS ? 'complete' : 'error';
+        });
+        enqueueStudents(COURSE, ['1', '2']);
+
+        expect(await runQueuedUpdate(COURSE, { force: true })).toBe('complete');
+        expect(getRollupForUsers).toHaveBeenCalledWith(COURSE, ['1', '2'], expect.anything());
+        expect(context).toMatchObject({ targetUserIds: ['1', '2'], gradingPeriod: null });
+        expect(context.section).toBeUndefined();
+        expect(fetchCourseSections).not.toHaveBeenCalled();
+        expect(CanvasApiClient.mock.results[0].value.get).not.toHaveBeenCalled();
+        expect(getAutoRecalcQueue(COURSE)).toEqual([]);
+    });
+
+    it('stores the switch with the course', async () => {
+        expect(writeCourseJsonFile).toHaveBeenCalledWith(
+            COURSE, 'auto_recalc.json', expect.objectContaining({ enabled: true }), apiClient
+        );
+
+        readCourseJsonFile.mockResolvedValueOnce({ enabled: true });
+        expect(await loadAutoRecalcSetting('202', apiClient)).toBe(true);
+        expect(isAutoRecalcEnabled('202')).toBe(true);
+
+        // Unreadable file: the local copy stays
+        readCourseJsonFile.mockRejectedValueOnce(new Error('Could not read auto_recalc.json'));
+        expect(await loadAutoRecalcSetting('303', apiClient)).toBe(false);
+    });
+
+    it('leaves the switch unchanged when it cannot be saved', async () => {
+        enqueueStudents(COURSE, ['1']);
+        writeCourseJsonFile.mockRejectedValueOnce(new Error('Could not write auto_recalc.json'));
+
+        await expect(setAutoRecalcEnabled(COURSE, false, apiClient)).rejects.toThrow('auto_recalc.json');
+        expect(isAutoRecalcEnabled(COURSE)).toBe(true);
+        expect(getAutoRecalcQueue(COURSE)).toEqual(['1']);
+    });
+
+    it('does nothing when switched off, and drops the queue', async () => {
+        enqueueStudents(COURSE, ['1']);
+        await setAutoRecalcEnabled(COURSE, false, apiClient);
+
+        expect(isAutoRecalcEnabled(COURSE)).toBe(false);
+        expect(getAutoRecalcQueue(COURSE)).toEqual([]);
+        expect(await runQueuedUpdate(COURSE)).toBeNull();
+        expect(startUpdateFlow).not.toHaveBeenCalled();
+    });
+});
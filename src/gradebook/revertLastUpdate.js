@@ -0,0 +1,93 @@
+// src/gradebook/revertLastUpdate.js
+/**
+ * Revert Last Update
+ *
+ * Entry point for the "Revert last update" gradebook button. Reads the course's
+ * update journal, confirms with the teacher, and restores the previous rubric
+ * scores, override scores and custom statuses of the most recent run.
+ *
+ * See src/services/updateJournalService.js for the journal format.
+ */
+
+import { CanvasApiClient } from "../utils/canvasApiClient.js";
+import { getCourseId } from "../utils/canvas.js";
+import { ValidationError } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import { showFloatingBanner } from "../ui/banner.js";
+import { readUpdateJournal, getLastRevertibleRun, revertUpdateRun } from "../services/updateJournalService.js";
+import { refreshMasteryForAssignment } from "../services/masteryRefreshService.js";
+import { downloadErrorSummary } from "../services/gradeSubmission.js";
+import { buildRunHistoryEntry, appendRunHistory } from "../services/runHistoryService.js";
+
+/**
+ * Revert the most recent un-reverted Update Current Score run
+ * @param {HTMLButtonElement} [button] - Button to disable while running
+ */
+export async function startRevertLastUpdate(button = null) {
+    const courseId = getCourseId();
+    if (!courseId) throw new ValidationError("Course ID not found", "courseId");
+
+    const apiClient = new CanvasApiClient();
+    const journal = await readUpdateJournal(courseId, apiClient);
+    const run = getLastRevertibleRun(journal);
+
+    if (!run) {
+        alert("There is no update to revert for this course.");
+        return;
+    }
+
+    const runDate = new Date(run.created_at).toLocaleString();
+    const confirmed = confirm(
+        `Revert the update from ${runDate}?\n\n` +
+        `${run.entries.length} students will have their previous Current Score, ` +
+        `override grade and custom status restored.`
+    );
+    if (!confirmed) return;
+
+    if (button) button.disabled = true;
+    const banner = showFloatingBanner({ text: `Reverting update from ${runDate}...` });
+    const startedAt = Date.now();
+
+    try {
+        const { successCount, errors, retryCounts, markedReverted } = await revertUpdateRun(courseId, run, apiClient, {
+            onProgress: (done, total) => banner.soft(`Restored ${done}/${total} students...`)
+        });
+
+        try {
+            banner.soft('Refreshing mastery levels...');
+            await refreshMasteryForAssignment(courseId, run.assignment_id);
+        } catch (error) {
+            logger.warn('[RevertLastUpdate] Mastery refresh failed, continuing anyway:', error);
+        }
+
+        try {
+            const entry = buildRunHistoryEntry(
+                { courseId, journalRunId: run.run_id, numberOfUpdates: run.entries.length, updateErrors: errors, retryCounts },
+                { status: 'reverted', durationSeconds: Math.round((Date.now() - startedAt) / 1000) }
+            );
+            await appendRunHistory(courseId, entry, apiClient);
+        } catch (error) {
+            logger.warn('[RevertLastUpdate] Failed to record run history:', error);
+        }
+
+        banner.setText(`Restored ${successCount}/${run.entries.length} students.`);
+        setTimeout(() => banner.remove(), 3000);
+
+        const notMarked = markedReverted ? '' :
+            `\n\nThe update could not be marked as reverted, so Revert may still offer it.`;
+        if (errors.length > 0) {
+            const wantsDownload = confirm(
+                `${errors.length} students could not be restored.${notMarked}\n\nExport the failure log to a file?`
+            );
+            if (wantsDownload) downloadErrorSummary(retryCounts, errors);
+        } else {
+            alert(`Update from ${runDate} reverted.\nYou may need to refresh the page to see the restored scores.${notMarked}`);
+        }
+    } catch (error) {
+        banner.setText(`Revert failed: ${error.message}`);
+        setTimeout(() => banner.remove(), 5000);
+        throw error;
+    } finally {
+        if (button) button.disabled = false;
+    }
+}
@@ -13,45 +13,73 @@ import { STATES } from "./stateMachine.js";
 import { logger } from "../utils/logger.js";
 import {
     AVG_OUTCOME_NAME,
-    AVG_ASSIGNMENT_NAME,
     AVG_RUBRIC_NAME,
     ENABLE_OUTCOME_UPDATES,
     ENABLE_GRADE_OVERRIDE,
     ENFORCE_COURSE_OVERRIDE,
     ENFORCE_COURSE_GRADING_SCHEME,
+    GRADING_PERIOD_ASSIGNMENTS,
     OVERRIDE_SCALE
 } from "../config.js";
 import { UserCancelledError } from "../utils/errorHandler.js";
 import { CanvasApiClient } from "../utils/canvasApiClient.js";
 import { calculateStudentAverages } from "../services/gradeCalculator.js";
 import { downloadErrorSummary } from "../services/gradeSubmission.js";
-import { fetchAllSubmissions, fetchRubricAssociationId } from "../services/submissionService.js";
+import { fetchAllSubmissions, fetchSubmissionsForUsers, fetchRubricAssociationId } from "../services/submissionService.js";
 import { submitRubricAssessmentBatch } from "../services/graphqlGradingService.js";
 import { verifyUIScores } from "../services/avgOutcomeVerification.js";
 import { getElapsedTimeSinceStart, stopElapsedTimer } from "../utils/uiHelpers.js";
+import { buildPreviewRows, showUpdatePreview } from "./ui/previewTable.js";
 
 // Import Canvas API service functions
-import { getRollup, getOutcomeObjectByName, createOutcome, setOutcomeOrderWithAvgFirst } from "../services/outcomeService.js";
-import { getAssignmentObjectFromOutcomeObj, createAssignment } from "../services/assignmentService.js";
+import { getRollup, getRollupForUsers, getOutcomeObjectByName, createOutcome, setOutcomeOrderWithAvgFirst } from "../services/outcomeService.js";
+import { getAssignmentObjectFromOutcomeObj, createAssignment, getAvgAssignmentName } from "../services/assignmentService.js";
 import { getRubricForAssignment, createRubric } from "../services/rubricService.js";
-import { enableCourseOverride, verifyOverrideScores } from "../services/gradeOverrideVerification.js";
+import { enableCourseOverride, verifyOverrideScores, fetchOverrideStates } from "../services/gradeOverrideVerification.js";
 import { getAllEnrollmentIds, getEnrollmentIdForUser, setOverrideScoreGQL } from "../services/gradeOverride.js";
 import { enableCourseGradingScheme } from "../services/courseService.js";
 import { refreshMasteryForAssignment } from "../services/masteryRefreshService.js";
 import { clearAllSnapshots } from "../services/courseSnapshotService.js";
+import { buildJournalRun, recordUpdateRun } from "../services/updateJournalService.js";
+import { resolveSelectedGradingPeriod, buildGradingPeriodRollup } from "../services/gradingPeriodService.js";
+import { resolveSelectedSection, fetchSectionStudentIds } from "../services/sectionScopeService.js";
+import { fetchOutcomeResults } from "../masteryOutlook/masteryOutlookDataService.js";
+import { readOutcomeWeighting } from "../masteryOutlook/masteryOutlookCacheService.js";
+
+/**
+ * Ask the teacher before creating a missing outcome, assignment or rubric.
+ * Automatic runs never create resources; they stop until a manual run has done the setup.
+ *
+ * @param {UpdateFlowStateMachine} stateMachine
+ * @param {string} label - e.g. `Outcome "Current Score"`
+ * @param {string} kind - 'outcome' | 'assignment' | 'rubric'
+ * @throws {UserCancelledError} If the run is automatic or the teacher declines
+ */
+function confirmResourceCreation(stateMachine, label, kind) {
+    if (stateMachine.getContext().automatic) {
+        throw new UserCancelledError(`${label} not found. Run the update manually once to create it.`);
+    }
+    const confirmCreate = confirm(`${label} not found.\nWould you like to create it?`);
+    if (!confirmCreate) throw new UserCancelledError(`User declined to create missing ${kind}.`);
+}
 
 /**
  * CHECKING_SETUP State Handler
  * Checks if outcome, assignment, and rubric exist
  * Transitions to CREATING_* states if resources are missing
  * Transitions to CALCULATING if all resources exist
+ * Also resolves the teacher's selected grading period; with GRADING_PERIOD_ASSIGNMENTS
+ * the period's own Current Score assignment is checked/created. A selected section
+ * turns the run into a targeted run over the section's students. Automatic runs
+ * ignore both: they update exactly the queued students over all periods.
  *
  * @param {UpdateFlowStateMachine} stateMachine - State machine instance
  * @returns {Promise<string>} Next state (CREATING_OUTCOME, CREATING_ASSIGNMENT, CREATING_RUBRIC, or CALCULATING)
  * @throws {UserCancelledError} If user declines to create missing resources
  */
 export async function handleCheckingSetup(stateMachine) {
-    const { courseId, banner } = stateMachine.getContext();
+    const { courseId, banner, automatic } = stateMachine.getContext();
+    let { targetUserIds } = stateMachine.getContext();
     const apiClient = new CanvasApiClient();
 
     // Set banner message based on grading mode
@@ -61,8 +89,31 @@ export async function handleCheckingSetup(stateMachine) {
     banner.setText(setupMessage);
     logger.debug(`Grading mode: ENABLE_OUTCOME_UPDATES=${ENABLE_OUTCOME_UPDATES}, ENABLE_GRADE_OVERRIDE=${ENABLE_GRADE_OVERRIDE}`);
 
-    // Fetch rollup data (needed for both outcome and override modes)
-    const data = await getRollup(courseId, apiClient);
+    // The teacher's section and grading period only scope the runs they start
+    const gradingPeriod = automatic ? null : await resolveSelectedGradingPeriod(courseId, apiClient);
+    stateMachine.updateContext({ gradingPeriod });
+    if (gradingPeriod) {
+        logger.info(`[UpdateFlow] Grading period: "${gradingPeriod.title}"`);
+    }
+
+    const section = automatic ? null : await resolveSelectedSection(courseId, apiClient);
+    if (section) {
+        const sectionIds = await fetchSectionStudentIds(courseId, section.id, apiClient);
+        targetUserIds = targetUserIds
+            ? targetUserIds.filter(id => sectionIds.includes(id))
+            : sectionIds;
+        logger.info(`[UpdateFlow] Section "${section.name}": ${targetUserIds.length} student(s)`);
+        stateMachine.updateContext({ section, targetUserIds });
+        if (targetUserIds.length === 0) {
+            throw new UserCancelledError(`No students to update in section "${section.name}".`);
+        }
+    }
+
+    // Fetch rollup data (needed for both outcome and override modes).
+    // Targeted runs only fetch the selected students.
+    const data = targetUserIds
+        ? await getRollupForUsers(courseId, targetUserIds, apiClient)
+        : await getRollup(courseId, apiClient);
     stateMachine.updateContext({ rollupData: data });
 
     // Only check/create outcome, assignment, and rubric if outcome updates are enabled
@@ -72,24 +123,24 @@ export async function handleCheckingSetup(stateMachine) {
         const outcomeId = outcomeObj?.id;
 
         if (!outcomeId) {
-            const confirmCreate = confirm(`Outcome "${AVG_OUTCOME_NAME}" not found.\nWould you like to create it?`);
-            if (!confirmCreate) throw new UserCancelledError("User declined to create missing outcome.");
+            confirmResourceCreation(stateMachine, `Outcome "${AVG_OUTCOME_NAME}"`, 'outcome');
             return STATES.CREATING_OUTCOME;
         }
 
         stateMachine.updateContext({ outcomeId });
 
         // Check for assignment
-        let assignmentObj = await getAssignmentObjectFromOutcomeObj(courseId, outcomeObj, apiClient);
+        const assignmentName = getAvgAssignmentName(gradingPeriod);
+        let assignmentObj = await getAssignmentObjectFromOutcomeObj(courseId, outcomeObj, apiClient, { name: assignmentName });
         logger.trace(`Assignment object from outcome:`, assignmentObj);
         // Fallback: try to find by name
         if (!assignmentObj) {
             const assignments = await apiClient.get(
-                `/api/v1/courses/${courseId}/assignments?search_term=${encodeURIComponent(AVG_ASSIGNMENT_NAME)}`,
+                `/api/v1/courses/${courseId}/assignments?search_term=${encodeURIComponent(assignmentName)}`,
                 {},
                 "getAssignment:fallback"
             );
-            assignmentObj = assignments.find(a => a.name === AVG_ASSIGNMENT_NAME);
+            assignmentObj = assignments.find(a => a.name === assignmentName);
             if (assignmentObj) {
                 logger.debug("Fallback assignment found by name:", assignmentObj);
             }
@@ -98,8 +149,7 @@ export async function handleCheckingSetup(stateMachine) {
         const assignmentId = assignmentObj?.id;
 
         if (!assignmentId) {
-            const confirmCreate = confirm(`Assignment "${AVG_ASSIGNMENT_NAME}" not found.\nWould you like to create it?`);
-            if (!confirmCreate) throw new UserCancelledError("User declined to create missing assignment.");
+            confirmResourceCreation(stateMachine, `Assignment "${assignmentName}"`, 'assignment');
             return STATES.CREATING_ASSIGNMENT;
         }
 
@@ -112,8 +162,7 @@ export async function handleCheckingSetup(stateMachine) {
         logger.trace(`Rubric found:`, result);
 
         if (!rubricId) {
-            const confirmCreate = confirm(`Rubric "${AVG_RUBRIC_NAME}" not found.\nWould you like to create it?`);
-            if (!confirmCreate) throw new UserCancelledError("User declined to create missing rubric.");
+            confirmResourceCreation(stateMachine, `Rubric "${AVG_RUBRIC_NAME}"`, 'rubric');
             return STATES.CREATING_RUBRIC;
         }
 
@@ -196,14 +245,18 @@ export async function handleCreatingOutcome(stateMachine) {
 
 /**
  * CREATING_ASSIGNMENT State Handler
- * Creates the assignment and returns to CHECKING_SETUP
+ * Creates the assignment and returns to CHECKING_SETUP.
+ * A grading period's own assignment is due at the period's end date.
  */
 export async function handleCreatingAssignment(stateMachine) {
-    const { courseId, banner } = stateMachine.getContext();
+    const { courseId, banner, gradingPeriod } = stateMachine.getContext();
     const apiClient = new CanvasApiClient();
 
-    banner.setText(`Creating "${AVG_ASSIGNMENT_NAME}" Assignment...`);
-    const assignmentId = await createAssignment(courseId, apiClient);
+    const name = getAvgAssignmentName(gradingPeriod);
+    const dueAt = gradingPeriod && GRADING_PERIOD_ASSIGNMENTS ? gradingPeriod.end_date : null;
+
+    banner.setText(`Creating "${name}" Assignment...`);
+    const assignmentId = await createAssignment(courseId, apiClient, { name, dueAt });
     stateMachine.updateContext({ assignmentId });
 
     // Clear course snapshot cache to force re-detection of course type
@@ -230,19 +283,21 @@ export async function handleCreatingRubric(stateMachine) {
 
 /**
  * PRELOAD_SUBMISSIONS State Handler
- * Fetches submission IDs and rubric association ID needed by the GraphQL grading batch.
+ * Fetches submission IDs and rubric association ID needed by the GraphQL grading batch
+ * (only the selected students' submissions for targeted runs).
  */
 export async function handlePreloadSubmissions(stateMachine) {
-    const { courseId, assignmentId, rubricId, banner } = stateMachine.getContext();
+    const { courseId, assignmentId, rubricId, banner, targetUserIds } = stateMachine.getContext();
     const apiClient = new CanvasApiClient();
 
     banner.setText('Gathering grade information');
     logger.debug('Fetching submission IDs and rubric association ID...');
 
-    // Fetch all submissions
-    logger.trace('[Preload] Calling fetchAllSubmissions...');
-    const { submissionIdByUserId, rubricAssociationId: cachedAssocId } =
-        await fetchAllSubmissions(courseId, assignmentId, apiClient);
+    // Fetch all submissions, or only the targeted students'
+    logger.trace('[Preload] Fetching submissions...');
+    const { submissionIdByUserId, submissionStateByUserId, rubricAssociationId: cachedAssocId } = targetUserIds
+        ? await fetchSubmissionsForUsers(courseId, assignmentId, targetUserIds, apiClient)
+        : await fetchAllSubmissions(courseId, assignmentId, apiClient);
 
     logger.trace(`[Preload] Fetched ${submissionIdByUserId.size} submissions`);
 
@@ -260,18 +315,75 @@ export async function handlePreloadSubmissions(stateMachine) {
 
     stateMachine.updateContext({
         submissionIdByUserId,
+        submissionStateByUserId,
         rubricAssociationId
     });
 
     return STATES.CALCULATING;
 }
 
+/**
+ * Rebuild the rollup from the selected grading period's outcome results.
+ * The Current Score outcome keeps the score currently on the (period's) Current
+ * Score assignment, so unchanged students are still skipped. Targeted runs
+ * only fetch the target students' outcome results.
+ *
+ * @param {UpdateFlowStateMachine} stateMachine
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<Object>} Rollup data in the getRollup() shape
+ */
+async function buildPeriodRollupData(stateMachine, apiClient) {
+    const { rollupData, outcomeId, courseId, banner, gradingPeriod, targetUserIds,
+            submissionStateByUserId, rubricCriterionId } = stateMachine.getContext();
+
+    banner.soft(`Filtering outcome results to "${gradingPeriod.title}"...`);
+    const { results } = await fetchOutcomeResults(courseId, apiClient, () => {}, { userIds: targetUserIds ?? null });
+
+    let keptScoreByUserId = null;
+    if (submissionStateByUserId && rubricCriterionId) {
+        keptScoreByUserId = new Map();
+        for (const [userId, state] of submissionStateByUserId) {
+            const points = state?.rubricAssessment?.[rubricCriterionId]?.points;
+            if (typeof points === 'number') keptScoreByUserId.set(String(userId), points);
+        }
+    }
+
+    return buildGradingPeriodRollup(rollupData, results, gradingPeriod, {
+        keepOutcomeIds: outcomeId ? [outcomeId] : [],
+        keptScoreByUserId
+    });
+}
+
+/**
+ * Read the course's outcome weighting model from the mastery outlook cache.
+ * Never throws — a missing or unreadable cache means no weighting.
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<Object|null>} Raw weighting model or null
+ */
+async function loadOutcomeWeighting(courseId, apiClient) {
+    try {
+        return await readOutcomeWeighting(courseId, apiClient);
+    } catch (error) {
+        logger.warn('Failed to read outcome weighting, continuing without weights:', error);
+        return null;
+    }
+}
+
 /**
  * CALCULATING State Handler
- * Calculates student averages and determines next state
+ * Calculates student averages and determines next state.
+ * Transitions to PREVIEWING so nothing is written until the teacher confirms;
+ * automatic runs go straight to UPDATING_GRADES.
+ * When `targetUserIds` is set, only those students are kept (the rollup may be the
+ * full course after getRollupForUsers falls back).
+ * When a grading period is selected, outcome scores are rebuilt from that period's
+ * outcome results and the current Current Score is read from the assignment's
+ * rubric points (the outcome's rollup spans every period).
  */
 export async function handleCalculating(stateMachine) {
-    const { rollupData, outcomeId, courseId, banner } = stateMachine.getContext();
+    const { outcomeId, courseId, banner, automatic, targetUserIds, gradingPeriod } = stateMachine.getContext();
     const apiClient = new CanvasApiClient();
 
     const calculatingMessage = ENABLE_OUTCOME_UPDATES
@@ -279,7 +391,19 @@ export async function handleCalculating(stateMachine) {
         : 'Calculating student averages for grade overrides...';
     banner.setText(calculatingMessage);
 
-    const averages = await calculateStudentAverages(rollupData, outcomeId, courseId, apiClient);
+    if (gradingPeriod) {
+        stateMachine.updateContext({ rollupData: await buildPeriodRollupData(stateMachine, apiClient) });
+    }
+    const { rollupData } = stateMachine.getContext();
+
+    let averages = await calculateStudentAverages(rollupData, outcomeId, courseId, apiClient, {
+        weighting: await loadOutcomeWeighting(courseId, apiClient),
+        gradingPeriodId: gradingPeriod?.id ?? null
+    });
+    if (targetUserIds) {
+        const targets = new Set(targetUserIds.map(String));
+        averages = averages.filter(a => targets.has(String(a.userId)));
+    }
     const numberOfUpdates = averages.length;
 
     stateMachine.updateContext({ averages, numberOfUpdates, startTime: new Date().toISOString() });
@@ -289,17 +413,107 @@ export async function handleCalculating(stateMachine) {
         return STATES.COMPLETE;
     }
 
+    return automatic ? STATES.UPDATING_GRADES : STATES.PREVIEWING;
+}
+
+/**
+ * PREVIEWING State Handler
+ * Shows a diff table of the calculated changes (old/new score, old/new override,
+ * IE status) and waits for the teacher to apply, deselect students, or cancel.
+ * Only the selected students are kept in `averages` for the write states.
+ *
+ * @throws {UserCancelledError} If the teacher cancels the preview
+ */
+export async function handlePreviewing(stateMachine) {
+    const { averages, rollupData, courseId, banner } = stateMachine.getContext();
+
+    const previewRows = buildPreviewRows(averages, rollupData, OVERRIDE_SCALE);
+    stateMachine.updateContext({ previewRows });
+
+    banner.setText(`Review ${previewRows.length} pending changes...`);
+
+    const selectedIds = await showUpdatePreview(previewRows, {
+        showOutcome: ENABLE_OUTCOME_UPDATES,
+        showOverride: ENABLE_GRADE_OVERRIDE,
+        courseId
+    });
+
+    if (selectedIds === null) {
+        throw new UserCancelledError("Update cancelled from preview. No grades were changed.");
+    }
+
+    const selected = new Set(selectedIds);
+    const selectedAverages = averages.filter(a => selected.has(String(a.userId)));
+    logger.info(`[UpdatePreview] ${selectedAverages.length}/${averages.length} students selected for update`);
+
+    // Time spent reviewing does not count toward the update duration
+    stateMachine.updateContext({
+        averages: selectedAverages,
+        numberOfUpdates: selectedAverages.length,
+        startTime: new Date().toISOString()
+    });
+
+    if (selectedAverages.length === 0) {
+        stateMachine.updateContext({ zeroUpdates: true });
+        return STATES.COMPLETE;
+    }
+
     return STATES.UPDATING_GRADES;
 }
 
+/**
+ * Record the values an update is about to overwrite in the course's update journal.
+ * If the journal cannot be saved, the teacher decides whether to continue without undo;
+ * automatic runs stop.
+ *
+ * @param {UpdateFlowStateMachine} stateMachine
+ * @param {Array<Object>} students - Batch params about to be submitted
+ * @param {CanvasApiClient} apiClient
+ * @throws {UserCancelledError} If the journal fails and the teacher declines to continue
+ */
+async function recordJournal(stateMachine, students, apiClient) {
+    const { courseId, assignmentId, rubricCriterionId, rubricAssociationId,
+            submissionStateByUserId, gradingPeriod, banner } = stateMachine.getContext();
+    const gradingPeriodId = gradingPeriod?.id ?? null;
+
+    banner.soft('Saving undo journal...');
+    try {
+        const overrideStateByUserId = ENABLE_GRADE_OVERRIDE
+            ? await fetchOverrideStates(courseId, apiClient, { gradingPeriodId })
+            : new Map();
+        const run = buildJournalRun({
+            assignmentId,
+            rubricAssociationId,
+            rubricCriterionId,
+            students,
+            submissionStateByUserId: submissionStateByUserId ?? new Map(),
+            overrideStateByUserId,
+            gradingPeriodId
+        });
+        await recordUpdateRun(courseId, run, apiClient);
+        stateMachine.updateContext({ journalRunId: run.run_id });
+    } catch (error) {
+        logger.warn('[UpdateJournal] Failed to save undo journal:', error);
+        // Never write grades unattended without a way to undo them
+        if (stateMachine.getContext().automatic) throw error;
+        const proceed = confirm(
+            `The undo journal could not be saved, so this update cannot be reverted later.\n\n` +
+            `Continue anyway?`
+        );
+        if (!proceed) throw new UserCancelledError("Update cancelled: undo journal could not be saved.");
+    }
+}
+
 /**
  * UPDATING_GRADES State Handler
  * Submits rubric scores, override scores, and clears custom statuses for all
  * students via GraphQL using a concurrent batch with retry and second-pass logic.
+ * The values being overwritten are recorded in the update journal first so the
+ * run can be reverted from the "Revert last update" button.
  */
 export async function handleUpdatingGrades(stateMachine) {
     const { averages, courseId, assignmentId, rubricCriterionId, numberOfUpdates, banner,
-            submissionIdByUserId, rubricAssociationId } = stateMachine.getContext();
+            submissionIdByUserId, rubricAssociationId, gradingPeriod } = stateMachine.getContext();
     const apiClient = new CanvasApiClient();
 
     if (!ENABLE_OUTCOME_UPDATES) {
@@ -335,7 +549,8 @@ export async function handleUpdatingGrades(stateMachine) {
             ...(ENABLE_GRADE_OVERRIDE && enrollmentId ? {
                 enrollmentId,
                 overrideScore: OVERRIDE_SCALE(average),
-                overrideStatusId: null  // always clear enrollment-level custom status
+                overrideStatusId: null,  // always clear enrollment-level custom status
+                ...(gradingPeriod ? { overrideGradingPeriodId: gradingPeriod.id } : {})
             } : {}),
             comment: `Score: ${average}  Updated: ${timestamp}`,
             userId,
@@ -343,6 +558,8 @@ export async function handleUpdatingGrades(stateMachine) {
         });
     }
 
+    await recordJournal(stateMachine, students, apiClient);
+
     const { successCount, errors, retryCounts } = await submitRubricAssessmentBatch(
         students,
         apiClient,
@@ -357,8 +574,10 @@ export async function handleUpdatingGrades(stateMachine) {
     );
 
     logger.info(`Grading complete: ${successCount}/${numberOfUpdates} successful, ${errors.length} permanent errors`);
+    stateMachine.updateContext({ updateErrors: errors, retryCounts });
 
-    if (errors.length > 0 || retryCounts.length > 0) {
+    // Automatic runs leave failures to the run history
+    if (!stateMachine.getContext().automatic && (errors.length > 0 || retryCounts.length > 0)) {
         const wantsDownload = confirm(
             `Export grade update attempt counts and failure logs to a file? \n\n` +
             `Note: Your browser settings or extensions may block automatic file downloads.\n` +
@@ -418,7 +637,7 @@ export async function handleRefreshingMastery(stateMachine) {
  * Verifies that outcome scores match expected values
  */
 export async function handleVerifying(stateMachine) {
-    const { courseId, averages, outcomeId, banner } = stateMachine.getContext();
+    const { courseId, averages, outcomeId, banner, gradingPeriod } = stateMachine.getContext();
     const apiClient = new CanvasApiClient();
 
     // Check if outcome updates are enabled
@@ -427,6 +646,13 @@ export async function handleVerifying(stateMachine) {
         return STATES.VERIFYING_OVERRIDES;
     }
 
+    // With one assignment per grading period the outcome rollup combines every
+    // period's Current Score, so it cannot be compared with this period's averages
+    if (gradingPeriod && GRADING_PERIOD_ASSIGNMENTS) {
+        logger.debug('Per-period Current Score assignments, skipping rollup verification');
+        return STATES.VERIFYING_OVERRIDES;
+    }
+
     logger.debug('Starting outcome score verification...');
     await verifyUIScores(courseId, averages, outcomeId, banner, apiClient, stateMachine);
 
@@ -440,7 +666,7 @@ export async function handleVerifying(stateMachine) {
  * Does not re-submit overrides — submission is handled by submitRubricAssessmentBatch.
  */
 export async function handleVerifyingOverrides(stateMachine) {
-    const { courseId, averages, banner } = stateMachine.getContext();
+    const { courseId, averages, banner, gradingPeriod } = stateMachine.getContext();
     const apiClient = new CanvasApiClient();
 
     // Check if grade override is enabled
@@ -466,7 +692,9 @@ export async function handleVerifyingOverrides(stateMachine) {
             banner.soft(`Verifying grade overrides... (attempt ${attempt}/${maxRetries})`);
             logger.debug(`Override verification attempt ${attempt}/${maxRetries}...`);
 
-            overrideMismatches = await verifyOverrideScores(courseId, averages, enrollmentMap, apiClient);
+            overrideMismatches = await verifyOverrideScores(courseId, averages, enrollmentMap, apiClient, 0.01, {
+                gradingPeriodId: gradingPeriod?.id ?? null
+            });
             const currentMismatchCount = overrideMismatches.length;
 
             if (currentMismatchCount === 0) {
@@ -526,10 +754,11 @@ export async function handleVerifyingOverrides(stateMachine) {
 
 /**
  * COMPLETE State Handler
- * Shows success message and cleans up
+ * Shows success message and cleans up (banner only for automatic runs)
  */
 export async function handleComplete(stateMachine) {
-    const { numberOfUpdates, banner, courseId, zeroUpdates, overridesNotEnabled, overrideMismatchCount } = stateMachine.getContext();
+    const { numberOfUpdates, banner, courseId, zeroUpdates, overridesNotEnabled, overrideMismatchCount,
+            automatic } = stateMachine.getContext();
 
     const elapsedTime = getElapsedTimeSinceStart(stateMachine);
     stopElapsedTimer(banner);
@@ -544,7 +773,7 @@ export async function handleComplete(stateMachine) {
     // Handle zero updates case (no changes needed)
     if (zeroUpdates || numberOfUpdates === 0) {
         banner.setText(`No changes to ${updateTarget} found.`);
-        alert(`No changes to ${updateTarget} have been found. No updates performed.`);
+        if (!automatic) alert(`No changes to ${updateTarget} have been found. No updates performed.`);
 
         // Remove banner after a short delay
         setTimeout(() => {
@@ -581,7 +810,12 @@ export async function handleComplete(stateMachine) {
         completionMessage += `\n\n⚠️ Update complete but ${overrideMismatchCount} students may not have correct override grades. Please try running again.`;
     }
 
-    alert(completionMessage);
+    if (automatic) {
+        // Nobody is waiting on an alert — let the banner fade like the zero-update case
+        setTimeout(() => banner.remove(), 5000);
+    } else {
+        alert(completionMessage);
+    }
 
     return STATES.IDLE;
 }
@@ -614,6 +848,7 @@ export const STATE_HANDLERS = {
     [STATES.CREATING_RUBRIC]: handleCreatingRubric,
     [STATES.PRELOAD_SUBMISSIONS]: handlePreloadSubmissions,
     [STATES.CALCULATING]: handleCalculating,
+    [STATES.PREVIEWING]: handlePreviewing,
     [STATES.UPDATING_GRADES]: handleUpdatingGrades,
     [STATES.POLLING_PROGRESS]: handlePollingProgress,
     [STATES.REFRESHING_MASTERY]: handleRefreshingMastery,
@@ -19,6 +19,7 @@ export const STATES = {
     CREATING_RUBRIC: 'CREATING_RUBRIC',
     PRELOAD_SUBMISSIONS: 'PRELOAD_SUBMISSIONS',
     CALCULATING: 'CALCULATING',
+    PREVIEWING: 'PREVIEWING',
     UPDATING_GRADES: 'UPDATING_GRADES',
     POLLING_PROGRESS: 'POLLING_PROGRESS',
     REFRESHING_MASTERY: 'REFRESHING_MASTERY',
@@ -39,7 +40,8 @@ const VALID_TRANSITIONS = {
     [STATES.CREATING_ASSIGNMENT]: [STATES.CHECKING_SETUP, STATES.ERROR],
     [STATES.CREATING_RUBRIC]: [STATES.CHECKING_SETUP, STATES.ERROR],
     [STATES.PRELOAD_SUBMISSIONS]: [STATES.CALCULATING, STATES.ERROR],
-    [STATES.CALCULATING]: [STATES.UPDATING_GRADES, STATES.COMPLETE, STATES.ERROR],
+    [STATES.CALCULATING]: [STATES.PREVIEWING, STATES.UPDATING_GRADES, STATES.COMPLETE, STATES.ERROR],
+    [STATES.PREVIEWING]: [STATES.UPDATING_GRADES, STATES.COMPLETE, STATES.ERROR],
     [STATES.UPDATING_GRADES]: [STATES.POLLING_PROGRESS, STATES.REFRESHING_MASTERY, STATES.VERIFYING, STATES.ERROR],
     [STATES.POLLING_PROGRESS]: [STATES.POLLING_PROGRESS, STATES.REFRESHING_MASTERY, STATES.VERIFYING, STATES.ERROR],
     [STATES.REFRESHING_MASTERY]: [STATES.VERIFYING, STATES.VERIFYING_OVERRIDES, STATES.COMPLETE, STATES.ERROR],
@@ -68,6 +70,7 @@ export class UpdateFlowStateMachine {
             rubricCriterionId: null,
             rollupData: null,
             averages: null,
+            previewRows: null, // Rows shown in the PREVIEWING diff table
             progressId: null,
             startTime: null,
             numberOfUpdates: 0,
@@ -76,7 +79,15 @@ export class UpdateFlowStateMachine {
             retryCount: 0,
             updateMode: null, // 'per-student' or 'bulk'
             submissionIdByUserId: null, // Map<userId, submissionId> for GraphQL path
+            submissionStateByUserId: null, // Map<userId, {rubricAssessment, customGradeStatusId}> for the update journal
+            journalRunId: null, // Update journal run recorded in UPDATING_GRADES
+            updateErrors: null, // Permanent batch errors from UPDATING_GRADES (run history)
+            retryCounts: null, // Batch retry counts from UPDATING_GRADES (run history)
             rubricAssociationId: null, // Rubric association ID for GraphQL path
+            automatic: false, // Started by autoRecalcService: no preview, no prompts
+            targetUserIds: null, // Array<userId> to restrict the update to, or null for all students
+            gradingPeriod: null, // Selected Canvas grading period (gradingPeriodService.js), or null for all periods
+            section: null, // Selected course section {id, name} (sectionScopeService.js), or null for all sections
             ...initialContext
         };
         this.eventListeners = {};
@@ -197,13 +208,22 @@ export class UpdateFlowStateMachine {
             rubricCriterionId: null,
             rollupData: null,
             averages: null,
+            previewRows: null,
             progressId: null,
             startTime: null,
             numberOfUpdates: 0,
             banner: null,
             error: null,
             retryCount: 0,
-            updateMode: null
+            updateMode: null,
+            submissionStateByUserId: null,
+            journalRunId: null,
+            updateErrors: null,
+            retryCounts: null,
+            automatic: false,
+            targetUserIds: null,
+            gradingPeriod: null,
+            section: null
         };
         this.stateHistory = [STATES.IDLE];
 
@@ -219,6 +219,24 @@ describe('UpdateFlowStateMachine', () => {
         expect(stateMachine.getContext().courseId).toBe('12345');
     });
 
+    test('reset clears the previous run\'s journal and batch results', () => {
+        stateMachine.updateContext({
+            submissionStateByUserId: new Map([['1', { rubricAssessment: null }]]),
+            journalRunId: 'run-1',
+            updateErrors: [{ userId: '1' }],
+            retryCounts: { 0: 1 }
+        });
+
+        stateMachine.reset();
+
+        expect(stateMachine.getContext()).toMatchObject({
+            submissionStateByUserId: null,
+            journalRunId: null,
+            updateErrors: null,
+            retryCounts: null
+        });
+    });
+
     test('reset emits reset event', () => {
         const listener = vi.fn();
         stateMachine.on('reset', listener);
@@ -253,6 +271,24 @@ describe('UpdateFlowStateMachine', () => {
         expect(stateMachine.getCurrentState()).toBe(STATES.COMPLETE);
     });
 
+    test('supports preview before updating grades', () => {
+        stateMachine.transition(STATES.CHECKING_SETUP);
+        stateMachine.transition(STATES.CALCULATING);
+        stateMachine.transition(STATES.PREVIEWING);
+        stateMachine.transition(STATES.UPDATING_GRADES);
+
+        expect(stateMachine.getCurrentState()).toBe(STATES.UPDATING_GRADES);
+    });
+
+    test('supports completing from preview when no students are selected', () => {
+        stateMachine.transition(STATES.CHECKING_SETUP);
+        stateMachine.transition(STATES.CALCULATING);
+        stateMachine.transition(STATES.PREVIEWING);
+
+        expect(stateMachine.canTransition(STATES.COMPLETE)).toBe(true);
+        expect(stateMachine.canTransition(STATES.VERIFYING)).toBe(false);
+    });
+
     test('supports bulk update flow with polling', () => {
         stateMachine.transition(STATES.CHECKING_SETUP);
         stateMachine.transition(STATES.CALCULATING);
@@ -0,0 +1,136 @@
+// src/gradebook/ui/autoRecalcControl.js
+/**
+ * Auto-update Control
+ *
+ * Per-course switch and queue indicator for automatic Current Score
+ * recalculation (see src/gradebook/autoRecalcService.js). Shown under the
+ * gradebook's Update button and in the Mastery Outlook header.
+ */
+
+import { injectStyles } from "../../ui/styles.js";
+import { logger } from "../../utils/logger.js";
+import { CanvasApiClient } from "../../utils/canvasApiClient.js";
+import {
+    getAutoRecalcStatus,
+    loadAutoRecalcSetting,
+    setAutoRecalcEnabled,
+    startAutoRecalc,
+    stopAutoRecalc,
+    runQueuedUpdate,
+    subscribeAutoRecalc
+} from "../autoRecalcService.js";
+
+const AUTO_RECALC_CSS = `
+.cg-auto-recalc {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    margin-top: 4px;
+    font-size: 12px;
+    color: #555;
+}
+.cg-auto-recalc label   { display: flex; align-items: center; gap: 4px; margin: 0; cursor: pointer; }
+.cg-auto-recalc-status  { color: #666; }
+.cg-auto-recalc-status--running { color: #0374b5; font-weight: bold; }
+.cg-auto-recalc-run     { background: none; border: none; padding: 0; color: #0374b5; text-decoration: underline; cursor: pointer; font-size: 12px; }
+`;
+
+/** Controls on the page; polling stops when the last one is torn down */
+const _liveControls = new Set();
+
+/**
+ * Describe the queue for the status text
+ * @param {Object} status - From getAutoRecalcStatus
+ * @returns {string}
+ */
+function describeStatus({ enabled, running, queue, nextRunAt }) {
+    if (!enabled) return 'Off';
+    if (running) return 'Updating queued students…';
+    if (queue.length === 0) return 'Watching for new rubric results';
+
+    const students = `${queue.length} student${queue.length === 1 ? '' : 's'} queued`;
+    return nextRunAt && nextRunAt > Date.now()
+        ? `${students} · next run after ${new Date(nextRunAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+        : `${students} · running at next check`;
+}
+
+/**
+ * Create the auto-update switch and queue indicator, and start automatic
+ * recalculation if it is switched on for this course.
+ *
+ * @param {string} courseId
+ * @returns {{ el: HTMLElement, teardown: Function }} teardown removes the
+ *   control's listeners, and stops polling once no other control is left
+ */
+export function createAutoRecalcControl(courseId) {
+    injectStyles(AUTO_RECALC_CSS, 'cg-auto-recalc-styles');
+
+    const el = document.createElement('div');
+    el.className = 'cg-auto-recalc';
+    el.innerHTML = `
+        <label title="Automatically update the Current Score of students who receive new rubric results while the gradebook or Mastery Outlook is open. Applies to every teacher of this course.">
+            <input type="checkbox" data-role="toggle"> Auto-update
+        </label>
+        <span class="cg-auto-recalc-status" data-role="status" aria-live="polite"></span>
+        <button type="button" class="cg-auto-recalc-run" data-role="run" hidden>Run now</button>`;
+
+    const toggle = el.querySelector('[data-role="toggle"]');
+    const statusEl = el.querySelector('[data-role="status"]');
+    const runBtn = el.querySelector('[data-role="run"]');
+    const apiClient = new CanvasApiClient();
+    let tornDown = false;
+
+    const render = (status) => {
+        toggle.checked = status.enabled;
+        statusEl.textContent = describeStatus(status);
+        statusEl.classList.toggle('cg-auto-recalc-status--running', status.running);
+        statusEl.title = status.queue.length > 0 ? `Queued user IDs: ${status.queue.join(', ')}` : '';
+        runBtn.hidden = !status.enabled || status.running || status.queue.length === 0;
+    };
+
+    toggle.addEventListener('change', async () => {
+        const enabled = toggle.checked;
+        toggle.disabled = true;
+        try {
+            await setAutoRecalcEnabled(courseId, enabled, apiClient);
+            if (enabled) startAutoRecalc(courseId);
+            else stopAutoRecalc();
+        } catch (error) {
+            logger.error('[AutoRecalc] Could not save the Auto-update setting', error);
+            render(getAutoRecalcStatus(courseId));
+            statusEl.textContent = 'Could not save the setting, try again';
+        } finally {
+            toggle.disabled = false;
+        }
+    });
+    runBtn.addEventListener('click', () => runQueuedUpdate(courseId, { force: true }));
+
+    const unsubscribe = subscribeAutoRecalc(render);
+    // Queue changes made by another open tab
+    const onStorage = (e) => {
+        if (e.key?.startsWith('cg_autoRecalc_')) render(getAutoRecalcStatus(courseId));
+    };
+    window.addEventListener('storage', onStorage);
+
+    const teardown = () => {
+        if (tornDown) return;
+        tornDown = true;
+        unsubscribe();
+        window.removeEventListener('storage', onStorage);
+        _liveControls.delete(teardown);
+        if (_liveControls.size === 0) stopAutoRecalc();
+    };
+    _liveControls.add(teardown);
+
+    const initial = getAutoRecalcStatus(courseId);
+    render(initial);
+    startAutoRecalc(courseId);
+    // The local copy may be stale: start or stop once the course setting is read
+    loadAutoRecalcSetting(courseId, apiClient).then(enabled => {
+        if (tornDown || enabled === initial.enabled) return;
+        if (enabled) startAutoRecalc(courseId);
+        else stopAutoRecalc();
+    });
+
+    return { el, teardown };
+}
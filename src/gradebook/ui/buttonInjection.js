@@ -2,16 +2,24 @@
 /**
  * Button Injection UI
  *
- * Handles injecting the "Update Average" button into Canvas gradebook toolbar
- * and managing button state
+ * Handles injecting the "Update Average" button (plus "Update selected
+ * students", "Revert last update", "Update history", the grading period
+ * selector and the Auto-update switch)
+ * into the Canvas gradebook toolbar and managing button state
  */
 
 import { makeButton, createButtonColumnContainer } from "../../ui/buttons.js";
 import { getCourseId } from "../../utils/canvas.js";
-import { UPDATE_AVG_BUTTON_LABEL } from "../../config.js";
+import { UPDATE_AVG_BUTTON_LABEL, AUTO_RECALC_AVAILABLE } from "../../config.js";
 import { handleError } from "../../utils/errorHandler.js";
 import { logger } from "../../utils/logger.js";
 import { startUpdateFlow } from "../updateFlowOrchestrator.js";
+import { startRevertLastUpdate } from "../revertLastUpdate.js";
+import { openRunHistoryPanel } from "./runHistoryPanel.js";
+import { openStudentPicker } from "./studentPicker.js";
+import { createAutoRecalcControl } from "./autoRecalcControl.js";
+import { createGradingPeriodSelector } from "./gradingPeriodSelector.js";
+import { createSectionSelector } from "./sectionSelector.js";
 import { renderLastUpdateNotice } from "../../utils/uiHelpers.js";
 import { isGradebookPage, isLMGBPage } from "../../utils/pageDetection.js";
 import { brandButtonPrimaryBg } from "../../ui/brandColors.js";
@@ -51,6 +59,65 @@ export function injectButtons() {
 
         buttonWrapper.appendChild(updateAveragesButton);
 
+        // Secondary actions row: update a few students, revert the last run, view the run history
+        const secondaryRow = document.createElement("div");
+        secondaryRow.style.display = "flex";
+        secondaryRow.style.marginTop = "4px";
+
+        const selectedStudentsButton = makeButton({
+            label: "Update selected students",
+            id: "update-selected-students-button",
+            onClick: () => openStudentPicker(courseId, {
+                onConfirm: async (userIds) => {
+                    try {
+                        await startUpdateFlow(updateAveragesButton, { userIds });
+                    } catch (error) {
+                        handleError(error, "updateSelectedStudents", { showAlert: true });
+                    }
+                }
+            }),
+            type: "secondary",
+            tooltip: "Update the Current Score of the students you pick only"
+        });
+
+        const revertButton = makeButton({
+            label: "Revert last update",
+            id: "revert-last-update-button",
+            onClick: async () => {
+                try {
+                    await startRevertLastUpdate(revertButton);
+                } catch (error) {
+                    handleError(error, "revertLastUpdate", { showAlert: true });
+                }
+            },
+            type: "secondary",
+            tooltip: "Restore the scores, overrides and statuses from before the last update"
+        });
+
+        const historyButton = makeButton({
+            label: "Update history",
+            id: "update-history-button",
+            onClick: () => openRunHistoryPanel(courseId),
+            type: "secondary",
+            tooltip: "Show every Update Current Score run for this course"
+        });
+
+        secondaryRow.appendChild(selectedStudentsButton);
+        secondaryRow.appendChild(revertButton);
+        secondaryRow.appendChild(historyButton);
+        buttonWrapper.appendChild(secondaryRow);
+
+        // Grading period used by the next update (hidden without grading periods)
+        buttonWrapper.appendChild(createGradingPeriodSelector(courseId));
+
+        // Section the next update is limited to (hidden for single-section courses)
+        buttonWrapper.appendChild(createSectionSelector(courseId));
+
+        // Per-course automatic recalculation switch and queue (only when offered)
+        if (AUTO_RECALC_AVAILABLE) {
+            buttonWrapper.appendChild(createAutoRecalcControl(courseId).el);
+        }
+
         // Render last update inside the same wrapper, under the button
         renderLastUpdateNotice(buttonWrapper, courseId);
 
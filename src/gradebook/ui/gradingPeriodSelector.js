@@ -0,0 +1,76 @@
+// src/gradebook/ui/gradingPeriodSelector.js
+/**
+ * Grading Period Selector
+ *
+ * Per-course grading period choice for Update Current Score and Mastery
+ * Outlook (see src/services/gradingPeriodService.js). Shown under the
+ * gradebook's Update button and in the Mastery Outlook header; stays hidden
+ * when the course has no grading periods.
+ */
+
+import { injectStyles } from "../../ui/styles.js";
+import { CanvasApiClient } from "../../utils/canvasApiClient.js";
+import { logger } from "../../utils/logger.js";
+import {
+    fetchGradingPeriods,
+    getSelectedGradingPeriodId,
+    setSelectedGradingPeriodId
+} from "../../services/gradingPeriodService.js";
+
+const GRADING_PERIOD_CSS = `
+.cg-grading-period {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    margin-top: 4px;
+    font-size: 12px;
+    color: #555;
+}
+.cg-grading-period[hidden] { display: none; }
+.cg-grading-period select  { margin: 0; padding: 0 4px; height: 24px; width: auto; font-size: 12px; }
+`;
+
+/**
+ * Create the grading period selector. Periods load in the background; the
+ * element stays hidden if there are none (or they cannot be fetched).
+ *
+ * @param {string} courseId
+ * @param {Object} [options]
+ * @param {string|null} [options.value] - Period to show as selected (defaults to the
+ *   stored selection; Mastery Outlook passes the period its cache was built for)
+ * @param {Function} [options.onChange] - (periodId|null) => void, after the selection is stored
+ * @returns {HTMLElement}
+ */
+export function createGradingPeriodSelector(courseId, { value, onChange = null } = {}) {
+    injectStyles(GRADING_PERIOD_CSS, 'cg-grading-period-styles');
+
+    const el = document.createElement('label');
+    el.className = 'cg-grading-period';
+    el.hidden = true;
+    el.title = 'Only count outcome results assessed during this grading period';
+    el.innerHTML = `Grading period <select data-role="period"><option value="">All periods</option></select>`;
+
+    const select = el.querySelector('[data-role="period"]');
+    const selectedId = value !== undefined ? value : getSelectedGradingPeriodId(courseId);
+
+    fetchGradingPeriods(courseId, new CanvasApiClient()).then(periods => {
+        if (periods.length === 0) return;
+
+        for (const period of periods) {
+            const option = document.createElement('option');
+            option.value = period.id;
+            option.textContent = period.title;
+            select.appendChild(option);
+        }
+        select.value = periods.some(p => p.id === selectedId) ? selectedId : '';
+        el.hidden = false;
+    }).catch(e => logger.warn('[GradingPeriods] Could not build selector:', e));
+
+    select.addEventListener('change', () => {
+        const periodId = select.value || null;
+        setSelectedGradingPeriodId(courseId, periodId);
+        onChange?.(periodId);
+    });
+
+    return el;
+}
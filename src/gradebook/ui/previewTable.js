@@ -0,0 +1,260 @@
+// src/gradebook/ui/previewTable.js
+/**
+ * Update Preview UI
+ *
+ * Modal diff table shown in the PREVIEWING state of the update flow, before
+ * any grades are written. Lists each student whose Current Score or override
+ * would change, lets the teacher select/deselect students, and exports the
+ * preview as CSV.
+ */
+
+import { injectStyles } from "../../ui/styles.js";
+import { escapeHtml } from "../../utils/html.js";
+import { logger } from "../../utils/logger.js";
+import { csvField } from "../../utils/csv.js";
+import { downloadText } from "../../utils/download.js";
+
+const PREVIEW_CSS = `
+.cg-preview-overlay {
+    position: fixed;
+    inset: 0;
+    background: rgba(0, 0, 0, 0.5);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 10001;
+}
+.cg-preview-modal {
+    background: #fff;
+    border-radius: 8px;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    width: min(900px, 95vw);
+    max-height: 85vh;
+    display: flex;
+    flex-direction: column;
+    font-size: 14px;
+}
+.cg-preview-header  { padding: 16px 20px; border-bottom: 1px solid #ddd; }
+.cg-preview-title   { font-size: 18px; font-weight: bold; margin: 0 0 4px; }
+.cg-preview-summary { color: #555; }
+.cg-preview-body    { overflow: auto; padding: 0 20px; flex: 1; }
+.cg-preview-table   { width: 100%; border-collapse: collapse; }
+.cg-preview-table th,
+.cg-preview-table td { padding: 6px 8px; border-bottom: 1px solid #eee; text-align: left; }
+.cg-preview-table th { position: sticky; top: 0; background: #f5f5f5; }
+.cg-preview-num     { text-align: right !important; }
+.cg-preview-ie      { color: #b00020; font-weight: bold; }
+.cg-preview-footer  {
+    padding: 12px 20px;
+    border-top: 1px solid #ddd;
+    display: flex;
+    gap: 8px;
+    align-items: center;
+}
+.cg-preview-spacer  { flex: 1; }
+`;
+
+/**
+ * Format a nullable number for display
+ * @param {number|null|undefined} value
+ * @param {string} [suffix='']
+ * @returns {string}
+ */
+function formatValue(value, suffix = '') {
+    return value === null || value === undefined ? '—' : `${value}${suffix}`;
+}
+
+/**
+ * Build preview rows from calculateStudentAverages results
+ *
+ * @param {Array<{userId, average, oldAverage, oldOverride, zeroCount}>} averages
+ * @param {Object} rollupData - Outcome rollup data (linked.users supplies names)
+ * @param {Function} overrideScaleFn - Maps an average to an override percentage
+ * @returns {Array<{userId, name, oldAverage, newAverage, oldOverride, newOverride, ie, zeroCount}>}
+ */
+export function buildPreviewRows(averages, rollupData, overrideScaleFn) {
+    const namesById = new Map(
+        (rollupData?.linked?.users ?? []).map(u => [String(u.id), u.sortable_name || u.name])
+    );
+
+    return (averages ?? [])
+        .map(a => ({
+            userId: String(a.userId),
+            name: namesById.get(String(a.userId)) ?? `User ${a.userId}`,
+            oldAverage: a.oldAverage ?? null,
+            newAverage: a.average,
+            oldOverride: a.oldOverride ?? null,
+            newOverride: overrideScaleFn(a.average),
+            ie: (a.zeroCount ?? 0) > 0,
+            zeroCount: a.zeroCount ?? 0
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Serialize preview rows as CSV
+ * @param {Array} rows - Rows from buildPreviewRows
+ * @param {Set<string>} [selectedIds] - When given, adds an "Included" column
+ * @returns {string}
+ */
+export function previewRowsToCsv(rows, selectedIds = null) {
+    const headers = ['User ID', 'Student', 'Old Score', 'New Average', 'Old Override %', 'New Override %', 'IE Status'];
+    if (selectedIds) headers.push('Included');
+
+    const lines = rows.map(r => {
+        const fields = [
+            r.userId,
+            r.name,
+            r.oldAverage,
+            r.newAverage,
+            r.oldOverride,
+            r.newOverride,
+            r.ie ? `IE (${r.zeroCount} zero)` : ''
+        ];
+        if (selectedIds) fields.push(selectedIds.has(r.userId) ? 'yes' : 'no');
+        return fields.map(csvField).join(',');
+    });
+
+    return [headers.join(','), ...lines].join('\n');
+}
+
+/**
+ * Download preview rows as a CSV file
+ * @param {Array} rows - Rows from buildPreviewRows
+ * @param {Set<string>} [selectedIds]
+ * @param {string} [courseId]
+ */
+export function downloadPreviewCsv(rows, selectedIds = null, courseId = '') {
+    downloadText(
+        courseId ? `current_score_preview_${courseId}.csv` : "current_score_preview.csv",
+        previewRowsToCsv(rows, selectedIds),
+        "text/csv;charset=utf-8"
+    );
+}
+
+/**
+ * Show the preview modal and wait for the teacher's decision
+ *
+ * @param {Array} rows - Rows from buildPreviewRows
+ * @param {Object} [options]
+ * @param {boolean} [options.showOutcome=true] - Show old/new Current Score columns
+ * @param {boolean} [options.showOverride=true] - Show old/new override % columns
+ * @param {string} [options.courseId] - Used in the CSV file name
+ * @returns {Promise<Array<string>|null>} Selected user IDs, or null if cancelled
+ */
+export function showUpdatePreview(rows, { showOutcome = true, showOverride = true, courseId = '' } = {}) {
+    injectStyles(PREVIEW_CSS, 'cg-preview-styles');
+
+    const selected = new Set(rows.map(r => r.userId));
+
+    const overlay = document.createElement('div');
+    overlay.className = 'cg-preview-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'cg-preview-title');
+
+    const bodyRows = rows.map(r => `
+        <tr>
+            <td><input type="checkbox" data-user-id="${escapeHtml(r.userId)}" checked
+                       aria-label="Include ${escapeHtml(r.name)}"></td>
+            <td>${escapeHtml(r.name)}</td>
+            ${showOutcome ? `
+                <td class="cg-preview-num">${formatValue(r.oldAverage)}</td>
+                <td class="cg-preview-num">${formatValue(r.newAverage)}</td>` : ''}
+            ${showOverride ? `
+                <td class="cg-preview-num">${formatValue(r.oldOverride, '%')}</td>
+                <td class="cg-preview-num">${formatValue(r.newOverride, '%')}</td>` : ''}
+            <td>${r.ie ? `<span class="cg-preview-ie" title="${r.zeroCount} zero score(s)">IE</span>` : ''}</td>
+        </tr>`).join('');
+
+    overlay.innerHTML = `
+        <div class="cg-preview-modal">
+            <div class="cg-preview-header">
+                <h2 class="cg-preview-title" id="cg-preview-title">Review changes before updating</h2>
+                <div class="cg-preview-summary"></div>
+            </div>
+            <div class="cg-preview-body">
+                <table class="cg-preview-table">
+                    <thead><tr>
+                        <th><input type="checkbox" data-action="toggle-all" checked aria-label="Select all"></th>
+                        <th>Student</th>
+                        ${showOutcome ? '<th class="cg-preview-num">Old Score</th><th class="cg-preview-num">New Average</th>' : ''}
+                        ${showOverride ? '<th class="cg-preview-num">Old Override</th><th class="cg-preview-num">New Override</th>' : ''}
+                        <th>IE</th>
+                    </tr></thead>
+                    <tbody>${bodyRows}</tbody>
+                </table>
+            </div>
+            <div class="cg-preview-footer">
+                <button class="Button" data-action="select-all">Select all</button>
+                <button class="Button" data-action="select-none">Select none</button>
+                <button class="Button" data-action="export">Export CSV</button>
+                <span class="cg-preview-spacer"></span>
+                <button class="Button" data-action="cancel">Cancel</button>
+                <button class="Button Button--primary" data-action="apply">Apply</button>
+            </div>
+        </div>`;
+
+    const summary = overlay.querySelector('.cg-preview-summary');
+    const applyBtn = overlay.querySelector('[data-action="apply"]');
+    const toggleAll = overlay.querySelector('[data-action="toggle-all"]');
+    const rowBoxes = () => overlay.querySelectorAll('input[data-user-id]');
+
+    const refresh = () => {
+        summary.textContent = `${selected.size} of ${rows.length} students selected`;
+        applyBtn.textContent = `Apply to ${selected.size}`;
+        applyBtn.disabled = selected.size === 0;
+        toggleAll.checked = selected.size === rows.length;
+        toggleAll.indeterminate = selected.size > 0 && selected.size < rows.length;
+    };
+
+    const setAll = (checked) => {
+        rowBoxes().forEach(box => {
+            box.checked = checked;
+            if (checked) selected.add(box.dataset.userId);
+            else selected.delete(box.dataset.userId);
+        });
+        refresh();
+    };
+
+    return new Promise(resolve => {
+        const close = (result) => {
+            document.removeEventListener('keydown', onKeydown);
+            overlay.remove();
+            resolve(result);
+        };
+
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') close(null);
+        };
+
+        overlay.addEventListener('change', (e) => {
+            const box = e.target;
+            if (box.dataset.action === 'toggle-all') {
+                setAll(box.checked);
+            } else if (box.dataset.userId) {
+                if (box.checked) selected.add(box.dataset.userId);
+                else selected.delete(box.dataset.userId);
+                refresh();
+            }
+        });
+
+        overlay.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            const action = btn.dataset.action;
+            if (action === 'select-all') setAll(true);
+            else if (action === 'select-none') setAll(false);
+            else if (action === 'export') {
+                logger.debug(`[UpdatePreview] Exporting ${rows.length} preview rows`);
+                downloadPreviewCsv(rows, selected, courseId);
+            } else if (action === 'cancel') close(null);
+            else if (action === 'apply') close([...selected]);
+        });
+
+        document.addEventListener('keydown', onKeydown);
+        document.body.appendChild(overlay);
+        refresh();
+        applyBtn.focus();
+    });
+}
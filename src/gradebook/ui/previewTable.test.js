@@ -0,0 +1,52 @@
+// src/gradebook/ui/previewTable.test.js
+import { describe, it, expect } from 'vitest';
+import { buildPreviewRows, previewRowsToCsv } from './previewTable.js';
+
+const rollupData = {
+    linked: {
+        users: [
+            { id: 1, name: 'Ann Abel', sortable_name: 'Abel, Ann' },
+            { id: 2, name: 'Bea Cole' }
+        ]
+    }
+};
+
+const averages = [
+    { userId: 3, average: 2, oldAverage: null, oldOverride: null, zeroCount: 1 },
+    { userId: 2, average: 3.5, oldAverage: 3, oldOverride: 75, zeroCount: 0 },
+    { userId: 1, average: 2.5, oldAverage: 2.25, oldOverride: 62.5 }
+];
+
+describe('buildPreviewRows', () => {
+    it('names students, scales the override and sorts by name', () => {
+        const rows = buildPreviewRows(averages, rollupData, avg => avg * 25);
+
+        expect(rows.map(r => r.name)).toEqual(['Abel, Ann', 'Bea Cole', 'User 3']);
+        expect(rows[0]).toEqual({
+            userId: '1', name: 'Abel, Ann', oldAverage: 2.25, newAverage: 2.5,
+            oldOverride: 62.5, newOverride: 62.5, ie: false, zeroCount: 0
+        });
+        expect(rows[2]).toMatchObject({ userId: '3', oldAverage: null, oldOverride: null, ie: true, zeroCount: 1 });
+        expect(buildPreviewRows(null, rollupData, avg => avg)).toEqual([]);
+    });
+});
+
+describe('previewRowsToCsv', () => {
+    const rows = buildPreviewRows(averages, rollupData, avg => avg * 25);
+
+    it('writes one line per row with blank missing values and the IE status', () => {
+        const lines = previewRowsToCsv(rows).split('\n');
+
+        expect(lines[0]).toBe('User ID,Student,Old Score,New Average,Old Override %,New Override %,IE Status');
+        expect(lines[1]).toBe('1,"Abel, Ann",2.25,2.5,62.5,62.5,');
+        expect(lines[3]).toBe('3,User 3,,2,,50,IE (1 zero)');
+    });
+
+    it('adds the Included column for a selection and keeps formula-like names as text', () => {
+        const named = [{ ...rows[1], name: '=HYPERLINK("x")' }];
+        const lines = previewRowsToCsv(named, new Set(['1'])).split('\n');
+
+        expect(lines[0].endsWith(',Included')).toBe(true);
+        expect(lines[1]).toBe(`2,"'=HYPERLINK(""x"")",3,3.5,75,87.5,,no`);
+    });
+});
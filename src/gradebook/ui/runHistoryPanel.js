@@ -0,0 +1,178 @@
+// src/gradebook/ui/runHistoryPanel.js
+/**
+ * Run History Viewer
+ *
+ * Table of Update Current Score executions for a course (see
+ * src/services/runHistoryService.js). Opened as a modal from the gradebook
+ * toolbar; the table renderer is shared with the admin dashboard's
+ * Update History panel.
+ */
+
+import { injectStyles } from "../../ui/styles.js";
+import { escapeHtml } from "../../utils/html.js";
+import { logger } from "../../utils/logger.js";
+import { CanvasApiClient } from "../../utils/canvasApiClient.js";
+import { readRunHistory } from "../../services/runHistoryService.js";
+
+const RUN_HISTORY_CSS = `
+.cg-history-overlay {
+    position: fixed;
+    inset: 0;
+    background: rgba(0, 0, 0, 0.5);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 10001;
+}
+.cg-history-modal {
+    background: #fff;
+    border-radius: 8px;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    width: min(1000px, 95vw);
+    max-height: 85vh;
+    display: flex;
+    flex-direction: column;
+    font-size: 14px;
+}
+.cg-history-header { padding: 16px 20px; border-bottom: 1px solid #ddd; display: flex; align-items: center; }
+.cg-history-title  { font-size: 18px; font-weight: bold; margin: 0; flex: 1; }
+.cg-history-body   { overflow: auto; padding: 0 20px 16px; }
+.cg-history-table  { width: 100%; border-collapse: collapse; font-size: 13px; }
+.cg-history-table th,
+.cg-history-table td { padding: 6px 8px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; }
+.cg-history-table th { position: sticky; top: 0; background: #f5f5f5; }
+.cg-history-flags  { color: #555; font-size: 12px; }
+.cg-history-status--complete   { color: #0b874b; }
+.cg-history-status--no_changes { color: #555; }
+.cg-history-status--cancelled  { color: #8a6d00; }
+.cg-history-status--error      { color: #b00020; font-weight: bold; }
+.cg-history-status--reverted   { color: #0374b5; }
+.cg-history-empty  { padding: 16px 0; color: #666; }
+`;
+
+const STATUS_LABELS = {
+    complete: 'Complete',
+    no_changes: 'No changes',
+    cancelled: 'Cancelled',
+    error: 'Error',
+    reverted: 'Reverted'
+};
+
+/**
+ * Inject the run history table styles (idempotent)
+ */
+export function injectRunHistoryStyles() {
+    injectStyles(RUN_HISTORY_CSS, 'cg-history-styles');
+}
+
+/**
+ * Summarize the config flags recorded for a run
+ * @param {Object} config
+ * @returns {string}
+ */
+function formatFlags(config = {}) {
+    const modes = [
+        config.ENABLE_OUTCOME_UPDATES ? 'Outcome' : null,
+        config.ENABLE_GRADE_OVERRIDE ? 'Override' : null,
+        config.ENABLE_GRADE_CUSTOM_STATUS ? `Custom status${config.DEFAULT_CUSTOM_STATUS_ID ? ` (${config.DEFAULT_CUSTOM_STATUS_ID})` : ''}` : null
+    ].filter(Boolean);
+    return [modes.join(' + ') || 'No writes enabled', config.aggregation].filter(Boolean).join(' · ');
+}
+
+/**
+ * Render the errors cell for a run
+ * @param {Object} entry
+ * @returns {string}
+ */
+function renderErrors(entry) {
+    const failed = entry.failed_updates ?? [];
+    const parts = [];
+    if (entry.error_message) parts.push(escapeHtml(entry.error_message));
+    if (entry.override_mismatch_count) parts.push(`${entry.override_mismatch_count} override mismatches`);
+    if (failed.length > 0) {
+        parts.push(`
+            <details>
+                <summary>${failed.length} failed updates</summary>
+                <ul>${failed.map(f => `<li>User ${escapeHtml(f.user_id)}: ${escapeHtml(f.error)}</li>`).join('')}</ul>
+            </details>`);
+    }
+    if ((entry.retry_counts ?? []).length > 0) parts.push(`${entry.retry_counts.length} retried`);
+    return parts.join('<br>') || '—';
+}
+
+/**
+ * Render run history entries as an HTML table
+ * @param {Array<Object>} entries - History entries (newest first)
+ * @returns {string} HTML
+ */
+export function renderRunHistoryTable(entries) {
+    if (!entries?.length) {
+        return '<div class="cg-history-empty">No Update Current Score runs have been recorded for this course yet.</div>';
+    }
+
+    const rows = entries.map(e => `
+        <tr>
+            <td>${escapeHtml(new Date(e.completed_at).toLocaleString())}</td>
+            <td>${escapeHtml(e.teacher?.name ?? (e.teacher?.id ? `User ${e.teacher.id}` : 'Unknown'))}${e.trigger === 'automatic' ? ' <span class="cg-history-flags">(auto)</span>' : ''}</td>
+            <td class="cg-history-status--${escapeHtml(e.status)}">${escapeHtml(STATUS_LABELS[e.status] ?? e.status)}</td>
+            <td>${e.students_changed ?? 0}${e.students_selected && e.students_selected !== e.students_changed ? ` / ${e.students_selected}` : ''}</td>
+            <td>${e.duration_seconds ?? 0}s</td>
+            <td class="cg-history-flags">${escapeHtml(formatFlags(e.config))}${e.grading_period ? `<br>${escapeHtml(e.grading_period.title)}` : ''}${e.section ? `<br>${escapeHtml(e.section.name)}` : ''}</td>
+            <td>${renderErrors(e)}</td>
+        </tr>`).join('');
+
+    return `
+        <table class="cg-history-table">
+            <thead><tr>
+                <th>When</th><th>Teacher</th><th>Status</th><th>Students changed</th>
+                <th>Duration</th><th>Settings</th><th>Errors</th>
+            </tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+/**
+ * Open the run history modal for a course
+ * @param {string} courseId
+ */
+export async function openRunHistoryPanel(courseId) {
+    injectRunHistoryStyles();
+    document.querySelector('.cg-history-overlay')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'cg-history-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'cg-history-title');
+    overlay.innerHTML = `
+        <div class="cg-history-modal">
+            <div class="cg-history-header">
+                <h2 class="cg-history-title" id="cg-history-title">Update history</h2>
+                <button class="Button" data-action="close">Close</button>
+            </div>
+            <div class="cg-history-body"><div class="cg-history-empty">Loading…</div></div>
+        </div>`;
+
+    const close = () => {
+        document.removeEventListener('keydown', onKeydown);
+        overlay.remove();
+    };
+    const onKeydown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay || e.target.closest('[data-action="close"]')) close();
+    });
+    document.addEventListener('keydown', onKeydown);
+    document.body.appendChild(overlay);
+
+    const body = overlay.querySelector('.cg-history-body');
+    try {
+        const history = await readRunHistory(courseId, new CanvasApiClient());
+        body.innerHTML = renderRunHistoryTable(history.entries);
+    } catch (error) {
+        logger.error('[RunHistory] Failed to load run history', error);
+        body.innerHTML = `<div class="cg-history-empty">Could not load update history: ${escapeHtml(error.message)}</div>`;
+    }
+}
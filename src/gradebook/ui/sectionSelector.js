@@ -0,0 +1,72 @@
+// src/gradebook/ui/sectionSelector.js
+/**
+ * Section Selector
+ *
+ * Per-course section choice for Update Current Score and Mastery Outlook
+ * (see src/services/sectionScopeService.js). Shown next to the grading period
+ * selector; stays hidden when the course has a single section.
+ */
+
+import { injectStyles } from "../../ui/styles.js";
+import { CanvasApiClient } from "../../utils/canvasApiClient.js";
+import { logger } from "../../utils/logger.js";
+import { fetchCourseSections } from "../../services/enrollmentService.js";
+import { getSelectedSectionId, setSelectedSectionId } from "../../services/sectionScopeService.js";
+
+const SECTION_CSS = `
+.cg-section-scope {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    margin-top: 4px;
+    font-size: 12px;
+    color: #555;
+}
+.cg-section-scope[hidden] { display: none; }
+.cg-section-scope select  { margin: 0; padding: 0 4px; height: 24px; width: auto; font-size: 12px; }
+`;
+
+/**
+ * Create the section selector. Sections load in the background; the element
+ * stays hidden unless the course has more than one.
+ *
+ * @param {string} courseId
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - ({id, name}|null) => void, after the selection is stored
+ * @returns {HTMLElement}
+ */
+export function createSectionSelector(courseId, { onChange = null } = {}) {
+    injectStyles(SECTION_CSS, 'cg-section-scope-styles');
+
+    const el = document.createElement('label');
+    el.className = 'cg-section-scope';
+    el.hidden = true;
+    el.title = 'Only show and update the students of this section';
+    el.innerHTML = `Section <select data-role="section"><option value="">All sections</option></select>`;
+
+    const select = el.querySelector('[data-role="section"]');
+    let sections = [];
+
+    fetchCourseSections(courseId, new CanvasApiClient()).then(result => {
+        sections = result;
+        if (sections.length < 2) return;
+
+        for (const section of sections) {
+            const option = document.createElement('option');
+            option.value = section.id;
+            option.textContent = section.name;
+            select.appendChild(option);
+        }
+        const selectedId = getSelectedSectionId(courseId);
+        select.value = sections.some(s => s.id === selectedId) ? selectedId : '';
+        el.hidden = false;
+    }).catch(e => logger.warn('[SectionScope] Could not build selector:', e));
+
+    select.addEventListener('change', () => {
+        const section = sections.find(s => s.id === select.value) ?? null;
+        setSelectedSectionId(courseId, section?.id ?? null);
+        onChange?.(section);
+    });
+
+    return el;
+}
@@ -0,0 +1,160 @@
+// src/gradebook/ui/studentPicker.js
+/**
+ * Student Picker
+ *
+ * Modal for running Update Current Score on a few students instead of the
+ * whole course (the targeted mode of startUpdateFlow, also used by the
+ * automatic recalculation queue). Opened from the "Update selected students"
+ * button in the gradebook toolbar; lists the active students of the selected
+ * section (see sectionSelector.js), or of the course.
+ */
+
+import { injectStyles } from "../../ui/styles.js";
+import { escapeHtml } from "../../utils/html.js";
+import { logger } from "../../utils/logger.js";
+import { CanvasApiClient } from "../../utils/canvasApiClient.js";
+import { fetchCourseStudents } from "../../services/enrollmentService.js";
+import { getSelectedSectionId } from "../../services/sectionScopeService.js";
+
+const STUDENT_PICKER_CSS = `
+.cg-picker-overlay {
+    position: fixed;
+    inset: 0;
+    background: rgba(0, 0, 0, 0.5);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 10001;
+}
+.cg-picker-modal {
+    background: #fff;
+    border-radius: 8px;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    width: min(480px, 95vw);
+    max-height: 85vh;
+    display: flex;
+    flex-direction: column;
+    font-size: 14px;
+}
+.cg-picker-header { padding: 16px 20px; border-bottom: 1px solid #ddd; }
+.cg-picker-title  { font-size: 18px; font-weight: bold; margin: 0 0 8px; }
+.cg-picker-search { width: 100%; box-sizing: border-box; margin: 0; }
+.cg-picker-body   { overflow: auto; padding: 8px 20px; flex: 1; min-height: 120px; }
+.cg-picker-row    { display: flex; align-items: center; gap: 8px; padding: 4px 0; cursor: pointer; }
+.cg-picker-row input { margin: 0; }
+.cg-picker-empty  { padding: 16px 0; color: #666; }
+.cg-picker-footer { padding: 12px 20px; border-top: 1px solid #ddd; display: flex; align-items: center; gap: 8px; }
+.cg-picker-count  { flex: 1; color: #555; font-size: 13px; }
+`;
+
+/**
+ * Students whose name matches a search, sorted by sortable name
+ *
+ * @param {Array<{userId: string, name: string, sortableName: string}>} students
+ * @param {string} query - Matched against name and sortable name, case-insensitive
+ * @returns {Array<Object>}
+ */
+export function filterStudents(students, query) {
+    const q = (query ?? '').trim().toLowerCase();
+    return students
+        .filter(s => !q || s.name.toLowerCase().includes(q) || s.sortableName.toLowerCase().includes(q))
+        .sort((a, b) => a.sortableName.localeCompare(b.sortableName));
+}
+
+/**
+ * Open the student picker for a course
+ *
+ * @param {string} courseId
+ * @param {Object} options
+ * @param {Function} options.onConfirm - (userIds: string[]) => void, called after the modal closes
+ */
+export async function openStudentPicker(courseId, { onConfirm }) {
+    injectStyles(STUDENT_PICKER_CSS, 'cg-picker-styles');
+    document.querySelector('.cg-picker-overlay')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'cg-picker-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'cg-picker-title');
+    overlay.innerHTML = `
+        <div class="cg-picker-modal">
+            <div class="cg-picker-header">
+                <h2 class="cg-picker-title" id="cg-picker-title">Update selected students</h2>
+                <input type="search" class="cg-picker-search" placeholder="Search students" aria-label="Search students" disabled>
+            </div>
+            <div class="cg-picker-body"><div class="cg-picker-empty">Loading…</div></div>
+            <div class="cg-picker-footer">
+                <span class="cg-picker-count">0 selected</span>
+                <button class="Button" data-action="close">Cancel</button>
+                <button class="Button Button--primary" data-action="update" disabled>Update</button>
+            </div>
+        </div>`;
+
+    const search = overlay.querySelector('.cg-picker-search');
+    const body = overlay.querySelector('.cg-picker-body');
+    const count = overlay.querySelector('.cg-picker-count');
+    const updateBtn = overlay.querySelector('[data-action="update"]');
+    const selected = new Set();
+    let students = [];
+
+    const close = () => {
+        document.removeEventListener('keydown', onKeydown);
+        overlay.remove();
+    };
+    const onKeydown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+
+    const renderSelection = () => {
+        count.textContent = `${selected.size} selected`;
+        updateBtn.disabled = selected.size === 0;
+        updateBtn.textContent = selected.size > 0
+            ? `Update ${selected.size} student${selected.size === 1 ? '' : 's'}`
+            : 'Update';
+    };
+
+    const renderList = () => {
+        const shown = filterStudents(students, search.value);
+        body.innerHTML = shown.length === 0
+            ? `<div class="cg-picker-empty">${students.length === 0 ? 'No active students found.' : 'No students match.'}</div>`
+            : shown.map(s => `
+                <label class="cg-picker-row">
+                    <input type="checkbox" value="${escapeHtml(s.userId)}"${selected.has(s.userId) ? ' checked' : ''}>
+                    ${escapeHtml(s.sortableName)}
+                </label>`).join('');
+    };
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay || e.target.closest('[data-action="close"]')) {
+            close();
+        } else if (e.target.closest('[data-action="update"]') && selected.size > 0) {
+            const userIds = [...selected];
+            close();
+            onConfirm(userIds);
+        }
+    });
+    body.addEventListener('change', (e) => {
+        if (e.target.type !== 'checkbox') return;
+        if (e.target.checked) selected.add(e.target.value);
+        else selected.delete(e.target.value);
+        renderSelection();
+    });
+    search.addEventListener('input', renderList);
+    document.addEventListener('keydown', onKeydown);
+    document.body.appendChild(overlay);
+
+    try {
+        const sectionId = getSelectedSectionId(courseId);
+        const all = await fetchCourseStudents(courseId, new CanvasApiClient());
+        // A student enrolled in several sections has one enrollment per section
+        const byId = new Map(all.filter(s => !sectionId || s.sectionId === sectionId).map(s => [s.userId, s]));
+        students = [...byId.values()];
+        search.disabled = false;
+        renderList();
+        search.focus();
+    } catch (error) {
+        logger.error('[StudentPicker] Failed to load students', error);
+        body.innerHTML = `<div class="cg-picker-empty">Could not load students: ${escapeHtml(error.message)}</div>`;
+    }
+}
@@ -0,0 +1,18 @@
+// src/gradebook/ui/studentPicker.test.js
+import { describe, it, expect } from 'vitest';
+import { filterStudents } from './studentPicker.js';
+
+const students = [
+    { userId: '2', name: 'Bea Cole', sortableName: 'Cole, Bea' },
+    { userId: '1', name: 'Ann Abel', sortableName: 'Abel, Ann' },
+    { userId: '3', name: 'Cy Ede', sortableName: 'Ede, Cy' }
+];
+
+describe('filterStudents', () => {
+    it('sorts by sortable name and matches either name form', () => {
+        expect(filterStudents(students, '').map(s => s.userId)).toEqual(['1', '2', '3']);
+        expect(filterStudents(students, ' cole ').map(s => s.userId)).toEqual(['2']);
+        expect(filterStudents(students, 'abel, a').map(s => s.userId)).toEqual(['1']);
+        expect(filterStudents(students, 'zed')).toEqual([]);
+    });
+});
@@ -18,7 +18,10 @@ import {
     ValidationError
 } from "../utils/errorHandler.js";
 import { getCourseId } from "../utils/canvas.js";
-import { renderLastUpdateNotice } from "../utils/uiHelpers.js";
+import { renderLastUpdateNotice, getElapsedTimeSinceStart } from "../utils/uiHelpers.js";
+import { CanvasApiClient } from "../utils/canvasApiClient.js";
+import { buildRunHistoryEntry, appendRunHistory } from "../services/runHistoryService.js";
+import { whenCourseConfigLoaded } from "../services/courseConfigService.js";
 import { AVG_OUTCOME_NAME, ENABLE_OUTCOME_UPDATES, ENABLE_GRADE_OVERRIDE } from "../config.js";
 import { logger } from "../utils/logger.js";
 
@@ -47,23 +50,79 @@ function cleanUpLocalStorage() {
     }
 }
 
+/**
+ * Append this execution to the course's run history.
+ * Never throws — a history write failure must not affect the update itself.
+ *
+ * @param {UpdateFlowStateMachine} stateMachine
+ * @param {'complete'|'no_changes'|'cancelled'|'error'} status
+ * @param {Error} [error]
+ */
+async function recordRunHistory(stateMachine, status, error = null) {
+    const context = stateMachine.getContext();
+    try {
+        const entry = buildRunHistoryEntry(context, {
+            status,
+            error,
+            durationSeconds: getElapsedTimeSinceStart(stateMachine)
+        });
+        await appendRunHistory(context.courseId, entry, new CanvasApiClient());
+    } catch (historyError) {
+        logger.warn('[RunHistory] Failed to record run history:', historyError);
+    }
+}
+
+/** True while an update flow (manual or automatic) is running on this page */
+let _flowRunning = false;
+
+/**
+ * Whether an update flow is currently running on this page
+ * @returns {boolean}
+ */
+export function isUpdateFlowRunning() {
+    return _flowRunning;
+}
+
 /**
  * Start the update flow
+ *
+ * Targeted runs only fetch and update the given students, so correcting one
+ * student in a large course takes seconds. Automatic runs (see
+ * autoRecalcService.js) skip the preview and every prompt: missing setup
+ * aborts the run instead of offering to create it, and failures are left to
+ * the run history instead of the download dialog.
+ *
  * @param {HTMLButtonElement} button - Optional button reference for UI updates
+ * @param {Object} [options]
+ * @param {Array<string>} [options.userIds] - Targeted mode: fetch rollups and submissions
+ *   for these students only (e.g. from SpeedGrader, polling or a student picker)
+ * @param {boolean} [options.automatic=false] - Run without preview or prompts
+ * @returns {Promise<'complete'|'no_changes'|'cancelled'|'error'|null>} Run status
+ *   (null if another update was already running)
  */
-export async function startUpdateFlow(button = null) {
+export async function startUpdateFlow(button = null, { userIds = null, automatic = false } = {}) {
     const courseId = getCourseId();
     if (!courseId) throw new ValidationError("Course ID not found", "courseId");
 
+    // Course settings decide what the update writes; finish loading them first
+    await whenCourseConfigLoaded();
+
+    if (_flowRunning) {
+        if (!automatic) alert("An update is already running for this course. Please wait for it to finish.");
+        return null;
+    }
+    _flowRunning = true;
+
     // Create state machine
     const stateMachine = new UpdateFlowStateMachine();
 
     // Determine initial banner message based on grading mode
+    const preparing = automatic ? 'Auto-update: preparing' : 'Preparing';
     const initialMessage = ENABLE_OUTCOME_UPDATES && ENABLE_GRADE_OVERRIDE
-        ? `Preparing to update "${AVG_OUTCOME_NAME}" and grade overrides: checking setup...`
+        ? `${preparing} to update "${AVG_OUTCOME_NAME}" and grade overrides: checking setup...`
         : ENABLE_OUTCOME_UPDATES
-            ? `Preparing to update "${AVG_OUTCOME_NAME}": checking setup...`
-            : 'Preparing to update grade overrides: checking setup...';
+            ? `${preparing} to update "${AVG_OUTCOME_NAME}": checking setup...`
+            : `${preparing} to update grade overrides: checking setup...`;
 
     // Create banner
     const banner = showFloatingBanner({
@@ -71,10 +130,18 @@ export async function startUpdateFlow(button = null) {
     });
 
     // Initialize context (include button reference for debug UI)
-    stateMachine.updateContext({ courseId, banner, button });
+    stateMachine.updateContext({
+        courseId,
+        banner,
+        button,
+        automatic,
+        targetUserIds: userIds ? userIds.map(String) : null
+    });
 
-    // Alert user
-    alert("You may minimize this browser or switch to another tab, but please keep this tab open until the process is fully complete.");
+    // Alert user (automatic runs must never block the page)
+    if (!automatic) {
+        alert("You may minimize this browser or switch to another tab, but please keep this tab open until the process is fully complete.");
+    }
 
     try {
         // Start from CHECKING_SETUP
@@ -120,6 +187,11 @@ export async function startUpdateFlow(button = null) {
         // Remove debug UI after completion
         removeDebugUI();
 
+        const { zeroUpdates, numberOfUpdates } = stateMachine.getContext();
+        const status = zeroUpdates || !numberOfUpdates ? 'no_changes' : 'complete';
+        await recordRunHistory(stateMachine, status);
+        return status;
+
     } catch (error) {
         // Transition to ERROR state
         stateMachine.updateContext({ error });
@@ -128,8 +200,13 @@ export async function startUpdateFlow(button = null) {
         // Handle error display
         if (error instanceof UserCancelledError) {
             const userMessage = getUserFriendlyMessage(error);
-            alert(`Update cancelled: ${userMessage}`);
-            banner.remove();
+            if (automatic) {
+                banner.setText(`Auto-update skipped: ${userMessage}`);
+                setTimeout(() => banner.remove(), 5000);
+            } else {
+                alert(`Update cancelled: ${userMessage}`);
+                banner.remove();
+            }
         } else {
             const userMessage = handleError(error, "startUpdateFlow", { banner });
             setTimeout(() => {
@@ -142,7 +219,13 @@ export async function startUpdateFlow(button = null) {
 
         // Remove debug UI on error
         removeDebugUI();
+
+        const status = error instanceof UserCancelledError ? 'cancelled' : 'error';
+        await recordRunHistory(stateMachine, status, error);
+        return status;
     } finally {
+        _flowRunning = false;
+
         // Clean up any legacy localStorage entries
         cleanUpLocalStorage();
     }
@@ -34,7 +34,7 @@ const RATINGS = OUTCOME_AND_RUBRIC_RATINGS;
  * @param {number} score - Numeric score
  * @returns {string} Letter grade description
  */
-function getLetterGrade(score) {
+export function getLetterGrade(score) {
     if (score == null || isNaN(score)) return "";
 
     // Find the rating that matches the score
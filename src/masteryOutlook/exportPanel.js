@@ -0,0 +1,156 @@
+// src/masteryOutlook/exportPanel.js
+/**
+ * Mastery Outlook — export panel
+ *
+ * Header-toggled panel (peer of the weights panel) for downloading the
+ * outlook as CSV or as a spreadsheet workbook with one sheet per outcome.
+ * Teachers pick the format, a section and the columns; the column choice is
+ * remembered per course.
+ *
+ * See masteryOutlookExportService.js for the columns and file formats.
+ */
+
+import { logger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
+import { fetchCourseSections } from '../services/enrollmentService.js';
+import {
+    EXPORT_COLUMNS,
+    getExportColumnIds,
+    setExportColumnIds,
+    exportMasteryOutlook
+} from './masteryOutlookExportService.js';
+
+/**
+ * Wire up the "Export" header button and the export panel.
+ *
+ * @param {Object} shell - Shell object from buildShell
+ * @param {Object} cache - Enriched in-memory cache (may be section-scoped; exports cover the chosen section)
+ * @param {string} courseId
+ * @param {Object} apiClient
+ */
+export function wireExportPanel(shell, cache, courseId, apiClient) {
+    if (!shell.exportBtn || !shell.exportPanel) return;
+
+    let panelOpen = false;
+    let sections = null;
+    let format = 'csv';
+    let sectionId = cache.meta?.section?.id ?? '';
+    let columnIds = getExportColumnIds(courseId);
+    let status = '';
+    let busy = false;
+
+    const renderPanel = () => {
+        const sectionOptions = (sections ?? []).map(s => `
+            <option value="${escapeHtml(String(s.id))}" ${String(s.id) === String(sectionId) ? 'selected' : ''}>
+                ${escapeHtml(s.name)}
+            </option>`).join('');
+
+        const columnBoxes = EXPORT_COLUMNS.map(c => `
+            <label>
+                <input type="checkbox" data-export-column="${c.id}" ${columnIds.includes(c.id) ? 'checked' : ''}>
+                ${escapeHtml(c.label)}
+            </label>`).join('');
+
+        shell.exportPanel.innerHTML = `
+            <div class="od-ex-panel-header">
+                <span class="od-ex-panel-title">
+                    Export
+                </span>
+                <div class="od-ex-panel-actions">
+                    <span class="od-wt-status">${escapeHtml(status)}</span>
+                    <button class="od-ex-chip" data-action="download" ${busy || !columnIds.length ? 'disabled' : ''}>Download</button>
+                    <button class="od-ex-chip" data-action="close">✕ Close</button>
+                </div>
+            </div>
+            <div class="od-ex-panel-body od-wt-body">
+                <div class="od-tweaks-help">
+                    One row per student and outcome. The spreadsheet has one sheet per outcome
+                    and opens in Excel, LibreOffice and Google Sheets.
+                </div>
+                <div class="od-exp-options">
+                    <label>Format
+                        <select class="od-wt-input" data-export-format>
+                            <option value="csv" ${format === 'csv' ? 'selected' : ''}>CSV</option>
+                            <option value="xml" ${format === 'xml' ? 'selected' : ''}>Spreadsheet (one sheet per outcome)</option>
+                        </select>
+                    </label>
+                    <label>Section
+                        <select class="od-wt-input" data-export-section ${sections ? '' : 'disabled'}>
+                            <option value="">All sections</option>
+                            ${sectionOptions}
+                        </select>
+                    </label>
+                </div>
+                <div class="od-wt-section-title">Columns</div>
+                <div class="od-exp-columns">${columnBoxes}</div>
+            </div>`;
+    };
+
+    const loadSections = async () => {
+        try {
+            sections = await fetchCourseSections(courseId, apiClient);
+        } catch (err) {
+            sections = [];
+            logger.warn('[MasteryOutlook] Could not load sections for export', err);
+        }
+        if (panelOpen) renderPanel();
+    };
+
+    const download = async () => {
+        busy = true;
+        status = 'Preparing…';
+        renderPanel();
+        try {
+            const { rowCount } = await exportMasteryOutlook(cache, courseId, apiClient, {
+                format,
+                columnIds,
+                sectionId: sectionId || null
+            });
+            status = `Exported ${rowCount} row${rowCount === 1 ? '' : 's'}`;
+        } catch (err) {
+            status = 'Export failed';
+            logger.error('[MasteryOutlook] Export failed', err);
+        }
+        busy = false;
+        renderPanel();
+    };
+
+    shell.exportBtn.addEventListener('click', () => {
+        panelOpen = !panelOpen;
+        if (panelOpen) {
+            status = '';
+            renderPanel();
+            shell.exportPanel.style.display = 'block';
+            if (!sections) loadSections();
+        } else {
+            shell.exportPanel.style.display = 'none';
+        }
+    });
+
+    shell.exportPanel.addEventListener('change', (e) => {
+        const el = e.target;
+        if (el.dataset.exportFormat !== undefined) {
+            format = el.value;
+        } else if (el.dataset.exportSection !== undefined) {
+            sectionId = el.value;
+        } else if (el.dataset.exportColumn) {
+            const ids = new Set(columnIds);
+            if (el.checked) ids.add(el.dataset.exportColumn);
+            else ids.delete(el.dataset.exportColumn);
+            columnIds = EXPORT_COLUMNS.map(c => c.id).filter(id => ids.has(id));
+            if (columnIds.length) setExportColumnIds(courseId, columnIds);
+            renderPanel();
+        }
+    });
+
+    shell.exportPanel.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+        if (btn.dataset.action === 'close') {
+            panelOpen = false;
+            shell.exportPanel.style.display = 'none';
+        } else if (btn.dataset.action === 'download' && !busy && columnIds.length) {
+            download();
+        }
+    });
+}
@@ -0,0 +1,29 @@
+// src/masteryOutlook/formatters.js
+/**
+ * Number and date formatting shared by the Mastery Outlook views.
+ */
+
+/**
+ * Format a signed number ("+0.12" / "−0.40")
+ * @param {number|null|undefined} value
+ * @param {number} [digits=2]
+ * @returns {string} "—" when there is no value
+ */
+export function formatSigned(value, digits = 2) {
+    if (value === null || value === undefined) return '—';
+    const text = Math.abs(value).toFixed(digits);
+    return value > 0 ? `+${text}` : value < 0 ? `−${text}` : text;
+}
+
+/**
+ * Format an ISO date as a short month and day ("Apr 9")
+ * @param {string|null} iso
+ * @param {string} [empty='—'] - Returned for a missing or invalid date
+ * @returns {string}
+ */
+export function formatDateShort(iso, empty = '—') {
+    if (!iso) return empty;
+    const d = new Date(iso);
+    if (isNaN(d.getTime())) return empty;
+    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
@@ -0,0 +1,53 @@
+// src/masteryOutlook/growthModelSelector.js
+/**
+ * Growth model selector (Mastery Outlook header)
+ *
+ * Course-wide choice of the model behind every prediction, class stat and
+ * PL sync (see growthModels.js). Stored in the cache's growth_model section,
+ * so every teacher of the course sees and pushes the same numbers.
+ */
+
+import { injectStyles } from '../ui/styles.js';
+import { escapeHtml } from '../utils/html.js';
+import { GROWTH_MODELS, resolveGrowthModelId } from './growthModels.js';
+
+const GROWTH_MODEL_CSS = `
+.cg-growth-model {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    font-size: 12px;
+    color: #555;
+}
+.cg-growth-model select { margin: 0; padding: 0 4px; height: 24px; width: auto; font-size: 12px; }
+`;
+
+/**
+ * Create the growth model selector for a loaded cache.
+ *
+ * @param {Object} cache - View cache (growth_model is read, not changed)
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - (modelId) => void
+ * @returns {HTMLElement}
+ */
+export function createGrowthModelSelector(cache, { onChange = null } = {}) {
+    injectStyles(GROWTH_MODEL_CSS, 'cg-growth-model-styles');
+
+    const currentId = resolveGrowthModelId(cache?.growth_model);
+    const options = Object.values(GROWTH_MODELS).map(model =>
+        `<option value="${model.id}" title="${escapeHtml(model.description)}"
+                 ${model.id === currentId ? 'selected' : ''}>${escapeHtml(model.label)}</option>`
+    ).join('');
+
+    const el = document.createElement('label');
+    el.className = 'cg-growth-model';
+    el.title = 'Model behind every prediction and PL sync in this course';
+    el.innerHTML = `Model <select data-role="growth-model">${options}</select>`;
+
+    const select = el.querySelector('[data-role="growth-model"]');
+    select.addEventListener('change', () => {
+        if (select.value !== currentId) onChange?.(select.value);
+    });
+
+    return el;
+}
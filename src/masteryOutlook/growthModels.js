@@ -0,0 +1,321 @@
+// src/masteryOutlook/growthModels.js
+/**
+ * Growth models
+ *
+ * Registry of the ways a student's outcome history can be turned into the
+ * "true score" Mastery Outlook predicts and PL sync pushes. Marzano's Power
+ * Law (powerLaw.js) is the default; the others are selectable per course.
+ *
+ * Every model produces the computeStudentOutcome() shape, so outcome rows,
+ * the heatmap, class stats and PL sync work unchanged — plPrediction holds
+ * the selected model's prediction and slope its growth rate.
+ *
+ * Model selection (highest priority first):
+ * 1. The course's `growth_model` section of the mastery outlook cache
+ *    (chosen in the Mastery Outlook header)
+ * 2. GROWTH_MODEL
+ * 3. 'power_law'
+ *
+ * Pure functions apart from reading config — no DOM, no Canvas API.
+ */
+
+import { GROWTH_MODEL, GROWTH_MODEL_OPTIONS } from '../config.js';
+import { logger } from '../utils/logger.js';
+import {
+    MIN_SCORES,
+    MIN_SCORE,
+    MAX_SCORE,
+    DECAYING_AVG_WEIGHT,
+    powerLawFit,
+    powerLawPredict,
+    powerLawSlope,
+    decayingAverage,
+    mean,
+    computeStudentOutcome
+} from './powerLaw.js';
+
+export const DEFAULT_GROWTH_MODEL = 'power_law';
+const DEFAULT_PRIOR_WEIGHT = 3;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Clamp a prediction to the rubric scale
+ */
+function clamp(value) {
+    return Math.max(MIN_SCORE, Math.min(MAX_SCORE, value));
+}
+
+/**
+ * Least squares fit of y = intercept + slope·x
+ * @param {number[]} xs
+ * @param {number[]} ys
+ * @returns {{intercept: number, slope: number}|null} null when every x is the same
+ */
+function leastSquares(xs, ys) {
+    const n = xs.length;
+    const sumX  = xs.reduce((a, b) => a + b, 0);
+    const sumY  = ys.reduce((a, b) => a + b, 0);
+    const sumXY = xs.reduce((s, x, i) => s + x * ys[i], 0);
+    const sumX2 = xs.reduce((s, x) => s + x * x, 0);
+
+    const denom = n * sumX2 - sumX * sumX;
+    if (Math.abs(denom) < 1e-9) return null;
+
+    const slope = (n * sumXY - sumX * sumY) / denom;
+    return { intercept: (sumY - slope * sumX) / n, slope };
+}
+
+/**
+ * Days since the first attempt plus one (so the first attempt is at x = 1),
+ * from submitted_or_assessed_at. null when an attempt has no usable date.
+ * @param {Array<{assessedAt?: string, timestamp?: string}>} attempts - Oldest first
+ * @returns {number[]|null}
+ */
+function attemptDays(attempts) {
+    const times = attempts.map(a => Date.parse(a.assessedAt ?? a.timestamp ?? ''));
+    if (times.some(t => Number.isNaN(t))) return null;
+    return times.map(t => (t - times[0]) / MS_PER_DAY + 1);
+}
+
+/**
+ * Curve through values given at attempts 1..n, straight between attempts
+ * @param {Array<number|null>} values
+ * @returns {function(number): (number|null)} x = 1-based attempt index, may be fractional
+ */
+function interpolate(values) {
+    return (x) => {
+        const i = Math.min(values.length, Math.max(1, Math.floor(x)));
+        const from = values[i - 1];
+        const to = values[i] ?? from;
+        return from === null || to === null ? null : from + (to - from) * (x - i);
+    };
+}
+
+/**
+ * Mean of every attempt score on an outcome across the class — the prior the
+ * shrinkage model pulls students with few attempts towards.
+ * @param {Array<Object>} students - Cache students
+ * @param {string|number} outcomeId
+ * @returns {number|null}
+ */
+export function outcomeClassMean(students, outcomeId) {
+    const scores = (students ?? []).flatMap(student =>
+        (student.outcomes?.find(o => String(o.outcomeId) === String(outcomeId))?.attempts ?? [])
+            .map(a => a.score)
+            .filter(s => s != null)
+    );
+    return mean(scores);
+}
+
+/**
+ * Registry of growth models keyed by id.
+ * Each entry: { id, label, description, minScores, fit(attempts, options) → {prediction, slope}|null,
+ *               curve?(attempts, options) → (x => score)|null }
+ *
+ * `attempts` are the active (non-ignored) attempts, oldest first:
+ * `{ score, assessedAt, timestamp }`. Fewer than minScores attempts → NE.
+ * `curve` is the fitted line for the score history chart, x being the 1-based
+ * attempt index (fractional between attempts); see growthModelCurve for
+ * models without one.
+ */
+export const GROWTH_MODELS = {
+    power_law: {
+        id: 'power_law',
+        label: 'Power Law (Marzano)',
+        description: 'y = a·x^b fitted by attempt number',
+        minScores: MIN_SCORES,
+        fit: (attempts) => {
+            const scores = attempts.map(a => a.score);
+            const prediction = powerLawPredict(scores);
+            return prediction === null ? null : { prediction, slope: powerLawSlope(scores) };
+        },
+        curve: (attempts) => {
+            const fit = powerLawFit(attempts.map(a => a.score));
+            return fit && (x => fit.a * Math.pow(x, fit.b));
+        }
+    },
+
+    linear: {
+        id: 'linear',
+        label: 'Linear trend',
+        description: 'Straight line by attempt number; slope is points per attempt',
+        minScores: 2,
+        fit: (attempts) => {
+            const line = leastSquares(attempts.map((_, i) => i + 1), attempts.map(a => a.score));
+            if (!line) return null;
+            return { prediction: clamp(line.intercept + line.slope * attempts.length), slope: line.slope };
+        },
+        curve: (attempts) => {
+            const line = leastSquares(attempts.map((_, i) => i + 1), attempts.map(a => a.score));
+            return line && (x => line.intercept + line.slope * x);
+        }
+    },
+
+    time_weighted_power_law: {
+        id: 'time_weighted_power_law',
+        label: 'Time-weighted Power Law',
+        description: 'y = a·x^b fitted by days since the first attempt, so spacing between assessments counts',
+        minScores: MIN_SCORES,
+        fit: (attempts) => {
+            const days = attemptDays(attempts);
+            // Undated attempts, or all on the same day: fall back to attempt number
+            const fit = days && leastSquares(days.map(Math.log), attempts.map(a => Math.log(Math.max(a.score, 0.01))));
+            if (!fit) return GROWTH_MODELS.power_law.fit(attempts);
+
+            const a = Math.exp(fit.intercept);
+            return { prediction: clamp(a * Math.pow(days[days.length - 1], fit.slope)), slope: fit.slope };
+        },
+        curve: (attempts) => {
+            const days = attemptDays(attempts);
+            const fit = days && leastSquares(days.map(Math.log), attempts.map(a => Math.log(Math.max(a.score, 0.01))));
+            if (!fit) return GROWTH_MODELS.power_law.curve(attempts);
+
+            const a = Math.exp(fit.intercept);
+            const dayAt = interpolate(days);
+            return x => a * Math.pow(dayAt(x), fit.slope);
+        }
+    },
+
+    ema: {
+        id: 'ema',
+        label: 'Exponential moving average',
+        description: 'Each new score is blended with the running average (GROWTH_MODEL_OPTIONS.emaWeight)',
+        minScores: 1,
+        fit: (attempts, options = {}) => {
+            const scores = attempts.map(a => a.score);
+            return {
+                prediction: decayingAverage(scores, options.emaWeight ?? DECAYING_AVG_WEIGHT),
+                slope: powerLawSlope(scores)
+            };
+        }
+    },
+
+    shrinkage: {
+        id: 'shrinkage',
+        label: 'Shrinkage to class mean',
+        description: 'Power Law (or the mean below 3 attempts) pulled towards the class mean; ' +
+                     'the fewer attempts, the stronger the pull',
+        minScores: 1,
+        fit: (attempts, options = {}) => {
+            const scores = attempts.map(a => a.score);
+            const own = powerLawPredict(scores) ?? mean(scores);
+            const prior = options.priorMean ?? own;
+            const k = Math.max(0, options.priorWeight ?? DEFAULT_PRIOR_WEIGHT);
+            const n = scores.length;
+            return { prediction: clamp((k * prior + n * own) / (k + n)), slope: powerLawSlope(scores) };
+        }
+    }
+};
+
+/**
+ * Look up a model by id, falling back to Power Law
+ * @param {string} id
+ * @returns {Object} Registry entry
+ */
+export function getGrowthModel(id) {
+    const model = GROWTH_MODELS[id];
+    if (!model) {
+        if (id) logger.warn(`[GrowthModels] Unknown model "${id}", using "${DEFAULT_GROWTH_MODEL}"`);
+        return GROWTH_MODELS[DEFAULT_GROWTH_MODEL];
+    }
+    return model;
+}
+
+/**
+ * Resolve the model id for a course
+ * @param {Object|null} growthModel - The cache's growth_model section ({ model, updated_at })
+ * @returns {string}
+ */
+export function resolveGrowthModelId(growthModel) {
+    return getGrowthModel(growthModel?.model || GROWTH_MODEL || DEFAULT_GROWTH_MODEL).id;
+}
+
+/**
+ * Model options from config (emaWeight, priorWeight)
+ * @returns {Object}
+ */
+export function getGrowthModelOptions() {
+    return GROWTH_MODEL_OPTIONS ?? {};
+}
+
+/**
+ * Compute one student/outcome history with a growth model.
+ *
+ * @param {Array<Object>} attempts - Active attempts, oldest first ({ score, assessedAt, timestamp })
+ * @param {string} [modelId='power_law']
+ * @param {Object} [options] - { emaWeight, priorWeight, priorMean }
+ * @returns {Object} Same shape as computeStudentOutcome()
+ */
+export function computeGrowthOutcome(attempts, modelId = DEFAULT_GROWTH_MODEL, options = {}) {
+    const active = (attempts ?? []).filter(a => a?.score != null);
+    const base = computeStudentOutcome(active.map(a => a.score));
+    const model = getGrowthModel(modelId);
+    if (model.id === DEFAULT_GROWTH_MODEL) return base;
+
+    const fit = active.length >= model.minScores ? model.fit(active, options) : null;
+    return {
+        ...base,
+        status:       fit ? 'ok' : 'NE',
+        plPrediction: fit?.prediction ?? null,
+        slope:        fit?.slope ?? null
+    };
+}
+
+/**
+ * Compute a student/outcome with the course's model, as stored in a cache.
+ * The shrinkage prior is the whole course's mean, also in a section-scoped view.
+ *
+ * @param {Object} cache - Cache with growth_model and students
+ * @param {string|number} outcomeId
+ * @param {Array<Object>} attempts - Active attempts, oldest first
+ * @returns {Object} Same shape as computeStudentOutcome()
+ */
+export function computeCacheGrowthOutcome(cache, outcomeId, attempts) {
+    const modelId = resolveGrowthModelId(cache?.growth_model);
+    const priorMean = modelId === 'shrinkage'
+        ? outcomeClassMean((cache.unscoped ?? cache).students, outcomeId)
+        : null;
+    return computeGrowthOutcome(attempts, modelId, { ...getGrowthModelOptions(), priorMean });
+}
+
+/**
+ * Fitted line of a growth model through one student/outcome history (score
+ * history chart). Models without a `curve` (EMA, shrinkage) draw the
+ * prediction they made after each attempt.
+ *
+ * @param {Array<Object>} attempts - Active attempts, oldest first
+ * @param {string} [modelId='power_law']
+ * @param {Object} [options] - { emaWeight, priorWeight, priorMean }
+ * @returns {function(number): (number|null)|null} Score at a 1-based attempt index
+ *   (fractional between attempts, not clamped), or null below the model's minScores
+ */
+export function growthModelCurve(attempts, modelId = DEFAULT_GROWTH_MODEL, options = {}) {
+    const active = (attempts ?? []).filter(a => a?.score != null);
+    const model = getGrowthModel(modelId);
+    if (active.length < model.minScores) return null;
+    if (model.curve) return model.curve(active, options);
+
+    return interpolate(active.map((_, i) =>
+        i + 1 < model.minScores ? null : model.fit(active.slice(0, i + 1), options)?.prediction ?? null
+    ));
+}
+
+/**
+ * Every model's prediction for one student/outcome (model comparison view)
+ *
+ * @param {Array<Object>} attempts - Active attempts, oldest first
+ * @param {Object} [options] - { emaWeight, priorWeight, priorMean }
+ * @returns {Array<{id: string, label: string, status: 'ok'|'NE', prediction: number|null, slope: number|null}>}
+ */
+export function compareGrowthModels(attempts, options = {}) {
+    return Object.values(GROWTH_MODELS).map(model => {
+        const computed = computeGrowthOutcome(attempts, model.id, options);
+        return {
+            id: model.id,
+            label: model.label,
+            status: computed.status,
+            prediction: computed.plPrediction,
+            slope: computed.slope
+        };
+    });
+}
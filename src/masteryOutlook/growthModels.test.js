@@ -0,0 +1,101 @@
+// src/masteryOutlook/growthModels.test.js
+import { describe, it, expect } from 'vitest';
+import {
+    GROWTH_MODELS,
+    computeGrowthOutcome,
+    compareGrowthModels,
+    growthModelCurve,
+    outcomeClassMean,
+    resolveGrowthModelId
+} from './growthModels.js';
+import { computeStudentOutcome } from './powerLaw.js';
+
+const attempt = (score, day) => ({
+    score,
+    assessedAt: day != null ? new Date(Date.UTC(2026, 8, 1 + day)).toISOString() : null
+});
+
+describe('growthModels', () => {
+    it('keeps Power Law identical to computeStudentOutcome', () => {
+        const attempts = [attempt(1, 0), attempt(2, 7), attempt(3, 14)];
+        expect(computeGrowthOutcome(attempts)).toEqual(computeStudentOutcome([1, 2, 3]));
+    });
+
+    it('returns the computeStudentOutcome shape for every model', () => {
+        const keys = Object.keys(computeStudentOutcome([1, 2, 3])).sort();
+        for (const id of Object.keys(GROWTH_MODELS)) {
+            expect(Object.keys(computeGrowthOutcome([attempt(2, 0)], id)).sort()).toEqual(keys);
+        }
+    });
+
+    it('fits a linear trend from two attempts', () => {
+        const result = computeGrowthOutcome([attempt(1, 0), attempt(2, 1)], 'linear');
+        expect(result.status).toBe('ok');
+        expect(result.plPrediction).toBeCloseTo(2);
+        expect(result.slope).toBeCloseTo(1);
+        expect(computeGrowthOutcome([attempt(3, 0)], 'linear').status).toBe('NE');
+    });
+
+    it('weights Power Law by the time between assessments', () => {
+        // Same scores; a long gap before the last attempt flattens the fitted curve
+        const spaced = [attempt(1, 0), attempt(2, 1), attempt(3, 60)];
+        const byIndex = computeGrowthOutcome(spaced, 'power_law');
+        const byTime = computeGrowthOutcome(spaced, 'time_weighted_power_law');
+        expect(byTime.status).toBe('ok');
+        expect(byTime.slope).toBeLessThan(byIndex.slope);
+
+        // Undated attempts fall back to attempt number
+        const undated = [attempt(1), attempt(2), attempt(3)];
+        expect(computeGrowthOutcome(undated, 'time_weighted_power_law').plPrediction)
+            .toBeCloseTo(byIndex.plPrediction);
+    });
+
+    it('uses the configured weight for the moving average', () => {
+        const attempts = [attempt(2, 0), attempt(4, 1)];
+        expect(computeGrowthOutcome(attempts, 'ema').plPrediction).toBeCloseTo(3.3);
+        expect(computeGrowthOutcome(attempts, 'ema', { emaWeight: 0.5 }).plPrediction).toBeCloseTo(3);
+    });
+
+    it('pulls students with few attempts towards the class mean', () => {
+        const one = computeGrowthOutcome([attempt(4, 0)], 'shrinkage', { priorMean: 2, priorWeight: 3 });
+        expect(one.status).toBe('ok');
+        expect(one.plPrediction).toBeCloseTo(2.5);
+
+        const many = computeGrowthOutcome([4, 4, 4, 4, 4, 4, 4, 4, 4].map((s, i) => attempt(s, i)),
+            'shrinkage', { priorMean: 2, priorWeight: 3 });
+        expect(many.plPrediction).toBeCloseTo(3.5);
+    });
+
+    it('compares every model and computes the class mean prior', () => {
+        const comparison = compareGrowthModels([attempt(2, 0), attempt(3, 1)], { priorMean: 2.5 });
+        expect(comparison.map(m => m.id)).toEqual(Object.keys(GROWTH_MODELS));
+        expect(comparison.find(m => m.id === 'power_law')).toMatchObject({ status: 'NE', prediction: null });
+        expect(comparison.find(m => m.id === 'linear').status).toBe('ok');
+
+        const students = [
+            { outcomes: [{ outcomeId: 10, attempts: [{ score: 2 }, { score: 4 }] }] },
+            { outcomes: [{ outcomeId: 10, attempts: [{ score: 3 }] }] }
+        ];
+        expect(outcomeClassMean(students, '10')).toBe(3);
+    });
+
+    it("draws each model's curve through the attempts", () => {
+        const attempts = [attempt(1, 0), attempt(2, 7), attempt(3, 14)];
+        for (const id of Object.keys(GROWTH_MODELS)) {
+            const curve = growthModelCurve(attempts, id, { priorMean: 2 });
+            expect(curve(3)).toBeCloseTo(computeGrowthOutcome(attempts, id, { priorMean: 2 }).plPrediction);
+        }
+
+        // Models without a closed-form curve follow their prediction after each attempt
+        const ema = growthModelCurve(attempts, 'ema', { emaWeight: 0.5 });
+        expect(ema(1)).toBe(1);
+        expect(ema(1.5)).toBeCloseTo((1 + 1.5) / 2);
+        expect(growthModelCurve(attempts.slice(0, 2), 'power_law')).toBeNull();
+    });
+
+    it('falls back to Power Law for an unknown model', () => {
+        expect(resolveGrowthModelId({ model: 'linear' })).toBe('linear');
+        expect(resolveGrowthModelId({ model: 'spline' })).toBe('power_law');
+        expect(resolveGrowthModelId(null)).toBe('power_law');
+    });
+});
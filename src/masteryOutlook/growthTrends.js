@@ -0,0 +1,191 @@
+// src/masteryOutlook/growthTrends.js
+/**
+ * Growth trends — model for the Mastery Outlook "Growth" view
+ *
+ * Classifies each student's slope (from the course's growth model, see
+ * growthModels.js) as growing, flat or declining, ranks students by slope
+ * per outcome or overall (mean slope across regular outcomes), and flags
+ * sharp declines: a prediction that dropped by at least `sharpDrop` since
+ * the previous Refresh Data.
+ *
+ * The previous refresh is kept in the `growth_snapshot` section of the
+ * cache, written by runFullRefresh from the cache it replaces:
+ * {
+ *   computed_at,                                  // when the previous cache was computed
+ *   students: { [studentId]: { [outcomeId]: { pl, slope } } }
+ * }
+ *
+ * Thresholds default to GROWTH_TREND_THRESHOLDS and can be changed per
+ * course from the view (localStorage `cg_growthThresholds_<courseId>`);
+ * the Outcomes view's growing / declining counts use the same values.
+ */
+
+import { logger } from '../utils/logger.js';
+import { GROWTH_TREND_THRESHOLDS } from '../config.js';
+import { isRegularOutcome } from './outcomeSyncView.js';
+
+const THRESHOLDS_KEY = (courseId) => `cg_growthThresholds_${courseId}`;
+
+const DEFAULT_GROWTH_THRESHOLDS = { growing: 0.05, declining: -0.05, sharpDrop: 0.5 };
+
+/** Trend statuses, in summary order */
+export const GROWTH_STATUSES = [
+    { id: 'growing',   label: 'Growing',   icon: '▲' },
+    { id: 'flat',      label: 'Flat',      icon: '→' },
+    { id: 'declining', label: 'Declining', icon: '▼' },
+    { id: 'ne',        label: 'No trend',  icon: '·' }
+];
+
+/**
+ * Fill in missing or invalid thresholds from the config defaults
+ * @param {Object|null} thresholds
+ * @returns {{growing: number, declining: number, sharpDrop: number}}
+ */
+export function normalizeGrowthThresholds(thresholds) {
+    const base = { ...DEFAULT_GROWTH_THRESHOLDS, ...GROWTH_TREND_THRESHOLDS };
+    const pick = (key) => {
+        const value = thresholds?.[key];
+        return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value))
+            ? Number(value)
+            : base[key];
+    };
+    const result = { growing: pick('growing'), declining: pick('declining'), sharpDrop: Math.abs(pick('sharpDrop')) };
+    if (result.declining > result.growing) {
+        logger.warn('[GrowthTrends] Declining threshold above growing threshold — using defaults');
+        return { ...result, growing: base.growing, declining: base.declining };
+    }
+    return result;
+}
+
+/**
+ * Growth thresholds for a course
+ * @param {string} courseId
+ * @returns {{growing: number, declining: number, sharpDrop: number}}
+ */
+export function getGrowthThresholds(courseId) {
+    try {
+        const stored = localStorage.getItem(THRESHOLDS_KEY(courseId));
+        return normalizeGrowthThresholds(stored ? JSON.parse(stored) : null);
+    } catch (err) {
+        logger.warn('[GrowthTrends] Could not read growth thresholds', err);
+        return normalizeGrowthThresholds(null);
+    }
+}
+
+/**
+ * Save growth thresholds for a course (null clears them)
+ * @param {string} courseId
+ * @param {Object|null} thresholds
+ */
+export function setGrowthThresholds(courseId, thresholds) {
+    try {
+        if (thresholds) localStorage.setItem(THRESHOLDS_KEY(courseId), JSON.stringify(normalizeGrowthThresholds(thresholds)));
+        else localStorage.removeItem(THRESHOLDS_KEY(courseId));
+    } catch (err) {
+        logger.warn('[GrowthTrends] Could not save growth thresholds', err);
+    }
+}
+
+/**
+ * Trend status for a slope
+ * @param {number|null} slope
+ * @param {{growing: number, declining: number}} thresholds
+ * @returns {'growing'|'flat'|'declining'|'ne'}
+ */
+export function classifySlope(slope, thresholds) {
+    if (slope === null || slope === undefined || Number.isNaN(slope)) return 'ne';
+    if (slope > thresholds.growing) return 'growing';
+    if (slope < thresholds.declining) return 'declining';
+    return 'flat';
+}
+
+/**
+ * Compact copy of the cache's predictions and slopes, for the next refresh
+ * to compare against.
+ *
+ * @param {Object} cache - Cache as read from disk (metadata) or view cache (meta)
+ * @returns {Object|null} growth_snapshot, or null when the cache has no students
+ */
+export function buildGrowthSnapshot(cache) {
+    if (!cache?.students?.length) return null;
+    const students = {};
+    cache.students.forEach(student => {
+        const entry = {};
+        (student.outcomes ?? []).forEach(o => {
+            if ((o.plPrediction ?? null) === null && (o.slope ?? null) === null) return;
+            entry[String(o.outcomeId)] = { pl: o.plPrediction ?? null, slope: o.slope ?? null };
+        });
+        students[String(student.id)] = entry;
+    });
+    return { computed_at: cache.metadata?.computedAt ?? cache.meta?.computedAt ?? null, students };
+}
+
+const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+/**
+ * Ranked rows for one outcome or for all regular outcomes.
+ *
+ * @param {Object} cache - View cache (with growth_snapshot when there was a previous refresh)
+ * @param {Object} options
+ * @param {string} [options.outcomeId='overall'] - Outcome id, or 'overall'
+ * @param {Object} options.thresholds - from getGrowthThresholds()
+ * @returns {Array<{id, name, sortableName, slope, status, prediction, previous, change, sharpDeclines}>}
+ *   slope descending (no trend last). Overall rows average the outcomes;
+ *   previous/change only cover outcomes with a prediction now and in the
+ *   snapshot (null when there are none). sharpDeclines counts outcomes that
+ *   dropped by ≥ sharpDrop.
+ */
+export function buildGrowthRows(cache, { outcomeId = 'overall', thresholds }) {
+    const outcomeIds = outcomeId === 'overall'
+        ? (cache.outcomes ?? []).filter(o => isRegularOutcome(o)).map(o => String(o.id))
+        : [String(outcomeId)];
+    const snapshot = cache.growth_snapshot?.students ?? {};
+
+    const rows = (cache.students ?? []).map(student => {
+        const previous = snapshot[String(student.id)] ?? {};
+        const per = outcomeIds.map(id => {
+            const od = student.outcomes?.find(o => String(o.outcomeId) === id);
+            const pl = od?.plPrediction ?? null;
+            const prev = previous[id]?.pl ?? null;
+            return { slope: od?.slope ?? null, pl, prev, change: pl !== null && prev !== null ? pl - prev : null };
+        });
+
+        const slope = mean(per.map(p => p.slope).filter(v => v !== null));
+        const changes = per.map(p => p.change).filter(v => v !== null);
+        const change = mean(changes);
+        const prediction = mean(per.map(p => p.pl).filter(v => v !== null));
+
+        return {
+            id: String(student.id),
+            name: student.name || student.sortableName || `Student ${student.id}`,
+            sortableName: student.sortableName || student.name || `Student ${student.id}`,
+            slope,
+            status: classifySlope(slope, thresholds),
+            prediction,
+            previous: mean(per.filter(p => p.change !== null).map(p => p.prev)),
+            change,
+            sharpDeclines: changes.filter(c => c <= -thresholds.sharpDrop).length
+        };
+    });
+
+    return rows.sort((a, b) => {
+        if (a.slope === null && b.slope === null) return a.sortableName.localeCompare(b.sortableName);
+        if (a.slope === null) return 1;
+        if (b.slope === null) return -1;
+        return b.slope - a.slope || a.sortableName.localeCompare(b.sortableName);
+    });
+}
+
+/**
+ * Count rows per status, plus sharp declines
+ * @param {Array<Object>} rows - from buildGrowthRows()
+ * @returns {{growing: number, flat: number, declining: number, ne: number, sharp: number}}
+ */
+export function summarizeGrowth(rows) {
+    const counts = { growing: 0, flat: 0, declining: 0, ne: 0, sharp: 0 };
+    rows.forEach(r => {
+        counts[r.status]++;
+        if (r.sharpDeclines > 0) counts.sharp++;
+    });
+    return counts;
+}
@@ -0,0 +1,86 @@
+// src/masteryOutlook/growthTrends.test.js
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    classifySlope, buildGrowthSnapshot, buildGrowthRows, summarizeGrowth,
+    getGrowthThresholds, setGrowthThresholds, normalizeGrowthThresholds
+} from './growthTrends.js';
+import { OUTCOMES, student, buildCache } from './tests/fixtures.js';
+
+const thresholds = { growing: 0.05, declining: -0.05, sharpDrop: 0.5 };
+
+// { [outcomeId]: [plPrediction, slope] }
+const trending = (id, sortableName, outcomes) => student(id, sortableName, Object.fromEntries(
+    Object.entries(outcomes).map(([outcomeId, [plPrediction, slope]]) => [outcomeId, { plPrediction, slope }])
+));
+
+const buildGrowthCache = () => buildCache({
+    meta: { computedAt: '2026-10-01T00:00:00Z' },
+    outcomes: [OUTCOMES.currentScore, OUTCOMES.reading, OUTCOMES.writing],
+    students: [
+        trending('1', 'Abel', { 1: [3, 0], 10: [3.5, 0.3], 11: [3.0, 0.1] }),
+        trending('2', 'Bell', { 1: [3, 0], 10: [2.0, -0.4], 11: [2.5, 0.0] }),
+        trending('3', 'Cole', { 1: [3, 0], 10: [3.0, 0.02], 11: [3.0, 0.0] }),
+        trending('4', 'Diaz', { 1: [3, 0], 10: [null, null], 11: [null, null] })
+    ],
+    growth_snapshot: {
+        computed_at: '2026-09-01T00:00:00Z',
+        students: {
+            1: { 10: { pl: 3.0, slope: 0.2 } },
+            2: { 10: { pl: 3.0, slope: 0.1 }, 11: { pl: 3.2, slope: 0.1 } }
+        }
+    }
+});
+
+describe('growth trends', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('classifies slopes against the thresholds', () => {
+        expect(classifySlope(0.06, thresholds)).toBe('growing');
+        expect(classifySlope(0.05, thresholds)).toBe('flat');
+        expect(classifySlope(-0.06, thresholds)).toBe('declining');
+        expect(classifySlope(null, thresholds)).toBe('ne');
+    });
+
+    it('ranks one outcome by slope and flags sharp drops since the snapshot', () => {
+        const rows = buildGrowthRows(buildGrowthCache(), { outcomeId: '10', thresholds });
+
+        expect(rows.map(r => [r.id, r.status])).toEqual([
+            ['1', 'growing'], ['3', 'flat'], ['2', 'declining'], ['4', 'ne']
+        ]);
+        expect(rows[0].change).toBeCloseTo(0.5);
+        expect(rows[0].sharpDeclines).toBe(0);
+        expect(rows[2]).toMatchObject({ previous: 3.0, sharpDeclines: 1 });
+        expect(rows[2].change).toBeCloseTo(-1.0);
+        expect(rows[1].change).toBeNull();
+    });
+
+    it('averages regular outcomes for the overall ranking', () => {
+        const rows = buildGrowthRows(buildGrowthCache(), { thresholds });
+        const bell = rows.find(r => r.id === '2');
+
+        expect(bell.slope).toBeCloseTo(-0.2);
+        expect(bell.prediction).toBeCloseTo(2.25);
+        expect(bell.previous).toBeCloseTo(3.1);
+        expect(bell.sharpDeclines).toBe(2);
+        expect(summarizeGrowth(rows)).toEqual({ growing: 1, flat: 1, declining: 1, ne: 1, sharp: 1 });
+    });
+
+    it('snapshots predictions and slopes from a cache file', () => {
+        const file = { ...buildGrowthCache(), metadata: { computedAt: '2026-10-01T00:00:00Z' } };
+        const snapshot = buildGrowthSnapshot(file);
+
+        expect(snapshot.computed_at).toBe('2026-10-01T00:00:00Z');
+        expect(snapshot.students['2']['10']).toEqual({ pl: 2.0, slope: -0.4 });
+        // Outcomes without a prediction or slope are left out
+        expect(snapshot.students['4']).toEqual({ 1: { pl: 3, slope: 0 } });
+        expect(buildGrowthSnapshot(null)).toBeNull();
+    });
+
+    it('stores thresholds per course and falls back to defaults', () => {
+        setGrowthThresholds('5', { growing: '0.1', declining: -0.2, sharpDrop: -1 });
+        expect(getGrowthThresholds('5')).toEqual({ growing: 0.1, declining: -0.2, sharpDrop: 1 });
+        expect(getGrowthThresholds('6')).toEqual(thresholds);
+
+        expect(normalizeGrowthThresholds({ growing: -1, declining: 1, sharpDrop: '' })).toEqual(thresholds);
+    });
+});
@@ -0,0 +1,179 @@
+// src/masteryOutlook/growthView.js
+/**
+ * Mastery Outlook — Growth view (peer of the Outcomes and Heatmap views).
+ *
+ * Ranks students by slope for one outcome or overall, labels each as
+ * growing / flat / declining, and flags sharp declines since the previous
+ * Refresh Data (see growthTrends.js). Slope thresholds and the sharp-drop
+ * size are edited in the header and saved per course in the browser.
+ */
+
+import { escapeHtml } from '../utils/html.js';
+import { isRegularOutcome } from './outcomeSyncView.js';
+import {
+    GROWTH_STATUSES, buildGrowthRows, summarizeGrowth,
+    getGrowthThresholds, setGrowthThresholds
+} from './growthTrends.js';
+import { formatSigned, formatDateShort } from './formatters.js';
+
+const STATUS_COLORS = { growing: '#0F6E56', flat: '#999', declining: '#A32D2D', ne: '#bbb' };
+
+/**
+ * Mount the Growth view.
+ *
+ * @param {Object} shell - shell handle from buildShell() in masteryOutlookView.js
+ * @param {Object} cache - enriched mastery-outlook cache
+ * @param {import('./viewRegistry.js').ViewContext} ctx
+ * @returns {import('./viewRegistry.js').ViewController}
+ */
+export function mountGrowthView(shell, cache, ctx) {
+    const containerEl = shell.viewContainers.growth;
+    let outcomeId = 'overall';
+    let filter = 'all';
+    let ascending = false;
+    let thresholds = getGrowthThresholds(ctx.courseId);
+
+    const render = () => {
+        if (!containerEl) return;
+
+        if (!cache || !cache.students || cache.students.length === 0) {
+            containerEl.innerHTML = `
+                <div class="od-heatmap-empty">
+                    <div class="he-icon">📈</div>
+                    <div class="he-title">No growth data yet</div>
+                    <div class="he-body">
+                        Hit <strong>Refresh Data</strong> to calculate Power Law
+                        predictions and student slopes.
+                    </div>
+                </div>`;
+            return;
+        }
+
+        const outcomes = (cache.outcomes ?? []).filter(o => isRegularOutcome(o));
+        if (outcomeId !== 'overall' && !outcomes.some(o => String(o.id) === outcomeId)) outcomeId = 'overall';
+
+        const allRows = buildGrowthRows(cache, { outcomeId, thresholds });
+        const counts = summarizeGrowth(allRows);
+        let rows = filter === 'all' ? allRows
+            : filter === 'sharp' ? allRows.filter(r => r.sharpDeclines > 0)
+            : allRows.filter(r => r.status === filter);
+        if (ascending) {
+            rows = [...rows.filter(r => r.slope !== null).reverse(), ...rows.filter(r => r.slope === null)];
+        }
+
+        const snapshotDate = formatDateShort(cache.growth_snapshot?.computed_at, '');
+        const compared = cache.growth_snapshot
+            ? `Changes since the refresh${snapshotDate ? ` of ${escapeHtml(snapshotDate)}` : ''}`
+            : 'No previous refresh to compare with yet';
+
+        const chip = (id, label, count) => `
+            <button class="od-ex-chip ${filter === id ? 'active' : ''}" data-filter="${id}">${label} (${count})</button>`;
+        const chips = [
+            chip('all', 'All', allRows.length),
+            ...GROWTH_STATUSES.map(s => chip(s.id, `${s.icon} ${s.label}`, counts[s.id])),
+            chip('sharp', '⚠ Sharp decline', counts.sharp)
+        ].join('');
+
+        const tableRows = rows.map((r, i) => {
+            const status = GROWTH_STATUSES.find(s => s.id === r.status);
+            const sharp = r.sharpDeclines > 0
+                ? `<span class="od-gr-sharp">⚠ ${outcomeId === 'overall' ? `${r.sharpDeclines} outcome${r.sharpDeclines === 1 ? '' : 's'}` : 'Sharp decline'}</span>`
+                : '';
+            const changeTitle = r.previous !== null && r.prediction !== null
+                ? `${r.previous.toFixed(2)} → ${r.prediction.toFixed(2)}`
+                : '';
+            return `
+                <tr class="${r.sharpDeclines > 0 ? 'od-gr-flagged' : ''}">
+                    <td class="od-center od-gr-rank">${r.slope !== null ? i + 1 : ''}</td>
+                    <td class="od-name">${escapeHtml(r.name)}</td>
+                    <td class="od-center">${formatSigned(r.slope)}</td>
+                    <td><span style="color:${STATUS_COLORS[r.status]};">${status.icon} ${status.label}</span></td>
+                    <td class="od-center">${r.prediction !== null ? r.prediction.toFixed(2) : 'NE'}</td>
+                    <td class="od-center" title="${escapeHtml(changeTitle)}">${formatSigned(r.change)} ${sharp}</td>
+                </tr>`;
+        }).join('');
+
+        containerEl.innerHTML = `
+            <div class="od-gr">
+                <div class="od-ex-panel-header">
+                    <span class="od-ex-panel-title">
+                        Growth
+                        <span class="od-ig-sub">${compared}</span>
+                    </span>
+                    <div class="od-ex-panel-actions od-gr-controls">
+                        <select class="od-wt-input" data-gr-outcome>
+                            <option value="overall" ${outcomeId === 'overall' ? 'selected' : ''}>All outcomes (mean slope)</option>
+                            ${outcomes.map(o => `
+                                <option value="${escapeHtml(String(o.id))}" ${String(o.id) === outcomeId ? 'selected' : ''}>${escapeHtml(o.title)}</option>
+                            `).join('')}
+                        </select>
+                        <label>Growing &gt; <input type="number" class="od-wt-input od-wt-num" step="0.01" data-gr-threshold="growing" value="${thresholds.growing}"></label>
+                        <label>Declining &lt; <input type="number" class="od-wt-input od-wt-num" step="0.01" data-gr-threshold="declining" value="${thresholds.declining}"></label>
+                        <label>Sharp drop ≥ <input type="number" class="od-wt-input od-wt-num" step="0.1" min="0" data-gr-threshold="sharpDrop" value="${thresholds.sharpDrop}"></label>
+                        <button class="od-ex-chip" data-action="reset-thresholds">Defaults</button>
+                    </div>
+                </div>
+                <div class="od-gr-chips">${chips}</div>
+                <div class="od-ex-panel-body">
+                    <table class="od-ex-table">
+                        <thead><tr>
+                            <th class="od-center">#</th>
+                            <th>Student</th>
+                            <th class="od-center od-gr-sort" data-action="sort" title="Reverse the ranking">Slope ${ascending ? '▲' : '▼'}</th>
+                            <th>Trend</th>
+                            <th class="od-center">Prediction</th>
+                            <th class="od-center">Since last refresh</th>
+                        </tr></thead>
+                        <tbody>${tableRows || '<tr><td colspan="6" class="od-ex-empty">No students</td></tr>'}</tbody>
+                    </table>
+                </div>
+            </div>`;
+    };
+
+    const onClick = (e) => {
+        const filterBtn = e.target.closest('[data-filter]');
+        if (filterBtn) {
+            filter = filterBtn.dataset.filter;
+            render();
+            return;
+        }
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (action === 'sort') {
+            ascending = !ascending;
+            render();
+        } else if (action === 'reset-thresholds') {
+            setGrowthThresholds(ctx.courseId, null);
+            thresholds = getGrowthThresholds(ctx.courseId);
+            render();
+        }
+    };
+
+    const onChange = (e) => {
+        const el = e.target;
+        if (el.dataset.grOutcome !== undefined) {
+            outcomeId = el.value;
+            render();
+        } else if (el.dataset.grThreshold) {
+            setGrowthThresholds(ctx.courseId, { ...thresholds, [el.dataset.grThreshold]: el.value });
+            thresholds = getGrowthThresholds(ctx.courseId);
+            render();
+        }
+    };
+
+    if (containerEl) {
+        containerEl.addEventListener('click', onClick);
+        containerEl.addEventListener('change', onChange);
+    }
+
+    render();
+
+    return {
+        teardown: () => {
+            if (!containerEl) return;
+            containerEl.removeEventListener('click', onClick);
+            containerEl.removeEventListener('change', onChange);
+            containerEl.innerHTML = '';
+        },
+        refresh: render,
+    };
+}
@@ -0,0 +1,177 @@
+// src/masteryOutlook/heatmapModel.js
+/**
+ * Heatmap data model — shared by the in-page grid and the full-screen pop-out
+ *
+ * prepareHeatmapData() does everything that depends on the cache, threshold
+ * and section names once, and returns plain JSON: the pop-out embeds it and
+ * only re-runs arrangeHeatmap() (filter → group → sort, embedded from its
+ * source) on its own controls, so both views show the same rows, groups and
+ * averages.
+ *
+ * View options (HEATMAP_DEFAULT_VIEW):
+ *   groupBy        'none' | 'section' | 'intervention'
+ *   minBelow       only students below threshold on ≥ N outcomes (0 = everyone)
+ *   collapseGroups one column per Canvas outcome group (mean of its predictions)
+ *   freezeNames    keep the name column in view while scrolling
+ *   sort           { column: 'name' | columnId, direction: 'asc' | 'desc' }
+ *
+ * Pure functions — no DOM, no Canvas API.
+ */
+
+import { AVG_OUTCOME_NAME, EXCLUDED_OUTCOME_KEYWORDS } from '../config.js';
+
+/** Students below threshold on at least this many outcomes are in the intervention group */
+export const INTERVENTION_MIN_OUTCOMES = 3;
+
+export const HEATMAP_DEFAULT_VIEW = {
+    groupBy: 'none',
+    minBelow: 0,
+    collapseGroups: false,
+    freezeNames: true,
+    sort: { column: 'name', direction: 'asc' }
+};
+
+const INTERVENTION_GROUPS = {
+    intervention: { key: 'intervention', label: `Intervention (below on ${INTERVENTION_MIN_OUTCOMES}+ outcomes)`, order: 0 },
+    watch:        { key: 'watch',        label: 'Watch (below on 1–2 outcomes)', order: 1 },
+    on_track:     { key: 'on_track',     label: 'On track', order: 2 },
+    ne:           { key: 'ne',           label: 'Not enough evidence', order: 3 }
+};
+
+/**
+ * Check if outcome should be excluded from heatmap
+ * @param {string} outcomeTitle
+ * @returns {boolean}
+ */
+export function isHeatmapExcludedOutcome(outcomeTitle) {
+    return outcomeTitle === AVG_OUTCOME_NAME ||
+           EXCLUDED_OUTCOME_KEYWORDS.some(kw => outcomeTitle.includes(kw));
+}
+
+/**
+ * Cell value for a student × outcome
+ * @param {Object|undefined} outcomeData
+ * @returns {{value: number|null, status: 'ok'|'NE'}}
+ */
+function outcomeCell(outcomeData) {
+    const value = outcomeData && outcomeData.status !== 'NE' ? outcomeData.plPrediction ?? null : null;
+    return { value, status: value === null ? 'NE' : 'ok' };
+}
+
+/**
+ * Everything the heatmap renders, in plain JSON.
+ *
+ * @param {Object} cache - Enriched view cache
+ * @param {Object} [options]
+ * @param {number} [options.threshold=2.2] - Re-teach threshold
+ * @param {Object} [options.sectionNames] - { [sectionId]: name }
+ * @returns {{outcomeColumns: Array, groupColumns: Array, rows: Array}}
+ *   columns: { id, title, outcomeIds }
+ *   rows: { id, name, sortableName, section: {key, label}, intervention: {key, label, order},
+ *           belowCount, cells: { [columnId]: {value, status} } }
+ */
+export function prepareHeatmapData(cache, { threshold = 2.2, sectionNames = {} } = {}) {
+    const outcomes = (cache.outcomes ?? [])
+        .filter(o => !isHeatmapExcludedOutcome(o.title))
+        .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0));
+
+    const outcomeColumns = outcomes.map(o => ({ id: String(o.id), title: o.title, outcomeIds: [String(o.id)] }));
+
+    // Canvas outcome groups, in the order their first outcome appears
+    const groupColumns = [];
+    const groupById = new Map();
+    outcomes.forEach(o => {
+        const groupId = o.groupId ?? 'ungrouped';
+        if (!groupById.has(groupId)) {
+            const column = { id: `group:${groupId}`, title: o.groupTitle ?? 'Ungrouped', outcomeIds: [] };
+            groupById.set(groupId, column);
+            groupColumns.push(column);
+        }
+        groupById.get(groupId).outcomeIds.push(String(o.id));
+    });
+
+    const rows = (cache.students ?? []).map(student => {
+        const cells = {};
+        outcomeColumns.forEach(col => {
+            cells[col.id] = outcomeCell(student.outcomes?.find(o => String(o.outcomeId) === col.id));
+        });
+        groupColumns.forEach(col => {
+            const values = col.outcomeIds.map(id => cells[id].value).filter(v => v !== null);
+            const value = values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+            cells[col.id] = { value, status: value === null ? 'NE' : 'ok' };
+        });
+
+        const scored = outcomeColumns.filter(col => cells[col.id].value !== null);
+        const belowCount = scored.filter(col => cells[col.id].value < threshold).length;
+        const intervention = scored.length === 0 ? INTERVENTION_GROUPS.ne
+            : belowCount >= INTERVENTION_MIN_OUTCOMES ? INTERVENTION_GROUPS.intervention
+            : belowCount > 0 ? INTERVENTION_GROUPS.watch
+            : INTERVENTION_GROUPS.on_track;
+
+        const sectionKey = student.sectionId != null ? String(student.sectionId) : '';
+        return {
+            id: String(student.id),
+            name: student.name || student.sortableName || `Student ${student.id}`,
+            sortableName: student.sortableName || student.name || `Student ${student.id}`,
+            section: {
+                key: sectionKey,
+                label: sectionNames[sectionKey] ?? (sectionKey ? `Section ${sectionKey}` : 'No section')
+            },
+            intervention,
+            belowCount,
+            cells
+        };
+    });
+
+    return { outcomeColumns, groupColumns, rows };
+}
+
+/**
+ * Apply the view options: columns, filter, grouping and sort.
+ *
+ * The full-screen pop-out embeds this function's source (see
+ * masteryOutlookHeatmapFullScreen.js), so it must not use anything outside its
+ * own body: no imports, module constants or helpers, and no object spread
+ * (the es2017 build turns that into a module-level helper).
+ *
+ * @param {Object} data - from prepareHeatmapData()
+ * @param {Object} [view] - see HEATMAP_DEFAULT_VIEW
+ * @returns {{columns: Array, groups: Array<{key, label, rows}>, sort: Object, shownCount: number, totalCount: number}}
+ *   groups has a single unlabelled group when groupBy is 'none'; sort falls
+ *   back to name when its column is not shown, and NE cells sort last
+ */
+export function arrangeHeatmap(data, view = {}) {
+    const nameSort = { column: 'name', direction: 'asc' };
+    const { groupBy = 'none', minBelow = 0, collapseGroups = false, sort = nameSort } = view;
+    const columns = collapseGroups ? data.groupColumns : data.outcomeColumns;
+    const validSort = sort.column === 'name' || columns.some(c => c.id === sort.column)
+        ? sort
+        : nameSort;
+
+    const dir = validSort.direction === 'desc' ? -1 : 1;
+    const filtered = data.rows.filter(r => r.belowCount >= (minBelow || 0));
+    const sorted = filtered.slice().sort((a, b) => {
+        if (validSort.column === 'name') return dir * a.sortableName.localeCompare(b.sortableName);
+        const av = a.cells[validSort.column]?.value ?? null;
+        const bv = b.cells[validSort.column]?.value ?? null;
+        if (av === null && bv === null) return 0;
+        if (av === null) return 1;
+        if (bv === null) return -1;
+        return dir * (av - bv);
+    });
+
+    let groups;
+    if (groupBy === 'section' || groupBy === 'intervention') {
+        const byKey = new Map();
+        sorted.forEach(row => {
+            const g = row[groupBy];
+            if (!byKey.has(g.key)) byKey.set(g.key, { key: g.key, label: g.label, order: g.order ?? 0, rows: [] });
+            byKey.get(g.key).rows.push(row);
+        });
+        groups = [...byKey.values()].sort((a, b) => a.order - b.order || a.label.localeCompare(b.label));
+    } else {
+        groups = [{ key: 'all', label: null, rows: sorted }];
+    }
+
+    return { columns, groups, sort: validSort, shownCount: filtered.length, totalCount: data.rows.length };
+}
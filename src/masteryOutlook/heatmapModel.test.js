@@ -0,0 +1,57 @@
+// src/masteryOutlook/heatmapModel.test.js
+import { describe, it, expect } from 'vitest';
+import { prepareHeatmapData, arrangeHeatmap, HEATMAP_DEFAULT_VIEW } from './heatmapModel.js';
+import { buildCache } from './tests/fixtures.js';
+
+describe('heatmap model', () => {
+    it('counts outcomes below threshold and assigns intervention groups', () => {
+        const data = prepareHeatmapData(buildCache(), { threshold: 2.2, sectionNames: { 100: 'Period 1' } });
+
+        expect(data.outcomeColumns.map(c => c.id)).toEqual(['10', '11', '12', '13']);
+        expect(data.rows.map(r => [r.belowCount, r.intervention.key])).toEqual([
+            [3, 'intervention'],
+            [1, 'watch'],
+            [0, 'on_track'],
+            [0, 'ne']
+        ]);
+        expect(data.rows[0].section.label).toBe('Period 1');
+        expect(data.rows[1].section.label).toBe('Section 200');
+    });
+
+    it('averages outcome-group columns over scored outcomes', () => {
+        const data = prepareHeatmapData(buildCache());
+
+        expect(data.groupColumns.map(c => [c.id, c.title, c.outcomeIds])).toEqual([
+            ['group:5', 'Literacy', ['10', '11']],
+            ['group:6', 'Data', ['12']],
+            ['group:ungrouped', 'Ungrouped', ['13']]
+        ]);
+        expect(data.rows[0].cells['group:5'].value).toBeCloseTo(1.25);
+        expect(data.rows[3].cells['group:5']).toEqual({ value: null, status: 'NE' });
+    });
+
+    it('filters by minBelow and groups in a fixed order', () => {
+        const data = prepareHeatmapData(buildCache(), { threshold: 2.2 });
+
+        const filtered = arrangeHeatmap(data, { ...HEATMAP_DEFAULT_VIEW, minBelow: 1 });
+        expect(filtered.groups[0].rows.map(r => r.id)).toEqual(['2', '1']);
+        expect([filtered.shownCount, filtered.totalCount]).toEqual([2, 4]);
+
+        const grouped = arrangeHeatmap(data, { ...HEATMAP_DEFAULT_VIEW, groupBy: 'intervention' });
+        expect(grouped.groups.map(g => g.key)).toEqual(['intervention', 'watch', 'on_track', 'ne']);
+
+        const bySection = arrangeHeatmap(data, { ...HEATMAP_DEFAULT_VIEW, groupBy: 'section' });
+        expect(bySection.groups.map(g => g.rows.map(r => r.id))).toEqual([['3', '1'], ['2', '4']]);
+    });
+
+    it('sorts NE last and falls back to name when the sort column is hidden', () => {
+        const data = prepareHeatmapData(buildCache());
+
+        const byReading = arrangeHeatmap(data, { ...HEATMAP_DEFAULT_VIEW, sort: { column: '10', direction: 'desc' } });
+        expect(byReading.groups[0].rows.map(r => r.id)).toEqual(['3', '2', '1', '4']);
+
+        const collapsed = arrangeHeatmap(data, { ...HEATMAP_DEFAULT_VIEW, collapseGroups: true, sort: { column: '10', direction: 'desc' } });
+        expect(collapsed.sort).toEqual({ column: 'name', direction: 'asc' });
+        expect(collapsed.columns.map(c => c.id)).toEqual(['group:5', 'group:6', 'group:ungrouped']);
+    });
+});
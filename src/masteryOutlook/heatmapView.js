@@ -6,14 +6,17 @@
  * the "open in full screen" button. Conforms to the view-registry contract
  * (see viewRegistry.js): `mount(shell, cache, ctx) → { teardown, refresh }`.
  *
- * Color scheme is read from `ctx.getColorScheme()` on every render so that
- * the host's color-scheme toggle can call `refresh()` and pick up the change
- * without re-mounting the view.
+ * Color scheme and threshold are read from ctx on every render so that the
+ * host's toggles can call `refresh()` and pick up the change without
+ * re-mounting the view. Grouping / filter / sort choices live for the mount
+ * and are handed to the full-screen pop-out so it opens matching the grid.
  */
 
 import { logger } from '../utils/logger.js';
 import { buildHeatmapGrid } from './masteryOutlookHeatmap.js';
 import { openFullScreenHeatmap } from './masteryOutlookHeatmapFullScreen.js';
+import { HEATMAP_DEFAULT_VIEW } from './heatmapModel.js';
+import { fetchCourseSections } from '../services/enrollmentService.js';
 
 /**
  * Mount the heatmap view.
@@ -24,6 +27,10 @@ import { openFullScreenHeatmap } from './masteryOutlookHeatmapFullScreen.js';
  * @returns {import('./viewRegistry.js').ViewController}
  */
 export function mountHeatmapView(shell, cache, ctx) {
+    let view = { ...HEATMAP_DEFAULT_VIEW };
+    let sectionNames = {};
+    let tornDown = false;
+
     const render = () => {
         shell.heatmapView.innerHTML = '';
 
@@ -46,9 +53,19 @@ export function mountHeatmapView(shell, cache, ctx) {
             cellWidth: 80,
             cellHeight: 28,
             colorScheme,
-            onFullScreen: () => {
+            threshold: ctx.getThreshold(),
+            sectionNames,
+            view,
+            onViewChange: (next) => { view = next; },
+            onFullScreen: (current) => {
                 const courseName = window.ENV?.COURSE?.name || 'Course';
-                openFullScreenHeatmap(cache, { courseName, colorScheme: ctx.getColorScheme() });
+                openFullScreenHeatmap(cache, {
+                    courseName,
+                    colorScheme: ctx.getColorScheme(),
+                    threshold: ctx.getThreshold(),
+                    sectionNames,
+                    view: current
+                });
             }
         });
 
@@ -58,8 +75,17 @@ export function mountHeatmapView(shell, cache, ctx) {
 
     render();
 
+    // Section names for "Group by section" — rows show "Section <id>" until they arrive
+    fetchCourseSections(ctx.courseId, ctx.apiClient)
+        .then(sections => {
+            if (tornDown || sections.length === 0) return;
+            sectionNames = Object.fromEntries(sections.map(s => [String(s.id), s.name]));
+            if (view.groupBy === 'section') render();
+        });
+
     return {
         teardown: () => {
+            tornDown = true;
             shell.heatmapView.innerHTML = '';
         },
         refresh: render,
@@ -0,0 +1,162 @@
+// src/masteryOutlook/interventionGroupService.js
+/**
+ * Intervention groups → Canvas
+ *
+ * Pushes the saved re-teach groups (see interventionGroups.js) to Canvas,
+ * either as course groups in one "Re-teach groups" group set, or as one
+ * unpublished assignment per group assigned only to its members. Canvas ids
+ * are recorded on the groups, so pushing again updates the same groups and
+ * assignments instead of creating new ones.
+ *
+ * Groups removed in the view are queued in `state.retired`;
+ * removeRetiredGroups() deletes their Canvas group and assignment. An
+ * emptied group's assignment is deleted on the next assignment push.
+ *
+ * All functions update `state` in place as they go and carry on past a
+ * failing group, so the caller can save whatever was done even when some
+ * requests fail.
+ */
+
+import { logger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
+import { createGroupCategory, createGroup, updateGroup, deleteGroup } from '../services/courseGroupService.js';
+import { createStudentAssignment, updateStudentAssignment, deleteStudentAssignment } from '../services/assignmentService.js';
+
+export const GROUP_SET_NAME = 'Re-teach groups';
+
+/**
+ * Run a Canvas delete, treating an already deleted item as done
+ * @private
+ */
+async function deleteIfPresent(remove) {
+    try {
+        await remove();
+    } catch (err) {
+        if (err.statusCode !== 404) throw err;
+    }
+}
+
+/**
+ * Delete the Canvas group and assignment of each retired group. Entries that
+ * fail stay in `state.retired` to be retried on the next save.
+ *
+ * @param {string} courseId
+ * @param {Object} state - normalized intervention_groups (mutated: retired)
+ * @param {Object} apiClient
+ * @returns {Promise<{removed: number, failed: number}>}
+ */
+export async function removeRetiredGroups(courseId, state, apiClient) {
+    const remaining = [];
+
+    for (const entry of state.retired) {
+        try {
+            if (entry.canvas_group_id) {
+                await deleteIfPresent(() => deleteGroup(entry.canvas_group_id, apiClient));
+                entry.canvas_group_id = null;
+            }
+            if (entry.assignment_id) {
+                await deleteIfPresent(() => deleteStudentAssignment(courseId, entry.assignment_id, apiClient));
+                entry.assignment_id = null;
+            }
+        } catch (err) {
+            remaining.push(entry);
+            logger.error(`[InterventionGroups] Could not remove "${entry.name}" from Canvas`, err);
+        }
+    }
+
+    const result = { removed: state.retired.length - remaining.length, failed: remaining.length };
+    state.retired = remaining;
+    logger.info(`[InterventionGroups] Removed groups: ${result.removed} removed, ${result.failed} failed`);
+    return result;
+}
+
+/**
+ * Create or update one Canvas course group per intervention group.
+ *
+ * @param {string} courseId
+ * @param {Object} state - normalized intervention_groups (mutated: group_category_id, canvas_group_id)
+ * @param {Object} apiClient
+ * @returns {Promise<{created: number, updated: number, failed: number}>}
+ */
+export async function pushCourseGroups(courseId, state, apiClient) {
+    const result = { created: 0, updated: 0, failed: 0 };
+
+    for (const group of state.groups) {
+        try {
+            if (group.canvas_group_id) {
+                await updateGroup(group.canvas_group_id, { name: group.name, userIds: group.student_ids }, apiClient);
+                result.updated++;
+            } else {
+                if (!state.group_category_id) {
+                    state.group_category_id = await createGroupCategory(courseId, GROUP_SET_NAME, apiClient);
+                }
+                group.canvas_group_id = await createGroup(state.group_category_id, group.name, apiClient);
+                await updateGroup(group.canvas_group_id, { name: group.name, userIds: group.student_ids }, apiClient);
+                result.created++;
+            }
+        } catch (err) {
+            result.failed++;
+            logger.error(`[InterventionGroups] Could not push group "${group.name}"`, err);
+        }
+    }
+
+    logger.info(`[InterventionGroups] Course groups: ${result.created} created, ${result.updated} updated, ${result.failed} failed`);
+    return result;
+}
+
+/**
+ * Create or update one assignment per intervention group, assigned only to
+ * the group's members. A group that has been emptied has its assignment
+ * deleted; one pushed without an override id (it could not be reassigned)
+ * has it replaced.
+ *
+ * @param {string} courseId
+ * @param {Object} state - normalized intervention_groups (mutated: assignment_id, override_id)
+ * @param {Object} apiClient
+ * @param {Map<string, string>} outcomeTitles - outcome id → title, for the description
+ * @returns {Promise<{created: number, updated: number, failed: number}>}
+ */
+export async function pushGroupAssignments(courseId, state, apiClient, outcomeTitles) {
+    const result = { created: 0, updated: 0, failed: 0 };
+
+    for (const group of state.groups) {
+        try {
+            if (group.assignment_id && (!group.override_id || group.student_ids.length === 0)) {
+                await deleteIfPresent(() => deleteStudentAssignment(courseId, group.assignment_id, apiClient));
+                group.assignment_id = null;
+                group.override_id = null;
+                if (group.student_ids.length === 0) result.updated++;
+            }
+            if (group.student_ids.length === 0) continue;
+
+            if (group.assignment_id) {
+                await updateStudentAssignment(courseId, group.assignment_id, group.override_id, group.student_ids, apiClient);
+                result.updated++;
+            } else {
+                const outcomes = group.outcome_ids.map(id => outcomeTitles.get(id)).filter(Boolean);
+                const description = outcomes.length
+                    ? `<p>Re-teach: ${outcomes.map(t => escapeHtml(t)).join(', ')}</p>`
+                    : '';
+                const { assignmentId, overrideId } = await createStudentAssignment(courseId, apiClient, {
+                    name: `Re-teach: ${group.name}`,
+                    description,
+                    studentIds: group.student_ids
+                });
+                if (!overrideId) {
+                    // Without its override the assignment cannot be reassigned later
+                    await deleteIfPresent(() => deleteStudentAssignment(courseId, assignmentId, apiClient));
+                    throw new Error(`Canvas returned no assignment override for "${group.name}"`);
+                }
+                group.assignment_id = assignmentId;
+                group.override_id = overrideId;
+                result.created++;
+            }
+        } catch (err) {
+            result.failed++;
+            logger.error(`[InterventionGroups] Could not push assignment for "${group.name}"`, err);
+        }
+    }
+
+    logger.info(`[InterventionGroups] Assignments: ${result.created} created, ${result.updated} updated, ${result.failed} failed`);
+    return result;
+}
@@ -0,0 +1,73 @@
+// src/masteryOutlook/interventionGroupService.test.js
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { pushGroupAssignments, removeRetiredGroups } from './interventionGroupService.js';
+import { normalizeInterventionGroups, retireGroups } from './interventionGroups.js';
+import { CanvasApiError } from '../utils/errorHandler.js';
+
+const group = (id, studentIds, ids = {}) => ({ id, name: `Group ${id}`, outcome_ids: [], student_ids: studentIds, ...ids });
+
+function fakeApi({ overrides = [{ id: 70 }] } = {}) {
+    return {
+        post: vi.fn(() => Promise.resolve({ id: 500, overrides })),
+        get: vi.fn(() => Promise.resolve([])),
+        put: vi.fn(() => Promise.resolve({})),
+        delete: vi.fn(() => Promise.resolve({}))
+    };
+}
+
+describe('intervention groups in Canvas', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('deletes the Canvas group and assignment of removed groups, keeping failures for a retry', async () => {
+        const state = normalizeInterventionGroups({
+            groups: [
+                group('g1', ['1'], { canvas_group_id: '11', assignment_id: '21', override_id: '31' }),
+                group('g2', ['2'], { canvas_group_id: '12' }),
+                group('g3', ['3'])
+            ]
+        });
+        retireGroups(state, state.groups);
+        expect(state.retired.map(r => r.name)).toEqual(['Group g1', 'Group g2']);
+
+        const api = fakeApi();
+        api.delete.mockImplementation((url) => url.endsWith('/groups/12')
+            ? Promise.reject(new CanvasApiError('HTTP 500: Server Error', 500, ''))
+            : Promise.reject(new CanvasApiError('HTTP 404: Not Found', 404, '')));
+
+        expect(await removeRetiredGroups('9', state, api)).toEqual({ removed: 1, failed: 1 });
+        expect(api.delete.mock.calls.map(c => c[0])).toEqual([
+            '/api/v1/groups/11', '/api/v1/courses/9/assignments/21', '/api/v1/groups/12'
+        ]);
+        expect(state.retired).toEqual([{ name: 'Group g2', canvas_group_id: '12', assignment_id: null }]);
+    });
+
+    it('deletes the assignment of an emptied group instead of skipping it', async () => {
+        const state = normalizeInterventionGroups({
+            groups: [group('g1', [], { assignment_id: '21', override_id: '31' })]
+        });
+        const api = fakeApi();
+
+        await pushGroupAssignments('9', state, api, new Map());
+        expect(api.delete).toHaveBeenCalledWith('/api/v1/courses/9/assignments/21', {}, 'deleteStudentAssignment');
+        expect(api.put).not.toHaveBeenCalled();
+        expect(state.groups[0]).toMatchObject({ assignment_id: null, override_id: null });
+    });
+
+    it('treats a missing override id as a failure and does not keep the assignment', async () => {
+        const state = normalizeInterventionGroups({ groups: [group('g1', ['1'])] });
+        const api = fakeApi({ overrides: [] });
+
+        expect(await pushGroupAssignments('9', state, api, new Map())).toEqual({ created: 0, updated: 0, failed: 1 });
+        expect(api.delete).toHaveBeenCalledWith('/api/v1/courses/9/assignments/500', {}, 'deleteStudentAssignment');
+        expect(state.groups[0].assignment_id).toBeNull();
+
+        // Pushing again reassigns the same assignment through its override
+        const retry = fakeApi();
+        await pushGroupAssignments('9', state, retry, new Map());
+        await pushGroupAssignments('9', state, retry, new Map());
+        expect(retry.post).toHaveBeenCalledTimes(1);
+        expect(retry.put).toHaveBeenCalledWith('/api/v1/courses/9/assignments/500/overrides/70', expect.anything(), {}, 'updateStudentAssignment');
+    });
+});
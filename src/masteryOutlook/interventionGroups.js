@@ -0,0 +1,199 @@
+// src/masteryOutlook/interventionGroups.js
+/**
+ * Intervention groups — model for the Mastery Outlook "Groups" view
+ *
+ * Students are profiled by which regular outcomes they are below the
+ * re-teach threshold on. proposeInterventionGroups() clusters them greedily:
+ * take the outcome the most ungrouped students are below on, put those
+ * students together (weakest first, split into near-equal groups of at most
+ * INTERVENTION_GROUP_SIZE), and repeat until every struggling student is in
+ * a group. A group's outcomes are the ones all of its members are below on,
+ * so they update as the teacher moves students between groups.
+ *
+ * Saved to the `intervention_groups` section of the mastery outlook cache:
+ * {
+ *   threshold,
+ *   groups: [{ id, name, outcome_ids, student_ids,
+ *              canvas_group_id, assignment_id, override_id }],
+ *   group_category_id,
+ *   retired: [{ name, canvas_group_id, assignment_id }],  // removed from Canvas on the next save
+ *   updated_at
+ * }
+ *
+ * Pure functions — no DOM, no Canvas API (see interventionGroupService.js).
+ */
+
+import { INTERVENTION_GROUP_SIZE } from '../config.js';
+import { isRegularOutcome } from './outcomeSyncView.js';
+
+/**
+ * Normalize a saved (or missing) intervention_groups section
+ * @param {Object|null} saved
+ * @returns {{threshold: number|null, groups: Array<Object>, group_category_id: string|null,
+ *   retired: Array<Object>, updated_at: string|null}}
+ */
+export function normalizeInterventionGroups(saved) {
+    return {
+        threshold: saved?.threshold ?? null,
+        groups: (saved?.groups ?? []).map(g => ({
+            id: String(g.id),
+            name: g.name ?? '',
+            outcome_ids: (g.outcome_ids ?? []).map(String),
+            student_ids: (g.student_ids ?? []).map(String),
+            canvas_group_id: g.canvas_group_id ?? null,
+            assignment_id: g.assignment_id ?? null,
+            override_id: g.override_id ?? null
+        })),
+        group_category_id: saved?.group_category_id ?? null,
+        retired: (saved?.retired ?? []).map(r => ({
+            name: r.name ?? '',
+            canvas_group_id: r.canvas_group_id ?? null,
+            assignment_id: r.assignment_id ?? null
+        })),
+        updated_at: saved?.updated_at ?? null
+    };
+}
+
+/**
+ * Queue the Canvas group and assignment of removed or replaced groups for
+ * deletion (see removeRetiredGroups in interventionGroupService.js), so they
+ * are not left behind for students who are no longer in the group.
+ *
+ * @param {Object} state - normalized intervention_groups (mutated: retired)
+ * @param {Array<Object>} groups - Groups being removed
+ */
+export function retireGroups(state, groups) {
+    groups.forEach(g => {
+        if (!g.canvas_group_id && !g.assignment_id) return;
+        state.retired.push({ name: g.name, canvas_group_id: g.canvas_group_id, assignment_id: g.assignment_id });
+    });
+}
+
+/**
+ * Per-student outcomes below the threshold
+ *
+ * @param {Object} cache - View cache
+ * @param {number} threshold - Re-teach threshold
+ * @returns {Map<string, {id: string, name: string, sortableName: string, below: Map<string, number>}>}
+ *   below maps outcome id → prediction; every student in the cache is present
+ */
+export function buildStudentProfiles(cache, threshold) {
+    const outcomeIds = new Set((cache.outcomes ?? []).filter(o => isRegularOutcome(o)).map(o => String(o.id)));
+    const profiles = new Map();
+
+    (cache.students ?? []).forEach(student => {
+        const below = new Map();
+        (student.outcomes ?? []).forEach(o => {
+            const id = String(o.outcomeId);
+            if (outcomeIds.has(id) && o.plPrediction !== null && o.plPrediction !== undefined && o.plPrediction < threshold) {
+                below.set(id, o.plPrediction);
+            }
+        });
+        profiles.set(String(student.id), {
+            id: String(student.id),
+            name: student.name || student.sortableName || `Student ${student.id}`,
+            sortableName: student.sortableName || student.name || `Student ${student.id}`,
+            below
+        });
+    });
+
+    return profiles;
+}
+
+/**
+ * Outcomes every member of a group is below on
+ * @param {Array<string>} studentIds
+ * @param {Map<string, Object>} profiles - from buildStudentProfiles()
+ * @returns {Array<string>} outcome ids (empty for an empty group)
+ */
+export function sharedBelowOutcomes(studentIds, profiles) {
+    const members = studentIds.map(id => profiles.get(id)).filter(Boolean);
+    if (members.length === 0) return [];
+    return [...members[0].below.keys()].filter(id => members.every(m => m.below.has(id)));
+}
+
+/**
+ * Next unused group id ("g1", "g2", …)
+ * @param {Array<Object>} groups
+ * @returns {string}
+ */
+export function nextGroupId(groups) {
+    const used = new Set(groups.map(g => g.id));
+    let n = groups.length + 1;
+    while (used.has(`g${n}`)) n++;
+    return `g${n}`;
+}
+
+/**
+ * Propose re-teach groups for the students in the cache.
+ *
+ * @param {Object} cache - View cache
+ * @param {Object} options
+ * @param {number} options.threshold - Re-teach threshold
+ * @param {number} [options.maxSize=INTERVENTION_GROUP_SIZE] - Largest group
+ * @returns {Array<Object>} groups in the saved shape, without Canvas ids
+ */
+export function proposeInterventionGroups(cache, { threshold, maxSize = INTERVENTION_GROUP_SIZE }) {
+    const size = Math.max(1, Math.floor(maxSize) || 1);
+    const profiles = buildStudentProfiles(cache, threshold);
+    const order = new Map((cache.outcomes ?? []).map((o, i) => [String(o.id), o.displayOrder ?? i]));
+    const titles = new Map((cache.outcomes ?? []).map(o => [String(o.id), o.title]));
+
+    const ungrouped = new Set([...profiles.values()].filter(p => p.below.size > 0).map(p => p.id));
+    const groups = [];
+
+    while (ungrouped.size > 0) {
+        // Outcome the most ungrouped students are below on (ties: display order)
+        const counts = new Map();
+        ungrouped.forEach(id => profiles.get(id).below.forEach((_, outcomeId) => {
+            counts.set(outcomeId, (counts.get(outcomeId) ?? 0) + 1);
+        }));
+        const [focus] = [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || (order.get(a[0]) ?? 0) - (order.get(b[0]) ?? 0))[0];
+
+        const members = [...ungrouped]
+            .filter(id => profiles.get(id).below.has(focus))
+            .sort((a, b) => profiles.get(a).below.get(focus) - profiles.get(b).below.get(focus)
+                || profiles.get(a).sortableName.localeCompare(profiles.get(b).sortableName));
+        members.forEach(id => ungrouped.delete(id));
+
+        // Near-equal chunks of at most `size`, weakest students first
+        const chunkCount = Math.ceil(members.length / size);
+        const base = Math.floor(members.length / chunkCount);
+        const extra = members.length % chunkCount;
+        let start = 0;
+        for (let i = 0; i < chunkCount; i++) {
+            const length = base + (i < extra ? 1 : 0);
+            const studentIds = members.slice(start, start + length);
+            start += length;
+            groups.push({
+                id: `g${groups.length + 1}`,
+                name: chunkCount > 1 ? `${titles.get(focus)} ${i + 1}` : titles.get(focus),
+                outcome_ids: sharedBelowOutcomes(studentIds, profiles),
+                student_ids: studentIds,
+                canvas_group_id: null,
+                assignment_id: null,
+                override_id: null
+            });
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Move a student to another group (or out of every group)
+ *
+ * @param {Array<Object>} groups
+ * @param {string} studentId
+ * @param {string|null} toGroupId - null removes the student from all groups
+ * @returns {Array<Object>} new groups array; unchanged groups are reused
+ */
+export function moveStudent(groups, studentId, toGroupId) {
+    const id = String(studentId);
+    return groups.map(g => {
+        const has = g.student_ids.includes(id);
+        if (g.id === toGroupId) return has ? g : { ...g, student_ids: [...g.student_ids, id] };
+        return has ? { ...g, student_ids: g.student_ids.filter(s => s !== id) } : g;
+    });
+}
@@ -0,0 +1,72 @@
+// src/masteryOutlook/interventionGroups.test.js
+import { describe, it, expect } from 'vitest';
+import {
+    proposeInterventionGroups, moveStudent, sharedBelowOutcomes,
+    buildStudentProfiles, normalizeInterventionGroups, nextGroupId
+} from './interventionGroups.js';
+import { OUTCOMES, student, buildCache } from './tests/fixtures.js';
+
+const buildInterventionCache = () => buildCache({
+    outcomes: [OUTCOMES.currentScore, OUTCOMES.reading, OUTCOMES.writing, OUTCOMES.graphing],
+    students: [
+        student('1', 'Abel', { 1: 1.0, 10: 1.5, 11: 1.8, 12: 3.0 }),
+        student('2', 'Bell', { 1: 1.0, 10: 2.0, 11: 3.0, 12: 3.0 }),
+        student('3', 'Cole', { 1: 1.0, 10: 1.0, 11: 2.0, 12: 3.0 }),
+        student('4', 'Diaz', { 1: 1.0, 10: 3.0, 11: 3.0, 12: 1.5 }),
+        student('5', 'Ede',  { 1: 1.0, 10: 3.0, 11: 3.0, 12: 3.0 }),
+        student('6', 'Fox',  { 1: 1.0, 10: null, 11: null, 12: null })
+    ]
+});
+
+describe('intervention groups', () => {
+    it('profiles students by the regular outcomes they are below on', () => {
+        const profiles = buildStudentProfiles(buildInterventionCache(), 2.2);
+
+        expect([...profiles.get('1').below.keys()]).toEqual(['10', '11']);
+        expect(profiles.get('5').below.size).toBe(0);
+        expect(profiles.get('6').below.size).toBe(0);
+    });
+
+    it('clusters on the most shared outcome, weakest first, in near-equal groups', () => {
+        const cache = buildInterventionCache();
+
+        const groups = proposeInterventionGroups(cache, { threshold: 2.2, maxSize: 6 });
+        expect(groups.map(g => [g.name, g.student_ids, g.outcome_ids])).toEqual([
+            ['Reading', ['3', '1', '2'], ['10']],
+            ['Graphing', ['4'], ['12']]
+        ]);
+
+        const small = proposeInterventionGroups(cache, { threshold: 2.2, maxSize: 2 });
+        expect(small.map(g => [g.id, g.name, g.student_ids])).toEqual([
+            ['g1', 'Reading 1', ['3', '1']],
+            ['g2', 'Reading 2', ['2']],
+            ['g3', 'Graphing', ['4']]
+        ]);
+    });
+
+    it('moves students between groups and recomputes shared outcomes', () => {
+        const cache = buildInterventionCache();
+        const profiles = buildStudentProfiles(cache, 2.2);
+        const groups = proposeInterventionGroups(cache, { threshold: 2.2 });
+
+        const moved = moveStudent(groups, '2', 'g2');
+        expect(moved[0].student_ids).toEqual(['3', '1']);
+        expect(moved[1].student_ids).toEqual(['4', '2']);
+        expect(sharedBelowOutcomes(moved[0].student_ids, profiles)).toEqual(['10', '11']);
+        expect(sharedBelowOutcomes(moved[1].student_ids, profiles)).toEqual([]);
+
+        const removed = moveStudent(moved, '4', null);
+        expect(removed[1].student_ids).toEqual(['2']);
+        expect(removed[0]).toBe(moved[0]);
+    });
+
+    it('normalizes saved groups and picks unused ids', () => {
+        expect(normalizeInterventionGroups(null)).toEqual({
+            threshold: null, groups: [], group_category_id: null, retired: [], updated_at: null
+        });
+
+        const saved = normalizeInterventionGroups({ groups: [{ id: 'g2', name: 'A', student_ids: [7] }] });
+        expect(saved.groups[0]).toMatchObject({ id: 'g2', student_ids: ['7'], outcome_ids: [], canvas_group_id: null });
+        expect(nextGroupId(saved.groups)).toBe('g3');
+    });
+});
@@ -0,0 +1,316 @@
+// src/masteryOutlook/interventionGroupsView.js
+/**
+ * Mastery Outlook — Groups view (peer of the Outcomes and Heatmap views).
+ *
+ * Proposes re-teach groups from the students below the re-teach threshold
+ * (see interventionGroups.js), lets the teacher rename groups and move
+ * students between them by drag-and-drop, and saves them to the
+ * `intervention_groups` section of the cache. Saved groups can be pushed to
+ * Canvas as course groups or as one assignment per group
+ * (interventionGroupService.js).
+ *
+ * Edits stay in a draft until Save; pushing to Canvas saves first. Students
+ * are listed from the whole course, so groups saved from another section
+ * keep their names in a section-scoped view.
+ */
+
+import { logger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
+import { INTERVENTION_GROUP_SIZE } from '../config.js';
+import {
+    normalizeInterventionGroups, buildStudentProfiles, sharedBelowOutcomes,
+    proposeInterventionGroups, moveStudent, nextGroupId, retireGroups
+} from './interventionGroups.js';
+import { pushCourseGroups, pushGroupAssignments, removeRetiredGroups, GROUP_SET_NAME } from './interventionGroupService.js';
+import { flushCacheWrite } from './plOutlookActions.js';
+import { unscopeCache } from './masteryOutlookCacheService.js';
+
+/**
+ * Mount the Groups view.
+ *
+ * @param {Object} shell - shell handle from buildShell() in masteryOutlookView.js
+ * @param {Object} cache - enriched mastery-outlook cache
+ * @param {import('./viewRegistry.js').ViewContext} ctx
+ * @returns {import('./viewRegistry.js').ViewController}
+ */
+export function mountInterventionGroupsView(shell, cache, ctx) {
+    const containerEl = shell.viewContainers.groups;
+    let draft = normalizeInterventionGroups(cache?.intervention_groups);
+    let maxSize = INTERVENTION_GROUP_SIZE;
+    let dirty = false;
+    let busy = false;
+    let status = '';
+
+    const outcomeTitles = () => new Map((cache.outcomes ?? []).map(o => [String(o.id), o.title]));
+
+    const renderCard = (profile, inView) => {
+        const titles = outcomeTitles();
+        const below = [...profile.below.keys()].map(id => titles.get(id)).filter(Boolean);
+        return `
+            <div class="od-ig-card ${profile.below.size === 0 ? 'ok' : ''} ${inView ? '' : 'elsewhere'}"
+                 draggable="true" data-student-id="${escapeHtml(profile.id)}"
+                 title="${escapeHtml(below.length ? `Below on: ${below.join(', ')}` : 'Not below on any outcome')}${inView ? '' : ' (not in this section)'}">
+                <span class="od-ig-card-name">${escapeHtml(profile.name)}</span>
+                <span class="od-ig-below">${profile.below.size}</span>
+            </div>`;
+    };
+
+    const render = () => {
+        if (!containerEl) return;
+
+        if (!cache || !cache.students || cache.students.length === 0) {
+            containerEl.innerHTML = `
+                <div class="od-heatmap-empty">
+                    <div class="he-icon">👥</div>
+                    <div class="he-title">No groups data yet</div>
+                    <div class="he-body">
+                        Hit <strong>Refresh Data</strong> to calculate Power Law
+                        predictions before building re-teach groups.
+                    </div>
+                </div>`;
+            return;
+        }
+
+        const threshold = ctx.getThreshold();
+        const profiles = buildStudentProfiles(unscopeCache(cache), threshold);
+        const inView = new Set(cache.students.map(s => String(s.id)));
+        const grouped = new Set(draft.groups.flatMap(g => g.student_ids));
+        const titles = outcomeTitles();
+
+        const ungrouped = [...inView]
+            .filter(id => !grouped.has(id) && profiles.has(id))
+            .map(id => profiles.get(id))
+            .sort((a, b) => b.below.size - a.below.size || a.sortableName.localeCompare(b.sortableName));
+        const strugglingLeft = ungrouped.filter(p => p.below.size > 0).length;
+
+        const groupColumns = draft.groups.map(g => {
+            const shared = sharedBelowOutcomes(g.student_ids, profiles);
+            const members = g.student_ids
+                .map(id => profiles.get(id))
+                .filter(Boolean)
+                .sort((a, b) => a.sortableName.localeCompare(b.sortableName));
+            const canvas = [
+                g.canvas_group_id ? 'course group' : '',
+                g.assignment_id ? 'assignment' : ''
+            ].filter(Boolean).join(' · ');
+            return `
+                <div class="od-ig-column" data-group-id="${escapeHtml(g.id)}">
+                    <div class="od-ig-col-header">
+                        <input type="text" class="od-wt-input" data-group-name="${escapeHtml(g.id)}" value="${escapeHtml(g.name)}">
+                        <button class="od-ex-chip" data-action="remove" data-group="${escapeHtml(g.id)}" title="Remove group">✕</button>
+                    </div>
+                    <div class="od-ig-outcomes">
+                        ${shared.length
+                            ? shared.map(id => `<span class="od-ig-outcome">${escapeHtml(titles.get(id) ?? id)}</span>`).join('')
+                            : '<span class="od-ig-none">No outcome shared by every student</span>'}
+                    </div>
+                    <div class="od-ig-meta">${members.length} student${members.length === 1 ? '' : 's'}${canvas ? ` · in Canvas as ${canvas}` : ''}</div>
+                    <div class="od-ig-cards">${members.map(p => renderCard(p, inView.has(p.id))).join('')}</div>
+                </div>`;
+        }).join('');
+
+        containerEl.innerHTML = `
+            <div class="od-ig">
+                <div class="od-ex-panel-header">
+                    <span class="od-ex-panel-title">
+                        Re-teach groups
+                        <span class="od-ig-sub">below ${threshold.toFixed(1)} · ${draft.groups.length} groups · ${strugglingLeft} struggling students not in a group</span>
+                    </span>
+                    <div class="od-ex-panel-actions">
+                        <label class="od-ig-size">Group size ≤
+                            <input type="number" class="od-wt-input od-wt-num" data-ig-size min="1" step="1" value="${maxSize}">
+                        </label>
+                        <button class="od-ex-chip" data-action="propose" ${busy ? 'disabled' : ''}>Propose groups</button>
+                        <button class="od-ex-chip" data-action="add" ${busy ? 'disabled' : ''}>+ Group</button>
+                        <button class="od-ex-chip" data-action="save" ${busy ? 'disabled' : ''}>Save</button>
+                        <button class="od-ex-chip" data-action="push-groups" ${busy || !draft.groups.length ? 'disabled' : ''}
+                                title="One group per re-teach group in the &quot;${escapeHtml(GROUP_SET_NAME)}&quot; group set">Create course groups</button>
+                        <button class="od-ex-chip" data-action="push-assignments" ${busy || !draft.groups.length ? 'disabled' : ''}
+                                title="One unpublished assignment per group, assigned only to its students">Create assignments</button>
+                        <span class="od-wt-status">${escapeHtml(dirty && !status ? 'Unsaved changes' : status)}</span>
+                    </div>
+                </div>
+                <div class="od-tweaks-help">
+                    Drag students between groups. The number on each student is how many outcomes they are below the
+                    re-teach threshold on; a group's outcomes are the ones every student in it is below on.
+                    Propose groups replaces the groups for the students in this view.
+                </div>
+                <div class="od-ig-board">
+                    <div class="od-ig-column unassigned" data-group-id="">
+                        <div class="od-ig-col-header"><span class="od-ig-col-title">Not in a group</span></div>
+                        <div class="od-ig-meta">${ungrouped.length} students</div>
+                        <div class="od-ig-cards">${ungrouped.map(p => renderCard(p, true)).join('')}</div>
+                    </div>
+                    ${groupColumns}
+                </div>
+            </div>`;
+    };
+
+    const isPushed = (g) => Boolean(g.canvas_group_id || g.assignment_id);
+
+    const markDirty = () => {
+        dirty = true;
+        status = '';
+        render();
+    };
+
+    const propose = () => {
+        const inView = new Set(cache.students.map(s => String(s.id)));
+        const replaced = draft.groups.filter(g => g.student_ids.some(id => inView.has(id)));
+        const pushedNote = replaced.some(isPushed) ? '\n\nTheir Canvas groups and assignments are deleted when you save.' : '';
+        if (replaced.length && !confirm(`Replace ${replaced.length} existing group${replaced.length === 1 ? '' : 's'} with proposed groups?${pushedNote}`)) {
+            return;
+        }
+
+        // Keep groups made up only of students outside this view (other sections)
+        const kept = draft.groups.filter(g => !replaced.includes(g));
+        retireGroups(draft, replaced);
+        const proposed = proposeInterventionGroups(cache, { threshold: ctx.getThreshold(), maxSize });
+        const groups = [...kept];
+        proposed.forEach(g => groups.push({ ...g, id: nextGroupId(groups) }));
+        draft = { ...draft, groups };
+        logger.info(`[InterventionGroups] Proposed ${proposed.length} groups`);
+        markDirty();
+    };
+
+    const save = async () => {
+        // Delete the Canvas group and assignment of groups removed since the last save
+        if (draft.retired.length) await removeRetiredGroups(ctx.courseId, draft, ctx.apiClient);
+        const profiles = buildStudentProfiles(unscopeCache(cache), ctx.getThreshold());
+        draft.groups.forEach(g => { g.outcome_ids = sharedBelowOutcomes(g.student_ids, profiles); });
+        cache.intervention_groups = {
+            ...draft,
+            threshold: ctx.getThreshold(),
+            updated_at: new Date().toISOString()
+        };
+        await flushCacheWrite(ctx.courseId, cache, ctx.apiClient);
+        draft = normalizeInterventionGroups(cache.intervention_groups);
+        dirty = false;
+    };
+
+    const run = async (label, work) => {
+        busy = true;
+        status = `${label}…`;
+        render();
+        try {
+            status = await work();
+        } catch (err) {
+            status = `${label} failed`;
+            logger.error(`[InterventionGroups] ${label} failed`, err);
+        }
+        busy = false;
+        render();
+    };
+
+    const push = (label, pushFn) => run(label, async () => {
+        await save();
+        const result = await pushFn(draft);
+        // Record the Canvas ids, including those created before a failure
+        await save();
+        return result.failed
+            ? `${result.failed} failed, ${result.created + result.updated} done`
+            : `${result.created} created, ${result.updated} updated`;
+    });
+
+    const onClick = (e) => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn || busy) return;
+        const action = btn.dataset.action;
+        if (action === 'propose') {
+            propose();
+        } else if (action === 'add') {
+            draft.groups.push({
+                id: nextGroupId(draft.groups),
+                name: `Group ${draft.groups.length + 1}`,
+                outcome_ids: [],
+                student_ids: [],
+                canvas_group_id: null,
+                assignment_id: null,
+                override_id: null
+            });
+            markDirty();
+        } else if (action === 'remove') {
+            const removed = draft.groups.filter(g => g.id === btn.dataset.group);
+            if (removed.some(isPushed) && !confirm(`Remove "${removed[0].name}"? Its Canvas group and assignment are deleted when you save.`)) {
+                return;
+            }
+            retireGroups(draft, removed);
+            draft.groups = draft.groups.filter(g => g.id !== btn.dataset.group);
+            markDirty();
+        } else if (action === 'save') {
+            run('Saving', async () => { await save(); return 'Saved'; });
+        } else if (action === 'push-groups') {
+            push('Creating course groups', (state) => pushCourseGroups(ctx.courseId, state, ctx.apiClient));
+        } else if (action === 'push-assignments') {
+            push('Creating assignments', (state) => pushGroupAssignments(ctx.courseId, state, ctx.apiClient, outcomeTitles()));
+        }
+    };
+
+    const onChange = (e) => {
+        const el = e.target;
+        if (el.dataset.groupName !== undefined) {
+            const group = draft.groups.find(g => g.id === el.dataset.groupName);
+            if (group) group.name = el.value.trim() || group.name;
+            markDirty();
+        } else if (el.dataset.igSize !== undefined) {
+            maxSize = Math.max(1, parseInt(el.value, 10) || INTERVENTION_GROUP_SIZE);
+            render();
+        }
+    };
+
+    const onDragStart = (e) => {
+        const card = e.target.closest?.('.od-ig-card');
+        if (!card || busy) return;
+        e.dataTransfer.setData('text/plain', card.dataset.studentId);
+        e.dataTransfer.effectAllowed = 'move';
+        card.classList.add('dragging');
+    };
+
+    const onDragEnd = (e) => {
+        e.target.closest?.('.od-ig-card')?.classList.remove('dragging');
+    };
+
+    const onDragOver = (e) => {
+        const column = e.target.closest?.('.od-ig-column');
+        if (!column) return;
+        e.preventDefault();
+        containerEl.querySelectorAll('.od-ig-column.drop').forEach(c => { if (c !== column) c.classList.remove('drop'); });
+        column.classList.add('drop');
+    };
+
+    const onDrop = (e) => {
+        const column = e.target.closest?.('.od-ig-column');
+        if (!column) return;
+        e.preventDefault();
+        column.classList.remove('drop');
+        const studentId = e.dataTransfer.getData('text/plain');
+        if (!studentId) return;
+        draft.groups = moveStudent(draft.groups, studentId, column.dataset.groupId || null);
+        markDirty();
+    };
+
+    if (containerEl) {
+        containerEl.addEventListener('click', onClick);
+        containerEl.addEventListener('change', onChange);
+        containerEl.addEventListener('dragstart', onDragStart);
+        containerEl.addEventListener('dragend', onDragEnd);
+        containerEl.addEventListener('dragover', onDragOver);
+        containerEl.addEventListener('drop', onDrop);
+    }
+
+    render();
+
+    return {
+        teardown: () => {
+            if (!containerEl) return;
+            containerEl.removeEventListener('click', onClick);
+            containerEl.removeEventListener('change', onChange);
+            containerEl.removeEventListener('dragstart', onDragStart);
+            containerEl.removeEventListener('dragend', onDragEnd);
+            containerEl.removeEventListener('dragover', onDragOver);
+            containerEl.removeEventListener('drop', onDrop);
+            containerEl.innerHTML = '';
+        },
+        refresh: render,
+    };
+}
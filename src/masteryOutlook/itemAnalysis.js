@@ -0,0 +1,204 @@
+// src/masteryOutlook/itemAnalysis.js
+/**
+ * Assessment item analysis — model for the Mastery Outlook "Items" view
+ *
+ * One row per alignment (assignment) × outcome, built from the attempts in
+ * the cache: how many students it scored, their mean score and level
+ * distribution, how the scores compare with each student's current
+ * prediction, and how they compare with the student's trend.
+ *
+ * The trend at an attempt is a leave-one-out Power Law fit: the curve through
+ * the student's other active attempts, read at this attempt's position. An
+ * assessment whose scores sit below (or above) the students' trends by at
+ * least `bias` on average, in the same direction for at least `consistency`
+ * of them, and for at least `minStudents` students, is flagged as
+ * under-scoring (or over-scoring). Thresholds: ITEM_ANALYSIS_THRESHOLDS.
+ *
+ * One badly off assessment also drags the trends used for every other
+ * assessment, so flags are found one at a time: the largest flagged gap is
+ * set aside (left out of the other assessments' trends) and the analysis
+ * repeats until no new assessment is flagged.
+ *
+ * Ignored attempts (cache.ignored_alignments) are listed but left out of the
+ * statistics and of the other attempts' trends, matching how predictions
+ * are computed.
+ */
+
+import { ITEM_ANALYSIS_THRESHOLDS } from '../config.js';
+import { powerLawFit, MIN_SCORES, MIN_SCORE, MAX_SCORE } from './powerLaw.js';
+import { isRegularOutcome } from './outcomeSyncView.js';
+
+const DEFAULT_ITEM_ANALYSIS_THRESHOLDS = { bias: 0.5, consistency: 0.7, minStudents: 3 };
+
+const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+/**
+ * Item analysis thresholds, with config values over the defaults
+ * @returns {{bias: number, consistency: number, minStudents: number}}
+ */
+export function getItemAnalysisThresholds() {
+    return { ...DEFAULT_ITEM_ANALYSIS_THRESHOLDS, ...ITEM_ANALYSIS_THRESHOLDS };
+}
+
+/**
+ * A student's trend at one attempt, fitted through their other attempts.
+ *
+ * @param {number[]} scores - Active scores, oldest first
+ * @param {number} index - Index of the held-out attempt
+ * @param {Set<number>} [skip] - Indexes of other attempts to leave out of the fit
+ * @returns {number|null} Trend score clamped to the scale, or null when fewer
+ *   than MIN_SCORES other attempts remain
+ */
+export function trendScoreAt(scores, index, skip = new Set()) {
+    const kept = scores.map((_, i) => i).filter(i => i !== index && !skip.has(i));
+    if (kept.length < MIN_SCORES) return null;
+    const fit = powerLawFit(kept.map(i => scores[i]), kept.map(i => i + 1));
+    if (!fit) return null;
+    return Math.max(MIN_SCORE, Math.min(MAX_SCORE, fit.a * Math.pow(index + 1, fit.b)));
+}
+
+/**
+ * Readable name for an alignment without one in the cache
+ * @param {string} alignmentId - e.g. "assignment_123"
+ * @returns {string}
+ */
+function fallbackAlignmentName(alignmentId) {
+    return `Assignment ${String(alignmentId).replace(/^assignment_/, '')}`;
+}
+
+/**
+ * Item analysis rows for a cache.
+ *
+ * @param {Object} cache - View cache (attempts, predictions and ignored_alignments)
+ * @param {Object} [options]
+ * @param {Object} [options.thresholds] - from getItemAnalysisThresholds()
+ * @returns {Array<{
+ *   key, alignmentId, name, outcomeId, outcomeTitle,
+ *   count, ignoredCount, meanScore, distribution,
+ *   vsPrediction, vsTrend, trendCount, consistency, flag,
+ *   students: Array<{studentId, score, prediction, trend, residual, ignored}>
+ * }>} Flagged rows first (largest gap first), then by name
+ */
+export function buildItemAnalysis(cache, { thresholds = getItemAnalysisThresholds() } = {}) {
+    const setAside = new Set();
+    let rows = analyzeItems(cache, thresholds, setAside);
+    for (;;) {
+        const next = rows
+            .filter(r => r.flag && !setAside.has(r.key))
+            .sort((a, b) => Math.abs(b.vsTrend) - Math.abs(a.vsTrend))[0];
+        if (!next) break;
+        setAside.add(next.key);
+        rows = analyzeItems(cache, thresholds, setAside);
+    }
+
+    return rows.sort((a, b) => {
+        if (!!a.flag !== !!b.flag) return a.flag ? -1 : 1;
+        if (a.flag) return Math.abs(b.vsTrend) - Math.abs(a.vsTrend);
+        return a.name.localeCompare(b.name) || a.outcomeTitle.localeCompare(b.outcomeTitle);
+    });
+}
+
+/**
+ * One pass of the analysis
+ * @param {Object} cache
+ * @param {Object} thresholds
+ * @param {Set<string>} setAside - Row keys left out of other attempts' trends
+ * @returns {Array<Object>} Rows, unsorted
+ */
+function analyzeItems(cache, thresholds, setAside) {
+    const outcomes = new Map((cache.outcomes ?? [])
+        .filter(o => isRegularOutcome(o))
+        .map(o => [String(o.id), o]));
+    const ignored = new Set((cache.ignored_alignments ?? [])
+        .map(ia => `${ia.student_id}|${ia.outcome_id}|${ia.alignment_id}`));
+    const rows = new Map();
+
+    (cache.students ?? []).forEach(student => {
+        const studentId = String(student.id);
+        (student.outcomes ?? []).forEach(od => {
+            const outcomeId = String(od.outcomeId);
+            const outcome = outcomes.get(outcomeId);
+            if (!outcome) return;
+
+            const attempts = (od.attempts ?? []).filter(a => a.assignmentId && a.score != null);
+            const isIgnored = (a) => ignored.has(`${studentId}|${outcomeId}|${a.assignmentId}`);
+            const active = attempts.filter(a => !isIgnored(a));
+            const activeScores = active.map(a => a.score);
+            const skipped = new Set(active
+                .map((a, i) => (setAside.has(`${a.assignmentId}|${outcomeId}`) ? i : -1))
+                .filter(i => i >= 0));
+
+            attempts.forEach(attempt => {
+                const key = `${attempt.assignmentId}|${outcomeId}`;
+                if (!rows.has(key)) {
+                    rows.set(key, {
+                        key,
+                        alignmentId: attempt.assignmentId,
+                        name: attempt.assignmentName || fallbackAlignmentName(attempt.assignmentId),
+                        outcomeId,
+                        outcomeTitle: outcome.title,
+                        students: []
+                    });
+                }
+                const skip = isIgnored(attempt);
+                const trend = skip ? null : trendScoreAt(activeScores, active.indexOf(attempt), skipped);
+                rows.get(key).students.push({
+                    studentId,
+                    score: attempt.score,
+                    prediction: od.plPrediction ?? null,
+                    trend,
+                    residual: trend !== null ? attempt.score - trend : null,
+                    ignored: skip
+                });
+            });
+        });
+    });
+
+    return [...rows.values()].map(row => summarizeItem(row, thresholds));
+}
+
+/**
+ * Statistics and flag for one alignment × outcome
+ * @param {Object} row - { students, ... }
+ * @param {{bias: number, consistency: number, minStudents: number}} thresholds
+ * @returns {Object} The row with its statistics
+ */
+function summarizeItem(row, thresholds) {
+    const active = row.students.filter(s => !s.ignored);
+    const scores = active.map(s => s.score);
+
+    const distribution = { '1': 0, '2': 0, '3': 0, '4': 0 };
+    scores.forEach(s => {
+        if      (s < 1.5) distribution['1']++;
+        else if (s < 2.5) distribution['2']++;
+        else if (s < 3.5) distribution['3']++;
+        else              distribution['4']++;
+    });
+
+    const residuals = active.map(s => s.residual).filter(r => r !== null);
+    const vsTrend = mean(residuals);
+    const consistency = vsTrend === null || vsTrend === 0
+        ? null
+        : residuals.filter(r => Math.sign(r) === Math.sign(vsTrend)).length / residuals.length;
+
+    let flag = null;
+    if (vsTrend !== null
+        && residuals.length >= thresholds.minStudents
+        && Math.abs(vsTrend) >= thresholds.bias
+        && consistency >= thresholds.consistency) {
+        flag = vsTrend < 0 ? 'under' : 'over';
+    }
+
+    return {
+        ...row,
+        count: active.length,
+        ignoredCount: row.students.length - active.length,
+        meanScore: mean(scores),
+        distribution,
+        vsPrediction: mean(active.filter(s => s.prediction !== null).map(s => s.score - s.prediction)),
+        vsTrend,
+        trendCount: residuals.length,
+        consistency,
+        flag
+    };
+}
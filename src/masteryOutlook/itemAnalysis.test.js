@@ -0,0 +1,58 @@
+// src/masteryOutlook/itemAnalysis.test.js
+import { describe, it, expect } from 'vitest';
+import { buildItemAnalysis, trendScoreAt } from './itemAnalysis.js';
+import { OUTCOMES, student, buildCache } from './tests/fixtures.js';
+
+const thresholds = { bias: 0.5, consistency: 0.7, minStudents: 3 };
+const NAMES = ['Quiz 1', 'Quiz 2', 'Unit test', 'Quiz 3', 'Quiz 4'];
+
+// Growing scores with an assessment that scores everyone 1.5 in the middle
+const assessed = (id, offset) => student(id, null, {
+    1: { plPrediction: 3, attempts: [{ score: 3, assignmentId: 'assignment_99' }] },
+    10: {
+        plPrediction: 3,
+        attempts: [2, 2.46, 1.5 - offset, 3.03, 3.2].map((score, i) => ({
+            score: i === 2 ? score : score + offset,
+            assignmentId: `assignment_${i + 1}`,
+            assignmentName: NAMES[i]
+        }))
+    }
+}, { name: `Student ${id}` });
+
+const buildAssessedCache = () => buildCache({
+    outcomes: [OUTCOMES.currentScore, OUTCOMES.reading],
+    students: [assessed('1', 0), assessed('2', 0.3), assessed('3', -0.2), assessed('4', 0.5)],
+    ignored_alignments: []
+});
+
+describe('item analysis', () => {
+    it('reads the trend through the other attempts at the held-out position', () => {
+        // y = 2 · x^0.3
+        expect(trendScoreAt([2, 2.462, 2.780, 3.031], 3)).toBeCloseTo(3.03, 2);
+        expect(trendScoreAt([2, 2.462, 2.780], 1)).toBeNull();
+    });
+
+    it('flags an assessment that under-scores every student against their trend', () => {
+        const rows = buildItemAnalysis(buildAssessedCache(), { thresholds });
+
+        expect(rows.map(r => r.name)).toEqual(['Unit test', 'Quiz 1', 'Quiz 2', 'Quiz 3', 'Quiz 4']);
+        const [unit, ...rest] = rows;
+        expect(unit).toMatchObject({ alignmentId: 'assignment_3', outcomeTitle: 'Reading', count: 4, flag: 'under', consistency: 1 });
+        expect(unit.vsTrend).toBeLessThan(-1);
+        expect(unit.vsPrediction).toBeCloseTo(-1.65);
+        // The flagged assessment is left out of the others' trends, so they are not flagged in turn
+        expect(rest.map(r => r.flag)).toEqual([null, null, null, null]);
+        // Current Score is not an assessed outcome
+        expect(rows.some(r => r.alignmentId === 'assignment_99')).toBe(false);
+    });
+
+    it('reports distribution and leaves ignored attempts out of the statistics', () => {
+        const cache = buildAssessedCache();
+        cache.ignored_alignments = ['1', '2'].map(id => ({ student_id: id, outcome_id: '10', alignment_id: 'assignment_3' }));
+
+        const unit = buildItemAnalysis(cache, { thresholds }).find(r => r.alignmentId === 'assignment_3');
+        expect(unit).toMatchObject({ count: 2, ignoredCount: 2, trendCount: 2, flag: null });
+        expect(unit.distribution).toEqual({ 1: 1, 2: 1, 3: 0, 4: 0 });
+        expect(unit.students.filter(s => s.ignored).map(s => s.residual)).toEqual([null, null]);
+    });
+});
@@ -0,0 +1,230 @@
+// src/masteryOutlook/itemAnalysisView.js
+/**
+ * Mastery Outlook — Items view (peer of the Outcomes and Heatmap views).
+ *
+ * Lists every assessment (alignment) per outcome with its mean score,
+ * distribution and gap to the students' predictions and trends, and flags
+ * the ones that systematically under- or over-score (see itemAnalysis.js).
+ * A flagged assessment can be ignored for all its students in one click —
+ * the same handleIgnoreAlignment action as the dot toggle in the student
+ * table, so predictions update in memory and are saved with the next save.
+ */
+
+import { logger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
+import { handleIgnoreAlignment, handleUnignoreAlignment } from './plOutlookActions.js';
+import { buildItemAnalysis } from './itemAnalysis.js';
+import { isRegularOutcome } from './outcomeSyncView.js';
+import { formatSigned } from './formatters.js';
+
+const FLAG_LABELS = { under: '▼ Under-scores', over: '▲ Over-scores' };
+
+const fixed = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
+/**
+ * Mount the Items view.
+ *
+ * @param {Object} shell - shell handle from buildShell() in masteryOutlookView.js
+ * @param {Object} cache - enriched mastery-outlook cache
+ * @param {import('./viewRegistry.js').ViewContext} ctx
+ * @returns {import('./viewRegistry.js').ViewController}
+ */
+export function mountItemAnalysisView(shell, cache, ctx) {
+    const containerEl = shell.viewContainers.items;
+    const names = new Map((cache?.students ?? []).map(s => [String(s.id), s.name || s.sortableName || `Student ${s.id}`]));
+    let outcomeId = 'all';
+    let filter = 'all';
+    let message = '';
+    const expanded = new Set();
+    let rows = [];
+
+    const render = () => {
+        if (!containerEl) return;
+
+        if (!cache || !cache.students || cache.students.length === 0) {
+            containerEl.innerHTML = `
+                <div class="od-heatmap-empty">
+                    <div class="he-icon">🔍</div>
+                    <div class="he-title">No assessment data yet</div>
+                    <div class="he-body">
+                        Hit <strong>Refresh Data</strong> to load every student's
+                        outcome scores.
+                    </div>
+                </div>`;
+            return;
+        }
+
+        const outcomes = (cache.outcomes ?? []).filter(o => isRegularOutcome(o));
+        if (outcomeId !== 'all' && !outcomes.some(o => String(o.id) === outcomeId)) outcomeId = 'all';
+
+        rows = buildItemAnalysis(cache);
+        const inOutcome = outcomeId === 'all' ? rows : rows.filter(r => r.outcomeId === outcomeId);
+        const shown = filter === 'all' ? inOutcome
+            : filter === 'flagged' ? inOutcome.filter(r => r.flag)
+            : inOutcome.filter(r => r.flag === filter);
+
+        const chip = (id, label, count) => `
+            <button class="od-ex-chip ${filter === id ? 'active' : ''}" data-filter="${id}">${label} (${count})</button>`;
+        const chips = [
+            chip('all', 'All', inOutcome.length),
+            chip('flagged', '⚠ Flagged', inOutcome.filter(r => r.flag).length),
+            chip('under', FLAG_LABELS.under, inOutcome.filter(r => r.flag === 'under').length),
+            chip('over', FLAG_LABELS.over, inOutcome.filter(r => r.flag === 'over').length)
+        ].join('');
+
+        const tableRows = shown.map(r => {
+            const isOpen = expanded.has(r.key);
+            const action = r.count > 0
+                ? `<button class="od-ex-chip" data-action="ignore-item" data-key="${escapeHtml(r.key)}" title="Leave this assessment out of these students' predictions">Ignore for ${r.count}</button>`
+                : '';
+            const restore = r.ignoredCount > 0
+                ? `<button class="od-ex-chip" data-action="restore-item" data-key="${escapeHtml(r.key)}">Restore ${r.ignoredCount}</button>`
+                : '';
+            const consistency = r.consistency !== null ? ` title="${Math.round(r.consistency * 100)}% of ${r.trendCount} students in the same direction"` : '';
+            return `
+                <tr class="od-ia-row ${r.flag ? `od-ia-flagged ${r.flag}` : ''}" data-item-row="${escapeHtml(r.key)}">
+                    <td class="od-name">${isOpen ? '▾' : '▸'} ${escapeHtml(r.name)}</td>
+                    <td>${escapeHtml(r.outcomeTitle)}</td>
+                    <td class="od-center">${r.count}${r.ignoredCount ? ` <span class="od-ia-muted">(+${r.ignoredCount} ignored)</span>` : ''}</td>
+                    <td class="od-center">${fixed(r.meanScore)}</td>
+                    <td class="od-center od-nowrap" title="Students at levels 1·2·3·4">${['1', '2', '3', '4'].map(l => r.distribution[l]).join('·')}</td>
+                    <td class="od-center">${formatSigned(r.vsPrediction)}</td>
+                    <td class="od-center"${consistency}>${formatSigned(r.vsTrend)}</td>
+                    <td>${r.flag ? `<span class="od-ia-flag ${r.flag}">${FLAG_LABELS[r.flag]}</span>` : ''}</td>
+                    <td class="od-nowrap">${action} ${restore}</td>
+                </tr>
+                ${isOpen ? detailRows(r) : ''}`;
+        }).join('');
+
+        containerEl.innerHTML = `
+            <div class="od-ia">
+                <div class="od-ex-panel-header">
+                    <span class="od-ex-panel-title">
+                        Assessment items
+                        <span class="od-ig-sub">Gaps are score minus the student's prediction, or minus their trend from their other scores</span>
+                    </span>
+                    <div class="od-ex-panel-actions od-gr-controls">
+                        <select class="od-wt-input" data-ia-outcome>
+                            <option value="all" ${outcomeId === 'all' ? 'selected' : ''}>All outcomes</option>
+                            ${outcomes.map(o => `
+                                <option value="${escapeHtml(String(o.id))}" ${String(o.id) === outcomeId ? 'selected' : ''}>${escapeHtml(o.title)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="od-gr-chips">${chips}</div>
+                ${message ? `<div class="od-ia-message">${escapeHtml(message)}</div>` : ''}
+                <div class="od-ex-panel-body">
+                    <table class="od-ex-table">
+                        <thead><tr>
+                            <th>Assessment</th>
+                            <th>Outcome</th>
+                            <th class="od-center">Students</th>
+                            <th class="od-center">Mean</th>
+                            <th class="od-center">Distribution</th>
+                            <th class="od-center">vs prediction</th>
+                            <th class="od-center">vs trend</th>
+                            <th>Flag</th>
+                            <th></th>
+                        </tr></thead>
+                        <tbody>${tableRows || '<tr><td colspan="9" class="od-ex-empty">No assessments</td></tr>'}</tbody>
+                    </table>
+                </div>
+            </div>`;
+    };
+
+    const detailRows = (row) => [...row.students]
+        .sort((a, b) => {
+            if (a.residual === null || b.residual === null) return (a.residual === null) - (b.residual === null);
+            return a.residual - b.residual;
+        })
+        .map(s => `
+            <tr class="od-ia-detail ${s.ignored ? 'ignored' : ''}">
+                <td class="od-name">${escapeHtml(names.get(s.studentId) ?? `Student ${s.studentId}`)}</td>
+                <td></td>
+                <td class="od-center">${s.ignored ? '<span class="od-ia-muted">Ignored</span>' : ''}</td>
+                <td class="od-center">${s.score.toFixed(2)}</td>
+                <td class="od-center od-ia-muted">${s.trend !== null ? `trend ${s.trend.toFixed(2)}` : ''}</td>
+                <td class="od-center">${s.prediction !== null && !s.ignored ? formatSigned(s.score - s.prediction) : '—'}</td>
+                <td class="od-center">${formatSigned(s.residual)}</td>
+                <td></td>
+                <td>
+                    <button class="od-ex-chip" data-action="toggle-student" data-key="${escapeHtml(row.key)}" data-stu="${escapeHtml(s.studentId)}">${s.ignored ? 'Restore' : 'Ignore'}</button>
+                </td>
+            </tr>`).join('');
+
+    const setIgnored = (row, studentIds, ignore) => {
+        studentIds.forEach(studentId => {
+            const opts = { outcomeId: row.outcomeId, studentId, alignmentId: row.alignmentId, cache };
+            if (ignore) {
+                handleIgnoreAlignment({ ...opts, reason: row.flag ? `Item analysis: ${row.flag}-scores` : 'Item analysis' });
+            } else {
+                handleUnignoreAlignment(opts);
+            }
+        });
+        logger.info(`[ItemAnalysisView] ${ignore ? 'Ignored' : 'Restored'} ${row.alignmentId} on outcome ${row.outcomeId} for ${studentIds.length} student(s)`);
+    };
+
+    const onClick = (e) => {
+        const filterBtn = e.target.closest('[data-filter]');
+        if (filterBtn) {
+            filter = filterBtn.dataset.filter;
+            render();
+            return;
+        }
+
+        const actionEl = e.target.closest('[data-action]');
+        if (actionEl) {
+            const row = rows.find(r => r.key === actionEl.dataset.key);
+            if (!row) return;
+            const action = actionEl.dataset.action;
+            if (action === 'ignore-item') {
+                const ids = row.students.filter(s => !s.ignored).map(s => s.studentId);
+                setIgnored(row, ids, true);
+                message = `Ignored "${row.name}" on ${row.outcomeTitle} for ${ids.length} student${ids.length === 1 ? '' : 's'}. Predictions are updated and saved with your next save.`;
+            } else if (action === 'restore-item') {
+                const ids = row.students.filter(s => s.ignored).map(s => s.studentId);
+                setIgnored(row, ids, false);
+                message = `Restored "${row.name}" on ${row.outcomeTitle} for ${ids.length} student${ids.length === 1 ? '' : 's'}.`;
+            } else if (action === 'toggle-student') {
+                const student = row.students.find(s => s.studentId === actionEl.dataset.stu);
+                if (student) setIgnored(row, [student.studentId], !student.ignored);
+                message = '';
+            }
+            render();
+            return;
+        }
+
+        const rowEl = e.target.closest('[data-item-row]');
+        if (rowEl) {
+            const key = rowEl.dataset.itemRow;
+            if (expanded.has(key)) expanded.delete(key);
+            else expanded.add(key);
+            render();
+        }
+    };
+
+    const onChange = (e) => {
+        if (e.target.dataset.iaOutcome !== undefined) {
+            outcomeId = e.target.value;
+            render();
+        }
+    };
+
+    if (containerEl) {
+        containerEl.addEventListener('click', onClick);
+        containerEl.addEventListener('change', onChange);
+    }
+
+    render();
+
+    return {
+        teardown: () => {
+            if (!containerEl) return;
+            containerEl.removeEventListener('click', onClick);
+            containerEl.removeEventListener('change', onChange);
+            containerEl.innerHTML = '';
+        },
+        refresh: render,
+    };
+}
@@ -13,6 +13,8 @@
  *
  * Avg assignment setup is read from the in-memory Mastery Outlook cache
  * (populated during runFullRefresh) — no REST setup calls at sync time.
+ * A cache built for a grading period averages that period's outcome results
+ * and writes the period's grade override.
  */
 
 import { logger } from '../utils/logger.js';
@@ -22,6 +24,8 @@ import { getAllEnrollmentIds } from '../services/gradeOverride.js';
 import { refreshMasteryForAssignment } from '../services/masteryRefreshService.js';
 import { OVERRIDE_SCALE, AVG_OUTCOME_NAME } from '../config.js';
 import { writeMasteryOutlookCache, readSyncState, writeSyncState } from './masteryOutlookCacheService.js';
+import { fetchOutcomeResults } from './masteryOutlookDataService.js';
+import { buildGradingPeriodRollup } from '../services/gradingPeriodService.js';
 
 /**
  * Update the Current Score (avg) assignment for students whose Marzano score
@@ -77,10 +81,23 @@ export async function updateAvgAssignmentForStudents({
             return false;
         }
 
-        // Step 3: Calculate new averages — only students whose avg changed are returned.
+        // Step 2b: Grading period cache — rebuild outcome scores from the period's results
+        const gradingPeriod = cache?.meta?.gradingPeriod ?? null;
+        const rollupData = gradingPeriod
+            ? buildGradingPeriodRollup(
+                rollupResponse,
+                (await fetchOutcomeResults(courseId, apiClient)).results,
+                gradingPeriod,
+                { keepOutcomeIds: [avg_outcome_id] }
+            )
+            : rollupResponse;
+
+        // Step 3: Calculate new averages (course aggregation strategy applies) — only
+        // students whose avg changed are returned.
         // Students with no avg change get no call; notes-only handling is a future prompt.
         const averages = await calculateStudentAverages(
-            rollupResponse, avg_outcome_id, courseId, apiClient
+            rollupData, avg_outcome_id, courseId, apiClient,
+            { weighting: cache?.outcome_weighting ?? null, gradingPeriodId: gradingPeriod?.id ?? null }
         );
 
         if (!averages.length) {
@@ -136,6 +153,7 @@ export async function updateAvgAssignmentForStudents({
                     enrollmentId,
                     overrideScore:    OVERRIDE_SCALE(average),
                     overrideStatusId: null,
+                    ...(gradingPeriod ? { overrideGradingPeriodId: gradingPeriod.id } : {}),
                 } : {}),
                 customStatusId: null,
             });
@@ -0,0 +1,197 @@
+// src/masteryOutlook/masteryOutlookCacheMerge.js
+/**
+ * Mastery Outlook — merging concurrent edits to the cache file
+ *
+ * Each teacher with the view open works on their own copy of the cache. When
+ * a save finds that the file on disk has a newer revision than the copy was
+ * loaded from (another teacher saved in between), the teacher-edited sections
+ * are merged three ways instead of overwritten:
+ *
+ *   base   — the sections as this copy last saw them on disk
+ *   local  — this copy
+ *   remote — the file on disk now
+ *
+ * A value only one side changed takes that side's value. sync_state is merged
+ * field by field for each student × outcome; when both sides changed the same
+ * field to different values it is a true conflict, and the entry edited last
+ * (updated_at, or last_synced_at) wins those fields. Whole sections such as
+ * outcome_weighting go by their updated_at the same way. Ignored alignments
+ * merge as a set: an alignment either side ignored or restored stays that way.
+ *
+ * Pure functions — no I/O. flushCacheWrite (plOutlookActions.js) reads the
+ * remote file, merges and writes the result.
+ */
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Three-way pick for one value
+ * @returns {{value: *}|{conflict: true}}
+ */
+function pick(base, local, remote) {
+    if (same(local, remote)) return { value: local };
+    if (same(local, base))   return { value: remote };
+    if (same(remote, base))  return { value: local };
+    return { conflict: true };
+}
+
+/** Time of the last change to a sync_state entry, in ms (0 when unknown) */
+function entryTime(entry) {
+    return Math.max(Date.parse(entry?.updated_at ?? '') || 0, Date.parse(entry?.last_synced_at ?? '') || 0);
+}
+
+/** Later of two ISO timestamps */
+function laterOf(a, b) {
+    return (Date.parse(a ?? '') || 0) >= (Date.parse(b ?? '') || 0) ? a : b;
+}
+
+/**
+ * Merge sync_state field by field for each student × outcome.
+ *
+ * @param {Object} base
+ * @param {Object} local
+ * @param {Object} remote
+ * @returns {{ merged: Object, conflicts: Array<{section: 'sync_state', outcomeId: string,
+ *   studentId: string, fields: string[], kept: 'local'|'remote'}> }}
+ */
+export function mergeSyncState(base, local, remote) {
+    const merged = {};
+    const conflicts = [];
+    const outcomeIds = new Set([...Object.keys(local ?? {}), ...Object.keys(remote ?? {})]);
+
+    for (const outcomeId of outcomeIds) {
+        const studentIds = new Set([...Object.keys(local?.[outcomeId] ?? {}), ...Object.keys(remote?.[outcomeId] ?? {})]);
+        merged[outcomeId] = {};
+
+        for (const studentId of studentIds) {
+            const l = local?.[outcomeId]?.[studentId];
+            const r = remote?.[outcomeId]?.[studentId];
+            if (!l || !r) {
+                merged[outcomeId][studentId] = { ...(l ?? r) };
+                continue;
+            }
+
+            const b = base?.[outcomeId]?.[studentId] ?? {};
+            const entry = {};
+            const conflictFields = [];
+            const fields = new Set([...Object.keys(l), ...Object.keys(r)]);
+            fields.delete('updated_at');
+            for (const field of fields) {
+                const result = pick(b[field], l[field], r[field]);
+                if (result.conflict) conflictFields.push(field);
+                else entry[field] = result.value;
+            }
+
+            if (conflictFields.length) {
+                const kept = entryTime(l) >= entryTime(r) ? 'local' : 'remote';
+                const winner = kept === 'local' ? l : r;
+                conflictFields.forEach(field => { entry[field] = winner[field]; });
+                conflicts.push({ section: 'sync_state', outcomeId, studentId, fields: conflictFields, kept });
+            }
+
+            const updatedAt = laterOf(l.updated_at, r.updated_at);
+            if (updatedAt) entry.updated_at = updatedAt;
+            merged[outcomeId][studentId] = entry;
+        }
+    }
+
+    return { merged, conflicts };
+}
+
+/**
+ * Merge ignored_alignments as a set keyed by student × outcome × alignment:
+ * an entry one side added is kept, an entry one side removed is dropped.
+ *
+ * @param {Array} base
+ * @param {Array} local
+ * @param {Array} remote
+ * @returns {Array}
+ */
+export function mergeIgnoredAlignments(base, local, remote) {
+    const keyOf = (ia) => `${ia.student_id}|${ia.outcome_id}|${ia.alignment_id}`;
+    const inBase = new Set((base ?? []).map(keyOf));
+    const inLocal = new Set((local ?? []).map(keyOf));
+    const inRemote = new Set((remote ?? []).map(keyOf));
+
+    return [
+        ...(local ?? []).filter(ia => inRemote.has(keyOf(ia)) || !inBase.has(keyOf(ia))),
+        ...(remote ?? []).filter(ia => !inLocal.has(keyOf(ia)) && !inBase.has(keyOf(ia)))
+    ];
+}
+
+/**
+ * Merge a map of per-key records (current_score_overrides); a key both sides
+ * changed goes to the record with the later `timeField`.
+ *
+ * @returns {{ merged: Object, conflicts: Array<{section: string, key: string, kept: 'local'|'remote'}> }}
+ */
+function mergeKeyed(section, base, local, remote, timeField) {
+    const merged = {};
+    const conflicts = [];
+    const keys = new Set([...Object.keys(local ?? {}), ...Object.keys(remote ?? {}), ...Object.keys(base ?? {})]);
+
+    for (const key of keys) {
+        const l = local?.[key];
+        const r = remote?.[key];
+        const result = pick(base?.[key], l, r);
+        let value = result.value;
+        if (result.conflict) {
+            const kept = (Date.parse(l?.[timeField] ?? '') || 0) >= (Date.parse(r?.[timeField] ?? '') || 0) ? 'local' : 'remote';
+            value = kept === 'local' ? l : r;
+            conflicts.push({ section, key, kept });
+        }
+        if (value != null) merged[key] = value;
+    }
+
+    return { merged, conflicts };
+}
+
+/**
+ * Merge a section edited as a whole (outcome_weighting, growth_model,
+ * intervention_groups); when both sides changed it, the later updated_at wins.
+ *
+ * @returns {{ value: *, conflicts: Array<{section: string, kept: 'local'|'remote'}> }}
+ */
+function mergeWhole(section, base, local, remote) {
+    const result = pick(base, local, remote);
+    if (!result.conflict) return { value: result.value ?? null, conflicts: [] };
+    const kept = (Date.parse(local?.updated_at ?? '') || 0) >= (Date.parse(remote?.updated_at ?? '') || 0) ? 'local' : 'remote';
+    return { value: kept === 'local' ? local : remote, conflicts: [{ section, kept }] };
+}
+
+/**
+ * Merge every teacher-edited section of two copies of the cache.
+ *
+ * pl_assignments and avg_assignment are written by setup and sync from what is
+ * on disk, so the remote copy wins for any outcome it has.
+ *
+ * @param {Object} base - Sections as last seen on disk ({} when unknown)
+ * @param {Object} local - In-memory cache
+ * @param {Object} remote - Cache file on disk now
+ * @returns {{ sections: Object, conflicts: Array<Object> }} Merged sections to
+ *   apply to the in-memory cache, and the true conflicts (empty when the edits
+ *   did not overlap)
+ */
+export function mergeCacheEdits(base, local, remote) {
+    const syncState = mergeSyncState(base?.sync_state, local?.sync_state, remote?.sync_state);
+    const overrides = mergeKeyed('current_score_overrides',
+        base?.current_score_overrides, local?.current_score_overrides, remote?.current_score_overrides, 'override_at');
+    const whole = ['outcome_weighting', 'growth_model', 'intervention_groups']
+        .map(section => [section, mergeWhole(section, base?.[section], local?.[section], remote?.[section])]);
+
+    return {
+        sections: {
+            sync_state:              syncState.merged,
+            ignored_alignments:      mergeIgnoredAlignments(base?.ignored_alignments, local?.ignored_alignments, remote?.ignored_alignments),
+            current_score_overrides: overrides.merged,
+            ...Object.fromEntries(whole.map(([section, result]) => [section, result.value])),
+            pl_assignments:          { ...(local?.pl_assignments ?? {}), ...(remote?.pl_assignments ?? {}) },
+            avg_assignment:          remote?.avg_assignment ?? local?.avg_assignment ?? null,
+        },
+        conflicts: [
+            ...syncState.conflicts,
+            ...overrides.conflicts,
+            ...whole.flatMap(([, result]) => result.conflicts)
+        ]
+    };
+}
@@ -0,0 +1,75 @@
+// src/masteryOutlook/masteryOutlookCacheMerge.test.js
+import { describe, it, expect } from 'vitest';
+import { mergeSyncState, mergeIgnoredAlignments, mergeCacheEdits } from './masteryOutlookCacheMerge.js';
+
+const entry = (fields = {}) => ({
+    last_synced_score: 3,
+    last_synced_at:    '2026-10-01T00:00:00Z',
+    manual_override:   false,
+    will_post:         null,
+    will_post_lock:    'none',
+    will_post_note:    null,
+    ...fields
+});
+
+const ignored = (studentId, alignmentId) => ({ student_id: studentId, outcome_id: '10', alignment_id: alignmentId });
+
+describe('mastery outlook cache merge', () => {
+    it('merges edits to different fields and different students without conflict', () => {
+        const base   = { 10: { 1: entry(), 2: entry() } };
+        const local  = { 10: { 1: entry({ will_post: 2.5, will_post_lock: 'unlocked' }), 2: entry() } };
+        const remote = { 10: { 1: entry({ will_post_note: 'Retake' }), 2: entry({ manual_override: true }) }, 11: { 3: entry() } };
+
+        const { merged, conflicts } = mergeSyncState(base, local, remote);
+
+        expect(conflicts).toEqual([]);
+        expect(merged['10']['1']).toMatchObject({ will_post: 2.5, will_post_lock: 'unlocked', will_post_note: 'Retake' });
+        expect(merged['10']['2'].manual_override).toBe(true);
+        expect(merged['11']['3']).toEqual(entry());
+    });
+
+    it('keeps the later edit when both sides changed the same field', () => {
+        const base   = { 10: { 1: entry() } };
+        const local  = { 10: { 1: entry({ will_post: 2, will_post_note: 'Mine', updated_at: '2026-10-18T10:00:00Z' }) } };
+        const remote = { 10: { 1: entry({ will_post: 3.5, updated_at: '2026-10-18T10:05:00Z' }) } };
+
+        const { merged, conflicts } = mergeSyncState(base, local, remote);
+
+        expect(conflicts).toEqual([{ section: 'sync_state', outcomeId: '10', studentId: '1', fields: ['will_post'], kept: 'remote' }]);
+        // Only the conflicting field goes to the later edit
+        expect(merged['10']['1']).toMatchObject({ will_post: 3.5, will_post_note: 'Mine', updated_at: '2026-10-18T10:05:00Z' });
+    });
+
+    it('merges ignored alignments as a set', () => {
+        const base   = [ignored('1', 'a'), ignored('2', 'a')];
+        const local  = [ignored('1', 'a'), ignored('2', 'a'), ignored('3', 'a')];   // added 3
+        const remote = [ignored('2', 'a'), ignored('4', 'a')];                        // restored 1, added 4
+
+        const keys = mergeIgnoredAlignments(base, local, remote).map(ia => ia.student_id);
+        expect(keys).toEqual(['2', '3', '4']);
+    });
+
+    it('merges whole sections by updated_at and keeps setup data from disk', () => {
+        const base   = { growth_model: { model: 'power_law', updated_at: '2026-10-01T00:00:00Z' }, outcome_weighting: null };
+        const local  = {
+            ...base,
+            growth_model:      { model: 'linear', updated_at: '2026-10-18T09:00:00Z' },
+            outcome_weighting: { outcomes: { 10: 2 }, updated_at: '2026-10-18T09:00:00Z' },
+            pl_assignments:    { 10: { assignment_id: 1 } }
+        };
+        const remote = {
+            ...base,
+            growth_model:   { model: 'decaying_average', updated_at: '2026-10-18T08:00:00Z' },
+            pl_assignments: { 10: { assignment_id: 1, submission_ids: { 1: 9 } }, 11: { assignment_id: 2 } },
+            current_score_overrides: { 1: { score: 3, override_at: '2026-10-18T08:00:00Z' } }
+        };
+
+        const { sections, conflicts } = mergeCacheEdits(base, local, remote);
+
+        expect(sections.growth_model.model).toBe('linear');
+        expect(sections.outcome_weighting.outcomes).toEqual({ 10: 2 });
+        expect(sections.pl_assignments).toEqual(remote.pl_assignments);
+        expect(sections.current_score_overrides).toEqual(remote.current_score_overrides);
+        expect(conflicts).toEqual([{ section: 'growth_model', kept: 'local' }]);
+    });
+});
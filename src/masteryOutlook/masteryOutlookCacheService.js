@@ -4,12 +4,24 @@
  *
  * Handles reading and writing the mastery outlook cache file to Canvas Files API.
  * Cache file: MOREnet_CustomizedGradebook/mastery_outlook_cache/mastery_outlook_cache.json
+ * Snapshots:  MOREnet_CustomizedGradebook/mastery_outlook_cache/mastery_outlook_snapshot_YYYY-MM-DD.json
  * Permissions: locked (unpublished), hidden: false (teachers can access)
  *
  * Schema versioning: Files with mismatched schemaVersion are discarded.
+ * Revisions: every write stamps a new metadata.revision, so a save can tell
+ * whether another teacher wrote the file since it was loaded (see
+ * flushCacheWrite in plOutlookActions.js).
  */
 
 import { logger } from '../utils/logger.js';
+import { MASTERY_SNAPSHOT_RETENTION } from '../config.js';
+import {
+    PARENT_FOLDER_NAME,
+    ensureCourseFolder,
+    ensureChildFolder,
+    invalidateCourseFolder,
+    uploadJsonFile
+} from '../services/courseFileStorage.js';
 
 // ═══════════════════════════════════════════════════════════════════════
 // CONSTANTS
@@ -21,9 +33,11 @@ import { logger } from '../utils/logger.js';
  */
 const SCHEMA_VERSION = '1.0';
 
-const PARENT_FOLDER_NAME = 'MOREnet_CustomizedGradebook';
 const FOLDER_NAME = 'mastery_outlook_cache';
 const FILE_NAME = 'mastery_outlook_cache.json';
+const SNAPSHOT_PREFIX = 'mastery_outlook_snapshot_';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // ═══════════════════════════════════════════════════════════════════════
 // FOLDER MANAGEMENT
@@ -32,17 +46,18 @@ const FILE_NAME = 'mastery_outlook_cache.json';
 /** Per-course memoized folder ID — folder structure never changes once created. */
 const _cachedFolderIdByCourse = new Map();
 
-/** Reset the memoized folder ID for a course (e.g. on write failure). */
+/** Reset the memoized folder IDs for a course (e.g. on write failure). */
 function invalidateFolderCache(courseId) {
     _cachedFolderIdByCourse.delete(String(courseId));
+    invalidateCourseFolder(courseId);
 }
 
 /**
  * Ensure the folder structure exists: MOREnet_CustomizedGradebook/mastery_outlook_cache/
  * Returns the folder ID of the mastery_outlook_cache subfolder.
  *
- * Memoized per courseId — first call does 5 roundtrips (root, parent list, parent
- * lock, subfolder list, subfolder lock); subsequent calls return immediately.
+ * Memoized per courseId; folder lookup and creation are shared with
+ * courseFileStorage.js.
  *
  * @param {string} courseId - Canvas course ID
  * @param {CanvasApiClient} apiClient - Canvas API client instance
@@ -54,20 +69,8 @@ export async function ensureFolder(courseId, apiClient) {
     if (cached) return cached;
 
     try {
-        // Step 1: Get root folder ID
-        const rootFolder = await apiClient.get(
-            `/api/v1/courses/${courseId}/folders/root`,
-            {},
-            'ensureFolder:getRootFolder'
-        );
-        const rootFolderId = rootFolder.id;
-        logger.debug(`[masteryOutlookCacheService] Root folder ID: ${rootFolderId}`);
-
-        // Step 2: Ensure parent folder exists
-        const parentFolderId = await ensureParentFolder(courseId, apiClient, rootFolderId);
-
-        // Step 3: Ensure subfolder exists
-        const folderId = await ensureSubfolder(courseId, apiClient, parentFolderId);
+        const parentFolderId = await ensureCourseFolder(courseId, apiClient);
+        const folderId = await ensureChildFolder(courseId, apiClient, FOLDER_NAME, parentFolderId);
 
         logger.info(`[masteryOutlookCacheService] Folder structure ready: ${PARENT_FOLDER_NAME}/${FOLDER_NAME} (id: ${folderId})`);
         _cachedFolderIdByCourse.set(cacheKey, folderId);
@@ -79,173 +82,100 @@ export async function ensureFolder(courseId, apiClient) {
     }
 }
 
+// ═══════════════════════════════════════════════════════════════════════
+// WRITE CACHE
+// ═══════════════════════════════════════════════════════════════════════
+
 /**
- * Ensure parent folder (MOREnet_CustomizedGradebook) exists
- * @private
+ * Undo scopeCacheToSection (masteryOutlookDataService.js): the full course
+ * cache with everything the scoped view changed since — sync state, ignored
+ * alignments, weighting, PL assignments and other top-level fields.
+ *
+ * @param {Object} cache - View cache, scoped or not
+ * @returns {Object} Full cache (the same object when not scoped)
  */
-async function ensureParentFolder(courseId, apiClient, rootFolderId) {
-    // Try to find existing parent folder
-    try {
-        const allFolders = await apiClient.get(
-            `/api/v1/courses/${courseId}/folders?per_page=100`,
-            {},
-            'ensureFolder:listFolders'
-        );
-        const existing = allFolders.find(f => f.name === PARENT_FOLDER_NAME && !f.deleted);
-
-        if (existing) {
-            logger.debug(`[masteryOutlookCacheService] Parent folder exists (id: ${existing.id})`);
-            await lockFolder(apiClient, existing.id);
-            return existing.id;
-        }
-    } catch (error) {
-        logger.warn('[masteryOutlookCacheService] Could not list folders, will try to create parent', error);
-    }
-
-    // Create parent folder
-    try {
-        const folder = await apiClient.post(
-            `/api/v1/courses/${courseId}/folders`,
-            {
-                name: PARENT_FOLDER_NAME,
-                parent_folder_id: rootFolderId,
-                hidden: false,  // Visible to teachers
-                locked: true    // UNPUBLISHED - blocks student access
-            },
-            {},
-            'ensureFolder:createParentFolder'
-        );
-        logger.info(`[masteryOutlookCacheService] Parent folder created (id: ${folder.id})`);
-        await lockFolder(apiClient, folder.id);
-        return folder.id;
-
-    } catch (error) {
-        // Handle name conflict - folder may exist but wasn't found in initial search
-        if (error.message.includes('already exists') || error.message.includes('taken')) {
-            logger.debug('[masteryOutlookCacheService] Parent folder name conflict, searching again...');
-            const allFolders = await apiClient.get(
-                `/api/v1/courses/${courseId}/folders?per_page=100`,
-                {},
-                'ensureFolder:listFoldersRetry'
-            );
-            const existing = allFolders.find(f => f.name === PARENT_FOLDER_NAME);
-
-            if (existing) {
-                logger.info(`[masteryOutlookCacheService] Found existing parent folder (id: ${existing.id})`);
-                await lockFolder(apiClient, existing.id);
-                return existing.id;
-            }
-        }
-
-        throw new Error(`Could not create parent folder: ${error.message}`);
-    }
+export function unscopeCache(cache) {
+    const full = cache?.unscoped;
+    if (!full) return cache;
+
+    const { unscoped, ...scoped } = cache;
+    const { section, ...meta } = scoped.meta ?? {};
+    return {
+        ...scoped,
+        meta: { ...meta, studentCount: full.meta?.studentCount },
+        outcomes: full.outcomes,
+        students: full.students
+    };
 }
 
 /**
- * Ensure subfolder (mastery_outlook_cache) exists
- * @private
+ * Upload a JSON file into the mastery_outlook_cache folder, replacing any
+ * file with the same name.
+ *
+ * @param {string} courseId - Canvas course ID
+ * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @param {string} fileName - File name in the folder
+ * @param {string} jsonContent - Serialized JSON
+ * @returns {Promise<Object>} Canvas file object
  */
-async function ensureSubfolder(courseId, apiClient, parentFolderId) {
-    // Try to find existing subfolder
-    try {
-        const allFolders = await apiClient.get(
-            `/api/v1/courses/${courseId}/folders?per_page=100`,
-            {},
-            'ensureFolder:listFolders'
-        );
-        const existing = allFolders.find(f =>
-            f.name === FOLDER_NAME &&
-            f.parent_folder_id === parentFolderId &&
-            !f.deleted
-        );
-
-        if (existing) {
-            logger.debug(`[masteryOutlookCacheService] Subfolder exists (id: ${existing.id})`);
-            await lockFolder(apiClient, existing.id);
-            return existing.id;
-        }
-    } catch (error) {
-        logger.warn('[masteryOutlookCacheService] Could not list folders, will try to create subfolder', error);
-    }
-
-    // Create subfolder
-    try {
-        const folder = await apiClient.post(
-            `/api/v1/courses/${courseId}/folders`,
-            {
-                name: FOLDER_NAME,
-                parent_folder_id: parentFolderId,
-                hidden: false,  // Visible to teachers
-                locked: true    // UNPUBLISHED - blocks student access
-            },
-            {},
-            'ensureFolder:createSubfolder'
-        );
-        logger.info(`[masteryOutlookCacheService] Subfolder created (id: ${folder.id})`);
-        await lockFolder(apiClient, folder.id);
-        return folder.id;
-
-    } catch (error) {
-        // Handle name conflict
-        if (error.message.includes('already exists') || error.message.includes('taken')) {
-            logger.debug('[masteryOutlookCacheService] Subfolder name conflict, searching again...');
-            const allFolders = await apiClient.get(
-                `/api/v1/courses/${courseId}/folders?per_page=100`,
-                {},
-                'ensureFolder:listFoldersRetry'
-            );
-            const existing = allFolders.find(f =>
-                f.name === FOLDER_NAME &&
-                f.parent_folder_id === parentFolderId
-            );
+async function uploadToCacheFolder(courseId, apiClient, fileName, jsonContent) {
+    const folderId = await ensureFolder(courseId, apiClient);
+    const file = await uploadJsonFile(courseId, apiClient, folderId, fileName, jsonContent);
+    logger.info(`[masteryOutlookCacheService] ${fileName} written successfully (file id: ${file?.id})`);
+    return file;
+}
 
-            if (existing) {
-                logger.info(`[masteryOutlookCacheService] Found existing subfolder (id: ${existing.id})`);
-                await lockFolder(apiClient, existing.id);
-                return existing.id;
-            }
-        }
+/**
+ * Revision of the file a cache was loaded from or last written as.
+ * Loaded view caches carry the file's metadata as `meta`.
+ *
+ * @param {Object} cache - File cache or view cache
+ * @returns {string|null} null for files written before revisions existed
+ */
+export function cacheRevision(cache) {
+    return cache?.metadata?.revision ?? cache?.meta?.revision ?? null;
+}
 
-        throw new Error(`Could not create subfolder: ${error.message}`);
-    }
+/** A new, unique revision id */
+function newRevision() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
 }
 
 /**
- * Ensure folder is locked (unpublished) to prevent student access
- * @private
+ * Record the revision just written on the in-memory cache (and the full
+ * course cache behind a section-scoped one), so the next save compares
+ * against it.
+ *
+ * @param {Object} cacheData - File cache or view cache (mutated)
+ * @param {string} revision
  */
-async function lockFolder(apiClient, folderId) {
-    try {
-        await apiClient.put(
-            `/api/v1/folders/${folderId}`,
-            {
-                hidden: false,           // Teachers can see it
-                locked: true,            // UNPUBLISHED - students blocked
-                unlock_at: '',
-                lock_at: '',
-                visibility_level: 'inherit'
-            },
-            {},
-            'lockFolder'
-        );
-        logger.debug(`[masteryOutlookCacheService] Folder ${folderId} set to UNPUBLISHED`);
-    } catch (error) {
-        logger.warn(`[masteryOutlookCacheService] Could not lock folder ${folderId}`, error);
-        // Non-fatal - folder may already be locked
-    }
+export function stampRevision(cacheData, revision) {
+    [cacheData, cacheData?.unscoped].filter(Boolean).forEach(c => {
+        if (c.metadata) c.metadata.revision = revision;
+        if (c.meta)     c.meta.revision     = revision;
+    });
 }
 
-// ═══════════════════════════════════════════════════════════════════════
-// WRITE CACHE
-// ═══════════════════════════════════════════════════════════════════════
+/** Last cache file written from this page, per course (see lastCacheWrite) */
+const _lastWriteByCourse = new Map();
+
+/**
+ * The cache file this page last wrote for a course, whichever path wrote it
+ * (view saves, or runPLSync's read-modify-writes through writeSyncState).
+ * Lets the view tell its own writes from another teacher's.
+ *
+ * @param {string} courseId
+ * @returns {{revision: string, cache: Object}|null} cache is the full file content as written
+ */
+export function lastCacheWrite(courseId) {
+    return _lastWriteByCourse.get(String(courseId)) ?? null;
+}
 
 /**
  * Write mastery outlook cache to Canvas Files API
  *
- * 3-step process:
- * 1. Request upload URL from Canvas
- * 2. Upload file to that URL
- * 3. Confirm upload completion
+ * Stamps a new metadata.revision and records it on `cacheData` and in
+ * lastCacheWrite().
  *
  * @param {string} courseId - Canvas course ID
  * @param {CanvasApiClient} apiClient - Canvas API client instance
@@ -254,71 +184,24 @@ async function lockFolder(apiClient, folderId) {
  */
 export async function writeMasteryOutlookCache(courseId, apiClient, cacheData) {
     try {
-        // Ensure folder exists
-        const folderId = await ensureFolder(courseId, apiClient);
+        // Always persist the whole course, even from a section-scoped view
+        const fullCache = unscopeCache(cacheData);
+        const revision = newRevision();
 
-        // Add schema version to metadata
+        // Add schema version and revision to metadata
         const cacheWithVersion = {
-            ...cacheData,
+            ...fullCache,
             metadata: {
-                ...cacheData.metadata,
-                schemaVersion: SCHEMA_VERSION
+                ...fullCache.metadata,
+                schemaVersion: SCHEMA_VERSION,
+                revision
             }
         };
 
-        const jsonContent = JSON.stringify(cacheWithVersion, null, 2);
-        const fileSize = new Blob([jsonContent]).size;
-
-        logger.info(`[masteryOutlookCacheService] Writing cache (${fileSize} bytes) to Canvas Files...`);
-
-        // Step 1: Request upload instructions
-        const uploadInstructions = await apiClient.post(
-            `/api/v1/courses/${courseId}/files`,
-            {
-                name: FILE_NAME,
-                size: fileSize,
-                content_type: 'application/json',
-                parent_folder_id: folderId,
-                on_duplicate: 'overwrite'  // Replace existing file
-            },
-            {},
-            'writeMasteryOutlookCache:requestUpload'
-        );
-
-        // Step 2: Upload file to Canvas storage
-        const formData = new FormData();
-        Object.entries(uploadInstructions.upload_params).forEach(([key, value]) => {
-            formData.append(key, value);
-        });
-        formData.append('file', new Blob([jsonContent], { type: 'application/json' }), FILE_NAME);
-
-        const uploadResponse = await fetch(uploadInstructions.upload_url, {
-            method: 'POST',
-            body: formData,
-            credentials: 'include'
-        });
-
-        if (!uploadResponse.ok) {
-            throw new Error(`Upload failed: ${uploadResponse.status} ${uploadResponse.statusText}`);
-        }
-
-        const uploadResult = await uploadResponse.json();
-
-        // Step 3: Confirm upload and lock file
-        const fileId = uploadResult.id;
-        const finalFile = await apiClient.put(
-            `/api/v1/files/${fileId}`,
-            {
-                locked: true,            // UNPUBLISHED
-                hidden: false,           // Teachers can access
-                visibility_level: 'inherit'
-            },
-            {},
-            'writeMasteryOutlookCache:lockFile'
-        );
-
-        logger.info(`[masteryOutlookCacheService] Cache written successfully (file id: ${fileId})`);
-        return finalFile;
+        const file = await uploadToCacheFolder(courseId, apiClient, FILE_NAME, JSON.stringify(cacheWithVersion, null, 2));
+        stampRevision(cacheData, revision);
+        _lastWriteByCourse.set(String(courseId), { revision, cache: cacheWithVersion });
+        return file;
 
     } catch (error) {
         logger.error('[masteryOutlookCacheService] Failed to write cache', error);
@@ -411,11 +294,134 @@ export async function readMasteryOutlookCache(courseId, apiClient) {
     }
 }
 
+/**
+ * The cache a caller already read (null included), or a fresh read when none
+ * was passed. Lets runFullRefresh read every section from one download.
+ * @private
+ */
+async function cacheOrRead(courseId, apiClient, cache) {
+    return cache !== undefined ? cache : readMasteryOutlookCache(courseId, apiClient);
+}
+
 /**
  * Export schema version for external validation
  */
 export { SCHEMA_VERSION };
 
+// ═══════════════════════════════════════════════════════════════════════
+// SNAPSHOTS — dated copies of each refresh (see masteryOutlookSnapshots.js)
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Snapshot file name for a date (UTC day)
+ * @param {Date} [date=new Date()]
+ * @returns {string} e.g. "mastery_outlook_snapshot_2026-10-18.json"
+ */
+export function snapshotFileName(date = new Date()) {
+    return `${SNAPSHOT_PREFIX}${date.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Day a snapshot file was taken, from its name
+ * @param {string} fileName
+ * @returns {string|null} "YYYY-MM-DD", or null when the name is not a snapshot
+ */
+export function snapshotDateFromFileName(fileName) {
+    const match = /^mastery_outlook_snapshot_(\d{4}-\d{2}-\d{2})\.json$/.exec(fileName ?? '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Snapshot files to delete: beyond the newest `maxCount`, or older than
+ * `days`. A limit of 0 is not applied.
+ *
+ * @param {Array<{display_name: string}>} files - Snapshot files, any order
+ * @param {{days: number, maxCount: number}} retention
+ * @param {Date} [now=new Date()]
+ * @returns {Array<Object>} Files to delete
+ */
+export function selectSnapshotsToDelete(files, { days = 0, maxCount = 0 }, now = new Date()) {
+    const cutoff = days > 0 ? new Date(now.getTime() - days * DAY_MS).toISOString().slice(0, 10) : null;
+    return files
+        .map(file => ({ file, date: snapshotDateFromFileName(file.display_name) }))
+        .filter(f => f.date)
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .filter((f, i) => (maxCount > 0 && i >= maxCount) || (cutoff !== null && f.date < cutoff))
+        .map(f => f.file);
+}
+
+/**
+ * List the course's snapshots, newest first
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<Array<{id, date, fileName, url, size}>>} Empty on any error
+ */
+export async function listMasteryOutlookSnapshots(courseId, apiClient) {
+    try {
+        const files = await apiClient.getAllPages(
+            `/api/v1/courses/${courseId}/files?search_term=${SNAPSHOT_PREFIX}&content_types[]=application/json`,
+            {},
+            'listMasteryOutlookSnapshots'
+        );
+        return files
+            .map(f => ({ id: f.id, date: snapshotDateFromFileName(f.display_name), fileName: f.display_name, url: f.url, size: f.size }))
+            .filter(f => f.date)
+            .sort((a, b) => b.date.localeCompare(a.date));
+    } catch (error) {
+        logger.warn('[masteryOutlookCacheService] Could not list snapshots', error);
+        return [];
+    }
+}
+
+/**
+ * Download one snapshot
+ *
+ * @param {{url: string, fileName: string}} file - from listMasteryOutlookSnapshots()
+ * @returns {Promise<Object|null>} Snapshot, or null if it could not be read
+ */
+export async function readMasteryOutlookSnapshot(file) {
+    try {
+        const response = await fetch(file.url, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Failed to download snapshot: ${response.status} ${response.statusText}`);
+        }
+        return JSON.parse(await response.text());
+    } catch (error) {
+        logger.error(`[masteryOutlookCacheService] Failed to read snapshot ${file.fileName}`, error);
+        return null;
+    }
+}
+
+/**
+ * Write today's snapshot (replacing one already taken today), then delete
+ * snapshots outside MASTERY_SNAPSHOT_RETENTION. Does nothing when snapshots
+ * are turned off (retention `false`).
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @param {Object} snapshot - from buildMasteryOutlookSnapshot()
+ * @param {{days: number, maxCount: number}|false} [retention=MASTERY_SNAPSHOT_RETENTION]
+ * @returns {Promise<Object|null>} Canvas file object, or null when turned off
+ */
+export async function writeMasteryOutlookSnapshot(courseId, apiClient, snapshot, retention = MASTERY_SNAPSHOT_RETENTION) {
+    if (!retention || !snapshot) return null;
+
+    const file = await uploadToCacheFolder(courseId, apiClient, snapshotFileName(new Date(snapshot.taken_at)), JSON.stringify(snapshot));
+
+    const existing = await listMasteryOutlookSnapshots(courseId, apiClient);
+    const expired = selectSnapshotsToDelete(existing.map(f => ({ ...f, display_name: f.fileName })), retention);
+    for (const old of expired) {
+        try {
+            await apiClient.delete(`/api/v1/files/${old.id}`, {}, 'writeMasteryOutlookSnapshot:prune');
+            logger.debug(`[masteryOutlookCacheService] Deleted expired snapshot ${old.fileName}`);
+        } catch (error) {
+            logger.warn(`[masteryOutlookCacheService] Could not delete snapshot ${old.fileName}`, error);
+        }
+    }
+    return file;
+}
+
 // ═══════════════════════════════════════════════════════════════════════
 // PL ASSIGNMENTS — read/write pl_assignments section of the shared cache
 // ═══════════════════════════════════════════════════════════════════════
@@ -430,10 +436,11 @@ export { SCHEMA_VERSION };
  *
  * @param {string} courseId
  * @param {CanvasApiClient} apiClient
+ * @param {Object|null} [cache] - Cache the caller already read (skips the download)
  * @returns {Promise<Object>} pl_assignments object, or {} if not yet set up
  */
-export async function readPLAssignments(courseId, apiClient) {
-    const cache = await readMasteryOutlookCache(courseId, apiClient);
+export async function readPLAssignments(courseId, apiClient, cache) {
+    cache = await cacheOrRead(courseId, apiClient, cache);
     return cache?.pl_assignments || {};
 }
 
@@ -483,10 +490,11 @@ export async function writePLAssignments(courseId, plAssignments, apiClient) {
  *
  * @param {string} courseId
  * @param {CanvasApiClient} apiClient
+ * @param {Object|null} [cache] - Cache the caller already read (skips the download)
  * @returns {Promise<Object>} sync_state object, or {} if none recorded yet
  */
-export async function readSyncState(courseId, apiClient) {
-    const cache = await readMasteryOutlookCache(courseId, apiClient);
+export async function readSyncState(courseId, apiClient, cache) {
+    cache = await cacheOrRead(courseId, apiClient, cache);
     return cache?.sync_state ?? {};
 }
 
@@ -507,10 +515,11 @@ export async function readSyncState(courseId, apiClient) {
  *
  * @param {string} courseId
  * @param {CanvasApiClient} apiClient
+ * @param {Object|null} [cache] - Cache the caller already read (skips the download)
  * @returns {Promise<Array>} ignored_alignments array, or [] if none recorded yet
  */
-export async function readIgnoredAlignments(courseId, apiClient) {
-    const cache = await readMasteryOutlookCache(courseId, apiClient);
+export async function readIgnoredAlignments(courseId, apiClient, cache) {
+    cache = await cacheOrRead(courseId, apiClient, cache);
     return cache?.ignored_alignments ?? [];
 }
 
@@ -569,4 +578,74 @@ export async function writeSyncState(courseId, syncState, apiClient, baseCache =
     const outcomeCount = Object.keys(syncState).length;
     logger.info(`[masteryOutlookCacheService] Writing sync_state for ${outcomeCount} outcome(s)`);
     return writeMasteryOutlookCache(courseId, apiClient, merged);
-}
\ No newline at end of file
+}
+
+/**
+ * Read the outcome_weighting section from the mastery outlook cache.
+ *
+ * outcome_weighting stores the teacher's Current Score weighting model
+ * (per outcome ID, per keyword, and outcome groups). It is honoured by
+ * calculateStudentAverages and preserved across Refresh Data. Written from
+ * the Mastery Outlook weighting panel via the in-memory cache write path.
+ *
+ * Shape: {
+ *   outcomes: { [outcomeId]: weight },
+ *   keywords: { [keyword]: weight },
+ *   groups: [{ name, weight, outcome_ids, keywords }],
+ *   updated_at
+ * }
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @param {Object|null} [cache] - Cache the caller already read (skips the download)
+ * @returns {Promise<Object|null>} outcome_weighting object, or null if none saved
+ */
+export async function readOutcomeWeighting(courseId, apiClient, cache) {
+    cache = await cacheOrRead(courseId, apiClient, cache);
+    return cache?.outcome_weighting ?? null;
+}
+
+
+/**
+ * Read the growth_model section from the mastery outlook cache.
+ *
+ * growth_model stores the growth model the teacher picked for the course
+ * (see growthModels.js). It is used by runFullRefresh and every in-view
+ * recompute, and preserved across Refresh Data.
+ *
+ * Shape: { model, updated_at }
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @param {Object|null} [cache] - Cache the caller already read (skips the download)
+ * @returns {Promise<Object|null>} growth_model object, or null if none saved
+ */
+export async function readGrowthModel(courseId, apiClient, cache) {
+    cache = await cacheOrRead(courseId, apiClient, cache);
+    return cache?.growth_model ?? null;
+}
+
+
+/**
+ * Read the intervention_groups section from the mastery outlook cache.
+ *
+ * intervention_groups stores the re-teach groups saved from the Mastery
+ * Outlook Groups view (see interventionGroups.js), with the Canvas group and
+ * assignment ids they were pushed as. Preserved across Refresh Data.
+ *
+ * Shape: {
+ *   threshold,
+ *   groups: [{ id, name, outcome_ids, student_ids, canvas_group_id, assignment_id, override_id }],
+ *   group_category_id,
+ *   updated_at
+ * }
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @param {Object|null} [cache] - Cache the caller already read (skips the download)
+ * @returns {Promise<Object|null>} intervention_groups object, or null if none saved
+ */
+export async function readInterventionGroups(courseId, apiClient, cache) {
+    cache = await cacheOrRead(courseId, apiClient, cache);
+    return cache?.intervention_groups ?? null;
+}
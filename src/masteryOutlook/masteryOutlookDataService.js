@@ -16,8 +16,10 @@
 
 import { logger } from '../utils/logger.js';
 import { fetchCourseStudents } from '../services/enrollmentService.js';
-import { computeStudentOutcome, computeClassStats, MIN_SCORES } from './powerLaw.js';
-import { readPLAssignments } from './masteryOutlookCacheService.js'
+import { filterResultsByGradingPeriod, buildGradingPeriodRollup, isInGradingPeriod } from '../services/gradingPeriodService.js';
+import { computeClassStats, MIN_SCORES } from './powerLaw.js';
+import { computeGrowthOutcome, computeCacheGrowthOutcome, resolveGrowthModelId, getGrowthModelOptions } from './growthModels.js';
+import { readPLAssignments, unscopeCache } from './masteryOutlookCacheService.js'
 
 // ═══════════════════════════════════════════════════════════════════════
 // FETCH OUTCOME METADATA
@@ -31,7 +33,7 @@ import { readPLAssignments } from './masteryOutlookCacheService.js'
  *
  * @param {string} courseId - Canvas course ID
  * @param {CanvasApiClient} apiClient - Canvas API client instance
- * @returns {Promise<Array>} Array of {id, title, displayOrder}
+ * @returns {Promise<Array>} Array of {id, title, displayOrder, groupId, groupTitle}
  */
 export async function fetchOutcomeNames(courseId, apiClient) {
     try {
@@ -60,8 +62,9 @@ export async function fetchOutcomeNames(courseId, apiClient) {
 
         const results = await Promise.all(outcomePromises);
 
-        // Flatten and map to simple structure
-        const allOutcomes = results.flat();
+        // Flatten and map to simple structure, keeping each outcome's Canvas group
+        const allOutcomes = results.flatMap((links, i) =>
+            (links ?? []).map(link => ({ ...link, group: groups[i] })));
 
         if (allOutcomes.length === 0) {
             logger.warn('[outcomesDataService] No outcomes found in course');
@@ -71,7 +74,9 @@ export async function fetchOutcomeNames(courseId, apiClient) {
         const outcomeList = allOutcomes.map((outcomeWrapper, index) => ({
             id: outcomeWrapper.outcome.id,
             title: outcomeWrapper.outcome.title || outcomeWrapper.outcome.display_name || `Outcome ${outcomeWrapper.outcome.id}`,
-            displayOrder: index + 1
+            displayOrder: index + 1,
+            groupId: String(outcomeWrapper.group.id),
+            groupTitle: outcomeWrapper.group.title || `Group ${outcomeWrapper.group.id}`
         }));
 
         logger.info(`[outcomesDataService] Fetched ${outcomeList.length} outcomes`);
@@ -93,11 +98,17 @@ export async function fetchOutcomeNames(courseId, apiClient) {
  * These are the scores Canvas calculates and displays in the gradebook,
  * based on the outcome's calculation_method (decaying_average, n_mastery, etc.)
  *
+ * With a grading period, the scores are recomputed from that period's outcome
+ * results instead (Canvas rollups always span the whole course).
+ *
  * @param {string} courseId - Canvas course ID
  * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @param {Object} [opts]
+ * @param {Object|null} [opts.gradingPeriod=null] - Selected grading period
+ * @param {Array<Object>} [opts.outcomeResults=[]] - Outcome results to rebuild the period scores from
  * @returns {Promise<Object>} Map of studentId_outcomeId -> canvasScore
  */
-export async function fetchOutcomeRollups(courseId, apiClient) {
+export async function fetchOutcomeRollups(courseId, apiClient, { gradingPeriod = null, outcomeResults = [] } = {}) {
     try {
         logger.info('[outcomesDataService] Fetching Canvas outcome rollups...');
 
@@ -115,7 +126,10 @@ export async function fetchOutcomeRollups(courseId, apiClient) {
         }
 
         // Extract rollups array from response object
-        const rollups = rollupResponse.rollups || [];
+        const rollups = (gradingPeriod
+            ? buildGradingPeriodRollup(rollupResponse, outcomeResults, gradingPeriod)
+            : rollupResponse
+        ).rollups || [];
 
         if (rollups.length === 0) {
             logger.warn('[outcomesDataService] No rollups found in response');
@@ -318,6 +332,9 @@ export async function bulkFetchOutcomeResults(courseId, outcomeId, apiClient, pl
  *   2. od.plPrediction — recomputed from fresh attempts (respecting ignored alignments)
  *   3. od.canvasScore — live rollup score from Canvas
  *
+ * When the cache was built for a grading period (cache.meta.gradingPeriod), only
+ * that period's attempts are kept and the all-period live score is not applied.
+ *
  * Returns true if any data changed, false otherwise.
  * Silent fail on errors — cached data remains unchanged.
  *
@@ -341,7 +358,7 @@ export async function refreshStudentOutcomeData(courseId, outcomeId, studentId,
 
     // When preloaded data is provided (from a preceding bulk/outcome-level fetch),
     // reuse it instead of issuing redundant per-student API calls.
-    const [freshAttempts, scoreMap] = await Promise.all([
+    const [fetchedAttempts, scoreMap] = await Promise.all([
         preloadedAttempts != null
             ? Promise.resolve(preloadedAttempts)
             : fetchStudentOutcomeAttempts(courseId, outcomeId, studentId, apiClient, plAssignmentIds),
@@ -350,6 +367,12 @@ export async function refreshStudentOutcomeData(courseId, outcomeId, studentId,
             : fetchOutcomeRollupsForOutcome(courseId, outcomeId, apiClient)
     ]);
 
+    // A cache built for a grading period only holds that period's attempts
+    const gradingPeriod = cache.meta?.gradingPeriod ?? null;
+    const freshAttempts = fetchedAttempts !== null && gradingPeriod
+        ? fetchedAttempts.filter(a => isInGradingPeriod(a.assessedAt, gradingPeriod))
+        : fetchedAttempts;
+
     let changed = false;
 
     if (freshAttempts !== null) {
@@ -379,15 +402,13 @@ export async function refreshStudentOutcomeData(courseId, outcomeId, studentId,
                            && String(ia.outcome_id)  === String(outcomeId))
                 .map(ia => ia.alignment_id)
         );
-        const activeScores = freshAttempts
-            .filter(a => !ignoredIds.has(a.assignmentId))
-            .map(a => a.score)
-            .filter(s => s != null);
+        const activeAttempts = freshAttempts.filter(a => !ignoredIds.has(a.assignmentId));
 
-        Object.assign(od, computeStudentOutcome(activeScores));
+        Object.assign(od, computeCacheGrowthOutcome(cache, outcomeId, activeAttempts));
     }
 
-    const liveScore = scoreMap.get(String(studentId));
+    // Live rollup scores span every grading period — keep the period's score
+    const liveScore = gradingPeriod ? undefined : scoreMap.get(String(studentId));
     if (liveScore !== undefined && liveScore !== od.canvasScore) {
         od.canvasScore = liveScore;
         changed = true;
@@ -558,56 +579,101 @@ export async function fetchAllOutcomeResultsParallel(courseId, apiClient, plAssi
     return { results: filtered, alignmentNameMap };
 }
 
+/** Students per outcome_results request when fetching for a few students (keeps the URL short) */
+const RESULTS_USER_CHUNK_SIZE = 50;
+
 /**
- * Fetch all outcome results for a course using manual pagination.
+ * Page through one outcome_results query.
  * Canvas returns `{ outcome_results: [...] }` rather than a direct array,
  * so `getAllPages` cannot be used; this function pages through manually.
  *
+ * @param {string} baseUrl - outcome_results URL without per_page/page
+ * @param {Object} apiClient - CanvasApiClient instance
+ * @param {Array} allResults - Results are appended here
+ * @param {Object} alignmentNameMap - Alignment names are added here
+ * @param {Function} onProgress - Progress callback receiving a status string
+ */
+async function fetchOutcomeResultPages(baseUrl, apiClient, allResults, alignmentNameMap, onProgress) {
+    let page = 1;
+    let hasMore = true;
+    let nextUrl = `${baseUrl}&per_page=100`;
+
+    while (hasMore) {
+        const response = await apiClient.get(
+            nextUrl,
+            {},
+            `fetchOutcomeResults:page${page}`
+        );
+
+        // Extract outcome_results array from response
+        const pageResults = response.outcome_results || [];
+        allResults.push(...pageResults);
+
+        // Collect alignment name metadata from this page
+        Object.assign(alignmentNameMap, buildAlignmentNameMap(response.linked?.alignments ?? []));
+
+        logger.debug(`[outcomesDataService] Page ${page}: ${pageResults.length} results`);
+        onProgress(`Fetching outcome results... page ${page} (${allResults.length} total)`);
+
+        // Check for next page using Link header
+        // apiClient should expose pagination info, but we'll check response
+        if (pageResults.length < 100) {
+            // Last page (fewer results than per_page)
+            hasMore = false;
+        } else {
+            // Continue to next page
+            page++;
+            nextUrl = `${baseUrl}&per_page=100&page=${page}`;
+        }
+    }
+}
+
+/**
+ * Fetch all outcome results for a course using manual pagination.
+ *
+ * With `userIds`, only those students' results are requested (user_ids[]).
+ * Canvas rejects the whole request (400) when any entry is not a student in
+ * the course, so on a 400 this falls back to the full course filtered in JS,
+ * as getRollupForUsers does.
+ *
  * @param {string|number} courseId - Canvas course ID
  * @param {Object} apiClient - CanvasApiClient instance
  * @param {Function} [onProgress=() => {}] - Progress callback receiving a status string
+ * @param {Object} [options]
+ * @param {Array<string>|null} [options.userIds] - Only fetch results for these students
  * @returns {Promise<{ results: Array, alignmentNameMap: Object }>} Paginated outcome results and alignment metadata
  */
-export async function fetchOutcomeResults(courseId, apiClient, onProgress = () => {}) {
+export async function fetchOutcomeResults(courseId, apiClient, onProgress = () => {}, { userIds = null } = {}) {
+    const baseUrl = `/api/v1/courses/${courseId}/outcome_results?include[]=alignments`;
     try {
-        logger.info('[outcomesDataService] Fetching ALL outcome results...');
-        onProgress('Fetching outcome results...');
-
-        // Manual pagination because Canvas API returns { outcome_results: [...] }
-        // not a direct array like other endpoints
         let allResults = [];
-        const alignmentNameMap = {};
-        let page = 1;
-        let hasMore = true;
-        let nextUrl = `/api/v1/courses/${courseId}/outcome_results?include[]=alignments&per_page=100`;
-
-        while (hasMore) {
-            const response = await apiClient.get(
-                nextUrl,
-                {},
-                `fetchOutcomeResults:page${page}`
-            );
-
-            // Extract outcome_results array from response
-            const pageResults = response.outcome_results || [];
-            allResults = allResults.concat(pageResults);
+        let alignmentNameMap = {};
 
-            // Collect alignment name metadata from this page
-            Object.assign(alignmentNameMap, buildAlignmentNameMap(response.linked?.alignments ?? []));
-
-            logger.debug(`[outcomesDataService] Page ${page}: ${pageResults.length} results`);
-            onProgress(`Fetching outcome results... page ${page} (${allResults.length} total)`);
-
-            // Check for next page using Link header
-            // apiClient should expose pagination info, but we'll check response
-            if (pageResults.length < 100) {
-                // Last page (fewer results than per_page)
-                hasMore = false;
-            } else {
-                // Continue to next page
-                page++;
-                nextUrl = `/api/v1/courses/${courseId}/outcome_results?include[]=alignments&per_page=100&page=${page}`;
+        if (userIds) {
+            const ids = [...new Set(userIds.map(String))];
+            logger.info(`[outcomesDataService] Fetching outcome results for ${ids.length} student(s)...`);
+            onProgress('Fetching outcome results...');
+            try {
+                for (let i = 0; i < ids.length; i += RESULTS_USER_CHUNK_SIZE) {
+                    const userQuery = ids.slice(i, i + RESULTS_USER_CHUNK_SIZE)
+                        .map(id => `&user_ids[]=${encodeURIComponent(id)}`)
+                        .join('');
+                    await fetchOutcomeResultPages(`${baseUrl}${userQuery}`, apiClient, allResults, alignmentNameMap, onProgress);
+                }
+            } catch (error) {
+                if (error?.statusCode !== 400) throw error;
+
+                logger.warn('[outcomesDataService] Canvas rejected user_ids[] (not all are students) — falling back to all outcome results');
+                allResults = [];
+                alignmentNameMap = {};
+                await fetchOutcomeResultPages(baseUrl, apiClient, allResults, alignmentNameMap, onProgress);
+                const wanted = new Set(ids);
+                allResults = allResults.filter(r => wanted.has(String(r.links?.user)));
             }
+        } else {
+            logger.info('[outcomesDataService] Fetching ALL outcome results...');
+            onProgress('Fetching outcome results...');
+            await fetchOutcomeResultPages(baseUrl, apiClient, allResults, alignmentNameMap, onProgress);
         }
 
         logger.info(`[outcomesDataService] Fetched ${allResults.length} outcome results`);
@@ -636,7 +702,8 @@ export async function fetchOutcomeResults(courseId, apiClient, onProgress = () =
  *
  * @param {Array}  outcomeResults   - Raw outcome_results from Canvas API
  * @param {Object} [alignmentNameMap={}] - { alignmentId → assignmentName } from linked.alignments
- * @returns {Object} Grouped attempts: { "studentId_outcomeId": [{score, timestamp, assignmentId, assignmentName}] }
+ * @returns {Object} Grouped attempts: { "studentId_outcomeId": [{score, timestamp, assessedAt, assignmentId, assignmentName}] }
+ *   (assessedAt = submitted_or_assessed_at, used for grading period filtering)
  */
 export function extractAttempts(outcomeResults, alignmentNameMap = {}) {
     // Defensive check
@@ -676,6 +743,7 @@ export function extractAttempts(outcomeResults, alignmentNameMap = {}) {
         grouped[key].push({
             score: parseFloat(score),
             timestamp: timestamp,
+            assessedAt: result.submitted_or_assessed_at ?? null,
             assignmentId: assignmentId,
             assignmentName: alignmentNameMap[assignmentId]
                          ?? alignmentNameMap[`assignment_${assignmentId}`]
@@ -748,9 +816,12 @@ export function extractAttempts(outcomeResults, alignmentNameMap = {}) {
  *                                          to exclude from outcome results, merged with any IDs
  *                                          read from the disk cache. Use when the disk cache may
  *                                          be empty but PL assignments are known to exist in Canvas.
+ * @param {Object|null} [opts.gradingPeriod=null]  Only use outcome results assessed in this
+ *                                          grading period (attempts and Canvas scores).
  * @returns {Promise<{outcomes, students, groupedAttempts, canvasRollups, courseId}>}
  */
-export async function fetchAllOutcomeData(courseId, apiClient, onProgress = () => {}, { parallel = false, knownPlAssignmentIds = null } = {}) {
+export async function fetchAllOutcomeData(courseId, apiClient, onProgress = () => {},
+                                          { parallel = false, knownPlAssignmentIds = null, gradingPeriod = null } = {}) {
     try {
         logger.info(`[outcomesDataService] Starting complete data fetch (parallel=${parallel})...`);
         onProgress('Starting data fetch...');
@@ -810,9 +881,18 @@ export async function fetchAllOutcomeData(courseId, apiClient, onProgress = () =
             }
         }
 
+        // Step 3.5: Keep only the selected grading period's results
+        if (gradingPeriod) {
+            onProgress(`Filtering results to "${gradingPeriod.title}"...`);
+            filteredResults = filterResultsByGradingPeriod(filteredResults, gradingPeriod);
+        }
+
         // Step 4: Fetch Canvas official rollup scores
         onProgress('Fetching Canvas rollup scores...');
-        const canvasRollups = await fetchOutcomeRollups(courseId, apiClient);
+        const canvasRollups = await fetchOutcomeRollups(courseId, apiClient, {
+            gradingPeriod,
+            outcomeResults: filteredResults
+        });
 
         // Pass alignmentNameMap so each attempt gets its assignment name populated
         const groupedAttempts = extractAttempts(filteredResults, alignmentNameMap);
@@ -836,31 +916,46 @@ export async function fetchAllOutcomeData(courseId, apiClient, onProgress = () =
  * Compute Power Law statistics for all student+outcome combinations
  *
  * For each student+outcome:
- * - Check if scores.length >= MIN_SCORES
- * - If yes: call computeStudentOutcome() from powerLaw.js
+ * - Check if the history has enough scores for the course's growth model
+ * - If yes: call computeGrowthOutcome() from growthModels.js
+ *   (Power Law from powerLaw.js by default)
  * - If no: set status='NE'
  *
  * Then compute class stats per outcome using computeClassStats()
  *
  * @param {Object} data - Combined data from fetchAllOutcomeData()
  * @param {number} threshold - Re-teach threshold (e.g. 2.2)
+ * @param {Object} [options]
+ * @param {Object|null} [options.growthModel] - The cache's growth_model section
  * @returns {Object} Cache-ready structure matching DATA_STRUCTURES.md schema
  */
-export function computeOutcomeStats(data, threshold = 2.2) {
+export function computeOutcomeStats(data, threshold = 2.2, { growthModel = null } = {}) {
     const { outcomes, students, groupedAttempts, canvasRollups = {} } = data;
+    const modelId = resolveGrowthModelId(growthModel);
+    const modelOptions = getGrowthModelOptions();
 
-    logger.info('[outcomesDataService] Computing Power Law statistics...');
+    logger.info(`[outcomesDataService] Computing ${modelId} statistics...`);
     logger.debug(`[outcomesDataService] Using threshold: ${threshold}, MIN_SCORES: ${MIN_SCORES}`);
 
+    // Shrinkage prior: mean of every attempt on the outcome across the class
+    const priorMeans = {};
+    if (modelId === 'shrinkage') {
+        outcomes.forEach(outcome => {
+            const scores = students.flatMap(student =>
+                (groupedAttempts[`${student.userId}_${outcome.id}`] || []).map(a => a.score));
+            priorMeans[outcome.id] = scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : null;
+        });
+    }
+
     // Build student outcome data
     const studentData = students.map(student => {
         const studentOutcomes = outcomes.map(outcome => {
             const key = `${student.userId}_${outcome.id}`;
             const attempts = groupedAttempts[key] || [];
-            const scores = attempts.map(a => a.score);
 
-            // Compute stats using powerLaw.js
-            const computed = computeStudentOutcome(scores);
+            // Compute stats with the course's growth model
+            const computed = computeGrowthOutcome(attempts, modelId,
+                { ...modelOptions, priorMean: priorMeans[outcome.id] ?? null });
 
             // Get Canvas official score from rollups
             const canvasScore = canvasRollups[key] !== undefined ? canvasRollups[key] : null;
@@ -882,70 +977,158 @@ export function computeOutcomeStats(data, threshold = 2.2) {
 
 
     // Compute class stats per outcome
-    const outcomeStats = outcomes.map(outcome => {
-        // Get all student results for this outcome
-        const studentResults = studentData.map(student => {
-            // Use loose equality to handle string/number mismatch
-            const outcomeData = student.outcomes.find(o => String(o.outcomeId) === String(outcome.id));
-
-            // Handle case where outcome data is not found
-            if (!outcomeData) {
-                logger.warn(`[outcomesDataService] No outcome data found for student ${student.id}, outcome ${outcome.id}`);
-                return {
-                    computed: {
-                        status: 'NE',
-                        plPrediction: null,
-                        slope: null
-                    }
-                };
-            }
+    const outcomeStats = outcomes.map(outcome => ({
+        id: outcome.id,
+        title: outcome.title,
+        displayOrder: outcome.displayOrder,
+        groupId: outcome.groupId ?? null,
+        groupTitle: outcome.groupTitle ?? null,
+        classStats: buildOutcomeClassStats(outcome.id, studentData, threshold)
+    }));
+
+    logger.info('[outcomesDataService] Power Law computation complete');
+
+    // Return cache-ready structure
+    return {
+        metadata: {
+            courseId: data.courseId || 'unknown',
+            generatedAt: new Date().toISOString(),
+            minScoresThreshold: MIN_SCORES,
+            studentCount: students.length,
+            outcomeCount: outcomes.length
+        },
+        outcomes: outcomeStats,
+        students: studentData
+    };
+}
 
+/**
+ * Class stats for one outcome over a set of cache students
+ *
+ * @param {string} outcomeId
+ * @param {Array<Object>} students - Cache students ({ id, outcomes: [...] })
+ * @param {number} threshold - Re-teach threshold (e.g. 2.2)
+ * @returns {Object} classStats matching the cache schema
+ */
+export function buildOutcomeClassStats(outcomeId, students, threshold) {
+    // Get all student results for this outcome
+    const studentResults = students.map(student => {
+        // Use loose equality to handle string/number mismatch
+        const outcomeData = student.outcomes?.find(o => String(o.outcomeId) === String(outcomeId));
+
+        // Handle case where outcome data is not found
+        if (!outcomeData) {
+            logger.warn(`[outcomesDataService] No outcome data found for student ${student.id}, outcome ${outcomeId}`);
             return {
                 computed: {
-                    status: outcomeData.status,
-                    plPrediction: outcomeData.plPrediction,
-                    slope: outcomeData.slope
+                    status: 'NE',
+                    plPrediction: null,
+                    slope: null
                 }
             };
-        });
-
-        // Compute class stats using powerLaw.js
-        const classStats = computeClassStats(studentResults, threshold);
+        }
 
         return {
-            id: outcome.id,
-            title: outcome.title,
-            displayOrder: outcome.displayOrder,
-            classStats: {
-                plAvg: classStats.plAvg,
-                classMean: classStats.plAvg,  // Alias for compatibility
-                classMedian: null,  // Not computed by computeClassStats
-                computedThreshold: classStats.computedThreshold,
-                threshold_2_2: classStats.computedThreshold,  // Alias for compatibility
-                belowThresholdCount: classStats.belowThresholdCount,
-                studentsAtRisk: classStats.belowThresholdCount,  // Alias
-                studentsNE: classStats.neCount,
-                neCount: classStats.neCount,  // Alias
-                totalStudents: students.length,
-                distribution: classStats.distribution,
-                avgSlope: classStats.avgSlope
+            computed: {
+                status: outcomeData.status,
+                plPrediction: outcomeData.plPrediction,
+                slope: outcomeData.slope
             }
         };
     });
 
-    logger.info('[outcomesDataService] Power Law computation complete');
+    // Compute class stats using powerLaw.js
+    const classStats = computeClassStats(studentResults, threshold);
 
-    // Return cache-ready structure
     return {
-        metadata: {
-            courseId: data.courseId || 'unknown',
-            generatedAt: new Date().toISOString(),
-            minScoresThreshold: MIN_SCORES,
+        plAvg: classStats.plAvg,
+        classMean: classStats.plAvg,  // Alias for compatibility
+        classMedian: null,  // Not computed by computeClassStats
+        computedThreshold: classStats.computedThreshold,
+        threshold_2_2: classStats.computedThreshold,  // Alias for compatibility
+        belowThresholdCount: classStats.belowThresholdCount,
+        studentsAtRisk: classStats.belowThresholdCount,  // Alias
+        studentsNE: classStats.neCount,
+        neCount: classStats.neCount,  // Alias
+        totalStudents: students.length,
+        distribution: classStats.distribution,
+        avgSlope: classStats.avgSlope
+    };
+}
+
+/**
+ * Replace an outcome's average, spread and below-threshold count with
+ * statistics of the students' Canvas rollup scores (canvasScore) rather than
+ * Power Law predictions, so the displayed average is directly comparable to
+ * what teachers see in Canvas. Left unchanged when no student has a score.
+ * Mutates outcome.classStats in place.
+ *
+ * @param {Object} outcome - Cache outcome with classStats
+ * @param {Array<Object>} students - Cache students
+ */
+export function applyCanvasScoreClassStats(outcome, students) {
+    if (!outcome?.classStats) return;
+
+    const canvasScores = students
+        .map(student => student.outcomes?.find(o => String(o.outcomeId) === String(outcome.id))?.canvasScore)
+        .filter(s => s != null);
+    if (canvasScores.length === 0) return;
+
+    const avg = canvasScores.reduce((a, b) => a + b, 0) / canvasScores.length;
+    outcome.classStats.plAvg     = parseFloat(avg.toFixed(4));
+    outcome.classStats.classMean = outcome.classStats.plAvg;
+
+    const distribution = { '1': 0, '2': 0, '3': 0, '4': 0 };
+    canvasScores.forEach(s => {
+        if      (s < 1.5) distribution['1']++;
+        else if (s < 2.5) distribution['2']++;
+        else if (s < 3.5) distribution['3']++;
+        else              distribution['4']++;
+    });
+    outcome.classStats.distribution        = distribution;
+    outcome.classStats.belowThresholdCount = canvasScores.filter(s => s < outcome.classStats.computedThreshold).length;
+}
+
+/**
+ * Scope a view cache (shape returned by runFullRefresh / tryLoadCache) to one
+ * section: only its students, with every outcome's class stats recomputed
+ * from them. The heatmap, outcome rows, metric cards and PL sync all read
+ * from the returned cache.
+ *
+ * Students are shared with the full cache, so per-student changes apply to
+ * both; the full cache is kept under `unscoped` and is what
+ * writeMasteryOutlookCache persists (see unscopeCache).
+ *
+ * @param {Object} cache - View cache, scoped or not
+ * @param {{id: string, name: string}|null} section - null for all sections
+ * @returns {Object} Scoped cache, or the full cache when section is null
+ */
+export function scopeCacheToSection(cache, section) {
+    const full = unscopeCache(cache);
+    if (!section) return full;
+
+    const sectionId = String(section.id);
+    const students = (full.students ?? []).filter(s => String(s.sectionId) === sectionId);
+
+    const outcomes = (full.outcomes ?? []).map(outcome => {
+        const threshold = outcome.classStats?.computedThreshold ?? full.meta?.threshold ?? 2.2;
+        const scoped = { ...outcome, classStats: buildOutcomeClassStats(outcome.id, students, threshold) };
+        applyCanvasScoreClassStats(scoped, students);
+        return scoped;
+    });
+
+    logger.debug(`[outcomesDataService] Scoped to section "${section.name}": ${students.length}/${full.students?.length ?? 0} students`);
+
+    return {
+        ...full,
+        meta: {
+            ...full.meta,
             studentCount: students.length,
-            outcomeCount: outcomes.length
+            section: { id: sectionId, name: section.name }
         },
-        outcomes: outcomeStats,
-        students: studentData
+        outcomes,
+        students,
+        unscoped: full
     };
 }
 
@@ -1038,15 +1221,12 @@ export function reapplyIgnoredAlignments(cache) {
                 .map(ia => ia.alignment_id)
         );
 
-        const activeScores = (od.attempts ?? [])
-            .filter(a => !ignoredIds.has(a.assignmentId))
-            .map(a => a.score)
-            .filter(s => s != null);
+        const activeAttempts = (od.attempts ?? []).filter(a => !ignoredIds.has(a.assignmentId));
 
-        Object.assign(od, computeStudentOutcome(activeScores));
+        Object.assign(od, computeCacheGrowthOutcome(cache, outcomeId, activeAttempts));
         logger.debug(
             `[DataService] reapplyIgnoredAlignments: recomputed outcome ${outcomeId} ` +
-            `for student ${studentId} — ${activeScores.length} active attempt(s)`
+            `for student ${studentId} — ${activeAttempts.length} active attempt(s)`
         );
     }
 }
\ No newline at end of file
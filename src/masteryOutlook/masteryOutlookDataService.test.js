@@ -0,0 +1,93 @@
+// src/masteryOutlook/masteryOutlookDataService.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { scopeCacheToSection, fetchOutcomeResults } from './masteryOutlookDataService.js';
+import { unscopeCache } from './masteryOutlookCacheService.js';
+import { CanvasApiError } from '../utils/errorHandler.js';
+import { OUTCOMES, student, buildCache } from './tests/fixtures.js';
+
+const sectioned = (id, sectionId, plPrediction, canvasScore) =>
+    student(id, null, { 10: { plPrediction, slope: 0.1, canvasScore } }, { sectionId });
+
+const buildSectionCache = () => buildCache({
+    meta: { studentCount: 3, outcomeCount: 1, threshold: 2.2 },
+    outcomes: [{ ...OUTCOMES.reading, classStats: { plAvg: 2.67, computedThreshold: 2.2 } }],
+    students: [sectioned('1', '55', 2, 2), sectioned('2', '55', 4, 3), sectioned('3', '56', 2, 1)],
+    sync_state: {}
+});
+
+describe('section scoping', () => {
+    it('keeps the section students and rebuilds class stats from them', () => {
+        const cache = buildSectionCache();
+        const scoped = scopeCacheToSection(cache, { id: '55', name: 'Period 1' });
+
+        expect(scoped.students.map(s => s.id)).toEqual(['1', '2']);
+        expect(scoped.students[0]).toBe(cache.students[0]);
+        expect(scoped.meta).toMatchObject({ studentCount: 2, section: { id: '55', name: 'Period 1' } });
+
+        // Canvas scores 2 and 3 (not the Power Law predictions) drive the average
+        expect(scoped.outcomes[0].classStats).toMatchObject({
+            plAvg: 2.5,
+            belowThresholdCount: 1,
+            totalStudents: 2,
+            distribution: { '1': 0, '2': 1, '3': 1, '4': 0 }
+        });
+        expect(cache.outcomes[0].classStats.plAvg).toBe(2.67);
+    });
+
+    it('returns the full cache for all sections and when rescoping', () => {
+        const cache = buildSectionCache();
+        const scoped = scopeCacheToSection(cache, { id: '55', name: 'Period 1' });
+
+        expect(scopeCacheToSection(cache, null)).toBe(cache);
+        expect(scopeCacheToSection(scoped, { id: '56', name: 'Period 2' }).students.map(s => s.id)).toEqual(['3']);
+    });
+
+    it('unscopes to every student while keeping changes made in the scoped view', () => {
+        const cache = buildSectionCache();
+        const scoped = scopeCacheToSection(cache, { id: '55', name: 'Period 1' });
+        scoped.sync_state = { 10: { 1: { last_synced_score: 2 } } };
+        scoped.meta.customOutcomeOrder = ['10'];
+
+        const full = unscopeCache(scoped);
+
+        expect(full.unscoped).toBeUndefined();
+        expect(full.students).toBe(cache.students);
+        expect(full.outcomes).toBe(cache.outcomes);
+        expect(full.sync_state).toBe(scoped.sync_state);
+        expect(full.meta).toEqual({ studentCount: 3, outcomeCount: 1, threshold: 2.2, customOutcomeOrder: ['10'] });
+        expect(unscopeCache(cache)).toBe(cache);
+    });
+});
+
+describe('fetchOutcomeResults for a few students', () => {
+    const result = (userId) => ({ links: { user: userId, alignment: 'assignment_1' }, score: 3 });
+
+    it('requests only the given students', async () => {
+        const apiClient = {
+            get: vi.fn(async (url) => ({
+                outcome_results: [...url.matchAll(/user_ids\[\]=(\d+)/g)].map(m => result(m[1])),
+                linked: { alignments: [{ id: 'assignment_1', name: 'Essay' }] }
+            }))
+        };
+
+        const { results, alignmentNameMap } = await fetchOutcomeResults('101', apiClient, () => {}, { userIds: ['2', 7, '2'] });
+
+        expect(apiClient.get).toHaveBeenCalledTimes(1);
+        expect(apiClient.get.mock.calls[0][0]).toContain('user_ids[]=2&user_ids[]=7&');
+        expect(results.map(r => r.links.user)).toEqual(['2', '7']);
+        expect(alignmentNameMap).toEqual({ assignment_1: 'Essay' });
+    });
+
+    it('falls back to all results filtered in JS when Canvas rejects user_ids[]', async () => {
+        const apiClient = {
+            get: vi.fn()
+                .mockRejectedValueOnce(new CanvasApiError('Bad request', 400, ''))
+                .mockResolvedValueOnce({ outcome_results: ['1', '2', '3'].map(result) })
+        };
+
+        const { results } = await fetchOutcomeResults('101', apiClient, () => {}, { userIds: ['2', '99'] });
+
+        expect(apiClient.get.mock.calls[1][0]).not.toContain('user_ids[]');
+        expect(results.map(r => r.links.user)).toEqual(['2']);
+    });
+});
@@ -0,0 +1,284 @@
+// src/masteryOutlook/masteryOutlookExportService.js
+/**
+ * Mastery Outlook export
+ *
+ * Turns the mastery outlook cache into files data teams can load into their
+ * own tools: one row per student × outcome with the chosen columns.
+ * - CSV (UTF-8 with BOM so Excel keeps accents)
+ * - SpreadsheetML 2003 workbook (.xml) with one sheet per outcome — opens
+ *   in Excel, LibreOffice and Google Sheets without a library
+ *
+ * Student names and section names are merged in from the Canvas roster
+ * (fetchCourseStudents / fetchCourseSections), so exports work from the raw
+ * cache file as well as from the enriched view cache.
+ *
+ * Exports:
+ * - EXPORT_COLUMNS, resolveExportColumnIds
+ * - getExportColumnIds, setExportColumnIds (per-course choice in localStorage)
+ * - buildExportSheets, toCsv, toSpreadsheetML
+ * - exportMasteryOutlook (fetch roster, build, download)
+ */
+
+import { MASTERY_EXPORT_COLUMNS } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { downloadText } from '../utils/download.js';
+import { csvField } from '../utils/csv.js';
+import { fetchCourseStudents, fetchCourseSections } from '../services/enrollmentService.js';
+import { unscopeCache } from './masteryOutlookCacheService.js';
+import { resolveGrowthModelId } from './growthModels.js';
+import { roundToHalf } from './powerLaw.js';
+
+const EXPORT_COLUMNS_KEY = (courseId) => `cg_exportColumns_${courseId}`;
+
+/**
+ * Round to 4 decimal places for export (null stays null)
+ * @param {number|null|undefined} value
+ * @returns {number|null}
+ */
+function round4(value) {
+    return value === null || value === undefined || Number.isNaN(value)
+        ? null
+        : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Column registry, in file order.
+ * Each entry: { id, label, value(row) → string|number|boolean|null }
+ * where row = { student, outcome, data, sync, rosterEntry, sectionName, modelId }.
+ */
+export const EXPORT_COLUMNS = [
+    { id: 'student_id',        label: 'Student ID',        value: r => String(r.student.id) },
+    { id: 'student_name',      label: 'Student',           value: r => r.rosterEntry?.name ?? r.student.name ?? null },
+    { id: 'sortable_name',     label: 'Sortable name',     value: r => r.rosterEntry?.sortableName ?? r.student.sortableName ?? null },
+    { id: 'section_id',        label: 'Section ID',        value: r => r.student.sectionId ?? null },
+    { id: 'section_name',      label: 'Section',           value: r => r.sectionName },
+    { id: 'outcome_id',        label: 'Outcome ID',        value: r => String(r.outcome.id) },
+    { id: 'outcome_title',     label: 'Outcome',           value: r => r.outcome.title ?? null },
+    { id: 'status',            label: 'Status',            value: r => r.data?.status ?? 'NE' },
+    { id: 'pl_prediction',     label: 'Prediction',        value: r => round4(r.data?.plPrediction) },
+    { id: 'pl_rounded',        label: 'Prediction (rounded)', value: r => r.data?.plPrediction != null ? roundToHalf(r.data.plPrediction) : null },
+    { id: 'slope',             label: 'Slope',             value: r => round4(r.data?.slope) },
+    { id: 'mean',              label: 'Mean',              value: r => round4(r.data?.mean) },
+    { id: 'most_recent',       label: 'Most recent',       value: r => r.data?.mostRecent ?? null },
+    { id: 'decaying_avg',      label: 'Decaying average',  value: r => round4(r.data?.decayingAvg) },
+    { id: 'attempt_count',     label: 'Attempts',          value: r => r.data?.attemptCount ?? 0 },
+    { id: 'canvas_score',      label: 'Canvas score',      value: r => round4(r.data?.canvasScore) },
+    { id: 'growth_model',      label: 'Model',             value: r => r.modelId },
+    { id: 'will_post',         label: 'Will post',         value: r => r.sync?.will_post ?? null },
+    { id: 'override_locked',   label: 'Override locked',   value: r => r.sync?.will_post_lock === 'locked' },
+    { id: 'note',              label: 'Note',              value: r => r.sync?.will_post_note ?? null },
+    { id: 'last_synced_score', label: 'Last synced score', value: r => r.sync?.last_synced_score ?? null },
+    { id: 'last_synced_at',    label: 'Last synced at',    value: r => r.sync?.last_synced_at ?? null },
+    { id: 'manual_override',   label: 'Manual override',   value: r => r.sync?.manual_override ?? false },
+    { id: 'verify_mismatch',   label: 'Verify failed',     value: r => r.sync?.verify_mismatch === true }
+];
+
+const COLUMN_BY_ID = new Map(EXPORT_COLUMNS.map(c => [c.id, c]));
+
+/**
+ * Keep known column ids, in registry order
+ * @param {Array<string>|null|undefined} ids - null/empty → MASTERY_EXPORT_COLUMNS
+ * @returns {Array<string>}
+ */
+export function resolveExportColumnIds(ids) {
+    const wanted = ids?.length ? ids : MASTERY_EXPORT_COLUMNS;
+    const unknown = wanted.filter(id => !COLUMN_BY_ID.has(id));
+    if (unknown.length) logger.warn(`[MasteryExport] Unknown export columns ignored: ${unknown.join(', ')}`);
+    return EXPORT_COLUMNS.map(c => c.id).filter(id => wanted.includes(id));
+}
+
+/**
+ * Export columns chosen for a course (falls back to MASTERY_EXPORT_COLUMNS)
+ * @param {string} courseId
+ * @returns {Array<string>}
+ */
+export function getExportColumnIds(courseId) {
+    try {
+        return resolveExportColumnIds(JSON.parse(localStorage.getItem(EXPORT_COLUMNS_KEY(courseId)) || 'null'));
+    } catch {
+        return resolveExportColumnIds(null);
+    }
+}
+
+/**
+ * Remember the export columns for a course
+ * @param {string} courseId
+ * @param {Array<string>} ids
+ */
+export function setExportColumnIds(courseId, ids) {
+    localStorage.setItem(EXPORT_COLUMNS_KEY(courseId), JSON.stringify(resolveExportColumnIds(ids)));
+}
+
+/**
+ * Build one sheet per outcome.
+ *
+ * @param {Object} cache - Mastery outlook cache (view or file shape; scoped caches are unscoped)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.columnIds] - Defaults to MASTERY_EXPORT_COLUMNS
+ * @param {string|null} [options.sectionId] - Only students of this section
+ * @param {Array<Object>} [options.roster] - fetchCourseStudents() result
+ * @param {Array<Object>} [options.sections] - fetchCourseSections() result
+ * @returns {{columns: Array<{id, label}>, sheets: Array<{outcome: Object, rows: Array<Array>}>}}
+ */
+export function buildExportSheets(cache, { columnIds = null, sectionId = null, roster = [], sections = [] } = {}) {
+    const full = unscopeCache(cache) ?? {};
+    const columns = resolveExportColumnIds(columnIds).map(id => COLUMN_BY_ID.get(id));
+    const rosterById = new Map(roster.map(s => [String(s.userId), s]));
+    const sectionNames = new Map(sections.map(s => [String(s.id), s.name]));
+    const modelId = resolveGrowthModelId(full.growth_model);
+    const syncState = full.sync_state ?? {};
+
+    const sortName = (student) =>
+        rosterById.get(String(student.id))?.sortableName ?? student.sortableName ?? String(student.id);
+    const students = (full.students ?? [])
+        .filter(s => !sectionId || String(s.sectionId) === String(sectionId))
+        .sort((a, b) => sortName(a).localeCompare(sortName(b)));
+
+    const sheets = (full.outcomes ?? []).map(outcome => ({
+        outcome,
+        rows: students.map(student => {
+            const row = {
+                student,
+                outcome,
+                data: student.outcomes?.find(o => String(o.outcomeId) === String(outcome.id)) ?? null,
+                sync: syncState[String(outcome.id)]?.[String(student.id)] ?? null,
+                rosterEntry: rosterById.get(String(student.id)) ?? null,
+                sectionName: sectionNames.get(String(student.sectionId)) ?? null,
+                modelId
+            };
+            return columns.map(c => c.value(row));
+        })
+    }));
+
+    return { columns: columns.map(({ id, label }) => ({ id, label })), sheets };
+}
+
+/**
+ * All sheets as one CSV (one row per student × outcome)
+ * @param {{columns, sheets}} table - From buildExportSheets
+ * @returns {string}
+ */
+export function toCsv({ columns, sheets }) {
+    const lines = [columns.map(c => csvField(c.label)).join(',')];
+    for (const sheet of sheets) {
+        for (const row of sheet.rows) lines.push(row.map(csvField).join(','));
+    }
+    return '\uFEFF' + lines.join('\r\n');
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value
+ * @returns {string}
+ */
+function xmlText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Excel sheet name: at most 31 characters, none of []:*?/\, unique in the workbook
+ * @param {string} title
+ * @param {Set<string>} used - Lower-cased names already taken (updated)
+ * @returns {string}
+ */
+function sheetName(title, used) {
+    const base = (String(title || 'Outcome').replace(/[[\]:*?/\\]/g, ' ').trim() || 'Outcome').slice(0, 31);
+    let name = base;
+    for (let i = 2; used.has(name.toLowerCase()); i++) {
+        const suffix = ` (${i})`;
+        name = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(name.toLowerCase());
+    return name;
+}
+
+/**
+ * SpreadsheetML 2003 cell
+ * @param {*} value
+ * @returns {string}
+ */
+function xmlCell(value) {
+    if (value === null || value === undefined || value === '') return '<Cell/>';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<Cell><Data ss:Type="Number">${value}</Data></Cell>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<Cell><Data ss:Type="Boolean">${value ? 1 : 0}</Data></Cell>`;
+    }
+    return `<Cell><Data ss:Type="String">${xmlText(value)}</Data></Cell>`;
+}
+
+/**
+ * Workbook with one worksheet per outcome (SpreadsheetML 2003)
+ * @param {{columns, sheets}} table - From buildExportSheets
+ * @returns {string}
+ */
+export function toSpreadsheetML({ columns, sheets }) {
+    const used = new Set();
+    const header = `<Row ss:StyleID="header">${columns.map(c => xmlCell(c.label)).join('')}</Row>`;
+
+    const worksheets = sheets.map(sheet => `
+ <Worksheet ss:Name="${xmlText(sheetName(sheet.outcome.title, used))}">
+  <Table>
+   ${header}
+   ${sheet.rows.map(row => `<Row>${row.map(xmlCell).join('')}</Row>`).join('\n   ')}
+  </Table>
+ </Worksheet>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
+ xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+ <Styles>
+  <Style ss:ID="header"><Font ss:Bold="1"/></Style>
+ </Styles>${worksheets || `
+ <Worksheet ss:Name="Outcomes"><Table>${header}</Table></Worksheet>`}
+</Workbook>`;
+}
+
+/**
+ * Export the cache to a file the browser downloads.
+ *
+ * @param {Object} cache - Mastery outlook cache
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @param {Object} [options]
+ * @param {'csv'|'xml'} [options.format='csv'] - 'xml' = SpreadsheetML workbook, one sheet per outcome
+ * @param {Array<string>} [options.columnIds] - Defaults to the course's chosen columns
+ * @param {string|null} [options.sectionId]
+ * @returns {Promise<{filename: string, rowCount: number}>}
+ */
+export async function exportMasteryOutlook(cache, courseId, apiClient,
+                                           { format = 'csv', columnIds = null, sectionId = null } = {}) {
+    const [roster, sections] = await Promise.all([
+        fetchCourseStudents(courseId, apiClient),
+        fetchCourseSections(courseId, apiClient)
+    ]);
+
+    const table = buildExportSheets(cache, {
+        columnIds: columnIds ?? getExportColumnIds(courseId),
+        sectionId,
+        roster,
+        sections
+    });
+    const rowCount = table.sheets.reduce((sum, s) => sum + s.rows.length, 0);
+
+    const date = new Date().toISOString().slice(0, 10);
+    const section = sectionId ? `_section_${sectionId}` : '';
+    const filename = `mastery_outlook_${courseId}${section}_${date}.${format === 'xml' ? 'xml' : 'csv'}`;
+
+    if (format === 'xml') {
+        downloadText(filename, toSpreadsheetML(table), 'application/vnd.ms-excel;charset=utf-8');
+    } else {
+        downloadText(filename, toCsv(table), 'text/csv;charset=utf-8');
+    }
+
+    logger.info(`[MasteryExport] Exported ${rowCount} row(s) to ${filename}`);
+    return { filename, rowCount };
+}
@@ -0,0 +1,105 @@
+// src/masteryOutlook/masteryOutlookExportService.test.js
+import { describe, it, expect } from 'vitest';
+import {
+    buildExportSheets,
+    resolveExportColumnIds,
+    toCsv,
+    toSpreadsheetML
+} from './masteryOutlookExportService.js';
+import { scopeCacheToSection } from './masteryOutlookDataService.js';
+import { OUTCOMES, student, buildCache } from './tests/fixtures.js';
+
+// Names come from the roster, as in the cache file
+const buildExportCache = () => buildCache({
+    meta: { studentCount: 2, outcomeCount: 2 },
+    outcomes: [
+        { ...OUTCOMES.reading, title: 'Reading: "Key ideas"' },
+        { ...OUTCOMES.writing, title: 'Writing <argument>' }
+    ],
+    students: [
+        student('2', null, { 10: { plPrediction: 3.123456, attemptCount: 3 } }, { sectionId: '56' }),
+        student('1', null, { 10: { plPrediction: null, attemptCount: 1 } }, { sectionId: '55' })
+    ],
+    sync_state: { 10: { 2: { will_post: 3, last_synced_score: 3 } } }
+});
+
+const roster = [
+    { userId: '1', name: 'Ana Ruiz', sortableName: 'Ruiz, Ana', sectionId: '55' },
+    { userId: '2', name: 'Ben Abel', sortableName: 'Abel, Ben', sectionId: '56' }
+];
+const sections = [{ id: '55', name: 'Period 1' }, { id: '56', name: 'Period 2' }];
+
+describe('mastery outlook export', () => {
+    it('builds one sheet per outcome with roster names and sync state', () => {
+        const { columns, sheets } = buildExportSheets(buildExportCache(), {
+            columnIds: ['student_name', 'section_name', 'pl_prediction', 'will_post', 'status'],
+            roster,
+            sections
+        });
+
+        // Registry order, not request order
+        expect(columns.map(c => c.id)).toEqual(['student_name', 'section_name', 'status', 'pl_prediction', 'will_post']);
+        expect(sheets.map(s => s.outcome.id)).toEqual([10, 11]);
+        // Sorted by sortable name
+        expect(sheets[0].rows).toEqual([
+            ['Ben Abel', 'Period 2', 'ok', 3.1235, 3],
+            ['Ana Ruiz', 'Period 1', 'NE', null, null]
+        ]);
+        expect(sheets[1].rows[0]).toEqual(['Ben Abel', 'Period 2', 'NE', null, null]);
+    });
+
+    it('filters by section and exports every student from a scoped view', () => {
+        const scoped = scopeCacheToSection(buildExportCache(), { id: '55', name: 'Period 1' });
+
+        const all = buildExportSheets(scoped, { columnIds: ['student_id'] });
+        expect(all.sheets[0].rows).toEqual([['1'], ['2']]);
+
+        const section = buildExportSheets(scoped, { columnIds: ['student_id'], sectionId: '56' });
+        expect(section.sheets[0].rows).toEqual([['2']]);
+    });
+
+    it('drops unknown columns and falls back to the configured default', () => {
+        expect(resolveExportColumnIds(['slope', 'shoe_size'])).toEqual(['slope']);
+        expect(resolveExportColumnIds(null)).toContain('student_name');
+    });
+
+    it('writes quoted CSV and an escaped workbook with valid sheet names', () => {
+        const table = buildExportSheets(buildExportCache(), { columnIds: ['student_name', 'outcome_title'], roster });
+
+        const csv = toCsv(table);
+        expect(csv.split('\r\n')).toEqual([
+            '\uFEFFStudent,Outcome',
+            'Ben Abel,"Reading: ""Key ideas"""',
+            'Ana Ruiz,"Reading: ""Key ideas"""',
+            'Ben Abel,Writing <argument>',
+            'Ana Ruiz,Writing <argument>'
+        ]);
+
+        const xml = toSpreadsheetML(table);
+        expect(xml).toContain('<Worksheet ss:Name="Reading  &quot;Key ideas&quot;">');
+        expect(xml).toContain('<Worksheet ss:Name="Writing &lt;argument&gt;">');
+        expect(xml).toContain('<Data ss:Type="String">Writing &lt;argument&gt;</Data>');
+    });
+
+    it('keeps text that looks like a formula as text in the CSV only', () => {
+        const table = {
+            columns: [{ id: 'student_name', label: 'Student' }, { id: 'slope', label: 'Slope' }],
+            sheets: [{ outcome: { title: 'Reading' }, rows: [['=HYPERLINK("x")', -0.5], ['@Ana', 1], ['-Ben', null]] }]
+        };
+
+        expect(toCsv(table).split('\r\n').slice(1)).toEqual([`"'=HYPERLINK(""x"")",-0.5`, "'@Ana,1", "'-Ben,"]);
+        const xml = toSpreadsheetML(table);
+        // String cells of the workbook are never read as formulas
+        expect(xml).toContain('<Data ss:Type="String">=HYPERLINK(&quot;x&quot;)</Data>');
+        expect(xml).toContain('<Data ss:Type="String">-Ben</Data>');
+        expect(xml).toContain('<Data ss:Type="Number">-0.5</Data>');
+    });
+
+    it('keeps sheet names unique and within 31 characters', () => {
+        const title = 'A very long outcome title that goes on';
+        const table = { columns: [], sheets: [{ outcome: { title }, rows: [] }, { outcome: { title }, rows: [] }] };
+        const names = [...toSpreadsheetML(table).matchAll(/ss:Name="([^"]+)"/g)].map(m => m[1]);
+        expect(names).toEqual(['A very long outcome title that ', 'A very long outcome title t (2)']);
+        expect(names.every(n => n.length <= 31)).toBe(true);
+    });
+});
@@ -2,28 +2,24 @@
 /**
  * Mastery Outlook Heatmap Grid Builder
  *
- * Builds heatmap grid DOM for both in-dashboard and full-screen views.
- * Displays students (rows) × outcomes (columns) with PL prediction colors.
+ * Builds heatmap grid DOM for the in-dashboard view.
+ * Displays students (rows) × outcomes (columns) with PL prediction colors,
+ * optionally grouped by section or intervention status, filtered to students
+ * below threshold on several outcomes, or collapsed into Canvas outcome groups.
+ * Rows, groups and averages come from heatmapModel.js, shared with the
+ * full-screen pop-out.
  */
 
 import { logger } from '../utils/logger.js';
-import { AVG_OUTCOME_NAME, EXCLUDED_OUTCOME_KEYWORDS } from '../config.js';
 import { getMasteryColor, NE_HEATMAP_COLOR } from '../ui/masteryColors.js';
 import { injectStyles } from '../ui/styles.js';
 import { HEATMAP_CSS } from './masteryOutlookHeatmapStyles.js';
+import { HEATMAP_DEFAULT_VIEW, prepareHeatmapData, arrangeHeatmap } from './heatmapModel.js';
 
 // ═══════════════════════════════════════════════════════════════════════
 // HELPERS
 // ═══════════════════════════════════════════════════════════════════════
 
-/**
- * Check if outcome should be excluded from heatmap
- */
-function isExcludedOutcome(outcomeTitle) {
-    return outcomeTitle === AVG_OUTCOME_NAME || 
-           EXCLUDED_OUTCOME_KEYWORDS.some(kw => outcomeTitle.includes(kw));
-}
-
 /**
  * Format student name: "Smith, Jane" → "Smith J."
  */
@@ -53,74 +49,66 @@ function getCellColor(plPrediction, status, colorScheme = 'soft') {
 /**
  * Get cell content based on details mode
  */
-function getCellContent(outcomeData, showDetails) {
+function getCellContent(cell, showDetails) {
     if (!showDetails) return '';
-    
-    if (outcomeData.status === 'NE' || outcomeData.plPrediction === null) {
-        return 'NE';
-    }
-    return outcomeData.plPrediction.toFixed(2);
+    return cell.value === null ? 'NE' : cell.value.toFixed(2);
 }
 
 /**
  * Build tooltip text
  */
-function buildTooltip(student, outcome, outcomeData) {
-    const studentName = student.name || student.sortableName;
-    const outcomeTitle = outcome.title;
-    
-    if (outcomeData.status === 'NE' || outcomeData.plPrediction === null) {
-        return `${studentName} • ${outcomeTitle} • NE — fewer than 3 attempts`;
+function buildTooltip(row, column, cell, collapsed) {
+    if (cell.value === null) {
+        return collapsed
+            ? `${row.name} • ${column.title} • NE — no outcome in this group has 3 attempts`
+            : `${row.name} • ${column.title} • NE — fewer than 3 attempts`;
     }
-    
-    const pl = outcomeData.plPrediction.toFixed(2);
-    return `${studentName} • ${outcomeTitle} • PL: ${pl}`;
+    const value = cell.value.toFixed(2);
+    return collapsed
+        ? `${row.name} • ${column.title} • Group average: ${value} (${column.outcomeIds.length} outcomes)`
+        : `${row.name} • ${column.title} • PL: ${value}`;
 }
 
 /**
- * Escape HTML for safe rendering
+ * Build the grouping / filter controls
+ * @returns {{el: HTMLElement, groupBy, minBelow, collapse, freeze, details, count}}
  */
-function escapeHtml(str) {
-    return String(str).replace(/[&<>"']/g, c =>
-        ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' })[c]
-    );
-}
-
-/**
- * Sort students based on sort state
- */
-function sortStudents(students, sortState) {
-    const sorted = [...students];
-    
-    if (sortState.column === 'name') {
-        sorted.sort((a, b) => {
-            const cmp = (a.sortableName || a.name).localeCompare(b.sortableName || b.name);
-            return sortState.direction === 'asc' ? cmp : -cmp;
-        });
-    } else {
-        // Outcome column
-        const outcomeId = sortState.column;
-        sorted.sort((a, b) => {
-            const aData = a.outcomes.find(o => String(o.outcomeId) === String(outcomeId));
-            const bData = b.outcomes.find(o => String(o.outcomeId) === String(outcomeId));
-            
-            const aIsNE = !aData || aData.status === 'NE' || aData.plPrediction === null;
-            const bIsNE = !bData || bData.status === 'NE' || bData.plPrediction === null;
-            
-            // NE always to bottom regardless of direction
-            if (aIsNE && !bIsNE) return 1;
-            if (!aIsNE && bIsNE) return -1;
-            if (aIsNE && bIsNE) return 0;
-            
-            const aPL = aData?.plPrediction || 0;
-            const bPL = bData?.plPrediction || 0;
-            const cmp = aPL - bPL;
-            
-            return sortState.direction === 'asc' ? cmp : -cmp;
-        });
-    }
-    
-    return sorted;
+function buildControls(view) {
+    const el = document.createElement('div');
+    el.className = 'hm-controls';
+    el.innerHTML = `
+        <label>Group by
+            <select data-hm="groupBy">
+                <option value="none">Nothing</option>
+                <option value="section">Section</option>
+                <option value="intervention">Intervention status</option>
+            </select>
+        </label>
+        <label title="Only students below the re-teach threshold on at least this many outcomes (0 = everyone)">
+            Below threshold on ≥
+            <input type="number" data-hm="minBelow" min="0" step="1">
+            outcomes
+        </label>
+        <label><input type="checkbox" data-hm="collapse" class="hm-toggle-checkbox"> Outcome groups</label>
+        <label><input type="checkbox" data-hm="freeze" class="hm-toggle-checkbox"> Freeze names</label>
+        <label><input type="checkbox" data-hm="details" class="hm-toggle-checkbox" id="heatmap-details-toggle"> Show details</label>
+        <span class="hm-count" data-hm="count"></span>`;
+
+    const q = (key) => el.querySelector(`[data-hm="${key}"]`);
+    const controls = {
+        el,
+        groupBy: q('groupBy'),
+        minBelow: q('minBelow'),
+        collapse: q('collapse'),
+        freeze: q('freeze'),
+        details: q('details'),
+        count: q('count')
+    };
+    controls.groupBy.value = view.groupBy;
+    controls.minBelow.value = String(view.minBelow || 0);
+    controls.collapse.checked = view.collapseGroups;
+    controls.freeze.checked = view.freezeNames;
+    return controls;
 }
 
 // ═══════════════════════════════════════════════════════════════════════
@@ -135,7 +123,11 @@ function sortStudents(students, sortState) {
  * @param {number} options.cellWidth - Cell width in px (default: 80)
  * @param {number} options.cellHeight - Cell height in px (default: 28)
  * @param {string} options.colorScheme - 'soft' or 'canvas' (default: 'soft')
- * @param {Function} options.onFullScreen - Callback when full screen link clicked
+ * @param {number} options.threshold - Re-teach threshold for filtering/grouping (default: 2.2)
+ * @param {Object} options.sectionNames - { [sectionId]: name } for group by section
+ * @param {Object} options.view - Initial view options (see HEATMAP_DEFAULT_VIEW in heatmapModel.js)
+ * @param {Function} options.onViewChange - (view) => void, after any control or sort change
+ * @param {Function} options.onFullScreen - (view) => void, when full screen link clicked
  * @returns {HTMLElement} Heatmap container element
  */
 export function buildHeatmapGrid(cache, options = {}) {
@@ -143,40 +135,40 @@ export function buildHeatmapGrid(cache, options = {}) {
         cellWidth = 80,
         cellHeight = 28,
         colorScheme = 'soft',
+        threshold = 2.2,
+        sectionNames = {},
+        onViewChange = null,
         onFullScreen = null
     } = options;
 
     injectStyles(HEATMAP_CSS, 'mo-heatmap-styles');
     logger.debug('[Heatmap] Building grid');
 
-    // Filter outcomes (exclude AVG and excluded keywords)
-    const heatmapOutcomes = cache.outcomes
-        .filter(o => !isExcludedOutcome(o.title))
-        .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0));
+    const data = prepareHeatmapData(cache, { threshold, sectionNames });
+    logger.debug(`[Heatmap] Displaying ${data.outcomeColumns.length} outcomes, ${data.rows.length} students`);
 
-    logger.debug(`[Heatmap] Displaying ${heatmapOutcomes.length} outcomes, ${cache.students.length} students`);
-
-    // Sort state (local to this heatmap instance)
-    let sortState = { column: 'name', direction: 'asc' };
+    // View state (local to this heatmap instance, seeded from options.view)
+    const view = {
+        ...HEATMAP_DEFAULT_VIEW,
+        ...options.view,
+        sort: { ...HEATMAP_DEFAULT_VIEW.sort, ...options.view?.sort }
+    };
     let showDetails = false;
 
+    const masteryDashboardUrl = cache.meta.masteryDashboardUrl || 'mastery-dashboard';
+    if (!cache.meta.masteryDashboardUrl) {
+        logger.warn('[Heatmap] masteryDashboardUrl not in cache, using fallback - links may be broken');
+    }
+
     // Container
     const container = document.createElement('div');
     container.className = 'heatmap-container';
 
-    // Header (details toggle + full screen link)
+    // Header (controls + full screen link)
     const header = document.createElement('div');
     header.className = 'hm-header';
 
-    // Details toggle
-    const toggleLabel = document.createElement('label');
-    toggleLabel.className = 'hm-toggle-label';
-    const toggleCheckbox = document.createElement('input');
-    toggleCheckbox.type = 'checkbox';
-    toggleCheckbox.id = 'heatmap-details-toggle';
-    toggleCheckbox.className = 'hm-toggle-checkbox';
-    toggleLabel.appendChild(toggleCheckbox);
-    toggleLabel.appendChild(document.createTextNode('Show details'));
+    const controls = buildControls(view);
 
     // Full screen link (hover handled by .hm-fullscreen-link:hover in CSS)
     const fullScreenLink = document.createElement('a');
@@ -186,11 +178,11 @@ export function buildHeatmapGrid(cache, options = {}) {
     fullScreenLink.addEventListener('click', (e) => {
         e.preventDefault();
         if (onFullScreen) {
-            onFullScreen();
+            onFullScreen({ ...view, sort: { ...view.sort } });
         }
     });
 
-    header.appendChild(toggleLabel);
+    header.appendChild(controls.el);
     header.appendChild(fullScreenLink);
     container.appendChild(header);
 
@@ -202,9 +194,33 @@ export function buildHeatmapGrid(cache, options = {}) {
     const table = document.createElement('table');
     table.className = 'hm-table';
 
+    const sortHeader = (th, columnId) => {
+        const active = view.sort.column === columnId;
+        th.style.color = active ? '#333' : '#666';
+        th.style.borderBottom = active ? '2px solid #0374B5' : '2px solid #e0e0e0';
+        th.addEventListener('click', () => {
+            if (view.sort.column === columnId) {
+                view.sort.direction = view.sort.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                view.sort = { column: columnId, direction: 'asc' };
+            }
+            changed();
+        });
+        return active;
+    };
+
     // Function to render grid
     const renderGrid = () => {
         table.innerHTML = '';
+        table.classList.toggle('hm-frozen', view.freezeNames);
+
+        const arranged = arrangeHeatmap(data, view);
+        view.sort = arranged.sort;
+        const { columns } = arranged;
+
+        controls.count.textContent = arranged.shownCount === arranged.totalCount
+            ? `${arranged.totalCount} students`
+            : `${arranged.shownCount} of ${arranged.totalCount} students`;
 
         // Thead
         const thead = document.createElement('thead');
@@ -214,128 +230,121 @@ export function buildHeatmapGrid(cache, options = {}) {
         // Name column header (static layout via class; sort-active color/border inline)
         const nameHeader = document.createElement('th');
         nameHeader.className = 'hm-sort-header hm-sort-header--name';
-        nameHeader.style.color = sortState.column === 'name' ? '#333' : '#666';
-        nameHeader.style.borderBottom = sortState.column === 'name' ? '2px solid #0374B5' : '2px solid #e0e0e0';
         nameHeader.textContent = 'Name ';
-        if (sortState.column === 'name') {
+        if (sortHeader(nameHeader, 'name')) {
             const indicator = document.createElement('span');
-            indicator.textContent = sortState.direction === 'asc' ? '▲' : '▼';
+            indicator.textContent = view.sort.direction === 'asc' ? '▲' : '▼';
             indicator.className = 'hm-sort-indicator';
             nameHeader.appendChild(indicator);
         }
-        nameHeader.addEventListener('click', () => {
-            if (sortState.column === 'name') {
-                sortState.direction = sortState.direction === 'asc' ? 'desc' : 'asc';
-            } else {
-                sortState.column = 'name';
-                sortState.direction = 'asc';
-            }
-            renderGrid();
-        });
         headerRow.appendChild(nameHeader);
 
-        // Outcome column headers
-        heatmapOutcomes.forEach(outcome => {
+        // Outcome (or outcome group) column headers
+        columns.forEach(column => {
             const outcomeHeader = document.createElement('th');
             outcomeHeader.className = 'hm-sort-header hm-sort-header--outcome';
             outcomeHeader.style.width = `${cellWidth}px`;
-            outcomeHeader.style.color = sortState.column === String(outcome.id) ? '#333' : '#666';
-            outcomeHeader.style.borderBottom = sortState.column === String(outcome.id) ? '2px solid #0374B5' : '2px solid #e0e0e0';
 
             // Rotated label container
             const labelContainer = document.createElement('div');
             labelContainer.className = 'hm-label-container';
-            labelContainer.textContent = outcome.title.length > 30
-                ? outcome.title.substring(0, 30) + '...'
-                : outcome.title;
-            labelContainer.title = outcome.title;
+            labelContainer.textContent = column.title.length > 30
+                ? column.title.substring(0, 30) + '...'
+                : column.title;
+            labelContainer.title = view.collapseGroups
+                ? `${column.title} (${column.outcomeIds.length} outcomes)`
+                : column.title;
 
             outcomeHeader.appendChild(labelContainer);
 
             // Sort indicator
-            if (sortState.column === String(outcome.id)) {
+            if (sortHeader(outcomeHeader, column.id)) {
                 const indicator = document.createElement('span');
-                indicator.textContent = sortState.direction === 'asc' ? '▲' : '▼';
+                indicator.textContent = view.sort.direction === 'asc' ? '▲' : '▼';
                 indicator.className = 'hm-sort-indicator-corner';
                 outcomeHeader.appendChild(indicator);
             }
 
-            outcomeHeader.addEventListener('click', () => {
-                if (sortState.column === String(outcome.id)) {
-                    sortState.direction = sortState.direction === 'asc' ? 'desc' : 'asc';
-                } else {
-                    sortState.column = String(outcome.id);
-                    sortState.direction = 'asc';
-                }
-                renderGrid();
-            });
-
             headerRow.appendChild(outcomeHeader);
         });
 
         thead.appendChild(headerRow);
         table.appendChild(thead);
 
-        // Tbody - student rows
+        // Tbody - student rows, under a heading row per group
         const tbody = document.createElement('tbody');
 
-        // Sort students
-        const sortedStudents = sortStudents(cache.students, sortState);
-
-        sortedStudents.forEach((student, rowIndex) => {
-            const row = document.createElement('tr');
-            row.className = 'hm-data-row';
-
-            // Name cell with link to individual mastery dashboard
-            const nameCell = document.createElement('td');
-            nameCell.className = 'hm-name-cell';
-
-            // Use cached masteryDashboardUrl or fallback to default
-            const masteryDashboardUrl = cache.meta.masteryDashboardUrl || 'mastery-dashboard';
-            if (!cache.meta.masteryDashboardUrl) {
-                logger.warn('[Heatmap] masteryDashboardUrl not in cache, using fallback - links may be broken');
+        arranged.groups.forEach(group => {
+            if (group.label !== null) {
+                const groupRow = document.createElement('tr');
+                groupRow.className = 'hm-group-row';
+                const groupCell = document.createElement('td');
+                groupCell.colSpan = columns.length + 1;
+                groupCell.textContent = `${group.label} `;
+                const groupCount = document.createElement('span');
+                groupCount.className = 'hm-group-count';
+                groupCount.textContent = `(${group.rows.length})`;
+                groupCell.appendChild(groupCount);
+                groupRow.appendChild(groupCell);
+                tbody.appendChild(groupRow);
             }
 
-            // Create link to mastery dashboard
-            const link = document.createElement('a');
-            link.href = `/courses/${cache.meta.courseId}/pages/${masteryDashboardUrl}?cg_web=1&student_id=${student.id}`;
-            link.textContent = formatStudentName(student);
-            link.title = `View ${student.name || student.sortableName}'s individual mastery dashboard`;
-            link.className = 'hm-name-link';
-
-            nameCell.appendChild(link);
-            row.appendChild(nameCell);
-
-            // Outcome cells
-            heatmapOutcomes.forEach(outcome => {
-                const outcomeData = student.outcomes.find(o =>
-                    String(o.outcomeId) === String(outcome.id)
-                ) || { status: 'NE', plPrediction: null };
-
-                const colors = getCellColor(outcomeData.plPrediction, outcomeData.status, colorScheme);
-                const content = getCellContent(outcomeData, showDetails);
-                const tooltip = buildTooltip(student, outcome, outcomeData);
-
-                const cell = document.createElement('td');
-                cell.className = 'hm-cell';
-                cell.style.width = `${cellWidth}px`;
-                cell.style.height = `${cellHeight}px`;
-                cell.style.background = colors.bg;
-                cell.style.color = colors.text;
-                cell.textContent = content;
-                cell.title = tooltip;
-
-                row.appendChild(cell);
+            group.rows.forEach(student => {
+                const row = document.createElement('tr');
+                row.className = 'hm-data-row';
+
+                // Name cell with link to individual mastery dashboard
+                const nameCell = document.createElement('td');
+                nameCell.className = 'hm-name-cell';
+
+                const link = document.createElement('a');
+                link.href = `/courses/${cache.meta.courseId}/pages/${masteryDashboardUrl}?cg_web=1&student_id=${student.id}`;
+                link.textContent = formatStudentName(student);
+                link.title = `View ${student.name}'s individual mastery dashboard`;
+                link.className = 'hm-name-link';
+
+                nameCell.appendChild(link);
+                row.appendChild(nameCell);
+
+                // Outcome cells
+                columns.forEach(column => {
+                    const cellData = student.cells[column.id];
+                    const colors = getCellColor(cellData.value, cellData.status, colorScheme);
+
+                    const cell = document.createElement('td');
+                    cell.className = 'hm-cell';
+                    cell.style.width = `${cellWidth}px`;
+                    cell.style.height = `${cellHeight}px`;
+                    cell.style.background = colors.bg;
+                    cell.style.color = colors.text;
+                    cell.textContent = getCellContent(cellData, showDetails);
+                    cell.title = buildTooltip(student, column, cellData, view.collapseGroups);
+
+                    row.appendChild(cell);
+                });
+
+                tbody.appendChild(row);
             });
-
-            tbody.appendChild(row);
         });
 
         table.appendChild(tbody);
     };
 
-    // Wire details toggle
-    toggleCheckbox.addEventListener('change', (e) => {
+    const changed = () => {
+        renderGrid();
+        onViewChange?.({ ...view, sort: { ...view.sort } });
+    };
+
+    // Wire controls
+    controls.groupBy.addEventListener('change', () => { view.groupBy = controls.groupBy.value; changed(); });
+    controls.minBelow.addEventListener('change', () => {
+        view.minBelow = Math.max(0, parseInt(controls.minBelow.value, 10) || 0);
+        controls.minBelow.value = String(view.minBelow);
+        changed();
+    });
+    controls.collapse.addEventListener('change', () => { view.collapseGroups = controls.collapse.checked; changed(); });
+    controls.freeze.addEventListener('change', () => { view.freezeNames = controls.freeze.checked; changed(); });
+    controls.details.addEventListener('change', (e) => {
         showDetails = e.target.checked;
         logger.debug(`[Heatmap] Details mode: ${showDetails}`);
         renderGrid();
@@ -349,4 +358,4 @@ export function buildHeatmapGrid(cache, options = {}) {
 
     logger.info('[Heatmap] Grid built successfully');
     return container;
-}
\ No newline at end of file
+}
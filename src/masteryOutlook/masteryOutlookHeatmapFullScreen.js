@@ -4,10 +4,16 @@
  *
  * Opens a new browser window and writes a self-contained HTML page
  * with the heatmap grid. All data, CSS, and JS are embedded inline.
+ *
+ * The data is prepareHeatmapData() output (heatmapModel.js), so rows,
+ * intervention groups and outcome-group averages match the in-page grid;
+ * the embedded script runs arrangeHeatmap() itself (its source is written
+ * into the page) and opens with the in-page grid's view options.
  */
 
 import { logger } from '../utils/logger.js';
 import { MASTERY_PALETTES, NE_HEATMAP_COLOR } from '../ui/masteryColors.js';
+import { HEATMAP_DEFAULT_VIEW, prepareHeatmapData, arrangeHeatmap } from './heatmapModel.js';
 
 /**
  * Escape HTML for safe rendering
@@ -41,19 +47,30 @@ function formatDate(isoString) {
  * @param {Object} options - Configuration options
  * @param {string} options.courseName - Course name for header
  * @param {string} options.colorScheme - 'soft' or 'canvas' (default: 'soft')
+ * @param {number} options.threshold - Re-teach threshold (default: the cache's computed threshold)
+ * @param {Object} options.sectionNames - { [sectionId]: name } for group by section
+ * @param {Object} options.view - View options to open with (see HEATMAP_DEFAULT_VIEW)
  */
 export function openFullScreenHeatmap(cache, options = {}) {
     const {
         courseName = window.ENV?.COURSE?.name || 'Course',
-        colorScheme = 'soft'
+        colorScheme = 'soft',
+        threshold = cache.outcomes[0]?.classStats?.computedThreshold || 2.2,
+        sectionNames = {},
+        view = HEATMAP_DEFAULT_VIEW
     } = options;
 
     logger.info('[HeatmapFullScreen] Opening full-screen heatmap');
 
-    // Serialize cache data
-    const cacheJSON = JSON.stringify(cache);
+    // Serialize heatmap data (escape "<" so titles can never close the <script>)
+    const toScriptJSON = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+    const dataJSON = toScriptJSON(prepareHeatmapData(cache, { threshold, sectionNames }));
+    const metaJSON = toScriptJSON({
+        courseId: cache.meta?.courseId,
+        masteryDashboardUrl: cache.meta?.masteryDashboardUrl || 'mastery-dashboard'
+    });
+    const viewJSON = toScriptJSON({ ...HEATMAP_DEFAULT_VIEW, ...view, sort: { ...HEATMAP_DEFAULT_VIEW.sort, ...view.sort } });
     const lastUpdated = formatDate(cache.meta?.computedAt);
-    const threshold = cache.outcomes[0]?.classStats?.computedThreshold || 2.2;
 
     // Open new window
     const win = window.open('', '_blank', 'width=1200,height=800');
@@ -119,6 +136,28 @@ export function openFullScreenHeatmap(cache, options = {}) {
             gap: 6px;
         }
         
+        .controls-left {
+            display: flex;
+            align-items: center;
+            gap: 14px;
+            flex-wrap: wrap;
+        }
+
+        .controls select,
+        .controls input[type="number"] {
+            font-size: 12px;
+            padding: 2px 4px;
+        }
+
+        .controls input[type="number"] {
+            width: 48px;
+        }
+
+        .count {
+            font-size: 12px;
+            color: #888;
+        }
+
         .threshold-display {
             font-size: 13px;
             color: #666;
@@ -187,6 +226,9 @@ export function openFullScreenHeatmap(cache, options = {}) {
             padding: 8px;
             text-align: left;
             font-size: 12px;
+        }
+
+        table.frozen th.name-header {
             position: sticky;
             left: 0;
             z-index: 2;
@@ -236,11 +278,28 @@ export function openFullScreenHeatmap(cache, options = {}) {
             font-weight: 500;
             background: #fff;
             border-right: 1px solid #e0e0e0;
+        }
+
+        table.frozen td.name-cell {
             position: sticky;
             left: 0;
             z-index: 1;
         }
 
+        tr.group-row td {
+            padding: 8px 8px 4px;
+            font-size: 12px;
+            font-weight: 600;
+            color: #555;
+            background: #f5f5f3;
+            border-top: 1px solid #e0e0e0;
+        }
+
+        tr.group-row .group-count {
+            font-weight: 400;
+            color: #888;
+        }
+
         td.data-cell {
             width: 90px;
             height: 32px;
@@ -259,10 +318,25 @@ export function openFullScreenHeatmap(cache, options = {}) {
         <div class="meta">Last updated: ${escapeHtml(lastUpdated)}</div>
 
         <div class="controls">
-            <label>
-                <input type="checkbox" id="details-toggle">
-                Show details
-            </label>
+            <div class="controls-left">
+                <label>Group by
+                    <select id="group-by">
+                        <option value="none">Nothing</option>
+                        <option value="section">Section</option>
+                        <option value="intervention">Intervention status</option>
+                    </select>
+                </label>
+                <label title="Only students below the re-teach threshold on at least this many outcomes (0 = everyone)">
+                    Below threshold on ≥ <input type="number" id="min-below" min="0" step="1"> outcomes
+                </label>
+                <label><input type="checkbox" id="collapse-groups"> Outcome groups</label>
+                <label><input type="checkbox" id="freeze-names"> Freeze names</label>
+                <label>
+                    <input type="checkbox" id="details-toggle">
+                    Show details
+                </label>
+                <span class="count" id="count"></span>
+            </div>
             <div class="threshold-display">
                 Threshold: <strong>${threshold.toFixed(1)}</strong>
             </div>
@@ -295,12 +369,12 @@ export function openFullScreenHeatmap(cache, options = {}) {
     <div id="heatmap-container"></div>
 
     <script>
-        // Embedded cache data
-        const cache = ${cacheJSON};
+        // Embedded heatmap data (prepareHeatmapData output) and view options
+        const data = ${dataJSON};
+        const meta = ${metaJSON};
+        const view = ${viewJSON};
 
         // Configuration
-        const AVG_OUTCOME_NAME = ${JSON.stringify(window.CG_CONFIG?.AVG_OUTCOME_NAME || 'Current Score')};
-        const EXCLUDED_OUTCOME_KEYWORDS = ${JSON.stringify(window.CG_CONFIG?.EXCLUDED_OUTCOME_KEYWORDS || [])};
         const COLOR_SCHEME = ${JSON.stringify(colorScheme)};
 
         // Mastery palette serialized from src/ui/masteryColors.js so the popup
@@ -309,15 +383,9 @@ export function openFullScreenHeatmap(cache, options = {}) {
         const NE_HEATMAP_COLOR = ${JSON.stringify(NE_HEATMAP_COLOR)};
 
         // State
-        let sortState = { column: 'name', direction: 'asc' };
         let showDetails = false;
 
         // Helper functions
-        function isExcludedOutcome(title) {
-            return title === AVG_OUTCOME_NAME ||
-                   EXCLUDED_OUTCOME_KEYWORDS.some(kw => title.includes(kw));
-        }
-
         function formatStudentName(student) {
             const parts = (student.sortableName || student.name || '').split(',');
             if (parts.length >= 2) {
@@ -329,12 +397,12 @@ export function openFullScreenHeatmap(cache, options = {}) {
             return student.name || student.sortableName || 'Student ' + student.id;
         }
 
-        function getCellColor(plPrediction, status) {
-            if (status === 'NE' || plPrediction === null) {
+        function getCellColor(value) {
+            if (value === null) {
                 return { bg: NE_HEATMAP_COLOR.bg, text: NE_HEATMAP_COLOR.text };
             }
             const palette = MASTERY_PALETTES[COLOR_SCHEME === 'canvas' ? 'canvas' : 'soft'];
-            const v = (plPrediction == null || isNaN(plPrediction)) ? 0 : Number(plPrediction);
+            const v = isNaN(value) ? 0 : Number(value);
             for (const band of palette) {
                 if (v >= band.min) return { bg: band.bg, text: band.fg };
             }
@@ -342,69 +410,60 @@ export function openFullScreenHeatmap(cache, options = {}) {
             return { bg: last.bg, text: last.fg };
         }
 
-        function getCellContent(outcomeData, showDetails) {
+        function getCellContent(cell) {
             if (!showDetails) return '';
-            if (outcomeData.status === 'NE' || outcomeData.plPrediction === null) {
-                return 'NE';
-            }
-            return outcomeData.plPrediction.toFixed(2);
+            return cell.value === null ? 'NE' : cell.value.toFixed(2);
         }
 
-        function buildTooltip(student, outcome, outcomeData) {
-            const studentName = student.name || student.sortableName;
-            const outcomeTitle = outcome.title;
-
-            if (outcomeData.status === 'NE' || outcomeData.plPrediction === null) {
-                return studentName + ' • ' + outcomeTitle + ' • NE — fewer than 3 attempts';
+        function buildTooltip(row, column, cell) {
+            if (cell.value === null) {
+                return view.collapseGroups
+                    ? row.name + ' • ' + column.title + ' • NE — no outcome in this group has 3 attempts'
+                    : row.name + ' • ' + column.title + ' • NE — fewer than 3 attempts';
             }
-
-            const pl = outcomeData.plPrediction.toFixed(2);
-            return studentName + ' • ' + outcomeTitle + ' • PL: ' + pl;
+            const value = cell.value.toFixed(2);
+            return view.collapseGroups
+                ? row.name + ' • ' + column.title + ' • Group average: ' + value + ' (' + column.outcomeIds.length + ' outcomes)'
+                : row.name + ' • ' + column.title + ' • PL: ' + value;
         }
 
-        function sortStudents(students, sortState) {
-            const sorted = students.slice();
+        // arrangeHeatmap() from heatmapModel.js, embedded from its source
+        const arrangeHeatmap = ${arrangeHeatmap.toString()};
 
-            if (sortState.column === 'name') {
-                sorted.sort(function(a, b) {
-                    const cmp = (a.sortableName || a.name).localeCompare(b.sortableName || b.name);
-                    return sortState.direction === 'asc' ? cmp : -cmp;
-                });
-            } else {
-                const outcomeId = sortState.column;
-                sorted.sort(function(a, b) {
-                    const aData = a.outcomes.find(function(o) { return String(o.outcomeId) === String(outcomeId); });
-                    const bData = b.outcomes.find(function(o) { return String(o.outcomeId) === String(outcomeId); });
-
-                    const aIsNE = !aData || aData.status === 'NE' || aData.plPrediction === null;
-                    const bIsNE = !bData || bData.status === 'NE' || bData.plPrediction === null;
-
-                    if (aIsNE && !bIsNE) return 1;
-                    if (!aIsNE && bIsNE) return -1;
-                    if (aIsNE && bIsNE) return 0;
-
-                    const aPL = aData.plPrediction || 0;
-                    const bPL = bData.plPrediction || 0;
-                    const cmp = aPL - bPL;
-
-                    return sortState.direction === 'asc' ? cmp : -cmp;
-                });
-            }
-
-            return sorted;
+        function arrange() {
+            const arranged = arrangeHeatmap(data, view);
+            view.sort = arranged.sort;
+            return arranged;
         }
 
-        // Filter outcomes
-        const heatmapOutcomes = cache.outcomes
-            .filter(function(o) { return !isExcludedOutcome(o.title); })
-            .sort(function(a, b) { return (a.displayOrder || 0) - (b.displayOrder || 0); });
+        function sortHeader(th, columnId) {
+            const active = view.sort.column === columnId;
+            if (active) th.className += ' active';
+            th.onclick = function() {
+                if (view.sort.column === columnId) {
+                    view.sort.direction = view.sort.direction === 'asc' ? 'desc' : 'asc';
+                } else {
+                    view.sort = { column: columnId, direction: 'asc' };
+                }
+                renderGrid();
+            };
+            return active;
+        }
 
         // Render grid
         function renderGrid() {
             const container = document.getElementById('heatmap-container');
             container.innerHTML = '';
 
+            const arranged = arrange();
+            const columns = arranged.columns;
+
+            document.getElementById('count').textContent = arranged.shownCount === data.rows.length
+                ? data.rows.length + ' students'
+                : arranged.shownCount + ' of ' + data.rows.length + ' students';
+
             const table = document.createElement('table');
+            if (view.freezeNames) table.className = 'frozen';
 
             // Header row
             const thead = document.createElement('thead');
@@ -412,123 +471,140 @@ export function openFullScreenHeatmap(cache, options = {}) {
 
             // Name header
             const nameHeader = document.createElement('th');
-            nameHeader.className = 'name-header' + (sortState.column === 'name' ? ' active' : '');
+            nameHeader.className = 'name-header';
             nameHeader.textContent = 'Name ';
-            if (sortState.column === 'name') {
+            if (sortHeader(nameHeader, 'name')) {
                 const indicator = document.createElement('span');
-                indicator.textContent = sortState.direction === 'asc' ? '▲' : '▼';
+                indicator.textContent = view.sort.direction === 'asc' ? '▲' : '▼';
                 indicator.style.fontSize = '10px';
                 nameHeader.appendChild(indicator);
             }
-            nameHeader.onclick = function() {
-                if (sortState.column === 'name') {
-                    sortState.direction = sortState.direction === 'asc' ? 'desc' : 'asc';
-                } else {
-                    sortState.column = 'name';
-                    sortState.direction = 'asc';
-                }
-                renderGrid();
-            };
             headerRow.appendChild(nameHeader);
 
-            // Outcome headers
-            heatmapOutcomes.forEach(function(outcome) {
+            // Outcome (or outcome group) headers
+            columns.forEach(function(column) {
                 const th = document.createElement('th');
-                th.className = 'outcome-header' + (sortState.column === String(outcome.id) ? ' active' : '');
+                th.className = 'outcome-header';
 
                 const label = document.createElement('div');
                 label.className = 'rotated-label';
-                label.textContent = outcome.title.length > 30 ? outcome.title.substring(0, 30) + '...' : outcome.title;
-                label.title = outcome.title;
+                label.textContent = column.title.length > 30 ? column.title.substring(0, 30) + '...' : column.title;
+                label.title = view.collapseGroups
+                    ? column.title + ' (' + column.outcomeIds.length + ' outcomes)'
+                    : column.title;
                 th.appendChild(label);
 
-                if (sortState.column === String(outcome.id)) {
+                if (sortHeader(th, column.id)) {
                     const indicator = document.createElement('span');
                     indicator.className = 'sort-indicator';
-                    indicator.textContent = sortState.direction === 'asc' ? '▲' : '▼';
+                    indicator.textContent = view.sort.direction === 'asc' ? '▲' : '▼';
                     th.appendChild(indicator);
                 }
 
-                th.onclick = function() {
-                    if (sortState.column === String(outcome.id)) {
-                        sortState.direction = sortState.direction === 'asc' ? 'desc' : 'asc';
-                    } else {
-                        sortState.column = String(outcome.id);
-                        sortState.direction = 'asc';
-                    }
-                    renderGrid();
-                };
-
                 headerRow.appendChild(th);
             });
 
             thead.appendChild(headerRow);
             table.appendChild(thead);
 
-            // Body rows
+            // Body rows, under a heading row per group
             const tbody = document.createElement('tbody');
-            const sortedStudents = sortStudents(cache.students, sortState);
-
-            sortedStudents.forEach(function(student) {
-                const row = document.createElement('tr');
-
-                // Name cell with link to individual mastery dashboard
-                const nameCell = document.createElement('td');
-                nameCell.className = 'name-cell';
-
-                // Use cached masteryDashboardUrl or fallback to default
-                const masteryDashboardUrl = cache.meta.masteryDashboardUrl || 'mastery-dashboard';
-
-                // Create link (opens in parent window)
-                const link = document.createElement('a');
-                link.href = '/courses/' + cache.meta.courseId + '/pages/' + masteryDashboardUrl + '?cg_web=1&student_id=' + student.id;
-                link.textContent = formatStudentName(student);
-                link.title = "View " + (student.name || student.sortableName) + "'s individual mastery dashboard";
-                link.style.cssText = 'color:#333; text-decoration:none; font-weight:500;';
-                link.target = '_blank';  // Open in new tab from full-screen window
-                link.onmouseenter = function() {
-                    this.style.textDecoration = 'underline';
-                    this.style.color = '#0374B5';
-                };
-                link.onmouseleave = function() {
-                    this.style.textDecoration = 'none';
-                    this.style.color = '#333';
-                };
-
-                nameCell.appendChild(link);
-                row.appendChild(nameCell);
-
-                // Outcome cells
-                heatmapOutcomes.forEach(function(outcome) {
-                    const outcomeData = student.outcomes.find(function(o) {
-                        return String(o.outcomeId) === String(outcome.id);
-                    }) || { status: 'NE', plPrediction: null };
-
-                    const colors = getCellColor(outcomeData.plPrediction, outcomeData.status);
-                    const content = getCellContent(outcomeData, showDetails);
-                    const tooltip = buildTooltip(student, outcome, outcomeData);
-
-                    const cell = document.createElement('td');
-                    cell.className = 'data-cell';
-                    cell.style.background = colors.bg;
-                    cell.style.color = colors.text;
-                    cell.textContent = content;
-                    cell.title = tooltip;
-
-                    row.appendChild(cell);
-                });
 
-                tbody.appendChild(row);
+            arranged.groups.forEach(function(group) {
+                if (group.label !== null) {
+                    const groupRow = document.createElement('tr');
+                    groupRow.className = 'group-row';
+                    const groupCell = document.createElement('td');
+                    groupCell.colSpan = columns.length + 1;
+                    groupCell.textContent = group.label + ' ';
+                    const groupCount = document.createElement('span');
+                    groupCount.className = 'group-count';
+                    groupCount.textContent = '(' + group.rows.length + ')';
+                    groupCell.appendChild(groupCount);
+                    groupRow.appendChild(groupCell);
+                    tbody.appendChild(groupRow);
+                }
+
+                group.rows.forEach(function(student) {
+                    const row = document.createElement('tr');
+
+                    // Name cell with link to individual mastery dashboard
+                    const nameCell = document.createElement('td');
+                    nameCell.className = 'name-cell';
+
+                    // Create link (opens in parent window)
+                    const link = document.createElement('a');
+                    link.href = '/courses/' + meta.courseId + '/pages/' + meta.masteryDashboardUrl + '?cg_web=1&student_id=' + student.id;
+                    link.textContent = formatStudentName(student);
+                    link.title = "View " + student.name + "'s individual mastery dashboard";
+                    link.style.cssText = 'color:#333; text-decoration:none; font-weight:500;';
+                    link.target = '_blank';  // Open in new tab from full-screen window
+                    link.onmouseenter = function() {
+                        this.style.textDecoration = 'underline';
+                        this.style.color = '#0374B5';
+                    };
+                    link.onmouseleave = function() {
+                        this.style.textDecoration = 'none';
+                        this.style.color = '#333';
+                    };
+
+                    nameCell.appendChild(link);
+                    row.appendChild(nameCell);
+
+                    // Outcome cells
+                    columns.forEach(function(column) {
+                        const cellData = student.cells[column.id];
+                        const colors = getCellColor(cellData.value);
+
+                        const cell = document.createElement('td');
+                        cell.className = 'data-cell';
+                        cell.style.background = colors.bg;
+                        cell.style.color = colors.text;
+                        cell.textContent = getCellContent(cellData);
+                        cell.title = buildTooltip(student, column, cellData);
+
+                        row.appendChild(cell);
+                    });
+
+                    tbody.appendChild(row);
+                });
             });
 
             table.appendChild(tbody);
             container.appendChild(table);
         }
 
+        // Seed controls from the in-page view
+        const groupBySelect = document.getElementById('group-by');
+        const minBelowInput = document.getElementById('min-below');
+        const collapseToggle = document.getElementById('collapse-groups');
+        const freezeToggle = document.getElementById('freeze-names');
+        groupBySelect.value = view.groupBy;
+        minBelowInput.value = String(view.minBelow || 0);
+        collapseToggle.checked = view.collapseGroups;
+        freezeToggle.checked = view.freezeNames;
+
         // Initial render
         renderGrid();
 
-        // Wire details toggle
+        // Wire controls
+        groupBySelect.addEventListener('change', function() {
+            view.groupBy = groupBySelect.value;
+            renderGrid();
+        });
+        minBelowInput.addEventListener('change', function() {
+            view.minBelow = Math.max(0, parseInt(minBelowInput.value, 10) || 0);
+            minBelowInput.value = String(view.minBelow);
+            renderGrid();
+        });
+        collapseToggle.addEventListener('change', function() {
+            view.collapseGroups = collapseToggle.checked;
+            renderGrid();
+        });
+        freezeToggle.addEventListener('change', function() {
+            view.freezeNames = freezeToggle.checked;
+            renderGrid();
+        });
         document.getElementById('details-toggle').addEventListener('change', function(e) {
             showDetails = e.target.checked;
             renderGrid();
@@ -0,0 +1,63 @@
+// src/masteryOutlook/masteryOutlookHeatmapFullScreen.test.js
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { openFullScreenHeatmap } from './masteryOutlookHeatmapFullScreen.js';
+import { prepareHeatmapData, arrangeHeatmap, HEATMAP_DEFAULT_VIEW } from './heatmapModel.js';
+import { buildCache } from './tests/fixtures.js';
+
+const cache = buildCache({ meta: { courseId: '101' } });
+const sectionNames = { 100: 'Period 1', 200: 'Period 2' };
+
+/**
+ * Open the pop-out, run its embedded script against this document and return
+ * the script's arrange step and view state
+ */
+function runPopOut() {
+    let html = '';
+    vi.spyOn(window, 'open').mockReturnValue({ document: { open() {}, write(text) { html = text; }, close() {} } });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    openFullScreenHeatmap(cache, { sectionNames, threshold: 2.2 });
+
+    const page = new DOMParser().parseFromString(html, 'text/html');
+    const script = page.querySelector('script').textContent;
+    page.querySelector('script').remove();
+    document.body.innerHTML = page.body.innerHTML;
+    return new Function(`${script}\nreturn { arrange, view };`)();
+}
+
+const summarize = (arranged) => ({
+    columns: arranged.columns.map(c => c.id),
+    groups: arranged.groups.map(g => [g.label, g.rows.map(r => r.id)]),
+    shownCount: arranged.shownCount
+});
+
+describe('full-screen heatmap', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    it('arranges rows and groups exactly like the in-page grid', () => {
+        const popOut = runPopOut();
+        const data = prepareHeatmapData(cache, { threshold: 2.2, sectionNames });
+        expect(document.querySelectorAll('#heatmap-container tbody tr')).toHaveLength(4);
+
+        const views = [
+            {},
+            { minBelow: 1 },
+            { groupBy: 'intervention', sort: { column: '10', direction: 'desc' } },
+            { groupBy: 'section', sort: { column: 'name', direction: 'desc' } },
+            { collapseGroups: true, sort: { column: 'group:5', direction: 'asc' } },
+            // A column that is not shown falls back to name
+            { collapseGroups: true, sort: { column: '12', direction: 'desc' } }
+        ];
+        views.forEach(options => {
+            const view = { ...HEATMAP_DEFAULT_VIEW, ...options };
+            Object.keys(popOut.view).forEach(key => delete popOut.view[key]);
+            Object.assign(popOut.view, structuredClone(view));
+
+            const expected = arrangeHeatmap(data, view);
+            expect(summarize(popOut.arrange())).toEqual(summarize(expected));
+            expect(popOut.view.sort).toEqual(expected.sort);
+        });
+    });
+});
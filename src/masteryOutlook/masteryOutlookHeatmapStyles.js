@@ -35,6 +35,31 @@ export const HEATMAP_CSS = `
 
 .hm-toggle-checkbox { cursor: pointer; }
 
+/* Grouping / filter controls */
+.hm-controls {
+  display: flex;
+  align-items: center;
+  gap: 14px;
+  flex-wrap: wrap;
+  font-size: 13px;
+}
+.hm-controls label { display: flex; align-items: center; gap: 6px; cursor: pointer; }
+.hm-controls select,
+.hm-controls input[type="number"] { margin: 0; height: 26px; padding: 0 4px; font-size: 12px; width: auto; }
+.hm-controls input[type="number"] { width: 48px; }
+.hm-count { font-size: 12px; color: #888; }
+
+/* Group heading row (group by section / intervention status) */
+.hm-group-row td {
+  padding: 8px 8px 4px;
+  font-size: 12px;
+  font-weight: 600;
+  color: #555;
+  background: #f5f5f3;
+  border-top: 1px solid #e0e0e0;
+}
+.hm-group-count { font-weight: 400; color: #888; }
+
 /* Full-screen link */
 .hm-fullscreen-link {
   font-size: 12px;
@@ -71,9 +96,6 @@ export const HEATMAP_CSS = `
   text-align: left;
   font-size: 12px;
   font-weight: 600;
-  position: sticky;
-  left: 0;
-  z-index: 2;
 }
 .hm-sort-header--outcome {
   padding: 4px;
@@ -120,11 +142,12 @@ export const HEATMAP_CSS = `
   font-weight: 500;
   background: #fff;
   border-right: 1px solid #e0e0e0;
-  position: sticky;
-  left: 0;
-  z-index: 1;
 }
 
+/* Frozen name column (Freeze names toggle) */
+.hm-frozen .hm-sort-header--name { position: sticky; left: 0; z-index: 2; }
+.hm-frozen .hm-name-cell { position: sticky; left: 0; z-index: 1; }
+
 /* Student name link (hover handled in CSS; no JS mouseenter/mouseleave needed) */
 .hm-name-link {
   color: #333;
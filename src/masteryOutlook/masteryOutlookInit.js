@@ -18,17 +18,20 @@ import { isMasteryOutlookPage } from '../utils/pageDetection.js';
 import { injectMasteryOutlookButton } from './masteryOutlookCreation.js';
 import { renderMasteryOutlook } from './masteryOutlookView.js';
 import { CanvasApiClient } from '../utils/canvasApiClient.js';
-import { fetchAllOutcomeData, computeOutcomeStats, applyPossibleManualOverrides, reapplyIgnoredAlignments } from './masteryOutlookDataService.js';
-import { writeMasteryOutlookCache, readPLAssignments, readSyncState, readIgnoredAlignments } from './masteryOutlookCacheService.js';
+import { fetchAllOutcomeData, computeOutcomeStats, applyPossibleManualOverrides, reapplyIgnoredAlignments, applyCanvasScoreClassStats } from './masteryOutlookDataService.js';
+import { writeMasteryOutlookCache, readPLAssignments, readSyncState, readIgnoredAlignments, readOutcomeWeighting, readGrowthModel, readInterventionGroups, readMasteryOutlookCache, writeMasteryOutlookSnapshot } from './masteryOutlookCacheService.js';
 import { stopPolling, stopVisibilityListener } from './masteryOutlookPollingService.js';
 import { getThreshold } from './thresholdStorage.js';
 import { checkAndInjectMasteryOutlookLink } from './sidebarLinkInjection.js';
 import { findMasteryDashboardPageUrl } from '../services/pageService.js';
 import { PL_ASSIGNMENT_SUFFIX } from '../config.js';
 import { getRollup, getOutcomeObjectByName } from '../services/outcomeService.js';
-import { getAssignmentObjectFromOutcomeObj } from '../services/assignmentService.js';
+import { getAssignmentObjectFromOutcomeObj, getAvgAssignmentName } from '../services/assignmentService.js';
+import { resolveSelectedGradingPeriod } from '../services/gradingPeriodService.js';
 import { getRubricForAssignment } from '../services/rubricService.js';
 import { fetchAllSubmissions, fetchRubricAssociationId } from '../services/submissionService.js';
+import { buildGrowthSnapshot } from './growthTrends.js';
+import { buildMasteryOutlookSnapshot } from './masteryOutlookSnapshots.js';
 
 // ═══════════════════════════════════════════════════════════════════════
 // PERMISSIONS
@@ -130,9 +133,11 @@ function initMasteryOutlookView() {
  *
  * @param {string} courseId
  * @param {CanvasApiClient} apiClient
+ * @param {Object|null} [gradingPeriod] - Use the period's own Current Score assignment
+ *   (GRADING_PERIOD_ASSIGNMENTS)
  * @returns {Promise<Object|null>}
  */
-async function buildAvgAssignmentSetup(courseId, apiClient) {
+async function buildAvgAssignmentSetup(courseId, apiClient, gradingPeriod = null) {
     try {
         const rollupData = await getRollup(courseId, apiClient);
         const outcomeObj = getOutcomeObjectByName(rollupData);
@@ -141,7 +146,9 @@ async function buildAvgAssignmentSetup(courseId, apiClient) {
             return null;
         }
 
-        const assignmentObj = await getAssignmentObjectFromOutcomeObj(courseId, outcomeObj, apiClient);
+        const assignmentObj = await getAssignmentObjectFromOutcomeObj(courseId, outcomeObj, apiClient, {
+            name: getAvgAssignmentName(gradingPeriod)
+        });
         if (!assignmentObj?.id) {
             logger.warn('[MasteryOutlookInit] Avg assignment not found — avg_assignment not cached');
             return null;
@@ -189,6 +196,7 @@ async function buildAvgAssignmentSetup(courseId, apiClient) {
  * Run a full Mastery Outlook data refresh for a course.
  * Fetches outcomes, enrollments, submissions, and outcome results in parallel,
  * computes Power Law metrics, and rebuilds the cache.
+ * Only the teacher's selected grading period is used (cache.metadata.gradingPeriod).
  *
  * @param {string|number} courseId - Canvas course ID
  * @param {Object} apiClient - CanvasApiClient instance
@@ -221,11 +229,14 @@ export async function runFullRefresh(courseId, apiClient, onProgress = () => {})
         logger.warn('[MasteryOutlookInit] Could not search for existing PL assignments — filter may be incomplete:', err.message);
     }
 
+    const gradingPeriod = await resolveSelectedGradingPeriod(courseId, apiClient);
+
     // Fetch all data with the parallel page fetcher (4d).
     // fetchAllOutcomeData throws if any page fails — the cache is never written in that case.
     const data = await fetchAllOutcomeData(courseId, apiClient, onProgress, {
         parallel: true,
-        knownPlAssignmentIds
+        knownPlAssignmentIds,
+        gradingPeriod
     });
 
     // Get current user's threshold setting
@@ -233,9 +244,17 @@ export async function runFullRefresh(courseId, apiClient, onProgress = () => {})
     const threshold = userId ? getThreshold(courseId, userId) : 2.2;
     logger.debug(`[MasteryOutlookInit] Using threshold: ${threshold} for user ${userId}`);
 
-    // Compute Power Law stats
-    onProgress('Computing Power Law predictions...');
-    const cache = computeOutcomeStats(data, threshold);
+    // Read the current cache once: the sections the teacher owns are carried
+    // over from it, and its predictions become the growth snapshot
+    const previousCache = await readMasteryOutlookCache(courseId, apiClient);
+
+    // Compute predictions with the course's growth model (Power Law by default)
+    onProgress('Computing predictions...');
+    const existingGrowthModel = await readGrowthModel(courseId, apiClient, previousCache);
+    const cache = computeOutcomeStats(data, threshold, { growthModel: existingGrowthModel });
+    if (existingGrowthModel) {
+        cache.growth_model = existingGrowthModel;
+    }
 
     // Find Mastery Dashboard page URL
     onProgress('Finding Mastery Dashboard page...');
@@ -250,60 +269,63 @@ export async function runFullRefresh(courseId, apiClient, onProgress = () => {})
     cache.metadata.computedAt         = new Date().toISOString();
     cache.metadata.threshold          = threshold;
     cache.metadata.masteryDashboardUrl = masteryDashboardUrl;
+    cache.metadata.gradingPeriod      = gradingPeriod
+        ? { id: gradingPeriod.id, title: gradingPeriod.title,
+            start_date: gradingPeriod.start_date, end_date: gradingPeriod.end_date }
+        : null;
 
     // Step 6: Preserve pl_assignments across refresh
     onProgress('Saving cache...');
-    const existingPLAssignments = await readPLAssignments(courseId, apiClient);
+    const existingPLAssignments = await readPLAssignments(courseId, apiClient, previousCache);
     if (existingPLAssignments && Object.keys(existingPLAssignments).length > 0) {
         cache.pl_assignments = existingPLAssignments;
     }
 
     // Step 7: Preserve sync_state across refresh
-    const existingSyncState = await readSyncState(courseId, apiClient);
+    const existingSyncState = await readSyncState(courseId, apiClient, previousCache);
     if (existingSyncState && Object.keys(existingSyncState).length > 0) {
         cache.sync_state = existingSyncState;
     }
 
     // Step 7b: Preserve ignored_alignments across refresh
-    const existingIgnoredAlignments = await readIgnoredAlignments(courseId, apiClient);
+    const existingIgnoredAlignments = await readIgnoredAlignments(courseId, apiClient, previousCache);
     if (existingIgnoredAlignments.length > 0) {
         cache.ignored_alignments = existingIgnoredAlignments;
     }
 
+    // Step 7b.1: Preserve the teacher's Current Score weighting model across refresh
+    const existingWeighting = await readOutcomeWeighting(courseId, apiClient, previousCache);
+    if (existingWeighting) {
+        cache.outcome_weighting = existingWeighting;
+    }
+
+    // Step 7b.2: Preserve the teacher's re-teach groups across refresh
+    const existingInterventionGroups = await readInterventionGroups(courseId, apiClient, previousCache);
+    if (existingInterventionGroups) {
+        cache.intervention_groups = existingInterventionGroups;
+    }
+
+    // Step 7b.3: Keep the predictions this refresh replaces, so the Growth
+    // view can flag sharp declines since the previous refresh
+    const growthSnapshot = buildGrowthSnapshot(previousCache);
+    if (growthSnapshot) {
+        cache.growth_snapshot = growthSnapshot;
+    }
+
     // Step 7c: Recompute plPrediction for students with ignored alignments.
     // computeOutcomeStats (step above) ran before ignored_alignments was restored,
     // so it used all attempts. This corrects those plPrediction values in place.
     reapplyIgnoredAlignments(cache);
 
     // Step 7c.1: Recalculate plAvg using Canvas outcome rollup scores
-    // (canvasScore) rather than Power Law predictions. This makes the
-    // displayed average directly comparable to what teachers see in Canvas.
-    cache.outcomes.forEach(outcome => {
-        const canvasScores = cache.students
-            .map(student => student.outcomes?.find(o => o.outcomeId === outcome.id)?.canvasScore)
-            .filter(s => s != null);
-        if (canvasScores.length > 0 && outcome.classStats) {
-            const avg = canvasScores.reduce((a, b) => a + b, 0) / canvasScores.length;
-            outcome.classStats.plAvg     = parseFloat(avg.toFixed(4));
-            outcome.classStats.classMean = outcome.classStats.plAvg;
-
-            // Recalculate distribution using Canvas scores
-            const distribution = { '1': 0, '2': 0, '3': 0, '4': 0 };
-            canvasScores.forEach(s => {
-                if      (s < 1.5) distribution['1']++;
-                else if (s < 2.5) distribution['2']++;
-                else if (s < 3.5) distribution['3']++;
-                else              distribution['4']++;
-            });
-            outcome.classStats.distribution = distribution;
-            outcome.classStats.belowThresholdCount = canvasScores.filter(s => s < outcome.classStats.computedThreshold).length;
-        }
-    });
+    // (canvasScore) rather than Power Law predictions.
+    // For a grading period, canvasScore is already the period's recomputed score.
+    cache.outcomes.forEach(outcome => applyCanvasScoreClassStats(outcome, cache.students));
 
     // Step 7d: Build/refresh avg_assignment setup for Current Score updates.
     // Non-critical — Mastery Outlook works without it; avg updates are skipped.
     onProgress('Locating Current Score assignment...');
-    const avgSetup = await buildAvgAssignmentSetup(courseId, apiClient);
+    const avgSetup = await buildAvgAssignmentSetup(courseId, apiClient, gradingPeriod);
     if (avgSetup) {
         cache.avg_assignment = avgSetup;
     }
@@ -314,6 +336,14 @@ export async function runFullRefresh(courseId, apiClient, onProgress = () => {})
     // Step 9: Write the merged cache — only reached if all pages succeeded (4e guarantee)
     await writeMasteryOutlookCache(courseId, apiClient, cache);
 
+    // Step 9b: Keep a dated snapshot for the Compare view.
+    // Non-critical — the cache is already written.
+    try {
+        await writeMasteryOutlookSnapshot(courseId, apiClient, buildMasteryOutlookSnapshot(cache));
+    } catch (err) {
+        logger.warn('[MasteryOutlookInit] Could not write dated snapshot:', err.message);
+    }
+
     logger.info('[MasteryOutlookInit] runFullRefresh complete');
 
     return {
@@ -324,6 +354,10 @@ export async function runFullRefresh(courseId, apiClient, onProgress = () => {})
         sync_state:         cache.sync_state         ?? {},
         ignored_alignments: cache.ignored_alignments ?? [],
         avg_assignment:     cache.avg_assignment     ?? null,
+        outcome_weighting:  cache.outcome_weighting  ?? null,
+        growth_model:       cache.growth_model       ?? null,
+        intervention_groups: cache.intervention_groups ?? null,
+        growth_snapshot:    cache.growth_snapshot    ?? null,
     };
 }
 
@@ -6,6 +6,8 @@
  *  - Lightweight 5-minute "dirty check" against Canvas submissions API
  *  - Page Visibility API integration — pause on hide, immediate check on return
  *  - Silent fail on all poll errors (never interrupt the teacher)
+ *  - Graded-student lookup for automatic Current Score recalculation
+ *    (fetchGradedStudentIds, used by src/gradebook/autoRecalcService.js)
  *
  * All state is module-level so callers can start/stop from anywhere without
  * passing handles around.  Call stopPolling() + stopVisibilityListener() when
@@ -59,6 +61,40 @@ export async function checkForChanges(courseId, cacheComputedAt, apiClient) {
     }
 }
 
+// ─── fetchGradedStudentIds ───────────────────────────────────────────────────
+
+/**
+ * Full version of checkForChanges: which students had a submission graded
+ * after `since`?  Used by automatic Current Score recalculation to target
+ * only the affected students.
+ *
+ * Unlike checkForChanges this throws on error — the caller decides whether
+ * to retry on the next poll.
+ *
+ * @param {string} courseId
+ * @param {string} since - ISO timestamp
+ * @param {CanvasApiClient} apiClient
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludeAssignmentIds] - Ignore grades on these
+ *   assignments (e.g. the Current Score assignment written by the update itself)
+ * @returns {Promise<Set<string>>} User IDs
+ */
+export async function fetchGradedStudentIds(courseId, since, apiClient, { excludeAssignmentIds = [] } = {}) {
+    const url = `/api/v1/courses/${courseId}/students/submissions`
+        + `?student_ids[]=all`
+        + `&workflow_state=graded`
+        + `&graded_since=${encodeURIComponent(since)}`;
+
+    const excluded = new Set(excludeAssignmentIds.map(String));
+    const submissions = await apiClient.getAllPages(url, {}, 'pollFetchGradedStudents');
+
+    return new Set(
+        submissions
+            .filter(s => !excluded.has(String(s.assignment_id)))
+            .map(s => String(s.user_id))
+    );
+}
+
 // ─── startPolling / stopPolling ───────────────────────────────────────────────
 
 /**
@@ -0,0 +1,155 @@
+// src/masteryOutlook/masteryOutlookSnapshots.js
+/**
+ * Mastery Outlook snapshots — dated copies of each refresh, and the model
+ * for the "Compare" view.
+ *
+ * Every Refresh Data also writes a compact snapshot to the
+ * mastery_outlook_cache folder as mastery_outlook_snapshot_YYYY-MM-DD.json
+ * (one per day; a second refresh the same day replaces it). File naming,
+ * listing and pruning per MASTERY_SNAPSHOT_RETENTION live in
+ * masteryOutlookCacheService.js. Snapshot shape:
+ * {
+ *   version,
+ *   taken_at, computed_at, threshold,
+ *   outcomes: [{ id, title, displayOrder }],
+ *   students: [{ id, sectionId, outcomes: [{ outcomeId, status, plPrediction, canvasScore, slope }] }]
+ * }
+ *
+ * Students' outcome entries keep the cache's field names, so class stats
+ * for any two snapshots are recomputed with the same code the Outcomes view
+ * uses (buildOutcomeClassStats + applyCanvasScoreClassStats), at one
+ * threshold and optionally for one section.
+ */
+
+import { buildOutcomeClassStats, applyCanvasScoreClassStats } from './masteryOutlookDataService.js';
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Compact snapshot of a cache.
+ *
+ * @param {Object} cache - Cache as written to disk (metadata) or view cache (meta)
+ * @param {Date} [takenAt=new Date()]
+ * @returns {Object|null} Snapshot, or null when the cache has no students
+ */
+export function buildMasteryOutlookSnapshot(cache, takenAt = new Date()) {
+    if (!cache?.students?.length) return null;
+    const meta = cache.metadata ?? cache.meta ?? {};
+    return {
+        version: SNAPSHOT_VERSION,
+        taken_at: takenAt.toISOString(),
+        computed_at: meta.computedAt ?? null,
+        threshold: meta.threshold ?? null,
+        outcomes: (cache.outcomes ?? []).map(o => ({
+            id: String(o.id),
+            title: o.title,
+            displayOrder: o.displayOrder ?? null
+        })),
+        students: cache.students.map(student => ({
+            id: String(student.id),
+            sectionId: student.sectionId ?? null,
+            outcomes: (student.outcomes ?? []).map(o => ({
+                outcomeId: String(o.outcomeId),
+                status: o.status ?? 'NE',
+                plPrediction: o.plPrediction ?? null,
+                canvasScore: o.canvasScore ?? null,
+                slope: o.slope ?? null
+            }))
+        }))
+    };
+}
+
+/**
+ * Class stats for one outcome of a snapshot
+ * @param {Object} snapshot
+ * @param {string} outcomeId
+ * @param {number} threshold
+ * @param {Array<Object>} students - Snapshot students already filtered to a section
+ * @returns {{plAvg, distribution, belowThresholdCount, neCount, totalStudents}|null}
+ *   null when the snapshot does not have the outcome
+ */
+function snapshotOutcomeStats(snapshot, outcomeId, threshold, students) {
+    if (!snapshot.outcomes.some(o => o.id === outcomeId)) return null;
+    const outcome = { id: outcomeId, classStats: buildOutcomeClassStats(outcomeId, students, threshold) };
+    applyCanvasScoreClassStats(outcome, students);
+    const { plAvg, distribution, belowThresholdCount, neCount, totalStudents } = outcome.classStats;
+    return { plAvg, distribution: { ...distribution }, belowThresholdCount, neCount, totalStudents };
+}
+
+const diff = (from, to) => (from !== null && from !== undefined && to !== null && to !== undefined ? to - from : null);
+
+/**
+ * Compare two snapshots, per outcome and per student.
+ *
+ * Outcomes appear in the later snapshot's order, followed by outcomes only
+ * the earlier one had. Students are those in either snapshot (and in the
+ * section, when one is given).
+ *
+ * @param {Object} from - Earlier snapshot
+ * @param {Object} to - Later snapshot
+ * @param {Object} options
+ * @param {number} options.threshold - Mastery threshold applied to both
+ * @param {string|null} [options.sectionId=null] - Limit to one section
+ * @returns {{
+ *   outcomes: Array<{id, title, from, to, delta: {plAvg, belowThresholdCount, neCount, distribution}}>,
+ *   students: Array<{id, outcomes: Object<string, {from, to, change, wasBelow, isBelow}>, meanChange, newlyBelow, noLongerBelow}>
+ * }}
+ */
+export function compareSnapshots(from, to, { threshold, sectionId = null }) {
+    const inSection = (s) => sectionId === null || String(s.sectionId) === String(sectionId);
+    const fromStudents = from.students.filter(inSection);
+    const toStudents = to.students.filter(inSection);
+
+    const titles = new Map();
+    [...to.outcomes, ...from.outcomes].forEach(o => { if (!titles.has(o.id)) titles.set(o.id, o.title); });
+    const outcomeIds = [...titles.keys()];
+
+    const outcomes = outcomeIds.map(id => {
+        const a = snapshotOutcomeStats(from, id, threshold, fromStudents);
+        const b = snapshotOutcomeStats(to, id, threshold, toStudents);
+        const delta = {
+            plAvg: diff(a?.plAvg, b?.plAvg),
+            belowThresholdCount: diff(a?.belowThresholdCount, b?.belowThresholdCount),
+            neCount: diff(a?.neCount, b?.neCount),
+            distribution: a && b
+                ? Object.fromEntries(Object.keys(b.distribution).map(level => [level, b.distribution[level] - (a.distribution[level] ?? 0)]))
+                : null
+        };
+        return { id, title: titles.get(id), from: a, to: b, delta };
+    });
+
+    const predictions = (students) => new Map(students.map(s => [
+        s.id,
+        new Map(s.outcomes.map(o => [String(o.outcomeId), o.plPrediction ?? null]))
+    ]));
+    const before = predictions(fromStudents);
+    const after = predictions(toStudents);
+    const studentIds = [...new Set([...after.keys(), ...before.keys()])];
+
+    const students = studentIds.map(id => {
+        const perOutcome = {};
+        outcomeIds.forEach(oid => {
+            const a = before.get(id)?.get(oid) ?? null;
+            const b = after.get(id)?.get(oid) ?? null;
+            if (a === null && b === null) return;
+            perOutcome[oid] = {
+                from: a,
+                to: b,
+                change: diff(a, b),
+                wasBelow: a !== null && a < threshold,
+                isBelow: b !== null && b < threshold
+            };
+        });
+        const entries = Object.values(perOutcome);
+        const changes = entries.map(e => e.change).filter(c => c !== null);
+        return {
+            id,
+            outcomes: perOutcome,
+            meanChange: changes.length ? changes.reduce((s, c) => s + c, 0) / changes.length : null,
+            newlyBelow: entries.filter(e => e.isBelow && !e.wasBelow && e.from !== null).length,
+            noLongerBelow: entries.filter(e => e.wasBelow && !e.isBelow && e.to !== null).length
+        };
+    });
+
+    return { outcomes, students };
+}
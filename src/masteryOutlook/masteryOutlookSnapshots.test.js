@@ -0,0 +1,98 @@
+// src/masteryOutlook/masteryOutlookSnapshots.test.js
+import { describe, it, expect } from 'vitest';
+import { buildMasteryOutlookSnapshot, compareSnapshots } from './masteryOutlookSnapshots.js';
+import { OUTCOMES, student, buildCache } from './tests/fixtures.js';
+import { snapshotFileName, snapshotDateFromFileName, selectSnapshotsToDelete } from './masteryOutlookCacheService.js';
+
+// A snapshot student: { [outcomeId]: plPrediction }, with the Canvas score at the prediction
+const snapped = (id, sectionId, outcomes) => student(id, null, Object.fromEntries(
+    Object.entries(outcomes).map(([outcomeId, pl]) => [outcomeId, { plPrediction: pl, canvasScore: pl, slope: 0 }])
+), { sectionId });
+
+// Snapshots are taken from caches
+const from = buildMasteryOutlookSnapshot(buildCache({
+    outcomes: [OUTCOMES.reading, OUTCOMES.writing, { ...OUTCOMES.graphing, title: 'Retired' }],
+    students: [
+        snapped('1', 'A', { 10: 2.0, 11: 3.0, 12: 3.0 }),
+        snapped('2', 'B', { 10: 3.0, 11: 3.0, 12: 3.0 })
+    ]
+}));
+
+const to = buildMasteryOutlookSnapshot(buildCache({
+    outcomes: [OUTCOMES.reading, OUTCOMES.writing],
+    students: [
+        snapped('1', 'A', { 10: 2.6, 11: 3.0 }),
+        snapped('2', 'B', { 10: 2.0, 11: null }),
+        snapped('3', 'B', { 10: 3.5, 11: 3.0 })
+    ]
+}));
+
+describe('mastery outlook snapshots', () => {
+    it('compares class stats per outcome at one threshold', () => {
+        const { outcomes } = compareSnapshots(from, to, { threshold: 2.2 });
+
+        expect(outcomes.map(o => o.id)).toEqual(['10', '11', '12']);
+        const reading = outcomes[0];
+        expect(reading.from).toMatchObject({ plAvg: 2.5, belowThresholdCount: 1, distribution: { 1: 0, 2: 1, 3: 1, 4: 0 } });
+        expect(reading.to).toMatchObject({ belowThresholdCount: 1, distribution: { 1: 0, 2: 1, 3: 1, 4: 1 } });
+        expect(reading.delta.plAvg).toBeCloseTo(0.2);
+        expect(reading.delta).toMatchObject({ belowThresholdCount: 0, neCount: 0, distribution: { 1: 0, 2: 0, 3: 0, 4: 1 } });
+
+        expect(outcomes[1].delta.neCount).toBe(1);
+        // Outcomes only one snapshot has get no deltas
+        expect(outcomes[2]).toMatchObject({ to: null, delta: { plAvg: null, distribution: null } });
+    });
+
+    it('tracks each student across the threshold', () => {
+        const { students } = compareSnapshots(from, to, { threshold: 2.2 });
+        const byId = Object.fromEntries(students.map(s => [s.id, s]));
+
+        expect(byId['1'].outcomes['10'].change).toBeCloseTo(0.6);
+        expect(byId['1']).toMatchObject({ newlyBelow: 0, noLongerBelow: 1 });
+        expect(byId['2']).toMatchObject({ meanChange: -1, newlyBelow: 1 });
+        expect(byId['2'].outcomes['11']).toMatchObject({ from: 3, to: null, change: null });
+        expect(byId['3']).toMatchObject({ meanChange: null, newlyBelow: 0 });
+    });
+
+    it('limits a comparison to one section', () => {
+        const { outcomes, students } = compareSnapshots(from, to, { threshold: 2.2, sectionId: 'B' });
+
+        expect(students.map(s => s.id)).toEqual(['2', '3']);
+        expect(outcomes[0].from.plAvg).toBe(3);
+        expect(outcomes[0].to.plAvg).toBe(2.75);
+    });
+
+    it('builds a compact snapshot from a cache file', () => {
+        const cache = {
+            metadata: { computedAt: '2026-10-01T00:00:00Z', threshold: 2.2 },
+            outcomes: [{ id: 10, title: 'Reading', displayOrder: 1, classStats: {} }],
+            students: [{ id: 1, name: 'Abel', sectionId: 'A', outcomes: [{ outcomeId: 10, status: 'OK', plPrediction: 2.5, canvasScore: 2.4, slope: 0.1, attempts: [] }] }]
+        };
+        const snapshot = buildMasteryOutlookSnapshot(cache, new Date('2026-10-02T12:00:00Z'));
+
+        expect(snapshot).toEqual({
+            version: 1,
+            taken_at: '2026-10-02T12:00:00.000Z',
+            computed_at: '2026-10-01T00:00:00Z',
+            threshold: 2.2,
+            outcomes: [{ id: '10', title: 'Reading', displayOrder: 1 }],
+            students: [{ id: '1', sectionId: 'A', outcomes: [{ outcomeId: '10', status: 'OK', plPrediction: 2.5, canvasScore: 2.4, slope: 0.1 }] }]
+        });
+        expect(buildMasteryOutlookSnapshot({ students: [] })).toBeNull();
+    });
+
+    it('names snapshot files by day and prunes by age and count', () => {
+        expect(snapshotFileName(new Date('2026-10-18T23:00:00Z'))).toBe('mastery_outlook_snapshot_2026-10-18.json');
+        expect(snapshotDateFromFileName('mastery_outlook_snapshot_2026-10-18.json')).toBe('2026-10-18');
+        expect(snapshotDateFromFileName('mastery_outlook_cache.json')).toBeNull();
+
+        const files = ['2026-10-18', '2026-10-11', '2026-09-01', '2026-03-01']
+            .map(date => ({ display_name: `mastery_outlook_snapshot_${date}.json` }));
+        const now = new Date('2026-10-18T12:00:00Z');
+        const dates = (list) => list.map(f => snapshotDateFromFileName(f.display_name));
+
+        expect(dates(selectSnapshotsToDelete(files, { days: 180, maxCount: 0 }, now))).toEqual(['2026-03-01']);
+        expect(dates(selectSnapshotsToDelete(files, { days: 0, maxCount: 2 }, now))).toEqual(['2026-09-01', '2026-03-01']);
+        expect(selectSnapshotsToDelete(files, { days: 0, maxCount: 0 }, now)).toEqual([]);
+    });
+});
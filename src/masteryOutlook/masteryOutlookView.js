@@ -12,6 +12,7 @@
  */
 
 import { logger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
 import { injectStyles } from '../ui/styles.js';
 import { PL_OUTLOOK_CSS } from './plOutlookStyles.js';
 import { readMasteryOutlookCache } from './masteryOutlookCacheService.js';
@@ -26,11 +27,30 @@ import {
     renderOutcomeSyncDefault,
     buildCrossOutcomeExceptionsView,
 } from './outcomeSyncView.js';
+import { wireOutcomeWeightingPanel } from './outcomeWeightingPanel.js';
+import { wireExportPanel } from './exportPanel.js';
+import { openStudentReports } from './studentReports.js';
+import { createAutoRecalcControl } from '../gradebook/ui/autoRecalcControl.js';
+import { createGradingPeriodSelector } from '../gradebook/ui/gradingPeriodSelector.js';
+import { createSectionSelector } from '../gradebook/ui/sectionSelector.js';
+import { resolveSelectedSection } from '../services/sectionScopeService.js';
+import { scopeCacheToSection } from './masteryOutlookDataService.js';
+import { createGrowthModelSelector } from './growthModelSelector.js';
+import { getGrowthModel, resolveGrowthModelId } from './growthModels.js';
+import { classifySlope, getGrowthThresholds } from './growthTrends.js';
+import { flushCacheWrite, handleBulkExceptions, initWriteScheduler, setCacheMergeHandler } from './plOutlookActions.js';
+import { AUTO_RECALC_AVAILABLE } from '../config.js';
 
 // Current color scheme (set on init). Read by buildViewContext so views
 // always see the live selection.
 let currentColorScheme = 'soft';
 
+// Section the view is scoped to (null = all sections); resolved on each render
+let currentSection = null;
+
+// Auto-update control of the current render; torn down before the next one
+let autoRecalcControl = null;
+
 // ─── Main entry point ────────────────────────────────────────────────────────
 
 /**
@@ -51,6 +71,14 @@ export async function renderMasteryOutlook({ containerEl, courseId, apiClient, o
     // Shell renders immediately — no waiting on cache or outcomes fetch
     const shell = buildShell(containerEl);
 
+    // Automatic Current Score recalculation switch (independent of the cache)
+    autoRecalcControl?.teardown();
+    autoRecalcControl = null;
+    if (AUTO_RECALC_AVAILABLE) {
+        autoRecalcControl = createAutoRecalcControl(String(courseId));
+        containerEl.querySelector('#od-auto-recalc')?.appendChild(autoRecalcControl.el);
+    }
+
     // Initial-load indicator: the outcomes column is empty while tryLoadCache
     // resolves (a cache read that can take a moment on large classes). Show a
     // centered spinner so the page doesn't look blank/stuck during that gap.
@@ -66,11 +94,30 @@ export async function renderMasteryOutlook({ containerEl, courseId, apiClient, o
     // Try to load cache first
     let cache;
     try {
-        cache = await tryLoadCache(courseId, apiClient);
+        [cache, currentSection] = await Promise.all([
+            tryLoadCache(courseId, apiClient),
+            resolveSelectedSection(String(courseId), apiClient)
+        ]);
     } finally {
         loadingEl.remove();
     }
 
+    // Grading period selector shows the period the cache was built for;
+    // choosing another one rebuilds the cache for it
+    containerEl.querySelector('#od-grading-period')?.appendChild(
+        createGradingPeriodSelector(String(courseId), {
+            value: cache ? (cache.meta?.gradingPeriod?.id ?? null) : undefined,
+            onChange: () => shell.refreshBtn?.click()
+        })
+    );
+
+    // Section selector only re-renders: the cache already holds every section
+    containerEl.querySelector('#od-section')?.appendChild(
+        createSectionSelector(String(courseId), {
+            onChange: () => renderMasteryOutlook({ containerEl, courseId, apiClient, onRefresh })
+        })
+    );
+
     if (!cache) {
         // No cache yet — pull outcome names from Canvas for the default state
         renderDefaultState(shell, courseId, apiClient, onRefresh);
@@ -90,9 +137,23 @@ function buildShell(containerEl) {
             </div>
             <div class="od-header-actions">
                 <span id="od-last-updated"></span>
+                <span id="od-grading-period"></span>
+                <span id="od-section"></span>
+                <span id="od-growth-model"></span>
+                <span id="od-auto-recalc"></span>
                 <button id="od-exceptions-btn" class="od-btn-exceptions">
                     View exceptions
                 </button>
+                <button id="od-weights-btn" class="od-btn-exceptions">
+                    Weights
+                </button>
+                <button id="od-export-btn" class="od-btn-exceptions">
+                    Export
+                </button>
+                <button id="od-reports-btn" class="od-btn-exceptions"
+                        title="Printable one-page report for every student in this view">
+                    Reports
+                </button>
                 <button id="od-refresh-btn" class="od-btn-refresh">
                     Refresh Data
                 </button>
@@ -109,9 +170,23 @@ function buildShell(containerEl) {
             </button>
         </div>
 
+        <!-- Shown when a save merged another teacher's conflicting edits -->
+        <div id="od-conflict-banner" class="od-refresh-banner od-conflict-banner">
+            <span class="od-refresh-banner-text" id="od-conflict-text"></span>
+            <button id="od-conflict-dismiss-btn" class="od-btn-banner-refresh">
+                Dismiss
+            </button>
+        </div>
+
         <!-- 3e: Cross-outcome exceptions panel (hidden until "View exceptions" clicked) -->
         <div id="od-exceptions-panel" class="od-exceptions-panel"></div>
 
+        <!-- Current Score weighting panel (hidden until "Weights" clicked) -->
+        <div id="od-weights-panel" class="od-exceptions-panel"></div>
+
+        <!-- CSV / spreadsheet export panel (hidden until "Export" clicked) -->
+        <div id="od-export-panel" class="od-exceptions-panel"></div>
+
         <div id="od-metrics" class="od-metrics"></div>
 
         <div class="od-controls-row">
@@ -165,15 +240,24 @@ function buildShell(containerEl) {
         el.style.display = i === 0 ? 'block' : 'none';
     });
 
-    return {
+    const shell = {
         titleEl:          containerEl.querySelector('#od-title'),
         subtitleEl:       containerEl.querySelector('#od-subtitle'),
         lastUpdatedEl:    containerEl.querySelector('#od-last-updated'),
+        growthModelEl:    containerEl.querySelector('#od-growth-model'),
         refreshBtn:       containerEl.querySelector('#od-refresh-btn'),
         bannerEl:         containerEl.querySelector('#od-refresh-banner'),
         bannerRefreshBtn: containerEl.querySelector('#od-banner-refresh-btn'),
+        conflictBannerEl: containerEl.querySelector('#od-conflict-banner'),
+        conflictTextEl:   containerEl.querySelector('#od-conflict-text'),
+        conflictDismissBtn: containerEl.querySelector('#od-conflict-dismiss-btn'),
         exceptionsBtn:    containerEl.querySelector('#od-exceptions-btn'),
         exceptionsPanel:  containerEl.querySelector('#od-exceptions-panel'),
+        weightsBtn:       containerEl.querySelector('#od-weights-btn'),
+        weightsPanel:     containerEl.querySelector('#od-weights-panel'),
+        exportBtn:        containerEl.querySelector('#od-export-btn'),
+        exportPanel:      containerEl.querySelector('#od-export-panel'),
+        reportsBtn:       containerEl.querySelector('#od-reports-btn'),
         thresholdSlider:  containerEl.querySelector('#od-threshold-slider'),
         thresholdValue:   containerEl.querySelector('#od-threshold-value'),
         metricsEl:        containerEl.querySelector('#od-metrics'),
@@ -187,7 +271,18 @@ function buildShell(containerEl) {
         bodyEl:           containerEl.querySelector('#od-body'),
         colorSoftBtn:     containerEl.querySelector('#od-color-soft'),
         colorCanvasBtn:   containerEl.querySelector('#od-color-canvas'),
+        // Cache on screen, set by renderLoadedState on every refresh
+        cache:            null,
     };
+
+    // Printable reports for every student in the view (the section, when scoped).
+    // Attached once here: renderLoadedState runs again on every refresh.
+    shell.reportsBtn?.addEventListener('click', () => {
+        if (!shell.cache) return;
+        openStudentReports(shell.cache, (shell.cache.students ?? []).map(s => s.id));
+    });
+
+    return shell;
 }
 
 // ─── Default state (no cache) ─────────────────────────────────────────────────
@@ -216,6 +311,10 @@ async function renderDefaultState(shell, courseId, apiClient, onRefresh) {
 let activeViewController = null;
 
 function renderLoadedState(shell, cache, courseId, apiClient, onRefresh) {
+    // Everything below (metric cards, outcome rows, heatmap, PL sync) works on
+    // the selected section's students only
+    cache = scopeCacheToSection(cache, currentSection);
+
     // Apply design-token variants to the shell container so that
     // .mo-shell[data-density="comfortable"] and similar CSS rules resolve.
     const shellEl = shell.outcomesEl?.closest('.mo-shell');
@@ -228,9 +327,25 @@ function renderLoadedState(shell, cache, courseId, apiClient, onRefresh) {
 
     setLastUpdated(shell.lastUpdatedEl, cache.meta.computedAt);
     shell.subtitleEl.textContent =
-        `${cache.meta.studentCount} students ·
+        `${cache.meta.studentCount} students${cache.meta.section ? ` in ${cache.meta.section.name}` : ''} ·
          ${cache.meta.outcomeCount} outcomes ·
-         Power Law predictions`;
+         ${getGrowthModel(resolveGrowthModelId(cache.growth_model)).label} predictions`;
+
+    // Changing the model is saved for the course, then recomputed by a refresh
+    shell.growthModelEl?.replaceChildren(
+        createGrowthModelSelector(cache, {
+            onChange: async (modelId) => {
+                cache.growth_model = { model: modelId, updated_at: new Date().toISOString() };
+                try {
+                    await flushCacheWrite(courseId, cache, apiClient);
+                    shell.refreshBtn?.click();
+                } catch (e) {
+                    logger.error('[MasteryOutlook] Failed to save growth model', e);
+                    setStatus(shell.statusEl, 'Could not save the model — see console for details.');
+                }
+            }
+        })
+    );
 
     // Initialize color scheme from localStorage
     const userId = window.ENV?.current_user_id;
@@ -249,13 +364,84 @@ function renderLoadedState(shell, cache, courseId, apiClient, onRefresh) {
     wireTabBar(shell, cache, courseId, apiClient, onRefresh);
 
     // 3e — wire "View exceptions" button + cross-outcome panel
-    wireExceptionsPanel(shell, cache);
+    wireExceptionsPanel(shell, cache, courseId, apiClient);
+
+    // Current Score weighting panel
+    wireOutcomeWeightingPanel(shell, cache, courseId, apiClient);
+
+    // CSV / spreadsheet export panel
+    wireExportPanel(shell, cache, courseId, apiClient);
+
+    // Read by the Reports button (see buildShell)
+    shell.cache = cache;
 
     // 4c + 4f — banner, polling, auto-refresh toggle (Tweaks panel)
     wirePollingAndBanner(shell, cache, courseId, apiClient, onRefresh);
+
+    // Saves merge in edits another teacher saved meanwhile
+    initWriteScheduler(cache);
+    wireConflictBanner(shell);
     wireTweaksPanel(shell.sidebarEl, courseId);
 }
 
+// ─── Concurrent-edit conflict banner ─────────────────────────────────────────
+
+const CONFLICT_SECTION_LABELS = {
+    current_score_overrides: 'Current Score override',
+    outcome_weighting:       'Current Score weights',
+    growth_model:            'Growth model',
+    intervention_groups:     'Re-teach groups',
+};
+
+/**
+ * Describe one merge conflict for the banner
+ * @param {Object} conflict - from mergeCacheEdits
+ * @param {Object} cache
+ * @returns {string}
+ */
+function describeConflict(conflict, cache) {
+    const student = (id) => {
+        const s = (cache.unscoped ?? cache).students?.find(st => String(st.id) === String(id));
+        return s?.name || `Student ${id}`;
+    };
+    if (conflict.section === 'sync_state') {
+        const outcome = cache.outcomes?.find(o => String(o.id) === conflict.outcomeId);
+        return `${outcome?.title ?? `Outcome ${conflict.outcomeId}`} · ${student(conflict.studentId)}`;
+    }
+    const label = CONFLICT_SECTION_LABELS[conflict.section] ?? conflict.section;
+    return conflict.key ? `${label} · ${student(conflict.key)}` : label;
+}
+
+/**
+ * Show what happened when a save merged another teacher's edits: re-render
+ * the current view with them, and for true conflicts (both teachers changed
+ * the same thing) show a banner listing what kept the most recent edit.
+ *
+ * @param {Object} shell
+ */
+function wireConflictBanner(shell) {
+    if (!shell.conflictBannerEl) return;
+
+    shell.conflictDismissBtn?.addEventListener('click', () => {
+        shell.conflictBannerEl.style.display = 'none';
+    });
+
+    setCacheMergeHandler(({ conflicts, cache }) => {
+        activeViewController?.refresh();
+        if (conflicts.length === 0) {
+            setStatus(shell.statusEl, 'Merged changes another teacher saved.');
+            return;
+        }
+
+        const listed = conflicts.slice(0, 5).map(c => describeConflict(c, cache)).join('; ');
+        const more   = conflicts.length > 5 ? ` and ${conflicts.length - 5} more` : '';
+        shell.conflictTextEl.textContent =
+            `⚠ Another teacher changed the same ${conflicts.length === 1 ? 'entry' : `${conflicts.length} entries`} ` +
+            `while you were editing. The most recent edit was kept for: ${listed}${more}.`;
+        shell.conflictBannerEl.style.display = 'flex';
+    });
+}
+
 // ─── Polling + Refresh banner (4a–4c) ────────────────────────────────────────
 
 const AUTO_REFRESH_KEY = (courseId) => `cg_autoRefresh_${courseId}`;
@@ -388,15 +574,51 @@ function wireTweaksPanel(sidebarEl, courseId) {
  * Wire up the "View exceptions" button and the cross-outcome exceptions panel.
  * Filter chips inside the panel use event delegation on the panel element.
  *
- * @param {Object} shell - Shell object from buildShell
- * @param {Object} cache - Enriched cache
+ * Override rows can be multi-selected and confirmed, dismissed (PL re-pushed),
+ * given a will_post score, or given a shared note in one go — see
+ * handleBulkExceptions. The outcome view re-renders as the batch lands.
+ *
+ * @param {Object} shell     - Shell object from buildShell
+ * @param {Object} cache     - Enriched cache
+ * @param {string} courseId
+ * @param {Object} apiClient
  */
-function wireExceptionsPanel(shell, cache) {
+function wireExceptionsPanel(shell, cache, courseId, apiClient) {
     if (!shell.exceptionsBtn || !shell.exceptionsPanel) return;
 
     let panelOpen     = false;
     let showOverrides = true;
     let showIgnored   = true;
+    const selected    = new Set();
+    let busy          = false;
+    let bulkScore     = '';
+    let bulkNote      = '';
+    let bulkMessage   = '';
+
+    const BULK_LABELS = {
+        confirm:   'Confirmed',
+        dismiss:   'Re-pushed PL for',
+        will_post: 'Set will post for',
+        note:      'Attached the note to',
+    };
+
+    const renderBulkBar = () => {
+        const none = selected.size === 0 || busy ? ' disabled' : '';
+        return `
+            <div class="od-ex-bulk">
+                <span class="od-ex-bulk-count">${selected.size} selected</span>
+                <button class="od-ex-chip" data-bulk="confirm"${none} title="Keep the Canvas scores">✓ Confirm</button>
+                <button class="od-ex-chip" data-bulk="dismiss"${none} title="Re-push the PL predictions to Canvas">↺ Use PL</button>
+                <input type="number" class="od-wt-input od-wt-num" data-bulk-score min="0" max="4" step="0.5"
+                       placeholder="0–4" value="${escapeHtml(bulkScore)}"${busy ? ' disabled' : ''}>
+                <button class="od-ex-chip" data-bulk="will_post"${none} title="Post this score instead of the PL prediction">Set will post</button>
+                <input type="text" class="od-wt-input od-ex-bulk-note" data-bulk-note
+                       placeholder="Shared note (also sent with Confirm / Set will post)"
+                       value="${escapeHtml(bulkNote)}"${busy ? ' disabled' : ''}>
+                <button class="od-ex-chip" data-bulk="note"${none}>Attach note</button>
+            </div>
+            ${bulkMessage ? `<div class="od-ex-bulk-msg">${escapeHtml(bulkMessage)}</div>` : ''}`;
+    };
 
     const renderPanel = () => {
         shell.exceptionsPanel.innerHTML = `
@@ -416,11 +638,62 @@ function wireExceptionsPanel(shell, cache) {
                     </button>
                 </div>
             </div>
+            ${showOverrides ? renderBulkBar() : ''}
             <div class="od-ex-panel-body">
-                ${buildCrossOutcomeExceptionsView(cache, { showOverrides, showIgnored })}
+                ${buildCrossOutcomeExceptionsView(cache, { showOverrides, showIgnored, selectable: showOverrides, selected })}
             </div>`;
     };
 
+    const runBulk = async (action) => {
+        const note  = bulkNote.trim() || null;
+        const score = parseFloat(bulkScore);
+        if (action === 'will_post' && isNaN(score)) {
+            bulkMessage = 'Enter a score to post.';
+            renderPanel();
+            return;
+        }
+        if (action === 'note' && !note) {
+            bulkMessage = 'Enter a note to attach.';
+            renderPanel();
+            return;
+        }
+
+        const items = [...selected].map(key => {
+            const [outcomeId, studentId] = key.split(':');
+            return { outcomeId, studentId };
+        });
+        const onRerender = () => {
+            renderPanel();
+            activeViewController?.refresh();
+        };
+
+        busy = true;
+        bulkMessage = `Updating ${items.length}…`;
+        renderPanel();
+        try {
+            const { updated, outcomes } = await handleBulkExceptions({
+                courseId, items, action, note, cache, apiClient, onRerender,
+                score: action === 'will_post' ? Math.max(0, Math.min(4, score)) : null,
+                onProgress: (state, outcomeName, message) => {
+                    bulkMessage = `${outcomeName}: ${message}`;
+                    renderPanel();
+                },
+            });
+            const failed = outcomes.filter(o => !o.success);
+            bulkMessage = `${BULK_LABELS[action]} ${updated} entr${updated === 1 ? 'y' : 'ies'}` +
+                (outcomes.length ? ` across ${outcomes.length} outcome${outcomes.length === 1 ? '' : 's'}` : '') +
+                (failed.length ? ` — sync failed for ${failed.map(o => o.outcomeName).join(', ')}` : '') + '.';
+            selected.clear();
+            if (action === 'note') bulkNote = '';
+        } catch (err) {
+            logger.error(`[MasteryOutlook] Bulk ${action} failed`, err);
+            bulkMessage = 'Could not save the changes — see console for details.';
+        } finally {
+            busy = false;
+            onRerender();
+        }
+    };
+
     shell.exceptionsBtn.addEventListener('click', () => {
         panelOpen = !panelOpen;
         if (panelOpen) {
@@ -434,6 +707,12 @@ function wireExceptionsPanel(shell, cache) {
     });
 
     shell.exceptionsPanel.addEventListener('click', (e) => {
+        const bulkBtn = e.target.closest('[data-bulk]');
+        if (bulkBtn) {
+            if (!busy && selected.size > 0) runBulk(bulkBtn.dataset.bulk);
+            return;
+        }
+
         const btn = e.target.closest('[data-filter]');
         if (!btn) return;
         const f = btn.dataset.filter;
@@ -443,12 +722,35 @@ function wireExceptionsPanel(shell, cache) {
             shell.exceptionsBtn.textContent = 'View exceptions';
         } else if (f === 'overrides') {
             showOverrides = !showOverrides;
+            selected.clear();
             renderPanel();
         } else if (f === 'ignored') {
             showIgnored = !showIgnored;
             renderPanel();
         }
     });
+
+    shell.exceptionsPanel.addEventListener('change', (e) => {
+        if (busy) return;
+        const el = e.target;
+        if (el.dataset.exSelectAll !== undefined) {
+            shell.exceptionsPanel.querySelectorAll('[data-ex-select]').forEach(box => {
+                if (el.checked) selected.add(box.dataset.exSelect);
+                else selected.delete(box.dataset.exSelect);
+            });
+            renderPanel();
+        } else if (el.dataset.exSelect !== undefined) {
+            if (el.checked) selected.add(el.dataset.exSelect);
+            else selected.delete(el.dataset.exSelect);
+            renderPanel();
+        }
+    });
+
+    // Keep typed values across re-renders
+    shell.exceptionsPanel.addEventListener('input', (e) => {
+        if (e.target.dataset.bulkScore !== undefined) bulkScore = e.target.value;
+        if (e.target.dataset.bulkNote  !== undefined) bulkNote  = e.target.value;
+    });
 }
 
 // ─── Threshold helper (read live slider value for shared chrome) ─────────────
@@ -491,8 +793,7 @@ function renderMetricCards(metricsEl, cache) {
         {
             label: 'Growing outcomes',
             value: regularOutcomes.filter(
-                o => o.classStats.avgSlope !== null &&
-                    o.classStats.avgSlope > 0.05
+                o => classifySlope(o.classStats.avgSlope, getGrowthThresholds(cache.meta?.courseId)) === 'growing'
             ).length,
             sub:   'positive PL slope',
             color: '#0F6E56'
@@ -743,6 +1044,10 @@ async function tryLoadCache(courseId, apiClient) {
                 sync_state:         cache.sync_state         ?? {},
                 ignored_alignments: cache.ignored_alignments ?? [],
                 avg_assignment:     cache.avg_assignment     ?? null,
+                outcome_weighting:  cache.outcome_weighting  ?? null,
+                growth_model:       cache.growth_model       ?? null,
+                intervention_groups: cache.intervention_groups ?? null,
+                growth_snapshot:    cache.growth_snapshot    ?? null,
             };
             return await enrichCache(cache, courseId, apiClient);
         }
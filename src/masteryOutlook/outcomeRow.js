@@ -26,8 +26,9 @@ import {
 } from './plOutlookActions.js';
 import { renderOutcomeStudentTable, wireOutcomeStudentTable } from './studentSyncTable.js';
 import { runPLSync } from './plOutlookSync.js';
+import { classifySlope, getGrowthThresholds } from './growthTrends.js';
 import { readMasteryOutlookCache } from './masteryOutlookCacheService.js';
-import { fetchOutcomeRollupsForOutcome, refreshStudentOutcomeData, bulkFetchOutcomeResults } from './masteryOutlookDataService.js';
+import { fetchOutcomeRollupsForOutcome, refreshStudentOutcomeData, bulkFetchOutcomeResults, applyCanvasScoreClassStats } from './masteryOutlookDataService.js';
 import { fetchingStudentIds, syncingOutcomeIds, syncingOutcomePhase } from './masteryOutlookState.js';
 
 // ─── Predicate ───────────────────────────────────────────────────────────────
@@ -211,17 +212,17 @@ function countStrugglingStudents(outcome, cache, ctx, isRegularOutcome, isCurren
     }).length;
 }
 
-function countDecliningStudents(outcome, cache) {
+function countDecliningStudents(outcome, cache, thresholds) {
     return cache.students.filter(student => {
         const od = student.outcomes.find(o => o.outcomeId === outcome.id);
-        return od && od.slope !== null && od.slope < -0.05;
+        return od && classifySlope(od.slope, thresholds) === 'declining';
     }).length;
 }
 
-function countGrowingStudents(outcome, cache) {
+function countGrowingStudents(outcome, cache, thresholds) {
     return cache.students.filter(student => {
         const od = student.outcomes.find(o => o.outcomeId === outcome.id);
-        return od && od.slope !== null && od.slope > 0.05;
+        return od && classifySlope(od.slope, thresholds) === 'growing';
     }).length;
 }
 
@@ -327,10 +328,11 @@ function buildStudentTable(outcome, filter, cache, ctx, isCurrentScoreRow, isReg
     });
 
     const threshold = ctx.getThreshold();
+    const growthThresholds = getGrowthThresholds(ctx.courseId);
 
     if      (filter === 'struggling') students = students.filter(s => s.plPrediction !== null && s.plPrediction < threshold);
-    else if (filter === 'declining')  students = students.filter(s => s.slope !== null && s.slope < -0.05);
-    else if (filter === 'growing')    students = students.filter(s => s.slope !== null && s.slope > 0.05);
+    else if (filter === 'declining')  students = students.filter(s => classifySlope(s.slope, growthThresholds) === 'declining');
+    else if (filter === 'growing')    students = students.filter(s => classifySlope(s.slope, growthThresholds) === 'growing');
 
     if (filter === 'students' || filter === 'all') {
         // Both Manage Students and All Students sort alphabetically by name
@@ -367,10 +369,9 @@ function buildStudentTable(outcome, filter, cache, ctx, isCurrentScoreRow, isReg
         const recentDisplay      = s.mostRecent !== null ? s.mostRecent.toFixed(2) : '—';
 
         let trendIcon = '→', trendColor = '#999';
-        if (s.slope !== null) {
-            if (s.slope > 0.1)       { trendIcon = '▲'; trendColor = '#0F6E56'; }
-            else if (s.slope < -0.1) { trendIcon = '▼'; trendColor = '#A32D2D'; }
-        }
+        const trend = classifySlope(s.slope, growthThresholds);
+        if (trend === 'growing')        { trendIcon = '▲'; trendColor = '#0F6E56'; }
+        else if (trend === 'declining') { trendIcon = '▼'; trendColor = '#A32D2D'; }
 
         // Score history — colored chips sorted oldest→newest
         const scoreHistory = (s.attempts || [])
@@ -507,6 +508,7 @@ async function bulkRefreshOutcomeStudents(outcomeId, cache, ctx, onStudentDone,
  * Called after an outcome row is expanded so the student table always
  * shows the current Canvas score, not the potentially stale cached value.
  * Silent fail — if the fetch fails, cached scores remain unchanged.
+ * Skipped when the cache was built for a grading period.
  *
  * @param {string} outcomeId
  * @param {Object} cache     - In-memory cache (mutated in place)
@@ -515,6 +517,9 @@ async function bulkRefreshOutcomeStudents(outcomeId, cache, ctx, onStudentDone,
  *   Always resolves so callers can chain unconditionally.
  */
 async function refreshCanvasScoresForOutcome(outcomeId, cache, ctx) {
+    // Live rollups span every grading period; a period cache keeps its own scores
+    if (cache.meta?.gradingPeriod) return new Map();
+
     const scoreMap = await fetchOutcomeRollupsForOutcome(
         ctx.courseId, outcomeId, ctx.apiClient
     );
@@ -536,25 +541,7 @@ async function refreshCanvasScoresForOutcome(outcomeId, cache, ctx) {
 
         // Recalculate outcome average and spread from updated Canvas scores
         const outcomeObj = cache.outcomes?.find(o => String(o.id) === String(outcomeId));
-        if (outcomeObj?.classStats) {
-            const canvasScores = cache.students
-                .map(s => s.outcomes?.find(o => String(o.outcomeId) === String(outcomeId))?.canvasScore)
-                .filter(s => s != null);
-            if (canvasScores.length > 0) {
-                const avg = canvasScores.reduce((a, b) => a + b, 0) / canvasScores.length;
-                outcomeObj.classStats.plAvg     = parseFloat(avg.toFixed(4));
-                outcomeObj.classStats.classMean = outcomeObj.classStats.plAvg;
-                const distribution = { '1': 0, '2': 0, '3': 0, '4': 0 };
-                canvasScores.forEach(s => {
-                    if      (s < 1.5) distribution['1']++;
-                    else if (s < 2.5) distribution['2']++;
-                    else if (s < 3.5) distribution['3']++;
-                    else              distribution['4']++;
-                });
-                outcomeObj.classStats.distribution        = distribution;
-                outcomeObj.classStats.belowThresholdCount = canvasScores.filter(s => s < outcomeObj.classStats.computedThreshold).length;
-            }
-        }
+        applyCanvasScoreClassStats(outcomeObj, cache.students);
     }
 
     return scoreMap;
@@ -573,8 +560,9 @@ function buildOutcomeDetailPanel({
     tabBar.className = 'od-detail-tabs';
 
     const strugglingCount  = countStrugglingStudents(outcome, cache, ctx, isRegularOutcome, isCurrentScoreRow);
-    const decliningCount   = countDecliningStudents(outcome, cache);
-    const growingCount     = countGrowingStudents(outcome, cache);
+    const growthThresholds = getGrowthThresholds(ctx.courseId);
+    const decliningCount   = countDecliningStudents(outcome, cache, growthThresholds);
+    const growingCount     = countGrowingStudents(outcome, cache, growthThresholds);
     const exceptionsCount  = countExceptionStudents(outcome, cache);
 
     const allStudentsCount = cache.students.length;
@@ -23,7 +23,7 @@ import { logger } from '../utils/logger.js';
 import { escapeHtml } from '../utils/html.js';
 import { roundToHalf } from './powerLaw.js';
 import { mountOutcomeRow, isOutcomeInitialized } from './outcomeRow.js';
-import { scoresMatch } from './plOutlookSyncStatus.js';
+import { scoresMatch, getSyncStatus } from './plOutlookSyncStatus.js';
 import { fetchOutcomeNames, fetchOutcomeRollups } from './masteryOutlookDataService.js';
 import { writeMasteryOutlookCache } from './masteryOutlookCacheService.js';
 import { findMasteryDashboardPageUrl, getPage, updatePage } from '../services/pageService.js';
@@ -322,19 +322,27 @@ function emptySpread() {
 
 /**
  * Build the cross-outcome exceptions table for 3e.
- * Shows every override, locked Will Post, and ignored alignment across all outcomes.
- * Read-only — no action buttons.
+ * Shows every override, possible override, locked Will Post, and ignored
+ * alignment across all outcomes.
+ *
+ * With `selectable`, override rows get a checkbox (data-ex-select =
+ * "outcomeId:studentId") and the header a select-all box, for the host's
+ * bulk actions. Ignored alignment rows are never selectable.
  *
  * Exported so the host's "View exceptions" panel can render this without
  * mounting the full outcome view.
  *
  * @param {Object}   cache
  * @param {Object}   opts
- * @param {boolean}  opts.showOverrides   - Include manual_override + locked Will Post rows
+ * @param {boolean}  opts.showOverrides   - Include manual_override, possible override + locked Will Post rows
  * @param {boolean}  opts.showIgnored     - Include ignored alignment rows
+ * @param {boolean}  [opts.selectable]    - Render selection checkboxes
+ * @param {Set<string>} [opts.selected]   - Selected "outcomeId:studentId" keys
  * @returns {string} HTML string
  */
-export function buildCrossOutcomeExceptionsView(cache, { showOverrides = true, showIgnored = true } = {}) {
+export function buildCrossOutcomeExceptionsView(cache, {
+    showOverrides = true, showIgnored = true, selectable = false, selected = new Set()
+} = {}) {
     const syncState    = cache.sync_state ?? {};
     const ignoredList  = cache.ignored_alignments ?? [];
 
@@ -353,18 +361,24 @@ export function buildCrossOutcomeExceptionsView(cache, { showOverrides = true, s
             for (const [studentId, entry] of Object.entries(studentMap)) {
                 const student = studentById[studentId];
                 if (!student) continue;
-                if (!entry.manual_override && entry.will_post_lock !== 'locked') continue;
 
                 const od         = student.outcomes?.find(o => String(o.outcomeId) === outcomeId);
+                const possible   = !entry.manual_override && getSyncStatus(
+                    studentId, outcomeId, od?.plPrediction ?? null, od?.canvasScore ?? null, cache
+                ).status === 'possible_override';
+                if (!entry.manual_override && !possible && entry.will_post_lock !== 'locked') continue;
+
                 const typeParts  = [];
                 if (entry.manual_override)              typeParts.push('Override');
+                if (possible)                           typeParts.push('Possible override');
                 if (entry.will_post_lock === 'locked')  typeParts.push('Locked Override');
 
                 rows.push({
+                    key:         `${outcomeId}:${studentId}`,
                     outcomeName: outcome.title,
                     studentName: student.name || `Student ${studentId}`,
                     type:        typeParts.join(' + '),
-                    typeClass:   'override',
+                    typeClass:   entry.manual_override || !possible ? 'override' : 'possible',
                     canvas:      od?.canvasScore != null ? od.canvasScore.toFixed(2) : '—',
                     marzano:     od?.plPrediction != null ? roundToHalf(od.plPrediction).toFixed(2) : 'NE',
                     willPost:    entry.will_post != null ? entry.will_post.toFixed(2) : '—',
@@ -377,13 +391,14 @@ export function buildCrossOutcomeExceptionsView(cache, { showOverrides = true, s
 
     if (showIgnored) {
         for (const ia of ignoredList) {
-            const outcome = outcomeById[String(ia.outcomeId)];
-            const student = studentById[String(ia.studentId)];
+            const outcome = outcomeById[String(ia.outcome_id)];
+            const student = studentById[String(ia.student_id)];
             if (!outcome || !student) continue;
 
             rows.push({
+                key:         null,
                 outcomeName: outcome.title,
-                studentName: student.name || `Student ${ia.studentId}`,
+                studentName: student.name || `Student ${ia.student_id}`,
                 type:        'Ignored alignment',
                 typeClass:   'ignored',
                 canvas:      '—',
@@ -402,8 +417,12 @@ export function buildCrossOutcomeExceptionsView(cache, { showOverrides = true, s
 
     const rowsHtml = rows.map(r => {
         const dateDisp  = r.date ? new Date(r.date).toLocaleDateString() : '—';
-        const pillClass = r.typeClass === 'override' ? 'override' : 'ignored';
-        return `<tr>
+        const pillClass = r.typeClass;
+        const check = !selectable ? ''
+            : r.key ? `<td class="od-center"><input type="checkbox" data-ex-select="${escapeHtml(r.key)}"${selected.has(r.key) ? ' checked' : ''}></td>`
+            : '<td></td>';
+        return `<tr${r.key && selected.has(r.key) ? ' class="od-ex-selected"' : ''}>
+            ${check}
             <td>${escapeHtml(r.outcomeName)}</td>
             <td class="od-name">${escapeHtml(r.studentName)}</td>
             <td><span class="od-ex-pill ${pillClass}">${escapeHtml(r.type)}</span></td>
@@ -415,8 +434,14 @@ export function buildCrossOutcomeExceptionsView(cache, { showOverrides = true, s
         </tr>`;
     }).join('');
 
+    const selectableKeys = rows.filter(r => r.key).map(r => r.key);
+    const allSelected    = selectableKeys.length > 0 && selectableKeys.every(k => selected.has(k));
+    const selectAll      = !selectable ? ''
+        : `<th class="od-center"><input type="checkbox" data-ex-select-all title="Select all overrides"${allSelected ? ' checked' : ''}${selectableKeys.length ? '' : ' disabled'}></th>`;
+
     return `<table class="od-ex-table wide">
         <thead><tr>
+            ${selectAll}
             <th>Outcome</th>
             <th>Student</th>
             <th>Type</th>
@@ -597,7 +622,8 @@ export function mountOutcomeSyncView(shell, cache, ctx) {
     // render. Fetches live rollup scores for all outcomes in one API call,
     // updates canvasScore in memory, refreshes sync chips + strip, and persists
     // the cache so the next page load starts with correct values.
-    (async () => {
+    // Skipped for a grading period cache: live rollups span every period.
+    if (!cache.meta?.gradingPeriod) (async () => {
         const stripEl = document.getElementById('od-course-sync');
         const loadingHint = document.createElement('span');
         loadingHint.style.cssText = 'font-size:.8em;color:#888;margin-left:.75em;';
@@ -0,0 +1,211 @@
+// src/masteryOutlook/outcomeWeightingPanel.js
+/**
+ * Mastery Outlook — Current Score weighting panel
+ *
+ * Header-toggled panel (peer of the exceptions panel) where teachers edit the
+ * course's outcome weighting model: per-outcome weights, keyword weights and
+ * outcome groups ("Reading", "Writing") that are averaged first and then
+ * combined. The model is stored in the `outcome_weighting` section of the
+ * mastery outlook cache and honoured by calculateStudentAverages.
+ *
+ * See src/services/outcomeWeighting.js for the model and resolution rules.
+ */
+
+import { logger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
+import { normalizeWeighting, hasWeighting, findOutcomeGroup } from '../services/outcomeWeighting.js';
+import { flushCacheWrite } from './plOutlookActions.js';
+import { isRegularOutcome } from './outcomeSyncView.js';
+
+/**
+ * Parse "keyword=weight, keyword=weight" into { keyword: weight }
+ * @param {string} text
+ * @returns {Object}
+ */
+function parseKeywordWeights(text) {
+    const result = {};
+    (text || '').split(',').forEach(pair => {
+        const [keyword, weight] = pair.split('=').map(p => p?.trim());
+        if (keyword && weight !== undefined && weight !== '') result[keyword] = Number(weight);
+    });
+    return result;
+}
+
+/**
+ * Format { keyword: weight } as "keyword=weight, keyword=weight"
+ * @param {Object} keywords
+ * @returns {string}
+ */
+function formatKeywordWeights(keywords) {
+    return Object.entries(keywords ?? {}).map(([k, w]) => `${k}=${w}`).join(', ');
+}
+
+/**
+ * Wire up the "Weights" header button and the weighting panel.
+ *
+ * @param {Object} shell - Shell object from buildShell
+ * @param {Object} cache - Enriched in-memory cache (outcome_weighting is updated in place)
+ * @param {string} courseId
+ * @param {Object} apiClient
+ */
+export function wireOutcomeWeightingPanel(shell, cache, courseId, apiClient) {
+    if (!shell.weightsBtn || !shell.weightsPanel) return;
+
+    let panelOpen = false;
+    let draft = normalizeWeighting(cache.outcome_weighting);
+    let status = '';
+
+    const regularOutcomes = () => (cache.outcomes ?? []).filter(o => isRegularOutcome(o));
+
+    const renderPanel = () => {
+        const groupOptions = (selected) => `
+            <option value="">—</option>
+            ${draft.groups.map((g, i) => `
+                <option value="${i}" ${selected === g ? 'selected' : ''}>${escapeHtml(g.name)}</option>
+            `).join('')}`;
+
+        const groupRows = draft.groups.map((g, i) => `
+            <tr>
+                <td><input type="text" class="od-wt-input" data-group-field="name" data-group="${i}"
+                           value="${escapeHtml(g.name)}"></td>
+                <td class="od-center"><input type="number" class="od-wt-input od-wt-num" min="0" step="0.5"
+                           data-group-field="weight" data-group="${i}" value="${g.weight}"></td>
+                <td><input type="text" class="od-wt-input" data-group-field="keywords" data-group="${i}"
+                           value="${escapeHtml(g.keywords.join(', '))}" placeholder="e.g. reading, RL."></td>
+                <td class="od-center"><button class="od-ex-chip" data-action="remove-group" data-group="${i}">✕</button></td>
+            </tr>`).join('');
+
+        const outcomeRows = regularOutcomes().map(o => {
+            const id = String(o.id);
+            const explicit = draft.outcomes[id];
+            const group = findOutcomeGroup(id, o.title, draft);
+            return `
+                <tr>
+                    <td class="od-name">${escapeHtml(o.title)}</td>
+                    <td class="od-center"><input type="number" class="od-wt-input od-wt-num" min="0" step="0.5"
+                               data-outcome-weight="${escapeHtml(id)}" value="${explicit ?? ''}" placeholder="1"></td>
+                    <td><select class="od-wt-input" data-outcome-group="${escapeHtml(id)}">${groupOptions(group)}</select></td>
+                </tr>`;
+        }).join('');
+
+        shell.weightsPanel.innerHTML = `
+            <div class="od-ex-panel-header">
+                <span class="od-ex-panel-title">
+                    Current Score weighting
+                </span>
+                <div class="od-ex-panel-actions">
+                    <span class="od-wt-status">${escapeHtml(status)}</span>
+                    <button class="od-ex-chip" data-action="save">Save</button>
+                    <button class="od-ex-chip" data-action="reset">Clear all</button>
+                    <button class="od-ex-chip" data-action="close">✕ Close</button>
+                </div>
+            </div>
+            <div class="od-ex-panel-body od-wt-body">
+                <div class="od-tweaks-help">
+                    Used by the Update Current Score button when the strategy is mean or weighted mean.
+                    Groups are averaged first, then combined using the group weight.
+                    Blank weights count as 1; 0 leaves an outcome out.
+                    Pick — as an outcome's group to take it out of a keyword group.
+                </div>
+                <div class="od-wt-section-title">Groups</div>
+                <table class="od-ex-table">
+                    <thead><tr><th>Name</th><th class="od-center">Weight</th><th>Title keywords</th><th></th></tr></thead>
+                    <tbody>${groupRows || '<tr><td colspan="4" class="od-ex-empty">No groups</td></tr>'}</tbody>
+                </table>
+                <button class="od-ex-chip od-wt-add" data-action="add-group">+ Add group</button>
+                <div class="od-wt-section-title">Keyword weights</div>
+                <input type="text" class="od-wt-input od-wt-wide" data-keyword-weights
+                       value="${escapeHtml(formatKeywordWeights(draft.keywords))}"
+                       placeholder="e.g. argumentative=2, lab=0.5">
+                <div class="od-wt-section-title">Outcomes</div>
+                <table class="od-ex-table">
+                    <thead><tr><th>Outcome</th><th class="od-center">Weight</th><th>Group</th></tr></thead>
+                    <tbody>${outcomeRows}</tbody>
+                </table>
+            </div>`;
+    };
+
+    // "—" also keeps the outcome out of groups that match its title by keyword
+    const setOutcomeGroup = (outcomeId, groupIndex) => {
+        draft.groups.forEach(g => {
+            g.outcome_ids = g.outcome_ids.filter(id => id !== outcomeId);
+        });
+        draft.ungrouped = draft.ungrouped.filter(id => id !== outcomeId);
+        if (groupIndex !== '') draft.groups[Number(groupIndex)]?.outcome_ids.push(outcomeId);
+        else draft.ungrouped.push(outcomeId);
+    };
+
+    const save = async () => {
+        const normalized = normalizeWeighting(draft);
+        cache.outcome_weighting = hasWeighting(normalized)
+            ? { ...normalized, updated_at: new Date().toISOString() }
+            : null;
+        status = 'Saving…';
+        renderPanel();
+        try {
+            await flushCacheWrite(courseId, cache, apiClient);
+            draft = normalizeWeighting(cache.outcome_weighting);
+            status = 'Saved';
+            logger.info('[MasteryOutlook] Outcome weighting saved');
+        } catch (err) {
+            status = 'Save failed';
+            logger.error('[MasteryOutlook] Failed to save outcome weighting', err);
+        }
+        renderPanel();
+    };
+
+    shell.weightsBtn.addEventListener('click', () => {
+        panelOpen = !panelOpen;
+        if (panelOpen) {
+            draft = normalizeWeighting(cache.outcome_weighting);
+            status = '';
+            renderPanel();
+            shell.weightsPanel.style.display = 'block';
+        } else {
+            shell.weightsPanel.style.display = 'none';
+        }
+    });
+
+    shell.weightsPanel.addEventListener('change', (e) => {
+        const el = e.target;
+        if (el.dataset.groupField) {
+            const group = draft.groups[Number(el.dataset.group)];
+            if (!group) return;
+            if (el.dataset.groupField === 'name') group.name = el.value;
+            if (el.dataset.groupField === 'weight') group.weight = el.value === '' ? 1 : Number(el.value);
+            if (el.dataset.groupField === 'keywords') {
+                group.keywords = el.value.split(',').map(k => k.trim()).filter(Boolean);
+                renderPanel();
+            }
+        } else if (el.dataset.outcomeWeight !== undefined) {
+            if (el.value === '') delete draft.outcomes[el.dataset.outcomeWeight];
+            else draft.outcomes[el.dataset.outcomeWeight] = Number(el.value);
+        } else if (el.dataset.outcomeGroup !== undefined) {
+            setOutcomeGroup(el.dataset.outcomeGroup, el.value);
+        } else if (el.dataset.keywordWeights !== undefined) {
+            draft.keywords = parseKeywordWeights(el.value);
+        }
+    });
+
+    shell.weightsPanel.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+        const action = btn.dataset.action;
+        if (action === 'close') {
+            panelOpen = false;
+            shell.weightsPanel.style.display = 'none';
+        } else if (action === 'add-group') {
+            draft.groups.push({ name: `Group ${draft.groups.length + 1}`, weight: 1, outcome_ids: [], keywords: [] });
+            renderPanel();
+        } else if (action === 'remove-group') {
+            draft.groups.splice(Number(btn.dataset.group), 1);
+            renderPanel();
+        } else if (action === 'reset') {
+            draft = normalizeWeighting(null);
+            status = 'Cleared — click Save to apply';
+            renderPanel();
+        } else if (action === 'save') {
+            save();
+        }
+    });
+}
@@ -8,6 +8,9 @@
  * write to Canvas Files. Without `cache` (e.g. dev tools), it falls back to
  * a synchronous read-modify-write.
  *
+ * Every sync_state change stamps the entry's updated_at, which decides true
+ * conflicts when another teacher's save has to be merged (see flushCacheWrite).
+ *
  * Alignment ignore/unignore additionally trigger a follow-up sync push so
  * Canvas stays current — those handlers await the cache flush before runPLSync.
  *
@@ -15,10 +18,15 @@
  *   { courseId, outcomeId, studentId, cache, apiClient, onRerender, ...actionSpecific }
  */
 
-import { readSyncState, writeSyncState, readMasteryOutlookCache, writeMasteryOutlookCache } from './masteryOutlookCacheService.js';
+import {
+    readSyncState, writeSyncState, readMasteryOutlookCache, writeMasteryOutlookCache,
+    cacheRevision, stampRevision, lastCacheWrite
+} from './masteryOutlookCacheService.js';
+import { mergeCacheEdits } from './masteryOutlookCacheMerge.js';
 import { runPLSync } from './plOutlookSync.js';
 import { PL_STATES } from './plOutlookStateMachine.js';
-import { computeStudentOutcome, roundToHalf } from './powerLaw.js';
+import { roundToHalf } from './powerLaw.js';
+import { computeCacheGrowthOutcome } from './growthModels.js';
 import { logger } from '../utils/logger.js';
 import { updateAvgAssignmentForStudents, postNoteToAvgAssignment } from './masteryOutlookAvgService.js';
 import { syncingStudentIds, syncStudentPhase, syncingOutcomeIds, syncingOutcomePhase } from './masteryOutlookState.js';
@@ -51,6 +59,31 @@ function getOrInitEntry(syncState, outcomeId, studentId) {
     return syncState[oId][sId];
 }
 
+/** Record when a sync_state entry was last changed */
+function touchEntry(entry) {
+    entry.updated_at = new Date().toISOString();
+}
+
+// Entry mutations shared by the single-student handlers and handleBulkExceptions
+
+function applyConfirmOverride(entry, note) {
+    entry.manual_override = true;
+    if (note) entry.will_post_note = note;
+}
+
+function applyDismissOverride(entry) {
+    entry.manual_override   = false;
+    entry.last_synced_score = null;   // force re-sync on next run
+    entry.last_synced_at    = null;
+    entry.will_post_note    = null;
+}
+
+function applySetWillPost(entry, score, lock, note) {
+    entry.will_post      = score;
+    entry.will_post_lock = lock;
+    if (note !== null) entry.will_post_note = note;
+}
+
 // ─── Debounced cache writer (optimistic UI + dedupe) ─────────────────────────
 
 /** Trailing-edge debounce window for cache writes. */
@@ -59,6 +92,7 @@ const WRITE_DEBOUNCE_MS = 800;
 let _writeTimer         = null;
 let _writeInFlight      = false;
 let _lastWrittenSnapshot = null;
+let _mergeHandler        = null;
 
 /** Snapshot the persisted-state-bearing fields of the cache for dedupe. */
 function snapshotCache(cache) {
@@ -67,6 +101,9 @@ function snapshotCache(cache) {
         sync_state:              cache.sync_state              ?? {},
         ignored_alignments:      cache.ignored_alignments      ?? [],
         current_score_overrides: cache.current_score_overrides ?? {},
+        outcome_weighting:       cache.outcome_weighting       ?? null,
+        growth_model:            cache.growth_model            ?? null,
+        intervention_groups:     cache.intervention_groups     ?? null,
     });
 }
 
@@ -95,10 +132,74 @@ function scheduleCacheWrite(courseId, cache, apiClient) {
     }, WRITE_DEBOUNCE_MS);
 }
 
+/**
+ * Register the callback told when a save merged in another teacher's edits.
+ * Replaces any previous handler; pass null to clear.
+ *
+ * @param {Function|null} handler - ({ conflicts, cache }) => void; conflicts
+ *   is empty when the edits did not overlap (see mergeCacheEdits)
+ */
+export function setCacheMergeHandler(handler) {
+    _mergeHandler = handler;
+}
+
+/**
+ * Put merged sections into the in-memory cache. sync_state and
+ * ignored_alignments are replaced in place because views hold references to
+ * them; a section-scoped cache shares them with the full cache behind it.
+ */
+function applyMergedSections(cache, sections) {
+    for (const target of [cache, cache.unscoped].filter(Boolean)) {
+        for (const [name, value] of Object.entries(sections)) {
+            const current = target[name];
+            if (Array.isArray(current) && Array.isArray(value)) {
+                if (current !== value) current.splice(0, current.length, ...value);
+            } else if (current && value && typeof current === 'object' && typeof value === 'object' && !Array.isArray(value)) {
+                if (current !== value) {
+                    Object.keys(current).forEach(k => delete current[k]);
+                    Object.assign(current, value);
+                }
+            } else {
+                target[name] = value;
+            }
+        }
+    }
+}
+
+/**
+ * Bring in a cache file this page wrote outside the in-memory cache — runPLSync
+ * writes sync_state and pl_assignments from disk reads. Its edits are merged in
+ * and its revision adopted, so the next save does not mistake the page's own
+ * sync for another teacher's save. No-op when the in-memory cache already has
+ * the last revision written.
+ *
+ * @param {string} courseId
+ * @param {Object} cache - In-memory cache (mutated)
+ */
+export function adoptOwnCacheWrite(courseId, cache) {
+    const written = lastCacheWrite(courseId);
+    if (!cache || !written || written.revision === cacheRevision(cache)) return;
+
+    const base = _lastWrittenSnapshot ? JSON.parse(_lastWrittenSnapshot) : {};
+    const merge = mergeCacheEdits(base, cache, written.cache);
+    applyMergedSections(cache, merge.sections);
+    stampRevision(cache, written.revision);
+    _lastWrittenSnapshot = snapshotCache(written.cache);
+    logger.debug(`[PLActions] Adopted own cache write (revision ${written.revision})`);
+}
+
 /**
  * Flush any pending cache write immediately. Used by handlers that need the
  * write persisted before a follow-up runPLSync (which reads from disk).
  * Safe to call when nothing is pending (no-op + dedupe).
+ *
+ * Conflict-safe: the file on disk is read first, and when its revision is not
+ * the one this cache was loaded from or last written as, another teacher has
+ * saved since. Their edits are merged into the in-memory cache
+ * (mergeCacheEdits, against the last-written snapshot as the common base)
+ * before writing, and the merge handler is told. Canvas Files has no
+ * conditional write, so a save landing between the read and the write can
+ * still be lost — the window is one upload long.
  */
 export async function flushCacheWrite(courseId, cache, apiClient) {
     if (_writeTimer) { clearTimeout(_writeTimer); _writeTimer = null; }
@@ -111,6 +212,7 @@ export async function flushCacheWrite(courseId, cache, apiClient) {
         });
     }
 
+    adoptOwnCacheWrite(courseId, cache);
     const snapshot = snapshotCache(cache);
     if (snapshot === _lastWrittenSnapshot) {
         logger.debug('[PLActions] Skip write — cache unchanged from disk');
@@ -119,11 +221,26 @@ export async function flushCacheWrite(courseId, cache, apiClient) {
 
     _writeInFlight = true;
     try {
+        let merge = null;
+        const remote = await readMasteryOutlookCache(courseId, apiClient);
+        if (remote && cacheRevision(remote) !== cacheRevision(cache)) {
+            logger.info(`[PLActions] Cache changed on disk (revision ${cacheRevision(remote)}) — merging before write`);
+            const base = _lastWrittenSnapshot ? JSON.parse(_lastWrittenSnapshot) : {};
+            merge = mergeCacheEdits(base, cache, remote);
+            applyMergedSections(cache, merge.sections);
+            if (merge.conflicts.length) {
+                logger.warn(`[PLActions] ${merge.conflicts.length} conflicting edit(s) resolved by last writer`, merge.conflicts);
+            }
+        }
+
+        const written = merge ? snapshotCache(cache) : snapshot;
         const result = await writeMasteryOutlookCache(courseId, apiClient, cache);
-        _lastWrittenSnapshot = snapshot;
+        _lastWrittenSnapshot = written;
+        if (merge) _mergeHandler?.({ conflicts: merge.conflicts, cache });
         return result;
     } catch (err) {
-        _lastWrittenSnapshot = null;   // force retry on next click
+        // Keep the last good snapshot: it is still the merge base for the retry,
+        // and the unsaved cache no longer matches it, so the retry writes
         throw err;
     } finally {
         _writeInFlight = false;
@@ -140,6 +257,7 @@ async function mutateSyncEntry({ courseId, outcomeId, studentId, cache, apiClien
         if (!cache.sync_state) cache.sync_state = {};
         const entry = getOrInitEntry(cache.sync_state, outcomeId, studentId);
         mutate(entry);
+        touchEntry(entry);
         onRerender?.();
         scheduleCacheWrite(courseId, cache, apiClient);
         return;
@@ -147,6 +265,7 @@ async function mutateSyncEntry({ courseId, outcomeId, studentId, cache, apiClien
     const syncState = await readSyncState(courseId, apiClient);
     const entry = getOrInitEntry(syncState, outcomeId, studentId);
     mutate(entry);
+    touchEntry(entry);
     await writeSyncState(courseId, syncState, apiClient);
     onRerender?.();
 }
@@ -173,10 +292,7 @@ export async function handleConfirmOverride({ courseId, outcomeId, studentId, no
 
     return mutateSyncEntry(
         { courseId, outcomeId, studentId, cache, apiClient, onRerender },
-        (entry) => {
-            entry.manual_override = true;
-            if (note) entry.will_post_note = note;
-        }
+        (entry) => applyConfirmOverride(entry, note)
     );
 }
 
@@ -203,12 +319,7 @@ export async function handleDismissOverride({ courseId, outcomeId, studentId, ou
 
     await mutateSyncEntry(
         { courseId, outcomeId, studentId, cache, apiClient, onRerender },
-        (entry) => {
-            entry.manual_override   = false;
-            entry.last_synced_score = null;   // force re-sync on next run
-            entry.last_synced_at    = null;
-            entry.will_post_note    = null;
-        }
+        (entry) => applyDismissOverride(entry)
     );
 
     // Ensure the cache mutation is on disk before runPLSync (which reads from disk)
@@ -258,11 +369,7 @@ export async function handleSetWillPost({ courseId, outcomeId, studentId, score,
 
     return mutateSyncEntry(
         { courseId, outcomeId, studentId, cache, apiClient, onRerender },
-        (entry) => {
-            entry.will_post      = score;
-            entry.will_post_lock = lock;
-            if (note !== null) entry.will_post_note = note;
-        }
+        (entry) => applySetWillPost(entry, score, lock, note)
     );
 }
 
@@ -424,6 +531,7 @@ export function handleNoteChanged({ courseId, outcomeId, studentId, noteValue, c
         readSyncState(courseId, apiClient).then(async (syncState) => {
             const entry = getOrInitEntry(syncState, outcomeId, studentId);
             entry.will_post_note = noteValue.trim() || null;
+            touchEntry(entry);
             await writeSyncState(courseId, syncState, apiClient);
         }).catch(err => logger.error('[PLActions] handleNoteChanged write failed', err));
         return;
@@ -432,6 +540,7 @@ export function handleNoteChanged({ courseId, outcomeId, studentId, noteValue, c
     if (!cache.sync_state) cache.sync_state = {};
     const entry = getOrInitEntry(cache.sync_state, outcomeId, studentId);
     entry.will_post_note = noteValue.trim() || null;
+    touchEntry(entry);
     scheduleCacheWrite(courseId, cache, apiClient);
     // Re-render so the amber os-needs-row highlight and save button update
     // immediately when a note is added, changed, or cleared.
@@ -465,7 +574,8 @@ export function handleNoteChanged({ courseId, outcomeId, studentId, noteValue, c
  * @param {string}        opts.courseId
  * @param {string}        opts.outcomeId
  * @param {string}        opts.outcomeName
- * @param {string[]|null} opts.studentIds    - null = all students (runPLSync decides)
+ * @param {string[]|null} opts.studentIds    - null = all students (runPLSync decides;
+ *                                           the section's students when the cache is scoped)
  * @param {Object}        opts.apiClient
  * @param {Object}        opts.cache         - In-memory cache (required)
  * @param {Function}      [opts.onProgress]
@@ -608,7 +718,8 @@ export async function handleSyncStudents({
             outcomeId,
             outcomeName,
             apiClient,
-            targetUserIds:    studentIds ?? null,
+            // A section-scoped view only ever syncs its own students
+            targetUserIds:    studentIds ?? (cache?.meta?.section ? effectiveIds : null),
             cachedPLEntry,
             plScoreOverrides:     Object.keys(plScoreOverrides).length     > 0 ? plScoreOverrides     : null,
             canvasScoreOverrides: Object.keys(canvasScoreOverrides).length > 0 ? canvasScoreOverrides : null,
@@ -618,11 +729,16 @@ export async function handleSyncStudents({
     } catch (err) {
         // On a thrown error there's no cache write below, so repaint here to
         // clear the spinners and avoid a row stuck showing "Pushing…".
+        adoptOwnCacheWrite(courseId, cache);
         clearSyncKeys();
         onRerender?.();
         throw err;
     }
 
+    // Take in what runPLSync wrote (sync_state, pl_assignments) so the write
+    // below does not overwrite it and later saves see no foreign revision
+    adoptOwnCacheWrite(courseId, cache);
+
     // Normal path: clear the in-flight markers but defer the re-render until
     // after the cache write below, so the row repaints straight to its new
     // canvasScore instead of flickering through the stale value first.
@@ -710,6 +826,106 @@ export async function handleSyncStudents({
     return result;
 }
 
+// ─── Bulk exception actions ───────────────────────────────────────────────────
+
+/** Actions accepted by handleBulkExceptions. */
+export const BULK_EXCEPTION_ACTIONS = ['confirm', 'dismiss', 'will_post', 'note'];
+
+/**
+ * Apply one exception action to many student × outcome entries at once
+ * (multi-select in the cross-outcome exceptions panel).
+ *
+ * Every entry is mutated in memory with the same change the single-student
+ * handler makes, then the cache is written once with flushCacheWrite.
+ * Actions that change what Canvas should hold ('dismiss', 'will_post') then
+ * push once per outcome through handleSyncStudents — one runPLSync for all of
+ * that outcome's selected students. 'confirm' and 'note' push nothing; a
+ * note is posted with the next sync, as with the single handlers.
+ *
+ * A failed push for one outcome is logged and reported in the result; the
+ * remaining outcomes are still pushed.
+ *
+ * @param {Object}   opts
+ * @param {string}   opts.courseId
+ * @param {Array<{outcomeId: string, studentId: string}>} opts.items
+ * @param {string}   opts.action      - One of BULK_EXCEPTION_ACTIONS
+ * @param {number}   [opts.score]     - will_post score ('will_post' only)
+ * @param {string}   [opts.lock]      - will_post lock (default: 'unlocked')
+ * @param {string}   [opts.note]      - Shared note; required for 'note', optional for 'confirm' / 'will_post'
+ * @param {Object}   opts.cache       - In-memory cache (required)
+ * @param {Object}   opts.apiClient
+ * @param {Function} [opts.onProgress]
+ * @param {Function} [opts.onRerender]
+ * @returns {Promise<{ updated: number, outcomes: Array<{ outcomeId: string, outcomeName: string,
+ *   studentCount: number, success: boolean, successCount: number, errors: Array }> }>}
+ */
+export async function handleBulkExceptions({
+    courseId, items, action, score = null, lock = 'unlocked', note = null,
+    cache, apiClient, onProgress, onRerender
+}) {
+    if (!BULK_EXCEPTION_ACTIONS.includes(action)) {
+        throw new Error(`Unknown bulk exception action: ${action}`);
+    }
+    if (action === 'will_post' && (typeof score !== 'number' || Number.isNaN(score))) {
+        throw new Error('A will_post score is required');
+    }
+    const sharedNote = note?.trim() || null;
+    if (action === 'note' && !sharedNote) {
+        throw new Error('A note is required');
+    }
+    if (!cache) {
+        logger.warn('[PLActions] handleBulkExceptions called without cache — no-op');
+        return { updated: 0, outcomes: [] };
+    }
+    if (!items?.length) return { updated: 0, outcomes: [] };
+
+    logger.info(`[PLActions] Bulk ${action}: ${items.length} entr${items.length === 1 ? 'y' : 'ies'}`);
+
+    if (!cache.sync_state) cache.sync_state = {};
+    const byOutcome = new Map();
+    for (const { outcomeId, studentId } of items) {
+        const entry = getOrInitEntry(cache.sync_state, outcomeId, studentId);
+        if (action === 'confirm')        applyConfirmOverride(entry, sharedNote);
+        else if (action === 'dismiss')   applyDismissOverride(entry);
+        else if (action === 'will_post') applySetWillPost(entry, score, lock, sharedNote);
+        else                             entry.will_post_note = sharedNote;
+        touchEntry(entry);
+
+        const oId = String(outcomeId);
+        if (!byOutcome.has(oId)) byOutcome.set(oId, []);
+        byOutcome.get(oId).push(String(studentId));
+    }
+    onRerender?.();
+
+    // One write for the whole batch — and on disk before runPLSync reads it
+    await flushCacheWrite(courseId, cache, apiClient);
+
+    const outcomes = [];
+    if (action === 'dismiss' || action === 'will_post') {
+        for (const [outcomeId, studentIds] of byOutcome) {
+            const outcomeName = (cache.outcomes ?? []).find(o => String(o.id) === outcomeId)?.title ?? `Outcome ${outcomeId}`;
+            try {
+                const result = await handleSyncStudents({
+                    courseId, outcomeId, outcomeName, studentIds,
+                    apiClient, cache, onProgress, onRerender
+                });
+                outcomes.push({
+                    outcomeId, outcomeName, studentCount: studentIds.length,
+                    success: result.success, successCount: result.successCount ?? 0, errors: result.errors ?? []
+                });
+            } catch (err) {
+                logger.error(`[PLActions] Bulk ${action} — sync failed for outcome ${outcomeId}`, err);
+                outcomes.push({
+                    outcomeId, outcomeName, studentCount: studentIds.length,
+                    success: false, successCount: 0, errors: [{ message: err.message }]
+                });
+            }
+        }
+    }
+
+    return { updated: items.length, outcomes };
+}
+
 // ─── Local PL recompute (ignore/unignore path) ───────────────────────────────
 
 /**
@@ -737,22 +953,21 @@ function recomputeStudentProjection(cache, outcomeId, studentId) {
     const outcomeData = (student.outcomes ?? []).find(o => String(o.outcomeId) === oidStr);
     if (!outcomeData) { logger.warn(`[PLActions] recompute: outcome ${oidStr} not on student ${sidStr}`); return; }
 
-    const activeScores = (outcomeData.attempts ?? [])
+    const activeAttempts = (outcomeData.attempts ?? [])
         .filter(a => !(cache.ignored_alignments ?? []).some(ig =>
             ig.student_id  === sidStr &&
             ig.outcome_id  === oidStr &&
             ig.alignment_id === a.assignmentId
         ))
-        .map(a => a.score)
-        .filter(s => s !== null && s !== undefined);
+        .filter(a => a.score !== null && a.score !== undefined);
 
-    const recomputed = computeStudentOutcome(activeScores);
+    const recomputed = computeCacheGrowthOutcome(cache, oidStr, activeAttempts);
     Object.assign(outcomeData, recomputed);
 
     logger.debug(
         `[PLActions] Recomputed outcome ${oidStr} for student ${sidStr}: ` +
         `plPrediction=${recomputed.plPrediction}, status=${recomputed.status}, ` +
-        `from ${activeScores.length} active attempt(s)`
+        `from ${activeAttempts.length} active attempt(s)`
     );
 }
 
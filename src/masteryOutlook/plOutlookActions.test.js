@@ -0,0 +1,176 @@
+// src/masteryOutlook/plOutlookActions.test.js
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('./masteryOutlookCacheService.js', () => ({
+    readSyncState:            vi.fn(),
+    writeSyncState:           vi.fn(),
+    readMasteryOutlookCache:  vi.fn(),
+    writeMasteryOutlookCache: vi.fn(() => Promise.resolve({})),
+    cacheRevision:            vi.fn(cache => cache?.metadata?.revision ?? cache?.meta?.revision ?? null),
+    stampRevision:            vi.fn((cache, revision) => { if (cache.meta) cache.meta.revision = revision; }),
+    lastCacheWrite:           vi.fn(() => null)
+}));
+
+vi.mock('./plOutlookSync.js', () => ({
+    runPLSync: vi.fn(() => Promise.resolve({ success: true, successCount: 0, errors: [], stateHistory: [] }))
+}));
+
+vi.mock('./masteryOutlookAvgService.js', () => ({
+    updateAvgAssignmentForStudents: vi.fn(() => Promise.resolve()),
+    postNoteToAvgAssignment:        vi.fn(() => Promise.resolve())
+}));
+
+import { handleBulkExceptions, handleSetWillPost, flushCacheWrite, setCacheMergeHandler } from './plOutlookActions.js';
+import { readMasteryOutlookCache, writeMasteryOutlookCache, lastCacheWrite } from './masteryOutlookCacheService.js';
+import { runPLSync } from './plOutlookSync.js';
+import { OUTCOMES, student, buildCache } from './tests/fixtures.js';
+
+const entry = (overrides = {}) => ({
+    last_synced_score: 3,
+    last_synced_at:    '2026-10-01T00:00:00Z',
+    manual_override:   false,
+    will_post:         null,
+    will_post_lock:    'none',
+    will_post_note:    null,
+    ...overrides
+});
+
+const buildSyncCache = () => buildCache({
+    outcomes: [OUTCOMES.reading, OUTCOMES.writing],
+    students: ['1', '2', '3'].map(id => student(id, null, {
+        10: { plPrediction: 3, canvasScore: 2 },
+        11: { plPrediction: 3, canvasScore: 2 }
+    })),
+    pl_assignments: {},
+    sync_state: {
+        10: { 1: entry({ manual_override: true, will_post_note: 'Retake' }), 2: entry() },
+        11: { 3: entry() }
+    }
+});
+
+const items = [
+    { outcomeId: '10', studentId: '1' },
+    { outcomeId: '10', studentId: '2' },
+    { outcomeId: '11', studentId: '3' }
+];
+
+describe('handleBulkExceptions', () => {
+    beforeEach(() => vi.clearAllMocks());
+
+    it('dismisses every entry, writes once, then syncs once per outcome', async () => {
+        const cache = buildSyncCache();
+        const { updated, outcomes } = await handleBulkExceptions({ courseId: '5', items, action: 'dismiss', cache, apiClient: {} });
+
+        expect(updated).toBe(3);
+        for (const [oId, sId] of [['10', '1'], ['10', '2'], ['11', '3']]) {
+            expect(cache.sync_state[oId][sId]).toMatchObject({ manual_override: false, last_synced_score: null, will_post_note: null });
+        }
+        expect(writeMasteryOutlookCache).toHaveBeenCalledTimes(1);
+        expect(runPLSync).toHaveBeenCalledTimes(2);
+        expect(runPLSync.mock.calls.map(([opts]) => [opts.outcomeId, opts.outcomeName, opts.targetUserIds]))
+            .toEqual([['10', 'Reading', ['1', '2']], ['11', 'Writing', ['3']]]);
+        expect(outcomes.map(o => [o.outcomeId, o.studentCount, o.success])).toEqual([['10', 2, true], ['11', 1, true]]);
+    });
+
+    it('sets will_post and a shared note, and keeps going when one outcome fails', async () => {
+        runPLSync.mockRejectedValueOnce(new Error('Canvas is down'));
+        const cache = buildSyncCache();
+        const { outcomes } = await handleBulkExceptions({
+            courseId: '5', items, action: 'will_post', score: 2.5, note: ' Reassessed ', cache, apiClient: {}
+        });
+
+        expect(cache.sync_state['11']['3']).toMatchObject({ will_post: 2.5, will_post_lock: 'unlocked', will_post_note: 'Reassessed' });
+        expect(runPLSync).toHaveBeenCalledTimes(2);
+        expect(outcomes.map(o => o.success)).toEqual([false, true]);
+    });
+
+    it('confirms and attaches notes without pushing to Canvas', async () => {
+        const cache = buildSyncCache();
+        await handleBulkExceptions({ courseId: '5', items, action: 'confirm', cache, apiClient: {} });
+        expect(cache.sync_state['10']['2'].manual_override).toBe(true);
+        // A confirm without a note keeps the existing one
+        expect(cache.sync_state['10']['1'].will_post_note).toBe('Retake');
+
+        await handleBulkExceptions({ courseId: '5', items: items.slice(2), action: 'note', note: 'Absent', cache, apiClient: {} });
+        expect(cache.sync_state['11']['3'].will_post_note).toBe('Absent');
+
+        expect(runPLSync).not.toHaveBeenCalled();
+        expect(writeMasteryOutlookCache).toHaveBeenCalledTimes(2);
+        await expect(handleBulkExceptions({ courseId: '5', items, action: 'note', note: ' ', cache, apiClient: {} }))
+            .rejects.toThrow('A note is required');
+    });
+});
+
+describe('flushCacheWrite', () => {
+    beforeEach(() => vi.clearAllMocks());
+
+    it('merges edits another teacher saved since the last write', async () => {
+        const cache = { ...buildSyncCache(), meta: { revision: 'r1' } };
+        await flushCacheWrite('5', cache, {});
+
+        // Another teacher overrides student 3 and sets a score for student 1
+        const remote = JSON.parse(JSON.stringify({ ...cache, meta: undefined, metadata: { revision: 'r2' } }));
+        remote.sync_state['11']['3'].manual_override = true;
+        Object.assign(remote.sync_state['10']['1'], { will_post: 4, updated_at: '2026-01-01T00:00:00Z' });
+        readMasteryOutlookCache.mockResolvedValueOnce(remote);
+
+        const onMerge = vi.fn();
+        setCacheMergeHandler(onMerge);
+        await handleSetWillPost({ courseId: '5', outcomeId: '10', studentId: '1', score: 2, cache, apiClient: {} });
+        await flushCacheWrite('5', cache, {});
+        setCacheMergeHandler(null);
+
+        expect(cache.sync_state['11']['3'].manual_override).toBe(true);
+        expect(cache.sync_state['10']['1']).toMatchObject({ will_post: 2, will_post_lock: 'unlocked' });
+        expect(onMerge).toHaveBeenCalledWith({
+            cache,
+            conflicts: [{ section: 'sync_state', outcomeId: '10', studentId: '1', fields: ['will_post'], kept: 'local' }]
+        });
+        expect(writeMasteryOutlookCache).toHaveBeenLastCalledWith('5', {}, cache);
+    });
+
+    it('adopts the revision of its own sync instead of reporting another teacher', async () => {
+        const cache = { ...buildSyncCache(), meta: { revision: 'r3' } };
+        await flushCacheWrite('5', cache, {});
+
+        // runPLSync wrote sync_state from disk (revision r4)
+        const synced = JSON.parse(JSON.stringify({ ...cache, meta: undefined, metadata: { revision: 'r4' } }));
+        Object.assign(synced.sync_state['10']['2'], { last_synced_score: 4, last_synced_at: '2026-10-02T00:00:00Z' });
+        lastCacheWrite.mockReturnValueOnce({ revision: 'r4', cache: synced });
+        readMasteryOutlookCache.mockResolvedValueOnce(synced);
+
+        const onMerge = vi.fn();
+        setCacheMergeHandler(onMerge);
+        await handleSetWillPost({ courseId: '5', outcomeId: '10', studentId: '1', score: 2, cache, apiClient: {} });
+        await flushCacheWrite('5', cache, {});
+        setCacheMergeHandler(null);
+
+        expect(onMerge).not.toHaveBeenCalled();
+        expect(cache.meta.revision).toBe('r4');
+        expect(cache.sync_state['10']['2'].last_synced_score).toBe(4);
+        expect(cache.sync_state['10']['1'].will_post).toBe(2);
+    });
+
+    it('merges a retry after a failed write against the last good write', async () => {
+        const cache = { ...buildSyncCache(), meta: { revision: 'r5' } };
+        await flushCacheWrite('5', cache, {});
+        const remote = JSON.parse(JSON.stringify({ ...cache, meta: undefined, metadata: { revision: 'r6' } }));
+
+        await handleSetWillPost({ courseId: '5', outcomeId: '10', studentId: '2', score: 1, cache, apiClient: {} });
+        writeMasteryOutlookCache.mockRejectedValueOnce(new Error('Upload failed: 503'));
+        await expect(flushCacheWrite('5', cache, {})).rejects.toThrow('503');
+
+        // Another teacher saved before the retry
+        remote.sync_state['11']['3'].manual_override = true;
+        readMasteryOutlookCache.mockResolvedValueOnce(remote);
+
+        const onMerge = vi.fn();
+        setCacheMergeHandler(onMerge);
+        await flushCacheWrite('5', cache, {});
+        setCacheMergeHandler(null);
+
+        expect(onMerge).toHaveBeenCalledWith({ cache, conflicts: [] });
+        expect(cache.sync_state['11']['3'].manual_override).toBe(true);
+        expect(cache.sync_state['10']['2'].will_post).toBe(1);
+    });
+});
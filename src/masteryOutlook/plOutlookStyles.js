@@ -670,6 +670,34 @@ tr.os-needs-row td { background:#FFFDF7; }
 /* Footer hint under the student sync table */
 .os-table-hint { margin-top:0.615em; padding:0 0.231em; font-size:0.769em; color:var(--text-tertiary); line-height:1.5; }
 
+/* Growth model comparison (per student) */
+.os-models-btn { background:none; border:none; color:var(--text-secondary); cursor:pointer; font-size:0.769em; padding:0 0.3em; opacity:0.6; }
+.os-models-btn:hover, .os-models-btn[aria-expanded="true"] { opacity:1; color:var(--text-primary); }
+.os-spark-btn { background:none; border:none; padding:0 0.3em; margin-left:0.3em; cursor:pointer; color:var(--text-secondary); align-self:center; line-height:0; }
+.os-spark-btn:hover, .os-spark-btn[aria-expanded="true"] { color:var(--blue); }
+.os-chart-row > td { background:var(--bg-surface); padding:0.6em 1em; }
+.os-chart { max-width:40em; }
+.os-chart svg { display:block; }
+.os-chart .grid { stroke:#e6e6e3; stroke-width:1; }
+.os-chart .axis { font-size:9px; fill:var(--text-tertiary); }
+.os-chart .fit { fill:none; stroke:var(--blue); stroke-width:2; }
+.os-chart .mean { stroke:#888; stroke-width:1; stroke-dasharray:4 3; }
+.os-chart .decay { fill:none; stroke:var(--amber); stroke-width:1.5; stroke-dasharray:2 2; }
+.os-chart .pt { fill:var(--text-primary); stroke:#fff; stroke-width:1.5; }
+.os-chart .pt.ignored { fill:#ccc; }
+.os-chart-legend { display:flex; gap:1em; flex-wrap:wrap; font-size:0.769em; color:var(--text-secondary); margin-top:0.3em; }
+.os-chart-legend .lg::before { content:''; display:inline-block; width:1.4em; height:0; margin-right:0.4em; vertical-align:middle; border-top:2px solid; }
+.os-chart-legend .lg.fit::before { border-color:var(--blue); }
+.os-chart-legend .lg.mean::before { border-top:1px dashed #888; }
+.os-chart-legend .lg.decay::before { border-top:2px dotted var(--amber); }
+.os-chart-legend .lg.ignored::before { width:0.6em; height:0.6em; border:none; border-radius:50%; background:#ccc; }
+.os-chart-legend .lg.na::before { display:none; }
+.os-chart-empty { font-size:0.846em; color:var(--text-tertiary); }
+.os-models-row td { background:var(--bg-surface); }
+.os-models-table { font-size:0.846em; border-collapse:collapse; }
+.os-models-table th, .os-models-table td { padding:0.231em 0.769em; text-align:left; }
+.os-models-table tr.active td { font-weight:600; }
+
 /* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
    RESPONSIVE — card stack below 820px
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
@@ -763,6 +791,9 @@ tr.os-needs-row td { background:#FFFDF7; }
 .mo-shell .od-refresh-banner { display:none; margin-bottom:0.75rem; padding:0.769em 1.231em; border-radius:0.615em; background:#EBF5FB; border:0.5px solid #AED6F1; align-items:center; justify-content:space-between; gap:0.923em; }
 .mo-shell .od-refresh-banner-text { font-family:var(--mo-legacy-font); font-size:1em; color:#1A5276; }
 .mo-shell .od-btn-banner-refresh { font-family:var(--mo-legacy-font); font-size:0.923em; font-weight:600; padding:0.385em 1.077em; border-radius:0.46em; border:0.077em solid #2E86C1; background:#2E86C1; color:#fff; cursor:pointer; }
+.mo-shell .od-conflict-banner { background:#FAEEDA; border-color:#E8C28A; }
+.mo-shell .od-conflict-banner .od-refresh-banner-text { color:#633806; }
+.mo-shell .od-conflict-banner .od-btn-banner-refresh { border-color:#854F0B; background:#854F0B; }
 .mo-shell .od-exceptions-panel { display:none; margin-bottom:1rem; border:0.5px solid #e0e0e0; border-radius:0.615em; background:#fff; overflow:hidden; }
 .mo-shell .od-metrics { display:grid; grid-template-columns:repeat(4, minmax(0,1fr)); gap:0.615em; margin-bottom:1rem; }
 .mo-shell .od-controls-row { display:flex; justify-content:space-between; align-items:center; gap:1.231em; margin-bottom:1rem; flex-wrap:wrap; }
@@ -854,6 +885,8 @@ tr.os-needs-row td { background:#FFFDF7; }
 .mo-shell .od-ex-pill.override { background:#FCEBEB; color:#791F1F; }
 .mo-shell .od-ex-pill.locked   { background:#FAEEDA; color:#633806; }
 .mo-shell .od-ex-pill.ignored  { background:#F3F2EE; color:#55534D; }
+.mo-shell .od-ex-pill.possible { background:#FAEEDA; color:#633806; }
+.mo-shell .od-ex-table tr.od-ex-selected { background:rgba(230,241,251,0.6); }
 
 /* --- buildStudentTable --- */
 .mo-shell .od-stu-empty { font-family:var(--mo-legacy-font); font-size:1em; color:#666; padding:0.923em 0; }
@@ -885,6 +918,90 @@ tr.os-needs-row td { background:#FFFDF7; }
 .mo-shell .od-ex-chip.active.overrides { border-color:#791F1F; background:#FCEBEB; color:#791F1F; }
 .mo-shell .od-ex-chip.active.ignored   { border-color:#55534D; background:#F3F2EE; color:#55534D; }
 .mo-shell .od-ex-panel-body { padding:0; overflow-x:auto; }
+.mo-shell .od-ex-bulk { padding:0.46em 1.077em; border-bottom:0.5px solid #e0e0e0; display:flex; align-items:center; gap:0.385em; flex-wrap:wrap; font-family:var(--mo-legacy-font); }
+.mo-shell .od-ex-bulk-count { font-size:0.846em; font-weight:600; color:#333; margin-right:0.385em; }
+.mo-shell .od-ex-bulk .od-ex-chip:disabled { cursor:default; opacity:0.5; }
+.mo-shell .od-ex-bulk-note { flex:1; min-width:13.846em; }
+.mo-shell .od-ex-bulk-msg { padding:0.385em 1.077em; font-family:var(--mo-legacy-font); font-size:0.846em; color:#555; background:#fafafa; border-bottom:0.5px solid #e0e0e0; }
+
+/* --- wireOutcomeWeightingPanel --- */
+.mo-shell .od-wt-body { padding:0.769em 1.077em; }
+.mo-shell .od-wt-body .od-tweaks-help { margin-left:0; }
+.mo-shell .od-wt-section-title { font-family:var(--mo-legacy-font); font-size:0.846em; font-weight:600; color:#888; text-transform:uppercase; letter-spacing:.04em; margin:0.923em 0 0.385em; }
+.mo-shell .od-wt-input { font-family:var(--mo-legacy-font); font-size:0.923em; padding:0.231em 0.46em; border:0.5px solid #ccc; border-radius:0.308em; width:100%; box-sizing:border-box; }
+.mo-shell .od-wt-input.od-wt-num { width:5em; text-align:center; }
+.mo-shell .od-wt-input.od-wt-wide { max-width:30em; }
+.mo-shell .od-wt-add { margin-top:0.46em; }
+.mo-shell .od-wt-status { font-family:var(--mo-legacy-font); font-size:0.846em; color:#888; align-self:center; }
+
+/* --- wireExportPanel --- */
+.mo-shell .od-exp-options { display:flex; gap:1.231em; flex-wrap:wrap; align-items:center; }
+.mo-shell .od-exp-options .od-wt-input { width:auto; }
+.mo-shell .od-exp-columns { display:grid; grid-template-columns:repeat(auto-fill, minmax(12em, 1fr)); gap:0.231em 0.923em; }
+.mo-shell .od-exp-columns label { font-family:var(--mo-legacy-font); font-size:0.923em; color:#333; display:flex; align-items:center; gap:0.385em; }
+
+/* --- mountInterventionGroupsView --- */
+.mo-shell .od-ig { border:0.5px solid #e0e0e0; border-radius:0.615em; background:#fff; overflow:hidden; }
+.mo-shell .od-ig .od-tweaks-help { margin:0.769em 1.077em 0; }
+.mo-shell .od-ig-sub { font-weight:400; color:#888; margin-left:0.46em; }
+.mo-shell .od-ig-size { font-family:var(--mo-legacy-font); font-size:0.846em; color:#888; display:flex; align-items:center; gap:0.308em; }
+.mo-shell .od-ig-board { display:flex; gap:0.769em; padding:0.769em 1.077em 1.077em; overflow-x:auto; align-items:flex-start; }
+.mo-shell .od-ig-column { flex:0 0 14em; border:0.5px solid #e0e0e0; border-radius:0.46em; background:#fafafa; padding:0.46em; min-height:6em; }
+.mo-shell .od-ig-column.unassigned { background:var(--bg-secondary); }
+.mo-shell .od-ig-column.drop { border-color:var(--blue); box-shadow:0 0 0 1.5px var(--blue); }
+.mo-shell .od-ig-col-header { display:flex; gap:0.308em; align-items:center; }
+.mo-shell .od-ig-col-title { font-family:var(--mo-legacy-font); font-size:0.923em; font-weight:600; color:#333; padding:0.231em 0; }
+.mo-shell .od-ig-outcomes { display:flex; flex-wrap:wrap; gap:0.231em; margin:0.385em 0; }
+.mo-shell .od-ig-outcome { font-size:0.769em; padding:0.077em 0.46em; border-radius:0.615em; background:#FCEBEB; color:#791F1F; }
+.mo-shell .od-ig-none { font-size:0.769em; color:#aaa; font-style:italic; }
+.mo-shell .od-ig-meta { font-size:0.769em; color:#888; margin-bottom:0.385em; }
+.mo-shell .od-ig-cards { display:flex; flex-direction:column; gap:0.231em; }
+.mo-shell .od-ig-card { display:flex; justify-content:space-between; align-items:center; gap:0.46em; padding:0.308em 0.538em; border:0.5px solid #ddd; border-radius:0.308em; background:#fff; font-size:0.923em; cursor:grab; }
+.mo-shell .od-ig-card.dragging { opacity:0.5; }
+.mo-shell .od-ig-card.elsewhere { border-style:dashed; color:#888; }
+.mo-shell .od-ig-card-name { white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+.mo-shell .od-ig-below { font-size:0.846em; font-weight:600; color:#A32D2D; }
+.mo-shell .od-ig-card.ok .od-ig-below { color:#aaa; font-weight:400; }
+
+/* --- mountGrowthView --- */
+.mo-shell .od-gr { border:0.5px solid #e0e0e0; border-radius:0.615em; background:#fff; overflow:hidden; }
+.mo-shell .od-gr-controls { flex-wrap:wrap; align-items:center; }
+.mo-shell .od-gr-controls label { font-family:var(--mo-legacy-font); font-size:0.846em; color:#888; display:flex; align-items:center; gap:0.308em; }
+.mo-shell .od-gr-controls select.od-wt-input { width:auto; max-width:18em; }
+.mo-shell .od-gr-chips { display:flex; flex-wrap:wrap; gap:0.385em; padding:0.615em 1.077em; border-bottom:0.5px solid #e0e0e0; }
+.mo-shell .od-gr-chips .od-ex-chip.active { border-color:var(--blue); background:var(--blue-bg); color:var(--blue-ink); }
+.mo-shell .od-gr-sort { cursor:pointer; }
+.mo-shell .od-gr-rank { color:#999; }
+.mo-shell .od-gr-flagged td { background:#FCEBEB; }
+.mo-shell .od-gr-sharp { font-size:0.846em; font-weight:600; color:#791F1F; margin-left:0.308em; white-space:nowrap; }
+
+/* --- mountSnapshotCompareView --- */
+.mo-shell .od-sc { border:0.5px solid #e0e0e0; border-radius:0.615em; background:#fff; overflow:hidden; }
+.mo-shell .od-sc-outcome { cursor:pointer; }
+.mo-shell .od-sc-outcome:hover td { background:#fafafa; }
+.mo-shell .od-sc-outcome.active td { background:var(--blue-bg); }
+.mo-shell .od-sc-students-header { border-top:0.5px solid #e0e0e0; }
+.mo-shell .od-sc-delta { font-weight:600; color:#999; }
+.mo-shell .od-sc-delta.up { color:#0F6E56; }
+.mo-shell .od-sc-delta.down { color:#A32D2D; }
+.mo-shell .od-sc-flip { font-size:0.846em; font-weight:600; margin-left:0.308em; white-space:nowrap; }
+.mo-shell .od-sc-flip.up { color:#0F6E56; }
+.mo-shell .od-sc-flip.down { color:#791F1F; }
+
+/* --- mountItemAnalysisView --- */
+.mo-shell .od-ia { border:0.5px solid #e0e0e0; border-radius:0.615em; background:#fff; overflow:hidden; }
+.mo-shell .od-ia-row { cursor:pointer; }
+.mo-shell .od-ia-row:hover td { background:#fafafa; }
+.mo-shell .od-ia-flagged.under td { background:#FCEBEB; }
+.mo-shell .od-ia-flagged.over td { background:#FFF6E5; }
+.mo-shell .od-ia-flag { font-size:0.846em; font-weight:600; white-space:nowrap; }
+.mo-shell .od-ia-flag.under { color:#791F1F; }
+.mo-shell .od-ia-flag.over { color:#8A5A00; }
+.mo-shell .od-ia-detail td { background:var(--bg-secondary); font-size:0.846em; }
+.mo-shell .od-ia-detail td.od-name { padding-left:1.846em; font-weight:400; }
+.mo-shell .od-ia-detail.ignored td { color:#aaa; }
+.mo-shell .od-ia-muted { color:#999; font-size:0.846em; }
+.mo-shell .od-ia-message { font-family:var(--mo-legacy-font); font-size:0.846em; color:#0F6E56; padding:0.46em 1.077em; border-bottom:0.5px solid #e0e0e0; }
 
 /* --- renderLoadedOutcomeRows --- */
 .mo-shell .od-no-current-score { padding:0.923em; font-size:1em; color:#888; font-style:italic; margin-bottom:0.46em; }
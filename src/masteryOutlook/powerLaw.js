@@ -36,24 +36,24 @@ function clamp(value, min, max) {
 }
 
 /**
- * Calculate a true score using Marzano's Power Law algorithm.
- * Fits y = a · x^b through the score history via log-linear regression
- * and evaluates the curve at the last known time point (n).
+ * Fit Marzano's Power Law y = a · x^b through a score history via
+ * log-linear regression, with x the attempt index (1-based).
  *
- * @param {number[]} scores - Rubric criteria scores for a single outcome,
- *   in chronological order (oldest first). Caller is responsible for
- *   correct ordering. Minimum 3 scores required.
- * @returns {number|null} True score clamped to [MIN_SCORE, MAX_SCORE],
- *   or null if insufficient data (NE status)
+ * @param {number[]} scores - Chronologically ordered scores (oldest first).
+ *   Minimum 3 scores required.
+ * @param {number[]} [positions] - Attempt index (1-based) of each score, when
+ *   some attempts are left out of the fit; defaults to 1..n
+ * @returns {{a: number, b: number}|null} Curve coefficients, or null if
+ *   insufficient data
  */
-export function powerLawPredict(scores) {
+export function powerLawFit(scores, positions = null) {
     if (!scores || scores.length < MIN_SCORES) return null;
 
     const n = scores.length;
 
     // Work in log space: ln(y) = ln(a) + b·ln(x)
     // x is the attempt index (1-based), y is the score
-    const lnX = scores.map((_, i) => Math.log(i + 1));
+    const lnX = scores.map((_, i) => Math.log(positions ? positions[i] : i + 1));
     const lnY = scores.map(y => Math.log(Math.max(y, 0.01))); // guard against ln(0)
 
     // Least squares regression coefficients
@@ -70,8 +70,26 @@ export function powerLawPredict(scores) {
     const b = (n * sumLnXY - sumLnX * sumLnY) / denom;
     const a = Math.exp((sumLnY - b * sumLnX) / n);
 
+    return { a, b };
+}
+
+/**
+ * Calculate a true score using Marzano's Power Law algorithm.
+ * Fits y = a · x^b through the score history via log-linear regression
+ * and evaluates the curve at the last known time point (n).
+ *
+ * @param {number[]} scores - Rubric criteria scores for a single outcome,
+ *   in chronological order (oldest first). Caller is responsible for
+ *   correct ordering. Minimum 3 scores required.
+ * @returns {number|null} True score clamped to [MIN_SCORE, MAX_SCORE],
+ *   or null if insufficient data (NE status)
+ */
+export function powerLawPredict(scores) {
+    const fit = powerLawFit(scores);
+    if (!fit) return null;
+
     // True score at the last known time point (n)
-    const predicted = a * Math.pow(n, b);
+    const predicted = fit.a * Math.pow(scores.length, fit.b);
 
     return clamp(predicted, MIN_SCORE, MAX_SCORE);
 }
@@ -84,22 +102,7 @@ export function powerLawPredict(scores) {
  * @returns {number|null} Slope coefficient, or null if insufficient data
  */
 export function powerLawSlope(scores) {
-    if (!scores || scores.length < MIN_SCORES) return null;
-
-    const n = scores.length;
-
-    const lnX  = scores.map((_, i) => Math.log(i + 1));
-    const lnY  = scores.map(y => Math.log(Math.max(y, 0.01)));
-
-    const sumLnX  = lnX.reduce((a, b) => a + b, 0);
-    const sumLnY  = lnY.reduce((a, b) => a + b, 0);
-    const sumLnXY = lnX.reduce((s, lx, i) => s + lx * lnY[i], 0);
-    const sumLnX2 = lnX.reduce((s, lx) => s + lx * lx, 0);
-
-    const denom = n * sumLnX2 - sumLnX * sumLnX;
-    if (Math.abs(denom) < 1e-9) return null;
-
-    return (n * sumLnXY - sumLnX * sumLnY) / denom;
+    return powerLawFit(scores)?.b ?? null;
 }
 
 /**
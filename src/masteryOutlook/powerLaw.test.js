@@ -6,6 +6,7 @@ import {
     MIN_SCORE,
     DECAYING_AVG_WEIGHT,
     roundToHalf,
+    powerLawFit,
     powerLawPredict,
     powerLawSlope,
     mean,
@@ -113,6 +114,15 @@ describe('powerLawPredict', () => {
     });
 });
 
+describe('powerLawFit', () => {
+    it('fits at the given attempt positions when some attempts are left out', () => {
+        // y = 2 · x^0.3 at attempts 1, 2 and 4
+        const fit = powerLawFit([2, 2.462, 3.031], [1, 2, 4]);
+        expect(fit.a).toBeCloseTo(2, 2);
+        expect(fit.b).toBeCloseTo(0.3, 2);
+    });
+});
+
 describe('powerLawSlope', () => {
     it('returns null for insufficient data', () => {
         expect(powerLawSlope(null)).toBeNull();
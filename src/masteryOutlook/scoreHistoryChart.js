@@ -0,0 +1,184 @@
+// src/masteryOutlook/scoreHistoryChart.js
+/**
+ * Score history sparkline + drilldown chart (student sync table)
+ *
+ * Plain inline SVG — no charting library. Both charts plot every attempt
+ * extractAttempts kept, oldest first; ignored alignments stay in place but
+ * greyed out and are left out of the fitted lines, exactly as they are left
+ * out of the prediction.
+ *
+ * Drilldown lines:
+ * - Fit of the course's growth model over the active attempts (see
+ *   growthModelCurve; y = a·x^b for the default Power Law)
+ * - Mean of the active attempts
+ * - Decaying average after each active attempt
+ *
+ * Public surface:
+ *   - buildScoreHistory(attempts, ignoredIds, { modelId, options }) → history
+ *   - renderSparkline(history) → SVG string
+ *   - renderScoreHistoryChart(history) → HTML string
+ */
+
+import { escapeHtml } from '../utils/html.js';
+import { mean, decayingAverage, MIN_SCORE, MAX_SCORE } from './powerLaw.js';
+import { DEFAULT_GROWTH_MODEL, getGrowthModel, growthModelCurve } from './growthModels.js';
+import { formatDateShort } from './formatters.js';
+
+const CHART = { width: 520, height: 180, left: 28, right: 12, top: 12, bottom: 24 };
+const SPARK = { width: 64, height: 18, pad: 2 };
+const CURVE_STEPS = 8;
+
+/**
+ * Series for one student × outcome.
+ *
+ * @param {Array<Object>} attempts - student.outcomes[].attempts, oldest first
+ * @param {Set<string>} [ignoredIds] - alignment ids ignored for this student × outcome
+ * @param {Object} [growth] - The course's growth model
+ * @param {string} [growth.modelId='power_law']
+ * @param {Object} [growth.options] - { emaWeight, priorWeight, priorMean }
+ * @returns {{points: Array<{pos, score, ignored, name, date}>, active: Array<Object>,
+ *            model: {label: string, minScores: number}, curve: Function|null,
+ *            mean: number|null, decaying: Array<{pos, value}>}}
+ *   pos is the 0-based position among all attempts; curve x is the 1-based
+ *   index among active attempts.
+ */
+export function buildScoreHistory(attempts, ignoredIds = new Set(), { modelId = DEFAULT_GROWTH_MODEL, options = {} } = {}) {
+    const points = (attempts ?? [])
+        .filter(a => a.score !== null && a.score !== undefined)
+        .map((a, pos) => ({
+            pos,
+            score: Math.max(0, Math.min(MAX_SCORE, a.score)),
+            ignored: ignoredIds.has(a.assignmentId),
+            name: a.assignmentName ?? '',
+            date: a.assessedAt ?? a.timestamp ?? null
+        }));
+
+    const active = points.filter(p => !p.ignored);
+    const scores = active.map(p => p.score);
+    const { label, minScores } = getGrowthModel(modelId);
+
+    return {
+        points,
+        active,
+        model: { label, minScores },
+        curve: growthModelCurve(active.map(p => ({ score: p.score, assessedAt: p.date })), modelId, options),
+        mean: mean(scores),
+        decaying: active.map((p, i) => ({ pos: p.pos, value: decayingAverage(scores.slice(0, i + 1)) }))
+    };
+}
+
+/**
+ * Polyline "x,y x,y" string
+ * @param {Array<[number, number]>} coords
+ * @returns {string}
+ */
+function toPoints(coords) {
+    return coords.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+}
+
+/**
+ * Inline sparkline of the active scores, ignored attempts as grey dots.
+ *
+ * @param {Object} history - from buildScoreHistory()
+ * @returns {string} SVG, or '' when there are no scores
+ */
+export function renderSparkline(history) {
+    if (!history.points.length) return '';
+
+    const { width, height, pad } = SPARK;
+    const n = history.points.length;
+    const x = (pos) => n === 1 ? width / 2 : pad + (pos / (n - 1)) * (width - 2 * pad);
+    const y = (score) => height - pad - (score / MAX_SCORE) * (height - 2 * pad);
+
+    const line = history.active.length > 1
+        ? `<polyline points="${toPoints(history.active.map(p => [x(p.pos), y(p.score)]))}"
+                     fill="none" stroke="currentColor" stroke-width="1.2"/>`
+        : '';
+    const ignored = history.points.filter(p => p.ignored)
+        .map(p => `<circle cx="${x(p.pos).toFixed(1)}" cy="${y(p.score).toFixed(1)}" r="1.5" fill="#bbb"/>`)
+        .join('');
+    const last = history.active[history.active.length - 1];
+    const lastDot = last
+        ? `<circle cx="${x(last.pos).toFixed(1)}" cy="${y(last.score).toFixed(1)}" r="2" fill="currentColor"/>`
+        : '';
+
+    return `<svg class="os-spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+                 role="img" aria-label="Score history">${line}${ignored}${lastDot}</svg>`;
+}
+
+/**
+ * Drilldown chart: every attempt, growth model fit, mean and decaying average.
+ *
+ * @param {Object} history - from buildScoreHistory()
+ * @returns {string} HTML
+ */
+export function renderScoreHistoryChart(history) {
+    if (!history.points.length) {
+        return `<div class="os-chart-empty">No scored attempts yet.</div>`;
+    }
+
+    const { width, height, left, right, top, bottom } = CHART;
+    const n = history.points.length;
+    const plotW = width - left - right;
+    const plotH = height - top - bottom;
+    const x = (pos) => n === 1 ? left + plotW / 2 : left + (pos / (n - 1)) * plotW;
+    const y = (score) => top + plotH - (score / MAX_SCORE) * plotH;
+
+    const grid = [0, 1, 2, 3, 4].map(v => `
+        <line x1="${left}" x2="${width - right}" y1="${y(v)}" y2="${y(v)}" class="grid"/>
+        <text x="${left - 6}" y="${y(v) + 3}" class="axis" text-anchor="end">${v}</text>`).join('');
+
+    // Model curve: between consecutive active attempts k and k+1 the fit
+    // x runs k → k+1 while the chart x runs between their positions.
+    let curve = '';
+    if (history.curve) {
+        const clampScore = (v) => Math.max(MIN_SCORE, Math.min(MAX_SCORE, v));
+        const coords = [];
+        history.active.forEach((p, i) => {
+            const next = history.active[i + 1];
+            const steps = next ? CURVE_STEPS : 1;
+            for (let s = 0; s < steps; s++) {
+                const t = s / CURVE_STEPS;
+                const value = history.curve(i + 1 + t);
+                const pos = next ? p.pos + (next.pos - p.pos) * t : p.pos;
+                if (value !== null && Number.isFinite(value)) coords.push([x(pos), y(clampScore(value))]);
+            }
+        });
+        if (coords.length > 1) curve = `<polyline points="${toPoints(coords)}" class="fit"/>`;
+    }
+
+    const meanLine = history.mean !== null
+        ? `<line x1="${left}" x2="${width - right}" y1="${y(history.mean)}" y2="${y(history.mean)}" class="mean"/>`
+        : '';
+    const decaying = history.decaying.length > 1
+        ? `<polyline points="${toPoints(history.decaying.map(d => [x(d.pos), y(d.value)]))}" class="decay"/>`
+        : '';
+
+    const dots = history.points.map(p => {
+        const label = [p.name, formatDateShort(p.date, ''), p.score.toFixed(2), p.ignored ? 'ignored' : '']
+            .filter(Boolean).join(' · ');
+        return `<circle cx="${x(p.pos).toFixed(1)}" cy="${y(p.score).toFixed(1)}" r="4"
+                        class="pt ${p.ignored ? 'ignored' : ''}"><title>${escapeHtml(label)}</title></circle>`;
+    }).join('');
+
+    const xLabels = history.points.map(p => `
+        <text x="${x(p.pos).toFixed(1)}" y="${height - 6}" class="axis" text-anchor="middle">${escapeHtml(formatDateShort(p.date, ''))}</text>`)
+        .join('');
+
+    const legend = [
+        history.curve
+            ? `<span class="lg fit">${escapeHtml(history.model.label)} fit</span>`
+            : `<span class="lg na">${escapeHtml(history.model.label)} fit needs ${history.model.minScores} attempts</span>`,
+        history.mean !== null ? `<span class="lg mean">Mean ${history.mean.toFixed(2)}</span>` : '',
+        history.decaying.length ? `<span class="lg decay">Decaying average ${history.decaying[history.decaying.length - 1].value.toFixed(2)}</span>` : '',
+        history.points.some(p => p.ignored) ? '<span class="lg ignored">Ignored alignment</span>' : ''
+    ].filter(Boolean).join('');
+
+    return `<div class="os-chart">
+      <svg width="100%" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMinYMin meet"
+           role="img" aria-label="Score history chart">
+        ${grid}${meanLine}${decaying}${curve}${dots}${n <= 12 ? xLabels : ''}
+      </svg>
+      <div class="os-chart-legend">${legend}</div>
+    </div>`;
+}
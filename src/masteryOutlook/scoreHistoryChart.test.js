@@ -0,0 +1,57 @@
+// src/masteryOutlook/scoreHistoryChart.test.js
+import { describe, it, expect } from 'vitest';
+import { buildScoreHistory, renderSparkline, renderScoreHistoryChart } from './scoreHistoryChart.js';
+import { powerLawPredict, decayingAverage } from './powerLaw.js';
+
+const attempts = [
+    { score: 1, assignmentId: 'assignment_1', assignmentName: 'Quiz 1', timestamp: '2026-09-01T00:00:00Z' },
+    { score: 4, assignmentId: 'assignment_2', assignmentName: 'Retake <A>', timestamp: '2026-09-05T00:00:00Z' },
+    { score: 2, assignmentId: 'assignment_3', assignmentName: 'Quiz 2', timestamp: '2026-09-10T00:00:00Z' },
+    { score: 3, assignmentId: 'assignment_4', assignmentName: 'Quiz 3', timestamp: '2026-09-20T00:00:00Z' }
+];
+
+describe('score history chart', () => {
+    it('leaves ignored alignments out of the fitted lines', () => {
+        const history = buildScoreHistory(attempts, new Set(['assignment_2']));
+
+        expect(history.points.map(p => p.ignored)).toEqual([false, true, false, false]);
+        expect(history.active.map(p => p.pos)).toEqual([0, 2, 3]);
+        expect(history.mean).toBeCloseTo(2);
+        expect(history.decaying[2].value).toBeCloseTo(decayingAverage([1, 2, 3]));
+
+        // The curve at the last active attempt is the prediction
+        expect(history.curve(3)).toBeCloseTo(powerLawPredict([1, 2, 3]));
+    });
+
+    it('skips the fit below three active attempts', () => {
+        const history = buildScoreHistory(attempts.slice(0, 2));
+        expect(history.curve).toBeNull();
+        expect(renderScoreHistoryChart(history)).toContain('Power Law (Marzano) fit needs 3 attempts');
+    });
+
+    it("draws the course's growth model", () => {
+        const history = buildScoreHistory(attempts.slice(0, 2), new Set(), { modelId: 'linear' });
+
+        expect(history.curve(2)).toBeCloseTo(4);
+        expect(renderScoreHistoryChart(history)).toContain('Linear trend fit');
+        expect(renderScoreHistoryChart(history)).toContain('class="fit"');
+    });
+
+    it('renders SVG without external libraries', () => {
+        const history = buildScoreHistory(attempts, new Set(['assignment_2']));
+
+        const spark = renderSparkline(history);
+        expect(spark).toMatch(/^<svg class="os-spark"/);
+        expect(spark).toContain('fill="#bbb"');
+
+        const chart = renderScoreHistoryChart(history);
+        expect(chart.match(/<circle/g)).toHaveLength(4);
+        expect(chart).toContain('class="fit"');
+        expect(chart).toContain('class="mean"');
+        expect(chart).toContain('class="decay"');
+        expect(chart).toContain('class="pt ignored"');
+        expect(chart).toContain('Retake &lt;A&gt;');
+
+        expect(renderSparkline(buildScoreHistory([]))).toBe('');
+    });
+});
@@ -0,0 +1,292 @@
+// src/masteryOutlook/snapshotCompareView.js
+/**
+ * Mastery Outlook — Compare view (peer of the Outcomes and Heatmap views).
+ *
+ * Picks two dated snapshots (or a snapshot and the current data) and shows,
+ * per outcome, how the class average, level distribution and below-threshold
+ * count changed, and per student how their predictions moved. Both sides are
+ * recomputed at the current threshold, and for the selected section when the
+ * dashboard is scoped to one (see masteryOutlookSnapshots.js).
+ */
+
+import { logger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
+import { listMasteryOutlookSnapshots, readMasteryOutlookSnapshot, unscopeCache } from './masteryOutlookCacheService.js';
+import { buildMasteryOutlookSnapshot, compareSnapshots } from './masteryOutlookSnapshots.js';
+import { formatSigned } from './formatters.js';
+
+const CURRENT = 'current';
+
+/**
+ * Delta cell coloured by direction
+ * @param {number|null} value
+ * @param {Object} [options]
+ * @param {number} [options.digits=2]
+ * @param {boolean} [options.lowerIsBetter=false] - e.g. below-threshold counts
+ * @returns {string} HTML
+ */
+function deltaHtml(value, { digits = 2, lowerIsBetter = false } = {}) {
+    if (value === null || value === undefined || value === 0) {
+        return `<span class="od-sc-delta">${formatSigned(value, digits)}</span>`;
+    }
+    const better = lowerIsBetter ? value < 0 : value > 0;
+    return `<span class="od-sc-delta ${better ? 'up' : 'down'}">${formatSigned(value, digits)}</span>`;
+}
+
+/**
+ * "2·5·8·3" level counts, lowest level first
+ * @param {Object|null} distribution
+ * @returns {string}
+ */
+function formatDistribution(distribution) {
+    if (!distribution) return '—';
+    return ['1', '2', '3', '4'].map(level => distribution[level] ?? 0).join('·');
+}
+
+const fixed = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
+/**
+ * Mount the Compare view.
+ *
+ * @param {Object} shell - shell handle from buildShell() in masteryOutlookView.js
+ * @param {Object} cache - enriched mastery-outlook cache
+ * @param {import('./viewRegistry.js').ViewContext} ctx
+ * @returns {import('./viewRegistry.js').ViewController}
+ */
+export function mountSnapshotCompareView(shell, cache, ctx) {
+    const containerEl = shell.viewContainers.compare;
+    const full = cache ? unscopeCache(cache) : null;
+    const current = buildMasteryOutlookSnapshot(full);
+    const names = new Map((full?.students ?? []).map(s => [String(s.id), s]));
+
+    let snapshots = null;          // null while listing
+    const loaded = new Map();      // snapshot file id → snapshot | null (unreadable)
+    let fromId = null;
+    let toId = CURRENT;
+    let outcomeId = 'all';
+    let disposed = false;
+
+    const snapshotFor = (id) => (id === CURRENT ? current : loaded.get(String(id)) ?? null);
+
+    const loadSelected = async () => {
+        const missing = [fromId, toId].filter(id => id && id !== CURRENT && !loaded.has(String(id)));
+        for (const id of missing) {
+            const file = snapshots.find(f => String(f.id) === String(id));
+            loaded.set(String(id), file ? await readMasteryOutlookSnapshot(file) : null);
+        }
+        if (!disposed) render();
+    };
+
+    const selectHtml = (name, selected) => `
+        <select class="od-wt-input" data-sc-select="${name}">
+            ${current ? `<option value="${CURRENT}" ${selected === CURRENT ? 'selected' : ''}>Current data</option>` : ''}
+            ${snapshots.map(f => `
+                <option value="${escapeHtml(String(f.id))}" ${String(f.id) === String(selected) ? 'selected' : ''}>${escapeHtml(f.date)}</option>
+            `).join('')}
+        </select>`;
+
+    const outcomeTable = (comparison) => {
+        const rows = comparison.outcomes.map(o => `
+            <tr class="od-sc-outcome ${outcomeId === o.id ? 'active' : ''}" data-sc-outcome="${escapeHtml(o.id)}">
+                <td class="od-name">${escapeHtml(o.title)}</td>
+                <td class="od-center">${fixed(o.from?.plAvg)} → ${fixed(o.to?.plAvg)}</td>
+                <td class="od-center">${deltaHtml(o.delta.plAvg)}</td>
+                <td class="od-center od-nowrap">${formatDistribution(o.from?.distribution)} → ${formatDistribution(o.to?.distribution)}</td>
+                <td class="od-center">${o.from?.belowThresholdCount ?? '—'} → ${o.to?.belowThresholdCount ?? '—'}</td>
+                <td class="od-center">${deltaHtml(o.delta.belowThresholdCount, { digits: 0, lowerIsBetter: true })}</td>
+                <td class="od-center">${deltaHtml(o.delta.neCount, { digits: 0, lowerIsBetter: true })}</td>
+            </tr>`).join('');
+        return `
+            <table class="od-ex-table">
+                <thead><tr>
+                    <th>Outcome</th>
+                    <th class="od-center">Class avg</th>
+                    <th class="od-center">Δ Avg</th>
+                    <th class="od-center" title="Students at levels 1·2·3·4">Distribution</th>
+                    <th class="od-center">Below</th>
+                    <th class="od-center">Δ Below</th>
+                    <th class="od-center">Δ NE</th>
+                </tr></thead>
+                <tbody>${rows || '<tr><td colspan="7" class="od-ex-empty">No outcomes</td></tr>'}</tbody>
+            </table>`;
+    };
+
+    const studentTable = (comparison) => {
+        const nameOf = (id) => names.get(id)?.name || names.get(id)?.sortableName || `Student ${id}`;
+        const sortName = (id) => names.get(id)?.sortableName || nameOf(id);
+        const byChange = (a, b, ca, cb) => {
+            if (ca === null && cb === null) return sortName(a.id).localeCompare(sortName(b.id));
+            if (ca === null) return 1;
+            if (cb === null) return -1;
+            return ca - cb || sortName(a.id).localeCompare(sortName(b.id));
+        };
+
+        if (outcomeId === 'all') {
+            const rows = [...comparison.students]
+                .sort((a, b) => byChange(a, b, a.meanChange, b.meanChange))
+                .map(s => `
+                    <tr>
+                        <td class="od-name">${escapeHtml(nameOf(s.id))}</td>
+                        <td class="od-center">${deltaHtml(s.meanChange)}</td>
+                        <td class="od-center">${s.newlyBelow || ''}</td>
+                        <td class="od-center">${s.noLongerBelow || ''}</td>
+                    </tr>`).join('');
+            return `
+                <table class="od-ex-table">
+                    <thead><tr>
+                        <th>Student</th>
+                        <th class="od-center">Mean change</th>
+                        <th class="od-center">Fell below</th>
+                        <th class="od-center">Rose above</th>
+                    </tr></thead>
+                    <tbody>${rows || '<tr><td colspan="4" class="od-ex-empty">No students</td></tr>'}</tbody>
+                </table>`;
+        }
+
+        const rows = comparison.students
+            .filter(s => s.outcomes[outcomeId])
+            .sort((a, b) => byChange(a, b, a.outcomes[outcomeId].change, b.outcomes[outcomeId].change))
+            .map(s => {
+                const e = s.outcomes[outcomeId];
+                const flip = e.isBelow && !e.wasBelow && e.from !== null ? '<span class="od-sc-flip down">Fell below</span>'
+                    : e.wasBelow && !e.isBelow && e.to !== null ? '<span class="od-sc-flip up">Rose above</span>'
+                    : '';
+                return `
+                    <tr>
+                        <td class="od-name">${escapeHtml(nameOf(s.id))}</td>
+                        <td class="od-center">${e.from !== null ? e.from.toFixed(2) : 'NE'}</td>
+                        <td class="od-center">${e.to !== null ? e.to.toFixed(2) : 'NE'}</td>
+                        <td class="od-center">${deltaHtml(e.change)} ${flip}</td>
+                    </tr>`;
+            }).join('');
+        return `
+            <table class="od-ex-table">
+                <thead><tr>
+                    <th>Student</th>
+                    <th class="od-center">From</th>
+                    <th class="od-center">To</th>
+                    <th class="od-center">Change</th>
+                </tr></thead>
+                <tbody>${rows || '<tr><td colspan="4" class="od-ex-empty">No students</td></tr>'}</tbody>
+            </table>`;
+    };
+
+    const render = () => {
+        if (!containerEl) return;
+
+        if (snapshots === null) {
+            containerEl.innerHTML = '<div class="od-ex-empty">Loading snapshots…</div>';
+            return;
+        }
+
+        if (snapshots.length === 0 || (snapshots.length === 1 && !current)) {
+            containerEl.innerHTML = `
+                <div class="od-heatmap-empty">
+                    <div class="he-icon">🕓</div>
+                    <div class="he-title">Nothing to compare yet</div>
+                    <div class="he-body">
+                        Each <strong>Refresh Data</strong> saves a dated snapshot. Once
+                        there is one from an earlier day, you can compare it here.
+                    </div>
+                </div>`;
+            return;
+        }
+
+        const from = snapshotFor(fromId);
+        const to = snapshotFor(toId);
+        const threshold = ctx.getThreshold();
+        const section = cache.meta?.section ?? null;
+
+        let body;
+        if ((fromId !== CURRENT && !loaded.has(String(fromId))) || (toId !== CURRENT && !loaded.has(String(toId)))) {
+            body = '<div class="od-ex-empty">Loading…</div>';
+        } else if (!from || !to) {
+            body = '<div class="od-ex-empty">That snapshot could not be read.</div>';
+        } else {
+            const comparison = compareSnapshots(from, to, { threshold, sectionId: section?.id ?? null });
+            const outcome = comparison.outcomes.find(o => o.id === outcomeId);
+            if (!outcome) outcomeId = 'all';
+            body = `
+                ${outcomeTable(comparison)}
+                <div class="od-ex-panel-header od-sc-students-header">
+                    <span class="od-ex-panel-title">
+                        Students — ${outcome ? escapeHtml(outcome.title) : 'all outcomes'}
+                        <span class="od-ig-sub">Largest drops first</span>
+                    </span>
+                    ${outcome ? '<div class="od-ex-panel-actions"><button class="od-ex-chip" data-action="all-outcomes">All outcomes</button></div>' : ''}
+                </div>
+                ${studentTable(comparison)}`;
+        }
+
+        containerEl.innerHTML = `
+            <div class="od-sc">
+                <div class="od-ex-panel-header">
+                    <span class="od-ex-panel-title">
+                        Compare
+                        <span class="od-ig-sub">At threshold ${escapeHtml(String(threshold))}${section ? ` · ${escapeHtml(section.name)}` : ''} · click an outcome for its students</span>
+                    </span>
+                    <div class="od-ex-panel-actions od-gr-controls">
+                        <label>From ${selectHtml('from', fromId)}</label>
+                        <label>To ${selectHtml('to', toId)}</label>
+                    </div>
+                </div>
+                <div class="od-ex-panel-body">${body}</div>
+            </div>`;
+    };
+
+    const onClick = (e) => {
+        if (e.target.closest('[data-action="all-outcomes"]')) {
+            outcomeId = 'all';
+            render();
+            return;
+        }
+        const row = e.target.closest('[data-sc-outcome]');
+        if (row) {
+            outcomeId = row.dataset.scOutcome === outcomeId ? 'all' : row.dataset.scOutcome;
+            render();
+        }
+    };
+
+    const onChange = (e) => {
+        const which = e.target.dataset.scSelect;
+        if (!which) return;
+        if (which === 'from') fromId = e.target.value;
+        else toId = e.target.value;
+        render();
+        loadSelected();
+    };
+
+    if (containerEl) {
+        containerEl.addEventListener('click', onClick);
+        containerEl.addEventListener('change', onChange);
+    }
+
+    render();
+
+    if (cache?.students?.length) {
+        listMasteryOutlookSnapshots(ctx.courseId, ctx.apiClient).then(list => {
+            if (disposed) return;
+            snapshots = list;
+            // Default: the latest snapshot from before the current data's day
+            const currentDay = (full.meta?.computedAt ?? '').slice(0, 10);
+            const earlier = list.find(f => f.date < currentDay) ?? list[1] ?? list[0];
+            fromId = earlier ? String(earlier.id) : null;
+            render();
+            loadSelected();
+        }).catch(err => logger.warn('[SnapshotCompareView] Could not load snapshots', err));
+    } else {
+        snapshots = [];
+        render();
+    }
+
+    return {
+        teardown: () => {
+            disposed = true;
+            if (!containerEl) return;
+            containerEl.removeEventListener('click', onClick);
+            containerEl.removeEventListener('change', onChange);
+            containerEl.innerHTML = '';
+        },
+        refresh: render,
+    };
+}
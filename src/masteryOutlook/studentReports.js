@@ -0,0 +1,312 @@
+// src/masteryOutlook/studentReports.js
+/**
+ * Mastery Outlook — printable student reports
+ *
+ * One-page report per student for parent conferences: Current Score, each
+ * outcome's score history, prediction, trend and the teacher's note from
+ * sync_state. Opens a new window with print-ready HTML (one page per
+ * student via @media print), for one student or every student in the view.
+ *
+ * Scores, letter grades and colors follow the student-facing mastery
+ * dashboard (masteryDashboardViewer.renderStudentData), so a report matches
+ * what the family sees in Canvas.
+ */
+
+import { logger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
+import { getMasteryColor } from '../ui/masteryColors.js';
+import { getLetterGrade } from '../masteryDashboard/masteryDashboardViewer.js';
+import { isCurrentScoreOutcome, isRegularOutcome } from './outcomeSyncView.js';
+import { resolveGrowthModelId, getGrowthModel } from './growthModels.js';
+import { getGrowthThresholds, classifySlope } from './growthTrends.js';
+
+/**
+ * Format a date as "Sep 3, 2026"
+ * @param {string|null} isoString
+ * @returns {string}
+ */
+function formatDate(isoString) {
+    if (!isoString) return '';
+    const date = new Date(isoString);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/** Trend arrow and label for each classifySlope() status */
+const TRENDS = {
+    growing:   { icon: '▲', label: 'Improving' },
+    declining: { icon: '▼', label: 'Declining' },
+    flat:      { icon: '→', label: 'Steady' },
+    ne:        { icon: '→', label: 'Not enough evidence' }
+};
+
+/**
+ * Trend arrow from a growth slope (the course's growth thresholds, as in the
+ * Growth view and the outcome student list)
+ * @param {number|null} slope
+ * @param {{growing: number, declining: number}} thresholds - From getGrowthThresholds()
+ * @returns {{icon: string, label: string}}
+ */
+function trendOf(slope, thresholds) {
+    return TRENDS[classifySlope(slope, thresholds)];
+}
+
+/**
+ * Regular outcomes in the teacher's custom order
+ * @param {Object} cache
+ * @returns {Array<Object>}
+ */
+function orderedOutcomes(cache) {
+    const order = Array.isArray(cache.meta?.customOutcomeOrder) ? cache.meta.customOutcomeOrder : null;
+    const regular = (cache.outcomes ?? []).filter(o => isRegularOutcome(o));
+    if (!order) return regular;
+    return regular.sort((a, b) => {
+        const indexA = order.indexOf(String(a.id));
+        const indexB = order.indexOf(String(b.id));
+        if (indexA !== -1 && indexB !== -1) return indexA - indexB;
+        if (indexA !== -1) return -1;
+        if (indexB !== -1) return 1;
+        return 0;
+    });
+}
+
+/**
+ * Report data for one student.
+ *
+ * @param {Object} cache - Enriched view cache (students carry name/sortableName)
+ * @param {string} studentId
+ * @returns {Object|null} null when the student is not in the cache
+ */
+export function buildStudentReport(cache, studentId) {
+    const student = (cache.students ?? []).find(s => String(s.id) === String(studentId));
+    if (!student) return null;
+
+    const entryFor = (outcomeId) =>
+        student.outcomes?.find(o => String(o.outcomeId) === String(outcomeId)) ?? null;
+
+    const currentScoreOutcome = (cache.outcomes ?? []).find(o => isCurrentScoreOutcome(o.title));
+    const currentScore = currentScoreOutcome ? entryFor(currentScoreOutcome.id)?.canvasScore ?? null : null;
+
+    const thresholds = getGrowthThresholds(cache.meta?.courseId);
+    const outcomes = orderedOutcomes(cache).map(outcome => {
+        const data = entryFor(outcome.id);
+        const sync = cache.sync_state?.[String(outcome.id)]?.[String(student.id)] ?? null;
+        return {
+            id: String(outcome.id),
+            title: outcome.title,
+            prediction: data?.plPrediction ?? null,
+            canvasScore: data?.canvasScore ?? null,
+            slope: data?.slope ?? null,
+            trend: trendOf(data?.slope ?? null, thresholds),
+            history: (data?.attempts ?? [])
+                .filter(a => a.score !== null && a.score !== undefined)
+                .slice()
+                .sort((a, b) => new Date(a.assessedAt ?? a.timestamp ?? 0) - new Date(b.assessedAt ?? b.timestamp ?? 0))
+                .map(a => ({
+                    score: a.score,
+                    date: a.assessedAt ?? a.timestamp ?? null,
+                    assignmentName: a.assignmentName ?? ''
+                })),
+            note: sync?.will_post_note?.trim() || ''
+        };
+    });
+
+    const scored = outcomes.filter(o => o.canvasScore !== null);
+    return {
+        id: String(student.id),
+        name: student.name ?? `Student ${student.id}`,
+        sortableName: student.sortableName ?? student.name ?? String(student.id),
+        sectionName: cache.meta?.section?.name ?? null,
+        currentScore,
+        currentScoreLabel: currentScore !== null ? getLetterGrade(currentScore) : '',
+        masteredCount: scored.filter(o => o.canvasScore >= 3).length,
+        outcomeCount: outcomes.length,
+        modelLabel: getGrowthModel(resolveGrowthModelId(cache.growth_model)).label,
+        outcomes
+    };
+}
+
+/**
+ * Score chip in the student dashboard's (canvas) palette
+ * @param {number|null} score
+ * @param {string} [title]
+ * @returns {string}
+ */
+function scoreChip(score, title = '') {
+    if (score === null || score === undefined) return '<span class="chip chip-ne">—</span>';
+    const band = getMasteryColor(score, { scheme: 'canvas' });
+    return `<span class="chip" style="background:${band.bg}; color:${band.fg};"
+                  ${title ? `title="${escapeHtml(title)}"` : ''}>${Number(score).toFixed(1)}</span>`;
+}
+
+/**
+ * HTML for one student's page
+ * @param {Object} report - From buildStudentReport
+ * @param {Object} context - { courseName, generatedAt }
+ * @returns {string}
+ */
+function renderReportPage(report, { courseName, generatedAt }) {
+    const rows = report.outcomes.map(o => `
+        <tr>
+            <td class="outcome">${escapeHtml(o.title)}</td>
+            <td class="history">
+                ${o.history.length
+                    ? o.history.map(h => scoreChip(h.score, [h.assignmentName, formatDate(h.date)].filter(Boolean).join(' · '))).join(' ')
+                    : '<span class="muted">No evidence yet</span>'}
+            </td>
+            <td class="num">${scoreChip(o.canvasScore)}</td>
+            <td class="num">${o.prediction !== null ? o.prediction.toFixed(2) : '<span class="muted">NE</span>'}</td>
+            <td class="num trend" title="${escapeHtml(o.trend.label)}">${o.trend.icon}</td>
+            <td class="note">${escapeHtml(o.note)}</td>
+        </tr>`).join('');
+
+    const scoreColor = getMasteryColor(report.currentScore, { scheme: 'canvas' }).fgOnSurface;
+
+    return `
+    <section class="report">
+        <header>
+            <div>
+                <h1>${escapeHtml(report.name)}</h1>
+                <div class="sub">
+                    ${escapeHtml(courseName)}${report.sectionName ? ` · ${escapeHtml(report.sectionName)}` : ''}
+                    · ${escapeHtml(formatDate(generatedAt))}
+                </div>
+            </div>
+            <div class="stats">
+                <div class="stat">
+                    <div class="stat-label">Current Score</div>
+                    <div class="stat-value" style="color:${report.currentScore !== null ? scoreColor : '#999'};">
+                        ${report.currentScore !== null ? report.currentScore : '—'}
+                    </div>
+                    <div class="stat-sub">${escapeHtml(report.currentScoreLabel || 'No score yet')}</div>
+                </div>
+                <div class="stat">
+                    <div class="stat-label">Mastered</div>
+                    <div class="stat-value">${report.masteredCount}<span class="of"> of ${report.outcomeCount}</span></div>
+                    <div class="stat-sub">outcomes at 3 or above</div>
+                </div>
+            </div>
+        </header>
+        <table>
+            <thead>
+                <tr>
+                    <th>Outcome</th>
+                    <th>Score history (oldest → newest)</th>
+                    <th class="num">Score</th>
+                    <th class="num">Prediction</th>
+                    <th class="num">Trend</th>
+                    <th>Teacher note</th>
+                </tr>
+            </thead>
+            <tbody>${rows || '<tr><td colspan="6" class="muted">No outcomes</td></tr>'}</tbody>
+        </table>
+        <footer>
+            Score: Canvas outcome score. Prediction: ${escapeHtml(report.modelLabel)} projection from the score history
+            (NE = not enough evidence). ▲ improving · → steady · ▼ declining.
+        </footer>
+    </section>`;
+}
+
+/**
+ * Self-contained, print-ready HTML document for a batch of reports
+ *
+ * @param {Array<Object>} reports - From buildStudentReport
+ * @param {Object} [options]
+ * @param {string} [options.courseName]
+ * @param {string} [options.generatedAt] - ISO timestamp (default now)
+ * @returns {string}
+ */
+export function renderStudentReportsDocument(reports, { courseName = 'Course', generatedAt = new Date().toISOString() } = {}) {
+    const title = reports.length === 1 ? `${reports[0].name} — Mastery report` : `Mastery reports — ${courseName}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        * { box-sizing: border-box; }
+        body { font-family: LatoWeb, 'Lato Extended', Lato, 'Helvetica Neue', Helvetica, Arial, sans-serif;
+               color: #2D3B45; margin: 0; padding: 24px; background: #f5f5f3;
+               -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        .toolbar { display: flex; justify-content: space-between; align-items: center; max-width: 8.5in;
+                   margin: 0 auto 16px; font-size: 13px; color: #555; }
+        .toolbar button { font-size: 13px; padding: 6px 14px; border-radius: 4px; border: 1px solid #0374B5;
+                          background: #0374B5; color: #fff; cursor: pointer; }
+        .report { background: #fff; max-width: 8.5in; margin: 0 auto 24px; padding: 0.5in;
+                  box-shadow: 0 1px 4px rgba(0,0,0,0.12); }
+        header { display: flex; justify-content: space-between; align-items: flex-start; gap: 16px;
+                 border-bottom: 2px solid #2D3B45; padding-bottom: 10px; margin-bottom: 14px; }
+        h1 { font-size: 22px; margin: 0 0 4px; }
+        .sub { font-size: 12px; color: #666; }
+        .stats { display: flex; gap: 10px; }
+        .stat { border: 1px solid #ddd; border-radius: 6px; padding: 6px 12px; text-align: center; min-width: 110px; }
+        .stat-label { font-size: 10px; text-transform: uppercase; letter-spacing: .05em; color: #888; }
+        .stat-value { font-size: 24px; font-weight: 700; }
+        .stat-value .of { font-size: 13px; font-weight: 400; color: #888; }
+        .stat-sub { font-size: 11px; color: #666; }
+        table { width: 100%; border-collapse: collapse; font-size: 12px; }
+        th { text-align: left; font-size: 10px; text-transform: uppercase; letter-spacing: .04em; color: #888;
+             border-bottom: 1px solid #ccc; padding: 4px 6px; }
+        td { border-bottom: 1px solid #eee; padding: 6px; vertical-align: top; }
+        tr { break-inside: avoid; page-break-inside: avoid; }
+        .num { text-align: center; white-space: nowrap; }
+        .outcome { font-weight: 600; width: 26%; }
+        .history { width: 28%; line-height: 1.9; }
+        .note { width: 24%; font-style: italic; color: #444; }
+        .trend { font-size: 14px; }
+        .chip { display: inline-block; border-radius: 3px; padding: 0 4px; font-size: 11px; font-weight: 600; white-space: nowrap; }
+        .chip-ne { color: #999; }
+        .muted { color: #999; }
+        footer { margin-top: 12px; font-size: 10px; color: #888; }
+        @page { size: letter; margin: 0.5in; }
+        @media print {
+            body { background: #fff; padding: 0; }
+            .toolbar { display: none; }
+            .report { box-shadow: none; margin: 0; padding: 0; max-width: none;
+                      break-after: page; page-break-after: always; }
+            .report:last-of-type { break-after: auto; page-break-after: auto; }
+        }
+    </style>
+</head>
+<body>
+    <div class="toolbar">
+        <span>${reports.length} report${reports.length === 1 ? '' : 's'} · one page per student</span>
+        <button onclick="window.print()">Print / Save as PDF</button>
+    </div>
+    ${reports.map(r => renderReportPage(r, { courseName, generatedAt })).join('\n')}
+</body>
+</html>`;
+}
+
+/**
+ * Open printable reports for one or more students in a new window.
+ *
+ * @param {Object} cache - Enriched view cache (section-scoped caches give section reports)
+ * @param {Array<string>} studentIds - Students to include, in any order (sorted by sortable name)
+ * @param {Object} [options]
+ * @param {string} [options.courseName]
+ */
+export function openStudentReports(cache, studentIds, { courseName = window.ENV?.COURSE?.name || 'Course' } = {}) {
+    const reports = studentIds
+        .map(id => buildStudentReport(cache, id))
+        .filter(Boolean)
+        .sort((a, b) => a.sortableName.localeCompare(b.sortableName));
+
+    if (reports.length === 0) {
+        logger.warn('[StudentReports] No students to report on');
+        return;
+    }
+
+    const win = window.open('', '_blank', 'width=1000,height=800');
+    if (!win) {
+        alert('Popup blocked! Please allow popups for this site.');
+        logger.warn('[StudentReports] Popup blocked');
+        return;
+    }
+
+    win.document.open();
+    win.document.write(renderStudentReportsDocument(reports, { courseName }));
+    win.document.close();
+
+    logger.info(`[StudentReports] Opened ${reports.length} report(s)`);
+}
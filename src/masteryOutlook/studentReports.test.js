@@ -0,0 +1,69 @@
+// src/masteryOutlook/studentReports.test.js
+import { describe, it, expect } from 'vitest';
+import { buildStudentReport, renderStudentReportsDocument } from './studentReports.js';
+import { setGrowthThresholds } from './growthTrends.js';
+import { OUTCOMES, student, buildCache } from './tests/fixtures.js';
+
+const buildReportCache = () => buildCache({
+    meta: { customOutcomeOrder: ['11', '10'], section: { id: '55', name: 'Period 1' } },
+    outcomes: [OUTCOMES.currentScore, OUTCOMES.reading, { ...OUTCOMES.writing, title: 'Writing <essays>' }],
+    students: [student('7', 'Ruiz, Ana', {
+        1: { canvasScore: 3.25 },
+        10: {
+            plPrediction: 3.4, slope: 0.3, canvasScore: 3,
+            attempts: [
+                { score: 3, assessedAt: '2026-09-20T00:00:00Z', assignmentName: 'Quiz 2' },
+                { score: 2, assessedAt: '2026-09-01T00:00:00Z', assignmentName: 'Quiz 1' }
+            ]
+        },
+        11: { plPrediction: null, slope: null, canvasScore: null, attempts: [] }
+    })],
+    sync_state: { 10: { 7: { will_post_note: '  Great progress  ' } } }
+});
+
+describe('student reports', () => {
+    it('builds the report from the cache', () => {
+        const report = buildStudentReport(buildReportCache(), '7');
+
+        expect(report).toMatchObject({
+            name: 'Ana Ruiz',
+            sectionName: 'Period 1',
+            currentScore: 3.25,
+            masteredCount: 1,
+            outcomeCount: 2
+        });
+        expect(report.currentScoreLabel).not.toBe('');
+        // Custom order, Current Score left out
+        expect(report.outcomes.map(o => o.id)).toEqual(['11', '10']);
+
+        const reading = report.outcomes[1];
+        expect(reading.history.map(h => h.score)).toEqual([2, 3]);
+        expect(reading.trend.icon).toBe('▲');
+        expect(reading.note).toBe('Great progress');
+        expect(report.outcomes[0].trend.icon).toBe('→');
+
+        expect(buildStudentReport(buildReportCache(), '8')).toBeNull();
+    });
+
+    it('reads trends with the course growth thresholds', () => {
+        const cache = buildReportCache();
+        cache.meta.courseId = '101';
+        cache.students[0].outcomes[1].slope = 0.08;
+        expect(buildStudentReport(cache, '7').outcomes[1].trend.label).toBe('Improving');
+
+        setGrowthThresholds('101', { growing: 0.1, declining: -0.1 });
+        expect(buildStudentReport(cache, '7').outcomes[1].trend.label).toBe('Steady');
+        setGrowthThresholds('101', null);
+    });
+
+    it('renders one escaped, page-broken section per student', () => {
+        const report = buildStudentReport(buildReportCache(), '7');
+        const html = renderStudentReportsDocument([report, { ...report, name: 'Ben Abel' }], { courseName: 'Bio' });
+
+        expect(html.match(/<section class="report">/g)).toHaveLength(2);
+        expect(html).toContain('@media print');
+        expect(html).toContain('page-break-after: always');
+        expect(html).toContain('Writing &lt;essays&gt;');
+        expect(html).toContain('Great progress');
+    });
+});
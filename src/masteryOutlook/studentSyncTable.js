@@ -29,7 +29,11 @@ import {
     initWriteScheduler,
 } from './plOutlookActions.js';
 import { refreshStudentOutcomeData } from './masteryOutlookDataService.js';
+import { compareGrowthModels, getGrowthModelOptions, outcomeClassMean, resolveGrowthModelId } from './growthModels.js';
 import { fetchingStudentIds, syncingStudentIds, syncStudentPhase, syncingOutcomeIds } from './masteryOutlookState.js';
+import { openStudentReports } from './studentReports.js';
+import { buildScoreHistory, renderSparkline, renderScoreHistoryChart } from './scoreHistoryChart.js';
+import { formatDateShort } from './formatters.js';
 
 /**
  * Build plAssignmentIds Set from in-memory cache for PL result filtering.
@@ -46,18 +50,11 @@ function buildPlAssignmentIds(cache) {
     );
 }
 
-/**
- * Format an ISO date string to a short month-day string, e.g. "Apr 9".
- *
- * @param {string|null} iso
- * @returns {string}
- */
-function formatDateShort(iso) {
-    if (!iso) return '—';
-    const d = new Date(iso);
-    if (isNaN(d.getTime())) return '—';
-    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-}
+/** Student × outcome keys (`${outcomeId}_${studentId}`) with the model comparison open */
+const openModelComparisons = new Set();
+
+/** Student × outcome keys (`${outcomeId}_${studentId}`) with the score history chart open */
+const openHistoryCharts = new Set();
 
 // ─── Row state builder ───────────────────────────────────────────────────────
 
@@ -141,8 +138,68 @@ function buildOutcomeStudentRow(student, outcomeData, syncEntry, ignoredAlignmen
 }
 
 
+/**
+ * Every growth model's prediction for one student × outcome, from the
+ * non-ignored attempts.
+ *
+ * @param {Object}   cache
+ * @param {Object}   outcomeData - student.outcomes entry
+ * @param {string}   oidStr
+ * @param {string}   sidStr
+ * @returns {Array<{id, label, status, prediction, slope, active}>}
+ */
+function buildModelComparison(cache, outcomeData, oidStr, sidStr) {
+    const ignoredIds = new Set((cache.ignored_alignments ?? [])
+        .filter(ig => String(ig.student_id) === sidStr && String(ig.outcome_id) === oidStr)
+        .map(ig => ig.alignment_id));
+    const attempts = (outcomeData?.attempts ?? []).filter(a => !ignoredIds.has(a.assignmentId));
+    const activeId = resolveGrowthModelId(cache.growth_model);
+
+    return compareGrowthModels(attempts, {
+        ...getGrowthModelOptions(),
+        priorMean: outcomeClassMean((cache.unscoped ?? cache).students, oidStr)
+    }).map(m => ({ ...m, active: m.id === activeId }));
+}
+
+
 // ─── Renderers ───────────────────────────────────────────────────────────────
 
+/**
+ * Render the model comparison row shown under a student row.
+ *
+ * @param {Array}  models - from buildModelComparison()
+ * @returns {string} HTML <tr>
+ */
+function renderModelComparisonRow(models) {
+    const rows = models.map(m => `
+        <tr class="${m.active ? 'active' : ''}">
+          <td>${escapeHtml(m.label)}${m.active ? ' (in use)' : ''}</td>
+          <td>${m.prediction != null ? `${roundToHalf(m.prediction).toFixed(2)} <span style="color:var(--text-tertiary);">(${m.prediction.toFixed(2)})</span>` : 'NE'}</td>
+          <td>${m.slope != null ? m.slope.toFixed(3) : '—'}</td>
+        </tr>`).join('');
+
+    return `<tr class="os-models-row">
+      <td colspan="7">
+        <table class="os-models-table">
+          <thead><tr><th>Model</th><th>Prediction</th><th>Slope</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </td>
+    </tr>`;
+}
+
+/**
+ * Render the score history drilldown row shown under a student row.
+ *
+ * @param {Object} history - from buildScoreHistory()
+ * @returns {string} HTML <tr>
+ */
+function renderHistoryChartRow(history) {
+    return `<tr class="os-chart-row">
+      <td colspan="7">${renderScoreHistoryChart(history)}</td>
+    </tr>`;
+}
+
 /**
  * Render one alignment dot with hover preview + click-to-open popover.
  *
@@ -211,6 +268,13 @@ function renderOutcomeStudentRow(s, oidStr) {
         ? s.dots.map((dot, i) => renderDot(dot, oidStr, s.id, i)).join('')
         : `<span style="font-size:10px;color:var(--text-tertiary);">—</span>`;
 
+    const sparkSvg  = renderSparkline(s.history);
+    const sparkHtml = sparkSvg
+        ? `<button class="os-spark-btn" data-action="os-chart" data-stu="${s.id}" data-oid="${oidStr}"
+                   aria-expanded="${s.chartOpen ? 'true' : 'false'}"
+                   title="Score history chart">${sparkSvg}</button>`
+        : '';
+
     const lockHtml = s.lock !== 'none' ? `
         <button class="os-wp-lock ${s.lock}"
                 data-action="${s.lock === 'locked' ? 'os-unlock' : 'os-lock'}"
@@ -244,8 +308,13 @@ function renderOutcomeStudentRow(s, oidStr) {
            </button>`;
 
     return `<tr class="${needsCls}" data-stu="${s.id}" data-oid="${oidStr}">
-      <td><span class="os-stu-name">${escapeHtml(s.name)}</span></td>
-      <td><div class="dot-row">${dotsHtml}</div></td>
+      <td><span class="os-stu-name">${escapeHtml(s.name)}</span>
+        <button class="os-models-btn" data-action="os-models" data-stu="${s.id}" data-oid="${oidStr}"
+                aria-expanded="${s.models ? 'true' : 'false'}"
+                title="Compare growth models">models</button>
+        <button class="os-models-btn" data-action="os-report" data-stu="${s.id}"
+                title="Printable report for ${escapeHtml(s.name)}">report</button></td>
+      <td><div class="dot-row">${dotsHtml}${sparkHtml}</div></td>
       <td class="c">
         <button class="os-pill-btn ${canvasFaded}" data-action="os-use-canvas"
                 data-stu="${s.id}" data-oid="${oidStr}" data-canvas="${s.canvas ?? ''}">
@@ -313,13 +382,28 @@ export function renderOutcomeStudentTable(outcome, cache) {
     const outcomeSync = syncState[String(outcome.id)] ?? {};
     const ignored     = cache.ignored_alignments ?? [];
     const oidStr      = String(outcome.id);
+    // Score history charts draw the course's growth model
+    const modelId     = resolveGrowthModelId(cache.growth_model);
+    const modelOptions = {
+        ...getGrowthModelOptions(),
+        priorMean: modelId === 'shrinkage' ? outcomeClassMean((cache.unscoped ?? cache).students, oidStr) : null
+    };
 
     const studentStates = cache.students
         .map(student => {
             const sId         = String(student.id);
             const outcomeData = student.outcomes.find(o => String(o.outcomeId) === oidStr);
             const entry       = outcomeSync[sId] ?? {};
-            return buildOutcomeStudentRow(student, outcomeData, entry, ignored, outcome.id);
+            const row         = buildOutcomeStudentRow(student, outcomeData, entry, ignored, outcome.id);
+            row.models = openModelComparisons.has(`${oidStr}_${sId}`)
+                ? buildModelComparison(cache, outcomeData, oidStr, sId)
+                : null;
+            const ignoredIds = new Set(ignored
+                .filter(ig => String(ig.student_id) === sId && String(ig.outcome_id) === oidStr)
+                .map(ig => ig.alignment_id));
+            row.history   = buildScoreHistory(outcomeData?.attempts, ignoredIds, { modelId, options: modelOptions });
+            row.chartOpen = openHistoryCharts.has(`${oidStr}_${sId}`);
+            return row;
         })
         .sort((a, b) => a.sortableName.localeCompare(b.sortableName));
 
@@ -372,7 +456,9 @@ export function renderOutcomeStudentTable(outcome, cache) {
     //     </div>`;
 
     const bodyHtml = studentStates
-        .map(s => renderOutcomeStudentRow(s, oidStr))
+        .map(s => renderOutcomeStudentRow(s, oidStr)
+            + (s.chartOpen ? renderHistoryChartRow(s.history) : '')
+            + (s.models ? renderModelComparisonRow(s.models) : ''))
         .join('');
 
     return `
@@ -402,7 +488,7 @@ export function renderOutcomeStudentTable(outcome, cache) {
 /**
  * Attach all event listeners for the student sync table.
  *
- * Owns: os-use-canvas, os-use-marzano, os-wp-click (inline edit), os-lock,
+ * Owns: os-models, os-chart, os-report, os-use-canvas, os-use-marzano, os-wp-click (inline edit), os-lock,
  * os-unlock, os-save, os-post-all, os-refresh-outcome, dot-toggle,
  * dot-ignore-toggle, os-note input, and a document-level "click outside dot to
  * close popover" listener.
@@ -453,6 +539,30 @@ export function wireOutcomeStudentTable({ contentEl, outcome, cache, courseId, a
             return;
         }
 
+        // ── Growth model comparison toggle ────────────────────────────────
+        if (action === 'os-models') {
+            const key = `${oId}_${stuId}`;
+            if (openModelComparisons.has(key)) openModelComparisons.delete(key);
+            else openModelComparisons.add(key);
+            renderTable();
+            return;
+        }
+
+        // ── Score history chart toggle ────────────────────────────────────
+        if (action === 'os-chart') {
+            const key = `${oId}_${stuId}`;
+            if (openHistoryCharts.has(key)) openHistoryCharts.delete(key);
+            else openHistoryCharts.add(key);
+            renderTable();
+            return;
+        }
+
+        // ── Printable student report ──────────────────────────────────────
+        if (action === 'os-report') {
+            openStudentReports(cache, [stuId]);
+            return;
+        }
+
         // ── Canvas pill → set Will Post = canvas score ────────────────────
         if (action === 'os-use-canvas') {
             const cv = parseFloat(el.dataset.canvas);
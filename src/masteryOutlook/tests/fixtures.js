@@ -0,0 +1,74 @@
+// src/masteryOutlook/tests/fixtures.js
+/**
+ * Shared Mastery Outlook test fixtures
+ *
+ * A small class with a Current Score outcome and four regular outcomes
+ * (Reading and Writing in the Literacy group, Graphing in Data, Lab safety
+ * ungrouped). Tests build their own variations with student() and
+ * buildCache() instead of redeclaring the cache shape.
+ */
+
+/** Cached outcomes, by name */
+export const OUTCOMES = {
+    currentScore: { id: 1, title: 'Current Score', displayOrder: 0 },
+    reading:      { id: 10, title: 'Reading', groupId: '5', groupTitle: 'Literacy', displayOrder: 1 },
+    writing:      { id: 11, title: 'Writing', groupId: '5', groupTitle: 'Literacy', displayOrder: 2 },
+    graphing:     { id: 12, title: 'Graphing', groupId: '6', groupTitle: 'Data', displayOrder: 3 },
+    labSafety:    { id: 13, title: 'Lab safety', displayOrder: 4 }
+};
+
+/**
+ * A cached student
+ *
+ * @param {string} id
+ * @param {string|null} sortableName - "Last, First" (name becomes "First Last"); null leaves both out
+ * @param {Object} [outcomes] - { [outcomeId]: plPrediction } or { [outcomeId]: { plPrediction, slope, ... } };
+ *   status is 'NE' when plPrediction is null, else 'ok', unless given
+ * @param {Object} [fields] - Other student fields (sectionId, ...)
+ * @returns {Object}
+ */
+export function student(id, sortableName, outcomes = {}, fields = {}) {
+    const names = sortableName === null ? {} : {
+        name: sortableName.split(', ').reverse().join(' '),
+        sortableName
+    };
+    return {
+        id,
+        ...names,
+        ...fields,
+        outcomes: Object.entries(outcomes).map(([outcomeId, entry]) => {
+            const values = entry !== null && typeof entry === 'object' ? entry : { plPrediction: entry };
+            return {
+                outcomeId: Number(outcomeId),
+                status: values.plPrediction === null || values.plPrediction === undefined ? 'NE' : 'ok',
+                ...values
+            };
+        })
+    };
+}
+
+/**
+ * A view cache; without options, the whole class on every outcome
+ *
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.outcomes] - Outcome entries (copied)
+ * @param {Array<Object>} [options.students] - From student()
+ * @returns {Object} Cache with any other option (meta, sync_state, ...) passed through
+ */
+export function buildCache({ outcomes = Object.values(OUTCOMES), students = classStudents(), ...rest } = {}) {
+    return { ...rest, outcomes: outcomes.map(o => ({ ...o })), students };
+}
+
+/**
+ * The default class: Cole is below 2.2 on three outcomes, Abel on one, Bell
+ * on none, and Diaz has no predictions
+ * @returns {Array<Object>}
+ */
+export function classStudents() {
+    return [
+        student('1', 'Cole, Ada', { 10: 1.0, 11: 1.5, 12: 2.0, 13: 3.5 }, { sectionId: '100' }),
+        student('2', 'Abel, Ben', { 10: 3.0, 11: 1.0, 12: 3.5, 13: 3.0 }, { sectionId: '200' }),
+        student('3', 'Bell, Cy', { 10: 3.5, 11: 3.0, 12: 3.2, 13: 4.0 }, { sectionId: '100' }),
+        student('4', 'Diaz, Dee', { 10: null, 11: null, 12: null, 13: null }, { sectionId: '200' })
+    ];
+}
@@ -17,6 +17,10 @@
 
 import { mountHeatmapView } from './heatmapView.js';
 import { mountOutcomeSyncView, initOutcomeSyncContainer } from './outcomeSyncView.js';
+import { mountInterventionGroupsView } from './interventionGroupsView.js';
+import { mountGrowthView } from './growthView.js';
+import { mountSnapshotCompareView } from './snapshotCompareView.js';
+import { mountItemAnalysisView } from './itemAnalysisView.js';
 
 /**
  * @typedef {Object} ViewContext
@@ -59,6 +63,30 @@ export const VIEWS = [
         hasSidebar: false,
         mount: mountHeatmapView,
     },
+    {
+        id: 'growth',
+        label: '📈 Growth',
+        hasSidebar: false,
+        mount: mountGrowthView,
+    },
+    {
+        id: 'compare',
+        label: '🕓 Compare',
+        hasSidebar: false,
+        mount: mountSnapshotCompareView,
+    },
+    {
+        id: 'items',
+        label: '🔍 Items',
+        hasSidebar: false,
+        mount: mountItemAnalysisView,
+    },
+    {
+        id: 'groups',
+        label: '👥 Groups',
+        hasSidebar: false,
+        mount: mountInterventionGroupsView,
+    },
 ];
 
 /**
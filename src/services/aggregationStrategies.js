@@ -0,0 +1,195 @@
+// src/services/aggregationStrategies.js
+/**
+ * Current Score Aggregation Strategies
+ *
+ * Registry of the ways a student's relevant outcome rollup scores can be
+ * combined into a single Current Score. Shared by gradeCalculator.js,
+ * ieGradeCalculator.js and (through calculateStudentAverages) the Mastery
+ * Outlook avg service, so every path that writes a Current Score agrees on
+ * the number.
+ *
+ * Each strategy receives the already-filtered rollup score objects
+ * (`{ score, submitted_at, links: { outcome } }`) and an options object, and
+ * returns the aggregate rounded to 2 decimal places (or null if no scores).
+ *
+ * Strategy selection (highest priority first):
+ * 1. CURRENT_SCORE_AGGREGATION_BY_COURSE[courseId]
+ * 2. CURRENT_SCORE_AGGREGATION
+ * 3. 'mean'
+ *
+ * Exports:
+ * - AGGREGATION_STRATEGIES, DEFAULT_AGGREGATION_STRATEGY
+ * - getAggregationStrategy, resolveAggregationStrategyId, resolveAggregationStrategy
+ * - getAggregationOptions
+ */
+
+import {
+    CURRENT_SCORE_AGGREGATION,
+    CURRENT_SCORE_AGGREGATION_BY_COURSE,
+    CURRENT_SCORE_AGGREGATION_OPTIONS
+} from "../config.js";
+import { logger } from "../utils/logger.js";
+import {
+    MIN_SCORES,
+    DECAYING_AVG_WEIGHT,
+    powerLawPredict,
+    decayingAverage,
+    mostRecent
+} from "../masteryOutlook/powerLaw.js";
+
+export const DEFAULT_AGGREGATION_STRATEGY = 'mean';
+const DEFAULT_HIGHEST_N = 3;
+
+/**
+ * Round to 2 decimal places (matches computeAverage)
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round2(value) {
+    if (value === null || value === undefined || Number.isNaN(value)) return null;
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Sort score objects oldest first by submitted_at.
+ * Scores without a timestamp keep their relative order at the front.
+ * @param {Array} scores
+ * @returns {Array} New sorted array
+ */
+function chronological(scores) {
+    return scores
+        .map((s, i) => ({ s, i, t: s.submitted_at ? Date.parse(s.submitted_at) : NaN }))
+        .sort((a, b) => {
+            const ta = Number.isNaN(a.t) ? -Infinity : a.t;
+            const tb = Number.isNaN(b.t) ? -Infinity : b.t;
+            return ta === tb ? a.i - b.i : ta - tb;
+        })
+        .map(x => x.s);
+}
+
+/**
+ * Plain arithmetic mean of score values
+ * @param {Array} scores
+ * @returns {number|null}
+ */
+function meanOf(scores) {
+    if (!scores.length) return null;
+    return scores.reduce((sum, s) => sum + s.score, 0) / scores.length;
+}
+
+/**
+ * Registry of aggregation strategies keyed by id.
+ * Each entry: { id, label, supportsWeighting, aggregate(scores, options) → number|null }
+ *
+ * supportsWeighting: the strategy is a mean and honours the teacher's
+ * outcome weighting model (see outcomeWeighting.js) when one is set.
+ */
+export const AGGREGATION_STRATEGIES = {
+    mean: {
+        id: 'mean',
+        label: 'Mean (all outcomes equal)',
+        supportsWeighting: true,
+        aggregate: (scores) => round2(meanOf(scores))
+    },
+
+    weighted_mean: {
+        id: 'weighted_mean',
+        label: 'Weighted mean (per-outcome weights)',
+        supportsWeighting: true,
+        aggregate: (scores, options = {}) => {
+            if (!scores.length) return null;
+            const weights = options.outcomeWeights ?? {};
+            let total = 0;
+            let weightSum = 0;
+            for (const s of scores) {
+                const raw = Number(weights[String(s.links?.outcome)]);
+                const weight = Number.isFinite(raw) && raw >= 0 ? raw : 1;
+                total += s.score * weight;
+                weightSum += weight;
+            }
+            if (weightSum === 0) return null;
+            return round2(total / weightSum);
+        }
+    },
+
+    decaying_average: {
+        id: 'decaying_average',
+        label: 'Decaying average (recent outcomes weigh more)',
+        supportsWeighting: false,
+        aggregate: (scores, options = {}) => {
+            const weight = options.decayWeight ?? DECAYING_AVG_WEIGHT;
+            return round2(decayingAverage(chronological(scores).map(s => s.score), weight));
+        }
+    },
+
+    most_recent: {
+        id: 'most_recent',
+        label: 'Most recent outcome score',
+        supportsWeighting: false,
+        aggregate: (scores) => round2(mostRecent(chronological(scores).map(s => s.score)))
+    },
+
+    highest_n: {
+        id: 'highest_n',
+        label: 'Mean of highest N outcome scores',
+        supportsWeighting: false,
+        aggregate: (scores, options = {}) => {
+            const n = Math.max(1, Math.floor(options.highestN ?? DEFAULT_HIGHEST_N));
+            const top = [...scores].sort((a, b) => b.score - a.score).slice(0, n);
+            return round2(meanOf(top));
+        }
+    },
+
+    power_law: {
+        id: 'power_law',
+        label: 'Power Law prediction (falls back to mean)',
+        supportsWeighting: false,
+        aggregate: (scores) => {
+            if (scores.length < MIN_SCORES) return round2(meanOf(scores));
+            const predicted = powerLawPredict(chronological(scores).map(s => s.score));
+            return round2(predicted ?? meanOf(scores));
+        }
+    }
+};
+
+/**
+ * Look up a strategy by id, falling back to the default mean strategy
+ * @param {string} id - Strategy id
+ * @returns {{id: string, label: string, aggregate: Function}}
+ */
+export function getAggregationStrategy(id) {
+    const strategy = AGGREGATION_STRATEGIES[id];
+    if (!strategy) {
+        if (id) logger.warn(`[Aggregation] Unknown strategy "${id}", using "${DEFAULT_AGGREGATION_STRATEGY}"`);
+        return AGGREGATION_STRATEGIES[DEFAULT_AGGREGATION_STRATEGY];
+    }
+    return strategy;
+}
+
+/**
+ * Resolve the configured strategy id for a course
+ * @param {string} [courseId] - Course ID (per-course mapping takes precedence)
+ * @returns {string} Strategy id
+ */
+export function resolveAggregationStrategyId(courseId) {
+    const byCourse = CURRENT_SCORE_AGGREGATION_BY_COURSE ?? {};
+    const courseStrategy = courseId != null ? byCourse[String(courseId)] : undefined;
+    return courseStrategy || CURRENT_SCORE_AGGREGATION || DEFAULT_AGGREGATION_STRATEGY;
+}
+
+/**
+ * Resolve the configured strategy for a course
+ * @param {string} [courseId] - Course ID
+ * @returns {{id: string, label: string, aggregate: Function}}
+ */
+export function resolveAggregationStrategy(courseId) {
+    return getAggregationStrategy(resolveAggregationStrategyId(courseId));
+}
+
+/**
+ * Strategy options from config (highestN, decayWeight, outcomeWeights)
+ * @returns {Object}
+ */
+export function getAggregationOptions() {
+    return CURRENT_SCORE_AGGREGATION_OPTIONS ?? {};
+}
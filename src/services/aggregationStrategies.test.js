@@ -0,0 +1,107 @@
+// src/services/aggregationStrategies.test.js
+import { describe, it, expect } from 'vitest';
+import {
+    AGGREGATION_STRATEGIES,
+    DEFAULT_AGGREGATION_STRATEGY,
+    getAggregationStrategy,
+    resolveAggregationStrategyId,
+} from './aggregationStrategies.js';
+
+// Rollup score objects as returned by /outcome_rollups
+const score = (outcome, value, submittedAt) => ({
+    score: value,
+    submitted_at: submittedAt,
+    links: { outcome: String(outcome) },
+});
+
+// Deliberately out of chronological order
+const scores = [
+    score(1, 2, '2024-02-01T00:00:00Z'),
+    score(2, 4, '2024-04-01T00:00:00Z'),
+    score(3, 1, '2024-01-01T00:00:00Z'),
+    score(4, 3, '2024-03-01T00:00:00Z'),
+];
+
+describe('registry', () => {
+    it('exposes every strategy with a matching id and label', () => {
+        expect(Object.keys(AGGREGATION_STRATEGIES).sort()).toEqual([
+            'decaying_average', 'highest_n', 'mean', 'most_recent', 'power_law', 'weighted_mean',
+        ]);
+        Object.entries(AGGREGATION_STRATEGIES).forEach(([id, s]) => {
+            expect(s.id).toBe(id);
+            expect(typeof s.label).toBe('string');
+        });
+    });
+    it('falls back to mean for unknown ids', () => {
+        expect(getAggregationStrategy('nope').id).toBe(DEFAULT_AGGREGATION_STRATEGY);
+        expect(getAggregationStrategy(undefined).id).toBe('mean');
+    });
+    it('resolves to the default when nothing is configured', () => {
+        expect(resolveAggregationStrategyId('123')).toBe('mean');
+        expect(resolveAggregationStrategyId()).toBe('mean');
+    });
+    it('every strategy returns null for no scores', () => {
+        Object.values(AGGREGATION_STRATEGIES).forEach(s => {
+            expect(s.aggregate([], {})).toBeNull();
+        });
+    });
+});
+
+describe('mean', () => {
+    it('averages and rounds to 2 decimals', () => {
+        expect(AGGREGATION_STRATEGIES.mean.aggregate(scores)).toBe(2.5);
+        expect(AGGREGATION_STRATEGIES.mean.aggregate([score(1, 3), score(2, 3), score(3, 2)])).toBe(2.67);
+    });
+});
+
+describe('weighted_mean', () => {
+    it('uses per-outcome weights, missing weights count as 1', () => {
+        const result = AGGREGATION_STRATEGIES.weighted_mean.aggregate(scores, { outcomeWeights: { 2: 2 } });
+        // (2 + 4*2 + 1 + 3) / 5
+        expect(result).toBe(2.8);
+    });
+    it('matches mean without weights', () => {
+        expect(AGGREGATION_STRATEGIES.weighted_mean.aggregate(scores, {})).toBe(2.5);
+    });
+    it('returns null when every weight is zero', () => {
+        const weights = { 1: 0, 2: 0, 3: 0, 4: 0 };
+        expect(AGGREGATION_STRATEGIES.weighted_mean.aggregate(scores, { outcomeWeights: weights })).toBeNull();
+    });
+});
+
+describe('most_recent', () => {
+    it('picks the latest submitted_at, not the last array element', () => {
+        expect(AGGREGATION_STRATEGIES.most_recent.aggregate(scores)).toBe(4);
+    });
+});
+
+describe('decaying_average', () => {
+    it('orders chronologically before decaying', () => {
+        // chronological: 1, 2, 3, 4 → 1 → 1.65 → 2.5275 → 3.484625
+        expect(AGGREGATION_STRATEGIES.decaying_average.aggregate(scores, {})).toBe(3.48);
+    });
+    it('honours a custom decay weight', () => {
+        expect(AGGREGATION_STRATEGIES.decaying_average.aggregate(scores, { decayWeight: 1 })).toBe(4);
+    });
+});
+
+describe('highest_n', () => {
+    it('defaults to the top 3 scores', () => {
+        expect(AGGREGATION_STRATEGIES.highest_n.aggregate(scores, {})).toBe(3);
+    });
+    it('honours highestN', () => {
+        expect(AGGREGATION_STRATEGIES.highest_n.aggregate(scores, { highestN: 2 })).toBe(3.5);
+        expect(AGGREGATION_STRATEGIES.highest_n.aggregate(scores, { highestN: 10 })).toBe(2.5);
+    });
+});
+
+describe('power_law', () => {
+    it('falls back to mean with fewer than MIN_SCORES scores', () => {
+        expect(AGGREGATION_STRATEGIES.power_law.aggregate([score(1, 2), score(2, 3)])).toBe(2.5);
+    });
+    it('predicts from chronologically ordered scores within the 1–4 range', () => {
+        const result = AGGREGATION_STRATEGIES.power_law.aggregate(scores);
+        expect(result).toBeGreaterThan(AGGREGATION_STRATEGIES.mean.aggregate(scores));
+        expect(result).toBeLessThanOrEqual(4);
+    });
+});
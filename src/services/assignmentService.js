@@ -5,20 +5,49 @@
  * Handles all Canvas API operations related to assignments:
  * - Finding assignments from outcome alignments
  * - Creating new assignments
+ * - Creating, reassigning and deleting assignments assigned to a list of
+ *   students (re-teach groups)
+ * - Naming the Current Score assignment (one per grading period when
+ *   GRADING_PERIOD_ASSIGNMENTS is set)
  */
 
 import { CanvasApiClient } from "../utils/canvasApiClient.js";
-import { AVG_ASSIGNMENT_NAME, DEFAULT_MAX_POINTS, DEFAULT_GRADING_SCHEME_ID, DEFAULT_GRADING_TYPE } from "../config.js";
+import { AVG_ASSIGNMENT_NAME, GRADING_PERIOD_ASSIGNMENTS, DEFAULT_MAX_POINTS, DEFAULT_GRADING_SCHEME_ID, DEFAULT_GRADING_TYPE } from "../config.js";
 import { logger } from "../utils/logger.js";
 
+/**
+ * Name of the Current Score assignment for a grading period
+ * @param {Object|null} [gradingPeriod] - Selected grading period (null = all periods)
+ * @returns {string} "<AVG_ASSIGNMENT_NAME> (<period title>)" when GRADING_PERIOD_ASSIGNMENTS
+ *   is set and a period is selected, otherwise AVG_ASSIGNMENT_NAME
+ */
+export function getAvgAssignmentName(gradingPeriod = null) {
+    return gradingPeriod && GRADING_PERIOD_ASSIGNMENTS
+        ? `${AVG_ASSIGNMENT_NAME} (${gradingPeriod.title})`
+        : AVG_ASSIGNMENT_NAME;
+}
+
+/**
+ * Whether an assignment is a Current Score assignment (any grading period)
+ * @param {string} name - Assignment name
+ * @returns {boolean}
+ */
+export function isAvgAssignmentName(name) {
+    if (name === AVG_ASSIGNMENT_NAME) return true;
+    return typeof name === 'string' && name.startsWith(`${AVG_ASSIGNMENT_NAME} (`) && name.endsWith(')');
+}
+
 /**
  * Find an assignment by name from outcome alignments
  * @param {string} courseId - Canvas course ID
  * @param {object} outcomeObject - Outcome object with alignments
  * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @param {Object} [options]
+ * @param {string} [options.name=AVG_ASSIGNMENT_NAME] - Assignment name to look for
  * @returns {Promise<object|null>} Assignment object or null if not found
  */
-export async function getAssignmentObjectFromOutcomeObj(courseId, outcomeObject, apiClient) {
+export async function getAssignmentObjectFromOutcomeObj(courseId, outcomeObject, apiClient,
+                                                        { name = AVG_ASSIGNMENT_NAME } = {}) {
     const alignments = outcomeObject.alignments ?? [];
 
     for (const alignment of alignments) {
@@ -32,7 +61,7 @@ export async function getAssignmentObjectFromOutcomeObj(courseId, outcomeObject,
                 "getAssignment"
             );
 
-            if (assignment.name === AVG_ASSIGNMENT_NAME) {
+            if (assignment.name === name) {
                 logger.debug("Assignment found:", assignment);
                 return assignment;
             }
@@ -44,7 +73,7 @@ export async function getAssignmentObjectFromOutcomeObj(courseId, outcomeObject,
     }
 
     // If no match found
-    logger.warn(`Assignment "${AVG_ASSIGNMENT_NAME}" not found in alignments`);
+    logger.warn(`Assignment "${name}" not found in alignments`);
     return null;
 }
 
@@ -52,12 +81,15 @@ export async function getAssignmentObjectFromOutcomeObj(courseId, outcomeObject,
  * Create a new assignment via Canvas API
  * @param {string} courseId - Canvas course ID
  * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @param {Object} [options]
+ * @param {string} [options.name=AVG_ASSIGNMENT_NAME] - Assignment name
+ * @param {string|null} [options.dueAt] - Due date (places the assignment in a grading period)
  * @returns {Promise<string>} Created assignment ID
  */
-export async function createAssignment(courseId, apiClient) {
+export async function createAssignment(courseId, apiClient, { name = AVG_ASSIGNMENT_NAME, dueAt = null } = {}) {
     // Build assignment payload
     const assignmentData = {
-        name: AVG_ASSIGNMENT_NAME,
+        name,
         // position: 1,
         submission_types: ["none"], // no student submissions needed
         published: true,
@@ -66,6 +98,7 @@ export async function createAssignment(courseId, apiClient) {
         points_possible: 0,
         grading_type: DEFAULT_GRADING_TYPE,
         omit_from_final_grade: true,
+        ...(dueAt ? { due_at: dueAt } : {}),
     };
 
     // Only include grading_standard_id if a grading scheme is selected
@@ -92,4 +125,85 @@ export async function createAssignment(courseId, apiClient) {
 
     logger.info("Assignment created:", assignment.name);
     return assignment.id;
-}
\ No newline at end of file
+}
+
+/**
+ * Create an unpublished assignment assigned only to the given students
+ * @param {string} courseId - Canvas course ID
+ * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @param {Object} options
+ * @param {string} options.name - Assignment name
+ * @param {string} [options.description] - Assignment description (HTML)
+ * @param {Array<string>} options.studentIds - Students the assignment is assigned to
+ * @returns {Promise<{assignmentId: string, overrideId: string|null}>}
+ */
+export async function createStudentAssignment(courseId, apiClient, { name, description = '', studentIds }) {
+    const assignment = await apiClient.post(
+        `/api/v1/courses/${courseId}/assignments`,
+        {
+            assignment: {
+                name,
+                description,
+                submission_types: ["none"],
+                published: false,
+                points_possible: 0,
+                omit_from_final_grade: true,
+                only_visible_to_overrides: true,
+                assignment_overrides: [{ title: name, student_ids: studentIds }]
+            }
+        },
+        {},
+        "createStudentAssignment"
+    );
+
+    // Canvas does not always echo the overrides back; look the new one up
+    let overrideId = assignment.overrides?.[0]?.id ?? null;
+    if (overrideId === null) {
+        const overrides = await apiClient.get(
+            `/api/v1/courses/${courseId}/assignments/${assignment.id}/overrides`,
+            {},
+            "createStudentAssignment:overrides"
+        );
+        overrideId = overrides[0]?.id ?? null;
+    }
+
+    logger.info(`Assignment created for ${studentIds.length} students:`, assignment.name);
+    return { assignmentId: String(assignment.id), overrideId: overrideId !== null ? String(overrideId) : null };
+}
+
+/**
+ * Replace the students of an assignment created by createStudentAssignment
+ * @param {string} courseId - Canvas course ID
+ * @param {string} assignmentId - Canvas assignment ID
+ * @param {string} overrideId - Canvas assignment override ID
+ * @param {Array<string>} studentIds - Students the assignment is assigned to
+ * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @returns {Promise<void>}
+ */
+export async function updateStudentAssignment(courseId, assignmentId, overrideId, studentIds, apiClient) {
+    await apiClient.put(
+        `/api/v1/courses/${courseId}/assignments/${assignmentId}/overrides/${overrideId}`,
+        { assignment_override: { student_ids: studentIds } },
+        {},
+        "updateStudentAssignment"
+    );
+
+    logger.debug(`Assignment ${assignmentId} reassigned to ${studentIds.length} students`);
+}
+
+/**
+ * Delete an assignment created by createStudentAssignment (its override goes with it)
+ * @param {string} courseId - Canvas course ID
+ * @param {string} assignmentId - Canvas assignment ID
+ * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @returns {Promise<void>}
+ */
+export async function deleteStudentAssignment(courseId, assignmentId, apiClient) {
+    await apiClient.delete(
+        `/api/v1/courses/${courseId}/assignments/${assignmentId}`,
+        {},
+        "deleteStudentAssignment"
+    );
+
+    logger.debug(`Assignment ${assignmentId} deleted`);
+}
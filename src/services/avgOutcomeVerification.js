@@ -2,6 +2,7 @@ import { getCourseId } from "../utils/canvas.js";
 import { CanvasApiClient } from "../utils/canvasApiClient.js";
 import { getElapsedTimeSinceStart, startElapsedTimer } from "../utils/uiHelpers.js";
 import { logger } from "../utils/logger.js";
+import { getRollupForUsers } from "./outcomeService.js";
 
 /**
  * Verify that updated scores match the backend outcome rollups.
@@ -44,12 +45,14 @@ export async function verifyUIScores(courseId, averages, outcomeId, box, apiClie
         box.soft(`Status ${state.toUpperCase()}. (Elapsed time: ${elapsed}s)`);
         startElapsedTimer(stateMachine, box);
 
-        // Fetch current outcome rollups from Canvas
-        const newRollupData = await apiClient.get(
-            `/api/v1/courses/${courseId}/outcome_rollups?outcome_ids[]=${outcomeId}&include[]=outcomes&include[]=users&per_page=100`,
-            {},
-            "verifyUIScores"
-        );
+        // Fetch current outcome rollups from Canvas (targeted runs: only the updated students)
+        const newRollupData = stateMachine?.getContext().targetUserIds
+            ? await getRollupForUsers(courseId, averages.map(a => a.userId), apiClient, { outcomeIds: [outcomeId] })
+            : await apiClient.get(
+                `/api/v1/courses/${courseId}/outcome_rollups?outcome_ids[]=${outcomeId}&include[]=outcomes&include[]=users&per_page=100`,
+                {},
+                "verifyUIScores"
+            );
         logger.debug('newRollupData: ', newRollupData);
 
         const mismatches = [];
@@ -0,0 +1,284 @@
+// src/services/courseConfigService.js
+/**
+ * Course Config Service
+ *
+ * Per-course settings layered over the district-wide window.CG_CONFIG. A
+ * teacher can override the keys the district allows (COURSE_OVERRIDABLE_KEYS)
+ * for their own course from the course settings page; everything else keeps
+ * the district value.
+ *
+ * Stored per course in MOREnet_CustomizedGradebook/course_settings.json (via
+ * courseFileStorage.js). The folder is unpublished, so only teachers can read
+ * it: student and observer pages always use the district values.
+ *
+ * Shape: {
+ *   version: 1,
+ *   overrides: { [key]: value },   // only keys the teacher chose to override
+ *   updated_at,
+ *   updated_by: { id, name }
+ * }
+ *
+ * Cache-first: customGradebookInit.js applies the session copy (sessionStorage)
+ * right away and refreshes it from the file in the background once it is
+ * older than 10 minutes, so page init never waits on the Files API. Actions
+ * that write grades wait for the refresh (whenCourseConfigLoaded). A failed
+ * read keeps the values already in effect and is not cached.
+ */
+
+import { logger } from "../utils/logger.js";
+import { COURSE_OVERRIDABLE_KEYS, applyCourseConfig } from "../config.js";
+import { readCourseJsonFile, writeCourseJsonFile } from "./courseFileStorage.js";
+
+export const COURSE_SETTINGS_FILE_NAME = 'course_settings.json';
+const COURSE_SETTINGS_VERSION = 1;
+
+const SESSION_KEY_PREFIX = 'cg_courseSettings_';
+const SESSION_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Value type of every key that can be overridden per course
+ * @type {Object<string, 'boolean'|'string_list'>}
+ */
+export const COURSE_SETTING_TYPES = Object.freeze({
+    ENABLE_OUTCOME_UPDATES:     'boolean',
+    ENABLE_GRADE_OVERRIDE:      'boolean',
+    EXCLUDED_OUTCOME_KEYWORDS:  'string_list',
+    GRADING_PERIOD_ASSIGNMENTS: 'boolean'
+});
+
+/**
+ * Label and help text for each course setting (course settings panel, loader generator)
+ */
+export const COURSE_SETTING_LABELS = Object.freeze({
+    ENABLE_OUTCOME_UPDATES: {
+        label: 'Write outcome scores',
+        help: 'Update Current Score writes the Current Score outcome result and assignment grade.'
+    },
+    ENABLE_GRADE_OVERRIDE: {
+        label: 'Write final grade override',
+        help: 'Update Current Score writes the course final grade override.'
+    },
+    EXCLUDED_OUTCOME_KEYWORDS: {
+        label: 'Excluded outcome keywords',
+        help: 'Outcomes whose titles contain any of these words are left out of the Current Score. One per line.'
+    },
+    GRADING_PERIOD_ASSIGNMENTS: {
+        label: 'Current Score assignment per grading period',
+        help: 'With a grading period selected, write its Current Score to a separate assignment.'
+    }
+});
+
+/**
+ * Keys teachers may override: the district allow-list, limited to keys this
+ * build knows how to layer
+ * @param {string[]} [allowedKeys]
+ * @returns {string[]}
+ */
+export function getOverridableKeys(allowedKeys = COURSE_OVERRIDABLE_KEYS) {
+    return (Array.isArray(allowedKeys) ? allowedKeys : []).filter(key => key in COURSE_SETTING_TYPES);
+}
+
+/**
+ * Normalize one override value, or return undefined when it has the wrong type
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function normalizeValue(key, value) {
+    switch (COURSE_SETTING_TYPES[key]) {
+        case 'boolean':
+            return typeof value === 'boolean' ? value : undefined;
+        case 'string_list':
+            if (!Array.isArray(value) || !value.every(v => typeof v === 'string')) return undefined;
+            return [...new Set(value.map(v => v.trim()).filter(Boolean))];
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Keep only allowed, well-typed overrides.
+ *
+ * @param {Object} overrides - { [key]: value } as read from the file or the panel
+ * @param {string[]} [allowedKeys] - District allow-list (defaults to COURSE_OVERRIDABLE_KEYS)
+ * @returns {{ overrides: Object, rejected: string[] }} Clean overrides, and the keys dropped
+ */
+export function sanitizeCourseOverrides(overrides, allowedKeys = COURSE_OVERRIDABLE_KEYS) {
+    const allowed = new Set(getOverridableKeys(allowedKeys));
+    const clean = {};
+    const rejected = [];
+
+    Object.entries(overrides ?? {}).forEach(([key, value]) => {
+        const normalized = allowed.has(key) ? normalizeValue(key, value) : undefined;
+        if (normalized === undefined) rejected.push(key);
+        else clean[key] = normalized;
+    });
+
+    return { overrides: clean, rejected };
+}
+
+/**
+ * Problems with a set of overrides that would leave the course unusable
+ *
+ * @param {Object} effective - Effective values of the overridable keys (district + overrides)
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateCourseConfig(effective) {
+    const errors = [];
+    if (effective.ENABLE_OUTCOME_UPDATES === false && effective.ENABLE_GRADE_OVERRIDE === false) {
+        errors.push('Update Current Score must write outcome scores, the final grade override, or both.');
+    }
+    return errors;
+}
+
+/**
+ * Read a course's settings file
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<{version: number, overrides: Object, updated_at: string|null, updated_by: Object|null}>}
+ *   Empty overrides when the course has no settings file
+ */
+export async function readCourseSettings(courseId, apiClient) {
+    const data = await readCourseJsonFile(courseId, COURSE_SETTINGS_FILE_NAME, apiClient);
+    return {
+        version: COURSE_SETTINGS_VERSION,
+        overrides: data?.overrides ?? {},
+        updated_at: data?.updated_at ?? null,
+        updated_by: data?.updated_by ?? null
+    };
+}
+
+/**
+ * Save a course's overrides, apply them to this page and refresh the session copy
+ *
+ * @param {string} courseId
+ * @param {Object} overrides - { [key]: value }; keys left out use the district value
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<Object>} The saved settings
+ * @throws {Error} When an override is not allowed or the file cannot be written
+ */
+export async function saveCourseSettings(courseId, overrides, apiClient) {
+    const { overrides: clean, rejected } = sanitizeCourseOverrides(overrides);
+    if (rejected.length > 0) {
+        throw new Error(`These settings cannot be changed for a course: ${rejected.join(', ')}`);
+    }
+
+    const settings = {
+        version: COURSE_SETTINGS_VERSION,
+        overrides: clean,
+        updated_at: new Date().toISOString(),
+        updated_by: {
+            id: window.ENV?.current_user_id ? String(window.ENV.current_user_id) : null,
+            name: window.ENV?.current_user?.display_name ?? null
+        }
+    };
+
+    await writeCourseJsonFile(courseId, COURSE_SETTINGS_FILE_NAME, settings, apiClient);
+    writeSessionOverrides(courseId, clean);
+    applyCourseConfig(clean);
+    logger.info(`[CourseConfig] Saved ${Object.keys(clean).length} override(s) for course ${courseId}`);
+    return settings;
+}
+
+/** Load of this page's course settings, awaited by whenCourseConfigLoaded */
+let _loading = Promise.resolve({});
+
+/**
+ * Sanitize and apply overrides, logging what was rejected and applied
+ * @private
+ */
+function applyOverrides(courseId, overrides) {
+    const { overrides: clean, rejected } = sanitizeCourseOverrides(overrides);
+    if (rejected.length > 0) {
+        logger.warn(`[CourseConfig] Ignoring course settings the district does not allow: ${rejected.join(', ')}`);
+    }
+
+    const applied = applyCourseConfig(clean);
+    if (Object.keys(applied).length > 0) {
+        logger.info(`[CourseConfig] Course ${courseId} overrides: ${Object.keys(applied).join(', ')}`);
+    }
+    return applied;
+}
+
+/**
+ * Read the settings file, cache it for the session and apply it. When the file
+ * cannot be read the values already in effect stay (session copy or district)
+ * and nothing is cached, so the next page load tries again.
+ * @private
+ */
+async function refreshCourseConfig(courseId, apiClient, current) {
+    try {
+        const { overrides } = await readCourseSettings(courseId, apiClient);
+        writeSessionOverrides(courseId, overrides);
+        return applyOverrides(courseId, overrides);
+    } catch (error) {
+        logger.warn('[CourseConfig] Could not load course settings, keeping the values in effect', error);
+        return current;
+    }
+}
+
+/**
+ * Load a course's overrides and layer them over the district config. Never
+ * throws: on failure the values already in effect stay.
+ *
+ * A session copy is applied before this returns its promise; the file is only
+ * read when there is no copy or it is older than the session TTL, and the
+ * promise settles once that read is applied.
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<Object>} The overrides in effect once loaded
+ */
+export function loadCourseConfig(courseId, apiClient) {
+    if (getOverridableKeys().length === 0) return Promise.resolve({});
+
+    const cached = readSessionOverrides(courseId);
+    const applied = cached ? applyOverrides(courseId, cached.overrides) : {};
+    _loading = cached?.fresh
+        ? Promise.resolve(applied)
+        : refreshCourseConfig(courseId, apiClient, applied);
+    return _loading;
+}
+
+/**
+ * Wait for the course settings load started by loadCourseConfig, if any
+ * @returns {Promise<Object>} The overrides in effect
+ */
+export function whenCourseConfigLoaded() {
+    return _loading;
+}
+
+/**
+ * Session copy of a course's overrides, or null when missing or saved by
+ * another user. `fresh` is false once the copy is older than the session TTL.
+ * @private
+ * @returns {{overrides: Object, fresh: boolean}|null}
+ */
+function readSessionOverrides(courseId) {
+    try {
+        const raw = sessionStorage.getItem(`${SESSION_KEY_PREFIX}${courseId}`);
+        if (!raw) return null;
+        const { overrides, userId, expiresAt } = JSON.parse(raw);
+        const currentUserId = window.ENV?.current_user_id ? String(window.ENV.current_user_id) : null;
+        if (userId !== currentUserId) return null;
+        return { overrides: overrides ?? {}, fresh: Date.now() <= expiresAt };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @private
+ */
+function writeSessionOverrides(courseId, overrides) {
+    try {
+        sessionStorage.setItem(`${SESSION_KEY_PREFIX}${courseId}`, JSON.stringify({
+            overrides,
+            userId: window.ENV?.current_user_id ? String(window.ENV.current_user_id) : null,
+            expiresAt: Date.now() + SESSION_TTL_MS
+        }));
+    } catch (error) {
+        logger.debug('[CourseConfig] Could not cache course settings in sessionStorage', error);
+    }
+}
@@ -0,0 +1,102 @@
+// src/services/courseConfigService.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// The district allow-list is empty by default; opt in to the usual keys
+vi.hoisted(() => {
+    window.CG_CONFIG = { COURSE_OVERRIDABLE_KEYS: ['ENABLE_OUTCOME_UPDATES', 'ENABLE_GRADE_OVERRIDE', 'EXCLUDED_OUTCOME_KEYWORDS'] };
+});
+
+vi.mock('./courseFileStorage.js', () => ({
+    readCourseJsonFile:  vi.fn(),
+    writeCourseJsonFile: vi.fn(() => Promise.resolve({ id: 1 }))
+}));
+
+import { sanitizeCourseOverrides, validateCourseConfig, loadCourseConfig, saveCourseSettings, whenCourseConfigLoaded } from './courseConfigService.js';
+import { readCourseJsonFile, writeCourseJsonFile } from './courseFileStorage.js';
+import * as config from '../config.js';
+
+describe('course config overrides', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        sessionStorage.clear();
+        window.ENV = { current_user_id: 42, current_user: { display_name: 'Pat Teacher' } };
+        config.applyCourseConfig({});
+    });
+    afterEach(() => vi.useRealTimers());
+
+    it('keeps only allowed, well-typed keys', () => {
+        const { overrides, rejected } = sanitizeCourseOverrides({
+            ENABLE_GRADE_OVERRIDE: true,
+            EXCLUDED_OUTCOME_KEYWORDS: [' Attendance ', '', 'Attendance', 'Behavior'],
+            ENABLE_OUTCOME_UPDATES: 'no',
+            GRADING_PERIOD_ASSIGNMENTS: true,       // supported, but not in the default allow-list
+            AVG_OUTCOME_NAME: 'Mine'                // never overridable
+        });
+
+        expect(overrides).toEqual({ ENABLE_GRADE_OVERRIDE: true, EXCLUDED_OUTCOME_KEYWORDS: ['Attendance', 'Behavior'] });
+        expect(rejected).toEqual(['ENABLE_OUTCOME_UPDATES', 'GRADING_PERIOD_ASSIGNMENTS', 'AVG_OUTCOME_NAME']);
+        expect(validateCourseConfig({ ENABLE_OUTCOME_UPDATES: false, ENABLE_GRADE_OVERRIDE: false })).toHaveLength(1);
+    });
+
+    it('layers the course file over the district config once per session', async () => {
+        readCourseJsonFile.mockResolvedValueOnce({
+            overrides: { ENABLE_OUTCOME_UPDATES: false, ENABLE_GRADE_OVERRIDE: true, AVG_OUTCOME_NAME: 'Mine' }
+        });
+
+        const applied = await loadCourseConfig('5', {});
+        expect(applied).toEqual({ ENABLE_OUTCOME_UPDATES: false, ENABLE_GRADE_OVERRIDE: true });
+        expect(config.ENABLE_OUTCOME_UPDATES).toBe(false);
+        expect(config.ENABLE_GRADE_OVERRIDE).toBe(true);
+        expect(config.AVG_OUTCOME_NAME).toBe('Current Score');
+
+        // Second page load in the same session reads the session copy
+        config.applyCourseConfig({});
+        expect(config.ENABLE_OUTCOME_UPDATES).toBe(true);
+        await loadCourseConfig('5', {});
+        expect(readCourseJsonFile).toHaveBeenCalledTimes(1);
+        expect(config.ENABLE_OUTCOME_UPDATES).toBe(false);
+    });
+
+    it('applies a stale session copy at once and refreshes it in the background', async () => {
+        readCourseJsonFile.mockResolvedValueOnce({ overrides: { ENABLE_GRADE_OVERRIDE: false } });
+        await loadCourseConfig('5', {});
+
+        vi.useFakeTimers();
+        vi.setSystemTime(Date.now() + 11 * 60 * 1000);
+        config.applyCourseConfig({});
+        readCourseJsonFile.mockResolvedValueOnce({ overrides: { ENABLE_GRADE_OVERRIDE: true } });
+
+        const loading = loadCourseConfig('5', {});
+        expect(config.ENABLE_GRADE_OVERRIDE).toBe(false);
+        expect(whenCourseConfigLoaded()).toBe(loading);
+        await loading;
+        expect(config.ENABLE_GRADE_OVERRIDE).toBe(true);
+        expect(readCourseJsonFile).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps the values in effect and caches nothing when the file cannot be read', async () => {
+        readCourseJsonFile.mockRejectedValueOnce(new Error('Could not read course_settings.json: 503'));
+        expect(await loadCourseConfig('5', {})).toEqual({});
+        expect(sessionStorage.getItem('cg_courseSettings_5')).toBeNull();
+
+        // A missing file is cached as "no overrides"
+        readCourseJsonFile.mockResolvedValueOnce(null);
+        await loadCourseConfig('5', {});
+        await loadCourseConfig('5', {});
+        expect(readCourseJsonFile).toHaveBeenCalledTimes(2);
+    });
+
+    it('saves and applies overrides, and refuses keys outside the allow-list', async () => {
+        await saveCourseSettings('5', { EXCLUDED_OUTCOME_KEYWORDS: ['Attendance'] }, {});
+
+        expect(writeCourseJsonFile).toHaveBeenCalledWith('5', 'course_settings.json', expect.objectContaining({
+            overrides: { EXCLUDED_OUTCOME_KEYWORDS: ['Attendance'] },
+            updated_by: { id: '42', name: 'Pat Teacher' }
+        }), {});
+        expect(config.EXCLUDED_OUTCOME_KEYWORDS).toEqual(['Attendance']);
+
+        await expect(saveCourseSettings('5', { GRADING_PERIOD_ASSIGNMENTS: true }, {}))
+            .rejects.toThrow('GRADING_PERIOD_ASSIGNMENTS');
+        expect(writeCourseJsonFile).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,230 @@
+// src/services/courseFileStorage.js
+/**
+ * Course File Storage
+ *
+ * JSON files in the course's MOREnet_CustomizedGradebook folder (Canvas Files
+ * API). Folders and files are locked (unpublished) but not hidden, so
+ * teachers can see them and students cannot.
+ *
+ * Used directly for gradebook-side records such as the update journal, and
+ * by masteryOutlookCacheService.js for its mastery_outlook_cache subfolder.
+ */
+
+import { logger } from "../utils/logger.js";
+
+export const PARENT_FOLDER_NAME = 'MOREnet_CustomizedGradebook';
+
+/** Per-course memoized parent folder ID */
+const _folderIdByCourse = new Map();
+
+/** Reset the memoized parent folder ID for a course (e.g. on write failure) */
+export function invalidateCourseFolder(courseId) {
+    _folderIdByCourse.delete(String(courseId));
+}
+
+/**
+ * Set a folder or file to locked (unpublished) but visible to teachers
+ * @private
+ */
+async function lockItem(apiClient, path, context) {
+    return apiClient.put(
+        path,
+        {
+            hidden: false,           // Teachers can see it
+            locked: true,            // UNPUBLISHED - students blocked
+            visibility_level: 'inherit'
+        },
+        {},
+        context
+    );
+}
+
+/**
+ * Lock a folder, ignoring failures (it may already be locked)
+ * @private
+ */
+async function lockFolder(apiClient, folderId) {
+    try {
+        await lockItem(apiClient, `/api/v1/folders/${folderId}`, 'courseFileStorage:lockFolder');
+    } catch (error) {
+        logger.warn(`[CourseFileStorage] Could not lock folder ${folderId}`, error);
+    }
+}
+
+/**
+ * Find a folder by name under a parent folder
+ * @private
+ */
+async function findChildFolder(courseId, apiClient, name, parentFolderId, context) {
+    const folders = await apiClient.getAllPages(`/api/v1/courses/${courseId}/folders`, {}, context);
+    return folders.find(f => f.name === name && f.parent_folder_id === parentFolderId && !f.deleted) ?? null;
+}
+
+/**
+ * Ensure a locked folder exists under a parent folder and return its ID.
+ * Handles the name conflict of a folder created since it was looked up.
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @param {string} name - Folder name
+ * @param {string|number} parentFolderId
+ * @returns {Promise<string|number>} Folder ID
+ */
+export async function ensureChildFolder(courseId, apiClient, name, parentFolderId) {
+    try {
+        const existing = await findChildFolder(courseId, apiClient, name, parentFolderId, 'courseFileStorage:listFolders');
+        if (existing) {
+            await lockFolder(apiClient, existing.id);
+            return existing.id;
+        }
+    } catch (error) {
+        logger.warn(`[CourseFileStorage] Could not list folders, will try to create ${name}`, error);
+    }
+
+    try {
+        const folder = await apiClient.post(
+            `/api/v1/courses/${courseId}/folders`,
+            { name, parent_folder_id: parentFolderId, hidden: false, locked: true },
+            {},
+            'courseFileStorage:createFolder'
+        );
+        logger.info(`[CourseFileStorage] Created ${name} folder (id: ${folder.id})`);
+        await lockFolder(apiClient, folder.id);
+        return folder.id;
+    } catch (error) {
+        if (error.message.includes('already exists') || error.message.includes('taken')) {
+            const existing = await findChildFolder(courseId, apiClient, name, parentFolderId, 'courseFileStorage:listFoldersRetry');
+            if (existing) {
+                await lockFolder(apiClient, existing.id);
+                return existing.id;
+            }
+        }
+        throw new Error(`Could not create ${name} folder: ${error.message}`);
+    }
+}
+
+/**
+ * Ensure the MOREnet_CustomizedGradebook folder exists and return its ID.
+ * Memoized per course.
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<string|number>} Folder ID
+ */
+export async function ensureCourseFolder(courseId, apiClient) {
+    const key = String(courseId);
+    if (_folderIdByCourse.has(key)) return _folderIdByCourse.get(key);
+
+    const root = await apiClient.get(`/api/v1/courses/${courseId}/folders/root`, {}, 'courseFileStorage:rootFolder');
+    const folderId = await ensureChildFolder(courseId, apiClient, PARENT_FOLDER_NAME, root.id);
+    _folderIdByCourse.set(key, folderId);
+    return folderId;
+}
+
+/**
+ * Upload a JSON file into a folder, replacing any file with the same name.
+ *
+ * 3-step process:
+ * 1. Request upload URL from Canvas
+ * 2. Upload file to that URL
+ * 3. Lock the uploaded file
+ *
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @param {string|number} folderId - Target folder
+ * @param {string} fileName
+ * @param {string} jsonContent - Serialized JSON
+ * @returns {Promise<Object>} Canvas file object
+ */
+export async function uploadJsonFile(courseId, apiClient, folderId, fileName, jsonContent) {
+    const blob = new Blob([jsonContent], { type: 'application/json' });
+
+    const uploadInstructions = await apiClient.post(
+        `/api/v1/courses/${courseId}/files`,
+        {
+            name: fileName,
+            size: blob.size,
+            content_type: 'application/json',
+            parent_folder_id: folderId,
+            on_duplicate: 'overwrite'
+        },
+        {},
+        'courseFileStorage:requestUpload'
+    );
+
+    const formData = new FormData();
+    Object.entries(uploadInstructions.upload_params).forEach(([key, value]) => {
+        formData.append(key, value);
+    });
+    formData.append('file', blob, fileName);
+
+    const uploadResponse = await fetch(uploadInstructions.upload_url, {
+        method: 'POST',
+        body: formData,
+        credentials: 'include'
+    });
+    if (!uploadResponse.ok) {
+        throw new Error(`Upload failed: ${uploadResponse.status} ${uploadResponse.statusText}`);
+    }
+
+    const uploadResult = await uploadResponse.json();
+    const file = await lockItem(apiClient, `/api/v1/files/${uploadResult.id}`, 'courseFileStorage:lockFile');
+
+    logger.debug(`[CourseFileStorage] Wrote ${fileName} (${blob.size} bytes, file id: ${uploadResult.id})`);
+    return file;
+}
+
+/**
+ * Write a JSON file into the course's MOREnet_CustomizedGradebook folder,
+ * replacing any existing file with the same name.
+ *
+ * @param {string} courseId
+ * @param {string} fileName
+ * @param {Object} data - JSON-serializable content
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<Object>} Canvas file object
+ */
+export async function writeCourseJsonFile(courseId, fileName, data, apiClient) {
+    try {
+        const folderId = await ensureCourseFolder(courseId, apiClient);
+        return await uploadJsonFile(courseId, apiClient, folderId, fileName, JSON.stringify(data, null, 2));
+    } catch (error) {
+        invalidateCourseFolder(courseId);
+        logger.error(`[CourseFileStorage] Failed to write ${fileName}`, error);
+        throw new Error(`Could not write ${fileName}: ${error.message}`);
+    }
+}
+
+/**
+ * Read a JSON file from the course's MOREnet_CustomizedGradebook folder.
+ *
+ * Returns null only when the file does not exist. A failed search or
+ * download and unparseable content throw, so callers never mistake an
+ * unreadable file for a missing one and overwrite it.
+ *
+ * @param {string} courseId
+ * @param {string} fileName
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<Object|null>}
+ * @throws {Error} When the file exists but cannot be read
+ */
+export async function readCourseJsonFile(courseId, fileName, apiClient) {
+    try {
+        const results = await apiClient.get(
+            `/api/v1/courses/${courseId}/files?search_term=${encodeURIComponent(fileName)}&content_types[]=application/json`,
+            {},
+            'courseFileStorage:searchFile'
+        );
+        const file = results.find(f => f.display_name === fileName);
+        if (!file) return null;
+
+        const response = await fetch(file.url, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Failed to download ${fileName}: ${response.status} ${response.statusText}`);
+        }
+        return JSON.parse(await response.text());
+    } catch (error) {
+        logger.error(`[CourseFileStorage] Failed to read ${fileName}`, error);
+        throw new Error(`Could not read ${fileName}: ${error.message}`);
+    }
+}
@@ -0,0 +1,40 @@
+// src/services/courseFileStorage.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readCourseJsonFile } from './courseFileStorage.js';
+
+function apiWithSearch(results) {
+    return { get: vi.fn(() => Promise.resolve(results)) };
+}
+
+describe('readCourseJsonFile', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+        delete globalThis.fetch;
+    });
+
+    it('returns null only when the file does not exist', async () => {
+        const api = apiWithSearch([{ display_name: 'other.json', url: 'https://x/other' }]);
+        await expect(readCourseJsonFile('1', 'journal.json', api)).resolves.toBeNull();
+    });
+
+    it('parses the downloaded file', async () => {
+        globalThis.fetch = vi.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve('{"runs":[]}') }));
+        const api = apiWithSearch([{ display_name: 'journal.json', url: 'https://x/journal' }]);
+        await expect(readCourseJsonFile('1', 'journal.json', api)).resolves.toEqual({ runs: [] });
+    });
+
+    it('throws when the search, download or parse fails', async () => {
+        const failingSearch = { get: vi.fn(() => Promise.reject(new Error('500 Internal Server Error'))) };
+        await expect(readCourseJsonFile('1', 'journal.json', failingSearch)).rejects.toThrow('Could not read journal.json');
+
+        const api = apiWithSearch([{ display_name: 'journal.json', url: 'https://x/journal' }]);
+        globalThis.fetch = vi.fn(() => Promise.resolve({ ok: false, status: 403, statusText: 'Forbidden' }));
+        await expect(readCourseJsonFile('1', 'journal.json', api)).rejects.toThrow('403');
+
+        globalThis.fetch = vi.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve('{not json') }));
+        await expect(readCourseJsonFile('1', 'journal.json', api)).rejects.toThrow('Could not read journal.json');
+    });
+});
@@ -0,0 +1,82 @@
+// src/services/courseGroupService.js
+/**
+ * Course Group Service Module
+ *
+ * Handles Canvas API operations for course groups:
+ * - Creating a group set (group category) in a course
+ * - Creating groups in a group set
+ * - Replacing a group's name and members
+ * - Deleting a group
+ */
+
+import { logger } from "../utils/logger.js";
+
+/**
+ * Create a group set in a course
+ * @param {string} courseId - Canvas course ID
+ * @param {string} name - Group set name
+ * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @returns {Promise<string>} Created group category ID
+ */
+export async function createGroupCategory(courseId, name, apiClient) {
+    const category = await apiClient.post(
+        `/api/v1/courses/${courseId}/group_categories`,
+        { name },
+        {},
+        "createGroupCategory"
+    );
+
+    logger.info(`[CourseGroupService] Group set created: ${category.name} (${category.id})`);
+    return String(category.id);
+}
+
+/**
+ * Create a group in a group set
+ * @param {string} categoryId - Canvas group category ID
+ * @param {string} name - Group name
+ * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @returns {Promise<string>} Created group ID
+ */
+export async function createGroup(categoryId, name, apiClient) {
+    const group = await apiClient.post(
+        `/api/v1/group_categories/${categoryId}/groups`,
+        { name, join_level: "invitation_only" },
+        {},
+        "createGroup"
+    );
+
+    logger.debug(`[CourseGroupService] Group created: ${group.name} (${group.id})`);
+    return String(group.id);
+}
+
+/**
+ * Set a group's name and replace its members
+ * @param {string} groupId - Canvas group ID
+ * @param {Object} options
+ * @param {string} options.name - Group name
+ * @param {Array<string>} options.userIds - Canvas user IDs; replaces the current members
+ * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @returns {Promise<void>}
+ */
+export async function updateGroup(groupId, { name, userIds }, apiClient) {
+    await apiClient.put(
+        `/api/v1/groups/${groupId}`,
+        { name, members: userIds },
+        {},
+        "updateGroup"
+    );
+
+    logger.debug(`[CourseGroupService] Group ${groupId} updated: ${userIds.length} members`);
+}
+
+/**
+ * Delete a group
+ * @param {string} groupId - Canvas group ID
+ * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @returns {Promise<void>}
+ */
+export async function deleteGroup(groupId, apiClient) {
+    await apiClient.delete(`/api/v1/groups/${groupId}`, {}, "deleteGroup");
+
+    logger.debug(`[CourseGroupService] Group ${groupId} deleted`);
+}
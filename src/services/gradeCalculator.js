@@ -7,18 +7,23 @@
  *
  * Key responsibilities:
  * - Filter out excluded outcomes (by ID and by keyword in title)
- * - Calculate average scores for each student
+ * - Apply the teacher's outcome weighting model (per outcome, keyword, group)
+ * - Aggregate scores for each student using the configured strategy
+ *   (see aggregationStrategies.js — mean by default)
  * - Compare with existing scores to determine which students need updates
  * - Support multiple grading modes (outcome only, override only, or both)
  * - Return only students whose averages have changed
  *
  * Shared helpers (also exported for ieGradeCalculator.js):
- * - buildOutcomeMap, getCurrentOutcomeScore, getRelevantScores, computeAverage
+ * - buildOutcomeMap, getCurrentOutcomeScore, getRelevantScores, computeAverage,
+ *   aggregateRelevantScores
  */
 
 import { EXCLUDED_OUTCOME_KEYWORDS, ENABLE_OUTCOME_UPDATES, ENABLE_GRADE_OVERRIDE, OVERRIDE_SCALE } from "../config.js";
 import { logger } from "../utils/logger.js";
 import { fetchOverrideGrades } from "./gradeOverrideVerification.js";
+import { resolveAggregationStrategy, getAggregationOptions } from "./aggregationStrategies.js";
+import { normalizeWeighting, hasWeighting, computeWeightedAverage } from "./outcomeWeighting.js";
 
 /**
  * Build a map of outcome IDs to titles
@@ -76,6 +81,28 @@ export function computeAverage(scores) {
     return Math.round(average * 100) / 100;
 }
 
+/**
+ * Aggregate a student's relevant scores into a Current Score.
+ *
+ * Mean-type strategies (supportsWeighting) use the teacher's weighting model
+ * when one is set; other strategies ignore it.
+ *
+ * @param {Array} relevantScores - Filtered score objects
+ * @param {Object} opts
+ * @param {Object} opts.strategy - Strategy from aggregationStrategies.js
+ * @param {Object} opts.strategyOptions - CURRENT_SCORE_AGGREGATION_OPTIONS
+ * @param {Object|null} opts.weighting - Normalized outcome weighting model
+ * @param {Object} opts.outcomeMap - Map of outcomeId -> title
+ * @returns {number|null} Aggregated score rounded to 2 decimal places
+ */
+export function aggregateRelevantScores(relevantScores, { strategy, strategyOptions, weighting, outcomeMap }) {
+    if (strategy.supportsWeighting && hasWeighting(weighting)) {
+        const baseWeights = strategy.id === 'weighted_mean' ? strategyOptions?.outcomeWeights : {};
+        return computeWeightedAverage(relevantScores, outcomeMap, weighting, baseWeights);
+    }
+    return strategy.aggregate(relevantScores, strategyOptions);
+}
+
 /**
  * Check if outcome score needs to be updated
  * @param {number|null} oldAverage - Current outcome score
@@ -158,7 +185,9 @@ function logStudentCalculation(userId, relevantScores, oldAverage, newAverage, o
  * This function orchestrates the calculation process:
  * 1. Excludes the "Current Score" outcome itself (to avoid circular calculation)
  * 2. Excludes outcomes matching EXCLUDED_OUTCOME_KEYWORDS (e.g., "attendance")
- * 3. Calculates the average of remaining outcome scores for each student
+ * 3. Aggregates remaining outcome scores for each student using the strategy
+ *    resolved for the course (CURRENT_SCORE_AGGREGATION[_BY_COURSE]) and the
+ *    course's outcome weighting model
  * 4. Checks if outcome scores need updates (if ENABLE_OUTCOME_UPDATES is true)
  * 5. Checks if override grades need updates (if ENABLE_GRADE_OVERRIDE is true)
  * 6. Returns only students who need updates (either outcome or override or both)
@@ -170,21 +199,41 @@ function logStudentCalculation(userId, relevantScores, oldAverage, newAverage, o
  * @param {string} outcomeId - The ID of the "Current Score" outcome to exclude
  * @param {string} courseId - Course ID (required for override grade checking)
  * @param {CanvasApiClient} apiClient - Canvas API client instance (required for override grade checking)
- * @returns {Promise<Array<{userId: string, average: number}>>} Array of students needing updates
+ * @param {Object} [options]
+ * @param {Object|null} [options.weighting] - Outcome weighting model (outcome_weighting of
+ *   the course's mastery outlook cache); null or omitted means no weighting
+ * @param {string|null} [options.gradingPeriodId] - Compare against this grading period's
+ *   override grades instead of the course override
+ * @returns {Promise<Array<{userId: string, average: number, oldAverage: number|null,
+ *   oldOverride: number|null, zeroCount: number}>>} Array of students needing updates.
+ *   oldAverage/oldOverride are the values currently in Canvas; zeroCount is the number
+ *   of relevant zero scores (Insufficient Evidence when > 0)
  */
-export async function calculateStudentAverages(data, outcomeId, courseId, apiClient) {
+export async function calculateStudentAverages(data, outcomeId, courseId, apiClient, options = {}) {
     logger.info("Calculating student averages...");
     logger.debug(`Grading mode: ENABLE_OUTCOME_UPDATES=${ENABLE_OUTCOME_UPDATES}, ENABLE_GRADE_OVERRIDE=${ENABLE_GRADE_OVERRIDE}`);
 
     const outcomeMap = buildOutcomeMap(data);
     const excludedOutcomeIds = new Set([String(outcomeId)]);
+    const strategy = resolveAggregationStrategy(courseId);
+    const strategyOptions = getAggregationOptions();
+    logger.debug(`Aggregation strategy: ${strategy.id}`);
+
+    const weighting = options.weighting ? normalizeWeighting(options.weighting) : null;
+    if (hasWeighting(weighting)) {
+        logger.debug(strategy.supportsWeighting
+            ? 'Applying outcome weighting model'
+            : `Outcome weighting ignored by "${strategy.id}" strategy`);
+    }
 
     // Fetch current override grades if enabled
     let overrideGrades = new Map();
     if (ENABLE_GRADE_OVERRIDE && courseId && apiClient) {
         try {
             logger.debug('Fetching current override grades for initial check...');
-            overrideGrades = await fetchOverrideGrades(courseId, apiClient);
+            overrideGrades = await fetchOverrideGrades(courseId, apiClient, {
+                gradingPeriodId: options.gradingPeriodId ?? null
+            });
             logger.debug(`Fetched ${overrideGrades.size} override grades for comparison`);
         } catch (error) {
             logger.warn('Failed to fetch override grades for initial check, continuing without override checking:', error);
@@ -208,7 +257,8 @@ export async function calculateStudentAverages(data, outcomeId, courseId, apiCli
 
         if (relevantScores.length === 0) continue;
 
-        const newAverage = computeAverage(relevantScores);
+        const newAverage = aggregateRelevantScores(relevantScores, { strategy, strategyOptions, weighting, outcomeMap });
+        if (newAverage === null) continue;
 
         // Determine if updates are needed based on enabled modes
         const outcomeUpdate = ENABLE_OUTCOME_UPDATES && needsOutcomeUpdate(oldAverage, newAverage);
@@ -229,7 +279,14 @@ export async function calculateStudentAverages(data, outcomeId, courseId, apiCli
 
         // Include student if either outcome or override needs update
         if (outcomeUpdate || overrideUpdate) {
-            results.push({ userId, average: newAverage });
+            const zeroCount = relevantScores.filter(s => s.score === 0).length;
+            results.push({
+                userId,
+                average: newAverage,
+                oldAverage,
+                oldOverride: overrideGrades.get(String(userId)) ?? null,
+                zeroCount
+            });
         }
     }
 
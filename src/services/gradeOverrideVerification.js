@@ -7,7 +7,7 @@
  *
  * Key responsibilities:
  * - Enable final grade override setting for the course
- * - Fetch current override grades from Canvas
+ * - Fetch current override grades (and override statuses) from Canvas
  * - Verify override scores match expected values
  */
 
@@ -46,14 +46,29 @@ export async function enableCourseOverride(courseId, apiClient) {
     }
 }
 
+/**
+ * Pick the course override, or one grading period's override, from a
+ * final_grade_overrides entry
+ * @param {Object} data - final_grade_overrides[userId]
+ * @param {string|null} gradingPeriodId
+ * @returns {Object|undefined} { percentage, custom_grade_status_id }
+ */
+function selectOverrideGrade(data, gradingPeriodId) {
+    return gradingPeriodId
+        ? data?.grading_period_grades?.[gradingPeriodId]
+        : data?.course_grade;
+}
+
 /**
  * Fetch current override grades from Canvas
  * Note: This endpoint returns an object (not an array), so pagination is handled automatically
  * @param {string} courseId - Course ID
  * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @param {Object} [options]
+ * @param {string|null} [options.gradingPeriodId] - Read this grading period's overrides instead of the course's
  * @returns {Promise<Map<string, number>>} Map of userId -> percentage (keys are userIds, NOT enrollmentIds)
  */
-export async function fetchOverrideGrades(courseId, apiClient) {
+export async function fetchOverrideGrades(courseId, apiClient, { gradingPeriodId = null } = {}) {
     if (!ENABLE_GRADE_OVERRIDE) {
         logger.debug('Grade override is disabled in config, skipping fetch');
         return new Map();
@@ -72,7 +87,7 @@ export async function fetchOverrideGrades(courseId, apiClient) {
 
         // IMPORTANT: The keys in final_grade_overrides are userIds, NOT enrollmentIds
         for (const [userId, data] of Object.entries(overrides)) {
-            const percentage = data?.course_grade?.percentage;
+            const percentage = selectOverrideGrade(data, gradingPeriodId)?.percentage;
             if (percentage !== null && percentage !== undefined) {
                 overrideMap.set(userId, percentage);
                 logger.trace(`Override grade for user ${userId}: ${percentage}%`);
@@ -87,6 +102,38 @@ export async function fetchOverrideGrades(courseId, apiClient) {
     }
 }
 
+/**
+ * Fetch current override scores and override custom statuses from Canvas.
+ * Used by the update journal to record what a run overwrites.
+ * @param {string} courseId - Course ID
+ * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @param {Object} [options]
+ * @param {string|null} [options.gradingPeriodId] - Read this grading period's overrides instead of the course's
+ * @returns {Promise<Map<string, {percentage: number|null, customGradeStatusId: string|null}>>}
+ *   Map of userId -> current override state (students with no override are absent)
+ */
+export async function fetchOverrideStates(courseId, apiClient, { gradingPeriodId = null } = {}) {
+    if (!ENABLE_GRADE_OVERRIDE) return new Map();
+
+    const response = await apiClient.getAllPages(
+        `/courses/${courseId}/gradebook/final_grade_overrides`,
+        {},
+        "fetchOverrideStates"
+    );
+
+    const stateMap = new Map();
+    for (const [userId, data] of Object.entries(response.final_grade_overrides || {})) {
+        const grade = selectOverrideGrade(data, gradingPeriodId);
+        stateMap.set(userId, {
+            percentage: grade?.percentage ?? null,
+            customGradeStatusId: grade?.custom_grade_status_id ?? null
+        });
+    }
+
+    logger.debug(`Fetched ${stateMap.size} override states from Canvas API`);
+    return stateMap;
+}
+
 /**
  * Verify that override scores match expected values
  * @param {string} courseId - Course ID
@@ -94,16 +141,19 @@ export async function fetchOverrideGrades(courseId, apiClient) {
  * @param {Map<string, string>} enrollmentMap - Map of userId -> enrollmentId (kept for debugging but not used for lookup)
  * @param {CanvasApiClient} apiClient - Canvas API client instance
  * @param {number} tolerance - Tolerance for percentage comparison (default: 0.01)
+ * @param {Object} [options]
+ * @param {string|null} [options.gradingPeriodId] - Verify this grading period's overrides instead of the course's
  * @returns {Promise<Array<{userId: string, enrollmentId: string, expected: number, actual: number}>>} Array of mismatches
  */
-export async function verifyOverrideScores(courseId, averages, enrollmentMap, apiClient, tolerance = 0.01) {
+export async function verifyOverrideScores(courseId, averages, enrollmentMap, apiClient, tolerance = 0.01,
+                                           { gradingPeriodId = null } = {}) {
     if (!ENABLE_GRADE_OVERRIDE) {
         logger.debug('Grade override is disabled in config, skipping verification');
         return [];
     }
 
     try {
-        const overrideGrades = await fetchOverrideGrades(courseId, apiClient);
+        const overrideGrades = await fetchOverrideGrades(courseId, apiClient, { gradingPeriodId });
         const mismatches = [];
         let matchCount = 0;
 
@@ -0,0 +1,211 @@
+// src/services/gradingPeriodService.js
+/**
+ * Grading Period Service
+ *
+ * Lets the Current Score and Power Law calculations use only the outcome
+ * results of one Canvas grading period, so Q1 scores do not leak into Q2:
+ * - Fetching the course's grading periods
+ * - The selected period per course (localStorage, shared by the gradebook
+ *   and Mastery Outlook; null = all periods)
+ * - Filtering outcome results by submitted_or_assessed_at
+ * - Rebuilding outcome rollup scores from a period's results
+ *
+ * Canvas rollups always span the whole course, so for a period the per-outcome
+ * scores are recomputed from outcome_results with each outcome's
+ * calculation_method (see computeOutcomeScore).
+ */
+
+import { logger } from "../utils/logger.js";
+
+const SELECTED_PERIOD_KEY = (courseId) => `cg_gradingPeriod_${courseId}`;
+
+/**
+ * Fetch the course's grading periods, oldest first
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<Array<{id: string, title: string, start_date: string, end_date: string, close_date: string|null}>>}
+ *   Empty when the course does not use grading periods or the request fails
+ */
+export async function fetchGradingPeriods(courseId, apiClient) {
+    try {
+        const response = await apiClient.get(
+            `/api/v1/courses/${courseId}/grading_periods`,
+            {},
+            "fetchGradingPeriods"
+        );
+        return (response?.grading_periods ?? [])
+            .map(p => ({ ...p, id: String(p.id) }))
+            .sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+    } catch (error) {
+        logger.warn('[GradingPeriods] Could not fetch grading periods, using all periods:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Selected grading period ID for a course
+ * @param {string} courseId
+ * @returns {string|null} null = all grading periods
+ */
+export function getSelectedGradingPeriodId(courseId) {
+    return localStorage.getItem(SELECTED_PERIOD_KEY(courseId)) || null;
+}
+
+/**
+ * Select a grading period for a course
+ * @param {string} courseId
+ * @param {string|null} periodId - null for all grading periods
+ */
+export function setSelectedGradingPeriodId(courseId, periodId) {
+    if (periodId) {
+        localStorage.setItem(SELECTED_PERIOD_KEY(courseId), String(periodId));
+    } else {
+        localStorage.removeItem(SELECTED_PERIOD_KEY(courseId));
+    }
+    logger.info(`[GradingPeriods] Course ${courseId}: ${periodId ? `period ${periodId}` : 'all periods'} selected`);
+}
+
+/**
+ * Resolve the selected grading period for a course
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<Object|null>} Grading period, or null for all periods
+ *   (also when the selected period no longer exists)
+ */
+export async function resolveSelectedGradingPeriod(courseId, apiClient) {
+    const selectedId = getSelectedGradingPeriodId(courseId);
+    if (!selectedId) return null;
+
+    const period = (await fetchGradingPeriods(courseId, apiClient)).find(p => p.id === selectedId);
+    if (!period) {
+        logger.warn(`[GradingPeriods] Selected period ${selectedId} not found in course ${courseId} — using all periods`);
+        return null;
+    }
+    return period;
+}
+
+/**
+ * Whether a timestamp falls inside a grading period (start and end inclusive)
+ * @param {string|null} timestamp - ISO timestamp
+ * @param {Object} period - { start_date, end_date }
+ * @returns {boolean}
+ */
+export function isInGradingPeriod(timestamp, period) {
+    if (!timestamp) return false;
+    const time = new Date(timestamp).getTime();
+    return time >= new Date(period.start_date).getTime() && time <= new Date(period.end_date).getTime();
+}
+
+/**
+ * Keep only the outcome results assessed inside a grading period
+ * @param {Array<Object>} results - Canvas outcome_results
+ * @param {Object|null} period - null keeps everything
+ * @returns {Array<Object>}
+ */
+export function filterResultsByGradingPeriod(results, period) {
+    if (!period) return results;
+    const filtered = results.filter(r => isInGradingPeriod(r.submitted_or_assessed_at, period));
+    logger.debug(`[GradingPeriods] ${filtered.length}/${results.length} outcome results in "${period.title}"`);
+    return filtered;
+}
+
+/**
+ * Combine an outcome's scores the way Canvas rolls them up
+ *
+ * n_mastery is approximated as the mean of the n highest scores once at least
+ * n scores exist. Unknown methods use the mean.
+ *
+ * @param {Array<number>} scores - Oldest first
+ * @param {Object} [outcome] - { calculation_method, calculation_int }
+ * @returns {number|null} Rounded to 2 decimals, or null without scores
+ */
+export function computeOutcomeScore(scores, outcome = {}) {
+    if (scores.length === 0) return null;
+
+    const weight = (outcome.calculation_int ?? 65) / 100;
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    let score;
+
+    switch (outcome.calculation_method) {
+        case 'latest':
+            score = scores[scores.length - 1];
+            break;
+        case 'highest':
+            score = Math.max(...scores);
+            break;
+        case 'decaying_average':
+            score = scores.length === 1
+                ? scores[0]
+                : scores[scores.length - 1] * weight + mean(scores.slice(0, -1)) * (1 - weight);
+            break;
+        case 'standard_decaying_average':
+            score = scores.slice(1).reduce((running, s) => running * (1 - weight) + s * weight, scores[0]);
+            break;
+        case 'n_mastery': {
+            const n = outcome.calculation_int ?? 1;
+            if (scores.length < n) return null;
+            score = mean([...scores].sort((a, b) => b - a).slice(0, n));
+            break;
+        }
+        default:
+            score = mean(scores);
+    }
+
+    return Math.round(score * 100) / 100;
+}
+
+/**
+ * Rebuild a getRollup() response from one grading period's outcome results.
+ * Scores of `keepOutcomeIds` (e.g. the Current Score outcome) are left as they
+ * are, or taken from `keptScoreByUserId` when given.
+ *
+ * @param {Object} rollupData - From getRollup()/getRollupForUsers()
+ * @param {Array<Object>} outcomeResults - Canvas outcome_results (any period)
+ * @param {Object} period - Grading period
+ * @param {Object} [options]
+ * @param {Array<string>} [options.keepOutcomeIds]
+ * @param {Map<string, number>} [options.keptScoreByUserId] - Score for the kept outcomes by user
+ * @returns {Object} Rollup data in the same shape
+ */
+export function buildGradingPeriodRollup(rollupData, outcomeResults, period,
+                                         { keepOutcomeIds = [], keptScoreByUserId = null } = {}) {
+    const keep = new Set(keepOutcomeIds.map(String));
+    const outcomeById = new Map((rollupData?.linked?.outcomes ?? []).map(o => [String(o.id), o]));
+
+    // userId → outcomeId → [{score, at}]
+    const byUser = new Map();
+    for (const result of filterResultsByGradingPeriod(outcomeResults, period)) {
+        const userId = String(result.links?.user ?? '');
+        const outcomeId = String(result.links?.learning_outcome ?? '');
+        if (!userId || !outcomeId || keep.has(outcomeId) || result.score == null) continue;
+
+        if (!byUser.has(userId)) byUser.set(userId, new Map());
+        const byOutcome = byUser.get(userId);
+        if (!byOutcome.has(outcomeId)) byOutcome.set(outcomeId, []);
+        byOutcome.get(outcomeId).push({ score: Number(result.score), at: result.submitted_or_assessed_at });
+    }
+
+    const rollups = (rollupData?.rollups ?? []).map(rollup => {
+        const userId = String(rollup.links?.user);
+        const keptScores = (rollup.scores ?? [])
+            .filter(s => keep.has(String(s.links?.outcome)))
+            .map(s => keptScoreByUserId
+                ? { ...s, score: keptScoreByUserId.get(userId) ?? null }
+                : s)
+            .filter(s => s.score != null);
+
+        const periodScores = [...(byUser.get(userId) ?? new Map())].map(([outcomeId, entries]) => {
+            entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+            return {
+                score: computeOutcomeScore(entries.map(e => e.score), outcomeById.get(outcomeId)),
+                submitted_at: entries[entries.length - 1].at,
+                count: entries.length,
+                links: { outcome: outcomeId }
+            };
+        }).filter(s => s.score != null);
+
+        return { ...rollup, scores: [...keptScores, ...periodScores] };
+    });
+
+    return { ...rollupData, rollups };
+}
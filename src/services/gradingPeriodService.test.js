@@ -0,0 +1,74 @@
+// src/services/gradingPeriodService.test.js
+import { describe, it, expect, vi } from 'vitest';
+import {
+    fetchGradingPeriods,
+    isInGradingPeriod,
+    computeOutcomeScore,
+    buildGradingPeriodRollup
+} from './gradingPeriodService.js';
+
+const Q2 = { id: '2', title: 'Q2', start_date: '2026-11-01T00:00:00Z', end_date: '2027-01-31T23:59:59Z' };
+
+const result = (user, outcome, score, at) => ({
+    score,
+    submitted_or_assessed_at: at,
+    links: { user, learning_outcome: outcome }
+});
+
+describe('gradingPeriodService', () => {
+    it('fetches periods oldest first and returns none on error', async () => {
+        const apiClient = {
+            get: vi.fn()
+                .mockResolvedValueOnce({ grading_periods: [Q2, { id: 1, title: 'Q1', start_date: '2026-08-15T00:00:00Z' }] })
+                .mockRejectedValueOnce(new Error('404'))
+        };
+
+        expect((await fetchGradingPeriods('101', apiClient)).map(p => p.id)).toEqual(['1', '2']);
+        expect(await fetchGradingPeriods('101', apiClient)).toEqual([]);
+    });
+
+    it('includes both ends of a period', () => {
+        expect(isInGradingPeriod('2026-11-01T00:00:00Z', Q2)).toBe(true);
+        expect(isInGradingPeriod('2027-01-31T23:59:59Z', Q2)).toBe(true);
+        expect(isInGradingPeriod('2026-10-31T23:59:59Z', Q2)).toBe(false);
+        expect(isInGradingPeriod(null, Q2)).toBe(false);
+    });
+
+    it('combines scores with each calculation method', () => {
+        const scores = [2, 4, 3];
+        expect(computeOutcomeScore(scores, { calculation_method: 'latest' })).toBe(3);
+        expect(computeOutcomeScore(scores, { calculation_method: 'highest' })).toBe(4);
+        expect(computeOutcomeScore(scores, { calculation_method: 'average' })).toBe(3);
+        expect(computeOutcomeScore(scores, { calculation_method: 'decaying_average', calculation_int: 65 })).toBe(3);
+        expect(computeOutcomeScore(scores, { calculation_method: 'standard_decaying_average', calculation_int: 50 })).toBe(3);
+        expect(computeOutcomeScore(scores, { calculation_method: 'n_mastery', calculation_int: 2 })).toBe(3.5);
+        expect(computeOutcomeScore(scores, { calculation_method: 'n_mastery', calculation_int: 5 })).toBeNull();
+        expect(computeOutcomeScore([])).toBeNull();
+    });
+
+    it('rebuilds rollup scores from the period results only', () => {
+        const rollupData = {
+            rollups: [{
+                links: { user: '1' },
+                scores: [{ score: 4, links: { outcome: '10' } }, { score: 2.5, links: { outcome: '99' } }]
+            }],
+            linked: { outcomes: [{ id: 10, calculation_method: 'average' }, { id: 99 }] }
+        };
+        const results = [
+            result('1', '10', 4, '2026-09-10T00:00:00Z'),   // Q1 — ignored
+            result('1', '10', 2, '2026-11-10T00:00:00Z'),
+            result('1', '10', 3, '2026-12-10T00:00:00Z')
+        ];
+
+        const data = buildGradingPeriodRollup(rollupData, results, Q2, {
+            keepOutcomeIds: ['99'],
+            keptScoreByUserId: new Map([['1', 3.1]])
+        });
+
+        expect(data.linked).toBe(rollupData.linked);
+        expect(data.rollups[0].scores).toEqual([
+            { score: 3.1, links: { outcome: '99' } },
+            { score: 2.5, submitted_at: '2026-12-10T00:00:00Z', count: 2, links: { outcome: '10' } }
+        ]);
+    });
+});
@@ -31,6 +31,8 @@ import { logger } from "../utils/logger.js";
  * @param {string} [params.enrollmentId]        - Enrollment ID. When provided, triggers setOverrideScore + setOverrideStatus.
  * @param {number|null} [params.overrideScore]  - Enrollment-level override score. Pass null to clear.
  * @param {string|null} [params.overrideStatusId] - Enrollment-level custom status ID. Pass null to clear. Omit to leave unchanged.
+ * @param {string|null} [params.overrideGradingPeriodId] - Apply the override score/status to this
+ *   grading period instead of the course grade
  * @param {string|null} [params.customStatusId] - Submission-level custom status ID. Pass null to clear. Omit to leave unchanged.
  * @param {string} [params.comment]             - Optional submission comment text
  * @param {CanvasApiClient} apiClient           - Canvas API client instance
@@ -47,6 +49,7 @@ export async function submitRubricAssessment(params, apiClient) {
         enrollmentId,
         overrideScore,
         overrideStatusId,
+        overrideGradingPeriodId = null,
         customStatusId,
         comment
     } = params;
@@ -69,6 +72,7 @@ export async function submitRubricAssessment(params, apiClient) {
     // undefined means "leave unchanged" — do not send that mutation at all.
     const includeOverride = enrollmentId !== undefined;
     const includeOverrideStatus = includeOverride && overrideStatusId !== undefined;
+    const includeGradingPeriod = includeOverride && overrideGradingPeriodId !== null;
     const includeStatus = customStatusId !== undefined;
     const includeComment = comment !== undefined && comment !== null && comment !== "";
 
@@ -80,6 +84,7 @@ export async function submitRubricAssessment(params, apiClient) {
       $rubricAssociationId: ID!
       $assessmentDetails: JSON!
       ${includeOverride ? "$enrollmentId: ID!, $overrideScore: Float," : ""}
+      ${includeGradingPeriod ? "$gradingPeriodId: ID," : ""}
       ${includeOverrideStatus ? "$overrideStatusId: ID," : ""}
       ${includeStatus ? "$customStatusId: ID," : ""}
       ${includeComment ? "$commentText: String!," : ""}
@@ -95,11 +100,11 @@ export async function submitRubricAssessment(params, apiClient) {
         __typename
       }
       ${includeOverride ? `
-      override: setOverrideScore(input: { enrollmentId: $enrollmentId, overrideScore: $overrideScore }) {
+      override: setOverrideScore(input: { enrollmentId: $enrollmentId, overrideScore: $overrideScore${includeGradingPeriod ? ", gradingPeriodId: $gradingPeriodId" : ""} }) {
         __typename
       }` : ""}
       ${includeOverrideStatus ? `
-      overrideStatus: setOverrideStatus(input: { enrollmentId: $enrollmentId, customGradeStatusId: $overrideStatusId }) {
+      overrideStatus: setOverrideStatus(input: { enrollmentId: $enrollmentId, customGradeStatusId: $overrideStatusId${includeGradingPeriod ? ", gradingPeriodId: $gradingPeriodId" : ""} }) {
         __typename
       }` : ""}
       ${includeStatus ? `
@@ -118,6 +123,7 @@ export async function submitRubricAssessment(params, apiClient) {
         assessmentDetails: JSON.stringify(assessmentDetails),
         ...(includeOverride && { enrollmentId: String(enrollmentId), overrideScore }),
         ...(includeOverrideStatus && { overrideStatusId }),
+        ...(includeGradingPeriod && { gradingPeriodId: String(overrideGradingPeriodId) }),
         ...(includeStatus && { customStatusId }),
         ...(includeComment && { commentText: comment })
     };
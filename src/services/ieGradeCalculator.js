@@ -19,8 +19,10 @@ import {
     buildOutcomeMap,
     getCurrentOutcomeScore,
     getRelevantScores,
-    computeAverage
+    aggregateRelevantScores
 } from "./gradeCalculator.js";
+import { resolveAggregationStrategy, getAggregationOptions } from "./aggregationStrategies.js";
+import { normalizeWeighting } from "./outcomeWeighting.js";
 
 /**
  * Calculate student averages with Insufficient Evidence (IE) detection.
@@ -34,6 +36,9 @@ import {
  * @param {Array}  data.rollups   - Array of student rollup objects
  * @param {Object} data.linked    - Linked data including outcomes
  * @param {string} outcomeId  - The ID of the "Current Score" outcome to exclude
+ * @param {string} [courseId] - Course ID used to resolve the aggregation strategy
+ * @param {Object|null} [weighting] - Outcome weighting model (outcome_weighting from the
+ *   mastery outlook cache); callers load it since this function is synchronous
  * @returns {Array<{
  *   userId: string,
  *   average: number,
@@ -42,11 +47,15 @@ import {
  *   action: "IE"|"SCORE"
  * }>}
  */
-export function calculateStudentAveragesWithIE(data, outcomeId) {
+export function calculateStudentAveragesWithIE(data, outcomeId, courseId, weighting = null) {
     logger.info("Calculating student averages with IE detection...");
 
     const outcomeMap = buildOutcomeMap(data);
     const excludedOutcomeIds = new Set([String(outcomeId)]);
+    const strategy = resolveAggregationStrategy(courseId);
+    const strategyOptions = getAggregationOptions();
+    const normalizedWeighting = weighting ? normalizeWeighting(weighting) : null;
+    logger.debug(`Aggregation strategy: ${strategy.id}`);
 
     const results = [];
     let totalStudents = 0;
@@ -69,7 +78,13 @@ export function calculateStudentAveragesWithIE(data, outcomeId) {
 
         if (relevantScores.length === 0) continue;
 
-        const newAverage = computeAverage(relevantScores);
+        const newAverage = aggregateRelevantScores(relevantScores, {
+            strategy,
+            strategyOptions,
+            weighting: normalizedWeighting,
+            outcomeMap
+        });
+        if (newAverage === null) continue;
 
         // IE detection: flag any student with at least one zero outcome score
         let hasZero = false;
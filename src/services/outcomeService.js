@@ -3,7 +3,7 @@
  * Outcome Service Module
  *
  * Handles all Canvas API operations related to outcomes:
- * - Fetching outcome rollup data
+ * - Fetching outcome rollup data (whole course or selected students)
  * - Finding outcomes by name
  * - Creating new outcomes
  */
@@ -33,6 +33,75 @@ export async function getRollup(courseId, apiClient) {
     return rollupData;
 }
 
+/** Students per outcome_rollups request in getRollupForUsers (keeps the URL short) */
+const ROLLUP_USER_CHUNK_SIZE = 50;
+
+/**
+ * Add items from `incoming` whose id is not in `target` yet
+ * @param {Array<{id}>} target
+ * @param {Array<{id}>} [incoming]
+ */
+function mergeLinkedById(target, incoming = []) {
+    const seen = new Set(target.map(item => String(item.id)));
+    for (const item of incoming) {
+        if (!seen.has(String(item.id))) {
+            seen.add(String(item.id));
+            target.push(item);
+        }
+    }
+}
+
+/**
+ * Fetch outcome rollup data for specific students only (targeted updates).
+ * Returns the same shape as getRollup().
+ *
+ * Canvas rejects the whole request (400) when any user_ids[] entry is not a
+ * student in the course (e.g. a teacher or a removed student), so on a 400
+ * this falls back to the full course rollup filtered in JS.
+ *
+ * @param {string} courseId - Canvas course ID
+ * @param {Array<string>} userIds - Students to fetch
+ * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @param {Object} [options]
+ * @param {Array<string>} [options.outcomeIds] - Only return scores for these outcomes
+ * @returns {Promise<object>} Rollup data including outcomes and users
+ */
+export async function getRollupForUsers(courseId, userIds, apiClient, { outcomeIds = [] } = {}) {
+    const ids = [...new Set(userIds.map(String))];
+    const outcomeQuery = outcomeIds.map(id => `&outcome_ids[]=${encodeURIComponent(id)}`).join('');
+    const merged = { rollups: [], linked: { outcomes: [], users: [] } };
+
+    try {
+        for (let i = 0; i < ids.length; i += ROLLUP_USER_CHUNK_SIZE) {
+            const userQuery = ids.slice(i, i + ROLLUP_USER_CHUNK_SIZE)
+                .map(id => `user_ids[]=${encodeURIComponent(id)}`)
+                .join('&');
+            const data = await apiClient.get(
+                `/api/v1/courses/${courseId}/outcome_rollups?${userQuery}${outcomeQuery}&include[]=outcomes&include[]=users&per_page=100`,
+                {},
+                "getRollupForUsers"
+            );
+            merged.rollups.push(...(data?.rollups ?? []));
+            mergeLinkedById(merged.linked.outcomes, data?.linked?.outcomes);
+            mergeLinkedById(merged.linked.users, data?.linked?.users);
+        }
+    } catch (error) {
+        if (error?.statusCode !== 400) throw error;
+
+        logger.warn('[getRollupForUsers] Canvas rejected user_ids[] (not all are students) — falling back to the full rollup');
+        const data = await apiClient.get(
+            `/api/v1/courses/${courseId}/outcome_rollups?include[]=outcomes&include[]=users${outcomeQuery}&per_page=100`,
+            {},
+            "getRollupForUsers:fallback"
+        );
+        const wanted = new Set(ids);
+        return { ...data, rollups: (data?.rollups ?? []).filter(r => wanted.has(String(r.links?.user))) };
+    }
+
+    logger.debug(`Targeted rollup: ${merged.rollups.length}/${ids.length} students returned`);
+    return merged;
+}
+
 /**
  * Find an outcome by name in rollup data
  * @param {object} data - Rollup data from getRollup()
@@ -0,0 +1,41 @@
+// src/services/outcomeService.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { getRollupForUsers } from './outcomeService.js';
+import { CanvasApiError } from '../utils/errorHandler.js';
+
+const rollup = (userId) => ({ links: { user: userId }, scores: [] });
+
+describe('getRollupForUsers', () => {
+    it('fetches students in chunks and merges linked outcomes and users', async () => {
+        const ids = Array.from({ length: 60 }, (_, i) => String(i + 1));
+        const apiClient = {
+            get: vi.fn(async (url) => {
+                const users = [...url.matchAll(/user_ids\[\]=(\d+)/g)].map(m => m[1]);
+                return {
+                    rollups: users.map(rollup),
+                    linked: { outcomes: [{ id: 9, title: 'Current Score' }], users: users.map(id => ({ id })) }
+                };
+            })
+        };
+
+        const data = await getRollupForUsers('101', ids, apiClient);
+
+        expect(apiClient.get).toHaveBeenCalledTimes(2);
+        expect(data.rollups).toHaveLength(60);
+        expect(data.linked.outcomes).toEqual([{ id: 9, title: 'Current Score' }]);
+        expect(data.linked.users).toHaveLength(60);
+    });
+
+    it('falls back to the full rollup filtered in JS when Canvas rejects user_ids[]', async () => {
+        const apiClient = {
+            get: vi.fn()
+                .mockRejectedValueOnce(new CanvasApiError('Bad request', 400, ''))
+                .mockResolvedValueOnce({ rollups: ['1', '2', '3'].map(rollup), linked: { outcomes: [] } })
+        };
+
+        const data = await getRollupForUsers('101', ['2', '99'], apiClient);
+
+        expect(apiClient.get.mock.calls[1][0]).not.toContain('user_ids[]');
+        expect(data.rollups.map(r => r.links.user)).toEqual(['2']);
+    });
+});
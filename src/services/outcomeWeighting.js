@@ -0,0 +1,189 @@
+// src/services/outcomeWeighting.js
+/**
+ * Outcome Weighting Model
+ *
+ * Teacher-defined weights for the Current Score, stored per course in the
+ * `outcome_weighting` section of the mastery outlook cache file
+ * (MOREnet_CustomizedGradebook/mastery_outlook_cache/).
+ *
+ * Shape: {
+ *   outcomes: { [outcomeId]: weight },      // per outcome ID
+ *   keywords: { [keyword]: weight },        // case-insensitive title substring
+ *   groups:   [{ name, weight, outcome_ids: [], keywords: [] }],
+ *   ungrouped: [outcomeId],                 // kept out of keyword-matched groups
+ *   updated_at
+ * }
+ *
+ * Weight resolution for a single outcome (first match wins):
+ * 1. outcomes[outcomeId]
+ * 2. first matching keywords entry
+ * 3. baseWeights[outcomeId] (CURRENT_SCORE_AGGREGATION_OPTIONS.outcomeWeights)
+ * 4. 1
+ *
+ * Groups are averaged first (weighted by member outcome weights), then the
+ * group averages and any ungrouped outcomes are combined by weighted mean
+ * using each group's weight. An outcome belongs to the first group whose
+ * outcome_ids or keywords match it; outcomes listed in `ungrouped` only
+ * join a group through its outcome_ids.
+ *
+ * Pure functions — no DOM, no Canvas API.
+ */
+
+/**
+ * Return an empty weighting model
+ * @returns {Object}
+ */
+export function createEmptyWeighting() {
+    return { outcomes: {}, keywords: {}, groups: [], ungrouped: [] };
+}
+
+/**
+ * Coerce a raw weight to a non-negative number, or undefined if invalid
+ * @param {*} raw
+ * @returns {number|undefined}
+ */
+function toWeight(raw) {
+    if (raw === null || raw === undefined || raw === '') return undefined;
+    const n = Number(raw);
+    return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+/**
+ * Normalize a weighting object read from the cache or built by the UI.
+ * Drops invalid weights, empty keywords and unnamed groups.
+ *
+ * @param {Object|null} raw
+ * @returns {Object} Normalized weighting model
+ */
+export function normalizeWeighting(raw) {
+    const result = createEmptyWeighting();
+    if (!raw || typeof raw !== 'object') return result;
+
+    Object.entries(raw.outcomes ?? {}).forEach(([id, w]) => {
+        const weight = toWeight(w);
+        if (weight !== undefined) result.outcomes[String(id)] = weight;
+    });
+
+    Object.entries(raw.keywords ?? {}).forEach(([keyword, w]) => {
+        const key = keyword.trim();
+        const weight = toWeight(w);
+        if (key && weight !== undefined) result.keywords[key] = weight;
+    });
+
+    (Array.isArray(raw.groups) ? raw.groups : []).forEach(group => {
+        const name = String(group?.name ?? '').trim();
+        if (!name) return;
+        result.groups.push({
+            name,
+            weight: toWeight(group.weight) ?? 1,
+            outcome_ids: (group.outcome_ids ?? []).map(String),
+            keywords: (group.keywords ?? []).map(k => String(k).trim()).filter(Boolean),
+        });
+    });
+
+    result.ungrouped = [...new Set((Array.isArray(raw.ungrouped) ? raw.ungrouped : []).map(String))];
+
+    if (raw.updated_at) result.updated_at = raw.updated_at;
+    return result;
+}
+
+/**
+ * True if the weighting model changes anything compared to a flat mean
+ * @param {Object|null} weighting
+ * @returns {boolean}
+ */
+export function hasWeighting(weighting) {
+    if (!weighting) return false;
+    return Object.keys(weighting.outcomes ?? {}).length > 0 ||
+        Object.keys(weighting.keywords ?? {}).length > 0 ||
+        (weighting.groups ?? []).length > 0;
+}
+
+/**
+ * Resolve the weight for a single outcome
+ * @param {string} outcomeId
+ * @param {string} title - Outcome title (for keyword matching)
+ * @param {Object|null} weighting - Normalized weighting model
+ * @param {Object} [baseWeights] - Fallback { [outcomeId]: weight }
+ * @returns {number}
+ */
+export function resolveOutcomeWeight(outcomeId, title, weighting, baseWeights = {}) {
+    const id = String(outcomeId);
+    const byId = toWeight(weighting?.outcomes?.[id]);
+    if (byId !== undefined) return byId;
+
+    const lowerTitle = (title || '').toLowerCase();
+    for (const [keyword, w] of Object.entries(weighting?.keywords ?? {})) {
+        if (lowerTitle.includes(keyword.toLowerCase())) return w;
+    }
+
+    return toWeight(baseWeights?.[id]) ?? 1;
+}
+
+/**
+ * Find the group an outcome belongs to (first match)
+ * @param {string} outcomeId
+ * @param {string} title
+ * @param {Object|null} weighting
+ * @returns {Object|null} Group entry or null if ungrouped
+ */
+export function findOutcomeGroup(outcomeId, title, weighting) {
+    const id = String(outcomeId);
+    const lowerTitle = (title || '').toLowerCase();
+    const keywordsApply = !(weighting?.ungrouped ?? []).includes(id);
+    return (weighting?.groups ?? []).find(g =>
+        g.outcome_ids.includes(id) ||
+        (keywordsApply && g.keywords.some(k => lowerTitle.includes(k.toLowerCase())))
+    ) ?? null;
+}
+
+/**
+ * Weighted mean of [{ value, weight }], or null if total weight is zero
+ */
+function weightedMean(items) {
+    let total = 0;
+    let weightSum = 0;
+    for (const { value, weight } of items) {
+        total += value * weight;
+        weightSum += weight;
+    }
+    return weightSum > 0 ? total / weightSum : null;
+}
+
+/**
+ * Compute the weighted, group-aware average of rollup scores
+ *
+ * @param {Array} scores - Rollup score objects ({ score, links: { outcome } })
+ * @param {Object} outcomeMap - Map of outcomeId -> title
+ * @param {Object|null} weighting - Normalized weighting model
+ * @param {Object} [baseWeights] - Fallback per-outcome weights
+ * @returns {number|null} Average rounded to 2 decimal places, or null if nothing carries weight
+ */
+export function computeWeightedAverage(scores, outcomeMap, weighting, baseWeights = {}) {
+    if (!scores?.length) return null;
+
+    const groupMembers = new Map();
+    const units = [];
+
+    for (const s of scores) {
+        const id = String(s.links?.outcome);
+        const title = outcomeMap?.[id] ?? '';
+        const weight = resolveOutcomeWeight(id, title, weighting, baseWeights);
+        const group = findOutcomeGroup(id, title, weighting);
+
+        if (group) {
+            if (!groupMembers.has(group)) groupMembers.set(group, []);
+            groupMembers.get(group).push({ value: s.score, weight });
+        } else {
+            units.push({ value: s.score, weight });
+        }
+    }
+
+    groupMembers.forEach((members, group) => {
+        const groupAvg = weightedMean(members);
+        if (groupAvg !== null) units.push({ value: groupAvg, weight: group.weight });
+    });
+
+    const average = weightedMean(units);
+    return average === null ? null : Math.round(average * 100) / 100;
+}
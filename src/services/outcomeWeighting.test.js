@@ -0,0 +1,117 @@
+// src/services/outcomeWeighting.test.js
+import { describe, it, expect } from 'vitest';
+import {
+    createEmptyWeighting,
+    normalizeWeighting,
+    hasWeighting,
+    resolveOutcomeWeight,
+    findOutcomeGroup,
+    computeWeightedAverage,
+} from './outcomeWeighting.js';
+
+const score = (outcome, value) => ({ score: value, links: { outcome: String(outcome) } });
+
+const outcomeMap = {
+    '1': 'RL.1 Key Ideas',
+    '2': 'RL.2 Theme',
+    '3': 'W.1 Argumentative Writing',
+    '4': 'W.2 Informative Writing',
+};
+
+describe('normalizeWeighting', () => {
+    it('returns an empty model for null or non-object input', () => {
+        expect(normalizeWeighting(null)).toEqual(createEmptyWeighting());
+        expect(normalizeWeighting('x')).toEqual(createEmptyWeighting());
+    });
+    it('drops invalid weights, blank keywords and unnamed groups', () => {
+        const result = normalizeWeighting({
+            outcomes: { 1: 2, 2: -1, 3: 'abc', 4: '' },
+            keywords: { ' writing ': 2, '': 3 },
+            groups: [{ name: '', weight: 2 }, { name: 'Reading', outcome_ids: [1, 2] }],
+        });
+        expect(result.outcomes).toEqual({ '1': 2 });
+        expect(result.keywords).toEqual({ writing: 2 });
+        expect(result.groups).toEqual([{ name: 'Reading', weight: 1, outcome_ids: ['1', '2'], keywords: [] }]);
+    });
+});
+
+describe('hasWeighting', () => {
+    it('is false for empty or missing models', () => {
+        expect(hasWeighting(null)).toBe(false);
+        expect(hasWeighting(createEmptyWeighting())).toBe(false);
+    });
+    it('is true once any weight or group is set', () => {
+        expect(hasWeighting({ ...createEmptyWeighting(), outcomes: { 1: 2 } })).toBe(true);
+        expect(hasWeighting({ ...createEmptyWeighting(), groups: [{ name: 'A' }] })).toBe(true);
+    });
+});
+
+describe('resolveOutcomeWeight', () => {
+    const weighting = normalizeWeighting({ outcomes: { 3: 3 }, keywords: { writing: 2 } });
+    it('prefers outcome ID over keyword', () => {
+        expect(resolveOutcomeWeight('3', outcomeMap['3'], weighting)).toBe(3);
+    });
+    it('matches keywords case-insensitively', () => {
+        expect(resolveOutcomeWeight('4', outcomeMap['4'], weighting)).toBe(2);
+    });
+    it('falls back to base weights, then 1', () => {
+        expect(resolveOutcomeWeight('1', outcomeMap['1'], weighting, { 1: 0.5 })).toBe(0.5);
+        expect(resolveOutcomeWeight('2', outcomeMap['2'], weighting)).toBe(1);
+    });
+});
+
+describe('findOutcomeGroup', () => {
+    const weighting = normalizeWeighting({
+        groups: [
+            { name: 'Reading', keywords: ['RL.'] },
+            { name: 'Writing', outcome_ids: ['3', '4'] },
+        ],
+    });
+    it('matches by outcome ID or title keyword', () => {
+        expect(findOutcomeGroup('1', outcomeMap['1'], weighting).name).toBe('Reading');
+        expect(findOutcomeGroup('3', outcomeMap['3'], weighting).name).toBe('Writing');
+    });
+    it('returns null for ungrouped outcomes', () => {
+        expect(findOutcomeGroup('9', 'Other', weighting)).toBeNull();
+    });
+    it('keeps outcomes listed as ungrouped out of keyword groups only', () => {
+        const ungrouped = normalizeWeighting({ ...weighting, ungrouped: [1, '3'] });
+        expect(ungrouped.ungrouped).toEqual(['1', '3']);
+        expect(findOutcomeGroup('1', outcomeMap['1'], ungrouped)).toBeNull();
+        expect(findOutcomeGroup('2', outcomeMap['2'], ungrouped).name).toBe('Reading');
+        expect(findOutcomeGroup('3', outcomeMap['3'], ungrouped).name).toBe('Writing');
+    });
+});
+
+describe('computeWeightedAverage', () => {
+    const scores = [score(1, 4), score(2, 2), score(3, 3), score(4, 1)];
+
+    it('equals a flat mean without weighting', () => {
+        expect(computeWeightedAverage(scores, outcomeMap, createEmptyWeighting())).toBe(2.5);
+    });
+    it('counts a weighted outcome more heavily', () => {
+        const weighting = normalizeWeighting({ outcomes: { 3: 2 } });
+        // (4 + 2 + 3*2 + 1) / 5
+        expect(computeWeightedAverage(scores, outcomeMap, weighting)).toBe(2.6);
+    });
+    it('averages groups first, then combines by group weight', () => {
+        const weighting = normalizeWeighting({
+            groups: [
+                { name: 'Reading', keywords: ['RL.'], weight: 1 },
+                { name: 'Writing', keywords: ['W.'], weight: 3 },
+            ],
+        });
+        // Reading avg 3, Writing avg 2 → (3*1 + 2*3) / 4
+        expect(computeWeightedAverage(scores, outcomeMap, weighting)).toBe(2.25);
+    });
+    it('combines groups with ungrouped outcomes', () => {
+        const weighting = normalizeWeighting({ groups: [{ name: 'Writing', outcome_ids: ['3', '4'] }] });
+        // units: 4, 2, Writing avg 2 → 8 / 3
+        expect(computeWeightedAverage(scores, outcomeMap, weighting)).toBe(2.67);
+    });
+    it('returns null when nothing carries weight', () => {
+        const weighting = normalizeWeighting({ outcomes: { 1: 0, 2: 0, 3: 0, 4: 0 } });
+        expect(computeWeightedAverage(scores, outcomeMap, weighting)).toBeNull();
+        expect(computeWeightedAverage([], outcomeMap, weighting)).toBeNull();
+    });
+});
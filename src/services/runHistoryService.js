@@ -0,0 +1,118 @@
+// src/services/runHistoryService.js
+/**
+ * Run History Service
+ *
+ * Auditable log of every Update Current Score execution, stored per course
+ * in MOREnet_CustomizedGradebook/update_history.json (via courseFileStorage.js).
+ *
+ * Shape: {
+ *   version: 1,
+ *   entries: [{                    // newest first, at most MAX_HISTORY_ENTRIES
+ *     run_id, completed_at, status,  // 'complete' | 'no_changes' | 'cancelled' | 'error' | 'reverted'
+ *     trigger,                       // 'manual' | 'automatic' (autoRecalcService.js)
+ *     grading_period: { id, title } | null,   // null = all grading periods
+ *     section: { id, name } | null,           // null = all sections
+ *     teacher: { id, name },
+ *     config: { ENABLE_OUTCOME_UPDATES, ENABLE_GRADE_OVERRIDE, ENABLE_GRADE_CUSTOM_STATUS,
+ *               DEFAULT_CUSTOM_STATUS_ID, aggregation },
+ *     students_selected, students_changed, duration_seconds,
+ *     override_mismatch_count, error_message,
+ *     failed_updates: [{ user_id, average, error }],   // same data as downloadErrorSummary
+ *     retry_counts: [{ user_id, attempts }]
+ *   }]
+ * }
+ */
+
+import { logger } from "../utils/logger.js";
+import {
+    ENABLE_OUTCOME_UPDATES,
+    ENABLE_GRADE_OVERRIDE,
+    ENABLE_GRADE_CUSTOM_STATUS,
+    DEFAULT_CUSTOM_STATUS_ID
+} from "../config.js";
+import { resolveAggregationStrategyId } from "./aggregationStrategies.js";
+import { readCourseJsonFile, writeCourseJsonFile } from "./courseFileStorage.js";
+
+export const HISTORY_FILE_NAME = 'update_history.json';
+const HISTORY_VERSION = 1;
+const MAX_HISTORY_ENTRIES = 200;
+
+/**
+ * Build a history entry from the update flow context
+ *
+ * @param {Object} context - UpdateFlowStateMachine context at the end of the run
+ * @param {Object} outcome
+ * @param {'complete'|'no_changes'|'cancelled'|'error'|'reverted'} outcome.status
+ * @param {Error} [outcome.error]
+ * @param {number} [outcome.durationSeconds]
+ * @returns {Object} History entry
+ */
+export function buildRunHistoryEntry(context, { status, error = null, durationSeconds = 0 }) {
+    const failedUpdates = (context.updateErrors ?? []).map(e => ({
+        user_id: String(e.userId),
+        average: e.average ?? null,
+        error: e.error ?? ''
+    }));
+    const selected = context.numberOfUpdates ?? 0;
+    const changed = status === 'complete' || status === 'reverted' ? Math.max(selected - failedUpdates.length, 0) : 0;
+
+    return {
+        run_id: context.journalRunId ?? `run_${Date.now()}`,
+        completed_at: new Date().toISOString(),
+        status,
+        trigger: context.automatic ? 'automatic' : 'manual',
+        grading_period: context.gradingPeriod
+            ? { id: String(context.gradingPeriod.id), title: context.gradingPeriod.title }
+            : null,
+        section: context.section
+            ? { id: String(context.section.id), name: context.section.name }
+            : null,
+        teacher: {
+            id: window.ENV?.current_user_id ? String(window.ENV.current_user_id) : null,
+            name: window.ENV?.current_user?.display_name ?? null
+        },
+        config: {
+            ENABLE_OUTCOME_UPDATES,
+            ENABLE_GRADE_OVERRIDE,
+            ENABLE_GRADE_CUSTOM_STATUS,
+            DEFAULT_CUSTOM_STATUS_ID,
+            aggregation: resolveAggregationStrategyId(context.courseId)
+        },
+        students_selected: selected,
+        students_changed: changed,
+        duration_seconds: durationSeconds,
+        override_mismatch_count: context.overrideMismatchCount ?? 0,
+        error_message: error?.message ?? null,
+        failed_updates: failedUpdates,
+        retry_counts: (context.retryCounts ?? []).map(r => ({ user_id: String(r.userId), attempts: r.attempts }))
+    };
+}
+
+/**
+ * Read the course's run history
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<{version: number, entries: Array}>} History (empty if none exists)
+ * @throws {Error} When the history exists but cannot be read, so it is never overwritten
+ */
+export async function readRunHistory(courseId, apiClient) {
+    const history = await readCourseJsonFile(courseId, HISTORY_FILE_NAME, apiClient);
+    if (history === null) return { version: HISTORY_VERSION, entries: [] };
+    if (!Array.isArray(history?.entries)) throw new Error(`${HISTORY_FILE_NAME} has no entries list`);
+    return history;
+}
+
+/**
+ * Prepend an entry to the course's run history.
+ * Nothing is written when the existing history cannot be read.
+ * @param {string} courseId
+ * @param {Object} entry - From buildRunHistoryEntry
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<void>}
+ */
+export async function appendRunHistory(courseId, entry, apiClient) {
+    const history = await readRunHistory(courseId, apiClient);
+    history.entries = [entry, ...history.entries].slice(0, MAX_HISTORY_ENTRIES);
+    await writeCourseJsonFile(courseId, HISTORY_FILE_NAME, history, apiClient);
+    logger.info(`[RunHistory] Recorded ${entry.status} run ${entry.run_id}`);
+}
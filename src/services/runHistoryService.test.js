@@ -0,0 +1,84 @@
+// src/services/runHistoryService.test.js
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('./courseFileStorage.js', () => ({
+    readCourseJsonFile:  vi.fn(),
+    writeCourseJsonFile: vi.fn(() => Promise.resolve({ id: 1 }))
+}));
+
+import { buildRunHistoryEntry, appendRunHistory } from './runHistoryService.js';
+import { readCourseJsonFile, writeCourseJsonFile } from './courseFileStorage.js';
+
+describe('buildRunHistoryEntry', () => {
+    beforeEach(() => {
+        window.ENV = { current_user_id: 42, current_user: { display_name: 'Pat Teacher' } };
+    });
+
+    it('records teacher, config flags and counts for a completed run', () => {
+        const entry = buildRunHistoryEntry(
+            {
+                courseId: '1',
+                journalRunId: 'run_1',
+                numberOfUpdates: 10,
+                updateErrors: [{ userId: 7, average: 3, error: 'timeout' }],
+                retryCounts: [{ userId: 8, attempts: 2 }],
+                overrideMismatchCount: 1,
+            },
+            { status: 'complete', durationSeconds: 12 }
+        );
+
+        expect(entry).toMatchObject({
+            run_id: 'run_1',
+            status: 'complete',
+            trigger: 'manual',
+            teacher: { id: '42', name: 'Pat Teacher' },
+            students_selected: 10,
+            students_changed: 9,
+            duration_seconds: 12,
+            override_mismatch_count: 1,
+            error_message: null,
+            failed_updates: [{ user_id: '7', average: 3, error: 'timeout' }],
+            retry_counts: [{ user_id: '8', attempts: 2 }],
+        });
+        expect(entry.config).toHaveProperty('ENABLE_OUTCOME_UPDATES');
+        expect(entry.config).toHaveProperty('ENABLE_GRADE_OVERRIDE');
+        expect(entry.config).toHaveProperty('ENABLE_GRADE_CUSTOM_STATUS');
+        expect(entry.config.aggregation).toBe('mean');
+    });
+
+    it('counts no students changed for cancelled or failed runs', () => {
+        const entry = buildRunHistoryEntry(
+            { courseId: '1', numberOfUpdates: 5, automatic: true },
+            { status: 'error', error: new Error('boom') }
+        );
+        expect(entry.students_changed).toBe(0);
+        expect(entry.trigger).toBe('automatic');
+        expect(entry.error_message).toBe('boom');
+        expect(entry.run_id).toMatch(/^run_/);
+    });
+});
+
+describe('appendRunHistory', () => {
+    const entry = { run_id: 'run_2', status: 'complete' };
+
+    beforeEach(() => vi.clearAllMocks());
+
+    it('starts a new history only when none exists', async () => {
+        readCourseJsonFile.mockResolvedValueOnce(null);
+        await appendRunHistory('1', entry, {});
+        expect(writeCourseJsonFile.mock.calls[0][2].entries).toEqual([entry]);
+
+        readCourseJsonFile.mockResolvedValueOnce({ version: 1, entries: [{ run_id: 'run_1' }] });
+        await appendRunHistory('1', entry, {});
+        expect(writeCourseJsonFile.mock.calls[1][2].entries.map(e => e.run_id)).toEqual(['run_2', 'run_1']);
+    });
+
+    it('does not overwrite a history it could not read', async () => {
+        readCourseJsonFile.mockRejectedValueOnce(new Error('Could not read update_history.json: 403 Forbidden'));
+        await expect(appendRunHistory('1', entry, {})).rejects.toThrow('403');
+
+        readCourseJsonFile.mockResolvedValueOnce({ version: 1 });
+        await expect(appendRunHistory('1', entry, {})).rejects.toThrow('no entries list');
+        expect(writeCourseJsonFile).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,76 @@
+// src/services/sectionScopeService.js
+/**
+ * Section Scope Service
+ *
+ * Lets co-teachers of a multi-section course work on their own section only:
+ * - The selected section per course (localStorage, shared by the gradebook
+ *   and Mastery Outlook; null = all sections)
+ * - Resolving the selection and the section's student IDs
+ *
+ * Mastery Outlook scopes its view with scopeCacheToSection()
+ * (masteryOutlookDataService.js); Update Current Score turns the section into
+ * a targeted run over its students.
+ */
+
+import { logger } from "../utils/logger.js";
+import { fetchCourseSections, fetchCourseStudents } from "./enrollmentService.js";
+
+const SELECTED_SECTION_KEY = (courseId) => `cg_section_${courseId}`;
+
+/**
+ * Selected section ID for a course
+ * @param {string} courseId
+ * @returns {string|null} null = all sections
+ */
+export function getSelectedSectionId(courseId) {
+    return localStorage.getItem(SELECTED_SECTION_KEY(courseId)) || null;
+}
+
+/**
+ * Select a section for a course
+ * @param {string} courseId
+ * @param {string|null} sectionId - null for all sections
+ */
+export function setSelectedSectionId(courseId, sectionId) {
+    if (sectionId) {
+        localStorage.setItem(SELECTED_SECTION_KEY(courseId), String(sectionId));
+    } else {
+        localStorage.removeItem(SELECTED_SECTION_KEY(courseId));
+    }
+    logger.info(`[SectionScope] Course ${courseId}: ${sectionId ? `section ${sectionId}` : 'all sections'} selected`);
+}
+
+/**
+ * Resolve the selected section for a course
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<{id: string, name: string}|null>} Section, or null for all
+ *   sections (also when the selected section no longer exists)
+ */
+export async function resolveSelectedSection(courseId, apiClient) {
+    const selectedId = getSelectedSectionId(courseId);
+    if (!selectedId) return null;
+
+    const section = (await fetchCourseSections(courseId, apiClient)).find(s => s.id === selectedId);
+    if (!section) {
+        logger.warn(`[SectionScope] Selected section ${selectedId} not found in course ${courseId} — using all sections`);
+        return null;
+    }
+    return section;
+}
+
+/**
+ * IDs of the active students enrolled in a section
+ * @param {string} courseId
+ * @param {string} sectionId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<Array<string>>}
+ */
+export async function fetchSectionStudentIds(courseId, sectionId, apiClient) {
+    const students = await fetchCourseStudents(courseId, apiClient);
+    const ids = [...new Set(
+        students.filter(s => s.sectionId === String(sectionId)).map(s => s.userId)
+    )];
+    logger.debug(`[SectionScope] Section ${sectionId}: ${ids.length} student(s)`);
+    return ids;
+}
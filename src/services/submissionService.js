@@ -14,12 +14,18 @@ import { logger } from "../utils/logger.js";
  * @param {string} courseId - Course ID
  * @param {string} assignmentId - Assignment ID
  * @param {CanvasApiClient} apiClient - Canvas API client instance
- * @returns {Promise<{submissionIdByUserId: Map<string, string>, rubricAssociationId: string|null}>}
+ * @returns {Promise<{
+ *   submissionIdByUserId: Map<string, string>,
+ *   submissionStateByUserId: Map<string, {rubricAssessment: Object|null, customGradeStatusId: string|null}>,
+ *   rubricAssociationId: string|null
+ * }>} submissionStateByUserId holds the current rubric assessment and custom status
+ *   (recorded in the update journal so a run can be reverted)
  */
 export async function fetchAllSubmissions(courseId, assignmentId, apiClient) {
     logger.debug(`Fetching submissions for assignment ${assignmentId}...`);
 
     const submissionIdByUserId = new Map();
+    const submissionStateByUserId = new Map();
     let rubricAssociationId = null;
 
     // Check localStorage cache for rubric association ID
@@ -35,9 +41,7 @@ export async function fetchAllSubmissions(courseId, assignmentId, apiClient) {
     const allSubmissions = await apiClient.getAllPages(url, {}, "fetchAllSubmissions");
 
     for (const submission of allSubmissions) {
-        if (submission.user_id && submission.id) {
-            submissionIdByUserId.set(String(submission.user_id), String(submission.id));
-        }
+        recordSubmission(submission, submissionIdByUserId, submissionStateByUserId);
 
         // Extract rubric association ID from first submission with rubric data
         if (!rubricAssociationId && submission.rubric_assessment) {
@@ -56,7 +60,65 @@ export async function fetchAllSubmissions(courseId, assignmentId, apiClient) {
         // This will be handled by the caller if needed
     }
 
-    return { submissionIdByUserId, rubricAssociationId };
+    return { submissionIdByUserId, submissionStateByUserId, rubricAssociationId };
+}
+
+/**
+ * Record a submission's ID and current rubric/status state by user
+ * @param {Object} submission - Canvas submission
+ * @param {Map<string, string>} submissionIdByUserId
+ * @param {Map<string, Object>} submissionStateByUserId
+ */
+function recordSubmission(submission, submissionIdByUserId, submissionStateByUserId) {
+    if (!submission.user_id || !submission.id) return;
+    submissionIdByUserId.set(String(submission.user_id), String(submission.id));
+    submissionStateByUserId.set(String(submission.user_id), {
+        rubricAssessment: submission.rubric_assessment ?? null,
+        customGradeStatusId: submission.custom_grade_status_id ?? null
+    });
+}
+
+/** Students per request in fetchSubmissionsForUsers (keeps the URL short) */
+const SUBMISSION_USER_CHUNK_SIZE = 50;
+
+/**
+ * Targeted version of fetchAllSubmissions: only the given students' submissions
+ * for the assignment. Same return shape.
+ *
+ * @param {string} courseId - Course ID
+ * @param {string} assignmentId - Assignment ID
+ * @param {Array<string>} userIds - Students to fetch
+ * @param {CanvasApiClient} apiClient - Canvas API client instance
+ * @returns {Promise<{
+ *   submissionIdByUserId: Map<string, string>,
+ *   submissionStateByUserId: Map<string, {rubricAssessment: Object|null, customGradeStatusId: string|null}>,
+ *   rubricAssociationId: string|null
+ * }>}
+ */
+export async function fetchSubmissionsForUsers(courseId, assignmentId, userIds, apiClient) {
+    const ids = [...new Set(userIds.map(String))];
+    logger.debug(`Fetching submissions for ${ids.length} students on assignment ${assignmentId}...`);
+
+    const submissionIdByUserId = new Map();
+    const submissionStateByUserId = new Map();
+    const rubricAssociationId = localStorage.getItem(`cg_rubric_assoc_${courseId}_${assignmentId}`);
+
+    for (let i = 0; i < ids.length; i += SUBMISSION_USER_CHUNK_SIZE) {
+        const studentQuery = ids.slice(i, i + SUBMISSION_USER_CHUNK_SIZE)
+            .map(id => `student_ids[]=${encodeURIComponent(id)}`)
+            .join('&');
+        const submissions = await apiClient.getAllPages(
+            `/api/v1/courses/${courseId}/students/submissions?assignment_ids[]=${assignmentId}&${studentQuery}&include[]=rubric_assessment`,
+            {},
+            "fetchSubmissionsForUsers"
+        );
+        for (const submission of submissions) {
+            recordSubmission(submission, submissionIdByUserId, submissionStateByUserId);
+        }
+    }
+
+    logger.debug(`Fetched ${submissionIdByUserId.size}/${ids.length} submission IDs for assignment ${assignmentId}`);
+    return { submissionIdByUserId, submissionStateByUserId, rubricAssociationId };
 }
 
 /**
@@ -0,0 +1,210 @@
+// src/services/updateJournalService.js
+/**
+ * Update Journal Service
+ *
+ * Records what each Update Current Score run overwrites so a mistaken run
+ * (wrong exclusions, wrong OVERRIDE_SCALE) can be reverted.
+ *
+ * Journal file: MOREnet_CustomizedGradebook/update_journal.json
+ * Shape: {
+ *   version: 1,
+ *   runs: [{                      // newest first, at most MAX_JOURNAL_RUNS
+ *     run_id, created_at, assignment_id, rubric_association_id, rubric_criterion_id,
+ *     grading_period_id,          // override grading period, null = course override
+ *     reverted_at,                // set once the run has been reverted
+ *     entries: [{
+ *       user_id, submission_id, enrollment_id,
+ *       previous: { points, custom_status_id, override_score, override_status_id },
+ *       next:     { points, override_score }
+ *     }]
+ *   }]
+ * }
+ *
+ * The journal is written before grades are submitted, so a run interrupted
+ * part-way can still be reverted. Reverting replays `previous` through
+ * submitRubricAssessmentBatch (the same GraphQL path the update uses).
+ * Runs are reverted newest first: only the most recent un-reverted run is
+ * offered, which keeps each run's `previous` values valid.
+ */
+
+import { logger } from "../utils/logger.js";
+import { readCourseJsonFile, writeCourseJsonFile } from "./courseFileStorage.js";
+import { submitRubricAssessmentBatch } from "./graphqlGradingService.js";
+
+export const JOURNAL_FILE_NAME = 'update_journal.json';
+const JOURNAL_VERSION = 1;
+const MAX_JOURNAL_RUNS = 5;
+
+/**
+ * Return an empty journal
+ * @returns {{version: number, runs: Array}}
+ */
+function createEmptyJournal() {
+    return { version: JOURNAL_VERSION, runs: [] };
+}
+
+/**
+ * Build a journal run from the batch params about to be submitted
+ *
+ * @param {Object} params
+ * @param {string} params.assignmentId
+ * @param {string} params.rubricAssociationId
+ * @param {string} params.rubricCriterionId
+ * @param {Array<Object>} params.students - submitRubricAssessmentBatch params (with userId)
+ * @param {Map} [params.submissionStateByUserId] - From fetchAllSubmissions
+ * @param {Map} [params.overrideStateByUserId] - From fetchOverrideStates
+ * @param {string|null} [params.gradingPeriodId] - Grading period the overrides were written to
+ * @returns {Object} Journal run
+ */
+export function buildJournalRun({ assignmentId, rubricAssociationId, rubricCriterionId, students,
+                                  submissionStateByUserId = new Map(), overrideStateByUserId = new Map(),
+                                  gradingPeriodId = null }) {
+    const createdAt = new Date().toISOString();
+
+    const entries = students.map(s => {
+        const userId = String(s.userId);
+        const submissionState = submissionStateByUserId.get(userId);
+        const overrideState = overrideStateByUserId.get(userId);
+        const previousPoints = submissionState?.rubricAssessment?.[rubricCriterionId]?.points;
+
+        return {
+            user_id: userId,
+            submission_id: String(s.submissionId),
+            enrollment_id: s.enrollmentId ? String(s.enrollmentId) : null,
+            previous: {
+                points: typeof previousPoints === 'number' ? previousPoints : null,
+                custom_status_id: submissionState?.customGradeStatusId ?? null,
+                override_score: overrideState?.percentage ?? null,
+                override_status_id: overrideState?.customGradeStatusId ?? null
+            },
+            next: {
+                points: s.points ?? null,
+                override_score: s.overrideScore ?? null
+            }
+        };
+    });
+
+    return {
+        run_id: `run_${Date.now()}`,
+        created_at: createdAt,
+        assignment_id: String(assignmentId),
+        rubric_association_id: String(rubricAssociationId),
+        rubric_criterion_id: String(rubricCriterionId),
+        grading_period_id: gradingPeriodId ? String(gradingPeriodId) : null,
+        reverted_at: null,
+        entries
+    };
+}
+
+/**
+ * Read the course's update journal
+ * @param {string} courseId
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<{version: number, runs: Array}>} Journal (empty if none exists)
+ * @throws {Error} When the journal exists but cannot be read, so it is never overwritten
+ */
+export async function readUpdateJournal(courseId, apiClient) {
+    const journal = await readCourseJsonFile(courseId, JOURNAL_FILE_NAME, apiClient);
+    if (journal === null) return createEmptyJournal();
+    if (!Array.isArray(journal?.runs)) throw new Error(`${JOURNAL_FILE_NAME} has no runs list`);
+    return journal;
+}
+
+/**
+ * Prepend a run to the journal and write it back, keeping the newest MAX_JOURNAL_RUNS.
+ * Nothing is written when the existing journal cannot be read.
+ * @param {string} courseId
+ * @param {Object} run - From buildJournalRun
+ * @param {CanvasApiClient} apiClient
+ * @returns {Promise<void>}
+ */
+export async function recordUpdateRun(courseId, run, apiClient) {
+    const journal = await readUpdateJournal(courseId, apiClient);
+    journal.runs = [run, ...journal.runs].slice(0, MAX_JOURNAL_RUNS);
+    await writeCourseJsonFile(courseId, JOURNAL_FILE_NAME, journal, apiClient);
+    logger.info(`[UpdateJournal] Recorded ${run.run_id} (${run.entries.length} students)`);
+}
+
+/**
+ * Most recent run that has not been reverted yet
+ * @param {{runs: Array}} journal
+ * @returns {Object|null}
+ */
+export function getLastRevertibleRun(journal) {
+    return (journal?.runs ?? []).find(r => !r.reverted_at) ?? null;
+}
+
+/**
+ * Build submitRubricAssessmentBatch params that restore a run's previous values.
+ * Missing previous points/overrides are cleared; statuses are restored or cleared.
+ *
+ * @param {Object} run - Journal run
+ * @returns {Array<Object>}
+ */
+export function buildRevertStudents(run) {
+    const revertedFrom = new Date(run.created_at).toLocaleString();
+
+    return run.entries.map(entry => {
+        const { points, custom_status_id, override_score, override_status_id } = entry.previous;
+        return {
+            submissionId: entry.submission_id,
+            rubricAssociationId: run.rubric_association_id,
+            rubricCriterionId: run.rubric_criterion_id,
+            ...(points === null ? { clearPoints: true } : { points }),
+            customStatusId: custom_status_id,
+            ...(entry.enrollment_id ? {
+                enrollmentId: entry.enrollment_id,
+                overrideScore: override_score,
+                overrideStatusId: override_status_id,
+                ...(run.grading_period_id ? { overrideGradingPeriodId: run.grading_period_id } : {})
+            } : {}),
+            comment: `Reverted update from ${revertedFrom}`,
+            userId: entry.user_id,
+            score: points
+        };
+    });
+}
+
+/**
+ * Revert a journal run and mark it reverted in the journal
+ *
+ * The grades are restored before the journal is touched, so a journal read or
+ * write failure is logged and reported as markedReverted: false instead of
+ * failing the revert.
+ *
+ * @param {string} courseId
+ * @param {Object} run - Journal run (from getLastRevertibleRun)
+ * @param {CanvasApiClient} apiClient
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - (done, total) => void
+ * @returns {Promise<{successCount: number, errors: Array, retryCounts: Array, markedReverted: boolean}>}
+ */
+export async function revertUpdateRun(courseId, run, apiClient, { onProgress = null } = {}) {
+    const students = buildRevertStudents(run);
+    logger.info(`[UpdateJournal] Reverting ${run.run_id} (${students.length} students)`);
+
+    const result = await submitRubricAssessmentBatch(students, apiClient, {
+        concurrency: 5,
+        maxAttempts: 3,
+        retryDelayMs: 500,
+        onProgress
+    });
+
+    logger.info(`[UpdateJournal] Revert complete: ${result.successCount}/${students.length} restored`);
+
+    let markedReverted = false;
+    try {
+        const journal = await readUpdateJournal(courseId, apiClient);
+        const stored = journal.runs.find(r => r.run_id === run.run_id);
+        if (stored) {
+            stored.reverted_at = new Date().toISOString();
+            stored.revert_failed_user_ids = result.errors.map(e => String(e.userId));
+            await writeCourseJsonFile(courseId, JOURNAL_FILE_NAME, journal, apiClient);
+            markedReverted = true;
+        }
+    } catch (error) {
+        logger.warn(`[UpdateJournal] Could not mark ${run.run_id} as reverted:`, error);
+    }
+
+    return { ...result, markedReverted };
+}
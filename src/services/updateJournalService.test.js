@@ -0,0 +1,130 @@
+// src/services/updateJournalService.test.js
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('./courseFileStorage.js', () => ({
+    readCourseJsonFile:  vi.fn(),
+    writeCourseJsonFile: vi.fn(() => Promise.resolve({ id: 1 }))
+}));
+
+vi.mock('./graphqlGradingService.js', () => ({
+    submitRubricAssessmentBatch: vi.fn(() => Promise.resolve({ successCount: 2, errors: [], retryCounts: [] }))
+}));
+
+import { buildJournalRun, buildRevertStudents, getLastRevertibleRun, readUpdateJournal, recordUpdateRun, revertUpdateRun } from './updateJournalService.js';
+import { readCourseJsonFile, writeCourseJsonFile } from './courseFileStorage.js';
+import { submitRubricAssessmentBatch } from './graphqlGradingService.js';
+
+const students = [
+    { userId: '1', submissionId: 's1', points: 3.5, enrollmentId: 'e1', overrideScore: 87.5 },
+    { userId: '2', submissionId: 's2', points: 2 },
+];
+
+const run = buildJournalRun({
+    assignmentId: 'a1',
+    rubricAssociationId: 'ra1',
+    rubricCriterionId: '_c1',
+    students,
+    submissionStateByUserId: new Map([
+        ['1', { rubricAssessment: { _c1: { points: 3 } }, customGradeStatusId: 'cs1' }],
+        ['2', { rubricAssessment: null, customGradeStatusId: null }],
+    ]),
+    overrideStateByUserId: new Map([['1', { percentage: 75, customGradeStatusId: 'os1' }]]),
+});
+
+describe('buildJournalRun', () => {
+    it('records previous and next values per student', () => {
+        expect(run.entries[0]).toEqual({
+            user_id: '1',
+            submission_id: 's1',
+            enrollment_id: 'e1',
+            previous: { points: 3, custom_status_id: 'cs1', override_score: 75, override_status_id: 'os1' },
+            next: { points: 3.5, override_score: 87.5 },
+        });
+    });
+    it('uses null for values that did not exist', () => {
+        expect(run.entries[1].previous).toEqual({
+            points: null, custom_status_id: null, override_score: null, override_status_id: null,
+        });
+        expect(run.entries[1].enrollment_id).toBeNull();
+        expect(run.reverted_at).toBeNull();
+    });
+});
+
+describe('buildRevertStudents', () => {
+    const [first, second] = buildRevertStudents(run);
+
+    it('restores previous points, statuses and override', () => {
+        expect(first).toMatchObject({
+            submissionId: 's1',
+            rubricAssociationId: 'ra1',
+            rubricCriterionId: '_c1',
+            points: 3,
+            customStatusId: 'cs1',
+            enrollmentId: 'e1',
+            overrideScore: 75,
+            overrideStatusId: 'os1',
+        });
+    });
+    it('clears points that were previously empty and leaves overrides alone without an enrollment', () => {
+        expect(second.clearPoints).toBe(true);
+        expect(second).not.toHaveProperty('points');
+        expect(second).not.toHaveProperty('enrollmentId');
+        expect(second.customStatusId).toBeNull();
+    });
+});
+
+describe('getLastRevertibleRun', () => {
+    it('returns the newest run that has not been reverted', () => {
+        const journal = { runs: [{ run_id: 'b', reverted_at: '2024-01-02' }, { run_id: 'a', reverted_at: null }] };
+        expect(getLastRevertibleRun(journal).run_id).toBe('a');
+    });
+    it('returns null for an empty journal', () => {
+        expect(getLastRevertibleRun({ runs: [] })).toBeNull();
+        expect(getLastRevertibleRun(null)).toBeNull();
+    });
+});
+
+describe('recordUpdateRun', () => {
+    beforeEach(() => vi.clearAllMocks());
+
+    it('starts a new journal only when none exists', async () => {
+        readCourseJsonFile.mockResolvedValueOnce(null);
+        await recordUpdateRun('1', run, {});
+        expect(writeCourseJsonFile.mock.calls[0][2].runs).toEqual([run]);
+    });
+
+    it('keeps the undo history when the journal cannot be read', async () => {
+        readCourseJsonFile.mockRejectedValueOnce(new Error('Could not read update_journal.json: 503'));
+        await expect(recordUpdateRun('1', run, {})).rejects.toThrow('503');
+
+        readCourseJsonFile.mockResolvedValueOnce({ version: 1 });
+        await expect(readUpdateJournal('1', {})).rejects.toThrow('no runs list');
+        expect(writeCourseJsonFile).not.toHaveBeenCalled();
+    });
+});
+
+describe('revertUpdateRun', () => {
+    beforeEach(() => vi.clearAllMocks());
+
+    it('marks the run reverted after restoring the grades', async () => {
+        readCourseJsonFile.mockResolvedValueOnce({ runs: [{ ...run }] });
+
+        const result = await revertUpdateRun('1', run, {});
+
+        expect(result).toMatchObject({ successCount: 2, markedReverted: true });
+        expect(writeCourseJsonFile.mock.calls[0][2].runs[0].reverted_at).not.toBeNull();
+    });
+
+    it('still returns the restored grades when the journal cannot be updated', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        readCourseJsonFile.mockRejectedValueOnce(new Error('Could not read update_journal.json: 503'));
+
+        const result = await revertUpdateRun('1', run, {});
+
+        expect(submitRubricAssessmentBatch).toHaveBeenCalledTimes(1);
+        expect(result).toMatchObject({ successCount: 2, errors: [], markedReverted: false });
+        expect(writeCourseJsonFile).not.toHaveBeenCalled();
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+});
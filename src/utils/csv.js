@@ -0,0 +1,26 @@
+// src/utils/csv.js
+/**
+ * Shared CSV helpers.
+ */
+
+/**
+ * Text a spreadsheet would read as a formula (outcome titles and student
+ * names are typed by teachers) gets a leading apostrophe, so it stays text
+ * @param {string} text
+ * @returns {string}
+ */
+function neutralizeFormula(text) {
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Quote a CSV field when needed. Numbers are written as they are (a negative
+ * slope is not a formula).
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' ? neutralizeFormula(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
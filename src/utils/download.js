@@ -0,0 +1,23 @@
+// src/utils/download.js
+/**
+ * Shared file download helper.
+ */
+
+/**
+ * Download text as a file
+ *
+ * @param {string} filename - File name
+ * @param {string} text - File content
+ * @param {string} [type='text/javascript;charset=utf-8'] - MIME type
+ */
+export function downloadText(filename, text, type = 'text/javascript;charset=utf-8') {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}